@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate, useLocation, useNavigate } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Toaster } from 'react-hot-toast';
+import PropTypes from 'prop-types';
 import { AuthProvider } from './context/AuthContext';
 import { SalesProvider } from './hooks/useSales';
 import supabase from './services/supabase';
@@ -10,15 +11,20 @@ import Header from './components/layout/Header';
 import Sidebar from './components/layout/Sidebar';
 import Footer from './components/layout/Footer';
 import { useAuth } from './hooks/useAuth';
+import { usePermissions } from './hooks/usePermissions';
+import { PERMISSIONS } from './services/constants';
 
 // Pages
 import LoginPage from './pages/LoginPage';
 import DashboardPage from './pages/DashboardPage';
 import POSPage from './pages/POSPage';
+import KitchenPage from './pages/KitchenPage';
 import InventoryPage from './pages/InventoryPage';
 import SuppliersPage from './pages/SuppliersPage';
 import StaffPage from './pages/StaffPage';
 import ReportsPage from './pages/ReportsPage';
+import ExpensesPage from './pages/ExpensesPage';
+import AuditPage from './pages/AuditPage';
 
 // Authentication loading component with branded style
 const AuthLoading = () => (
@@ -73,9 +79,14 @@ const ProtectedRoute = ({ children }) => {
   return children;
 };
 
-// Enhanced Role-based Guard Component
-const RoleRoute = ({ children, allowedRoles }) => {
-  const { user, loading, isAuthenticated } = useAuth();
+ProtectedRoute.propTypes = {
+  children: PropTypes.node.isRequired
+};
+
+// Permission-based Guard Component
+const PermissionRoute = ({ children, permission }) => {
+  const { loading, isAuthenticated } = useAuth();
+  const { hasPermission } = usePermissions();
   const location = useLocation();
   
   if (loading) {
@@ -86,16 +97,18 @@ const RoleRoute = ({ children, allowedRoles }) => {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
   
-  // Check user role against allowed roles
-  const hasRequiredRole = user && allowedRoles.includes(user.role);
-  
-  if (!hasRequiredRole) {
+  if (!hasPermission(permission)) {
     return <Navigate to="/" replace />;
   }
   
   return children;
 };
 
+PermissionRoute.propTypes = {
+  children: PropTypes.node.isRequired,
+  permission: PropTypes.string.isRequired
+};
+
 function MainApp() {
   const [isSidebarOpen, setIsSidebarOpen] = useState(true);
   const { user } = useAuth();
@@ -142,37 +155,68 @@ function MainApp() {
                     <div className="w-full px-4 py-8 flex-grow">
                       <Routes>
                         <Route path="/" element={<DashboardPage />} />
-                        <Route path="/pos" element={<POSPage />} />
+                        <Route 
+                          path="/pos" 
+                          element={
+                            <PermissionRoute permission={PERMISSIONS.SALES.CREATE}>
+                              <POSPage />
+                            </PermissionRoute>
+                          } 
+                        />
+                        <Route 
+                          path="/kitchen" 
+                          element={
+                            <PermissionRoute permission={PERMISSIONS.KITCHEN.VIEW}>
+                              <KitchenPage />
+                            </PermissionRoute>
+                          } 
+                        />
                         <Route 
                           path="/inventory" 
                           element={
-                            <RoleRoute allowedRoles={['Admin', 'Manager']}>
+                            <PermissionRoute permission={PERMISSIONS.INVENTORY.VIEW}>
                               <InventoryPage />
-                            </RoleRoute>
+                            </PermissionRoute>
                           } 
                         />
                         <Route 
                           path="/suppliers" 
                           element={
-                            <RoleRoute allowedRoles={['Admin', 'Manager', 'Supplier']}> {/* Add Supplier role here */}
+                            <PermissionRoute permission={PERMISSIONS.SUPPLIERS.VIEW}>
                               <SuppliersPage />
-                            </RoleRoute>
+                            </PermissionRoute>
                           } 
                         />
                         <Route 
                           path="/staff" 
                           element={
-                            <RoleRoute allowedRoles={['Admin', 'Manager']}>
+                            <PermissionRoute permission={PERMISSIONS.STAFF.VIEW}>
                               <StaffPage />
-                            </RoleRoute>
+                            </PermissionRoute>
                           } 
                         />
                         <Route 
                           path="/reports" 
                           element={
-                            <RoleRoute allowedRoles={['Admin', 'Manager']}>
+                            <PermissionRoute permission={PERMISSIONS.REPORTS.VIEW}>
                               <ReportsPage />
-                            </RoleRoute>
+                            </PermissionRoute>
+                          } 
+                        />
+                        <Route 
+                          path="/expenses" 
+                          element={
+                            <PermissionRoute permission={PERMISSIONS.EXPENSES.VIEW}>
+                              <ExpensesPage />
+                            </PermissionRoute>
+                          } 
+                        />
+                        <Route 
+                          path="/audit" 
+                          element={
+                            <PermissionRoute permission={PERMISSIONS.AUDIT.VIEW}>
+                              <AuditPage />
+                            </PermissionRoute>
                           } 
                         />
                         <Route path="*" element={<Navigate to="/" replace />} />
@@ -243,13 +287,13 @@ function App() {
 
   // Supplier tab redirection logic
   const SupplierTabRedirect = () => {
-    const { user } = useAuth();
+    const { isPortalUser } = usePermissions();
     const location = useLocation();
     const navigate = useNavigate();
     
     useEffect(() => {
       // Only run for supplier users
-      if (user?.role === 'Supplier') {
+      if (isPortalUser) {
         // If they access /suppliers without a tab parameter, redirect to purchase orders
         if (location.pathname === '/suppliers' && !location.search.includes('tab=')) {
           console.log('Supplier redirecting to purchase orders');
@@ -263,7 +307,7 @@ function App() {
           navigate('/', { replace: true });
         }
       }
-    }, [location.pathname, location.search, user, navigate]);
+    }, [location.pathname, location.search, isPortalUser, navigate]);
     
     return null; // This is just a logic component, no rendering needed
   };
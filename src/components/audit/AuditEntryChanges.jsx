@@ -0,0 +1,54 @@
+import PropTypes from 'prop-types';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Before and after values of one audit entry, one row per changed field
+const AuditEntryChanges = ({ entry }) => {
+  const fields = [...new Set([
+    ...Object.keys(entry.before || {}),
+    ...Object.keys(entry.after || {})
+  ])].sort();
+
+  if (fields.length === 0) {
+    return <p className="text-sm text-gray-500">No field values were recorded</p>;
+  }
+
+  return (
+    <table className="min-w-full text-xs">
+      <thead className="text-gray-500 text-left">
+        <tr>
+          <th className="py-1 pr-4 font-medium">Field</th>
+          {entry.action !== 'create' && <th className="py-1 pr-4 font-medium">Before</th>}
+          {entry.action !== 'delete' && <th className="py-1 font-medium">After</th>}
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-100">
+        {fields.map(field => (
+          <tr key={field} className="align-top">
+            <td className="py-1 pr-4 font-mono text-gray-600 whitespace-nowrap">{field}</td>
+            {entry.action !== 'create' && (
+              <td className="py-1 pr-4 text-red-700 break-all">{formatValue(entry.before?.[field])}</td>
+            )}
+            {entry.action !== 'delete' && (
+              <td className="py-1 text-green-700 break-all">{formatValue(entry.after?.[field])}</td>
+            )}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+AuditEntryChanges.propTypes = {
+  entry: PropTypes.shape({
+    action: PropTypes.oneOf(['create', 'update', 'delete']).isRequired,
+    before: PropTypes.object,
+    after: PropTypes.object
+  }).isRequired
+};
+
+export default AuditEntryChanges;
@@ -0,0 +1,232 @@
+import { useState, useEffect, Fragment } from 'react';
+import { format } from 'date-fns';
+import Button from '../common/Button';
+import { Spinner } from '../common/Spinner';
+import AuditEntryChanges from './AuditEntryChanges';
+import { useAuditTrail } from '../../hooks/useAuditTrail';
+import { useStaff } from '../../hooks/useStaff';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } from '../../services/constants';
+
+const inputClass = 'w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300 text-sm';
+
+const ACTION_STYLES = {
+  create: 'bg-green-100 text-green-800',
+  update: 'bg-amber-100 text-amber-800',
+  delete: 'bg-red-100 text-red-800'
+};
+
+const emptyFilters = () => {
+  const weekAgo = new Date();
+  weekAgo.setDate(weekAgo.getDate() - 7);
+  return {
+    staffId: '',
+    entityType: '',
+    entityId: '',
+    startDate: format(weekAgo, 'yyyy-MM-dd'),
+    endDate: format(new Date(), 'yyyy-MM-dd')
+  };
+};
+
+// Date inputs hold whole days, so the end date includes that day
+const toQueryFilters = (filters) => {
+  const endDate = filters.endDate ? new Date(`${filters.endDate}T00:00:00`) : null;
+  if (endDate) endDate.setDate(endDate.getDate() + 1);
+
+  return {
+    ...filters,
+    startDate: filters.startDate ? new Date(`${filters.startDate}T00:00:00`) : null,
+    endDate
+  };
+};
+
+const actorName = (entry) => {
+  if (entry.actor) return `${entry.actor.first_name} ${entry.actor.last_name}`;
+  return entry.actor_user_id ? 'Unknown user' : 'System';
+};
+
+const AuditTrail = () => {
+  const { entries, hasMore, loading, fetchAuditTrail } = useAuditTrail();
+  const { staff, fetchStaff } = useStaff();
+  const [filters, setFilters] = useState(emptyFilters);
+  const [appliedFilters, setAppliedFilters] = useState(filters);
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    fetchStaff().catch(() => {});
+  }, [fetchStaff]);
+
+  useEffect(() => {
+    fetchAuditTrail(toQueryFilters(appliedFilters)).catch(() => {});
+  }, [appliedFilters, fetchAuditTrail]);
+
+  const updateFilter = (field, value) => setFilters(prev => ({ ...prev, [field]: value }));
+
+  const handleApply = (e) => {
+    e.preventDefault();
+    setExpandedId(null);
+    setAppliedFilters({ ...filters });
+  };
+
+  const handleReset = () => {
+    const reset = emptyFilters();
+    setFilters(reset);
+    setAppliedFilters(reset);
+    setExpandedId(null);
+  };
+
+  const handleLoadMore = () => {
+    const oldest = entries[entries.length - 1];
+    fetchAuditTrail(toQueryFilters(appliedFilters), oldest.audit_id).catch(() => {});
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <h1 className="text-2xl font-bold text-[#571C1F]">Audit Trail</h1>
+        <p className="text-sm text-gray-600">Every change to inventory, menu, suppliers, staff and sales, with who made it</p>
+      </div>
+
+      <form onSubmit={handleApply} className="bg-white p-4 rounded-lg border border-[#571C1F]/10 shadow-sm">
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-3">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">User</label>
+            <select
+              className={inputClass}
+              value={filters.staffId}
+              onChange={(e) => updateFilter('staffId', e.target.value)}
+            >
+              <option value="">Everyone</option>
+              {staff.map(member => (
+                <option key={member.staff_id} value={member.staff_id}>
+                  {member.first_name} {member.last_name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Record type</label>
+            <select
+              className={inputClass}
+              value={filters.entityType}
+              onChange={(e) => updateFilter('entityType', e.target.value)}
+            >
+              <option value="">All records</option>
+              {Object.entries(AUDIT_ENTITY_TYPES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Record ID</label>
+            <input
+              type="text"
+              className={inputClass}
+              value={filters.entityId}
+              onChange={(e) => updateFilter('entityId', e.target.value)}
+              placeholder="e.g. 42"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">From</label>
+            <input
+              type="date"
+              className={inputClass}
+              value={filters.startDate}
+              onChange={(e) => updateFilter('startDate', e.target.value)}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">To</label>
+            <input
+              type="date"
+              className={inputClass}
+              value={filters.endDate}
+              onChange={(e) => updateFilter('endDate', e.target.value)}
+            />
+          </div>
+        </div>
+        <div className="flex justify-end space-x-2 mt-3">
+          <Button variant="outline" size="sm" onClick={handleReset}>
+            Reset
+          </Button>
+          <Button type="submit" size="sm">
+            Apply Filters
+          </Button>
+        </div>
+      </form>
+
+      <div className="bg-white rounded-lg border border-[#571C1F]/10 shadow-sm overflow-x-auto">
+        {loading && entries.length === 0 ? (
+          <div className="flex justify-center py-12">
+            <Spinner size="lg" color="#571C1F" />
+          </div>
+        ) : entries.length === 0 ? (
+          <p className="text-center py-12 text-sm text-gray-500">No changes match these filters</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead className="bg-[#FFF6F2] text-xs text-[#571C1F] text-left uppercase tracking-wider">
+              <tr>
+                <th className="px-4 py-2 font-medium">When</th>
+                <th className="px-4 py-2 font-medium">User</th>
+                <th className="px-4 py-2 font-medium">Action</th>
+                <th className="px-4 py-2 font-medium">Record</th>
+                <th className="px-4 py-2 font-medium">Fields</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {entries.map(entry => (
+                <Fragment key={entry.audit_id}>
+                  <tr
+                    onClick={() => setExpandedId(expandedId === entry.audit_id ? null : entry.audit_id)}
+                    className="cursor-pointer hover:bg-[#FFF6F2]/60"
+                  >
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-600">
+                      {new Date(entry.created_at).toLocaleString('en-US', {
+                        month: 'short',
+                        day: 'numeric',
+                        year: 'numeric',
+                        hour: '2-digit',
+                        minute: '2-digit',
+                        second: '2-digit'
+                      })}
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap">{actorName(entry)}</td>
+                    <td className="px-4 py-2">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${ACTION_STYLES[entry.action]}`}>
+                        {AUDIT_ACTIONS[entry.action]}
+                      </span>
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap text-[#571C1F]">
+                      {AUDIT_ENTITY_TYPES[entry.entity_type] || entry.entity_type}
+                      {entry.entity_id ? ` #${entry.entity_id}` : ''}
+                    </td>
+                    <td className="px-4 py-2 text-gray-500 truncate max-w-xs">
+                      {entry.action === 'update' ? Object.keys(entry.after || {}).join(', ') : '—'}
+                    </td>
+                  </tr>
+                  {expandedId === entry.audit_id && (
+                    <tr>
+                      <td colSpan={5} className="px-4 py-3 bg-gray-50">
+                        <AuditEntryChanges entry={entry} />
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {hasMore && (
+        <div className="flex justify-center">
+          <Button variant="outline" size="sm" onClick={handleLoadMore} disabled={loading}>
+            {loading ? 'Loading...' : 'Load More'}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditTrail;
@@ -1,67 +1,10 @@
 import { motion } from 'framer-motion';
+import PropTypes from 'prop-types';
+import { formatDistanceToNow } from 'date-fns';
 import Card from '../common/Card';
 
-const RecentActivity = ({ loading = false }) => {
-  // Sample activity data - added more items to fill the space
-  const activities = [
-    {
-      id: 1,
-      type: 'sale',
-      description: 'New sale #1052',
-      amount: 245.50,
-      time: '5 minutes ago',
-    },
-    {
-      id: 2,
-      type: 'inventory',
-      description: 'Coffee beans restocked',
-      amount: null,
-      time: '2 hours ago',
-    },
-    {
-      id: 3,
-      type: 'alert',
-      description: 'Low stock: Milk',
-      amount: null,
-      time: '3 hours ago',
-    },
-    {
-      id: 4,
-      type: 'sale',
-      description: 'New sale #1051',
-      amount: 128.75,
-      time: '4 hours ago',
-    },
-    {
-      id: 5,
-      type: 'system',
-      description: 'System backup completed',
-      amount: null,
-      time: '6 hours ago',
-    },
-    {
-      id: 6,
-      type: 'sale',
-      description: 'New sale #1050',
-      amount: 98.25,
-      time: '7 hours ago',
-    },
-    {
-      id: 7,
-      type: 'inventory',
-      description: 'Milk restocked',
-      amount: null,
-      time: '8 hours ago',
-    },
-    {
-      id: 8,
-      type: 'sale',
-      description: 'New sale #1049',
-      amount: 176.50,
-      time: 'Yesterday',
-    },
-  ];
-
+// Latest sales, pullouts and purchase orders, newest first
+const RecentActivity = ({ activities = [], loading = false }) => {
   const getActivityIcon = (type) => {
     switch (type) {
       case 'sale':
@@ -198,6 +141,10 @@ const RecentActivity = ({ loading = false }) => {
             {/* Static Timeline */}
             <div className="absolute left-5 top-7 bottom-0 w-0.5 bg-gradient-to-b from-[#571C1F]/10 via-[#003B25]/20 to-[#571C1F]/10 z-0"></div>
             
+            {activities.length === 0 && (
+              <p className="relative z-10 text-center py-8 text-sm text-gray-500">No recent activity</p>
+            )}
+
             {/* Activity Items */}
             {activities.map((activity, index) => (
               <motion.div 
@@ -235,7 +182,7 @@ const RecentActivity = ({ loading = false }) => {
                     transition={{ delay: 0.1 + (index * 0.05) }}
                   >
                     {activity.description}
-                    {activity.amount && (
+                    {activity.amount !== null && activity.amount !== undefined && (
                       <motion.span 
                         className="ml-1 font-semibold text-[#571C1F]"
                         initial={{ opacity: 0, y: -5 }}
@@ -256,7 +203,7 @@ const RecentActivity = ({ loading = false }) => {
                     animate={{ opacity: 0.8 }}
                     transition={{ delay: 0.15 + (index * 0.05) }}
                   >
-                    {activity.time}
+                    {formatDistanceToNow(new Date(activity.time), { addSuffix: true })}
                   </motion.p>
                 </div>
               </motion.div>
@@ -288,6 +235,17 @@ const RecentActivity = ({ loading = false }) => {
   );
 };
 
+RecentActivity.propTypes = {
+  activities: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    type: PropTypes.oneOf(['sale', 'inventory', 'alert', 'system']).isRequired,
+    description: PropTypes.string.isRequired,
+    amount: PropTypes.number,
+    time: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(Date)]).isRequired
+  })),
+  loading: PropTypes.bool
+};
+
 // Define a small CSS class for custom scrollbar styling
 const style = document.createElement('style');
 style.textContent = `
@@ -0,0 +1,147 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { format } from 'date-fns';
+import Button from '../common/Button';
+import { EXPENSE_CATEGORIES } from '../../services/constants';
+
+const inputClass = 'w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300 text-sm';
+
+const toForm = (expense) => ({
+  expense_date: expense?.expense_date || format(new Date(), 'yyyy-MM-dd'),
+  category: expense?.category || 'rent',
+  description: expense?.description || '',
+  amount: expense?.amount?.toString() || '',
+  payee: expense?.payee || '',
+  reference_number: expense?.reference_number || ''
+});
+
+const ExpenseForm = ({ expense = null, onSubmit, onCancel, saving = false }) => {
+  const [form, setForm] = useState(() => toForm(expense));
+  const [error, setError] = useState(null);
+
+  const updateField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!form.expense_date) return setError('Date is required');
+    if (!form.description.trim()) return setError('Description is required');
+    if (!(parseFloat(form.amount) > 0)) return setError('Amount must be greater than zero');
+
+    setError(null);
+    onSubmit({
+      expense_date: form.expense_date,
+      category: form.category,
+      description: form.description.trim(),
+      amount: parseFloat(form.amount),
+      payee: form.payee.trim() || null,
+      reference_number: form.reference_number.trim() || null
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div>
+          <label htmlFor="expense_date" className="block text-xs font-medium text-gray-600 mb-1">Date</label>
+          <input
+            id="expense_date"
+            type="date"
+            className={inputClass}
+            value={form.expense_date}
+            onChange={(e) => updateField('expense_date', e.target.value)}
+          />
+        </div>
+        <div>
+          <label htmlFor="category" className="block text-xs font-medium text-gray-600 mb-1">Category</label>
+          <select
+            id="category"
+            className={inputClass}
+            value={form.category}
+            onChange={(e) => updateField('category', e.target.value)}
+          >
+            {Object.entries(EXPENSE_CATEGORIES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor="description" className="block text-xs font-medium text-gray-600 mb-1">Description</label>
+        <input
+          id="description"
+          type="text"
+          className={inputClass}
+          value={form.description}
+          onChange={(e) => updateField('description', e.target.value)}
+          placeholder="e.g. October rent"
+        />
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <div>
+          <label htmlFor="amount" className="block text-xs font-medium text-gray-600 mb-1">Amount (₱)</label>
+          <input
+            id="amount"
+            type="number"
+            min="0"
+            step="0.01"
+            className={inputClass}
+            value={form.amount}
+            onChange={(e) => updateField('amount', e.target.value)}
+          />
+        </div>
+        <div>
+          <label htmlFor="payee" className="block text-xs font-medium text-gray-600 mb-1">Paid to</label>
+          <input
+            id="payee"
+            type="text"
+            className={inputClass}
+            value={form.payee}
+            onChange={(e) => updateField('payee', e.target.value)}
+          />
+        </div>
+        <div>
+          <label htmlFor="reference_number" className="block text-xs font-medium text-gray-600 mb-1">Reference no.</label>
+          <input
+            id="reference_number"
+            type="text"
+            className={inputClass}
+            value={form.reference_number}
+            onChange={(e) => updateField('reference_number', e.target.value)}
+            placeholder="Receipt or invoice"
+          />
+        </div>
+      </div>
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+
+      <div className="flex justify-end space-x-2 pt-2">
+        <Button variant="outline" size="sm" onClick={onCancel} disabled={saving}>
+          Cancel
+        </Button>
+        <Button type="submit" size="sm" disabled={saving}>
+          {saving ? 'Saving...' : expense ? 'Save Changes' : 'Record Expense'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+ExpenseForm.propTypes = {
+  expense: PropTypes.shape({
+    expense_id: PropTypes.number,
+    expense_date: PropTypes.string,
+    category: PropTypes.string,
+    description: PropTypes.string,
+    amount: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    payee: PropTypes.string,
+    reference_number: PropTypes.string
+  }),
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  saving: PropTypes.bool
+};
+
+export default ExpenseForm;
@@ -0,0 +1,240 @@
+import { useState, useEffect } from 'react';
+import { format, startOfMonth } from 'date-fns';
+import Button from '../common/Button';
+import Modal from '../common/Modal';
+import { Spinner } from '../common/Spinner';
+import ExpenseForm from './ExpenseForm';
+import { useExpenses } from '../../hooks/useExpenses';
+import { usePermissions } from '../../hooks/usePermissions';
+import { EXPENSE_CATEGORIES, PERMISSIONS } from '../../services/constants';
+
+const inputClass = 'w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300 text-sm';
+
+const emptyFilters = () => ({
+  category: '',
+  startDate: format(startOfMonth(new Date()), 'yyyy-MM-dd'),
+  endDate: format(new Date(), 'yyyy-MM-dd')
+});
+
+const formatPeso = (value) => `₱${Number(value || 0).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const ExpenseManager = () => {
+  const { expenses, loading, fetchExpenses, createExpense, updateExpense, deleteExpense } = useExpenses();
+  const { hasPermission } = usePermissions();
+  const [filters, setFilters] = useState(emptyFilters);
+  const [appliedFilters, setAppliedFilters] = useState(filters);
+  // null while closed, {} for a new expense, or the expense being edited
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const canCreate = hasPermission(PERMISSIONS.EXPENSES.CREATE);
+  const canEdit = hasPermission(PERMISSIONS.EXPENSES.EDIT);
+  const canDelete = hasPermission(PERMISSIONS.EXPENSES.DELETE);
+
+  useEffect(() => {
+    fetchExpenses(appliedFilters).catch(() => {});
+  }, [appliedFilters, fetchExpenses]);
+
+  const updateFilter = (field, value) => setFilters(prev => ({ ...prev, [field]: value }));
+
+  const handleApply = (e) => {
+    e.preventDefault();
+    setAppliedFilters({ ...filters });
+  };
+
+  const handleReset = () => {
+    const reset = emptyFilters();
+    setFilters(reset);
+    setAppliedFilters(reset);
+  };
+
+  const handleSubmit = async (expenseData) => {
+    setSaving(true);
+    try {
+      if (editing?.expense_id) {
+        await updateExpense(editing.expense_id, expenseData);
+      } else {
+        await createExpense(expenseData);
+      }
+      setEditing(null);
+    } catch {
+      // Keep the form open so the expense can be fixed
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (expense) => {
+    if (!window.confirm(`Delete "${expense.description}" (${formatPeso(expense.amount)})?`)) return;
+    await deleteExpense(expense.expense_id).catch(() => {});
+  };
+
+  const total = expenses.reduce((sum, expense) => sum + Number(expense.amount || 0), 0);
+
+  const totalsByCategory = expenses.reduce((acc, expense) => {
+    acc[expense.category] = (acc[expense.category] || 0) + Number(expense.amount || 0);
+    return acc;
+  }, {});
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+        <div>
+          <h1 className="text-2xl font-bold text-[#571C1F]">Expenses</h1>
+          <p className="text-sm text-gray-600">Rent, payroll, utilities and other operating costs for the profit &amp; loss report</p>
+        </div>
+        {canCreate && (
+          <Button size="sm" onClick={() => setEditing({})}>
+            Record Expense
+          </Button>
+        )}
+      </div>
+
+      <form onSubmit={handleApply} className="bg-white p-4 rounded-lg border border-[#571C1F]/10 shadow-sm">
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Category</label>
+            <select
+              className={inputClass}
+              value={filters.category}
+              onChange={(e) => updateFilter('category', e.target.value)}
+            >
+              <option value="">All categories</option>
+              {Object.entries(EXPENSE_CATEGORIES).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">From</label>
+            <input
+              type="date"
+              className={inputClass}
+              value={filters.startDate}
+              onChange={(e) => updateFilter('startDate', e.target.value)}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">To</label>
+            <input
+              type="date"
+              className={inputClass}
+              value={filters.endDate}
+              onChange={(e) => updateFilter('endDate', e.target.value)}
+            />
+          </div>
+        </div>
+        <div className="flex justify-end space-x-2 mt-3">
+          <Button variant="outline" size="sm" onClick={handleReset}>
+            Reset
+          </Button>
+          <Button type="submit" size="sm">
+            Apply Filters
+          </Button>
+        </div>
+      </form>
+
+      {expenses.length > 0 && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          <div className="bg-white p-3 rounded-lg border border-[#571C1F]/10 shadow-sm">
+            <p className="text-xs text-gray-500">Total</p>
+            <p className="text-lg font-semibold text-[#571C1F]">{formatPeso(total)}</p>
+          </div>
+          {Object.entries(totalsByCategory)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, 3)
+            .map(([category, amount]) => (
+              <div key={category} className="bg-white p-3 rounded-lg border border-[#571C1F]/10 shadow-sm">
+                <p className="text-xs text-gray-500">{EXPENSE_CATEGORIES[category] || category}</p>
+                <p className="text-lg font-semibold text-gray-800">{formatPeso(amount)}</p>
+              </div>
+            ))}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg border border-[#571C1F]/10 shadow-sm overflow-x-auto">
+        {loading && expenses.length === 0 ? (
+          <div className="flex justify-center py-12">
+            <Spinner size="lg" color="#571C1F" />
+          </div>
+        ) : expenses.length === 0 ? (
+          <p className="text-center py-12 text-sm text-gray-500">No expenses recorded for these filters</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead className="bg-[#FFF6F2] text-xs text-[#571C1F] text-left uppercase tracking-wider">
+              <tr>
+                <th className="px-4 py-2 font-medium">Date</th>
+                <th className="px-4 py-2 font-medium">Category</th>
+                <th className="px-4 py-2 font-medium">Description</th>
+                <th className="px-4 py-2 font-medium">Paid to</th>
+                <th className="px-4 py-2 font-medium">Reference</th>
+                <th className="px-4 py-2 font-medium text-right">Amount</th>
+                {(canEdit || canDelete) && <th className="px-4 py-2" />}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {expenses.map(expense => (
+                <tr key={expense.expense_id}>
+                  <td className="px-4 py-2 whitespace-nowrap text-gray-600">
+                    {format(new Date(`${expense.expense_date}T00:00:00`), 'MMM d, yyyy')}
+                  </td>
+                  <td className="px-4 py-2 whitespace-nowrap">
+                    {EXPENSE_CATEGORIES[expense.category] || expense.category}
+                  </td>
+                  <td className="px-4 py-2">{expense.description}</td>
+                  <td className="px-4 py-2 text-gray-600">{expense.payee || '—'}</td>
+                  <td className="px-4 py-2 text-gray-600">{expense.reference_number || '—'}</td>
+                  <td className="px-4 py-2 text-right font-medium whitespace-nowrap">{formatPeso(expense.amount)}</td>
+                  {(canEdit || canDelete) && (
+                    <td className="px-4 py-2 text-right whitespace-nowrap space-x-2">
+                      {canEdit && (
+                        <button
+                          type="button"
+                          onClick={() => setEditing(expense)}
+                          className="text-xs text-[#571C1F] hover:underline"
+                        >
+                          Edit
+                        </button>
+                      )}
+                      {canDelete && (
+                        <button
+                          type="button"
+                          onClick={() => handleDelete(expense)}
+                          className="text-xs text-red-600 hover:underline"
+                        >
+                          Delete
+                        </button>
+                      )}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <Modal
+        isOpen={editing !== null}
+        onClose={() => !saving && setEditing(null)}
+        title={editing?.expense_id ? 'Edit Expense' : 'Record Expense'}
+        size="md"
+      >
+        {editing !== null && (
+          <ExpenseForm
+            key={editing.expense_id || 'new'}
+            expense={editing.expense_id ? editing : null}
+            onSubmit={handleSubmit}
+            onCancel={() => setEditing(null)}
+            saving={saving}
+          />
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default ExpenseManager;
@@ -7,9 +7,13 @@ import Swal from 'sweetalert2';
 import FileUpload from '../common/FileUpload';
 import { motion } from 'framer-motion';
 import placeholderImage from '../../assets/placeholder-image2.png';
+import { UNITS } from '../../services/constants';
+import { standardUnitFactor, resolveUnitFactors, describeUnitFactor } from '../../utils/unit-utils';
+
+const emptyUnitRow = () => ({ unit: '', quantity: '', per_unit: '' });
 
 const IngredientForm = ({ ingredient = null, onSave = () => {}, onCancel = () => {}, viewOnly = false }) => {
-  const { addIngredient, updateIngredient, getIngredientSuppliers, setPreferredSupplier } = useInventory();
+  const { addIngredient, updateIngredient, saveIngredientUnits, getIngredientSuppliers, setPreferredSupplier } = useInventory();
   const { suppliers, fetchSuppliers } = useSuppliers();
   const [loading, setLoading] = useState(false);
   const [loadingSuppliers, setLoadingSuppliers] = useState(false);
@@ -21,9 +25,15 @@ const IngredientForm = ({ ingredient = null, onSave = () => {}, onCancel = () =>
     quantity: '',
     minimum_quantity: '',
     unit_cost: '',
+    purchase_unit: '',
+    recipe_unit: '',
     image: ''
     // Remove description from here
   });
+  
+  // Other units the ingredient is bought or used in, each entered as
+  // "1 <unit> = <quantity> <per_unit>"; an empty per_unit is the stock unit
+  const [unitRows, setUnitRows] = useState([]);
 
   // Add a separate state for selected supplier
   const [selectedSupplierId, setSelectedSupplierId] = useState('');
@@ -68,10 +78,17 @@ const IngredientForm = ({ ingredient = null, onSave = () => {}, onCancel = () =>
         quantity: ingredient.quantity || '',
         minimum_quantity: ingredient.minimum_quantity || '',
         unit_cost: ingredient.unit_cost || '',
+        purchase_unit: ingredient.purchase_unit || '',
+        recipe_unit: ingredient.recipe_unit || '',
         image: ingredient.image || ''
         // Remove description from here
       });
       setImageUrl(ingredient.image || '');
+      setUnitRows((ingredient.ingredient_units || []).map(row => ({
+        unit: row.unit,
+        quantity: row.factor.toString(),
+        per_unit: ''
+      })));
     }
   }, [ingredient]);
 
@@ -80,6 +97,28 @@ const IngredientForm = ({ ingredient = null, onSave = () => {}, onCancel = () =>
     setForm(prev => ({ ...prev, [name]: value }));
   };
   
+  const addUnitRow = () => setUnitRows(prev => [...prev, emptyUnitRow()]);
+  
+  const removeUnitRow = (index) => setUnitRows(prev => prev.filter((_, i) => i !== index));
+  
+  const updateUnitRow = (index, field, value) => {
+    setUnitRows(prev => prev.map((row, i) => {
+      if (i !== index) return row;
+      const updated = { ...row, [field]: value };
+      
+      // Fill in the factor between standard units, e.g. 1 kg = 1000 g
+      if (field !== 'quantity') {
+        const factor = standardUnitFactor(updated.unit.trim(), updated.per_unit || form.unit);
+        if (factor) updated.quantity = factor.toString();
+      }
+      
+      return updated;
+    }));
+  };
+  
+  // Units the default purchase and recipe units can be picked from
+  const unitChoices = [form.unit, ...unitRows.map(row => row.unit.trim())].filter(Boolean);
+
   // Separate handler for supplier selection
   const handleSupplierChange = (e) => {
     const value = e.target.value;
@@ -147,6 +186,8 @@ const IngredientForm = ({ ingredient = null, onSave = () => {}, onCancel = () =>
     if (parseFloat(form.minimum_quantity) < 0) return "Minimum quantity must be positive";
     if (!form.unit_cost) return "Unit cost is required";
     if (parseFloat(form.unit_cost) <= 0) return "Unit cost must be greater than zero";
+    const { error: unitError } = resolveUnitFactors(unitRows, form.unit);
+    if (unitError) return unitError;
     return null;
   };
 
@@ -196,17 +237,27 @@ const IngredientForm = ({ ingredient = null, onSave = () => {}, onCancel = () =>
     setLoading(true);
     
     try {
+      const { units } = resolveUnitFactors(unitRows, form.unit);
+      // Defaults left pointing at a removed unit fall back to the stock unit
+      const keptUnit = (unit) => (units.some(row => row.unit === unit) ? unit : null);
       const ingredientData = {
         ...form,
         quantity: parseFloat(form.quantity),
         minimum_quantity: parseFloat(form.minimum_quantity),
         unit_cost: parseFloat(form.unit_cost),
+        purchase_unit: keptUnit(form.purchase_unit),
+        recipe_unit: keptUnit(form.recipe_unit),
         image: imageUrl || form.image
       };
 
       let result;
       if (ingredient) {
-        result = await updateIngredient(ingredient.ingredient_id, ingredientData);
+        // Send how much the count changed so sales made meanwhile are kept
+        result = await updateIngredient(ingredient.ingredient_id, {
+          ...ingredientData,
+          quantity_change: ingredientData.quantity - (parseFloat(ingredient.quantity) || 0)
+        });
+        result = { ...result, ingredient_units: await saveIngredientUnits(ingredient.ingredient_id, units) };
         
         // Handle supplier association if needed
         if (selectedSupplierId) {
@@ -235,6 +286,10 @@ const IngredientForm = ({ ingredient = null, onSave = () => {}, onCancel = () =>
       } else {
         result = await addIngredient(ingredientData);
         
+        if (result?.ingredient_id) {
+          result = { ...result, ingredient_units: await saveIngredientUnits(result.ingredient_id, units) };
+        }
+        
         // Handle supplier association if needed
         if (selectedSupplierId && result?.ingredient_id) {
           try {
@@ -425,6 +480,17 @@ const IngredientForm = ({ ingredient = null, onSave = () => {}, onCancel = () =>
                       </p>
                     </div>
                   </div>
+                  {ingredient.ingredient_units?.length > 0 && (
+                    <div className="mt-3 text-xs text-gray-600 space-y-1">
+                      {ingredient.ingredient_units.map(row => (
+                        <p key={row.unit}>
+                          {describeUnitFactor(row.unit, row.factor, ingredient.unit)}
+                          {row.unit === ingredient.purchase_unit && <span className="ml-2 text-[#571C1F]">Purchase unit</span>}
+                          {row.unit === ingredient.recipe_unit && <span className="ml-2 text-[#571C1F]">Recipe unit</span>}
+                        </p>
+                      ))}
+                    </div>
+                  )}
                 </div>
                 
                 {/* Supplier Information */}
@@ -686,7 +752,7 @@ const IngredientForm = ({ ingredient = null, onSave = () => {}, onCancel = () =>
                     
                     <div>
                       <label htmlFor="unit_cost" className="block text-sm font-medium text-[#571C1F] mb-1">
-                        Unit Cost (₱) *
+                        Unit Cost (₱{form.unit ? ` per ${form.unit}` : ''}) *
                       </label>
                       <div className="flex rounded-md shadow-sm">
                         <span className="inline-flex items-center px-3 py-2 border border-r-0 border-gray-300 bg-gray-50 text-gray-500 rounded-l-md">
@@ -706,6 +772,123 @@ const IngredientForm = ({ ingredient = null, onSave = () => {}, onCancel = () =>
                     </div>
                   </div>
 
+                  {/* Other units this ingredient is bought or used in */}
+                  <div>
+                    <div className="flex items-center justify-between mb-1">
+                      <label className="block text-sm font-medium text-[#571C1F]">
+                        Unit Conversions
+                      </label>
+                      <button
+                        type="button"
+                        onClick={addUnitRow}
+                        disabled={!form.unit}
+                        className="text-xs text-[#571C1F] hover:underline disabled:opacity-50"
+                      >
+                        + Add unit
+                      </button>
+                    </div>
+                    {unitRows.length === 0 ? (
+                      <p className="text-xs text-gray-500">
+                        Stock, purchases and recipes all use {form.unit || 'the unit of measure'}
+                      </p>
+                    ) : (
+                      <div className="space-y-2">
+                        {unitRows.map((row, index) => (
+                          <div key={index} className="flex items-center space-x-2 text-sm">
+                            <span className="text-gray-500">1</span>
+                            <input
+                              type="text"
+                              list="ingredient_unit_names"
+                              value={row.unit}
+                              onChange={(e) => updateUnitRow(index, 'unit', e.target.value)}
+                              className="w-28 px-2 py-1 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F]"
+                              placeholder="e.g. case"
+                            />
+                            <span className="text-gray-500">=</span>
+                            <input
+                              type="number"
+                              min="0"
+                              step="any"
+                              value={row.quantity}
+                              onChange={(e) => updateUnitRow(index, 'quantity', e.target.value)}
+                              className="w-24 px-2 py-1 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F]"
+                            />
+                            <select
+                              value={row.per_unit}
+                              onChange={(e) => updateUnitRow(index, 'per_unit', e.target.value)}
+                              className="w-28 px-2 py-1 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F]"
+                            >
+                              <option value="">{form.unit}</option>
+                              {unitRows
+                                .filter((other, otherIndex) => otherIndex !== index && other.unit.trim())
+                                .map(other => (
+                                  <option key={other.unit} value={other.unit.trim()}>{other.unit.trim()}</option>
+                                ))}
+                            </select>
+                            <button
+                              type="button"
+                              onClick={() => removeUnitRow(index)}
+                              className="text-xs text-red-600 hover:text-red-800"
+                            >
+                              Remove
+                            </button>
+                          </div>
+                        ))}
+                        <datalist id="ingredient_unit_names">
+                          {UNITS.map(unit => (
+                            <option key={unit.value} value={unit.value}>{unit.label}</option>
+                          ))}
+                        </datalist>
+                      </div>
+                    )}
+                  </div>
+
+                  {unitRows.length > 0 && (
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-8">
+                      <div>
+                        <label htmlFor="purchase_unit" className="block text-sm font-medium text-[#571C1F] mb-1">
+                          Purchase Unit
+                        </label>
+                        <select
+                          id="purchase_unit"
+                          name="purchase_unit"
+                          value={form.purchase_unit}
+                          onChange={handleChange}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F]"
+                        >
+                          <option value="">Stock unit ({form.unit})</option>
+                          {unitChoices.filter(unit => unit !== form.unit).map(unit => (
+                            <option key={unit} value={unit}>{unit}</option>
+                          ))}
+                        </select>
+                        <p className="mt-1 text-xs text-gray-500">
+                          New purchase order lines are ordered in this unit
+                        </p>
+                      </div>
+
+                      <div>
+                        <label htmlFor="recipe_unit" className="block text-sm font-medium text-[#571C1F] mb-1">
+                          Recipe Unit
+                        </label>
+                        <select
+                          id="recipe_unit"
+                          name="recipe_unit"
+                          value={form.recipe_unit}
+                          onChange={handleChange}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F]"
+                        >
+                          <option value="">Stock unit ({form.unit})</option>
+                          {unitChoices.filter(unit => unit !== form.unit).map(unit => (
+                            <option key={unit} value={unit}>{unit}</option>
+                          ))}
+                        </select>
+                        <p className="mt-1 text-xs text-gray-500">
+                          New recipe lines are written in this unit
+                        </p>
+                      </div>
+                    </div>
+                  )}
+
                   {/* Supplier Selection with improved handling */}
                   <div>
                     <label htmlFor="supplier_id" className="block text-sm font-medium text-[#571C1F] mb-1">
@@ -0,0 +1,113 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { useInventory } from '../../hooks/useInventory';
+import { lotExpiryStatus, describeExpiry } from '../../utils/lot-utils';
+
+const EXPIRY_STYLES = {
+  expired: 'bg-red-100 text-red-800',
+  expiring: 'bg-yellow-100 text-yellow-800'
+};
+
+const formatQuantity = (value) => parseFloat(parseFloat(value).toFixed(3));
+
+// Expiry dates are plain dates; received_at is a timestamp
+const formatDate = (value) => new Date(value.length > 10 ? value : `${value}T00:00:00`).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+});
+
+// Stock on hand of one ingredient by lot, in the order sales use it up.
+// onPullout, when given, offers a pullout for each expired lot.
+const IngredientLots = ({ ingredientId, unit = '', refreshKey = 0, onPullout }) => {
+  const { fetchIngredientLots } = useInventory();
+  const [lots, setLots] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setLoading(true);
+    fetchIngredientLots({ ingredientId })
+      .then(data => !cancelled && setLots(data))
+      .catch(() => !cancelled && setLots([]))
+      .finally(() => !cancelled && setLoading(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [ingredientId, refreshKey, fetchIngredientLots]);
+
+  return (
+    <div className="bg-white p-4 rounded-lg border border-[#571C1F]/10 shadow-sm">
+      <h4 className="text-sm font-medium text-[#571C1F] mb-3">Stock by Lot</h4>
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-[#571C1F]"></div>
+        </div>
+      ) : lots.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-4">No stock on hand</p>
+      ) : (
+        <div className="max-h-64 overflow-y-auto">
+          <table className="min-w-full text-sm">
+            <thead className="text-xs text-gray-500 text-left">
+              <tr>
+                <th className="py-1 pr-2 font-medium">Lot</th>
+                <th className="py-1 pr-2 font-medium">Expiry</th>
+                <th className="py-1 pr-2 font-medium">Received</th>
+                <th className="py-1 pr-2 font-medium text-right">On Hand</th>
+                <th className="py-1" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {lots.map(lot => {
+                const status = lotExpiryStatus(lot);
+
+                return (
+                  <tr key={lot.lot_id}>
+                    <td className="py-1 pr-2 text-[#571C1F]">
+                      {lot.lot_number || <span className="text-gray-400">Untracked</span>}
+                    </td>
+                    <td className="py-1 pr-2 whitespace-nowrap">
+                      {lot.expiry_date ? formatDate(lot.expiry_date) : <span className="text-gray-400">—</span>}
+                      {status && (
+                        <span className={`ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${EXPIRY_STYLES[status]}`}>
+                          {describeExpiry(lot)}
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-1 pr-2 text-gray-600 whitespace-nowrap">{formatDate(lot.received_at)}</td>
+                    <td className="py-1 pr-2 text-right whitespace-nowrap text-[#571C1F]">
+                      {formatQuantity(lot.quantity)} {unit}
+                    </td>
+                    <td className="py-1 text-right">
+                      {status === 'expired' && onPullout && (
+                        <button
+                          type="button"
+                          onClick={() => onPullout(lot)}
+                          className="text-xs text-red-600 hover:underline"
+                        >
+                          Pull out
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+IngredientLots.propTypes = {
+  ingredientId: PropTypes.number.isRequired,
+  unit: PropTypes.string,
+  refreshKey: PropTypes.number,
+  onPullout: PropTypes.func
+};
+
+export default IngredientLots;
@@ -1,10 +1,15 @@
 import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import PropTypes from 'prop-types';
 import Button from '../common/Button';
 import Modal from '../common/Modal'; // Add this import
 import placeholderImage from '../../assets/placeholder-image2.png'; 
 import { useInventory } from '../../hooks/useInventory';
 import IngredientForm from './IngredientForm'; // Add this import
+import StockMovementHistory from './StockMovementHistory';
+import IngredientLots from './IngredientLots';
+import { EXPIRY_WARNING_DAYS } from '../../services/constants';
+import { lotExpiryStatus, describeExpiry } from '../../utils/lot-utils';
 
 const InventoryList = ({ 
   data = [],
@@ -13,7 +18,8 @@ const InventoryList = ({
   onView,
   onEdit,
   onDelete,
-  onRefresh // Add this prop
+  onRefresh, // Add this prop
+  onPulloutLot // Pre-fills a pullout for an expired lot
 }) => {
   const [searchQuery, setSearchQuery] = useState('');
   const [sortConfig, setSortConfig] = useState({ key: null, direction: 'ascending' });
@@ -23,9 +29,39 @@ const InventoryList = ({
   const [supplierDetails, setSupplierDetails] = useState([]);
   const [loadingSuppliers, setLoadingSuppliers] = useState(false);
   const [viewMode, setViewMode] = useState(true); // New state to control view/edit mode
+  const [expiringLots, setExpiringLots] = useState([]);
+  const [lotsVersion, setLotsVersion] = useState(0);
   
   // Get supplier information from useInventory hook
-  const { getIngredientSuppliers, setPreferredSupplier } = useInventory();
+  const { getIngredientSuppliers, setPreferredSupplier, fetchIngredientLots } = useInventory();
+
+  // Lots that have expired or expire soon, reloaded with the list
+  useEffect(() => {
+    if (type !== 'ingredient') return;
+
+    let cancelled = false;
+    fetchIngredientLots({ expiringWithinDays: EXPIRY_WARNING_DAYS })
+      .then(lots => !cancelled && setExpiringLots(lots))
+      .catch(() => !cancelled && setExpiringLots([]));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [data, type, fetchIngredientLots]);
+
+  // Worst expiry status per ingredient, for the badge in its row
+  const expiryByIngredient = expiringLots.reduce((statuses, lot) => {
+    if (statuses[lot.ingredient_id] !== 'expired') {
+      statuses[lot.ingredient_id] = lotExpiryStatus(lot);
+    }
+    return statuses;
+  }, {});
+
+  const handlePulloutLot = (lot) => {
+    setShowDetailsModal(false);
+    setSelectedIngredient(null);
+    onPulloutLot(lot);
+  };
   
   // Function to load supplier details for an ingredient
   const loadSupplierDetails = async (ingredientId) => {
@@ -212,6 +248,13 @@ const InventoryList = ({
     );
   };
 
+  ImageWithFallback.propTypes = {
+    src: PropTypes.string,
+    alt: PropTypes.string,
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    className: PropTypes.string
+  };
+
   // Update the useEffect to properly handle refreshes when data changes
   useEffect(() => {
     // Clear any selection or modals when data changes (refreshes)
@@ -454,6 +497,15 @@ const InventoryList = ({
                     Low Stock
                   </motion.span>
                 )}
+                {expiryByIngredient[ingredient.ingredient_id] && (
+                  <span className={`ml-2 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${
+                    expiryByIngredient[ingredient.ingredient_id] === 'expired'
+                      ? 'bg-red-100 text-red-800'
+                      : 'bg-yellow-100 text-yellow-800'
+                  }`}>
+                    {expiryByIngredient[ingredient.ingredient_id] === 'expired' ? 'Expired Lot' : 'Expiring Soon'}
+                  </span>
+                )}
               </span>
             </td>
             <td className="px-6 py-4 text-sm text-gray-800 dark:text-[#571C1F] font-medium">
@@ -599,6 +651,25 @@ const InventoryList = ({
               ingredient={selectedIngredient}
               viewOnly={true}
             />
+            <div className="mt-6">
+              <StockMovementHistory
+                ingredientId={selectedIngredient.ingredient_id}
+                unit={selectedIngredient.unit}
+                onAdjusted={(result) => {
+                  setSelectedIngredient(prev => ({ ...prev, quantity: result.balance_after }));
+                  setLotsVersion(version => version + 1);
+                  if (onRefresh) onRefresh();
+                }}
+              />
+            </div>
+            <div className="mt-6">
+              <IngredientLots
+                ingredientId={selectedIngredient.ingredient_id}
+                unit={selectedIngredient.unit}
+                refreshKey={lotsVersion}
+                onPullout={onPulloutLot ? handlePulloutLot : undefined}
+              />
+            </div>
             <div className="mt-6 flex justify-end space-x-3">
               <Button
                 variant="outline"
@@ -659,6 +730,40 @@ const InventoryList = ({
         </div>
       </div>
 
+      {type === 'ingredient' && expiringLots.length > 0 && (
+        <div className="mb-4 p-4 bg-[#FFF6F2]/50 border border-[#571C1F]/10 rounded-lg">
+          <h4 className="text-sm font-medium text-[#571C1F] mb-2">
+            Lots expired or expiring within {EXPIRY_WARNING_DAYS} days
+          </h4>
+          <ul className="divide-y divide-[#571C1F]/10 text-sm">
+            {expiringLots.map(lot => (
+              <li key={lot.lot_id} className="py-1.5 flex items-center justify-between gap-2">
+                <span>
+                  <span className="font-medium text-[#571C1F]">{lot.ingredients?.name}</span>
+                  <span className="text-gray-600">
+                    {' '}· {lot.lot_number ? `Lot ${lot.lot_number}` : 'Untracked lot'} · {parseFloat(lot.quantity)} {lot.ingredients?.unit}
+                  </span>
+                </span>
+                <span className="flex items-center gap-3 whitespace-nowrap">
+                  <span className={lotExpiryStatus(lot) === 'expired' ? 'text-red-600' : 'text-yellow-700'}>
+                    {describeExpiry(lot)}
+                  </span>
+                  {lotExpiryStatus(lot) === 'expired' && onPulloutLot && (
+                    <button
+                      type="button"
+                      onClick={() => handlePulloutLot(lot)}
+                      className="text-xs text-red-600 hover:underline"
+                    >
+                      Pull out
+                    </button>
+                  )}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       <div className="overflow-x-auto">
         <div className="align-middle inline-block min-w-full">
           <div className="overflow-hidden border border-[#571C1F]/10 rounded-lg shadow-md">
@@ -696,4 +801,15 @@ const InventoryList = ({
   );
 };
 
+InventoryList.propTypes = {
+  data: PropTypes.arrayOf(PropTypes.object),
+  type: PropTypes.oneOf(['ingredient', 'item']),
+  loading: PropTypes.bool,
+  onView: PropTypes.func,
+  onEdit: PropTypes.func,
+  onDelete: PropTypes.func,
+  onRefresh: PropTypes.func,
+  onPulloutLot: PropTypes.func
+};
+
 export default InventoryList;
\ No newline at end of file
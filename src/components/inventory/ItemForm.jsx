@@ -3,8 +3,10 @@ import Button from '../common/Button';
 import { useInventory } from '../../hooks/useInventory';
 import Swal from 'sweetalert2';
 import FileUpload from '../common/FileUpload';
+import ItemModifiersEditor from './ItemModifiersEditor';
 import { motion } from 'framer-motion';
 import { PRODUCT_CATEGORIES } from '../../services/constants';
+import { ingredientUnitOptions, defaultIngredientUnit, describeStockEquivalent } from '../../utils/unit-utils';
 
 // Create a formatted version of PRODUCT_CATEGORIES for display purposes
 const formattedCategories = PRODUCT_CATEGORIES.map(category => ({
@@ -17,7 +19,7 @@ const formattedCategories = PRODUCT_CATEGORIES.map(category => ({
 }));
 
 const ItemForm = ({ item = null, ingredients = [], onSubmit, onCancel }) => {
-  const { addItem, updateItem, fetchItemIngredients, updateItemIngredients } = useInventory();
+  const { addItem, updateItem, fetchItemIngredients, updateItemIngredients, fetchModifierGroups, updateItemModifiers } = useInventory();
   const [loading, setLoading] = useState(false);
   const [loadingRecipe, setLoadingRecipe] = useState(false);
   const [form, setForm] = useState({
@@ -32,9 +34,13 @@ const ItemForm = ({ item = null, ingredients = [], onSubmit, onCancel }) => {
   
   // State for recipe ingredients
   const [recipeIngredients, setRecipeIngredients] = useState([
-    { ingredient_id: '', quantity: '' }
+    { ingredient_id: '', quantity: '', unit: '' }
   ]);
   
+  // State for modifier groups (size, milk, add-ons)
+  const [modifierGroups, setModifierGroups] = useState([]);
+  const [loadingModifiers, setLoadingModifiers] = useState(false);
+  
   // Set form data if editing an existing item
   useEffect(() => {
     if (item) {
@@ -51,9 +57,46 @@ const ItemForm = ({ item = null, ingredients = [], onSubmit, onCancel }) => {
       if (item.item_id && !item.is_externally_sourced) {
         loadRecipeIngredients(item.item_id);
       }
+      
+      if (item.item_id) {
+        loadModifierGroups(item.item_id);
+      }
     }
   }, [item]);
   
+  // Load existing modifier groups into editable form state
+  const loadModifierGroups = async (itemId) => {
+    try {
+      setLoadingModifiers(true);
+      const groups = await fetchModifierGroups(itemId);
+      
+      setModifierGroups(groups.map(group => ({
+        name: group.name,
+        is_required: group.is_required,
+        max_select: group.max_select,
+        modifiers: group.modifiers.map(mod => ({
+          name: mod.name,
+          price_delta: mod.price_delta.toString(),
+          is_default: mod.is_default,
+          recipe: mod.recipe.map(row => ({
+            ingredient_id: row.ingredient_id.toString(),
+            quantity: row.quantity.toString(),
+            unit: row.unit || ''
+          }))
+        }))
+      })));
+    } catch (error) {
+      console.error('Error loading modifiers:', error);
+      Swal.fire({
+        icon: 'error',
+        title: 'Error',
+        text: 'Failed to load item modifiers'
+      });
+    } finally {
+      setLoadingModifiers(false);
+    }
+  };
+  
   // Load existing recipe ingredients
   const loadRecipeIngredients = async (itemId) => {
     try {
@@ -64,7 +107,8 @@ const ItemForm = ({ item = null, ingredients = [], onSubmit, onCancel }) => {
         // Transform to match our state structure
         const formattedRecipe = recipe.map(ing => ({
           ingredient_id: ing.ingredient_id.toString(),
-          quantity: ing.quantity_per_item.toString()
+          quantity: ing.quantity_per_item.toString(),
+          unit: ing.recipe_unit || ''
         }));
         setRecipeIngredients(formattedRecipe);
       }
@@ -82,14 +126,14 @@ const ItemForm = ({ item = null, ingredients = [], onSubmit, onCancel }) => {
 
   // Handle adding a new ingredient row
   const addIngredientToRecipe = () => {
-    setRecipeIngredients([...recipeIngredients, { ingredient_id: '', quantity: '' }]);
+    setRecipeIngredients([...recipeIngredients, { ingredient_id: '', quantity: '', unit: '' }]);
   };
 
   // Handle removing an ingredient
   const removeIngredientFromRecipe = (index) => {
     if (recipeIngredients.length === 1) {
       // Keep at least one empty row
-      setRecipeIngredients([{ ingredient_id: '', quantity: '' }]);
+      setRecipeIngredients([{ ingredient_id: '', quantity: '', unit: '' }]);
     } else {
       const updated = [...recipeIngredients];
       updated.splice(index, 1);
@@ -101,6 +145,12 @@ const ItemForm = ({ item = null, ingredients = [], onSubmit, onCancel }) => {
   const handleRecipeIngredientChange = (index, field, value) => {
     const updated = [...recipeIngredients];
     updated[index][field] = value;
+    
+    // A newly chosen ingredient starts in its recipe unit
+    if (field === 'ingredient_id') {
+      updated[index].unit = defaultIngredientUnit(getIngredient(value), 'recipe');
+    }
+    
     setRecipeIngredients(updated);
   };
 
@@ -113,7 +163,7 @@ const ItemForm = ({ item = null, ingredients = [], onSubmit, onCancel }) => {
     
     // If externally sourced is checked, reset recipe ingredients
     if (name === 'is_externally_sourced' && checked) {
-      setRecipeIngredients([{ ingredient_id: '', quantity: '' }]);
+      setRecipeIngredients([{ ingredient_id: '', quantity: '', unit: '' }]);
     }
   };
 
@@ -142,6 +192,17 @@ const ItemForm = ({ item = null, ingredients = [], onSubmit, onCancel }) => {
       }
     }
     
+    // Validate modifier groups
+    for (let i = 0; i < modifierGroups.length; i++) {
+      const group = modifierGroups[i];
+      if (!group.name.trim()) return `Modifier group #${i + 1} needs a name`;
+      if (group.modifiers.length === 0) return `Add at least one option to ${group.name}`;
+      if (group.modifiers.some(mod => !mod.name.trim())) return `Every option in ${group.name} needs a name`;
+      if (group.modifiers.filter(mod => mod.is_default).length > (parseInt(group.max_select) || 1)) {
+        return `${group.name} has more defaults than its max choices`;
+      }
+    }
+    
     return null;
   };
 
@@ -183,12 +244,15 @@ const ItemForm = ({ item = null, ingredients = [], onSubmit, onCancel }) => {
           // Format recipe for API
           const formattedRecipe = validIngredients.map(ing => ({
             ingredient_id: parseInt(ing.ingredient_id),
-            quantity: parseFloat(ing.quantity)
+            quantity: parseFloat(ing.quantity),
+            unit: ing.unit || null
           }));
           
           await updateItemIngredients(item.item_id, formattedRecipe);
         }
         
+        await updateItemModifiers(item.item_id, modifierGroups);
+        
         Swal.fire({
           icon: 'success',
           title: 'Success',
@@ -208,12 +272,17 @@ const ItemForm = ({ item = null, ingredients = [], onSubmit, onCancel }) => {
           // Format recipe for API
           const formattedRecipe = validIngredients.map(ing => ({
             ingredient_id: parseInt(ing.ingredient_id),
-            quantity: parseFloat(ing.quantity)
+            quantity: parseFloat(ing.quantity),
+            unit: ing.unit || null
           }));
           
           await updateItemIngredients(result.item_id, formattedRecipe);
         }
         
+        if (result && modifierGroups.length > 0) {
+          await updateItemModifiers(result.item_id, modifierGroups);
+        }
+        
         Swal.fire({
           icon: 'success',
           title: 'Success',
@@ -269,11 +338,8 @@ const ItemForm = ({ item = null, ingredients = [], onSubmit, onCancel }) => {
     return ingredient ? ingredient.name : '';
   };
 
-  // Helper to get ingredient unit by ID
-  const getIngredientUnit = (id) => {
-    const ingredient = ingredients.find(i => i.ingredient_id.toString() === id);
-    return ingredient ? ingredient.unit : '';
-  };
+  // Helper to get an ingredient by ID
+  const getIngredient = (id) => ingredients.find(i => i.ingredient_id.toString() === id);
 
   return (
     <div className="max-w-6xl mx-auto">
@@ -497,8 +563,8 @@ const ItemForm = ({ item = null, ingredients = [], onSubmit, onCancel }) => {
                             </button>
                           </div>
                           
-                          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                            <div>
+                          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                            <div className="md:col-span-2">
                               <label className="block text-sm font-medium text-[#571C1F] mb-1">
                                 Ingredient *
                               </label>
@@ -518,7 +584,7 @@ const ItemForm = ({ item = null, ingredients = [], onSubmit, onCancel }) => {
                             
                             <div>
                               <label className="block text-sm font-medium text-[#571C1F] mb-1">
-                                Quantity {ing.ingredient_id ? `(${getIngredientUnit(ing.ingredient_id)})` : ''} *
+                                Quantity *
                               </label>
                               <input
                                 type="number"
@@ -528,6 +594,27 @@ const ItemForm = ({ item = null, ingredients = [], onSubmit, onCancel }) => {
                                 onChange={(e) => handleRecipeIngredientChange(index, 'quantity', e.target.value)}
                                 className="w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300"
                               />
+                              {ing.ingredient_id && (
+                                <p className="mt-1 text-xs text-gray-500">
+                                  {describeStockEquivalent(ing.quantity, getIngredient(ing.ingredient_id), ing.unit)}
+                                </p>
+                              )}
+                            </div>
+                            
+                            <div>
+                              <label className="block text-sm font-medium text-[#571C1F] mb-1">
+                                Unit
+                              </label>
+                              <select
+                                value={ing.unit}
+                                onChange={(e) => handleRecipeIngredientChange(index, 'unit', e.target.value)}
+                                disabled={!ing.ingredient_id}
+                                className="w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300"
+                              >
+                                {ingredientUnitOptions(getIngredient(ing.ingredient_id)).map(unit => (
+                                  <option key={unit} value={unit}>{unit}</option>
+                                ))}
+                              </select>
                             </div>
                           </div>
                         </motion.div>
@@ -545,6 +632,21 @@ const ItemForm = ({ item = null, ingredients = [], onSubmit, onCancel }) => {
                 </div>
               </motion.div>
             )}
+
+            {/* Modifiers Section */}
+            <motion.div 
+              className="md:col-span-3"
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.3, delay: 0.3 }}
+            >
+              <ItemModifiersEditor
+                groups={modifierGroups}
+                ingredients={ingredients}
+                onChange={setModifierGroups}
+                loading={loadingModifiers}
+              />
+            </motion.div>
           </div>
           
           {/* Form Actions */}
@@ -565,7 +667,7 @@ const ItemForm = ({ item = null, ingredients = [], onSubmit, onCancel }) => {
             <Button
               type="submit"
               variant="primary"
-              disabled={loading || loadingRecipe}
+              disabled={loading || loadingRecipe || loadingModifiers}
             >
               {loading ? (
                 <span className="flex items-center">
@@ -0,0 +1,268 @@
+import { motion } from 'framer-motion';
+import PropTypes from 'prop-types';
+import Button from '../common/Button';
+import { ingredientUnitOptions, defaultIngredientUnit } from '../../utils/unit-utils';
+
+const emptyModifier = () => ({ name: '', price_delta: '', is_default: false, recipe: [] });
+const emptyGroup = () => ({ name: '', is_required: false, max_select: 1, modifiers: [emptyModifier()] });
+
+/**
+ * Editor for an item's modifier groups (size, milk, add-ons). Each modifier
+ * carries a price change and optional recipe deltas on top of the base recipe.
+ */
+const ItemModifiersEditor = ({ groups = [], ingredients = [], onChange, loading = false }) => {
+  const updateGroup = (groupIndex, changes) => {
+    onChange(groups.map((group, index) => (index === groupIndex ? { ...group, ...changes } : group)));
+  };
+
+  const updateModifier = (groupIndex, modIndex, changes) => {
+    const modifiers = groups[groupIndex].modifiers.map((mod, index) =>
+      index === modIndex ? { ...mod, ...changes } : mod
+    );
+    updateGroup(groupIndex, { modifiers });
+  };
+
+  const addGroup = () => onChange([...groups, emptyGroup()]);
+
+  const removeGroup = (groupIndex) => onChange(groups.filter((_, index) => index !== groupIndex));
+
+  const addModifier = (groupIndex) => {
+    updateGroup(groupIndex, { modifiers: [...groups[groupIndex].modifiers, emptyModifier()] });
+  };
+
+  const removeModifier = (groupIndex, modIndex) => {
+    updateGroup(groupIndex, {
+      modifiers: groups[groupIndex].modifiers.filter((_, index) => index !== modIndex)
+    });
+  };
+
+  const addRecipeDelta = (groupIndex, modIndex) => {
+    const mod = groups[groupIndex].modifiers[modIndex];
+    updateModifier(groupIndex, modIndex, { recipe: [...mod.recipe, { ingredient_id: '', quantity: '', unit: '' }] });
+  };
+
+  const updateRecipeDelta = (groupIndex, modIndex, rowIndex, field, value) => {
+    const mod = groups[groupIndex].modifiers[modIndex];
+    const recipe = mod.recipe.map((row, index) => {
+      if (index !== rowIndex) return row;
+      // A newly chosen ingredient starts in its recipe unit
+      return field === 'ingredient_id'
+        ? { ...row, ingredient_id: value, unit: defaultIngredientUnit(getIngredient(value), 'recipe') }
+        : { ...row, [field]: value };
+    });
+    updateModifier(groupIndex, modIndex, { recipe });
+  };
+
+  const removeRecipeDelta = (groupIndex, modIndex, rowIndex) => {
+    const mod = groups[groupIndex].modifiers[modIndex];
+    updateModifier(groupIndex, modIndex, { recipe: mod.recipe.filter((_, index) => index !== rowIndex) });
+  };
+
+  const getIngredient = (id) => ingredients.find(i => i.ingredient_id.toString() === id.toString());
+
+  const inputClass = 'w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300 text-sm';
+
+  return (
+    <div className="bg-white rounded-lg border border-[#571C1F]/10 p-6 shadow-sm">
+      <div className="flex justify-between items-center mb-4">
+        <div>
+          <h3 className="text-lg font-medium text-[#571C1F]">Modifiers & Variants</h3>
+          <p className="text-xs text-gray-500">Sizes, milk options and add-ons the cashier picks at the register</p>
+        </div>
+        <Button type="button" variant="primary" size="sm" onClick={addGroup}>
+          Add Group
+        </Button>
+      </div>
+
+      {loading ? (
+        <div className="bg-[#FFF6F2]/50 p-4 rounded-md text-center text-sm text-[#571C1F]">
+          Loading modifiers...
+        </div>
+      ) : groups.length === 0 ? (
+        <div className="bg-[#FFF6F2]/50 p-4 rounded-md border border-[#571C1F]/10">
+          <p className="text-sm text-gray-600 italic">This item has no modifiers.</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {groups.map((group, groupIndex) => (
+            <motion.div
+              key={groupIndex}
+              className="bg-[#FFF6F2] p-4 rounded-lg border border-[#571C1F]/10"
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.2 }}
+            >
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-[#571C1F] mb-1">Group Name *</label>
+                  <input
+                    type="text"
+                    value={group.name}
+                    onChange={(e) => updateGroup(groupIndex, { name: e.target.value })}
+                    className={inputClass}
+                    placeholder="e.g. Size, Milk, Add-ons"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-[#571C1F] mb-1">Max Choices</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={group.max_select}
+                    onChange={(e) => updateGroup(groupIndex, { max_select: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+                <div className="flex items-center justify-between">
+                  <label className="flex items-center cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={group.is_required}
+                      onChange={(e) => updateGroup(groupIndex, { is_required: e.target.checked })}
+                      className="h-4 w-4 text-[#571C1F] focus:ring-[#571C1F] border-gray-300 rounded"
+                    />
+                    <span className="ml-2 text-sm text-gray-700">Required</span>
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => removeGroup(groupIndex)}
+                    className="text-sm text-red-600 hover:text-red-800"
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+
+              <div className="mt-4 space-y-3">
+                {group.modifiers.map((mod, modIndex) => (
+                  <div key={modIndex} className="bg-white rounded-md border border-[#571C1F]/10 p-3">
+                    <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+                      <div className="md:col-span-2">
+                        <label className="block text-xs font-medium text-[#571C1F] mb-1">Option *</label>
+                        <input
+                          type="text"
+                          value={mod.name}
+                          onChange={(e) => updateModifier(groupIndex, modIndex, { name: e.target.value })}
+                          className={inputClass}
+                          placeholder="e.g. Large, Oat Milk"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-xs font-medium text-[#571C1F] mb-1">Price Change (₱)</label>
+                        <input
+                          type="number"
+                          step="0.01"
+                          value={mod.price_delta}
+                          onChange={(e) => updateModifier(groupIndex, modIndex, { price_delta: e.target.value })}
+                          className={inputClass}
+                          placeholder="0.00"
+                        />
+                      </div>
+                      <div className="flex items-center justify-between">
+                        <label className="flex items-center cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={mod.is_default}
+                            onChange={(e) => updateModifier(groupIndex, modIndex, { is_default: e.target.checked })}
+                            className="h-4 w-4 text-[#571C1F] focus:ring-[#571C1F] border-gray-300 rounded"
+                          />
+                          <span className="ml-2 text-xs text-gray-700">Default</span>
+                        </label>
+                        <button
+                          type="button"
+                          onClick={() => removeModifier(groupIndex, modIndex)}
+                          disabled={group.modifiers.length <= 1}
+                          className="text-xs text-red-600 hover:text-red-800 disabled:opacity-50"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    </div>
+
+                    {/* Recipe deltas applied when this option is chosen */}
+                    <div className="mt-3 space-y-2">
+                      {mod.recipe.map((row, rowIndex) => (
+                        <div key={rowIndex} className="grid grid-cols-6 gap-2 items-center">
+                          <select
+                            value={row.ingredient_id}
+                            onChange={(e) => updateRecipeDelta(groupIndex, modIndex, rowIndex, 'ingredient_id', e.target.value)}
+                            className={`${inputClass} col-span-3`}
+                          >
+                            <option value="">Select an ingredient</option>
+                            {ingredients.map(ingredient => (
+                              <option key={ingredient.ingredient_id} value={ingredient.ingredient_id}>
+                                {ingredient.name} ({ingredient.unit})
+                              </option>
+                            ))}
+                          </select>
+                          <input
+                            type="number"
+                            step="0.01"
+                            value={row.quantity}
+                            onChange={(e) => updateRecipeDelta(groupIndex, modIndex, rowIndex, 'quantity', e.target.value)}
+                            className={inputClass}
+                            placeholder="Qty"
+                          />
+                          <select
+                            value={row.unit || ''}
+                            onChange={(e) => updateRecipeDelta(groupIndex, modIndex, rowIndex, 'unit', e.target.value)}
+                            disabled={!row.ingredient_id}
+                            className={inputClass}
+                          >
+                            {ingredientUnitOptions(getIngredient(row.ingredient_id)).map(unit => (
+                              <option key={unit} value={unit}>{unit}</option>
+                            ))}
+                          </select>
+                          <button
+                            type="button"
+                            onClick={() => removeRecipeDelta(groupIndex, modIndex, rowIndex)}
+                            className="text-xs text-red-600 hover:text-red-800"
+                          >
+                            Remove
+                          </button>
+                        </div>
+                      ))}
+                      <button
+                        type="button"
+                        onClick={() => addRecipeDelta(groupIndex, modIndex)}
+                        className="text-xs text-[#571C1F] hover:underline"
+                      >
+                        + Ingredient change
+                      </button>
+                      {mod.recipe.length > 0 && (
+                        <p className="text-xs text-gray-500">
+                          Quantities are added to the base recipe. Use a negative amount to use less.
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => addModifier(groupIndex)}
+                  className="text-sm text-[#571C1F] font-medium hover:underline"
+                >
+                  + Add option
+                </button>
+              </div>
+            </motion.div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+ItemModifiersEditor.propTypes = {
+  groups: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string,
+    is_required: PropTypes.bool,
+    max_select: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    modifiers: PropTypes.arrayOf(PropTypes.object)
+  })),
+  ingredients: PropTypes.arrayOf(PropTypes.object),
+  onChange: PropTypes.func.isRequired,
+  loading: PropTypes.bool
+};
+
+export default ItemModifiersEditor;
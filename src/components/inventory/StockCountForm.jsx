@@ -0,0 +1,127 @@
+import { useState, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { format } from 'date-fns';
+import Button from '../common/Button';
+
+const inputClass = 'w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300 text-sm';
+
+const StockCountForm = ({ ingredients = [], onSubmit, onCancel, saving = false }) => {
+  const [name, setName] = useState(() => `${format(new Date(), 'MMMM yyyy')} count`);
+  const [zones, setZones] = useState('');
+  const [notes, setNotes] = useState('');
+  // Empty means every category
+  const [categories, setCategories] = useState([]);
+  const [error, setError] = useState(null);
+
+  const categoryOptions = useMemo(() => [...new Set(
+    ingredients.map(ingredient => ingredient.category || 'Uncategorized')
+  )].sort(), [ingredients]);
+
+  const selectedIngredients = categories.length === 0
+    ? ingredients
+    : ingredients.filter(ingredient => categories.includes(ingredient.category || 'Uncategorized'));
+
+  const toggleCategory = (category) => setCategories(prev => (
+    prev.includes(category) ? prev.filter(c => c !== category) : [...prev, category]
+  ));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!name.trim()) return setError('Name is required');
+    if (selectedIngredients.length === 0) return setError('Choose at least one category to count');
+
+    setError(null);
+    onSubmit({
+      name: name.trim(),
+      zones: zones.split(',').map(zone => zone.trim()).filter(Boolean),
+      ingredientIds: categories.length === 0 ? null : selectedIngredients.map(ingredient => ingredient.ingredient_id),
+      notes: notes.trim() || null
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div>
+        <label htmlFor="count_name" className="block text-xs font-medium text-gray-600 mb-1">Name</label>
+        <input
+          id="count_name"
+          type="text"
+          className={inputClass}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+      </div>
+
+      <div>
+        <label htmlFor="count_zones" className="block text-xs font-medium text-gray-600 mb-1">Zones (optional)</label>
+        <input
+          id="count_zones"
+          type="text"
+          className={inputClass}
+          value={zones}
+          onChange={(e) => setZones(e.target.value)}
+          placeholder="e.g. Bar, Kitchen, Stock Room"
+        />
+        <p className="mt-1 text-xs text-gray-500">
+          Separate zones with commas. Each zone is counted on its own and the zones are added up.
+        </p>
+      </div>
+
+      <div>
+        <span className="block text-xs font-medium text-gray-600 mb-1">Categories to count</span>
+        <div className="flex flex-wrap gap-2">
+          {categoryOptions.map(category => (
+            <label key={category} className="inline-flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                className="h-4 w-4 mr-1 text-[#571C1F] border-gray-300 rounded"
+                checked={categories.includes(category)}
+                onChange={() => toggleCategory(category)}
+              />
+              {category}
+            </label>
+          ))}
+        </div>
+        <p className="mt-1 text-xs text-gray-500">
+          {categories.length === 0 ? 'All' : selectedIngredients.length} of {ingredients.length} ingredients
+          will be counted. Their current quantities are frozen when the count starts.
+        </p>
+      </div>
+
+      <div>
+        <label htmlFor="count_notes" className="block text-xs font-medium text-gray-600 mb-1">Notes</label>
+        <textarea
+          id="count_notes"
+          rows={2}
+          className={inputClass}
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+        />
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex justify-end space-x-2 pt-2">
+        <Button variant="outline" size="sm" onClick={onCancel} disabled={saving}>
+          Cancel
+        </Button>
+        <Button type="submit" size="sm" disabled={saving}>
+          {saving ? 'Starting...' : 'Start Count'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+StockCountForm.propTypes = {
+  ingredients: PropTypes.arrayOf(PropTypes.shape({
+    ingredient_id: PropTypes.number.isRequired,
+    category: PropTypes.string
+  })),
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  saving: PropTypes.bool
+};
+
+export default StockCountForm;
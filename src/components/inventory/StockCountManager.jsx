@@ -0,0 +1,197 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { format } from 'date-fns';
+import Button from '../common/Button';
+import Modal from '../common/Modal';
+import { Spinner } from '../common/Spinner';
+import StockCountForm from './StockCountForm';
+import StockCountSession, { StockCountStatus } from './StockCountSession';
+import { useStockCounts } from '../../hooks/useStockCounts';
+import { usePermissions } from '../../hooks/usePermissions';
+import { summarizeCountLines } from '../../utils/stock-count-utils';
+import { PERMISSIONS, STOCK_COUNT_STATUS } from '../../services/constants';
+
+const formatPeso = (value) => `₱${Number(value || 0).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+/**
+ * Stock counts on the inventory page: the list of counts and, once one is
+ * opened, the count itself
+ */
+const StockCountManager = ({ ingredients = [], onStockChanged }) => {
+  const {
+    counts,
+    activeCount,
+    loading,
+    fetchStockCounts,
+    fetchStockCount,
+    startStockCount,
+    recordCountEntry,
+    submitStockCount,
+    reopenStockCount,
+    approveStockCount,
+    cancelStockCount,
+    setActiveCount
+  } = useStockCounts();
+  const { hasPermission } = usePermissions();
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const canCount = hasPermission(PERMISSIONS.INVENTORY.COUNT);
+  const canApprove = hasPermission(PERMISSIONS.INVENTORY.APPROVE_COUNT);
+  const hasOpenCount = counts.some(count =>
+    [STOCK_COUNT_STATUS.COUNTING, STOCK_COUNT_STATUS.SUBMITTED].includes(count.status));
+
+  useEffect(() => {
+    fetchStockCounts().catch(() => {});
+  }, [fetchStockCounts]);
+
+  const handleStart = async (countData) => {
+    setSaving(true);
+    try {
+      const count = await startStockCount(countData);
+      setShowForm(false);
+      await fetchStockCount(count.count_id);
+    } catch {
+      // Keep the form open
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Status changes reload the count so its lines match the server
+  const runAction = async (action) => {
+    setSaving(true);
+    try {
+      await action();
+      await fetchStockCount(activeCount.count_id);
+      fetchStockCounts().catch(() => {});
+    } catch {
+      // The count keeps its status
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleApprove = (reasons) => runAction(async () => {
+    await approveStockCount(activeCount.count_id, reasons);
+    onStockChanged?.();
+  });
+
+  if (activeCount) {
+    return (
+      <StockCountSession
+        key={`${activeCount.count_id}-${activeCount.status}`}
+        count={activeCount}
+        canCount={canCount}
+        canApprove={canApprove}
+        busy={saving}
+        onRecord={(ingredientId, zone, quantity, unit) =>
+          recordCountEntry(activeCount.count_id, ingredientId, zone, quantity, unit)}
+        onSubmit={() => runAction(() => submitStockCount(activeCount.count_id))}
+        onReopen={() => runAction(() => reopenStockCount(activeCount.count_id))}
+        onApprove={handleApprove}
+        onCancel={() => runAction(() => cancelStockCount(activeCount.count_id))}
+        onBack={() => {
+          setActiveCount(null);
+          fetchStockCounts().catch(() => {});
+        }}
+      />
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+        <p className="text-sm text-gray-600">
+          Count what is on the shelves; approved counts adjust stock to match, with a reason for every difference.
+        </p>
+        {canCount && (
+          <Button size="sm" onClick={() => setShowForm(true)} disabled={hasOpenCount}>
+            Start Count
+          </Button>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg border border-[#571C1F]/10 shadow-sm overflow-x-auto">
+        {loading && counts.length === 0 ? (
+          <div className="flex justify-center py-12">
+            <Spinner size="lg" color="#571C1F" />
+          </div>
+        ) : counts.length === 0 ? (
+          <p className="text-center py-12 text-sm text-gray-500">No stock counts yet</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead className="bg-[#FFF6F2] text-xs text-[#571C1F] text-left uppercase tracking-wider">
+              <tr>
+                <th className="px-4 py-2 font-medium">Name</th>
+                <th className="px-4 py-2 font-medium">Started</th>
+                <th className="px-4 py-2 font-medium">Zones</th>
+                <th className="px-4 py-2 font-medium">Status</th>
+                <th className="px-4 py-2 font-medium text-right">Counted</th>
+                {canApprove && <th className="px-4 py-2 font-medium text-right">Net Variance</th>}
+                <th className="px-4 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {counts.map(count => {
+                const summary = summarizeCountLines(count.stock_count_lines);
+
+                return (
+                  <tr key={count.count_id}>
+                    <td className="px-4 py-2 font-medium text-gray-900">{count.name}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-600">
+                      {format(new Date(count.started_at), 'MMM d, yyyy h:mm a')}
+                    </td>
+                    <td className="px-4 py-2 text-gray-600">{count.zones?.length ? count.zones.join(', ') : '—'}</td>
+                    <td className="px-4 py-2"><StockCountStatus status={count.status} /></td>
+                    <td className="px-4 py-2 text-right whitespace-nowrap">{summary.counted} of {summary.total}</td>
+                    {canApprove && (
+                      <td className={`px-4 py-2 text-right whitespace-nowrap ${summary.netValue < 0 ? 'text-red-600' : 'text-gray-800'}`}>
+                        {formatPeso(summary.netValue)}
+                      </td>
+                    )}
+                    <td className="px-4 py-2 text-right">
+                      <button
+                        type="button"
+                        onClick={() => fetchStockCount(count.count_id).catch(() => {})}
+                        className="text-xs text-[#571C1F] hover:underline"
+                      >
+                        {count.status === STOCK_COUNT_STATUS.COUNTING && canCount ? 'Continue' : 'Open'}
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <Modal
+        isOpen={showForm}
+        onClose={() => !saving && setShowForm(false)}
+        title="Start Stock Count"
+        size="md"
+      >
+        {showForm && (
+          <StockCountForm
+            ingredients={ingredients}
+            onSubmit={handleStart}
+            onCancel={() => setShowForm(false)}
+            saving={saving}
+          />
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+StockCountManager.propTypes = {
+  ingredients: PropTypes.array,
+  onStockChanged: PropTypes.func
+};
+
+export default StockCountManager;
@@ -0,0 +1,404 @@
+import { useState, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { format } from 'date-fns';
+import Button from '../common/Button';
+import { ingredientUnitOptions, describeStockEquivalent } from '../../utils/unit-utils';
+import { countLineVariance, summarizeCountLines } from '../../utils/stock-count-utils';
+import { STOCK_COUNT_STATUS } from '../../services/constants';
+
+const inputClass = 'px-2 py-1 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300 text-sm';
+
+const STATUS_STYLES = {
+  counting: 'bg-blue-100 text-blue-800',
+  submitted: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-100 text-gray-600'
+};
+
+const formatQuantity = (value) => parseFloat(parseFloat(value).toFixed(3));
+
+const formatPeso = (value) => `₱${Number(value || 0).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const varianceClass = (value) => (value < 0 ? 'text-red-600' : value > 0 ? 'text-green-700' : 'text-gray-500');
+
+export const StockCountStatus = ({ status }) => (
+  <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full capitalize ${STATUS_STYLES[status] || 'bg-gray-100 text-gray-800'}`}>
+    {status}
+  </span>
+);
+
+StockCountStatus.propTypes = {
+  status: PropTypes.string.isRequired
+};
+
+/**
+ * One stock count: staff record quantities zone by zone while it is open,
+ * and managers see the expected quantities, give reasons for differences
+ * and approve. Counters without approval rights count blind.
+ */
+const StockCountSession = ({
+  count,
+  canCount = false,
+  canApprove = false,
+  busy = false,
+  onRecord,
+  onSubmit,
+  onReopen,
+  onApprove,
+  onCancel,
+  onBack
+}) => {
+  const zones = count.zones || [];
+  const [zone, setZone] = useState(zones[0] || '');
+  const [search, setSearch] = useState('');
+  // Unsaved quantities of the current zone, keyed by ingredient ID
+  const [drafts, setDrafts] = useState({});
+  const [savingId, setSavingId] = useState(null);
+  const [reasons, setReasons] = useState(() => Object.fromEntries(
+    (count.lines || []).map(line => [line.ingredient_id, line.reason || ''])
+  ));
+  const [approveError, setApproveError] = useState(null);
+
+  const isCounting = count.status === STOCK_COUNT_STATUS.COUNTING;
+  const isSubmitted = count.status === STOCK_COUNT_STATUS.SUBMITTED;
+  const isOpen = isCounting || isSubmitted;
+  const editable = isCounting && canCount;
+
+  const summary = useMemo(() => summarizeCountLines(count.lines), [count.lines]);
+
+  const lines = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return (count.lines || []).filter(line => !term ||
+      (line.ingredients?.name || '').toLowerCase().includes(term) ||
+      (line.ingredients?.category || '').toLowerCase().includes(term));
+  }, [count.lines, search]);
+
+  const entryFor = (ingredientId) => (count.entries || []).find(entry =>
+    entry.ingredient_id === ingredientId && entry.zone === zone);
+
+  const draftFor = (line) => {
+    if (drafts[line.ingredient_id]) return drafts[line.ingredient_id];
+    const entry = entryFor(line.ingredient_id);
+    return {
+      quantity: entry ? String(formatQuantity(entry.counted_quantity)) : '',
+      unit: entry?.unit || line.ingredients?.unit || ''
+    };
+  };
+
+  const updateDraft = (line, changes) => setDrafts(prev => ({
+    ...prev,
+    [line.ingredient_id]: { ...draftFor(line), ...changes }
+  }));
+
+  const clearDraft = (ingredientId) => setDrafts(prev => {
+    const next = { ...prev };
+    delete next[ingredientId];
+    return next;
+  });
+
+  // Save a row once it leaves the field, unless nothing changed
+  const commit = async (line, draft = drafts[line.ingredient_id]) => {
+    if (!draft) return;
+
+    const entry = entryFor(line.ingredient_id);
+    const stockUnit = line.ingredients?.unit || '';
+    const quantity = draft.quantity.trim() === '' ? null : parseFloat(draft.quantity);
+    const unit = draft.unit && draft.unit !== stockUnit ? draft.unit : null;
+
+    if (quantity !== null && (isNaN(quantity) || quantity < 0)) return;
+
+    const unchanged = entry
+      ? quantity === Number(entry.counted_quantity) && unit === (entry.unit || null)
+      : quantity === null;
+
+    if (unchanged) {
+      clearDraft(line.ingredient_id);
+      return;
+    }
+
+    setSavingId(line.ingredient_id);
+    try {
+      await onRecord(line.ingredient_id, zone, quantity, unit);
+      clearDraft(line.ingredient_id);
+    } catch {
+      // Keep the typed count in the row
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const handleZoneChange = (nextZone) => {
+    setDrafts({});
+    setZone(nextZone);
+  };
+
+  const handleSubmit = () => {
+    const uncounted = summary.total - summary.counted;
+    const message = uncounted > 0
+      ? `${uncounted} ingredient(s) have not been counted and will be left as they are. Submit the count?`
+      : 'Submit the count for approval?';
+    if (window.confirm(message)) onSubmit();
+  };
+
+  const handleApprove = () => {
+    const missing = (count.lines || []).find(line => {
+      const result = countLineVariance(line);
+      return result && result.variance !== 0 && !(reasons[line.ingredient_id] || '').trim();
+    });
+
+    if (missing) {
+      setApproveError(`Give a reason for the difference in ${missing.ingredients?.name || 'each ingredient'}`);
+      return;
+    }
+
+    setApproveError(null);
+    if (!window.confirm(`Post ${summary.differences} stock adjustment(s) worth ${formatPeso(summary.netValue)} in total?`)) return;
+
+    onApprove(Object.fromEntries(Object.entries(reasons)
+      .map(([id, reason]) => [id, reason.trim()])
+      .filter(([, reason]) => reason)));
+  };
+
+  const handleCancel = () => {
+    if (window.confirm(`Cancel "${count.name}"? Nothing will be adjusted.`)) onCancel();
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2">
+        <div>
+          <button type="button" onClick={onBack} className="text-xs text-[#571C1F] hover:underline mb-1">
+            ← All counts
+          </button>
+          <div className="flex items-center gap-2">
+            <h2 className="text-lg font-semibold text-[#571C1F]">{count.name}</h2>
+            <StockCountStatus status={count.status} />
+          </div>
+          <p className="text-sm text-gray-600">
+            Started {format(new Date(count.started_at), 'MMM d, yyyy h:mm a')}
+            {count.approved_at && ` · Approved ${format(new Date(count.approved_at), 'MMM d, yyyy h:mm a')}`}
+          </p>
+          {count.notes && <p className="text-sm text-gray-500 mt-1">{count.notes}</p>}
+        </div>
+
+        {isOpen && (
+          <div className="flex flex-wrap gap-2">
+            {canApprove && (
+              <Button variant="outline" size="sm" onClick={handleCancel} disabled={busy}>
+                Cancel Count
+              </Button>
+            )}
+            {isCounting && canCount && (
+              <Button size="sm" onClick={handleSubmit} disabled={busy || summary.counted === 0}>
+                Submit for Approval
+              </Button>
+            )}
+            {isSubmitted && canApprove && (
+              <>
+                <Button variant="outline" size="sm" onClick={onReopen} disabled={busy}>
+                  Reopen for Recount
+                </Button>
+                <Button variant="secondary" size="sm" onClick={handleApprove} disabled={busy}>
+                  Approve &amp; Adjust Stock
+                </Button>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <div className="bg-white p-3 rounded-lg border border-[#571C1F]/10 shadow-sm">
+          <p className="text-xs text-gray-500">Counted</p>
+          <p className="text-lg font-semibold text-[#571C1F]">{summary.counted} of {summary.total}</p>
+        </div>
+        {canApprove && (
+          <>
+            <div className="bg-white p-3 rounded-lg border border-[#571C1F]/10 shadow-sm">
+              <p className="text-xs text-gray-500">Shortages</p>
+              <p className="text-lg font-semibold text-red-600">{formatPeso(summary.shortageValue)}</p>
+            </div>
+            <div className="bg-white p-3 rounded-lg border border-[#571C1F]/10 shadow-sm">
+              <p className="text-xs text-gray-500">Overages</p>
+              <p className="text-lg font-semibold text-green-700">{formatPeso(summary.overageValue)}</p>
+            </div>
+            <div className="bg-white p-3 rounded-lg border border-[#571C1F]/10 shadow-sm">
+              <p className="text-xs text-gray-500">Net Variance</p>
+              <p className={`text-lg font-semibold ${varianceClass(summary.netValue)}`}>{formatPeso(summary.netValue)}</p>
+            </div>
+          </>
+        )}
+      </div>
+
+      <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+        {zones.length > 0 && (
+          <div className="flex flex-wrap gap-1">
+            {zones.map(name => (
+              <button
+                key={name}
+                type="button"
+                onClick={() => handleZoneChange(name)}
+                className={`px-3 py-1 text-sm rounded-full border ${zone === name
+                  ? 'bg-[#571C1F] text-white border-[#571C1F]'
+                  : 'bg-white text-[#571C1F] border-[#571C1F]/30 hover:bg-[#571C1F]/5'}`}
+              >
+                {name}
+              </button>
+            ))}
+          </div>
+        )}
+        <input
+          type="search"
+          className={`${inputClass} sm:ml-auto sm:w-64`}
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Find an ingredient"
+        />
+      </div>
+
+      {approveError && <p className="text-sm text-red-600">{approveError}</p>}
+
+      <div className="bg-white rounded-lg border border-[#571C1F]/10 shadow-sm overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead className="bg-[#FFF6F2] text-xs text-[#571C1F] text-left uppercase tracking-wider">
+            <tr>
+              <th className="px-4 py-2 font-medium">Ingredient</th>
+              {isCounting && <th className="px-4 py-2 font-medium">{zone ? `Found in ${zone}` : 'Found'}</th>}
+              <th className="px-4 py-2 font-medium text-right">Counted</th>
+              {canApprove && (
+                <>
+                  <th className="px-4 py-2 font-medium text-right">Expected</th>
+                  <th className="px-4 py-2 font-medium text-right">Variance</th>
+                  <th className="px-4 py-2 font-medium text-right">Value</th>
+                  <th className="px-4 py-2 font-medium">Reason</th>
+                </>
+              )}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {lines.map(line => {
+              const ingredient = line.ingredients;
+              const draft = draftFor(line);
+              const entry = entryFor(line.ingredient_id);
+              const result = countLineVariance(line);
+              const zoneEntries = (count.entries || []).filter(e => e.ingredient_id === line.ingredient_id);
+
+              return (
+                <tr key={line.ingredient_id}>
+                  <td className="px-4 py-2">
+                    <p className="font-medium text-gray-900">{ingredient?.name || 'Unknown'}</p>
+                    <p className="text-xs text-gray-500">{ingredient?.category || 'Uncategorized'}</p>
+                  </td>
+                  {isCounting && (
+                    <td className="px-4 py-2 whitespace-nowrap">
+                      {editable ? (
+                        <div className="flex items-center gap-1">
+                          <input
+                            type="number"
+                            min="0"
+                            step="any"
+                            className={`${inputClass} w-24`}
+                            value={draft.quantity}
+                            onChange={(e) => updateDraft(line, { quantity: e.target.value })}
+                            onBlur={() => commit(line)}
+                            onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                            disabled={savingId === line.ingredient_id}
+                          />
+                          <select
+                            className={inputClass}
+                            value={draft.unit}
+                            onChange={(e) => {
+                              const next = { ...draft, unit: e.target.value };
+                              updateDraft(line, next);
+                              if (next.quantity.trim() !== '') commit(line, next);
+                            }}
+                            disabled={savingId === line.ingredient_id}
+                          >
+                            {ingredientUnitOptions(ingredient).map(unit => (
+                              <option key={unit} value={unit}>{unit}</option>
+                            ))}
+                          </select>
+                        </div>
+                      ) : (
+                        <span>{entry ? `${formatQuantity(entry.counted_quantity)} ${entry.unit || ingredient?.unit || ''}` : '—'}</span>
+                      )}
+                      <p className="text-xs text-gray-500 mt-0.5">
+                        {describeStockEquivalent(draft.quantity, ingredient, draft.unit)}
+                        {entry?.counted_by_name && ` Counted by ${entry.counted_by_name}`}
+                      </p>
+                    </td>
+                  )}
+                  <td className="px-4 py-2 text-right whitespace-nowrap">
+                    {result ? `${formatQuantity(result.counted)} ${ingredient?.unit || ''}` : <span className="text-gray-400">Not counted</span>}
+                    {zones.length > 1 && zoneEntries.length > 0 && (
+                      <p className="text-xs text-gray-500">
+                        {zoneEntries.map(e => `${e.zone}: ${formatQuantity(e.counted_quantity)} ${e.unit || ingredient?.unit || ''}`).join(' · ')}
+                      </p>
+                    )}
+                  </td>
+                  {canApprove && (
+                    <>
+                      <td className="px-4 py-2 text-right whitespace-nowrap text-gray-600">
+                        {formatQuantity(line.expected_quantity)} {ingredient?.unit || ''}
+                      </td>
+                      <td className={`px-4 py-2 text-right whitespace-nowrap font-medium ${varianceClass(result?.variance || 0)}`}>
+                        {result ? `${result.variance > 0 ? '+' : ''}${formatQuantity(result.variance)}` : '—'}
+                      </td>
+                      <td className={`px-4 py-2 text-right whitespace-nowrap ${varianceClass(result?.value || 0)}`}>
+                        {result ? formatPeso(result.value) : '—'}
+                      </td>
+                      <td className="px-4 py-2 min-w-[12rem]">
+                        {isSubmitted && result && result.variance !== 0 ? (
+                          <input
+                            type="text"
+                            className={`${inputClass} w-full`}
+                            value={reasons[line.ingredient_id] || ''}
+                            onChange={(e) => setReasons(prev => ({ ...prev, [line.ingredient_id]: e.target.value }))}
+                            placeholder="e.g. Spillage, wastage, miscount"
+                          />
+                        ) : (
+                          <span className="text-gray-600">{line.reason || ''}</span>
+                        )}
+                      </td>
+                    </>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {lines.length === 0 && (
+          <p className="text-center py-8 text-sm text-gray-500">No ingredients match your search</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+StockCountSession.propTypes = {
+  count: PropTypes.shape({
+    count_id: PropTypes.number.isRequired,
+    name: PropTypes.string.isRequired,
+    status: PropTypes.string.isRequired,
+    zones: PropTypes.arrayOf(PropTypes.string),
+    notes: PropTypes.string,
+    started_at: PropTypes.string,
+    approved_at: PropTypes.string,
+    lines: PropTypes.array,
+    entries: PropTypes.array
+  }).isRequired,
+  canCount: PropTypes.bool,
+  canApprove: PropTypes.bool,
+  busy: PropTypes.bool,
+  onRecord: PropTypes.func.isRequired,
+  onSubmit: PropTypes.func.isRequired,
+  onReopen: PropTypes.func.isRequired,
+  onApprove: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  onBack: PropTypes.func.isRequired
+};
+
+export default StockCountSession;
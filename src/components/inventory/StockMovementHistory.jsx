@@ -0,0 +1,196 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import Button from '../common/Button';
+import { useInventory } from '../../hooks/useInventory';
+import { usePermissions } from '../../hooks/usePermissions';
+import { PERMISSIONS, STOCK_MOVEMENT_TYPES } from '../../services/constants';
+
+const inputClass = 'w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300 text-sm';
+
+const formatDateTime = (value) => new Date(value).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const EMPTY_ADJUSTMENT = { quantity: '', notes: '', lot_number: '', expiry_date: '' };
+
+const formatQuantity = (value) => parseFloat(parseFloat(value).toFixed(3));
+
+// Where a movement came from, e.g. "Sale #120" or "PO #15"
+const referenceLabel = (movement) => {
+  if (!movement.reference_id) return null;
+  const prefix = {
+    sale: 'Sale',
+    refund: 'Refund',
+    purchase: 'PO',
+    goods_receipt: 'Receipt',
+    pullout: 'Pullout',
+    consignment: 'Consignment',
+    stock_count: 'Count'
+  }[movement.reference_type] || movement.reference_type;
+  return `${prefix} #${movement.reference_id}`;
+};
+
+const StockMovementHistory = ({ ingredientId, unit = '', onAdjusted }) => {
+  const { fetchStockMovements, adjustStock } = useInventory();
+  const { hasPermission } = usePermissions();
+  const [movements, setMovements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showAdjust, setShowAdjust] = useState(false);
+  const [adjustment, setAdjustment] = useState(EMPTY_ADJUSTMENT);
+  const [saving, setSaving] = useState(false);
+
+  const canAdjust = hasPermission(PERMISSIONS.INVENTORY.ADJUST);
+
+  const loadMovements = useCallback(async () => {
+    setLoading(true);
+    try {
+      setMovements(await fetchStockMovements(ingredientId));
+    } catch {
+      setMovements([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [ingredientId, fetchStockMovements]);
+
+  useEffect(() => {
+    loadMovements();
+  }, [loadMovements]);
+
+  const handleAdjust = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const result = await adjustStock(ingredientId, parseFloat(adjustment.quantity), adjustment.notes.trim(), {
+        lot_number: adjustment.lot_number.trim(),
+        expiry_date: adjustment.expiry_date
+      });
+      setAdjustment(EMPTY_ADJUSTMENT);
+      setShowAdjust(false);
+      await loadMovements();
+      if (onAdjusted) onAdjusted(result);
+    } catch {
+      // adjustStock already reported the error
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const adjustmentValid = parseFloat(adjustment.quantity) && adjustment.notes.trim();
+
+  return (
+    <div className="bg-white p-4 rounded-lg border border-[#571C1F]/10 shadow-sm">
+      <div className="flex justify-between items-center mb-3">
+        <h4 className="text-sm font-medium text-[#571C1F]">Stock Movements</h4>
+        {canAdjust && !showAdjust && (
+          <Button variant="outline" size="sm" onClick={() => setShowAdjust(true)}>
+            Adjust Stock
+          </Button>
+        )}
+      </div>
+
+      {showAdjust && (
+        <form onSubmit={handleAdjust} className="mb-4 p-3 bg-[#FFF6F2]/50 rounded border border-[#571C1F]/10 space-y-2">
+          <div className="grid grid-cols-3 gap-2">
+            <input
+              type="number"
+              step="any"
+              className={inputClass}
+              value={adjustment.quantity}
+              onChange={(e) => setAdjustment(prev => ({ ...prev, quantity: e.target.value }))}
+              placeholder={`± ${unit}`.trim()}
+            />
+            <input
+              type="text"
+              className={`${inputClass} col-span-2`}
+              value={adjustment.notes}
+              onChange={(e) => setAdjustment(prev => ({ ...prev, notes: e.target.value }))}
+              placeholder="Reason, e.g. recount or spillage"
+            />
+          </div>
+          {parseFloat(adjustment.quantity) > 0 && (
+            <div className="grid grid-cols-2 gap-2">
+              <input
+                type="text"
+                className={inputClass}
+                value={adjustment.lot_number}
+                onChange={(e) => setAdjustment(prev => ({ ...prev, lot_number: e.target.value }))}
+                placeholder="Lot number (optional)"
+              />
+              <input
+                type="date"
+                className={inputClass}
+                value={adjustment.expiry_date}
+                onChange={(e) => setAdjustment(prev => ({ ...prev, expiry_date: e.target.value }))}
+                title="Expiry date (optional)"
+              />
+            </div>
+          )}
+          <p className="text-xs text-gray-500">
+            Use a negative quantity to remove stock; it comes out of the first-expiring lots.
+          </p>
+          <div className="flex justify-end space-x-2">
+            <Button variant="outline" size="sm" onClick={() => setShowAdjust(false)} disabled={saving}>
+              Cancel
+            </Button>
+            <Button type="submit" size="sm" disabled={saving || !adjustmentValid}>
+              {saving ? 'Saving...' : 'Save Adjustment'}
+            </Button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-[#571C1F]"></div>
+        </div>
+      ) : movements.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-4">No stock movements recorded yet</p>
+      ) : (
+        <div className="max-h-64 overflow-y-auto">
+          <table className="min-w-full text-sm">
+            <thead className="text-xs text-gray-500 text-left">
+              <tr>
+                <th className="py-1 pr-2 font-medium">Date</th>
+                <th className="py-1 pr-2 font-medium">Movement</th>
+                <th className="py-1 pr-2 font-medium text-right">Change</th>
+                <th className="py-1 font-medium text-right">Balance</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {movements.map(movement => (
+                <tr key={movement.movement_id}>
+                  <td className="py-1 pr-2 text-gray-600 whitespace-nowrap">{formatDateTime(movement.created_at)}</td>
+                  <td className="py-1 pr-2">
+                    <span className="text-[#571C1F]">{STOCK_MOVEMENT_TYPES[movement.movement_type] || movement.movement_type}</span>
+                    {(referenceLabel(movement) || movement.notes) && (
+                      <span className="block text-xs text-gray-500">
+                        {[referenceLabel(movement), movement.notes].filter(Boolean).join(' · ')}
+                      </span>
+                    )}
+                  </td>
+                  <td className={`py-1 pr-2 text-right whitespace-nowrap ${movement.quantity < 0 ? 'text-red-600' : 'text-green-700'}`}>
+                    {movement.quantity > 0 ? '+' : ''}{formatQuantity(movement.quantity)}
+                  </td>
+                  <td className="py-1 text-right whitespace-nowrap text-[#571C1F]">
+                    {formatQuantity(movement.balance_after)} {unit}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+StockMovementHistory.propTypes = {
+  ingredientId: PropTypes.number.isRequired,
+  unit: PropTypes.string,
+  onAdjusted: PropTypes.func
+};
+
+export default StockMovementHistory;
@@ -0,0 +1,129 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { AnimatePresence } from 'framer-motion';
+import KitchenTicket from './KitchenTicket';
+import { Spinner } from '../common/Spinner';
+import { useKitchen } from '../../hooks/useKitchen';
+import { ORDER_STATUS } from '../../services/constants';
+import { formatDuration } from '../../utils/date-utils';
+
+// How often ticket timers and today's prep times refresh
+const CLOCK_INTERVAL = 15 * 1000;
+const SUMMARY_INTERVAL = 60 * 1000;
+
+const KitchenDisplay = () => {
+  const { tickets, loading, fetchTickets, bumpTicket, fetchPrepSummary } = useKitchen();
+  const [now, setNow] = useState(new Date());
+  const [showCompleted, setShowCompleted] = useState(false);
+  const [prepSummary, setPrepSummary] = useState(null);
+
+  const loadPrepSummary = useCallback(async () => {
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+    const endOfDay = new Date(startOfDay);
+    endOfDay.setDate(endOfDay.getDate() + 1);
+
+    try {
+      setPrepSummary(await fetchPrepSummary({ startDate: startOfDay, endDate: endOfDay }));
+    } catch {
+      setPrepSummary(null);
+    }
+  }, [fetchPrepSummary]);
+
+  useEffect(() => {
+    fetchTickets().catch(() => {});
+    loadPrepSummary();
+  }, [fetchTickets, loadPrepSummary]);
+
+  useEffect(() => {
+    const clock = setInterval(() => setNow(new Date()), CLOCK_INTERVAL);
+    const summary = setInterval(loadPrepSummary, SUMMARY_INTERVAL);
+    return () => {
+      clearInterval(clock);
+      clearInterval(summary);
+    };
+  }, [loadPrepSummary]);
+
+  const activeTickets = useMemo(() => tickets
+    .filter(ticket => ticket.status !== ORDER_STATUS.COMPLETED)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at)), [tickets]);
+
+  const completedTickets = useMemo(() => tickets
+    .filter(ticket => ticket.status === ORDER_STATUS.COMPLETED)
+    .sort((a, b) => new Date(b.completed_at) - new Date(a.completed_at)), [tickets]);
+
+  const countByStatus = (status) => activeTickets.filter(ticket => ticket.status === status).length;
+
+  const handleBump = async (ticketId) => {
+    const ticket = await bumpTicket(ticketId);
+    if (ticket.status === ORDER_STATUS.READY) loadPrepSummary();
+  };
+
+  const handleRecall = (ticketId) => bumpTicket(ticketId, ORDER_STATUS.READY);
+
+  const shownTickets = showCompleted ? completedTickets : activeTickets;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap justify-between items-center gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-[#571C1F]">Kitchen Display</h1>
+          <p className="text-sm text-gray-600">
+            {countByStatus(ORDER_STATUS.PENDING)} waiting · {countByStatus(ORDER_STATUS.IN_PROGRESS)} in progress · {countByStatus(ORDER_STATUS.READY)} ready
+          </p>
+        </div>
+
+        <div className="flex items-center gap-4">
+          {prepSummary && prepSummary.ticket_count > 0 && (
+            <div className="text-right text-sm">
+              <p className="text-gray-500">Today&apos;s average ({prepSummary.ticket_count} orders)</p>
+              <p className="text-[#571C1F] font-medium">
+                {formatDuration(prepSummary.avg_total_seconds)} to ready · {formatDuration(prepSummary.avg_prep_seconds)} prep
+              </p>
+            </div>
+          )}
+          <div className="flex rounded-md border border-[#571C1F]/20 overflow-hidden text-sm">
+            <button
+              onClick={() => setShowCompleted(false)}
+              className={`px-3 py-1.5 ${!showCompleted ? 'bg-[#571C1F] text-white' : 'text-[#571C1F] bg-white'}`}
+            >
+              Open ({activeTickets.length})
+            </button>
+            <button
+              onClick={() => setShowCompleted(true)}
+              className={`px-3 py-1.5 ${showCompleted ? 'bg-[#571C1F] text-white' : 'text-[#571C1F] bg-white'}`}
+            >
+              Recently Served
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {loading && tickets.length === 0 ? (
+        <div className="flex justify-center py-16">
+          <Spinner size="lg" color="#571C1F" />
+        </div>
+      ) : shownTickets.length === 0 ? (
+        <div className="text-center py-16 text-[#571C1F]/60">
+          <p className="font-medium">{showCompleted ? 'No orders served yet' : 'No open orders'}</p>
+          {!showCompleted && <p className="text-sm mt-1">New orders appear here as soon as they are paid</p>}
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
+          <AnimatePresence>
+            {shownTickets.map(ticket => (
+              <KitchenTicket
+                key={ticket.ticket_id}
+                ticket={ticket}
+                now={now}
+                onBump={handleBump}
+                onRecall={handleRecall}
+              />
+            ))}
+          </AnimatePresence>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KitchenDisplay;
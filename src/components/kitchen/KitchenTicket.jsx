@@ -0,0 +1,141 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import PropTypes from 'prop-types';
+import { ORDER_STATUS } from '../../services/constants';
+import { formatModifiers } from '../../utils/modifier-utils';
+import { formatDuration } from '../../utils/date-utils';
+
+// Label of the button that moves a ticket on from each status
+const BUMP_LABELS = {
+  [ORDER_STATUS.PENDING]: 'Start',
+  [ORDER_STATUS.IN_PROGRESS]: 'Ready',
+  [ORDER_STATUS.READY]: 'Served'
+};
+
+const STATUS_STYLES = {
+  [ORDER_STATUS.PENDING]: 'bg-gray-100 text-gray-700',
+  [ORDER_STATUS.IN_PROGRESS]: 'bg-amber-100 text-amber-800',
+  [ORDER_STATUS.READY]: 'bg-green-100 text-green-800',
+  [ORDER_STATUS.COMPLETED]: 'bg-[#571C1F]/10 text-[#571C1F]'
+};
+
+// Tickets waiting longer than these many minutes are flagged
+const WARN_MINUTES = 5;
+const LATE_MINUTES = 10;
+
+const KitchenTicket = ({ ticket, now, onBump, onRecall }) => {
+  const [busy, setBusy] = useState(false);
+
+  const isCompleted = ticket.status === ORDER_STATUS.COMPLETED;
+  const end = ticket.ready_at ? new Date(ticket.ready_at) : now;
+  const elapsedSeconds = Math.max((end - new Date(ticket.created_at)) / 1000, 0);
+  const elapsedMinutes = elapsedSeconds / 60;
+
+  const ageStyle = ticket.ready_at
+    ? 'border-green-300'
+    : elapsedMinutes >= LATE_MINUTES
+      ? 'border-red-400'
+      : elapsedMinutes >= WARN_MINUTES
+        ? 'border-amber-300'
+        : 'border-[#571C1F]/20';
+
+  const runAction = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch {
+      // The hook reports the error
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <motion.div
+      layout
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: isCompleted ? 0.7 : 1, y: 0 }}
+      className={`bg-white rounded-lg border-2 ${ageStyle} shadow-sm flex flex-col`}
+    >
+      <div className="flex justify-between items-start p-3 border-b border-gray-100">
+        <div>
+          <p className="font-semibold text-[#571C1F]">
+            {ticket.or_number ? `OR ${ticket.or_number}` : `Sale #${ticket.sale_id}`}
+          </p>
+          <p className="text-xs text-gray-500">
+            {new Date(ticket.created_at).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}
+            {ticket.terminal_id ? ` · ${ticket.terminal_id}` : ''}
+          </p>
+        </div>
+        <div className="text-right">
+          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[ticket.status] || ''}`}>
+            {ticket.status}
+          </span>
+          <p className={`text-sm font-mono mt-1 ${!ticket.ready_at && elapsedMinutes >= LATE_MINUTES ? 'text-red-600' : 'text-gray-600'}`}>
+            {formatDuration(elapsedSeconds)}
+          </p>
+        </div>
+      </div>
+
+      <ul className="p-3 space-y-2 flex-grow">
+        {ticket.lines.map(line => (
+          <li key={line.id}>
+            <p className="text-sm font-medium text-gray-900">
+              <span className="text-[#571C1F]">{line.quantity}×</span> {line.name}
+            </p>
+            {line.modifiers.length > 0 && (
+              <p className="text-xs text-gray-600 ml-5">{formatModifiers(line.modifiers)}</p>
+            )}
+            {line.notes && (
+              <p className="text-xs text-red-700 font-medium ml-5">Note: {line.notes}</p>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <div className="p-3 border-t border-gray-100">
+        {isCompleted ? (
+          <button
+            onClick={() => runAction(() => onRecall(ticket.ticket_id))}
+            disabled={busy}
+            className="w-full py-2 text-sm font-medium rounded-md border border-[#571C1F]/20 text-[#571C1F] hover:bg-[#FFF6F2] disabled:opacity-50"
+          >
+            Recall
+          </button>
+        ) : (
+          <button
+            onClick={() => runAction(() => onBump(ticket.ticket_id))}
+            disabled={busy}
+            className="w-full py-2 text-sm font-medium rounded-md text-white bg-[#571C1F] hover:bg-[#4A1519] disabled:opacity-50"
+          >
+            {BUMP_LABELS[ticket.status]}
+          </button>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+KitchenTicket.propTypes = {
+  ticket: PropTypes.shape({
+    ticket_id: PropTypes.number.isRequired,
+    sale_id: PropTypes.number.isRequired,
+    or_number: PropTypes.string,
+    terminal_id: PropTypes.string,
+    status: PropTypes.string.isRequired,
+    created_at: PropTypes.string.isRequired,
+    ready_at: PropTypes.string,
+    lines: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.number.isRequired,
+      name: PropTypes.string.isRequired,
+      quantity: PropTypes.number.isRequired,
+      modifiers: PropTypes.array,
+      notes: PropTypes.string
+    })).isRequired
+  }).isRequired,
+  now: PropTypes.instanceOf(Date).isRequired,
+  onBump: PropTypes.func.isRequired,
+  onRecall: PropTypes.func.isRequired
+};
+
+export default KitchenTicket;
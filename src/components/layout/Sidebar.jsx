@@ -10,7 +10,7 @@ import tomsLogo from '../../assets/TomNToms-Logo-2.png';
 
 const Sidebar = ({ isOpen }) => {
   const { user } = useAuth();
-  const { hasPermission, isLoading: permissionsLoading } = usePermissions();
+  const { hasPermission, isPortalUser, isLoading: permissionsLoading } = usePermissions();
   const location = useLocation();
   const [expandedMenu, setExpandedMenu] = useState(null);
   const [activeSubpage, setActiveSubpage] = useState(null);
@@ -28,7 +28,13 @@ const Sidebar = ({ isOpen }) => {
       name: 'POS', 
       path: '/pos', 
       icon: 'shopping-cart', 
-      requiredPermission: 'sales.view',
+      requiredPermission: 'sales.create',
+    },
+    {
+      name: 'Kitchen',
+      path: '/kitchen',
+      icon: 'fire',
+      requiredPermission: 'kitchen.view',
     },
     { 
       name: 'Inventory', 
@@ -50,6 +56,11 @@ const Sidebar = ({ isOpen }) => {
           name: 'Pullouts', 
           path: '/inventory?tab=pullouts',
           requiredPermission: 'pullouts.view'
+        },
+        { 
+          name: 'Stock Counts', 
+          path: '/inventory?tab=stock-counts',
+          requiredPermission: 'inventory.view'
         }
       ] 
     },
@@ -73,6 +84,16 @@ const Sidebar = ({ isOpen }) => {
           name: 'Consignments', 
           path: '/suppliers?tab=consignments',
           requiredPermission: 'suppliers.view'
+        },
+        { 
+          name: 'Settlements', 
+          path: '/suppliers?tab=settlements',
+          requiredPermission: 'consignments.view'
+        },
+        { 
+          name: 'Accounts Payable', 
+          path: '/suppliers?tab=payables',
+          requiredPermission: 'payables.view'
         }
       ] 
     },
@@ -90,7 +111,7 @@ const Sidebar = ({ isOpen }) => {
         { 
           name: 'Role Management', 
           path: '/staff?tab=roles',
-          requiredPermission: 'staff.manage_roles'
+          requiredPermission: 'staff.roles'
         }
       ] 
     },
@@ -114,8 +135,30 @@ const Sidebar = ({ isOpen }) => {
           name: 'Financial Report', 
           path: '/reports?tab=financial',
           requiredPermission: 'reports.financial'
+        },
+        { 
+          name: 'Payables Aging', 
+          path: '/reports?tab=payables',
+          requiredPermission: 'reports.financial'
+        },
+        { 
+          name: 'Scheduled Reports', 
+          path: '/reports?tab=scheduled',
+          requiredPermission: 'reports.schedule'
         }
       ] 
+    },
+    {
+      name: 'Expenses',
+      path: '/expenses',
+      icon: 'cash',
+      requiredPermission: 'expenses.view',
+    },
+    {
+      name: 'Audit Trail',
+      path: '/audit',
+      icon: 'shield-check',
+      requiredPermission: 'audit.view',
     }
   ];
 
@@ -141,6 +184,27 @@ const Sidebar = ({ isOpen }) => {
       icon: 'truck',
       requiredPermission: 'suppliers.view', // Change to match the standard nav permissions
       tabName: 'consignments'
+    },
+    { 
+      name: 'Settlements', 
+      path: '/suppliers?tab=settlements', 
+      icon: 'cash',
+      requiredPermission: 'consignments.view',
+      tabName: 'settlements'
+    },
+    { 
+      name: 'Catalog Prices', 
+      path: '/suppliers?tab=catalog', 
+      icon: 'clipboard-list',
+      requiredPermission: 'suppliers.portal',
+      tabName: 'catalog'
+    },
+    { 
+      name: 'Payments', 
+      path: '/suppliers?tab=payments', 
+      icon: 'document-report',
+      requiredPermission: 'suppliers.portal',
+      tabName: 'payments'
     }
   ];
 
@@ -157,7 +221,13 @@ const Sidebar = ({ isOpen }) => {
       name: 'POS', 
       path: '/pos', 
       icon: 'shopping-cart', 
-      requiredPermission: 'sales.view',
+      requiredPermission: 'sales.create',
+    },
+    {
+      name: 'Kitchen',
+      path: '/kitchen',
+      icon: 'fire',
+      requiredPermission: 'kitchen.view',
     },
     {
       name: 'Inventory', 
@@ -196,6 +266,11 @@ const Sidebar = ({ isOpen }) => {
           name: 'Pullouts', 
           path: '/inventory?tab=pullouts',
           requiredPermission: 'pullouts.view'
+        },
+        { 
+          name: 'Stock Counts', 
+          path: '/inventory?tab=stock-counts',
+          requiredPermission: 'inventory.view'
         }
       ] 
     },
@@ -222,11 +297,12 @@ const Sidebar = ({ isOpen }) => {
   // Get the right navigation based on user role
   const navItems = useMemo(() => {
     if (!user) return [];
+
+    // Supplier users get the portal whatever their role is called
+    if (isPortalUser) return supplierNavItems;
     
     // Return the appropriate navigation based on role
     switch (user.role) {
-      case 'Supplier':
-        return supplierNavItems;
       case 'Cashier':
         return cashierNavItems;
       case 'Inventory':
@@ -234,7 +310,7 @@ const Sidebar = ({ isOpen }) => {
       default:
         return standardNavItems;
     }
-  }, [user]);
+  }, [user, isPortalUser]);
 
   // Filter nav items based on user permissions
   const filteredNavItems = useMemo(() => {
@@ -790,6 +866,15 @@ function renderIcon(icon) {
           d="M3 3h2l.4 2M7 13h10l4-8H5.4M7 13L5.4 5M7 13l-2.293 2.293c-.63.63-.184 1.707.707 1.707H17m0 0a2 2 0 100 4 2 2 0 000-4zm-8 2a2 2 0 11-4 0 2 2 0 014 0z"
         />
       );
+    case 'fire':
+      return (
+        <path
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          strokeWidth={2}
+          d="M17.657 18.657A8 8 0 016.343 7.343S7 9 9 10c0-2 .5-5 2.986-7C14 5 16.09 5.777 17.656 7.343A7.975 7.975 0 0120 13a7.975 7.975 0 01-2.343 5.657zM9.879 16.121A3 3 0 1012.015 11L11 14H9c0 .768.293 1.536.879 2.121z"
+        />
+      );
     case 'clipboard-list':
       return (
         <path
@@ -826,6 +911,24 @@ function renderIcon(icon) {
           d="M9 17v-2m3 2v-4m3 4v-6m2 10H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z"
         />
       );
+    case 'cash':
+      return (
+        <path
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          strokeWidth={2}
+          d="M17 9V7a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2m2 4h10a2 2 0 002-2v-6a2 2 0 00-2-2H9a2 2 0 00-2 2v6a2 2 0 002 2zm7-5a2 2 0 11-4 0 2 2 0 014 0z"
+        />
+      );
+    case 'shield-check':
+      return (
+        <path
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          strokeWidth={2}
+          d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z"
+        />
+      );
     case 'cog':
       return (
         <path
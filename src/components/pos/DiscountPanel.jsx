@@ -0,0 +1,364 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import PropTypes from 'prop-types';
+import Button from '../common/Button';
+import { useSales } from '../../hooks/useSales';
+import { DISCOUNT_TYPES, SALE_DISCOUNT_KINDS } from '../../services/constants';
+import { getDiscountLabel, validatePromotion } from '../../utils/discount-utils';
+
+const TABS = [
+  { id: 'senior_pwd', label: 'Senior / PWD' },
+  { id: 'promo', label: 'Promo Code' },
+  { id: 'manual', label: 'Manual' }
+];
+
+const inputClass = 'w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300 text-sm';
+
+const DiscountPanel = ({
+  order,
+  discount = null,
+  onApplyOrderDiscount,
+  onApplyLineDiscount,
+  onRemoveDiscount,
+  onClose
+}) => {
+  const { fetchPromotion, approveDiscount } = useSales();
+  const [activeTab, setActiveTab] = useState('senior_pwd');
+  const [error, setError] = useState('');
+  const [working, setWorking] = useState(false);
+
+  // Senior Citizen / PWD
+  const [statutoryKind, setStatutoryKind] = useState(SALE_DISCOUNT_KINDS.SENIOR);
+  const [idNumber, setIdNumber] = useState('');
+  const [customerName, setCustomerName] = useState('');
+
+  // Promo code
+  const [promoCode, setPromoCode] = useState('');
+
+  // Manual override
+  const [manualTarget, setManualTarget] = useState('order');
+  const [manualType, setManualType] = useState(DISCOUNT_TYPES.PERCENTAGE);
+  const [manualValue, setManualValue] = useState('');
+  const [manualReason, setManualReason] = useState('');
+  const [managerPin, setManagerPin] = useState('');
+
+  const changeTab = (tabId) => {
+    setActiveTab(tabId);
+    setError('');
+  };
+
+  const applySeniorPwd = () => {
+    if (!idNumber.trim()) {
+      setError('Enter the customer\'s Senior Citizen or PWD ID number');
+      return;
+    }
+
+    onApplyOrderDiscount({
+      kind: statutoryKind,
+      id_number: idNumber.trim(),
+      customer_name: customerName.trim() || null
+    });
+  };
+
+  const applyPromo = async () => {
+    if (!promoCode.trim()) {
+      setError('Enter a promo code');
+      return;
+    }
+
+    setWorking(true);
+    setError('');
+
+    try {
+      const promo = await fetchPromotion(promoCode);
+      const promoError = validatePromotion(promo, order.items, order.subtotal);
+      if (promoError) {
+        setError(promoError);
+        return;
+      }
+
+      onApplyOrderDiscount({
+        kind: SALE_DISCOUNT_KINDS.PROMO,
+        type: promo.discount_type,
+        value: parseFloat(promo.value) || 0,
+        item_id: promo.item_id,
+        buy_quantity: promo.buy_quantity,
+        get_quantity: promo.get_quantity,
+        promo_id: promo.promo_id,
+        promo_code: promo.code.toUpperCase(),
+        name: promo.name,
+        promo
+      });
+    } catch (err) {
+      setError(err.message || 'Could not apply promo code');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const applyManual = async () => {
+    const value = parseFloat(manualValue);
+    if (!value || value <= 0) {
+      setError('Enter a discount amount greater than zero');
+      return;
+    }
+    if (manualType === DISCOUNT_TYPES.PERCENTAGE && value > 100) {
+      setError('A percentage discount cannot be more than 100%');
+      return;
+    }
+    if (!manualReason.trim()) {
+      setError('Please provide a reason for the discount');
+      return;
+    }
+    if (!managerPin.trim()) {
+      setError('Please enter manager approval code');
+      return;
+    }
+
+    setWorking(true);
+    setError('');
+
+    try {
+      const { approval_id: approvalId, approver: manager } = await approveDiscount(managerPin);
+      const approval = {
+        approval_id: approvalId,
+        approved_by: manager.staff_id,
+        approved_by_name: `${manager.first_name} ${manager.last_name}`,
+        reason: manualReason.trim()
+      };
+
+      if (manualTarget === 'order') {
+        onApplyOrderDiscount({
+          kind: SALE_DISCOUNT_KINDS.MANUAL,
+          type: manualType,
+          value,
+          ...approval
+        });
+      } else {
+        onApplyLineDiscount(manualTarget, {
+          type: manualType,
+          value,
+          label: manualReason.trim(),
+          ...approval
+        });
+      }
+    } catch (err) {
+      setError(err.message || 'Could not verify approval code');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="bg-white rounded-lg max-w-md w-full max-h-[90vh] flex flex-col"
+      >
+        <div className="p-5 border-b border-[#571C1F]/10 flex justify-between items-center">
+          <h3 className="text-lg font-semibold text-[#571C1F]">Apply Discount</h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-[#571C1F]/50 hover:text-[#571C1F]"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-5 overflow-y-auto space-y-4">
+          {discount && (
+            <div className="flex justify-between items-center bg-[#FFF6F2] border border-[#571C1F]/10 rounded-md p-3 text-sm">
+              <span className="text-[#571C1F]">
+                Current: <span className="font-medium">{getDiscountLabel(discount)}</span>
+              </span>
+              <Button variant="ghost" size="xs" onClick={onRemoveDiscount}>
+                Remove
+              </Button>
+            </div>
+          )}
+
+          <div className="flex border-b border-[#571C1F]/10">
+            {TABS.map(tab => (
+              <button
+                key={tab.id}
+                type="button"
+                onClick={() => changeTab(tab.id)}
+                className={`flex-1 py-2 text-sm font-medium border-b-2 transition-colors ${
+                  activeTab === tab.id
+                    ? 'border-[#571C1F] text-[#571C1F]'
+                    : 'border-transparent text-[#571C1F]/50 hover:text-[#571C1F]'
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </div>
+
+          {activeTab === 'senior_pwd' && (
+            <div className="space-y-3">
+              <p className="text-xs text-[#571C1F]/70">
+                20% off and VAT-exempt. Replaces any other order discount.
+              </p>
+              <div className="grid grid-cols-2 gap-2">
+                {[
+                  { id: SALE_DISCOUNT_KINDS.SENIOR, label: 'Senior Citizen' },
+                  { id: SALE_DISCOUNT_KINDS.PWD, label: 'PWD' }
+                ].map(option => (
+                  <button
+                    key={option.id}
+                    type="button"
+                    onClick={() => setStatutoryKind(option.id)}
+                    className={`px-3 py-2 rounded-md border text-sm ${
+                      statutoryKind === option.id
+                        ? 'bg-[#571C1F] text-white border-[#571C1F]'
+                        : 'bg-[#FFF6F2] text-[#571C1F] border-[#571C1F]/20'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-[#571C1F] mb-1">ID Number *</label>
+                <input
+                  type="text"
+                  value={idNumber}
+                  onChange={(e) => setIdNumber(e.target.value)}
+                  className={inputClass}
+                  placeholder={statutoryKind === SALE_DISCOUNT_KINDS.SENIOR ? 'OSCA ID number' : 'PWD ID number'}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-[#571C1F] mb-1">Customer Name</label>
+                <input
+                  type="text"
+                  value={customerName}
+                  onChange={(e) => setCustomerName(e.target.value)}
+                  className={inputClass}
+                  placeholder="Name as shown on the ID"
+                />
+              </div>
+            </div>
+          )}
+
+          {activeTab === 'promo' && (
+            <div>
+              <label className="block text-sm font-medium text-[#571C1F] mb-1">Promo Code</label>
+              <input
+                type="text"
+                value={promoCode}
+                onChange={(e) => setPromoCode(e.target.value.toUpperCase())}
+                className={`${inputClass} uppercase`}
+                placeholder="e.g. BUY2GET1"
+              />
+            </div>
+          )}
+
+          {activeTab === 'manual' && (
+            <div className="space-y-3">
+              <div>
+                <label className="block text-sm font-medium text-[#571C1F] mb-1">Apply To</label>
+                <select
+                  value={manualTarget}
+                  onChange={(e) => setManualTarget(e.target.value)}
+                  className={inputClass}
+                >
+                  <option value="order">Whole order</option>
+                  {order.items.map(item => (
+                    <option key={item.id} value={item.id}>
+                      {item.quantity}× {item.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-[#571C1F] mb-1">Type</label>
+                  <select
+                    value={manualType}
+                    onChange={(e) => setManualType(e.target.value)}
+                    className={inputClass}
+                  >
+                    <option value={DISCOUNT_TYPES.PERCENTAGE}>Percentage (%)</option>
+                    <option value={DISCOUNT_TYPES.FIXED}>Fixed (₱)</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-[#571C1F] mb-1">Amount</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={manualValue}
+                    onChange={(e) => setManualValue(e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-[#571C1F] mb-1">Reason *</label>
+                <input
+                  type="text"
+                  value={manualReason}
+                  onChange={(e) => setManualReason(e.target.value)}
+                  className={inputClass}
+                  placeholder="e.g. Wrong order, loyal customer"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-[#571C1F] mb-1">Manager Approval Code *</label>
+                <input
+                  type="password"
+                  value={managerPin}
+                  onChange={(e) => setManagerPin(e.target.value)}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+          )}
+
+          {error && (
+            <div className="bg-red-50 border-l-4 border-red-400 p-3 text-red-700 text-sm">
+              {error}
+            </div>
+          )}
+        </div>
+
+        <div className="p-5 border-t border-[#571C1F]/10 flex justify-end space-x-2">
+          <Button variant="outline" onClick={onClose} disabled={working}>
+            Cancel
+          </Button>
+          <Button
+            variant="primary"
+            disabled={working}
+            onClick={
+              activeTab === 'senior_pwd' ? applySeniorPwd
+                : activeTab === 'promo' ? applyPromo
+                  : applyManual
+            }
+          >
+            {working ? 'Checking...' : 'Apply'}
+          </Button>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+DiscountPanel.propTypes = {
+  order: PropTypes.shape({
+    items: PropTypes.arrayOf(PropTypes.object).isRequired,
+    subtotal: PropTypes.number.isRequired
+  }).isRequired,
+  discount: PropTypes.object,
+  onApplyOrderDiscount: PropTypes.func.isRequired,
+  onApplyLineDiscount: PropTypes.func.isRequired,
+  onRemoveDiscount: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default DiscountPanel;
@@ -0,0 +1,200 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import PropTypes from 'prop-types';
+import { formatDistanceToNow } from 'date-fns';
+import Button from '../common/Button';
+
+const inputClass = 'w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300 text-sm';
+
+const HeldOrdersPanel = ({
+  order,
+  heldOrders = [],
+  onHold,
+  onResume,
+  onDiscard,
+  onRefresh,
+  onClose
+}) => {
+  const [label, setLabel] = useState('');
+  const [tableNumber, setTableNumber] = useState('');
+  const [error, setError] = useState('');
+  const [working, setWorking] = useState(false);
+  const [confirmDiscardId, setConfirmDiscardId] = useState(null);
+
+  const hasItems = order.items.length > 0;
+
+  useEffect(() => {
+    onRefresh().catch(() => {});
+  }, [onRefresh]);
+
+  const run = async (action) => {
+    setWorking(true);
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleHold = () => {
+    // A table number alone is enough to find the order again
+    const name = label.trim() || (tableNumber.trim() ? `Table ${tableNumber.trim()}` : '');
+    if (!name) {
+      setError('Enter a name or table number for this order');
+      return;
+    }
+
+    run(() => onHold({ label: name, table_number: tableNumber }));
+  };
+
+  const handleDiscard = (heldOrderId) => {
+    setConfirmDiscardId(null);
+    run(() => onDiscard(heldOrderId));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="bg-white rounded-lg max-w-md w-full max-h-[90vh] flex flex-col"
+      >
+        <div className="p-5 border-b border-[#571C1F]/10 flex justify-between items-center">
+          <h3 className="text-lg font-semibold text-[#571C1F]">Held Orders</h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-[#571C1F]/50 hover:text-[#571C1F]"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-5 overflow-y-auto space-y-4">
+          {hasItems && (
+            <div className="bg-[#FFF6F2] border border-[#571C1F]/10 rounded-md p-3 space-y-2">
+              <p className="text-sm font-medium text-[#571C1F]">
+                Hold current order · ₱{order.total.toFixed(2)}
+              </p>
+              <div className="grid grid-cols-3 gap-2">
+                <input
+                  type="text"
+                  value={label}
+                  onChange={(e) => setLabel(e.target.value)}
+                  className={`${inputClass} col-span-2`}
+                  placeholder="Customer name"
+                />
+                <input
+                  type="text"
+                  value={tableNumber}
+                  onChange={(e) => setTableNumber(e.target.value)}
+                  className={inputClass}
+                  placeholder="Table #"
+                />
+              </div>
+              <div className="flex justify-end">
+                <Button variant="primary" size="sm" onClick={handleHold} disabled={working}>
+                  Hold Order
+                </Button>
+              </div>
+            </div>
+          )}
+
+          {heldOrders.length === 0 ? (
+            <p className="text-sm text-center text-[#571C1F]/60 py-6">No orders are on hold</p>
+          ) : (
+            <ul className="divide-y divide-[#571C1F]/10">
+              {heldOrders.map(held => (
+                <li key={held.held_order_id} className="py-3">
+                  <div className="flex justify-between items-start">
+                    <div>
+                      <p className="font-medium text-[#571C1F]">
+                        {held.label}
+                        {held.table_number && (
+                          <span className="ml-2 text-xs px-1.5 py-0.5 rounded bg-[#FFF6F2] border border-[#571C1F]/10">
+                            Table {held.table_number}
+                          </span>
+                        )}
+                      </p>
+                      <p className="text-xs text-[#571C1F]/60">
+                        {held.item_count} item{held.item_count === 1 ? '' : 's'} · ₱{parseFloat(held.total_amount).toFixed(2)}
+                        {' · '}
+                        {formatDistanceToNow(new Date(held.created_at), { addSuffix: true })}
+                        {held.held_by_name && ` · ${held.held_by_name}`}
+                      </p>
+                    </div>
+                    {confirmDiscardId === held.held_order_id ? (
+                      <div className="flex space-x-1">
+                        <Button variant="outline" size="xs" onClick={() => setConfirmDiscardId(null)} disabled={working}>
+                          Keep
+                        </Button>
+                        <Button variant="danger" size="xs" onClick={() => handleDiscard(held.held_order_id)} disabled={working}>
+                          Discard
+                        </Button>
+                      </div>
+                    ) : (
+                      <div className="flex space-x-1">
+                        <Button variant="ghost" size="xs" onClick={() => setConfirmDiscardId(held.held_order_id)} disabled={working}>
+                          Discard
+                        </Button>
+                        <Button
+                          variant="primary"
+                          size="xs"
+                          onClick={() => run(() => onResume(held))}
+                          disabled={working || hasItems}
+                          title={hasItems ? 'Hold or clear the current order first' : undefined}
+                        >
+                          Resume
+                        </Button>
+                      </div>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {hasItems && heldOrders.length > 0 && (
+            <p className="text-xs text-[#571C1F]/60">
+              Hold or clear the current order before resuming another.
+            </p>
+          )}
+
+          {error && (
+            <div className="bg-red-50 border-l-4 border-red-400 p-3 text-red-700 text-sm">
+              {error}
+            </div>
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+HeldOrdersPanel.propTypes = {
+  order: PropTypes.shape({
+    items: PropTypes.arrayOf(PropTypes.object).isRequired,
+    total: PropTypes.number.isRequired
+  }).isRequired,
+  heldOrders: PropTypes.arrayOf(PropTypes.shape({
+    held_order_id: PropTypes.number.isRequired,
+    label: PropTypes.string.isRequired,
+    table_number: PropTypes.string,
+    item_count: PropTypes.number,
+    total_amount: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    held_by_name: PropTypes.string,
+    created_at: PropTypes.string
+  })),
+  onHold: PropTypes.func.isRequired,
+  onResume: PropTypes.func.isRequired,
+  onDiscard: PropTypes.func.isRequired,
+  onRefresh: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default HeldOrdersPanel;
@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import PropTypes from 'prop-types';
+import Button from '../common/Button';
+import {
+  getDefaultSelection,
+  validateModifierSelection,
+  resolveSelectedModifiers,
+  getModifierPriceDelta
+} from '../../utils/modifier-utils';
+
+const ModifierSelector = ({ product, onConfirm, onCancel }) => {
+  const groups = product.modifierGroups || [];
+  const [selection, setSelection] = useState(() => getDefaultSelection(groups));
+  const [error, setError] = useState(null);
+
+  const chosen = resolveSelectedModifiers(groups, selection);
+  const unitPrice = product.price + getModifierPriceDelta(chosen);
+
+  const toggleModifier = (group, modifierId) => {
+    const current = selection[group.group_id] || [];
+    let next;
+
+    if (group.max_select === 1) {
+      // Single-choice groups behave like radio buttons
+      next = current.includes(modifierId) && !group.is_required ? [] : [modifierId];
+    } else if (current.includes(modifierId)) {
+      next = current.filter(id => id !== modifierId);
+    } else if (current.length >= group.max_select) {
+      setError(`Choose at most ${group.max_select} for ${group.name}`);
+      return;
+    } else {
+      next = [...current, modifierId];
+    }
+
+    setError(null);
+    setSelection({ ...selection, [group.group_id]: next });
+  };
+
+  const handleConfirm = () => {
+    const validationError = validateModifierSelection(groups, selection);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    onConfirm(product, chosen);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="bg-white rounded-lg max-w-md w-full max-h-[90vh] flex flex-col"
+      >
+        <div className="p-5 border-b border-[#571C1F]/10">
+          <h3 className="text-lg font-semibold text-[#571C1F]">{product.name}</h3>
+          <p className="text-sm text-[#571C1F]/70">Base price ₱{product.price.toFixed(2)}</p>
+        </div>
+
+        <div className="p-5 space-y-5 overflow-y-auto">
+          {groups.map(group => {
+            const selected = selection[group.group_id] || [];
+            return (
+              <div key={group.group_id}>
+                <div className="flex items-baseline justify-between mb-2">
+                  <h4 className="font-medium text-[#571C1F]">{group.name}</h4>
+                  <span className="text-xs text-[#571C1F]/60">
+                    {group.is_required ? 'Required' : 'Optional'}
+                    {group.max_select > 1 && ` · up to ${group.max_select}`}
+                  </span>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  {group.modifiers.map(mod => {
+                    const isSelected = selected.includes(mod.modifier_id);
+                    return (
+                      <button
+                        key={mod.modifier_id}
+                        type="button"
+                        onClick={() => toggleModifier(group, mod.modifier_id)}
+                        className={`px-3 py-2 rounded-md border text-sm text-left transition-colors ${
+                          isSelected
+                            ? 'bg-[#571C1F] text-white border-[#571C1F]'
+                            : 'bg-[#FFF6F2] text-[#571C1F] border-[#571C1F]/20 hover:bg-[#FFE6E0]'
+                        }`}
+                      >
+                        <span className="block font-medium">{mod.name}</span>
+                        {mod.price_delta !== 0 && (
+                          <span className={`text-xs ${isSelected ? 'text-white/80' : 'text-[#571C1F]/70'}`}>
+                            {mod.price_delta > 0 ? '+' : '-'}₱{Math.abs(mod.price_delta).toFixed(2)}
+                          </span>
+                        )}
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            );
+          })}
+
+          {error && (
+            <p className="text-sm text-red-600">{error}</p>
+          )}
+        </div>
+
+        <div className="p-5 border-t border-[#571C1F]/10 flex items-center justify-between">
+          <span className="text-lg font-bold text-[#571C1F]">₱{unitPrice.toFixed(2)}</span>
+          <div className="flex space-x-2">
+            <Button variant="outline" onClick={onCancel}>
+              Cancel
+            </Button>
+            <Button variant="primary" onClick={handleConfirm}>
+              Add to Order
+            </Button>
+          </div>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+ModifierSelector.propTypes = {
+  product: PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+    name: PropTypes.string.isRequired,
+    price: PropTypes.number.isRequired,
+    modifierGroups: PropTypes.arrayOf(PropTypes.object)
+  }).isRequired,
+  onConfirm: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default ModifierSelector;
@@ -0,0 +1,139 @@
+import { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import PropTypes from 'prop-types';
+import Button from '../common/Button';
+import { OFFLINE_SALE_STATUS } from '../../services/constants';
+
+const OfflineSyncStatus = ({
+  connectionStatus,
+  offlineSales = [],
+  syncing = false,
+  onSync,
+  onRetry,
+  onDiscard
+}) => {
+  const [showConflicts, setShowConflicts] = useState(false);
+
+  const isOffline = connectionStatus === 'disconnected';
+  const conflicts = offlineSales.filter(sale => sale.status === OFFLINE_SALE_STATUS.CONFLICT);
+  const pendingCount = offlineSales.length - conflicts.length;
+
+  // Nothing to show while online with an empty queue
+  if (!isOffline && offlineSales.length === 0) {
+    return null;
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className={`mb-4 rounded-lg border p-3 ${
+        isOffline
+          ? 'bg-amber-50 border-amber-300'
+          : conflicts.length > 0
+            ? 'bg-red-50 border-red-300'
+            : 'bg-[#FFF6F2] border-[#571C1F]/20'
+      }`}
+    >
+      <div className="flex items-center justify-between">
+        <div className="flex items-center">
+          <span className={`h-2.5 w-2.5 rounded-full mr-2 ${isOffline ? 'bg-amber-500' : 'bg-green-500'}`}></span>
+          <div>
+            <p className="text-sm font-medium text-[#571C1F]">
+              {isOffline ? 'Offline mode' : 'Back online'}
+            </p>
+            <p className="text-xs text-[#571C1F]/70">
+              {pendingCount > 0
+                ? `${pendingCount} sale${pendingCount === 1 ? '' : 's'} waiting to sync`
+                : 'No sales waiting to sync'}
+              {conflicts.length > 0 && ` · ${conflicts.length} need${conflicts.length === 1 ? 's' : ''} review`}
+            </p>
+          </div>
+        </div>
+
+        <div className="flex items-center space-x-2">
+          {conflicts.length > 0 && (
+            <Button
+              variant="ghost"
+              size="xs"
+              onClick={() => setShowConflicts(prev => !prev)}
+            >
+              {showConflicts ? 'Hide' : 'Review'}
+            </Button>
+          )}
+          {!isOffline && pendingCount > 0 && (
+            <Button
+              variant="outline"
+              size="xs"
+              onClick={onSync}
+              disabled={syncing}
+            >
+              {syncing ? 'Syncing...' : 'Sync now'}
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <AnimatePresence>
+        {showConflicts && conflicts.length > 0 && (
+          <motion.ul
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            className="mt-3 space-y-2 overflow-hidden"
+          >
+            {conflicts.map(sale => (
+              <li
+                key={sale.offline_id}
+                className="bg-white rounded-md border border-red-200 p-2 text-sm"
+              >
+                <div className="flex justify-between">
+                  <span className="font-medium text-[#571C1F]">
+                    ₱{parseFloat(sale.total_amount).toFixed(2)} · {sale.items.length} item{sale.items.length === 1 ? '' : 's'}
+                  </span>
+                  <span className="text-xs text-gray-500">
+                    {new Date(sale.sale_date).toLocaleString('en-US', {
+                      month: 'short',
+                      day: 'numeric',
+                      hour: '2-digit',
+                      minute: '2-digit'
+                    })}
+                  </span>
+                </div>
+                <p className="text-xs text-red-700 mt-1">{sale.last_error}</p>
+                <div className="flex justify-end space-x-2 mt-2">
+                  <Button
+                    variant="ghost"
+                    size="xs"
+                    onClick={() => onDiscard(sale.offline_id)}
+                  >
+                    Discard
+                  </Button>
+                  <Button
+                    variant="outline"
+                    size="xs"
+                    onClick={() => onRetry(sale.offline_id)}
+                    disabled={syncing || isOffline}
+                  >
+                    Retry
+                  </Button>
+                </div>
+              </li>
+            ))}
+          </motion.ul>
+        )}
+      </AnimatePresence>
+    </motion.div>
+  );
+};
+
+OfflineSyncStatus.propTypes = {
+  connectionStatus: PropTypes.oneOf(['connected', 'degraded', 'disconnected']),
+  offlineSales: PropTypes.arrayOf(PropTypes.object),
+  syncing: PropTypes.bool,
+  onSync: PropTypes.func.isRequired,
+  onRetry: PropTypes.func.isRequired,
+  onDiscard: PropTypes.func.isRequired
+};
+
+export default OfflineSyncStatus;
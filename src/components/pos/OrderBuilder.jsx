@@ -1,21 +1,33 @@
 import { motion, AnimatePresence } from 'framer-motion';
+import PropTypes from 'prop-types';
 import Card from '../common/Card';
 import Button from '../common/Button';
-import { useEffect } from 'react';
+import { useEffect, useState } from 'react';
+import { formatModifiers } from '../../utils/modifier-utils';
+import { getDiscountLabel } from '../../utils/discount-utils';
 
 const OrderBuilder = ({
   order = { items: [], subtotal: 0, tax: 0, total: 0 }, // Default value for order
   onUpdateQuantity,
+  onUpdateNote,
   onRemoveItem,
   onClearOrder,
   onCheckout,
   onVoidSale,
+  onRefundSale,
+  onOpenDiscounts,
+  onOpenHeldOrders,
+  heldOrderCount = 0,
   lastCompletedSale
 }) => {
+  // Line whose kitchen note is being edited
+  const [noteLineId, setNoteLineId] = useState(null);
   // Check if order and order.items exist before accessing length
   const hasItems = order && order.items && order.items.length > 0;
-  // Define checkout height to create proper boundary
-  const checkoutHeight = 200;
+  const hasDiscount = order.discount_amount > 0;
+  const isVatExempt = order.vat_exempt_amount > 0;
+  // Define checkout height to create proper boundary (one extra row when discounted)
+  const checkoutHeight = hasDiscount ? 224 : 200;
   
   // Log when onCheckout changes for debugging
   useEffect(() => {
@@ -44,21 +56,41 @@ const OrderBuilder = ({
           Current Order
         </h2>
         
-        {/* Modified Clear button to always show with disabled state when no items */}
-        <Button
-          variant="ghost"
-          size="sm"
-          onClick={hasItems ? onClearOrder : undefined}
-          disabled={!hasItems}
-          className={`hover:bg-[#FFF6F2] group ${hasItems ? 'text-[#571C1F]/70 hover:text-[#571C1F]' : 'text-[#571C1F]/30 cursor-not-allowed'}`}
-        >
-          <span className="flex items-center">
-            <svg xmlns="http://www.w3.org/2000/svg" className={`h-4 w-4 mr-1 ${hasItems ? 'group-hover:text-[#571C1F]' : 'text-[#571C1F]/30'}`} fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-            </svg>
-            Clear
-          </span>
-        </Button>
+        <div className="flex items-center">
+          {/* Held orders - park this order or resume a parked one */}
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={onOpenHeldOrders}
+            className="hover:bg-[#FFF6F2] text-[#571C1F]/70 hover:text-[#571C1F]"
+          >
+            <span className="flex items-center">
+              <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 9v6m4-6v6m7-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+              </svg>
+              Held
+              {heldOrderCount > 0 && (
+                <span className="ml-1 px-1.5 rounded-full bg-[#571C1F] text-white text-xs">{heldOrderCount}</span>
+              )}
+            </span>
+          </Button>
+        
+          {/* Modified Clear button to always show with disabled state when no items */}
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={hasItems ? onClearOrder : undefined}
+            disabled={!hasItems}
+            className={`hover:bg-[#FFF6F2] group ${hasItems ? 'text-[#571C1F]/70 hover:text-[#571C1F]' : 'text-[#571C1F]/30 cursor-not-allowed'}`}
+          >
+            <span className="flex items-center">
+              <svg xmlns="http://www.w3.org/2000/svg" className={`h-4 w-4 mr-1 ${hasItems ? 'group-hover:text-[#571C1F]' : 'text-[#571C1F]/30'}`} fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+              </svg>
+              Clear
+            </span>
+          </Button>
+        </div>
       </div>
       
       {/* Scrollable content with enhanced styling */}
@@ -95,9 +127,53 @@ const OrderBuilder = ({
                   <div className="flex justify-between items-start">
                     <div className="flex items-start space-x-2 max-w-[85%]">
                       <div className="w-1 h-1 rounded-full bg-[#571C1F]/40 mt-2 group-hover:bg-[#571C1F]"></div>
-                      <span className="font-medium text-[#571C1F] line-clamp-1">
-                        {item.name}
-                      </span>
+                      <div>
+                        <span className="font-medium text-[#571C1F] line-clamp-1">
+                          {item.name}
+                        </span>
+                        {item.modifiers && item.modifiers.length > 0 && (
+                          <span className="block text-xs text-[#571C1F]/60 line-clamp-2">
+                            {formatModifiers(item.modifiers)}
+                          </span>
+                        )}
+                        {item.line_discount && (
+                          <span className="block text-xs text-green-700">
+                            {item.line_discount.label} −₱{(item.line_discount_amount || 0).toFixed(2)}
+                          </span>
+                        )}
+                        {noteLineId === item.id ? (
+                          <input
+                            type="text"
+                            autoFocus
+                            defaultValue={item.notes || ''}
+                            maxLength={100}
+                            placeholder="Note for the kitchen"
+                            onBlur={(e) => {
+                              onUpdateNote(item.id, e.target.value.trim());
+                              setNoteLineId(null);
+                            }}
+                            onKeyDown={(e) => {
+                              if (e.key === 'Enter') e.target.blur();
+                              if (e.key === 'Escape') setNoteLineId(null);
+                            }}
+                            className="mt-1 w-full px-2 py-0.5 text-xs border border-[#571C1F]/20 rounded focus:outline-none focus:ring-1 focus:ring-[#571C1F]"
+                          />
+                        ) : item.notes ? (
+                          <button
+                            onClick={() => setNoteLineId(item.id)}
+                            className="block text-xs text-left text-amber-700 line-clamp-2"
+                          >
+                            Note: {item.notes}
+                          </button>
+                        ) : (
+                          <button
+                            onClick={() => setNoteLineId(item.id)}
+                            className="block text-xs text-[#571C1F]/50 hover:text-[#571C1F]"
+                          >
+                            + Add note
+                          </button>
+                        )}
+                      </div>
                     </div>
                     <motion.button
                       whileHover={{ scale: 1.1 }}
@@ -177,8 +253,16 @@ const OrderBuilder = ({
               ₱{(order.subtotal || 0).toFixed(2)}
             </motion.span>
           </div>
+          {hasDiscount && (
+            <div className="flex justify-between text-sm">
+              <span className="text-green-700 line-clamp-1">
+                Discount{order.discount ? ` · ${getDiscountLabel(order.discount)}` : ''}
+              </span>
+              <span className="text-green-700">−₱{order.discount_amount.toFixed(2)}</span>
+            </div>
+          )}
           <div className="flex justify-between text-sm">
-            <span className="text-[#571C1F]/70">Tax (12%)</span>
+            <span className="text-[#571C1F]/70">{isVatExempt ? 'VAT Exempt' : 'Tax (12%)'}</span>
             <span className="text-[#571C1F]">₱{(order.tax || 0).toFixed(2)}</span>
           </div>
           <div className="flex justify-between font-medium text-base border-t border-dashed border-[#571C1F]/10 mt-1.5 pt-2">
@@ -235,6 +319,31 @@ const OrderBuilder = ({
             {lastCompletedSale ? 'Void Last Sale' : 'Void Sale'}
           </button>
           
+          <button
+            onClick={onRefundSale}
+            className="px-3 py-1.5 text-sm font-medium text-[#571C1F] hover:bg-[#FFF6F2] rounded-md border border-[#571C1F]/20 flex items-center"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h10a8 8 0 018 8v2M3 10l6 6m-6-6l6-6" />
+            </svg>
+            Refund
+          </button>
+          
+          <button
+            onClick={onOpenDiscounts}
+            disabled={!hasItems}
+            className={`px-3 py-1.5 text-sm font-medium rounded-md border flex items-center ${
+              hasItems 
+                ? 'text-[#571C1F] border-[#571C1F]/20 hover:bg-[#FFF6F2]' 
+                : 'text-gray-400 border-gray-200 cursor-not-allowed'
+            }`}
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
+            </svg>
+            Discount
+          </button>
+          
           <button
             onClick={onClearOrder}
             disabled={!hasItems}
@@ -270,4 +379,37 @@ const OrderBuilder = ({
   );
 };
 
+OrderBuilder.propTypes = {
+  order: PropTypes.shape({
+    items: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+      name: PropTypes.string.isRequired,
+      price: PropTypes.number,
+      quantity: PropTypes.number.isRequired,
+      subtotal: PropTypes.number,
+      modifiers: PropTypes.array,
+      notes: PropTypes.string,
+      line_discount: PropTypes.object,
+      line_discount_amount: PropTypes.number
+    })),
+    subtotal: PropTypes.number,
+    discount: PropTypes.object,
+    discount_amount: PropTypes.number,
+    vat_exempt_amount: PropTypes.number,
+    tax: PropTypes.number,
+    total: PropTypes.number
+  }),
+  onUpdateQuantity: PropTypes.func.isRequired,
+  onUpdateNote: PropTypes.func.isRequired,
+  onRemoveItem: PropTypes.func.isRequired,
+  onClearOrder: PropTypes.func.isRequired,
+  onCheckout: PropTypes.func.isRequired,
+  onVoidSale: PropTypes.func.isRequired,
+  onRefundSale: PropTypes.func.isRequired,
+  onOpenDiscounts: PropTypes.func.isRequired,
+  onOpenHeldOrders: PropTypes.func.isRequired,
+  heldOrderCount: PropTypes.number,
+  lastCompletedSale: PropTypes.object
+};
+
 export default OrderBuilder;
\ No newline at end of file
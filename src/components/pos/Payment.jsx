@@ -1,11 +1,78 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import PropTypes from 'prop-types';
 import { useReactToPrint } from 'react-to-print';
 import Card from '../common/Card';
 import { useAuth } from '../../hooks/useAuth';
+import { formatModifiers } from '../../utils/modifier-utils';
+import { getDiscountLabel, isSeniorPwdDiscount } from '../../utils/discount-utils';
+import { calculateTenderSummary, PAYMENT_OPTIONS, getPaymentMethodName } from '../../utils/payment-utils';
+import { printReceiptDocument, escapeHTML } from '../../utils/print-utils';
+import { SPLIT_PAYMENT_METHOD, COMPANY_NAME, COMPANY_ADDRESS } from '../../services/constants';
+import SplitTenderForm from './SplitTenderForm';
+
+// Official receipt number when one was issued. Offline sales show their
+// provisional reference; the OR number is assigned when they sync.
+const getReceiptNumber = (orNumber, saleId) => {
+  if (orNumber) return { label: 'OR No.', value: orNumber };
+  const id = saleId.toString();
+  return {
+    label: 'Reference #',
+    value: /^(TNT|OFF)-/.test(id) ? id : `TNT-${id.padStart(6, '0')}`
+  };
+};
+
+// Payment lines, reference numbers and cash change on the receipt
+const ReceiptPayments = ({ payments = [], paymentMethod, change }) => {
+  const isSplit = payments.length > 1;
+  const cashTendered = payments
+    .filter(payment => payment.payment_method === 'cash')
+    .reduce((sum, payment) => sum + payment.tendered_amount, 0);
+
+  return (
+    <div className="pt-2 border-t border-dashed border-[#571C1F]/10 mt-2">
+      <div className="flex justify-between">
+        <span className="text-[#571C1F]/70">Payment Method:</span>
+        <span className="font-medium text-[#571C1F]">{getPaymentMethodName(paymentMethod)}</span>
+      </div>
+      
+      {payments.map((payment, index) => (
+        <div key={index}>
+          {isSplit && (
+            <div className="flex justify-between">
+              <span className="text-[#571C1F]/70 pl-2">{getPaymentMethodName(payment.payment_method)}:</span>
+              <span className="text-[#571C1F]">₱{payment.amount.toFixed(2)}</span>
+            </div>
+          )}
+          {payment.reference_number && (
+            <div className="flex justify-between text-xs">
+              <span className="text-[#571C1F]/60 pl-2">Ref #:</span>
+              <span className="text-[#571C1F]/80">{payment.reference_number}</span>
+            </div>
+          )}
+        </div>
+      ))}
+      
+      {cashTendered > 0 && (
+        <>
+          <div className="flex justify-between">
+            <span className="text-[#571C1F]/70">Cash Amount:</span>
+            <span className="text-[#571C1F]">₱{cashTendered.toFixed(2)}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-[#571C1F]/70">Change:</span>
+            <span className="text-[#571C1F]">₱{change.toFixed(2)}</span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
 
 // Separate printable receipt component
-const PrintableReceipt = React.forwardRef(({ order, paymentMethod, cashAmount, change, saleId, user }, ref) => {
+const PrintableReceipt = React.forwardRef(({ order, paymentMethod, payments = [], change, saleId, orNumber, user }, ref) => {
+  const receiptNumber = getReceiptNumber(orNumber, saleId);
+  
   // Format date
   const date = new Date();
   const formattedDate = date.toLocaleDateString('en-US', {
@@ -21,13 +88,13 @@ const PrintableReceipt = React.forwardRef(({ order, paymentMethod, cashAmount, c
   return (
     <div ref={ref} className="print-receipt p-5">
       <div className="text-center mb-4">
-        <h2 className="font-bold text-[#571C1F] text-xl">TomNToms Coffee</h2>
-        <p className="text-[#571C1F]/70 text-sm">123 Coffee Street, Cityville</p>
+        <h2 className="font-bold text-[#571C1F] text-xl">{COMPANY_NAME}</h2>
+        <p className="text-[#571C1F]/70 text-sm">{COMPANY_ADDRESS}</p>
       </div>
       
       <div className="flex justify-between text-sm mb-1">
-        <span className="text-[#571C1F]/70">Receipt #:</span>
-        <span className="font-medium text-[#571C1F]">{saleId}</span>
+        <span className="text-[#571C1F]/70">{receiptNumber.label}:</span>
+        <span className="font-medium text-[#571C1F]">{receiptNumber.value}</span>
       </div>
       
       <div className="flex justify-between text-sm">
@@ -48,7 +115,12 @@ const PrintableReceipt = React.forwardRef(({ order, paymentMethod, cashAmount, c
         
         {order.items.map((item) => (
           <div key={item.id} className="flex justify-between text-sm mb-1">
-            <span className="text-[#571C1F]">{item.quantity}× {item.name}</span>
+            <span className="text-[#571C1F]">
+              {item.quantity}× {item.name}
+              {item.modifiers?.length > 0 && (
+                <span className="block text-xs text-[#571C1F]/60">{formatModifiers(item.modifiers)}</span>
+              )}
+            </span>
             <span className="text-[#571C1F]">₱{item.subtotal.toFixed(2)}</span>
           </div>
         ))}
@@ -59,34 +131,34 @@ const PrintableReceipt = React.forwardRef(({ order, paymentMethod, cashAmount, c
           <span className="text-[#571C1F]/70">Subtotal:</span>
           <span className="text-[#571C1F]">₱{order.subtotal.toFixed(2)}</span>
         </div>
+        {order.discount_amount > 0 && (
+          <div className="flex justify-between">
+            <span className="text-[#571C1F]/70">Discount{order.discount ? ` (${getDiscountLabel(order.discount)})` : ''}:</span>
+            <span className="text-[#571C1F]">−₱{order.discount_amount.toFixed(2)}</span>
+          </div>
+        )}
+        {order.vat_exempt_amount > 0 && (
+          <div className="flex justify-between">
+            <span className="text-[#571C1F]/70">VAT-Exempt Sales:</span>
+            <span className="text-[#571C1F]">₱{order.vat_exempt_amount.toFixed(2)}</span>
+          </div>
+        )}
         <div className="flex justify-between">
-          <span className="text-[#571C1F]/70">Tax (12%):</span>
+          <span className="text-[#571C1F]/70">{order.vat_exempt_amount > 0 ? 'VAT (Exempt):' : 'Tax (12%):'}</span>
           <span className="text-[#571C1F]">₱{order.tax.toFixed(2)}</span>
         </div>
+        {isSeniorPwdDiscount(order.discount) && (
+          <div className="text-xs text-[#571C1F]/70 pt-1">
+            {order.discount.kind === 'senior' ? 'OSCA' : 'PWD'} ID: {order.discount.id_number}
+            {order.discount.customer_name && ` · ${order.discount.customer_name}`}
+          </div>
+        )}
         <div className="flex justify-between font-medium pt-1 border-t border-[#571C1F]/10">
           <span className="text-[#571C1F]">Total:</span>
           <span className="text-[#571C1F]">₱{order.total.toFixed(2)}</span>
         </div>
         
-        <div className="pt-2 border-t border-dashed border-[#571C1F]/10 mt-2">
-          <div className="flex justify-between">
-            <span className="text-[#571C1F]/70">Payment Method:</span>
-            <span className="font-medium capitalize text-[#571C1F]">{paymentMethod}</span>
-          </div>
-          
-          {paymentMethod === 'cash' && (
-            <>
-              <div className="flex justify-between">
-                <span className="text-[#571C1F]/70">Cash Amount:</span>
-                <span className="text-[#571C1F]">₱{cashAmount.toFixed(2)}</span>
-              </div>
-              <div className="flex justify-between">
-                <span className="text-[#571C1F]/70">Change:</span>
-                <span className="text-[#571C1F]">₱{change.toFixed(2)}</span>
-              </div>
-            </>
-          )}
-        </div>
+        <ReceiptPayments payments={payments} paymentMethod={paymentMethod} change={change} />
       </div>
       
       <div className="text-center text-xs text-[#571C1F]/60 mt-4">
@@ -111,6 +183,12 @@ const Payment = ({
   const [processingPayment, setProcessingPayment] = useState(false);
   const [paymentComplete, setPaymentComplete] = useState(false);
   const [saleId, setSaleId] = useState('');
+  const [orNumber, setOrNumber] = useState(null);
+  const [isOfflineSale, setIsOfflineSale] = useState(false);
+  const [referenceNumber, setReferenceNumber] = useState('');
+  const [splitMode, setSplitMode] = useState(false);
+  const [tenders, setTenders] = useState([]);
+  const [completedPayments, setCompletedPayments] = useState([]);
   
   // Receipt ref for printing
   const printReceiptRef = useRef(null);
@@ -120,14 +198,6 @@ const Payment = ({
   
   // Replace your current printing code with this simpler approach
   const handlePrint = () => {
-    // Create a new window for printing
-    const printWindow = window.open('', '_blank');
-    
-    if (!printWindow) {
-      alert("Please allow pop-ups for this website to print receipts.");
-      return;
-    }
-    
     // Format date
     const date = new Date();
     const formattedDate = date.toLocaleDateString('en-US', {
@@ -141,7 +211,7 @@ const Payment = ({
     });
     
     // Format receipt number
-    const formattedSaleId = saleId.toString().startsWith('TNT-') ? saleId : `TNT-${saleId.toString().padStart(6, '0')}`;
+    const receiptNumber = getReceiptNumber(orNumber, saleId);
     
     // Format the cashier name based on available user properties
     const cashierName = user?.first_name 
@@ -154,95 +224,80 @@ const Payment = ({
     
     const storeLocation = "JP Laurel Avenue, Bajada, Davao City";
     
-    // Create the CSS styles for the print window
-    const styles = `
-      <style>
-        body {
-          font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
-          padding: 30px;
-          max-width: 300px;
-          margin: 0 auto;
-          color: #571C1F;
-        }
-        .receipt-header {
-          text-align: center;
-          margin-bottom: 20px;
-        }
-        .receipt-header h2 {
-          margin: 0;
-          color: #571C1F;
-          font-size: 24px;
-        }
-        .receipt-header p {
-          margin: 5px 0 0;
-          color: rgba(87, 28, 31, 0.7);
-          font-size: 14px;
-        }
-        .receipt-info {
-          margin-bottom: 20px;
-        }
-        .receipt-row {
-          display: flex;
-          justify-content: space-between;
-          margin-bottom: 5px;
-          font-size: 14px;
-        }
-        .receipt-label {
-          color: rgba(87, 28, 31, 0.7);
-        }
-        .receipt-items {
-          border-top: 1px solid rgba(87, 28, 31, 0.1);
-          border-bottom: 1px solid rgba(87, 28, 31, 0.1);
-          padding: 10px 0;
-          margin: 15px 0;
-        }
-        .receipt-item-header {
-          display: flex;
-          justify-content: space-between;
-          margin-bottom: 8px;
-          color: rgba(87, 28, 31, 0.7);
-          font-size: 14px;
-        }
-        .receipt-total {
-          border-top: 1px solid rgba(87, 28, 31, 0.1);
-          padding-top: 5px;
-          font-weight: 500;
-        }
-        .receipt-payment {
-          border-top: 1px dashed rgba(87, 28, 31, 0.1);
-          margin-top: 10px;
-          padding-top: 10px;
-        }
-        .receipt-footer {
-          text-align: center;
-          margin-top: 20px;
-          font-size: 12px;
-          color: rgba(87, 28, 31, 0.6);
-        }
-        @media print {
-          body {
-            print-color-adjust: exact;
-            -webkit-print-color-adjust: exact;
-          }
-        }
-      </style>
-    `;
     
     // Generate receipt items HTML
     const itemsHTML = order.items.map(item => `
       <div class="receipt-row">
-        <span>${item.quantity}× ${item.name}</span>
+        <span>
+          ${item.quantity}× ${escapeHTML(item.name)}
+          ${item.modifiers?.length > 0 ? `<span class="receipt-modifiers">${escapeHTML(formatModifiers(item.modifiers))}</span>` : ''}
+          ${item.line_discount ? `<span class="receipt-modifiers">${escapeHTML(item.line_discount.label)} −₱${item.line_discount_amount.toFixed(2)}</span>` : ''}
+        </span>
         <span>₱${item.subtotal.toFixed(2)}</span>
       </div>
     `).join('');
     
-    // Generate payment method specific HTML
-    let paymentHTML = '';
-    if (paymentMethod === 'cash') {
-      paymentHTML = `
+    // Discount, VAT-exempt and Senior/PWD lines
+    let discountHTML = '';
+    if (order.discount_amount > 0) {
+      discountHTML += `
+        <div class="receipt-row">
+          <span class="receipt-label">Discount${order.discount ? ` (${escapeHTML(getDiscountLabel(order.discount))})` : ''}:</span>
+          <span>−₱${order.discount_amount.toFixed(2)}</span>
+        </div>
+      `;
+    }
+    if (order.vat_exempt_amount > 0) {
+      discountHTML += `
+        <div class="receipt-row">
+          <span class="receipt-label">VAT-Exempt Sales:</span>
+          <span>₱${order.vat_exempt_amount.toFixed(2)}</span>
+        </div>
+      `;
+    }
+    
+    let seniorPwdHTML = '';
+    if (isSeniorPwdDiscount(order.discount)) {
+      seniorPwdHTML = `
+        <div class="receipt-row">
+          <span class="receipt-label">${order.discount.kind === 'senior' ? 'OSCA' : 'PWD'} ID:</span>
+          <span>${escapeHTML(order.discount.id_number)}</span>
+        </div>
+        ${order.discount.customer_name ? `
+        <div class="receipt-row">
+          <span class="receipt-label">Name:</span>
+          <span>${escapeHTML(order.discount.customer_name)}</span>
+        </div>` : ''}
+        <div class="receipt-row">
+          <span class="receipt-label">Signature:</span>
+          <span>________________</span>
+        </div>
+      `;
+    }
+    
+    // Generate payment lines, reference numbers and cash change HTML
+    const isSplit = completedPayments.length > 1;
+    let paymentHTML = completedPayments.map(payment => `
+      ${isSplit ? `
+        <div class="receipt-row">
+          <span class="receipt-label">&nbsp;&nbsp;${getPaymentMethodName(payment.payment_method)}:</span>
+          <span>₱${payment.amount.toFixed(2)}</span>
+        </div>` : ''}
+      ${payment.reference_number ? `
+        <div class="receipt-row">
+          <span class="receipt-label">&nbsp;&nbsp;Ref #:</span>
+          <span>${escapeHTML(payment.reference_number)}</span>
+        </div>` : ''}
+    `).join('');
+    
+    const cashTendered = completedPayments
+      .filter(payment => payment.payment_method === 'cash')
+      .reduce((sum, payment) => sum + payment.tendered_amount, 0);
+    if (cashTendered > 0) {
+      paymentHTML += `
         <div class="receipt-row">
           <span class="receipt-label">Cash Amount:</span>
-          <span>₱${parseFloat(cashAmount).toFixed(2)}</span>
+          <span>₱${cashTendered.toFixed(2)}</span>
         </div>
         <div class="receipt-row">
           <span class="receipt-label">Change:</span>
@@ -253,13 +308,6 @@ const Payment = ({
     
     // Create the receipt HTML content
     const receiptHTML = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>Receipt #${formattedSaleId}</title>
-        ${styles}
-      </head>
-      <body>
         <div class="receipt-header">
           <h2>TomNToms Coffee</h2>
           <p>${storeLocation}</p>
@@ -267,12 +315,12 @@ const Payment = ({
         
         <div class="receipt-info">
           <div class="receipt-row">
-            <span class="receipt-label">Receipt #:</span>
-            <span>${formattedSaleId}</span>
+            <span class="receipt-label">${receiptNumber.label}:</span>
+            <span>${escapeHTML(receiptNumber.value)}</span>
           </div>
           <div class="receipt-row">
             <span class="receipt-label">Cashier:</span>
-            <span>${cashierName}</span>
+            <span>${escapeHTML(cashierName)}</span>
           </div>
           <div class="receipt-row">
             <span class="receipt-label">Date & Time:</span>
@@ -293,8 +341,9 @@ const Payment = ({
             <span class="receipt-label">Subtotal:</span>
             <span>₱${order.subtotal.toFixed(2)}</span>
           </div>
+          ${discountHTML}
           <div class="receipt-row">
-            <span class="receipt-label">Tax (12%):</span>
+            <span class="receipt-label">${order.vat_exempt_amount > 0 ? 'VAT (Exempt):' : 'Tax (12%):'}</span>
             <span>₱${order.tax.toFixed(2)}</span>
           </div>
           <div class="receipt-row receipt-total">
@@ -306,40 +355,22 @@ const Payment = ({
         <div class="receipt-payment">
           <div class="receipt-row">
             <span class="receipt-label">Payment Method:</span>
-            <span style="text-transform: capitalize;">${paymentMethod}</span>
+            <span>${getPaymentMethodName(completedPayments.length > 1 ? SPLIT_PAYMENT_METHOD : paymentMethod)}</span>
           </div>
           ${paymentHTML}
+          ${seniorPwdHTML}
         </div>
         
         <div class="receipt-footer">
           Thank you for your purchase!
         </div>
-        
-        <script>
-          window.onload = function() {
-            window.print();
-            // Optional: close the window after printing
-            // setTimeout(() => window.close(), 500);
-          };
-        </script>
-      </body>
-      </html>
     `;
     
-    // Write content to the new window
-    printWindow.document.open();
-    printWindow.document.write(receiptHTML);
-    printWindow.document.close();
+    printReceiptDocument(`${receiptNumber.label} ${receiptNumber.value}`, receiptHTML);
   };
 
   // Define payment methods with icons
-  const paymentMethods = [
-    { id: 'cash', name: 'Cash' },
-    { id: 'credit', name: 'Credit/Debit' },
-    { id: 'gcash', name: 'GCash' },
-    { id: 'maya', name: 'Maya' },
-    { id: 'qr', name: 'QR Ph' }
-  ];
+  const paymentMethods = PAYMENT_OPTIONS;
   
   // Quick amount options for cash payments
   const quickAmounts = [
@@ -382,31 +413,73 @@ const Payment = ({
   // Handle payment method changes
   const handlePaymentMethodChange = (method) => {
     setPaymentMethod(method);
+    setReferenceNumber('');
+    setError('');
+  };
+  
+  // Toggle between a single payment method and split tender
+  const handleSplitModeChange = (enabled) => {
+    setSplitMode(enabled);
+    setError('');
+    if (enabled) {
+      // Start with the selected method covering the full amount
+      setTenders([{ method: paymentMethod, amount: order.total.toFixed(2), reference: referenceNumber }]);
+    }
+  };
+  
+  const handleTendersChange = (nextTenders) => {
+    setTenders(nextTenders);
     setError('');
   };
   
   // Simplified process payment function
   const handleProcessPayment = async () => {
     // Simple validation for cash payments
-    if (paymentMethod === 'cash' && parseFloat(cashAmount) < order.total) {
+    if (!splitMode && paymentMethod === 'cash' && parseFloat(cashAmount) < order.total) {
       setError('Cash amount must be equal to or greater than the total amount');
       return;
     }
     
+    const summary = splitMode
+      ? calculateTenderSummary(tenders, order.total)
+      : calculateTenderSummary([{
+          method: paymentMethod,
+          amount: paymentMethod === 'cash' ? cashAmount : order.total,
+          reference: referenceNumber
+        }], order.total);
+    
+    if (summary.error) {
+      setError(summary.error);
+      return;
+    }
+    if (summary.remaining > 0) {
+      setError(`₱${summary.remaining.toFixed(2)} is still due`);
+      return;
+    }
+    
     setProcessingPayment(true);
     setError('');
+    setChange(summary.change);
+    
+    const cashTendered = summary.payments
+      .filter(payment => payment.payment_method === 'cash')
+      .reduce((sum, payment) => sum + payment.tendered_amount, 0);
     
     try {
       // Call the parent component's completion handler with payment details
       const result = await onComplete({
-        method: paymentMethod,
-        cashAmount: parseFloat(cashAmount) || 0,
-        change: change
+        method: summary.payments.length > 1 ? SPLIT_PAYMENT_METHOD : summary.payments[0]?.payment_method || paymentMethod,
+        cashAmount: cashTendered,
+        change: summary.change,
+        payments: summary.payments
       });
       
       if (result && result.success) {
         // Show receipt after successful payment
-        setSaleId(result.saleId || 'TNT-' + Math.floor(100000 + Math.random() * 900000));
+        setSaleId(result.saleId);
+        setOrNumber(result.orNumber || null);
+        setIsOfflineSale(!!result.offline);
+        setCompletedPayments(summary.payments);
         setPaymentComplete(true);
       } else {
         setError(result?.error || 'Payment failed');
@@ -455,10 +528,11 @@ const Payment = ({
         <PrintableReceipt
           ref={printReceiptRef}
           order={order}
-          paymentMethod={paymentMethod}
-          cashAmount={parseFloat(cashAmount) || 0}
+          paymentMethod={completedPayments.length > 1 ? SPLIT_PAYMENT_METHOD : paymentMethod}
+          payments={completedPayments}
           change={change}
           saleId={saleId}
+          orNumber={orNumber}
           user={user}
         />
       </div>
@@ -492,11 +566,13 @@ const Payment = ({
           ) : paymentComplete ? (
             <ReceiptView 
               order={order} 
-              paymentMethod={paymentMethod} 
-              cashAmount={parseFloat(cashAmount) || 0}
+              paymentMethod={completedPayments.length > 1 ? SPLIT_PAYMENT_METHOD : paymentMethod} 
+              payments={completedPayments}
               change={change}
               saleId={saleId} 
+              orNumber={orNumber}
               user={user}
+              offline={isOfflineSale}
               onNewOrder={handleNewOrder}
             />
           ) : (
@@ -510,6 +586,12 @@ const Payment = ({
               quickAmounts={quickAmounts}
               onQuickAmountSelect={handleQuickAmount}
               change={change}
+              referenceNumber={referenceNumber}
+              onReferenceNumberChange={setReferenceNumber}
+              splitMode={splitMode}
+              onSplitModeChange={handleSplitModeChange}
+              tenders={tenders}
+              onTendersChange={handleTendersChange}
               error={error}
               processing={processingPayment}
               onProcessPayment={handleProcessPayment}
@@ -596,6 +678,12 @@ const PaymentForm = ({
   quickAmounts,
   onQuickAmountSelect,
   change,
+  referenceNumber,
+  onReferenceNumberChange,
+  splitMode,
+  onSplitModeChange,
+  tenders,
+  onTendersChange,
   error,
   processing,
   onProcessPayment
@@ -615,7 +703,12 @@ const PaymentForm = ({
         <div className="space-y-1 mb-3">
           {order.items.map((item) => (
             <div key={item.id} className="flex justify-between text-sm text-[#571C1F]">
-              <span>{item.quantity}× {item.name}</span>
+              <span>
+                {item.quantity}× {item.name}
+                {item.modifiers?.length > 0 && (
+                  <span className="block text-xs text-[#571C1F]/60">{formatModifiers(item.modifiers)}</span>
+                )}
+              </span>
               <span>₱{item.subtotal.toFixed(2)}</span>
             </div>
           ))}
@@ -624,8 +717,16 @@ const PaymentForm = ({
           <span className="text-[#571C1F]">Subtotal</span>
           <span className="text-[#571C1F]">₱{order.subtotal.toFixed(2)}</span>
         </div>
+        {order.discount_amount > 0 && (
+          <div className="flex justify-between text-sm">
+            <span className="text-green-700">
+              Discount{order.discount ? ` · ${getDiscountLabel(order.discount)}` : ''}
+            </span>
+            <span className="text-green-700">−₱{order.discount_amount.toFixed(2)}</span>
+          </div>
+        )}
         <div className="flex justify-between text-sm">
-          <span className="text-[#571C1F]">Tax (12%)</span>
+          <span className="text-[#571C1F]">{order.vat_exempt_amount > 0 ? 'VAT Exempt' : 'Tax (12%)'}</span>
           <span className="text-[#571C1F]">₱{order.tax.toFixed(2)}</span>
         </div>
         <div className="flex justify-between font-medium text-base pt-2 border-t border-dashed border-[#571C1F]/10 mt-1.5">
@@ -641,7 +742,19 @@ const PaymentForm = ({
         transition={{ duration: 0.4, delay: 0.1 }}
         className="mb-4"
       >
-        <h3 className="font-medium text-[#571C1F] mb-2">Payment Method</h3>
+        <div className="flex justify-between items-center mb-2">
+          <h3 className="font-medium text-[#571C1F]">Payment Method</h3>
+          <label className="flex items-center text-sm text-[#571C1F] cursor-pointer">
+            <input
+              type="checkbox"
+              checked={splitMode}
+              onChange={(e) => onSplitModeChange(e.target.checked)}
+              className="mr-1.5 accent-[#571C1F]"
+            />
+            Split payment
+          </label>
+        </div>
+        {!splitMode && (
         <div className="grid grid-cols-3 gap-2">
           {paymentMethods.map((method) => (
             <motion.button
@@ -671,11 +784,22 @@ const PaymentForm = ({
             </motion.button>
           ))}
         </div>
+        )}
       </motion.div>
       
       {/* Payment type specific forms */}
       <AnimatePresence>
-        {paymentMethod === 'cash' && (
+        {splitMode && (
+          <SplitTenderForm
+            key="split"
+            total={order.total}
+            tenders={tenders}
+            paymentMethods={paymentMethods}
+            onChange={onTendersChange}
+          />
+        )}
+        
+        {!splitMode && paymentMethod === 'cash' && (
           <motion.div
             initial={{ opacity: 0, y: 10 }}
             animate={{ opacity: 1, y: 0 }}
@@ -730,7 +854,7 @@ const PaymentForm = ({
           </motion.div>
         )}
         
-        {paymentMethod === 'credit' && (
+        {!splitMode && paymentMethod === 'credit' && (
           <motion.div
             initial={{ opacity: 0, y: 10 }}
             animate={{ opacity: 1, y: 0 }}
@@ -743,10 +867,17 @@ const PaymentForm = ({
                 Please swipe card in the terminal or instruct the customer to insert/tap their card.
               </p>
             </div>
+            <input
+              type="text"
+              value={referenceNumber}
+              onChange={(e) => onReferenceNumberChange(e.target.value)}
+              className="mt-2 w-full px-3 py-2 border border-[#571C1F]/20 rounded-lg text-sm text-[#571C1F] focus:outline-none focus:ring-2 focus:ring-[#571C1F]/30"
+              placeholder="Approval code"
+            />
           </motion.div>
         )}
         
-        {['gcash', 'maya', 'qr'].includes(paymentMethod) && (
+        {!splitMode && ['gcash', 'maya', 'qr'].includes(paymentMethod) && (
           <motion.div
             initial={{ opacity: 0, y: 10 }}
             animate={{ opacity: 1, y: 0 }}
@@ -766,6 +897,13 @@ const PaymentForm = ({
                 Please scan the QR code using your mobile app to complete the payment.
               </p>
             </div>
+            <input
+              type="text"
+              value={referenceNumber}
+              onChange={(e) => onReferenceNumberChange(e.target.value)}
+              className="mt-2 w-full px-3 py-2 border border-[#571C1F]/20 rounded-lg text-sm text-[#571C1F] focus:outline-none focus:ring-2 focus:ring-[#571C1F]/30"
+              placeholder="Reference number"
+            />
           </motion.div>
         )}
       </AnimatePresence>
@@ -788,7 +926,7 @@ const PaymentForm = ({
 };
 
 // ReceiptView component - no longer needs forwardRef
-const ReceiptView = ({ order, paymentMethod, cashAmount, change, saleId, user, onNewOrder }) => {
+const ReceiptView = ({ order, paymentMethod, payments = [], change, saleId, orNumber, user, offline = false, onNewOrder }) => {
   // Format date
   const date = new Date();
   const formattedDate = date.toLocaleDateString('en-US', {
@@ -801,8 +939,8 @@ const ReceiptView = ({ order, paymentMethod, cashAmount, change, saleId, user, o
     minute: '2-digit'
   });
   
-  // Format receipt number with TNT prefix if it doesn't already have one
-  const formattedSaleId = saleId.toString().startsWith('TNT-') ? saleId : `TNT-${saleId.toString().padStart(6, '0')}`;
+  // OR number, or the provisional reference for an offline sale
+  const receiptNumber = getReceiptNumber(orNumber, saleId);
   
   // Format the cashier name based on available user properties
   const cashierName = user?.first_name 
@@ -852,6 +990,11 @@ const ReceiptView = ({ order, paymentMethod, cashAmount, change, saleId, user, o
           >
             Your transaction has been successful
           </motion.p>
+          {offline && (
+            <p className="mt-2 inline-block text-xs font-medium text-amber-700 bg-amber-50 border border-amber-200 rounded px-2 py-1">
+              Saved offline · OR number is issued when it syncs
+            </p>
+          )}
         </div>
         
         {/* Receipt content */}
@@ -862,8 +1005,8 @@ const ReceiptView = ({ order, paymentMethod, cashAmount, change, saleId, user, o
           </div>
           
           <div className="flex justify-between text-sm mb-1">
-            <span className="text-[#571C1F]/70">Receipt #:</span>
-            <span className="font-medium text-[#571C1F]">{formattedSaleId}</span>
+            <span className="text-[#571C1F]/70">{receiptNumber.label}:</span>
+            <span className="font-medium text-[#571C1F]">{receiptNumber.value}</span>
           </div>
           
           <div className="flex justify-between text-sm">
@@ -884,7 +1027,12 @@ const ReceiptView = ({ order, paymentMethod, cashAmount, change, saleId, user, o
             
             {order.items.map((item) => (
               <div key={item.id} className="flex justify-between text-sm mb-1">
-                <span className="text-[#571C1F]">{item.quantity}× {item.name}</span>
+                <span className="text-[#571C1F]">
+                  {item.quantity}× {item.name}
+                  {item.modifiers?.length > 0 && (
+                    <span className="block text-xs text-[#571C1F]/60">{formatModifiers(item.modifiers)}</span>
+                  )}
+                </span>
                 <span className="text-[#571C1F]">₱{item.subtotal.toFixed(2)}</span>
               </div>
             ))}
@@ -895,34 +1043,34 @@ const ReceiptView = ({ order, paymentMethod, cashAmount, change, saleId, user, o
               <span className="text-[#571C1F]/70">Subtotal:</span>
               <span className="text-[#571C1F]">₱{order.subtotal.toFixed(2)}</span>
             </div>
+            {order.discount_amount > 0 && (
+              <div className="flex justify-between">
+                <span className="text-[#571C1F]/70">Discount{order.discount ? ` (${getDiscountLabel(order.discount)})` : ''}:</span>
+                <span className="text-[#571C1F]">−₱{order.discount_amount.toFixed(2)}</span>
+              </div>
+            )}
+            {order.vat_exempt_amount > 0 && (
+              <div className="flex justify-between">
+                <span className="text-[#571C1F]/70">VAT-Exempt Sales:</span>
+                <span className="text-[#571C1F]">₱{order.vat_exempt_amount.toFixed(2)}</span>
+              </div>
+            )}
             <div className="flex justify-between">
-              <span className="text-[#571C1F]/70">Tax (12%):</span>
+              <span className="text-[#571C1F]/70">{order.vat_exempt_amount > 0 ? 'VAT (Exempt):' : 'Tax (12%):'}</span>
               <span className="text-[#571C1F]">₱{order.tax.toFixed(2)}</span>
             </div>
+            {isSeniorPwdDiscount(order.discount) && (
+              <div className="text-xs text-[#571C1F]/70 pt-1">
+                {order.discount.kind === 'senior' ? 'OSCA' : 'PWD'} ID: {order.discount.id_number}
+                {order.discount.customer_name && ` · ${order.discount.customer_name}`}
+              </div>
+            )}
             <div className="flex justify-between font-medium pt-1 border-t border-[#571C1F]/10">
               <span className="text-[#571C1F]">Total:</span>
               <span className="text-[#571C1F]">₱{order.total.toFixed(2)}</span>
             </div>
             
-            <div className="pt-2 border-t border-dashed border-[#571C1F]/10 mt-2">
-              <div className="flex justify-between">
-                <span className="text-[#571C1F]/70">Payment Method:</span>
-                <span className="font-medium capitalize text-[#571C1F]">{paymentMethod}</span>
-              </div>
-              
-              {paymentMethod === 'cash' && (
-                <>
-                  <div className="flex justify-between">
-                    <span className="text-[#571C1F]/70">Cash Amount:</span>
-                    <span className="text-[#571C1F]">₱{cashAmount.toFixed(2)}</span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-[#571C1F]/70">Change:</span>
-                    <span className="text-[#571C1F]">₱{change.toFixed(2)}</span>
-                  </div>
-                </>
-              )}
-            </div>
+            <ReceiptPayments payments={payments} paymentMethod={paymentMethod} change={change} />
           </div>
         </div>
         
@@ -934,4 +1082,104 @@ const ReceiptView = ({ order, paymentMethod, cashAmount, change, saleId, user, o
   );
 };
 
+const orderShape = PropTypes.shape({
+  items: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    name: PropTypes.string.isRequired,
+    quantity: PropTypes.number.isRequired,
+    subtotal: PropTypes.number.isRequired,
+    modifiers: PropTypes.array,
+    line_discount: PropTypes.shape({ label: PropTypes.string }),
+    line_discount_amount: PropTypes.number
+  })).isRequired,
+  subtotal: PropTypes.number.isRequired,
+  discount: PropTypes.shape({
+    kind: PropTypes.string,
+    id_number: PropTypes.string,
+    customer_name: PropTypes.string
+  }),
+  discount_amount: PropTypes.number,
+  vat_exempt_amount: PropTypes.number,
+  tax: PropTypes.number.isRequired,
+  total: PropTypes.number.isRequired
+});
+
+const paymentShape = PropTypes.shape({
+  payment_method: PropTypes.string.isRequired,
+  amount: PropTypes.number.isRequired,
+  tendered_amount: PropTypes.number,
+  reference_number: PropTypes.string
+});
+
+const userShape = PropTypes.shape({
+  name: PropTypes.string,
+  email: PropTypes.string,
+  first_name: PropTypes.string,
+  last_name: PropTypes.string,
+  user_metadata: PropTypes.shape({
+    first_name: PropTypes.string,
+    last_name: PropTypes.string
+  })
+});
+
+const saleIdType = PropTypes.oneOfType([PropTypes.string, PropTypes.number]);
+
+ReceiptPayments.propTypes = {
+  payments: PropTypes.arrayOf(paymentShape),
+  paymentMethod: PropTypes.string.isRequired,
+  change: PropTypes.number.isRequired
+};
+
+PrintableReceipt.propTypes = {
+  order: orderShape.isRequired,
+  paymentMethod: PropTypes.string.isRequired,
+  payments: PropTypes.arrayOf(paymentShape),
+  change: PropTypes.number.isRequired,
+  saleId: saleIdType.isRequired,
+  orNumber: PropTypes.string,
+  user: userShape
+};
+
+Payment.propTypes = {
+  order: orderShape.isRequired,
+  onComplete: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+PaymentForm.propTypes = {
+  order: orderShape.isRequired,
+  paymentMethod: PropTypes.string.isRequired,
+  paymentMethods: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired
+  })).isRequired,
+  onPaymentMethodChange: PropTypes.func.isRequired,
+  cashAmount: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  onCashAmountChange: PropTypes.func.isRequired,
+  quickAmounts: PropTypes.arrayOf(PropTypes.number).isRequired,
+  onQuickAmountSelect: PropTypes.func.isRequired,
+  change: PropTypes.number.isRequired,
+  referenceNumber: PropTypes.string.isRequired,
+  onReferenceNumberChange: PropTypes.func.isRequired,
+  splitMode: PropTypes.bool.isRequired,
+  onSplitModeChange: PropTypes.func.isRequired,
+  tenders: PropTypes.array.isRequired,
+  onTendersChange: PropTypes.func.isRequired,
+  error: PropTypes.string,
+  processing: PropTypes.bool,
+  onProcessPayment: PropTypes.func.isRequired
+};
+
+ReceiptView.propTypes = {
+  order: orderShape.isRequired,
+  paymentMethod: PropTypes.string.isRequired,
+  payments: PropTypes.arrayOf(paymentShape),
+  change: PropTypes.number.isRequired,
+  saleId: saleIdType.isRequired,
+  orNumber: PropTypes.string,
+  user: userShape,
+  offline: PropTypes.bool,
+  onNewOrder: PropTypes.func.isRequired
+};
+
 export default Payment;
\ No newline at end of file
@@ -0,0 +1,282 @@
+import { useState, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import Card from '../common/Card';
+import Button from '../common/Button';
+import { useSales } from '../../hooks/useSales';
+import { usePermissions } from '../../hooks/usePermissions';
+import { PERMISSIONS, REFUND_DISPOSITIONS, SPLIT_PAYMENT_METHOD } from '../../services/constants';
+import { formatModifiers } from '../../utils/modifier-utils';
+import { roundCurrency } from '../../utils/discount-utils';
+import { getSalePayments, getPaymentMethodName } from '../../utils/payment-utils';
+import { calculateLineRefund, getRefundableQuantity } from '../../utils/refund-utils';
+
+const inputClass = 'w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-[#571C1F] text-sm';
+
+const RefundTransaction = ({ sale, onRefundComplete, onCancel }) => {
+  const { refundSale, verifyManagerPin } = useSales();
+  const { hasPermission } = usePermissions();
+  // Line id to { quantity, disposition }
+  const [lines, setLines] = useState({});
+  const [reason, setReason] = useState('');
+  // Refund in a tender the customer paid with; cash is always possible
+  const tenderOptions = useMemo(() => {
+    const methods = getSalePayments(sale)
+      .map(payment => payment.method)
+      .filter(method => method !== SPLIT_PAYMENT_METHOD);
+    return [...new Set([...methods, 'cash'])];
+  }, [sale]);
+  const [refundMethod, setRefundMethod] = useState(tenderOptions[0]);
+  const [approvalCode, setApprovalCode] = useState('');
+  const [step, setStep] = useState(1); // 1 = lines, 2 = approval
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Managers approve their own refunds; anyone else needs a manager's PIN
+  const canApprove = hasPermission(PERMISSIONS.SALES.REFUND);
+  const receipt = sale.or_number ? `OR ${sale.or_number}` : `Sale #${sale.sale_id}`;
+
+  const selectedLines = sale.items
+    .map(item => ({ item, ...lines[item.id] }))
+    .filter(line => line.quantity > 0);
+
+  const refundTotal = roundCurrency(selectedLines
+    .reduce((sum, line) => sum + calculateLineRefund(sale, line.item, line.quantity), 0));
+
+  const updateLine = (item, changes) => {
+    setLines(prev => {
+      const current = prev[item.id] || { quantity: 0, disposition: REFUND_DISPOSITIONS.RESTOCK };
+      const next = { ...current, ...changes };
+      next.quantity = Math.min(Math.max(parseInt(next.quantity, 10) || 0, 0), getRefundableQuantity(item));
+      return { ...prev, [item.id]: next };
+    });
+    setError('');
+  };
+
+  const validateLines = () => {
+    if (selectedLines.length === 0) {
+      setError('Select at least one item to refund');
+      return;
+    }
+    if (!reason.trim()) {
+      setError('Please provide a reason for the refund');
+      return;
+    }
+    setError('');
+
+    if (canApprove) {
+      processRefund(null);
+    } else {
+      setStep(2);
+    }
+  };
+
+  const validateApprovalCode = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      await verifyManagerPin(approvalCode, PERMISSIONS.SALES.REFUND);
+      await processRefund(approvalCode.trim());
+    } catch (err) {
+      setError(err.message || 'Error validating approval code');
+      setLoading(false);
+    }
+  };
+
+  const processRefund = async (approvalPin) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const result = await refundSale({
+        sale_id: sale.sale_id,
+        items: selectedLines.map(line => ({
+          sale_detail_id: line.item.id,
+          quantity: line.quantity,
+          disposition: line.disposition
+        })),
+        refund_method: refundMethod,
+        reason: reason.trim(),
+        approval_pin: approvalPin
+      });
+      onRefundComplete(result);
+    } catch (err) {
+      setError(err.message || 'Error processing refund');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card className="h-full flex flex-col">
+      <div className="border-b border-gray-200 pb-4 mb-4">
+        <h2 className="text-xl font-semibold text-[#571C1F]">Refund Items</h2>
+        <p className="text-sm text-gray-600 mt-1">
+          {receipt} for {parseFloat(sale.total_amount).toFixed(2)}
+        </p>
+      </div>
+
+      <div className="flex-grow overflow-y-auto">
+        {sale.is_voided ? (
+          <p className="text-sm text-gray-600">This sale was voided and cannot be refunded.</p>
+        ) : step === 1 ? (
+          <div className="space-y-4">
+            <ul className="divide-y divide-gray-100">
+              {sale.items.map(item => {
+                const refundable = getRefundableQuantity(item);
+                const line = lines[item.id] || { quantity: 0, disposition: REFUND_DISPOSITIONS.RESTOCK };
+
+                return (
+                  <li key={item.id} className="py-2">
+                    <div className="flex justify-between items-start">
+                      <div className="pr-2">
+                        <p className="text-sm font-medium text-[#571C1F]">{item.name}</p>
+                        {item.modifiers?.length > 0 && (
+                          <p className="text-xs text-gray-500">{formatModifiers(item.modifiers)}</p>
+                        )}
+                        <p className="text-xs text-gray-500">
+                          {refundable} of {item.quantity} refundable
+                        </p>
+                      </div>
+                      <input
+                        type="number"
+                        min="0"
+                        max={refundable}
+                        value={line.quantity}
+                        onChange={(e) => updateLine(item, { quantity: e.target.value })}
+                        disabled={refundable === 0 || loading}
+                        className="w-16 p-1 border border-gray-300 rounded-md text-sm text-right"
+                      />
+                    </div>
+                    {line.quantity > 0 && (
+                      <div className="flex justify-between items-center mt-1">
+                        <div className="flex space-x-3 text-xs">
+                          {Object.values(REFUND_DISPOSITIONS).map(disposition => (
+                            <label key={disposition} className="flex items-center space-x-1">
+                              <input
+                                type="radio"
+                                name={`disposition-${item.id}`}
+                                checked={line.disposition === disposition}
+                                onChange={() => updateLine(item, { disposition })}
+                              />
+                              <span>{disposition === REFUND_DISPOSITIONS.RESTOCK ? 'Return to stock' : 'Waste'}</span>
+                            </label>
+                          ))}
+                        </div>
+                        <span className="text-sm text-[#571C1F]">
+                          ₱{calculateLineRefund(sale, item, line.quantity).toFixed(2)}
+                        </span>
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Refund To</label>
+              <select
+                value={refundMethod}
+                onChange={(e) => setRefundMethod(e.target.value)}
+                className={inputClass}
+              >
+                {tenderOptions.map(method => (
+                  <option key={method} value={method}>{getPaymentMethodName(method)}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Reason for Refund</label>
+              <textarea
+                className={inputClass}
+                rows={2}
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                placeholder="e.g. Wrong order, spilled drink"
+              />
+            </div>
+          </div>
+        ) : (
+          <div>
+            <p className="mb-4 text-gray-600">
+              Manager approval required to refund ₱{refundTotal.toFixed(2)}.
+            </p>
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Manager Approval Code
+              </label>
+              <input
+                type="password"
+                className={inputClass}
+                value={approvalCode}
+                onChange={(e) => setApprovalCode(e.target.value)}
+                placeholder="Enter manager approval code"
+              />
+            </div>
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-red-50 border-l-4 border-red-400 p-3 my-4">
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        )}
+      </div>
+
+      <div className="border-t border-gray-200 pt-3 mt-3 flex justify-between text-sm font-medium text-[#571C1F]">
+        <span>Refund Total</span>
+        <span>₱{refundTotal.toFixed(2)}</span>
+      </div>
+
+      <div className="flex justify-between mt-4">
+        <Button
+          variant="outline"
+          onClick={step === 2 ? () => setStep(1) : onCancel}
+          disabled={loading}
+        >
+          {step === 2 ? 'Back' : 'Cancel'}
+        </Button>
+
+        {step === 1 ? (
+          <Button
+            onClick={validateLines}
+            disabled={loading || sale.is_voided || selectedLines.length === 0}
+          >
+            {loading ? 'Processing...' : canApprove ? 'Refund' : 'Next'}
+          </Button>
+        ) : (
+          <Button
+            onClick={validateApprovalCode}
+            disabled={loading || !approvalCode.trim()}
+          >
+            {loading ? 'Processing...' : 'Approve Refund'}
+          </Button>
+        )}
+      </div>
+    </Card>
+  );
+};
+
+RefundTransaction.propTypes = {
+  sale: PropTypes.shape({
+    sale_id: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+    or_number: PropTypes.string,
+    total_amount: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+    is_voided: PropTypes.bool,
+    items: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.number.isRequired,
+      name: PropTypes.string,
+      quantity: PropTypes.number.isRequired,
+      subtotal: PropTypes.number,
+      discount_amount: PropTypes.number,
+      refunded_quantity: PropTypes.number,
+      refunded_amount: PropTypes.number,
+      modifiers: PropTypes.array
+    })).isRequired
+  }).isRequired,
+  onRefundComplete: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default RefundTransaction;
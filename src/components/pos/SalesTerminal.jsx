@@ -4,26 +4,85 @@ import ProductCatalog from './ProductCatalog';
 import OrderBuilder from './OrderBuilder';
 import Payment from './Payment';
 import VoidTransaction from './VoidTransaction';
+import RefundTransaction from './RefundTransaction';
+import OfflineSyncStatus from './OfflineSyncStatus';
+import ModifierSelector from './ModifierSelector';
+import DiscountPanel from './DiscountPanel';
+import HeldOrdersPanel from './HeldOrdersPanel';
+import TerminalSetup from './TerminalSetup';
+import ShiftPanel from './ShiftPanel';
 import { useSales } from '../../hooks/useSales';
 import { useAuth } from '../../hooks/useAuth';
 import { useInventory } from '../../hooks/useInventory';
+import { useShifts } from '../../hooks/useShifts';
 import { toast } from 'react-hot-toast';
+import { getLineKey, getModifierPriceDelta } from '../../utils/modifier-utils';
+import { calculateOrderTotals, isSeniorPwdDiscount, validatePromotion } from '../../utils/discount-utils';
+import { SALE_DISCOUNT_KINDS, SAVED_CART_KEY } from '../../services/constants';
 import Button from '../common/Button';
 import Card from '../common/Card';
 
 // Update the component signature to accept props
 const SalesTerminal = ({ initialProducts = [], initialCategories = [] }) => {
-  const { user } = useAuth();
-  const { addSale, fetchSale, voidSale } = useSales();
-  const { checkIngredientAvailability, fetchItems, processItemSale } = useInventory();
+  const { user, connectionStatus } = useAuth();
+  const { 
+    addSale, 
+    findSaleByReceipt,
+    voidSale,
+    terminal,
+    offlineSales,
+    syncingOfflineSales,
+    syncOfflineSales,
+    retryOfflineSale,
+    discardOfflineSale,
+    heldOrders,
+    fetchHeldOrders,
+    holdOrder,
+    resumeHeldOrder,
+    discardHeldOrder
+  } = useSales();
+  const { checkIngredientAvailability, fetchItems, fetchModifierGroups } = useInventory();
+  const {
+    currentShift,
+    fetchCurrentShift,
+    openShift,
+    recordCashEvent,
+    getShiftReport,
+    closeShift,
+    generateZRead
+  } = useShifts(terminal?.terminal_id || null);
   
   // Initialize with a valid object structure
-  const [activeOrder, setActiveOrder] = useState({
+  const emptyOrder = {
     items: [],
     subtotal: 0,
+    discount: null,
+    discount_amount: 0,
+    vat_exempt_amount: 0,
     tax: 0,
     total: 0
+  };
+  // Restore the cart that was open on this terminal before a reload
+  const [activeOrder, setActiveOrder] = useState(() => {
+    try {
+      const saved = JSON.parse(localStorage.getItem(SAVED_CART_KEY));
+      if (!saved || !saved.items || saved.items.length === 0) return emptyOrder;
+      
+      const totals = calculateOrderTotals(saved.items, saved.discount || null);
+      return {
+        items: totals.items,
+        subtotal: totals.subtotal,
+        discount: saved.discount || null,
+        discount_amount: totals.discount_amount,
+        vat_exempt_amount: totals.vat_exempt_amount,
+        tax: totals.tax,
+        total: totals.total
+      };
+    } catch {
+      return emptyOrder;
+    }
   });
+  const [orderPaid, setOrderPaid] = useState(false);
   
   const [paymentStep, setPaymentStep] = useState(false);
   const [categories, setCategories] = useState(initialCategories);
@@ -33,10 +92,36 @@ const SalesTerminal = ({ initialProducts = [], initialCategories = [] }) => {
     initialCategories.length > 0 ? initialCategories[0].id : null
   );
   const [inventory, setInventory] = useState({});
-  const [showVoidModal, setShowVoidModal] = useState(false);
+  // Receipt lookup for a void or refund: 'void', 'refund' or null
+  const [receiptLookup, setReceiptLookup] = useState(null);
   const [saleToVoid, setSaleToVoid] = useState(null);
   const [voidDialogOpen, setVoidDialogOpen] = useState(false);
+  const [saleToRefund, setSaleToRefund] = useState(null);
   const [lastCompletedSale, setLastCompletedSale] = useState(null);
+  const [modifierProduct, setModifierProduct] = useState(null);
+  const [showDiscountPanel, setShowDiscountPanel] = useState(false);
+  const [showHeldOrders, setShowHeldOrders] = useState(false);
+  const [showTerminalSetup, setShowTerminalSetup] = useState(false);
+  const [showShiftPanel, setShowShiftPanel] = useState(false);
+
+  // Pick up the shift already open on this terminal
+  useEffect(() => {
+    if (connectionStatus !== 'disconnected') {
+      fetchCurrentShift().catch(() => {});
+    }
+  }, [fetchCurrentShift, connectionStatus]);
+
+  // Keep the open cart on this terminal; a paid order is not restored
+  useEffect(() => {
+    if (orderPaid || activeOrder.items.length === 0) {
+      localStorage.removeItem(SAVED_CART_KEY);
+    } else {
+      localStorage.setItem(SAVED_CART_KEY, JSON.stringify({
+        items: activeOrder.items,
+        discount: activeOrder.discount
+      }));
+    }
+  }, [activeOrder, orderPaid]);
 
   // If no initial data was provided, fetch using useInventory
   useEffect(() => {
@@ -46,6 +131,7 @@ const SalesTerminal = ({ initialProducts = [], initialCategories = [] }) => {
           setLoading(true);
           // Use the existing hook function instead of api
           const menuItems = await fetchItems();
+          const modifierGroups = await fetchModifierGroups().catch(() => []);
 
           // Extract unique categories from items
           const uniqueCategories = [...new Set(menuItems.map(item => item.category || 'Uncategorized'))];
@@ -62,7 +148,8 @@ const SalesTerminal = ({ initialProducts = [], initialCategories = [] }) => {
             price: parseFloat(item.base_price) || 0,
             description: item.description || '',
             image: item.image || null,
-            is_externally_sourced: item.is_externally_sourced || false
+            is_externally_sourced: item.is_externally_sourced || false,
+            modifierGroups: modifierGroups.filter(group => group.item_id === item.item_id)
           }));
 
           setCategories(formattedCategories);
@@ -84,7 +171,7 @@ const SalesTerminal = ({ initialProducts = [], initialCategories = [] }) => {
       // Just check inventory for the provided products
       checkInventoryForProducts(initialProducts);
     }
-  }, [initialProducts, initialCategories, fetchItems]);
+  }, [initialProducts, initialCategories, fetchItems, fetchModifierGroups]);
 
   // New function to check inventory for products
   const checkInventoryForProducts = async (products) => {
@@ -117,32 +204,91 @@ const SalesTerminal = ({ initialProducts = [], initialCategories = [] }) => {
     }
   };
 
+  // Recalculate discounts and totals whenever the order lines or discount change
+  const setOrderItems = (updatedItems, discount = activeOrder.discount) => {
+    let orderDiscount = updatedItems.length > 0 ? discount : null;
+
+    // A promo that no longer fits the cart (e.g. its item was removed) is dropped
+    if (orderDiscount?.kind === SALE_DISCOUNT_KINDS.PROMO) {
+      const subtotal = updatedItems.reduce((sum, item) => sum + item.subtotal, 0);
+      const promoError = validatePromotion(orderDiscount.promo, updatedItems, subtotal);
+      if (promoError) {
+        toast.error(`Promo ${orderDiscount.promo_code} removed: ${promoError}`);
+        orderDiscount = null;
+      }
+    }
+
+    const totals = calculateOrderTotals(updatedItems, orderDiscount);
+
+    setActiveOrder({
+      items: totals.items,
+      subtotal: totals.subtotal,
+      discount: orderDiscount,
+      discount_amount: totals.discount_amount,
+      vat_exempt_amount: totals.vat_exempt_amount,
+      tax: totals.tax,
+      total: totals.total
+    });
+  };
+
+  const applyOrderDiscount = (discount) => {
+    setOrderItems(activeOrder.items, discount);
+    setShowDiscountPanel(false);
+    toast.success(isSeniorPwdDiscount(discount) ? 'Senior/PWD discount applied' : 'Discount applied');
+  };
+
+  const applyLineDiscount = (lineId, lineDiscount) => {
+    setOrderItems(activeOrder.items.map(item =>
+      item.id === lineId ? { ...item, line_discount: lineDiscount } : item
+    ));
+    setShowDiscountPanel(false);
+    toast.success('Line discount applied');
+  };
+
+  const removeOrderDiscount = () => {
+    // Clears the order discount and any manual line overrides
+    setOrderItems(activeOrder.items.map(item => ({ ...item, line_discount: null })), null);
+    setShowDiscountPanel(false);
+  };
+
   const addItemToOrder = async (product) => {
+    // Items with sizes or add-ons go through the modifier selector first
+    if (product.modifierGroups && product.modifierGroups.length > 0) {
+      setModifierProduct(product);
+      return;
+    }
+
+    await addLineToOrder(product, []);
+  };
+
+  const handleModifierConfirm = async (product, modifiers) => {
+    setModifierProduct(null);
+    await addLineToOrder(product, modifiers);
+  };
+
+  const addLineToOrder = async (product, modifiers) => {
     try {
-      // Check ingredient availability directly using the hook
-      const availability = await checkIngredientAvailability(product.id, 1);
+      const lineId = getLineKey(product.id, modifiers);
+      const modifierIds = modifiers.map(mod => mod.modifier_id);
+      const unitPrice = product.price + getModifierPriceDelta(modifiers);
+
+      // The same item with the same options stacks onto one line
+      const existingItem = activeOrder.items.find(item => item.id === lineId);
+      const newQuantity = existingItem ? existingItem.quantity + 1 : 1;
+
+      // Check ingredient availability including the chosen modifiers' recipe changes
+      const availability = await checkIngredientAvailability(product.id, newQuantity, modifierIds);
 
       if (!availability.available) {
-        toast.error(availability.message || `${product.name} is out of stock!`);
+        toast.error(availability.message || `Not enough ${product.name} in stock!`);
         return;
       }
 
-      // Rest of the existing addItemToOrder logic...
-      const existingItem = activeOrder.items.find(item => item.id === product.id);
       let updatedItems;
       
       if (existingItem) {
-        // Check availability for increased quantity
-        const newQuantity = existingItem.quantity + 1;
-        const availabilityCheck = await checkIngredientAvailability(product.id, newQuantity);
-
-        if (!availabilityCheck.available) {
-          toast.error(availabilityCheck.message || `Not enough ${product.name} in stock!`);
-          return;
-        }
-
         updatedItems = activeOrder.items.map(item => {
-          if (item.id === product.id) {
+          if (item.id === lineId) {
             return {
               ...item,
               quantity: newQuantity,
@@ -155,53 +301,47 @@ const SalesTerminal = ({ initialProducts = [], initialCategories = [] }) => {
         updatedItems = [
           ...activeOrder.items,
           {
-            id: product.id,
+            id: lineId,
+            item_id: product.id,
             name: product.name,
-            price: product.price,
+            base_price: product.price,
+            price: unitPrice,
             quantity: 1,
-            subtotal: product.price
+            subtotal: unitPrice,
+            modifiers,
+            modifier_ids: modifierIds
           }
         ];
       }
 
-      const subtotal = updatedItems.reduce((sum, item) => sum + item.subtotal, 0);
-      const tax = subtotal * 0.12; // Tax rate could come from settings
-      const total = subtotal + tax;
-
-      setActiveOrder({
-        items: updatedItems,
-        subtotal,
-        tax,
-        total
-      });
-
+      setOrderItems(updatedItems);
     } catch (error) {
       console.error('Error adding item to order:', error);
       toast.error('Failed to add item to order');
     }
   };
   
-  const updateItemQuantity = async (itemId, quantity) => {
+  const updateItemQuantity = async (lineId, quantity) => {
     // Don't allow zero or negative quantities
     if (quantity <= 0) {
-      removeItemFromOrder(itemId);
+      removeItemFromOrder(lineId);
       return;
     }
     
     try {
-      // Check inventory availability first
-      const product = products.find(p => p.id === itemId);
-      if (!product) return;
+      const line = activeOrder.items.find(item => item.id === lineId);
+      if (!line) return;
       
-      const availability = await checkIngredientAvailability(itemId, quantity);
+      // Check inventory availability first
+      const availability = await checkIngredientAvailability(line.item_id, quantity, line.modifier_ids);
       
       if (!availability.available) {
-        toast.error(availability.message || `Not enough ${product.name} in stock!`);
+        toast.error(availability.message || `Not enough ${line.name} in stock!`);
         return;
       }
       
       const updatedItems = activeOrder.items.map(item => {
-        if (item.id === itemId) {
+        if (item.id === lineId) {
           return {
             ...item,
             quantity,
@@ -211,46 +351,41 @@ const SalesTerminal = ({ initialProducts = [], initialCategories = [] }) => {
         return item;
       });
       
-      // Calculate totals
-      const subtotal = updatedItems.reduce((sum, item) => sum + item.subtotal, 0);
-      const tax = subtotal * 0.12;
-      const total = subtotal + tax;
-      
-      setActiveOrder({
-        items: updatedItems,
-        subtotal,
-        tax,
-        total
-      });
+      setOrderItems(updatedItems);
     } catch (error) {
       console.error('Error updating item quantity:', error);
       toast.error('Failed to update quantity');
     }
   };
   
-  const removeItemFromOrder = (itemId) => {
-    const updatedItems = activeOrder.items.filter(item => item.id !== itemId);
-    
-    // Calculate totals
-    const subtotal = updatedItems.reduce((sum, item) => sum + item.subtotal, 0);
-    const tax = subtotal * 0.12;
-    const total = subtotal + tax;
-    
-    setActiveOrder({
-      items: updatedItems,
-      subtotal,
-      tax,
-      total
-    });
+  // Notes ride along to the kitchen ticket
+  const updateItemNote = (lineId, notes) => {
+    setOrderItems(activeOrder.items.map(item =>
+      item.id === lineId ? { ...item, notes: notes || null } : item
+    ));
+  };
+  
+  const removeItemFromOrder = (lineId) => {
+    setOrderItems(activeOrder.items.filter(item => item.id !== lineId));
   };
   
   const clearOrder = () => {
-    setActiveOrder({
-      items: [],
-      subtotal: 0,
-      tax: 0,
-      total: 0
-    });
+    setActiveOrder(emptyOrder);
+  };
+  
+  // Park the open order so the terminal can start another
+  const handleHoldOrder = async (details) => {
+    await holdOrder(activeOrder, details);
+    setActiveOrder(emptyOrder);
+    setShowHeldOrders(false);
+  };
+  
+  const handleResumeOrder = async (held) => {
+    const resumed = await resumeHeldOrder(held.held_order_id);
+    // Totals are recalculated, and a promo that has since expired is dropped
+    setOrderItems(resumed.order_data.items || [], resumed.order_data.discount || null);
+    setShowHeldOrders(false);
+    toast.success(`Resumed "${resumed.label}"`);
   };
   
   const proceedToPayment = () => {
@@ -258,6 +393,18 @@ const SalesTerminal = ({ initialProducts = [], initialCategories = [] }) => {
       toast.error('Please add items to the order first');
       return;
     }
+    // Every sale needs an official receipt number from this terminal's series
+    if (!terminal) {
+      toast.error('Set up this terminal before taking payment');
+      setShowTerminalSetup(true);
+      return;
+    }
+    // Sales are reconciled against a shift; offline sales sync into it later
+    if (!currentShift && connectionStatus !== 'disconnected') {
+      toast.error('Open a shift before taking payment');
+      setShowShiftPanel(true);
+      return;
+    }
     setPaymentStep(true);
   };
 
@@ -272,35 +419,65 @@ const SalesTerminal = ({ initialProducts = [], initialCategories = [] }) => {
         };
       }
 
+      const { discount } = activeOrder;
+      const lineOverride = activeOrder.items.find(item => item.line_discount);
+
       // Prepare sale data matching database schema
       const saleData = {
+        terminal_id: terminal?.terminal_id || null,
         cashier_id: user.id, // Use the authenticated user's ID directly
         sale_date: new Date().toISOString(),
         payment_method: paymentData.method,
         total_amount: activeOrder.total,
+        subtotal_amount: activeOrder.subtotal,
+        discount_amount: activeOrder.discount_amount,
+        vat_amount: activeOrder.tax,
+        vat_exempt_amount: activeOrder.vat_exempt_amount,
+        discount_type: discount?.kind || (lineOverride ? SALE_DISCOUNT_KINDS.MANUAL : null),
+        promo_id: discount?.promo_id || null,
+        promo_code: discount?.promo_code || null,
+        discount_reason: discount?.reason || lineOverride?.line_discount.reason || null,
+        discount_approval_id: discount?.approval_id || lineOverride?.line_discount.approval_id || null,
+        senior_pwd_id: isSeniorPwdDiscount(discount) ? discount.id_number : null,
+        senior_pwd_name: isSeniorPwdDiscount(discount) ? discount.customer_name : null,
+        payments: paymentData.payments,
         items: activeOrder.items.map(item => ({
-          item_id: item.id,
+          item_id: item.item_id,
           quantity: item.quantity,
           unit_price: item.price,
-          subtotal: item.subtotal
+          subtotal: item.subtotal,
+          modifier_ids: item.modifier_ids,
+          modifiers: item.modifiers,
+          discount_amount: item.discount_amount,
+          discount_label: item.discount_label,
+          notes: item.notes || null
         }))
       };
 
       // Call the addSale method from useSales
       const result = await addSale(saleData);
 
+      // Saved to the offline queue - inventory is deducted when it syncs
+      if (result && result.queued) {
+        setOrderPaid(true);
+        checkInventoryForProducts(products);
+
+        return {
+          success: true,
+          offline: true,
+          saleId: `OFF-${result.offline_id.slice(0, 8).toUpperCase()}`,
+          cashierName: user?.first_name || user?.user_metadata?.first_name || 'Cashier'
+        };
+      }
+
       if (result) {
+        setOrderPaid(true);
+        
         // Save the completed sale for possible void operation
         setLastCompletedSale(result);
         
-        // Process the ingredients deduction using our hook
-        await processItemSale(activeOrder.items.map(item => ({
-          item_id: item.id,
-          quantity: item.quantity
-        })));
-        
         // We don't need to set receipt states anymore, just return the result
-        toast.success(`Sale #${result.sale_id} completed successfully`);
+        toast.success(`${result.or_number ? `OR ${result.or_number}` : `Sale #${result.sale_id}`} completed successfully`);
 
         // Re-check inventory for products
         checkInventoryForProducts(products);
@@ -308,6 +485,7 @@ const SalesTerminal = ({ initialProducts = [], initialCategories = [] }) => {
         return {
           success: true,
           saleId: result.sale_id,
+          orNumber: result.or_number,
           cashierName: user?.first_name || user?.user_metadata?.first_name || 'Cashier'
         };
       }
@@ -327,6 +505,11 @@ const SalesTerminal = ({ initialProducts = [], initialCategories = [] }) => {
   };
 
   const cancelPayment = () => {
+    // Leaving the receipt of a paid order starts a fresh one
+    if (orderPaid) {
+      setActiveOrder(emptyOrder);
+      setOrderPaid(false);
+    }
     setPaymentStep(false);
   };
 
@@ -337,24 +520,27 @@ const SalesTerminal = ({ initialProducts = [], initialCategories = [] }) => {
       setVoidDialogOpen(true);
     } else {
       // Show input for sale ID
-      setShowVoidModal(true);
+      setReceiptLookup('void');
     }
   };
 
-  // Handle void by ID
-  const handleVoidById = async (saleId) => {
+  // Handle void or refund by OR number or sale ID
+  const handleReceiptLookup = async (receipt) => {
     try {
-      const sale = await fetchSale(saleId);
-      if (sale) {
+      const sale = await findSaleByReceipt(receipt);
+      if (sale && receiptLookup === 'refund') {
+        setSaleToRefund(sale);
+        setReceiptLookup(null);
+      } else if (sale) {
         setSaleToVoid(sale);
-        setShowVoidModal(false);
+        setReceiptLookup(null);
         setVoidDialogOpen(true);
       } else {
-        toast.error(`Sale #${saleId} not found`);
+        toast.error(`Receipt ${receipt} not found`);
       }
     } catch (error) {
       console.error('Error fetching sale:', error);
-      toast.error(`Could not find sale #${saleId}`);
+      toast.error(`Could not find receipt ${receipt}`);
     }
   };
 
@@ -372,6 +558,14 @@ const SalesTerminal = ({ initialProducts = [], initialCategories = [] }) => {
     checkInventoryForProducts(products);
   };
 
+  // Handle refund completion
+  const handleRefundComplete = () => {
+    setSaleToRefund(null);
+    
+    // Restocked lines put ingredients back
+    checkInventoryForProducts(products);
+  };
+
   return (
     <div className="h-full flex flex-col md:flex-row">
       {/* Left side - Product catalog */}
@@ -380,6 +574,51 @@ const SalesTerminal = ({ initialProducts = [], initialCategories = [] }) => {
         transition={{ duration: 0.3, ease: "easeInOut" }}
         className="w-full md:w-2/3 md:pr-4 mb-6 md:mb-0"
       > 
+        {/* Which OR series this terminal issues from */}
+        <div className={`mb-3 px-3 py-2 rounded-md border text-sm flex justify-between items-center ${
+          terminal
+            ? 'bg-[#FFF6F2]/60 border-[#571C1F]/10 text-[#571C1F]/80'
+            : 'bg-amber-50 border-amber-200 text-amber-800'
+        }`}>
+          <span>
+            {terminal
+              ? `Terminal ${terminal.terminal_id} · ${terminal.name}`
+              : 'This terminal is not set up for official receipts'}
+            {terminal && (
+              <span className={`ml-2 text-xs ${currentShift ? 'text-green-700' : 'text-amber-700'}`}>
+                {currentShift ? `Shift #${currentShift.shift_id} open` : 'No open shift'}
+              </span>
+            )}
+          </span>
+          <span className="space-x-3">
+            {terminal && (
+              <button
+                type="button"
+                onClick={() => setShowShiftPanel(true)}
+                className="text-xs font-medium underline"
+              >
+                Shift
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => setShowTerminalSetup(true)}
+              className="text-xs font-medium underline"
+            >
+              {terminal ? 'Change' : 'Set up'}
+            </button>
+          </span>
+        </div>
+        
+        <OfflineSyncStatus
+          connectionStatus={connectionStatus}
+          offlineSales={offlineSales}
+          syncing={syncingOfflineSales}
+          onSync={syncOfflineSales}
+          onRetry={retryOfflineSale}
+          onDiscard={discardOfflineSale}
+        />
+        
         <ProductCatalog 
           categories={categories}
           products={products}
@@ -394,7 +633,22 @@ const SalesTerminal = ({ initialProducts = [], initialCategories = [] }) => {
       {/* Right side - Container for OrderBuilder and Payment */}
       <div className="w-full md:w-1/3 relative" style={{ height: "618px" }}>
         <AnimatePresence mode="wait">
-          {voidDialogOpen && saleToVoid ? (
+          {saleToRefund ? (
+            <motion.div
+              key="refund"
+              initial={{ opacity: 0 }}
+              animate={{ opacity: 1 }}
+              exit={{ opacity: 0 }}
+              transition={{ duration: 0.2 }}
+              className="absolute inset-0 w-full h-full"
+            >
+              <RefundTransaction
+                sale={saleToRefund}
+                onRefundComplete={handleRefundComplete}
+                onCancel={() => setSaleToRefund(null)}
+              />
+            </motion.div>
+          ) : voidDialogOpen && saleToVoid ? (
             <motion.div
               key="void"
               initial={{ opacity: 0 }}
@@ -439,10 +693,15 @@ const SalesTerminal = ({ initialProducts = [], initialCategories = [] }) => {
               <OrderBuilder 
                 order={activeOrder}
                 onUpdateQuantity={updateItemQuantity}
+                onUpdateNote={updateItemNote}
                 onRemoveItem={removeItemFromOrder}
                 onClearOrder={clearOrder}
                 onCheckout={proceedToPayment}
                 onVoidSale={handleVoidRequest}
+                onRefundSale={() => setReceiptLookup('refund')}
+                onOpenDiscounts={() => setShowDiscountPanel(true)}
+                onOpenHeldOrders={() => setShowHeldOrders(true)}
+                heldOrderCount={heldOrders.length}
                 lastCompletedSale={lastCompletedSale}
               />
             </motion.div>
@@ -450,24 +709,79 @@ const SalesTerminal = ({ initialProducts = [], initialCategories = [] }) => {
         </AnimatePresence>
       </div>
       
-      {/* Void Sale by ID Modal */}
-      {showVoidModal && (
+      {/* Modifier selection for items with sizes or add-ons */}
+      {modifierProduct && (
+        <ModifierSelector
+          product={modifierProduct}
+          onConfirm={handleModifierConfirm}
+          onCancel={() => setModifierProduct(null)}
+        />
+      )}
+      
+      {/* Discounts, promo codes and Senior/PWD */}
+      {showDiscountPanel && (
+        <DiscountPanel
+          order={activeOrder}
+          discount={activeOrder.discount}
+          onApplyOrderDiscount={applyOrderDiscount}
+          onApplyLineDiscount={applyLineDiscount}
+          onRemoveDiscount={removeOrderDiscount}
+          onClose={() => setShowDiscountPanel(false)}
+        />
+      )}
+      
+      {/* Parked orders shared across terminals */}
+      {showHeldOrders && (
+        <HeldOrdersPanel
+          order={activeOrder}
+          heldOrders={heldOrders}
+          onHold={handleHoldOrder}
+          onResume={handleResumeOrder}
+          onDiscard={discardHeldOrder}
+          onRefresh={fetchHeldOrders}
+          onClose={() => setShowHeldOrders(false)}
+        />
+      )}
+      
+      {/* Register this browser against an OR series */}
+      {showTerminalSetup && (
+        <TerminalSetup onClose={() => setShowTerminalSetup(false)} />
+      )}
+      
+      {/* Opening float, cash in/out, X-read, close-out and Z-read */}
+      {showShiftPanel && terminal && (
+        <ShiftPanel
+          terminalId={terminal.terminal_id}
+          currentShift={currentShift}
+          onOpenShift={openShift}
+          onCashEvent={recordCashEvent}
+          onGetReport={getShiftReport}
+          onCloseShift={closeShift}
+          onZRead={generateZRead}
+          onClose={() => setShowShiftPanel(false)}
+        />
+      )}
+      
+      {/* Find a sale to void or refund by receipt */}
+      {receiptLookup && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
           <div className="bg-white p-6 rounded-lg max-w-md w-full">
-            <h3 className="text-lg font-semibold mb-4">Void Sale by ID</h3>
+            <h3 className="text-lg font-semibold mb-4">
+              {receiptLookup === 'refund' ? 'Refund Sale by Receipt' : 'Void Sale by Receipt'}
+            </h3>
             <div className="mb-4">
-              <label className="block text-sm font-medium text-gray-700 mb-1">Sale ID</label>
+              <label className="block text-sm font-medium text-gray-700 mb-1">OR Number or Sale ID</label>
               <input 
                 type="text" 
                 className="w-full p-2 border border-gray-300 rounded-md"
-                placeholder="Enter sale ID"
+                placeholder="e.g. T01-00000042"
                 id="saleIdInput"
               />
             </div>
             <div className="flex justify-end space-x-3">
               <button 
                 className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50"
-                onClick={() => setShowVoidModal(false)}
+                onClick={() => setReceiptLookup(null)}
               >
                 Cancel
               </button>
@@ -476,7 +790,7 @@ const SalesTerminal = ({ initialProducts = [], initialCategories = [] }) => {
                 onClick={() => {
                   const saleId = document.getElementById('saleIdInput').value;
                   if (saleId) {
-                    handleVoidById(saleId);
+                    handleReceiptLookup(saleId);
                   }
                 }}
               >
@@ -0,0 +1,390 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import PropTypes from 'prop-types';
+import Button from '../common/Button';
+import { CASH_DENOMINATIONS, CASH_EVENT_TYPES } from '../../services/constants';
+import { roundCurrency } from '../../utils/discount-utils';
+import { printReceiptDocument, receiptRow } from '../../utils/print-utils';
+
+const inputClass = 'w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300 text-sm';
+
+const STORE_LOCATION = 'JP Laurel Avenue, Bajada, Davao City';
+
+const peso = (amount) => `₱${(parseFloat(amount) || 0).toFixed(2)}`;
+
+const formatDateTime = (value) => new Date(value).toLocaleString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const denominationLabel = (denomination) => (denomination < 1 ? `${denomination * 100}¢` : `₱${denomination}`);
+
+// Sales, discounts, voids, refunds and tenders - shared by the X-read and Z-read
+const summaryHTML = (summary) => `
+  <div class="receipt-items">
+    <div class="receipt-item-header"><span>Sales</span><span></span></div>
+    ${receiptRow('Beginning OR:', summary.beginning_or || '-')}
+    ${receiptRow('Ending OR:', summary.ending_or || '-')}
+    ${receiptRow('Transactions:', summary.sales_count)}
+    ${receiptRow('Gross Sales:', peso(summary.gross_sales))}
+    ${receiptRow('Discounts:', `−${peso(summary.discount_amount)}`)}
+    ${receiptRow('Senior/PWD Sales:', summary.senior_pwd_count)}
+    ${receiptRow('VAT:', peso(summary.vat_amount))}
+    ${receiptRow('VAT-Exempt Sales:', peso(summary.vat_exempt_amount))}
+    ${receiptRow('Voids:', `${summary.void_count} · ${peso(summary.void_amount)}`)}
+    ${receiptRow('Refunds:', `${summary.refund_count || 0} · −${peso(summary.refund_amount)}`)}
+    <div class="receipt-row receipt-total"><span>Net Sales:</span><span>${peso(summary.net_sales)}</span></div>
+  </div>
+  <div class="receipt-items">
+    <div class="receipt-item-header"><span>Payments</span><span></span></div>
+    ${Object.entries(summary.payments || {}).map(([method, amount]) => receiptRow(`${method}:`, peso(amount))).join('') || receiptRow('None', '')}
+  </div>
+`;
+
+const headerHTML = (title, terminalId, rows) => `
+  <div class="receipt-header">
+    <h2>TomNToms Coffee</h2>
+    <p>${STORE_LOCATION}</p>
+    <p><strong>${title}</strong></p>
+  </div>
+  <div class="receipt-info">
+    ${receiptRow('Terminal:', terminalId)}
+    ${rows}
+    ${receiptRow('Printed:', formatDateTime(new Date()))}
+  </div>
+`;
+
+// X-read (open shift) or shift close-out (closed shift)
+const printShiftReport = (report) => {
+  const { shift, summary } = report;
+  const closed = shift.status === 'closed';
+  const variance = closed ? parseFloat(shift.variance) : null;
+
+  const body = `
+    ${headerHTML(closed ? 'SHIFT CLOSE-OUT' : 'X-READ', shift.terminal_id, `
+      ${receiptRow('Shift #:', shift.shift_id)}
+      ${receiptRow('Cashier:', shift.cashier_name || '-')}
+      ${receiptRow('Opened:', formatDateTime(shift.opened_at))}
+      ${closed ? receiptRow('Closed:', formatDateTime(shift.closed_at)) : ''}
+    `)}
+    ${summaryHTML(summary)}
+    <div class="receipt-payment">
+      ${receiptRow('Opening Float:', peso(shift.opening_float))}
+      ${receiptRow('Cash Sales:', peso(summary.cash_sales))}
+      ${receiptRow('Cash Refunds:', `−${peso(summary.cash_refunds)}`)}
+      ${receiptRow('Cash In:', peso(report.cash_in))}
+      ${receiptRow('Cash Out:', `−${peso(report.cash_out)}`)}
+      <div class="receipt-row receipt-total"><span>Expected Cash:</span><span>${peso(closed ? shift.expected_cash : report.expected_cash)}</span></div>
+      ${closed ? `
+        ${receiptRow('Counted Cash:', peso(shift.counted_cash))}
+        ${receiptRow('Variance:', `${variance > 0 ? '+' : variance < 0 ? '−' : ''}${peso(Math.abs(variance))}`)}
+        ${shift.closing_notes ? receiptRow('Notes:', shift.closing_notes) : ''}
+      ` : ''}
+    </div>
+    <div class="receipt-footer">
+      ${closed ? 'Cashier: ________________' : 'X-read does not reset totals'}
+    </div>
+  `;
+
+  printReceiptDocument(`${closed ? 'Shift Close-out' : 'X-Read'} #${shift.shift_id}`, body);
+};
+
+const printZRead = (zRead) => {
+  const body = `
+    ${headerHTML('Z-READ', zRead.terminal_id, `
+      ${receiptRow('Z Counter:', String(zRead.z_counter).padStart(4, '0'))}
+      ${receiptRow('Business Date:', zRead.business_date)}
+      ${receiptRow('From:', formatDateTime(zRead.period_start))}
+      ${receiptRow('To:', formatDateTime(zRead.period_end))}
+    `)}
+    ${summaryHTML(zRead.summary)}
+    <div class="receipt-payment">
+      ${receiptRow('Previous Grand Total:', peso(zRead.previous_grand_total))}
+      ${receiptRow('Net Sales Today:', peso(zRead.summary.net_sales))}
+      <div class="receipt-row receipt-total"><span>New Grand Total:</span><span>${peso(zRead.grand_total)}</span></div>
+    </div>
+    <div class="receipt-footer">
+      Supervisor: ________________
+    </div>
+  `;
+
+  printReceiptDocument(`Z-Read ${zRead.terminal_id} #${zRead.z_counter}`, body);
+};
+
+const ShiftPanel = ({
+  terminalId,
+  currentShift,
+  onOpenShift,
+  onCashEvent,
+  onGetReport,
+  onCloseShift,
+  onZRead,
+  onClose
+}) => {
+  const [mode, setMode] = useState('menu');
+  const [openingFloat, setOpeningFloat] = useState('');
+  const [cashEventType, setCashEventType] = useState(CASH_EVENT_TYPES.CASH_IN);
+  const [cashAmount, setCashAmount] = useState('');
+  const [cashReason, setCashReason] = useState('');
+  const [counts, setCounts] = useState({});
+  const [closingNotes, setClosingNotes] = useState('');
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+  const [working, setWorking] = useState(false);
+
+  // The closing count is checked against the cash the drawer should hold
+  useEffect(() => {
+    if (mode === 'close' && currentShift) {
+      onGetReport(currentShift).then(setReport).catch(() => setReport(null));
+    }
+  }, [mode, currentShift, onGetReport]);
+
+  const countedCash = roundCurrency(CASH_DENOMINATIONS
+    .reduce((sum, denomination) => sum + denomination * (parseInt(counts[denomination], 10) || 0), 0));
+
+  const run = async (action) => {
+    setWorking(true);
+    setError('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || 'Something went wrong');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleOpenShift = () => run(async () => {
+    const amount = parseFloat(openingFloat);
+    if (isNaN(amount) || amount < 0) {
+      throw new Error('Enter the cash in the drawer (0 if none)');
+    }
+    await onOpenShift(amount);
+    onClose();
+  });
+
+  const handleCashEvent = () => run(async () => {
+    const amount = parseFloat(cashAmount);
+    if (!amount || amount <= 0) {
+      throw new Error('Enter an amount greater than zero');
+    }
+    if (!cashReason.trim()) {
+      throw new Error('Please give a reason for the cash movement');
+    }
+    await onCashEvent(cashEventType, amount, cashReason);
+    setCashAmount('');
+    setCashReason('');
+    setMode('menu');
+  });
+
+  const handleXRead = () => run(async () => {
+    printShiftReport(await onGetReport(currentShift));
+  });
+
+  const handleCloseShift = () => run(async () => {
+    const closingCount = CASH_DENOMINATIONS.reduce((acc, denomination) => {
+      const count = parseInt(counts[denomination], 10) || 0;
+      if (count > 0) acc[denomination] = count;
+      return acc;
+    }, {});
+
+    const closedShift = await onCloseShift(closingCount, closingNotes);
+    printShiftReport(await onGetReport(closedShift));
+    onClose();
+  });
+
+  const handleZRead = () => run(async () => {
+    printZRead(await onZRead());
+  });
+
+  const variance = report ? roundCurrency(countedCash - report.expected_cash) : null;
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="bg-white rounded-lg max-w-md w-full max-h-[90vh] flex flex-col"
+      >
+        <div className="p-5 border-b border-[#571C1F]/10 flex justify-between items-center">
+          <div>
+            <h3 className="text-lg font-semibold text-[#571C1F]">Shift · Terminal {terminalId}</h3>
+            <p className="text-xs text-[#571C1F]/60">
+              {currentShift
+                ? `Opened ${formatDateTime(currentShift.opened_at)} by ${currentShift.cashier_name || 'cashier'}`
+                : 'No shift is open'}
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-[#571C1F]/50 hover:text-[#571C1F]"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-5 overflow-y-auto space-y-4">
+          {!currentShift && (
+            <>
+              <div>
+                <label className="block text-sm font-medium text-[#571C1F] mb-1">Opening Float</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={openingFloat}
+                  onChange={(e) => setOpeningFloat(e.target.value)}
+                  className={inputClass}
+                  placeholder="Cash in the drawer"
+                />
+              </div>
+              <div className="flex justify-between">
+                <Button variant="outline" onClick={handleZRead} disabled={working}>
+                  End of Day (Z-Read)
+                </Button>
+                <Button variant="primary" onClick={handleOpenShift} disabled={working}>
+                  Open Shift
+                </Button>
+              </div>
+            </>
+          )}
+
+          {currentShift && mode === 'menu' && (
+            <div className="grid grid-cols-2 gap-2">
+              <Button variant="outline" onClick={() => { setCashEventType(CASH_EVENT_TYPES.CASH_IN); setMode('cash'); }}>
+                Cash In
+              </Button>
+              <Button variant="outline" onClick={() => { setCashEventType(CASH_EVENT_TYPES.CASH_OUT); setMode('cash'); }}>
+                Cash Out
+              </Button>
+              <Button variant="outline" onClick={handleXRead} disabled={working}>
+                Print X-Read
+              </Button>
+              <Button variant="primary" onClick={() => setMode('close')}>
+                Close Shift
+              </Button>
+            </div>
+          )}
+
+          {currentShift && mode === 'cash' && (
+            <div className="space-y-3">
+              <p className="text-sm font-medium text-[#571C1F]">
+                {cashEventType === CASH_EVENT_TYPES.CASH_IN ? 'Cash put into the drawer' : 'Cash taken out of the drawer'}
+              </p>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={cashAmount}
+                onChange={(e) => setCashAmount(e.target.value)}
+                className={inputClass}
+                placeholder="Amount"
+              />
+              <input
+                type="text"
+                value={cashReason}
+                onChange={(e) => setCashReason(e.target.value)}
+                className={inputClass}
+                placeholder={cashEventType === CASH_EVENT_TYPES.CASH_IN ? 'e.g. Additional change fund' : 'e.g. Paid ice delivery'}
+              />
+              <div className="flex justify-end space-x-2">
+                <Button variant="outline" size="sm" onClick={() => setMode('menu')} disabled={working}>
+                  Back
+                </Button>
+                <Button variant="primary" size="sm" onClick={handleCashEvent} disabled={working}>
+                  Record
+                </Button>
+              </div>
+            </div>
+          )}
+
+          {currentShift && mode === 'close' && (
+            <div className="space-y-3">
+              <p className="text-sm font-medium text-[#571C1F]">Count the drawer</p>
+              <div className="grid grid-cols-2 gap-2">
+                {CASH_DENOMINATIONS.map(denomination => (
+                  <div key={denomination} className="flex items-center space-x-2">
+                    <span className="w-14 text-sm text-right text-[#571C1F]/80">{denominationLabel(denomination)}</span>
+                    <span className="text-[#571C1F]/40">×</span>
+                    <input
+                      type="number"
+                      min="0"
+                      value={counts[denomination] || ''}
+                      onChange={(e) => setCounts(prev => ({ ...prev, [denomination]: e.target.value }))}
+                      className={`${inputClass} py-1`}
+                    />
+                  </div>
+                ))}
+              </div>
+
+              <div className="bg-[#FFF6F2] border border-[#571C1F]/10 rounded-md p-3 text-sm space-y-1">
+                <div className="flex justify-between">
+                  <span className="text-[#571C1F]/80">Counted</span>
+                  <span className="text-[#571C1F]">{peso(countedCash)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-[#571C1F]/80">Expected</span>
+                  <span className="text-[#571C1F]">{report ? peso(report.expected_cash) : '...'}</span>
+                </div>
+                {variance !== null && (
+                  <div className={`flex justify-between font-medium ${
+                    variance === 0 ? 'text-green-700' : 'text-red-700'
+                  }`}>
+                    <span>{variance === 0 ? 'Balanced' : variance > 0 ? 'Over' : 'Short'}</span>
+                    <span>{peso(Math.abs(variance))}</span>
+                  </div>
+                )}
+              </div>
+
+              <textarea
+                value={closingNotes}
+                onChange={(e) => setClosingNotes(e.target.value)}
+                className={inputClass}
+                rows={2}
+                placeholder="Notes (explain any variance)"
+              />
+
+              <div className="flex justify-end space-x-2">
+                <Button variant="outline" size="sm" onClick={() => setMode('menu')} disabled={working}>
+                  Back
+                </Button>
+                <Button variant="primary" size="sm" onClick={handleCloseShift} disabled={working}>
+                  {working ? 'Closing...' : 'Close & Print'}
+                </Button>
+              </div>
+            </div>
+          )}
+
+          {error && (
+            <div className="bg-red-50 border-l-4 border-red-400 p-3 text-red-700 text-sm">
+              {error}
+            </div>
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+ShiftPanel.propTypes = {
+  terminalId: PropTypes.string.isRequired,
+  currentShift: PropTypes.shape({
+    shift_id: PropTypes.number.isRequired,
+    opened_at: PropTypes.string.isRequired,
+    cashier_name: PropTypes.string
+  }),
+  onOpenShift: PropTypes.func.isRequired,
+  onCashEvent: PropTypes.func.isRequired,
+  onGetReport: PropTypes.func.isRequired,
+  onCloseShift: PropTypes.func.isRequired,
+  onZRead: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default ShiftPanel;
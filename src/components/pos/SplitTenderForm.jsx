@@ -0,0 +1,143 @@
+import { motion, AnimatePresence } from 'framer-motion';
+import PropTypes from 'prop-types';
+import { calculateTenderSummary } from '../../utils/payment-utils';
+
+const SplitTenderForm = ({ total, tenders, paymentMethods, onChange }) => {
+  const summary = calculateTenderSummary(tenders, total);
+
+  const updateTender = (index, changes) => {
+    onChange(tenders.map((tender, i) => (i === index ? { ...tender, ...changes } : tender)));
+  };
+
+  const addTender = () => {
+    // Pre-fill the new line with whatever is still due
+    onChange([
+      ...tenders,
+      { method: 'cash', amount: summary.remaining > 0 ? summary.remaining.toFixed(2) : '', reference: '' }
+    ]);
+  };
+
+  const removeTender = (index) => {
+    onChange(tenders.filter((_, i) => i !== index));
+  };
+
+  const handleAmountChange = (index, value) => {
+    // Only allow numeric input and decimal point
+    if (/^[0-9]*\.?[0-9]*$/.test(value)) {
+      updateTender(index, { amount: value });
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 10 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: -10 }}
+      className="mb-4"
+    >
+      <h3 className="font-medium text-[#571C1F] mb-2">Payment Lines</h3>
+
+      <div className="space-y-2">
+        <AnimatePresence>
+          {tenders.map((tender, index) => (
+            <motion.div
+              key={index}
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, x: -50 }}
+              className="bg-[#FFF6F2] border border-[#571C1F]/10 rounded-lg p-2"
+            >
+              <div className="flex items-center gap-2">
+                <select
+                  value={tender.method}
+                  onChange={(e) => updateTender(index, { method: e.target.value })}
+                  className="w-28 px-2 py-1.5 border border-[#571C1F]/20 rounded-md text-sm text-[#571C1F] bg-white"
+                >
+                  {paymentMethods.map(method => (
+                    <option key={method.id} value={method.id}>{method.name}</option>
+                  ))}
+                </select>
+                <div className="flex-1 flex items-center border border-[#571C1F]/20 rounded-md overflow-hidden bg-white">
+                  <span className="px-2 text-[#571C1F] text-sm">₱</span>
+                  <input
+                    type="text"
+                    value={tender.amount}
+                    onChange={(e) => handleAmountChange(index, e.target.value)}
+                    className="flex-1 py-1.5 pr-2 text-right text-sm text-[#571C1F] focus:outline-none"
+                    placeholder="0.00"
+                  />
+                </div>
+                <button
+                  type="button"
+                  onClick={() => removeTender(index)}
+                  disabled={tenders.length <= 1}
+                  className="p-1 text-[#571C1F]/50 hover:text-[#571C1F] disabled:opacity-30"
+                  title="Remove payment line"
+                >
+                  <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+              </div>
+              {tender.method !== 'cash' && (
+                <input
+                  type="text"
+                  value={tender.reference}
+                  onChange={(e) => updateTender(index, { reference: e.target.value })}
+                  className="mt-2 w-full px-2 py-1.5 border border-[#571C1F]/20 rounded-md text-sm text-[#571C1F] bg-white focus:outline-none"
+                  placeholder="Reference / approval number"
+                />
+              )}
+            </motion.div>
+          ))}
+        </AnimatePresence>
+      </div>
+
+      <button
+        type="button"
+        onClick={addTender}
+        className="mt-2 text-sm font-medium text-[#571C1F] hover:underline"
+      >
+        + Add payment
+      </button>
+
+      <div className="mt-3 p-3 bg-[#FFF6F2] rounded-lg border border-[#571C1F]/10 space-y-1 text-sm">
+        <div className="flex justify-between">
+          <span className="text-[#571C1F]/80">Amount due</span>
+          <span className="text-[#571C1F]">₱{total.toFixed(2)}</span>
+        </div>
+        <div className="flex justify-between">
+          <span className="text-[#571C1F]/80">Tendered</span>
+          <span className="text-[#571C1F]">₱{summary.tendered.toFixed(2)}</span>
+        </div>
+        {summary.remaining > 0 ? (
+          <div className="flex justify-between font-medium">
+            <span className="text-red-700">Remaining</span>
+            <span className="text-red-700">₱{summary.remaining.toFixed(2)}</span>
+          </div>
+        ) : (
+          <div className="flex justify-between font-bold text-base">
+            <span className="text-[#571C1F]">Change (cash)</span>
+            <span className="text-[#571C1F]">₱{summary.change.toFixed(2)}</span>
+          </div>
+        )}
+      </div>
+    </motion.div>
+  );
+};
+
+SplitTenderForm.propTypes = {
+  total: PropTypes.number.isRequired,
+  tenders: PropTypes.arrayOf(PropTypes.shape({
+    method: PropTypes.string.isRequired,
+    amount: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    reference: PropTypes.string
+  })).isRequired,
+  paymentMethods: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired
+  })).isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+export default SplitTenderForm;
@@ -0,0 +1,223 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import PropTypes from 'prop-types';
+import Button from '../common/Button';
+import { useSales } from '../../hooks/useSales';
+import { usePermissions } from '../../hooks/usePermissions';
+import { PERMISSIONS } from '../../services/constants';
+
+const inputClass = 'w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300 text-sm';
+
+const emptyTerminal = {
+  terminal_id: '',
+  name: '',
+  or_prefix: '',
+  or_number_width: 8,
+  next_or_number: 1
+};
+
+// Preview of the first receipt number a series will issue
+const formatOrNumber = ({ or_prefix, or_number_width, next_or_number }) =>
+  `${or_prefix || ''}${String(next_or_number || 1).padStart(or_number_width || 8, '0')}`;
+
+const TerminalSetup = ({ onClose }) => {
+  const { hasPermission } = usePermissions();
+  const { terminal, fetchTerminals, saveTerminal, assignTerminal } = useSales();
+  const [terminals, setTerminals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyTerminal);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const canManageTerminals = hasPermission(PERMISSIONS.SALES.MANAGE);
+
+  useEffect(() => {
+    fetchTerminals()
+      .then(setTerminals)
+      .catch(() => setTerminals([]))
+      .finally(() => setLoading(false));
+  }, [fetchTerminals]);
+
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    setError('');
+  };
+
+  const handleRegister = async () => {
+    if (!/^[A-Za-z0-9_-]+$/.test(form.terminal_id.trim())) {
+      setError('Terminal code may only use letters, numbers, dashes and underscores');
+      return;
+    }
+    if (!form.name.trim()) {
+      setError('Enter a name for this terminal');
+      return;
+    }
+    if (!(parseInt(form.next_or_number, 10) > 0)) {
+      setError('The starting OR number must be 1 or more');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const saved = await saveTerminal({
+        terminal_id: form.terminal_id,
+        name: form.name.trim(),
+        or_prefix: form.or_prefix.trim(),
+        or_number_width: parseInt(form.or_number_width, 10) || 8,
+        next_or_number: parseInt(form.next_or_number, 10)
+      }, true);
+      setTerminals(prev => [...prev, saved]);
+      setForm(emptyTerminal);
+      setShowForm(false);
+    } catch (err) {
+      setError(err.message || 'Could not register terminal');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSelect = (selected) => {
+    assignTerminal(selected);
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="bg-white rounded-lg max-w-md w-full max-h-[90vh] flex flex-col"
+      >
+        <div className="p-5 border-b border-[#571C1F]/10 flex justify-between items-center">
+          <div>
+            <h3 className="text-lg font-semibold text-[#571C1F]">Terminal Setup</h3>
+            <p className="text-xs text-[#571C1F]/60">
+              Each terminal issues its own official receipt series
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-[#571C1F]/50 hover:text-[#571C1F]"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="p-5 overflow-y-auto space-y-4">
+          {loading ? (
+            <p className="text-sm text-center text-[#571C1F]/60 py-6">Loading terminals...</p>
+          ) : terminals.length === 0 ? (
+            <p className="text-sm text-center text-[#571C1F]/60 py-6">
+              No terminals registered yet{canManageTerminals ? '' : ' - ask a manager to register one'}
+            </p>
+          ) : (
+            <ul className="divide-y divide-[#571C1F]/10">
+              {terminals.map(item => (
+                <li key={item.terminal_id} className="py-3 flex justify-between items-center">
+                  <div>
+                    <p className="font-medium text-[#571C1F]">
+                      {item.terminal_id} · {item.name}
+                      {!item.is_active && <span className="ml-2 text-xs text-red-600">Inactive</span>}
+                    </p>
+                    <p className="text-xs text-[#571C1F]/60">Next OR {formatOrNumber(item)}</p>
+                  </div>
+                  {terminal?.terminal_id === item.terminal_id ? (
+                    <span className="text-xs font-medium text-green-700">This terminal</span>
+                  ) : (
+                    <Button
+                      variant="outline"
+                      size="xs"
+                      onClick={() => handleSelect(item)}
+                      disabled={!item.is_active}
+                    >
+                      Use here
+                    </Button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {canManageTerminals && (showForm ? (
+            <div className="bg-[#FFF6F2] border border-[#571C1F]/10 rounded-md p-3 space-y-3">
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-[#571C1F] mb-1">Code *</label>
+                  <input
+                    type="text"
+                    value={form.terminal_id}
+                    onChange={(e) => handleChange('terminal_id', e.target.value.toUpperCase())}
+                    className={inputClass}
+                    placeholder="T01"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-[#571C1F] mb-1">Name *</label>
+                  <input
+                    type="text"
+                    value={form.name}
+                    onChange={(e) => handleChange('name', e.target.value)}
+                    className={inputClass}
+                    placeholder="Front counter"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-[#571C1F] mb-1">OR Prefix</label>
+                  <input
+                    type="text"
+                    value={form.or_prefix}
+                    onChange={(e) => handleChange('or_prefix', e.target.value.toUpperCase())}
+                    className={inputClass}
+                    placeholder="T01-"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-[#571C1F] mb-1">Starting Number</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={form.next_or_number}
+                    onChange={(e) => handleChange('next_or_number', e.target.value)}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+              <p className="text-xs text-[#571C1F]/70">
+                First receipt: <span className="font-medium">{formatOrNumber(form)}</span>.
+                The prefix and numbering cannot be changed once receipts are issued.
+              </p>
+              <div className="flex justify-end space-x-2">
+                <Button variant="outline" size="sm" onClick={() => setShowForm(false)} disabled={saving}>
+                  Cancel
+                </Button>
+                <Button variant="primary" size="sm" onClick={handleRegister} disabled={saving}>
+                  {saving ? 'Saving...' : 'Register'}
+                </Button>
+              </div>
+            </div>
+          ) : (
+            <Button variant="ghost" size="sm" onClick={() => setShowForm(true)}>
+              + Register a terminal
+            </Button>
+          ))}
+
+          {error && (
+            <div className="bg-red-50 border-l-4 border-red-400 p-3 text-red-700 text-sm">
+              {error}
+            </div>
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+TerminalSetup.propTypes = {
+  onClose: PropTypes.func.isRequired
+};
+
+export default TerminalSetup;
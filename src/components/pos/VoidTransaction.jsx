@@ -1,12 +1,14 @@
 import { useState } from 'react';
-import { useAuth } from '../../hooks/useAuth';
+import PropTypes from 'prop-types';
+import { useSales } from '../../hooks/useSales';
 import supabase from '../../services/supabase';
 import Card from '../common/Card';
 import Button from '../common/Button';
 import { toast } from 'react-hot-toast';
+import { PERMISSIONS } from '../../services/constants';
 
 const VoidTransaction = ({ sale, onVoidComplete, onCancel }) => {
-  const { user } = useAuth();
+  const { verifyManagerPin } = useSales();
   const [reason, setReason] = useState('');
   const [approvalCode, setApprovalCode] = useState('');
   const [loading, setLoading] = useState(false);
@@ -34,62 +36,22 @@ const VoidTransaction = ({ sale, onVoidComplete, onCancel }) => {
     setError('');
     
     try {
-      // Check if approval code matches a manager's PIN
-      const { data, error: managerError } = await supabase
-        .from('staff')
-        .select(`
-          staff_id, 
-          first_name, 
-          last_name,
-          role_id,
-          roles:role_id (role_name)
-        `)
-        .eq('manager_pin', approvalCode.trim())
-        .single();
-      
-      if (managerError || !data) {
-        setError('Invalid manager approval code');
-        setLoading(false);
-        return;
-      }
-      
-      // Verify manager role
-      if (data.roles?.role_name !== 'Manager' && data.roles?.role_name !== 'Admin') {
-        setError('This approval code does not belong to a manager');
-        setLoading(false);
-        return;
-      }
-      
-      setManager(data);
-      await processVoid(data.staff_id);
-      
+      const approver = await verifyManagerPin(approvalCode, PERMISSIONS.SALES.VOID);
+      setManager(approver);
+      await processVoid(approvalCode.trim());
     } catch (err) {
-      console.error('Error validating approval code:', err);
-      setError('Error validating approval code');
+      setError(err.message || 'Error validating approval code');
       setLoading(false);
     }
   };
   
-  const processVoid = async (managerStaffId) => {
+  const processVoid = async (approvalPin) => {
     try {
-      // Get current user's staff ID
-      const { data: staffData, error: staffError } = await supabase
-        .from('staff')
-        .select('staff_id')
-        .eq('user_id', user.id)
-        .single();
-      
-      if (staffError) {
-        throw new Error('Could not identify current staff member');
-      }
-      
-      // Call the void_sale function
       const { data: voidResult, error: voidError } = await supabase
         .rpc('void_sale', {
           p_sale_id: sale.sale_id,
-          p_requested_by: staffData.staff_id,
-          p_approved_by: managerStaffId,
-          p_reason: reason
+          p_reason: reason,
+          p_approval_pin: approvalPin
         });
       
       if (voidError) {
@@ -121,21 +83,9 @@ const VoidTransaction = ({ sale, onVoidComplete, onCancel }) => {
     setError('');
     
     try {
-      // Use the voidSale function with the current user's staff_id
-      const { data: staffData, error: staffError } = await supabase
-        .from('staff')
-        .select('staff_id')
-        .eq('user_id', user.id)
-        .single();
-      
-      if (staffError) {
-        throw new Error('Could not identify current staff member');
-      }
-      
       const { data: voidResult, error: voidError } = await supabase
         .rpc('void_sale', {
           p_sale_id: sale.sale_id,
-          p_requested_by: staffData.staff_id,
           p_reason: reason
         });
       
@@ -147,7 +97,7 @@ const VoidTransaction = ({ sale, onVoidComplete, onCancel }) => {
         throw new Error(voidResult.message || 'Failed to void sale');
       }
       
-      toast.success(`Sale #${sale.sale_id} has been voided successfully`);
+      toast.success(`${sale.or_number ? `OR ${sale.or_number}` : `Sale #${sale.sale_id}`} has been voided successfully`);
       onVoidComplete(voidResult);
       
     } catch (error) {
@@ -163,7 +113,7 @@ const VoidTransaction = ({ sale, onVoidComplete, onCancel }) => {
       <div className="border-b border-gray-200 pb-4 mb-4">
         <h2 className="text-xl font-semibold text-[#571C1F]">Void Transaction</h2>
         <p className="text-sm text-gray-600 mt-1">
-          Sale #{sale.sale_id} for {parseFloat(sale.total_amount).toFixed(2)}
+          {sale.or_number ? `OR ${sale.or_number}` : `Sale #${sale.sale_id}`} for {parseFloat(sale.total_amount).toFixed(2)}
         </p>
       </div>
       
@@ -239,4 +189,14 @@ const VoidTransaction = ({ sale, onVoidComplete, onCancel }) => {
   );
 };
 
+VoidTransaction.propTypes = {
+  sale: PropTypes.shape({
+    sale_id: PropTypes.number.isRequired,
+    or_number: PropTypes.string,
+    total_amount: PropTypes.oneOfType([PropTypes.number, PropTypes.string])
+  }).isRequired,
+  onVoidComplete: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
 export default VoidTransaction;
\ No newline at end of file
@@ -1,29 +1,36 @@
 import { useState, useEffect, useMemo, useRef, forwardRef, useImperativeHandle } from 'react';
+import PropTypes from 'prop-types';
 import Card from '../common/Card';
 import Button from '../common/Button';
 import { Spinner } from '../common/Spinner';
-import { useSales } from '../../hooks/useSales';
-import { useInventory } from '../../hooks/useInventory';
+import { useReports } from '../../hooks/useReports';
 import { useMLPredictions } from '../../hooks/useMLPredictions';
 import { toast } from 'react-hot-toast';
 import { motion } from 'framer-motion';
-import { Bar, Line, Doughnut } from 'react-chartjs-2';
+import { Bar, Doughnut } from 'react-chartjs-2';
+import { EXPENSE_CATEGORIES } from '../../services/constants';
+import { captureChartImage } from '../../utils/export-utils';
 
 // Import ML components
 import PredictiveMetricsPanel from '../ml/PredictiveMetricsPanel';
 
-const FinancialReport = forwardRef(({ 
+const formatPeso = (value) => `₱${Number(value || 0).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}`;
+
+const formatMargin = (value) => (value === null || value === undefined ? '—' : `${Number(value).toFixed(1)}%`);
+
+const expenseLabel = (category) => EXPENSE_CATEGORIES[category] || category;
+
+const FinancialReport = forwardRef(({
   startDate = null,
   endDate = null,
   onExport = () => {}
 }, ref) => {
-  const { fetchSales } = useSales();
-  const { fetchInventory } = useInventory();
+  const { generateFinancialReport } = useReports();
   const { getPredictiveMetrics } = useMLPredictions();
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [refreshKey, setRefreshKey] = useState(0);
-  
+
   // Add state for ML component
   const [predictiveMetrics, setPredictiveMetrics] = useState({
     profitPrediction: null,
@@ -32,29 +39,14 @@ const FinancialReport = forwardRef(({
     confidenceIntervals: null,
     featureImportance: []
   });
-  
-  const [financialData, setFinancialData] = useState({
-    revenue: {
-      total: 0,
-      byCategory: {},
-      dailyTotals: []
-    },
-    expenses: {
-      total: 0,
-      byCategory: {
-        inventory: 0,
-        operating: 0,
-        other: 0
-      }
-    },
-    profit: 0,
-    profitMargin: 0
-  });
+
+  // Report as built by useReports from the profit_and_loss RPC
+  const [report, setReport] = useState(null);
 
   // Create refs for chart components
   const revenueChartRef = useRef(null);
   const profitChartRef = useRef(null);
-  
+
   // Format date range for display
   const dateRangeText = useMemo(() => {
     if (!startDate && !endDate) return 'All time';
@@ -63,218 +55,107 @@ const FinancialReport = forwardRef(({
     return `${new Date(startDate).toLocaleDateString()} - ${new Date(endDate).toLocaleDateString()}`;
   }, [startDate, endDate]);
 
-  // Store raw data for export
-  const [rawFinancialData, setRawFinancialData] = useState({
-    sales: [],
-    expenses: []
-  });
-
   useEffect(() => {
-    const generateFinancialReport = async () => {
+    const loadFinancialReport = async () => {
       setLoading(true);
+      setError(null);
       try {
-        // Fetch sales data for the given period
-        const salesData = await fetchSales({ 
-          startDate, 
-          endDate 
-        });
-        
-        // Store raw data for export functionality
-        setRawFinancialData({
-          ...rawFinancialData,
-          sales: salesData
-        });
-        
-        // Fetch inventory data (expenses)
-        const { data: inventoryData } = await fetchInventory();
-        
-        // Process sales data
-        let totalRevenue = 0;
-        let revenueByCategory = {};
-        let dailyTotals = [];
-        
-        // Group by date
-        const dateMap = {};
-        
-        salesData.forEach(sale => {
-          if (!sale.is_voided) {
-            totalRevenue += parseFloat(sale.total_amount);
-            
-            // Aggregate by category
-            sale.items?.forEach(item => {
-              const category = item.category || 'Uncategorized';
-              revenueByCategory[category] = (revenueByCategory[category] || 0) + parseFloat(item.subtotal);
-            });
-            
-            // Aggregate by date
-            const saleDate = new Date(sale.sale_date).toISOString().split('T')[0];
-            if (!dateMap[saleDate]) {
-              dateMap[saleDate] = 0;
-            }
-            dateMap[saleDate] += parseFloat(sale.total_amount);
-          }
-        });
-        
-        // Convert date map to array for charting
-        dailyTotals = Object.entries(dateMap).map(([date, total]) => ({ 
-          date, 
-          total 
-        })).sort((a, b) => new Date(a.date) - new Date(b.date));
-        
-        // Process inventory expenses
-        const inventoryExpense = inventoryData?.ingredients?.reduce((total, ing) => {
-          // Assuming each ingredient with a last_restock_date in our period was purchased
-          if (ing.last_restock_date) {
-            const restockDate = new Date(ing.last_restock_date);
-            if ((!startDate || restockDate >= new Date(startDate)) && 
-                (!endDate || restockDate <= new Date(endDate))) {
-              return total + parseFloat(ing.unit_cost || 0) * parseFloat(ing.quantity || 0);
-            }
-          }
-          return total;
-        }, 0) || 0;
-        
-        // Add operating expenses based on revenue
-        const operatingExpense = totalRevenue * 0.35; // 35% of revenue
-        const otherExpense = totalRevenue * 0.05; // 5% of revenue
-        
-        const totalExpenses = inventoryExpense + operatingExpense + otherExpense;
-        
-        // Calculate profit and metrics
-        const profit = totalRevenue - totalExpenses;
-        const profitMargin = totalRevenue > 0 ? (profit / totalRevenue) * 100 : 0;
-        
-        setFinancialData({
-          revenue: {
-            total: totalRevenue,
-            byCategory: revenueByCategory,
-            dailyTotals
-          },
-          expenses: {
-            total: totalExpenses,
-            byCategory: {
-              inventory: inventoryExpense,
-              operating: operatingExpense,
-              other: otherExpense
-            }
-          },
-          profit,
-          profitMargin
-        });
-
-        // Store expense data for export
-        setRawFinancialData(prev => ({
-          ...prev,
-          expenses: [
-            { category: 'Inventory', amount: inventoryExpense },
-            { category: 'Operating', amount: operatingExpense },
-            { category: 'Other', amount: otherExpense }
-          ]
-        }));
+        setReport(await generateFinancialReport({ startDate, endDate }));
 
         // Fetch ML predictive metrics
         try {
-          const predictions = await getPredictiveMetrics({ 
-            startDate: startDate ? new Date(startDate) : undefined, 
+          const predictions = await getPredictiveMetrics({
+            startDate: startDate ? new Date(startDate) : undefined,
             endDate: endDate ? new Date(endDate) : undefined,
             forecastDays: 14
           });
-          
+
           setPredictiveMetrics(predictions);
         } catch (mlError) {
           console.error('Error fetching ML predictions:', mlError);
           // Don't fail the entire report just because ML failed
         }
-        
+
       } catch (err) {
         console.error('Error generating financial report:', err);
-        setError('Failed to generate financial report. Please try again later.');
+        setError(err.message || 'Failed to generate financial report. Please try again later.');
       } finally {
         setLoading(false);
       }
     };
-    
-    generateFinancialReport();
-  }, [fetchSales, fetchInventory, getPredictiveMetrics, startDate, endDate, refreshKey]);
+
+    loadFinancialReport();
+  }, [generateFinancialReport, getPredictiveMetrics, startDate, endDate, refreshKey]);
+
+  const summary = report?.summary;
+  const items = report?.data.items || [];
+  const categories = report?.data.categories || [];
+  const expenses = report?.data.expenses || [];
 
   // Handle exporting financial data
   const handleExport = (format = 'csv') => {
     try {
-      console.log("FinancialReport handleExport called with format:", format);
-      
       // Check if we have data to export
-      if (!financialData || !financialData.revenue || !financialData.expenses) {
+      if (!report) {
         toast.error('No financial data available to export');
         return;
       }
-      
+
+      const marginRow = (row, label) => ({
+        'Category': label,
+        'Quantity': row.quantity,
+        'Net Sales': formatPeso(row.net_sales),
+        'Cost of Sales': formatPeso(row.cost_of_sales),
+        'Gross Profit': formatPeso(row.gross_profit),
+        'Gross Margin': formatMargin(row.gross_margin)
+      });
+
       // Create a simplified CSV-friendly data array
       const csvData = [
         // Header row
         {
-          'Report Type': 'Financial Summary',
+          'Report Type': 'Profit & Loss',
           'Period': dateRangeText,
           'Generated On': new Date().toLocaleString()
         },
         {}, // Empty row for spacing
-        
-        // Summary section
-        { 'Metric': 'Total Revenue', 'Value': `₱${financialData.revenue.total.toFixed(2)}` },
-        { 'Metric': 'Total Expenses', 'Value': `₱${financialData.expenses.total.toFixed(2)}` },
-        { 'Metric': 'Gross Profit', 'Value': `₱${financialData.profit.toFixed(2)}` },
-        { 'Metric': 'Net Profit', 'Value': `₱${financialData.profit.toFixed(2)}` },
-        { 'Metric': 'Profit Margin', 'Value': `${financialData.profitMargin.toFixed(2)}%` },
-        {}, // Empty row
-        
-        // Revenue breakdown section
-        { 'Category': 'REVENUE BY CATEGORY' },
-        ...Object.entries(financialData.revenue.byCategory).map(([category, amount]) => ({
-          'Category': category,
-          'Amount': `₱${amount.toFixed(2)}`,
-          'Percentage': `${((amount / financialData.revenue.total) * 100).toFixed(1)}%`
+
+        // Statement section
+        { 'Metric': 'Gross Sales', 'Value': formatPeso(summary.grossSales) },
+        { 'Metric': 'Refunds', 'Value': formatPeso(summary.refunds) },
+        { 'Metric': 'Net Sales', 'Value': formatPeso(summary.revenue) },
+        { 'Metric': 'Cost of Sales', 'Value': formatPeso(summary.costOfSales) },
+        { 'Metric': 'Gross Profit', 'Value': formatPeso(summary.grossProfit) },
+        { 'Metric': 'Gross Margin', 'Value': formatMargin(summary.grossProfitMargin) },
+        ...expenses.map(expense => ({
+          'Metric': expenseLabel(expense.category),
+          'Value': formatPeso(expense.amount)
         })),
+        { 'Metric': 'Operating Expenses', 'Value': formatPeso(summary.operatingExpenses) },
+        { 'Metric': 'Net Profit', 'Value': formatPeso(summary.netProfit) },
+        { 'Metric': 'Net Margin', 'Value': formatMargin(summary.netProfitMargin) },
+        {}, // Empty row
+
+        // Margin by category
+        { 'Category': 'GROSS MARGIN BY CATEGORY' },
+        ...categories.map(category => marginRow(category, category.category)),
         {}, // Empty row
-        
-        // Expenses breakdown section
-        { 'Category': 'EXPENSES BY CATEGORY' },
-        ...Object.entries(financialData.expenses.byCategory).map(([category, amount]) => ({
-          'Category': category.charAt(0).toUpperCase() + category.slice(1),
-          'Amount': `₱${amount.toFixed(2)}`,
-          'Percentage': `${((amount / financialData.expenses.total) * 100).toFixed(1)}%`
-        }))
+
+        // Margin by item
+        { 'Category': 'GROSS MARGIN BY ITEM' },
+        ...items.map(item => marginRow(item, item.item_name))
       ];
-      
-      // Format the data for the export function
-      const formattedReport = {
-        type: 'financial',
-        title: 'Financial Report',
-        dateRange: {
-          startDate,
-          endDate,
-          formatted: dateRangeText
-        },
-        summary: {
-          revenue: financialData.revenue.total || 0,
-          expenses: financialData.expenses.total || 0,
-          grossProfit: financialData.profit || 0,
-          netProfit: financialData.profit || 0,
-          grossProfitMargin: financialData.profitMargin || 0,
-          netProfitMargin: financialData.profitMargin || 0
-        },
-        data: csvData, // Use our flattened CSV data here
-        analytics: {
-          revenue: {
-            byCategory: financialData.revenue.byCategory || {},
-            dailyTrend: financialData.revenue.dailyTotals || []
-          },
-          expenses: {
-            byCategory: financialData.expenses.byCategory || {}
-          }
-        }
-      };
 
-      // Call the parent onExport function
-      onExport('financial', format, formattedReport);
+      // Call the parent onExport function; PDF and Excel lay out their own
+      // tables from the structured data, and the PDF embeds the charts
+      onExport('financial', format, {
+        ...report,
+        data: format === 'csv' ? csvData : report.data,
+        charts: [
+          captureChartImage(revenueChartRef.current, 'Sales & Gross Profit'),
+          captureChartImage(profitChartRef.current, 'Profit Breakdown')
+        ].filter(Boolean)
+      });
     } catch (error) {
       console.error('Error exporting financial data:', error);
       toast.error('Failed to export financial report');
@@ -295,7 +176,7 @@ const FinancialReport = forwardRef(({
         forecastDays: 14,
         forceRefresh: true
       });
-      
+
       setPredictiveMetrics(predictions);
       toast.success("Financial predictions refreshed successfully");
     } catch (err) {
@@ -304,83 +185,59 @@ const FinancialReport = forwardRef(({
     }
   };
 
-  // Calculate revenue chart data
+  // Daily net sales against the gross profit they left
   const revenueChartData = useMemo(() => {
-    if (!financialData.revenue.dailyTotals || financialData.revenue.dailyTotals.length === 0) {
-      return {
-        labels: [],
-        datasets: [{
-          label: 'Daily Revenue',
-          data: [],
-          backgroundColor: 'rgba(87, 28, 31, 0.7)',
-          borderColor: 'rgba(87, 28, 31, 1)',
-          borderWidth: 1,
-          borderRadius: 4
-        }]
-      };
-    }
-    
+    const salesTrend = report?.analytics.revenue.dailyTrend || [];
+    const profitTrend = report?.analytics.profit.dailyTrend || [];
+
     return {
-      labels: financialData.revenue.dailyTotals.map(item => new Date(item.date).toLocaleDateString()),
+      labels: salesTrend.map(day => new Date(`${day.date}T00:00:00`).toLocaleDateString()),
       datasets: [
         {
-          label: 'Daily Revenue',
-          data: financialData.revenue.dailyTotals.map(item => item.total),
+          label: 'Net Sales',
+          data: salesTrend.map(day => day.total),
           backgroundColor: 'rgba(87, 28, 31, 0.7)',
           borderColor: 'rgba(87, 28, 31, 1)',
           borderWidth: 1,
           borderRadius: 4
+        },
+        {
+          label: 'Gross Profit',
+          data: profitTrend.map(day => day.total),
+          backgroundColor: 'rgba(0, 59, 37, 0.7)',
+          borderColor: 'rgba(0, 59, 37, 1)',
+          borderWidth: 1,
+          borderRadius: 4
         }
       ]
     };
-  }, [financialData.revenue.dailyTotals]);
+  }, [report]);
 
-  // Calculate expense breakdown chart data for doughnut chart
-  const expenseChartData = useMemo(() => ({
-    labels: ['Inventory', 'Operating', 'Other'],
-    datasets: [
-      {
-        data: [
-          financialData.expenses.byCategory.inventory || 0,
-          financialData.expenses.byCategory.operating || 0,
-          financialData.expenses.byCategory.other || 0
-        ],
-        backgroundColor: [
-          'rgba(87, 28, 31, 0.8)',
-          'rgba(0, 59, 37, 0.8)',
-          'rgba(255, 159, 64, 0.8)'
-        ],
-        borderWidth: 1,
-        borderColor: '#ffffff'
-      }
-    ]
-  }), [financialData.expenses.byCategory]);
-  
-  // Calculate profit breakdown data
+  // Where each peso of net sales went
   const profitBreakdownData = useMemo(() => ({
-    labels: ['Revenue', 'Expenses', 'Profit'],
+    labels: ['Cost of Sales', 'Operating Expenses', 'Net Profit'],
     datasets: [
       {
         label: 'Financial Breakdown',
         data: [
-          financialData.revenue.total || 0,
-          financialData.expenses.total || 0,
-          financialData.profit || 0
+          summary?.costOfSales || 0,
+          summary?.operatingExpenses || 0,
+          Math.max(summary?.netProfit || 0, 0)
         ],
         backgroundColor: [
-          'rgba(0, 59, 37, 0.8)', // Revenue (green)
-          'rgba(255, 159, 64, 0.8)', // Expenses (orange)
+          'rgba(255, 159, 64, 0.8)', // Cost of sales (orange)
+          'rgba(0, 59, 37, 0.8)', // Operating expenses (green)
           'rgba(87, 28, 31, 0.8)' // Profit (brand color)
         ],
         borderColor: [
-          'rgba(0, 59, 37, 1)',
           'rgba(255, 159, 64, 1)',
+          'rgba(0, 59, 37, 1)',
           'rgba(87, 28, 31, 1)'
         ],
         borderWidth: 1
       }
     ]
-  }), [financialData.revenue.total, financialData.expenses.total, financialData.profit]);
+  }), [summary]);
 
   // Cleanup chart instances when unmounting
   useEffect(() => {
@@ -396,15 +253,15 @@ const FinancialReport = forwardRef(({
 
   if (loading) {
     return (
-      <motion.div 
+      <motion.div
         className="flex flex-col items-center justify-center h-64 bg-[#FFF6F2]/30 rounded-lg p-8"
         initial={{ opacity: 0 }}
         animate={{ opacity: 1 }}
         exit={{ opacity: 0 }}
       >
-        <Spinner 
-          size="lg" 
-          color="#571C1F" 
+        <Spinner
+          size="lg"
+          color="#571C1F"
           label="Generating financial report and predictions..."
           type="pulse"
         />
@@ -412,7 +269,7 @@ const FinancialReport = forwardRef(({
     );
   }
 
-  if (error) {
+  if (error || !summary) {
     return (
       <motion.div
         className="bg-red-50 border border-red-200 rounded-lg p-6 mt-4"
@@ -428,8 +285,8 @@ const FinancialReport = forwardRef(({
           </div>
           <div>
             <h3 className="text-lg font-medium text-red-800">Error Loading Report</h3>
-            <p className="mt-1 text-red-700">{error}</p>
-            <button 
+            <p className="mt-1 text-red-700">{error || 'Failed to generate financial report. Please try again later.'}</p>
+            <button
               onClick={() => setRefreshKey(prev => prev + 1)}
               className="mt-3 px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700 transition-colors flex items-center"
             >
@@ -445,50 +302,108 @@ const FinancialReport = forwardRef(({
   }
 
   return (
-    <motion.div 
+    <motion.div
       className="space-y-6"
       initial={{ opacity: 0 }}
       animate={{ opacity: 1 }}
       transition={{ duration: 0.4 }}
     >
       {/* Summary Cards - Using same style as SalesReport */}
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-        <SummaryCard 
-          title="Total Revenue"
-          value={financialData.revenue.total}
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+        <SummaryCard
+          title="Net Sales"
+          value={summary.revenue}
           prefix="₱"
-          change={12.5}
-          changeType="positive"
           icon="revenue"
           bgColor="bg-white"
           valueColor="text-gray-900"
         />
-        <SummaryCard 
-          title="Total Expenses"
-          value={financialData.expenses.total}
+        <SummaryCard
+          title="Cost of Sales"
+          value={summary.costOfSales}
           prefix="₱"
-          change={8.3}
-          changeType="negative"
           icon="expense"
           bgColor="bg-white"
           valueColor="text-gray-900"
         />
-        <SummaryCard 
+        <SummaryCard
+          title="Gross Profit"
+          value={summary.grossProfit}
+          prefix="₱"
+          suffix={` (${summary.grossProfitMargin.toFixed(1)}%)`}
+          icon="chart"
+          bgColor="bg-white"
+          valueColor="text-gray-900"
+        />
+        <SummaryCard
           title="Net Profit"
-          value={financialData.profit}
+          value={summary.netProfit}
           prefix="₱"
-          suffix={` (${financialData.profitMargin.toFixed(1)}%)`}
-          change={15.8}
-          changeType={financialData.profit > 0 ? "positive" : "negative"}
+          suffix={` (${summary.netProfitMargin.toFixed(1)}%)`}
           icon="chart"
           bgColor="bg-white"
           valueColor="text-gray-900"
         />
       </div>
 
+      {/* Profit & Loss Statement */}
+      <Card
+        title="Profit & Loss Statement"
+        className="bg-white border border-[#571C1F]/10 hover:border-[#571C1F]/20 transition-colors duration-200 shadow-sm"
+      >
+        <div className="mb-2 flex items-center">
+          <div className="w-3 h-3 bg-[#571C1F] rounded-full mr-2"></div>
+          <span className="text-sm text-gray-500">
+            {dateRangeText} · cost of sales is each item&apos;s recipe cost when it was sold
+          </span>
+        </div>
+
+        <table className="min-w-full text-sm">
+          <tbody className="divide-y divide-gray-100">
+            <tr>
+              <td className="py-2 text-gray-600">Gross sales</td>
+              <td className="py-2 text-right">{formatPeso(summary.grossSales)}</td>
+            </tr>
+            <tr>
+              <td className="py-2 text-gray-600">Less refunds</td>
+              <td className="py-2 text-right text-red-600">({formatPeso(summary.refunds)})</td>
+            </tr>
+            <tr className="font-medium">
+              <td className="py-2">Net sales</td>
+              <td className="py-2 text-right">{formatPeso(summary.revenue)}</td>
+            </tr>
+            <tr>
+              <td className="py-2 text-gray-600">Cost of sales</td>
+              <td className="py-2 text-right text-red-600">({formatPeso(summary.costOfSales)})</td>
+            </tr>
+            <tr className="font-medium bg-[#FFF6F2]/60">
+              <td className="py-2">Gross profit <span className="text-xs text-gray-500 font-normal">{formatMargin(summary.grossProfitMargin)} margin</span></td>
+              <td className="py-2 text-right">{formatPeso(summary.grossProfit)}</td>
+            </tr>
+            {expenses.map(expense => (
+              <tr key={expense.category}>
+                <td className="py-2 pl-4 text-gray-600">{expenseLabel(expense.category)}</td>
+                <td className="py-2 text-right text-red-600">({formatPeso(expense.amount)})</td>
+              </tr>
+            ))}
+            <tr>
+              <td className="py-2 text-gray-600">
+                Total operating expenses
+                {expenses.length === 0 && <span className="text-xs text-gray-400"> · none recorded for this period</span>}
+              </td>
+              <td className="py-2 text-right text-red-600">({formatPeso(summary.operatingExpenses)})</td>
+            </tr>
+            <tr className="font-semibold text-[#571C1F] bg-[#FFF6F2]/60">
+              <td className="py-2">Net profit <span className="text-xs text-gray-500 font-normal">{formatMargin(summary.netProfitMargin)} margin</span></td>
+              <td className={`py-2 text-right ${summary.netProfit < 0 ? 'text-red-600' : ''}`}>{formatPeso(summary.netProfit)}</td>
+            </tr>
+          </tbody>
+        </table>
+      </Card>
+
       {/* ML Component - Predictive Analytics */}
-      <Card 
-        title="Financial Predictions & Analysis" 
+      <Card
+        title="Financial Predictions & Analysis"
         className="bg-white border border-[#571C1F]/10 hover:border-[#571C1F]/20 transition-colors duration-200 shadow-sm"
       >
         <div className="mb-2 flex items-center justify-between">
@@ -496,7 +411,7 @@ const FinancialReport = forwardRef(({
             <div className="w-3 h-3 bg-[#571C1F] rounded-full mr-2"></div>
             <span className="text-sm text-gray-500">AI-powered financial analysis and forecasting</span>
           </div>
-          
+
           <Button
             onClick={handleRefreshPredictions}
             size="sm"
@@ -510,8 +425,8 @@ const FinancialReport = forwardRef(({
             Refresh Predictions
           </Button>
         </div>
-        
-        <PredictiveMetricsPanel 
+
+        <PredictiveMetricsPanel
           metrics={predictiveMetrics}
           dateRange={dateRangeText}
           onRefresh={handleRefreshPredictions}
@@ -520,26 +435,27 @@ const FinancialReport = forwardRef(({
 
       {/* Revenue and Profit Breakdown - 2 Column Grid */}
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-        {/* Revenue Trend */}
-        <Card 
-          title="Revenue Trend" 
+        {/* Sales and Gross Profit Trend */}
+        <Card
+          title="Sales & Gross Profit"
           className="bg-white border border-[#571C1F]/10 hover:border-[#571C1F]/20 transition-colors duration-200 shadow-sm"
         >
           <div className="mb-2 flex items-center">
             <div className="w-3 h-3 bg-[#571C1F] rounded-full mr-2"></div>
-            <span className="text-sm text-gray-500">Daily revenue during selected period</span>
+            <span className="text-sm text-gray-500">Daily net sales and gross profit during selected period</span>
           </div>
-          
+
           <div style={{ height: "350px" }}>
             {revenueChartData.labels.length > 0 ? (
-              <Bar 
+              <Bar
+                ref={revenueChartRef}
                 data={revenueChartData}
                 options={{
                   responsive: true,
                   maintainAspectRatio: false,
                   plugins: {
                     legend: {
-                      display: false
+                      position: 'top'
                     },
                     tooltip: {
                       backgroundColor: 'rgba(255, 255, 255, 0.95)',
@@ -549,8 +465,8 @@ const FinancialReport = forwardRef(({
                       borderWidth: 1,
                       callbacks: {
                         label: (context) => {
-                          return context && context.raw !== undefined ? 
-                            `₱${context.raw.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}` : '';
+                          return context && context.raw !== undefined ?
+                            `${context.dataset.label}: ${formatPeso(context.raw)}` : '';
                         }
                       }
                     }
@@ -569,28 +485,27 @@ const FinancialReport = forwardRef(({
               />
             ) : (
               <div className="h-full flex items-center justify-center">
-                <p className="text-gray-500 text-sm">No revenue data available for this period</p>
+                <p className="text-gray-500 text-sm">No sales for this period</p>
               </div>
             )}
           </div>
         </Card>
 
         {/* Profit Breakdown */}
-        <Card 
-          title="Profit Breakdown" 
+        <Card
+          title="Profit Breakdown"
           className="bg-white border border-[#571C1F]/10 hover:border-[#571C1F]/20 transition-colors duration-200 shadow-sm"
         >
           <div className="mb-2 flex items-center">
             <div className="w-3 h-3 bg-[#571C1F] rounded-full mr-2"></div>
-            <span className="text-sm text-gray-500">Revenue, expenses, and profit for the period</span>
+            <span className="text-sm text-gray-500">Cost of sales, operating expenses and profit out of net sales</span>
           </div>
-          
+
           <div style={{ height: "350px" }}>
             {/* Only render chart when we have valid data */}
-            {financialData && 
-              financialData.revenue && 
-              financialData.revenue.total > 0 ? (
-                <Doughnut 
+            {summary.revenue > 0 ? (
+                <Doughnut
+                  ref={profitChartRef}
                   data={profitBreakdownData}
                   options={{
                     responsive: true,
@@ -614,9 +529,7 @@ const FinancialReport = forwardRef(({
                         callbacks: {
                           label: (context) => {
                             if (!context || context.raw === undefined) return '';
-                            const label = context.label || '';
-                            const value = context.raw || 0;
-                            return `${label}: ₱${value.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}`;
+                            return `${context.label || ''}: ${formatPeso(context.raw)}`;
                           }
                         }
                       }
@@ -631,10 +544,88 @@ const FinancialReport = forwardRef(({
            </div>
         </Card>
       </div>
+
+      {/* Gross margin per category and per item */}
+      <div className="grid grid-cols-1 gap-6">
+        <Card
+          title="Gross Margin by Category"
+          className="bg-white border border-[#571C1F]/10 hover:border-[#571C1F]/20 transition-colors duration-200 shadow-sm"
+        >
+          <MarginTable
+            rows={categories.map(category => ({ ...category, key: category.category, label: category.category }))}
+            labelHeading="Category"
+          />
+        </Card>
+
+        <Card
+          title="Gross Margin by Item"
+          className="bg-white border border-[#571C1F]/10 hover:border-[#571C1F]/20 transition-colors duration-200 shadow-sm"
+        >
+          <MarginTable
+            rows={items.map(item => ({ ...item, key: String(item.item_id), label: item.item_name, sublabel: item.category }))}
+            labelHeading="Item"
+          />
+        </Card>
+      </div>
     </motion.div>
   );
 });
 
+// Sales, cost and gross margin per row, best gross profit first
+const MarginTable = ({ rows, labelHeading }) => {
+  if (rows.length === 0) {
+    return <p className="text-center py-8 text-sm text-gray-500">No sales for this period</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full text-sm">
+        <thead className="bg-[#FFF6F2] text-xs text-[#571C1F] text-left uppercase tracking-wider">
+          <tr>
+            <th className="px-4 py-2 font-medium">{labelHeading}</th>
+            <th className="px-4 py-2 font-medium text-right">Qty</th>
+            <th className="px-4 py-2 font-medium text-right">Net Sales</th>
+            <th className="px-4 py-2 font-medium text-right">Cost of Sales</th>
+            <th className="px-4 py-2 font-medium text-right">Gross Profit</th>
+            <th className="px-4 py-2 font-medium text-right">Margin</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {rows.map(row => (
+            <tr key={row.key}>
+              <td className="px-4 py-2">
+                {row.label}
+                {row.sublabel && <span className="block text-xs text-gray-500">{row.sublabel}</span>}
+              </td>
+              <td className="px-4 py-2 text-right">{Number(row.quantity)}</td>
+              <td className="px-4 py-2 text-right">{formatPeso(row.net_sales)}</td>
+              <td className="px-4 py-2 text-right">{formatPeso(row.cost_of_sales)}</td>
+              <td className={`px-4 py-2 text-right font-medium ${row.gross_profit < 0 ? 'text-red-600' : ''}`}>
+                {formatPeso(row.gross_profit)}
+              </td>
+              <td className="px-4 py-2 text-right">{formatMargin(row.gross_margin)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+MarginTable.propTypes = {
+  rows: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired,
+    sublabel: PropTypes.string,
+    quantity: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    net_sales: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    cost_of_sales: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    gross_profit: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    gross_margin: PropTypes.oneOfType([PropTypes.number, PropTypes.string])
+  })).isRequired,
+  labelHeading: PropTypes.string.isRequired
+};
+
 // Summary Card component
 const SummaryCard = ({ 
   title, 
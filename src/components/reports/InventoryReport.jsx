@@ -1,14 +1,19 @@
-import { useState, useEffect, useMemo, useRef } from 'react';
+import { useState, useEffect, useMemo, useRef, forwardRef, useImperativeHandle } from 'react';
 import Card from '../common/Card';
 import Button from '../common/Button';
 import { Spinner } from '../common/Spinner';
 import { useInventory } from '../../hooks/useInventory';
 import { useMLPredictions } from '../../hooks/useMLPredictions';
+import { useStockCounts } from '../../hooks/useStockCounts';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Chart as ChartJS, CategoryScale, LinearScale, PointElement, LineElement, Title, Tooltip, Legend, Filler, BarElement, ArcElement } from 'chart.js';
 import { Bar, Line, Doughnut } from 'react-chartjs-2';
 import { format, parseISO } from 'date-fns';
 import { toast } from 'react-hot-toast';
+import { captureChartImage } from '../../utils/export-utils';
+import { lotExpiryStatus, describeExpiry } from '../../utils/lot-utils';
+import { buildCountVarianceRows } from '../../utils/stock-count-utils';
+import { EXPIRY_WARNING_DAYS } from '../../services/constants';
 
 // Import ML components
 import AnomalyDetectionPanel from '../ml/AnomalyDetectionPanel';
@@ -28,20 +33,22 @@ ChartJS.register(
   Filler
 );
 
-const InventoryReport = ({ 
+const InventoryReport = forwardRef(({ 
   startDate = null,
   endDate = null, 
   onExport = () => {} 
-}) => {
+}, ref) => {
   const { 
     ingredients, 
     items, 
     pullouts, 
     loading: inventoryLoading, 
     fetchInventory, 
+    fetchIngredientLots,
     createPullout 
   } = useInventory();
   const { detectInventoryAnomalies, getInventoryOptimizations, applyInventoryOptimization } = useMLPredictions();
+  const { fetchApprovedCounts } = useStockCounts();
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [refreshKey, setRefreshKey] = useState(0);
@@ -61,6 +68,8 @@ const InventoryReport = ({
   const [reportData, setReportData] = useState({
     ingredients: [],
     items: [],
+    expiringLots: [],
+    countVariances: [],
     summary: {
       totalIngredients: 0,
       totalItems: 0,
@@ -187,10 +196,23 @@ const InventoryReport = ({
           });
         }
 
+        // Lots on hand that have expired or are about to
+        const expiringLots = await fetchIngredientLots({ expiringWithinDays: EXPIRY_WARNING_DAYS })
+          .catch(() => []);
+
+        // Differences posted by stock counts approved within the period
+        const approvedCounts = await fetchApprovedCounts({ startDate, endDate }).catch(() => []);
+        const countVariances = buildCountVarianceRows(
+          approvedCounts,
+          Object.fromEntries(processedIngredients.map(ing => [ing.ingredient_id, ing]))
+        );
+
         // Set the report data with proper movements
         setReportData({
           ingredients: processedIngredients,
           items: inventoryData.items,
+          expiringLots,
+          countVariances,
           summary: {
             totalIngredients,
             totalItems: inventoryData.items?.length || 0,
@@ -258,7 +280,7 @@ const InventoryReport = ({
     generateInventoryReport();
     
     // Remove 'pullouts' from the dependency array
-  }, [startDate, endDate, fetchInventory, detectInventoryAnomalies, getInventoryOptimizations]);
+  }, [startDate, endDate, fetchInventory, fetchIngredientLots, fetchApprovedCounts, detectInventoryAnomalies, getInventoryOptimizations]);
 
   // Handle refreshing anomaly detection
   const handleRefreshAnomalyDetection = async () => {
@@ -332,6 +354,17 @@ const InventoryReport = ({
     setRefreshKey(prev => prev + 1);
   };
 
+  // Chart images for the PDF export, taken from the charts as drawn
+  const statusChartRef = useRef(null);
+  const valueChartRef = useRef(null);
+
+  useImperativeHandle(ref, () => ({
+    getChartImages: () => [
+      captureChartImage(statusChartRef.current, 'Inventory Status'),
+      captureChartImage(valueChartRef.current, 'Top Ingredients by Value')
+    ].filter(Boolean)
+  }), []);
+
   if (loading) {
     return (
       <motion.div 
@@ -521,6 +554,7 @@ const InventoryReport = ({
           <div className="h-64">
             <Doughnut
               key={`status-chart-${refreshKey}`}
+              ref={statusChartRef}
               data={stockStatusData}
               options={{
                 responsive: true,
@@ -571,6 +605,7 @@ const InventoryReport = ({
             {reportData.ingredients.length > 0 ? (
               <Bar
                 key={`top-ingredients-${refreshKey}`}
+                ref={valueChartRef}
                 data={{
                   labels: reportData.ingredients
                     .sort((a, b) => b.value - a.value)
@@ -726,6 +761,115 @@ const InventoryReport = ({
         />
       </Card>
 
+      {/* Lots that have expired or expire within EXPIRY_WARNING_DAYS */}
+      <Card 
+        title="Near-Expiry Lots" 
+        className="bg-white border border-[#571C1F]/10 hover:border-[#571C1F]/20 transition-colors duration-200 shadow-sm"
+      >
+        <div className="mb-2 flex items-center">
+          <div className="w-3 h-3 bg-[#571C1F] rounded-full mr-2"></div>
+          <span className="text-sm text-gray-500">Stock on hand that has expired or expires within {EXPIRY_WARNING_DAYS} days</span>
+        </div>
+        
+        {reportData.expiringLots.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-[#571C1F]/10">
+              <thead className="bg-[#FFF6F2]/50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-[#571C1F] uppercase tracking-wider">Ingredient</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-[#571C1F] uppercase tracking-wider">Lot</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-[#571C1F] uppercase tracking-wider">Expiry</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-[#571C1F] uppercase tracking-wider">Quantity</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-[#571C1F] uppercase tracking-wider">Value</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-[#571C1F] uppercase tracking-wider">Status</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-[#571C1F]/10">
+                {reportData.expiringLots.map((lot, index) => (
+                  <tr 
+                    key={lot.lot_id} 
+                    className={`${index % 2 === 0 ? 'bg-white' : 'bg-[#FFF6F2]/20'} hover:bg-[#FFF6F2]/40 transition-colors`}
+                  >
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{lot.ingredients?.name || 'Unknown Ingredient'}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{lot.lot_number || 'Untracked'}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{format(parseISO(lot.expiry_date), 'MMM d, yyyy')}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{parseFloat(lot.quantity)} {lot.ingredients?.unit}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                      ₱{(parseFloat(lot.quantity) * (parseFloat(lot.ingredients?.unit_cost) || 0)).toFixed(2)}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap">
+                      <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full 
+                        ${lotExpiryStatus(lot) === 'expired' ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'}`}>
+                        {describeExpiry(lot)}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500 text-center p-8">No lots are expired or close to expiry</p>
+        )}
+      </Card>
+
+      {/* Differences found by stock counts approved within the period */}
+      <Card 
+        title="Count Variance" 
+        className="bg-white border border-[#571C1F]/10 hover:border-[#571C1F]/20 transition-colors duration-200 shadow-sm"
+      >
+        <div className="mb-2 flex items-center">
+          <div className="w-3 h-3 bg-[#571C1F] rounded-full mr-2"></div>
+          <span className="text-sm text-gray-500">
+            Stock adjusted by approved counts ({dateRangeText}): net{' '}
+            ₱{reportData.countVariances.reduce((sum, row) => sum + row.value, 0).toFixed(2)}
+          </span>
+        </div>
+        
+        {reportData.countVariances.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-[#571C1F]/10">
+              <thead className="bg-[#FFF6F2]/50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-[#571C1F] uppercase tracking-wider">Count</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-[#571C1F] uppercase tracking-wider">Ingredient</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-[#571C1F] uppercase tracking-wider">Expected</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-[#571C1F] uppercase tracking-wider">Counted</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-[#571C1F] uppercase tracking-wider">Variance</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-[#571C1F] uppercase tracking-wider">Value</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-[#571C1F] uppercase tracking-wider">Reason</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-[#571C1F]/10">
+                {reportData.countVariances.map((row, index) => (
+                  <tr 
+                    key={`${row.count_id}-${row.ingredient_id}`} 
+                    className={`${index % 2 === 0 ? 'bg-white' : 'bg-[#FFF6F2]/20'} hover:bg-[#FFF6F2]/40 transition-colors`}
+                  >
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                      {row.count_name}
+                      <span className="block text-xs text-gray-500">{format(new Date(row.approved_at), 'MMM d, yyyy')}</span>
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{row.ingredient_name}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{parseFloat(row.expected_quantity.toFixed(3))} {row.unit}</td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{parseFloat(row.counted_quantity.toFixed(3))} {row.unit}</td>
+                    <td className={`px-4 py-3 whitespace-nowrap text-sm font-medium ${row.variance < 0 ? 'text-red-600' : 'text-green-700'}`}>
+                      {row.variance > 0 ? '+' : ''}{parseFloat(row.variance.toFixed(3))} {row.unit}
+                    </td>
+                    <td className={`px-4 py-3 whitespace-nowrap text-sm ${row.value < 0 ? 'text-red-600' : 'text-green-700'}`}>
+                      ₱{row.value.toFixed(2)}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">{row.reason}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500 text-center p-8">No count differences were posted in this period</p>
+        )}
+      </Card>
+
       {/* Recent Inventory Movement - Enhanced with animation and styling */}
       <Card 
         title="Recent Inventory Activity" 
@@ -915,7 +1059,9 @@ const InventoryReport = ({
       </Card>
     </motion.div>
   );
-};
+});
+
+InventoryReport.displayName = 'InventoryReport';
 
 // Updated Summary Card component to match SalesReport style with additional colors
 const SummaryCard = ({ 
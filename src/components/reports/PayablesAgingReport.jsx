@@ -0,0 +1,258 @@
+import { useState, useEffect, useCallback, useImperativeHandle, forwardRef } from 'react';
+import PropTypes from 'prop-types';
+import { format } from 'date-fns';
+import { toast } from 'react-hot-toast';
+import { motion } from 'framer-motion';
+import Card from '../common/Card';
+import { Spinner } from '../common/Spinner';
+import { usePayables } from '../../hooks/usePayables';
+import { AGING_BUCKETS } from '../../services/constants';
+
+const formatPeso = (value) => `₱${Number(value || 0).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}`;
+
+const formatDate = (value) => format(new Date(`${value}T00:00:00`), 'MMM dd, yyyy');
+
+const bucketLabel = (key) => AGING_BUCKETS.find(bucket => bucket.key === key)?.label || key;
+
+// Buckets further past due read warmer
+const BUCKET_CLASSES = {
+  current: 'text-gray-900',
+  days_1_30: 'text-amber-700',
+  days_31_60: 'text-orange-700',
+  days_61_90: 'text-red-700',
+  over_90: 'text-red-800'
+};
+
+/**
+ * What is owed to suppliers, aged by how far past due each unpaid invoice is.
+ * Ages as of the end of the report period unless another date is picked.
+ */
+const PayablesAgingReport = forwardRef(({ endDate = null, onExport = () => {} }, ref) => {
+  const { fetchAging } = usePayables();
+  const [asOf, setAsOf] = useState(endDate || format(new Date(), 'yyyy-MM-dd'));
+  const [aging, setAging] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (endDate) setAsOf(endDate);
+  }, [endDate]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    setLoading(true);
+    setError(null);
+    fetchAging(asOf)
+      .then(result => {
+        if (!cancelled) setAging(result);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message || 'Failed to load the payables aging');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchAging, asOf]);
+
+  const handleExport = useCallback((exportFormat = 'csv') => {
+    if (!aging) {
+      toast.error('No payables data available to export');
+      return;
+    }
+
+    const asOfText = formatDate(aging.as_of);
+    const csvData = [
+      {
+        'Report Type': 'Payables Aging',
+        'As Of': asOfText,
+        'Generated On': new Date().toLocaleString()
+      },
+      {},
+      ...AGING_BUCKETS.map(bucket => ({ 'Metric': bucket.label, 'Value': formatPeso(aging.totals[bucket.key]) })),
+      { 'Metric': 'Total Owed', 'Value': formatPeso(aging.totals.total) },
+      {},
+      { 'Supplier': 'BY SUPPLIER' },
+      ...aging.suppliers.map(row => ({
+        'Supplier': row.supplier_name,
+        ...Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.label, formatPeso(row[bucket.key])])),
+        'Total': formatPeso(row.total)
+      })),
+      {},
+      { 'Supplier': 'UNPAID INVOICES' },
+      ...aging.invoices.map(invoice => ({
+        'Supplier': invoice.supplier_name,
+        'Invoice': invoice.invoice_number,
+        'Dated': invoice.invoice_date,
+        'Due': invoice.due_date,
+        'Days Overdue': invoice.days_overdue,
+        'Amount': formatPeso(invoice.amount),
+        'Balance': formatPeso(invoice.balance),
+        'Bucket': bucketLabel(invoice.bucket)
+      }))
+    ];
+
+    // PDF and Excel lay out their own tables from the structured data
+    onExport('payables', exportFormat, {
+      type: 'payables',
+      title: 'Payables Aging',
+      dateRange: { endDate: aging.as_of, formatted: `As of ${asOfText}` },
+      summary: aging.totals,
+      data: exportFormat === 'csv' ? csvData : { suppliers: aging.suppliers, invoices: aging.invoices }
+    });
+  }, [aging, onExport]);
+
+  useImperativeHandle(ref, () => ({
+    handleExport
+  }), [handleExport]);
+
+  if (loading && !aging) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <Spinner size="lg" color="#571C1F" label="Aging payables..." />
+      </div>
+    );
+  }
+
+  if (error || !aging) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-lg p-6 mt-4 text-red-700">
+        {error || 'Failed to load the payables aging'}
+      </div>
+    );
+  }
+
+  return (
+    <motion.div
+      className="space-y-6"
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      transition={{ duration: 0.4 }}
+    >
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <label htmlFor="aging_as_of" className="block text-xs font-medium text-gray-600 mb-1">Aged As Of</label>
+          <input
+            id="aging_as_of"
+            type="date"
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F]"
+            value={asOf}
+            max={format(new Date(), 'yyyy-MM-dd')}
+            onChange={(e) => e.target.value && setAsOf(e.target.value)}
+          />
+        </div>
+        <p className="text-sm text-gray-600">
+          {aging.totals.invoices} unpaid invoice{aging.totals.invoices === 1 ? '' : 's'} ·{' '}
+          <span className="font-semibold text-[#571C1F]">{formatPeso(aging.totals.total)}</span> owed
+        </p>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+        {AGING_BUCKETS.map(bucket => (
+          <div key={bucket.key} className="bg-white rounded-lg shadow-sm p-4 border border-[#571C1F]/10">
+            <p className="text-sm text-gray-500">{bucket.label}</p>
+            <p className={`text-xl font-bold mt-1 ${BUCKET_CLASSES[bucket.key]}`}>
+              {formatPeso(aging.totals[bucket.key])}
+            </p>
+          </div>
+        ))}
+      </div>
+
+      <Card
+        title="By Supplier"
+        className="bg-white border border-[#571C1F]/10 shadow-sm"
+      >
+        {aging.suppliers.length === 0 ? (
+          <p className="py-6 text-center text-sm text-gray-500">Nothing was owed to suppliers on {formatDate(aging.as_of)}</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="bg-[#FFF6F2] text-xs text-[#571C1F]/70 uppercase tracking-wider">
+                <tr>
+                  <th className="px-4 py-2 text-left font-medium">Supplier</th>
+                  {AGING_BUCKETS.map(bucket => (
+                    <th key={bucket.key} className="px-4 py-2 text-right font-medium">{bucket.label}</th>
+                  ))}
+                  <th className="px-4 py-2 text-right font-medium">Total</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {aging.suppliers.map(row => (
+                  <tr key={row.supplier_id}>
+                    <td className="px-4 py-2 font-medium text-gray-900">
+                      {row.supplier_name}
+                      <span className="block text-xs text-gray-500 font-normal">
+                        {row.invoices} invoice{row.invoices === 1 ? '' : 's'}
+                      </span>
+                    </td>
+                    {AGING_BUCKETS.map(bucket => (
+                      <td
+                        key={bucket.key}
+                        className={`px-4 py-2 text-right ${Number(row[bucket.key]) > 0 ? BUCKET_CLASSES[bucket.key] : 'text-gray-400'}`}
+                      >
+                        {formatPeso(row[bucket.key])}
+                      </td>
+                    ))}
+                    <td className="px-4 py-2 text-right font-semibold text-[#571C1F]">{formatPeso(row.total)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+
+      {aging.invoices.length > 0 && (
+        <Card
+          title="Unpaid Invoices"
+          className="bg-white border border-[#571C1F]/10 shadow-sm"
+        >
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="bg-[#FFF6F2] text-xs text-[#571C1F]/70 uppercase tracking-wider">
+                <tr>
+                  <th className="px-4 py-2 text-left font-medium">Supplier</th>
+                  <th className="px-4 py-2 text-left font-medium">Invoice</th>
+                  <th className="px-4 py-2 text-left font-medium">Due</th>
+                  <th className="px-4 py-2 text-right font-medium">Days Overdue</th>
+                  <th className="px-4 py-2 text-right font-medium">Amount</th>
+                  <th className="px-4 py-2 text-right font-medium">Balance</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {aging.invoices.map(invoice => (
+                  <tr key={invoice.invoice_id}>
+                    <td className="px-4 py-2 text-gray-900">{invoice.supplier_name}</td>
+                    <td className="px-4 py-2">
+                      {invoice.invoice_number}
+                      <span className="block text-xs text-gray-500">{formatDate(invoice.invoice_date)}</span>
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap">{formatDate(invoice.due_date)}</td>
+                    <td className={`px-4 py-2 text-right ${BUCKET_CLASSES[invoice.bucket]}`}>
+                      {invoice.days_overdue > 0 ? invoice.days_overdue : '—'}
+                    </td>
+                    <td className="px-4 py-2 text-right">{formatPeso(invoice.amount)}</td>
+                    <td className="px-4 py-2 text-right font-medium text-[#571C1F]">{formatPeso(invoice.balance)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </Card>
+      )}
+    </motion.div>
+  );
+});
+
+PayablesAgingReport.displayName = 'PayablesAgingReport';
+
+PayablesAgingReport.propTypes = {
+  endDate: PropTypes.string,
+  onExport: PropTypes.func
+};
+
+export default PayablesAgingReport;
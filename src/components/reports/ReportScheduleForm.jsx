@@ -0,0 +1,223 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import Button from '../common/Button';
+import {
+  REPORT_SCHEDULE_TYPES,
+  REPORT_SCHEDULE_FREQUENCIES,
+  REPORT_SCHEDULE_FORMATS,
+  WEEKDAYS
+} from '../../services/constants';
+
+const inputClass = 'w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300 text-sm';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const toForm = (schedule, reportTypes) => ({
+  name: schedule?.name || '',
+  report_type: schedule?.report_type || reportTypes[0]?.id || 'sales',
+  frequency: schedule?.frequency || 'daily',
+  day_of_week: String(schedule?.day_of_week ?? 1),
+  day_of_month: String(schedule?.day_of_month ?? 1),
+  send_time: schedule?.send_time?.slice(0, 5) || '07:00',
+  format: schedule?.format || 'pdf',
+  recipients: schedule?.recipients?.join(', ') || '',
+  is_active: schedule?.is_active ?? true
+});
+
+const ReportScheduleForm = ({ schedule = null, reportTypes = REPORT_SCHEDULE_TYPES, onSubmit, onCancel, saving = false }) => {
+  const [form, setForm] = useState(() => toForm(schedule, reportTypes));
+  const [error, setError] = useState(null);
+
+  const updateField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const frequency = REPORT_SCHEDULE_FREQUENCIES.find(option => option.id === form.frequency);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const recipients = form.recipients
+      .split(/[\s,;]+/)
+      .map(address => address.trim())
+      .filter(Boolean);
+    const invalid = recipients.find(address => !EMAIL_PATTERN.test(address));
+
+    if (!form.name.trim()) return setError('Name is required');
+    if (recipients.length === 0) return setError('Add at least one recipient');
+    if (invalid) return setError(`"${invalid}" is not an email address`);
+    if (!form.send_time) return setError('Send time is required');
+
+    setError(null);
+    onSubmit({
+      name: form.name.trim(),
+      report_type: form.report_type,
+      frequency: form.frequency,
+      day_of_week: form.frequency === 'weekly' ? Number(form.day_of_week) : null,
+      day_of_month: form.frequency === 'monthly' ? Number(form.day_of_month) : null,
+      send_time: form.send_time,
+      format: form.format,
+      recipients: [...new Set(recipients)],
+      is_active: form.is_active
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div>
+        <label htmlFor="schedule_name" className="block text-xs font-medium text-gray-600 mb-1">Name</label>
+        <input
+          id="schedule_name"
+          type="text"
+          className={inputClass}
+          value={form.name}
+          onChange={(e) => updateField('name', e.target.value)}
+          placeholder="e.g. Daily sales for the owners"
+        />
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div>
+          <label htmlFor="report_type" className="block text-xs font-medium text-gray-600 mb-1">Report</label>
+          <select
+            id="report_type"
+            className={inputClass}
+            value={form.report_type}
+            onChange={(e) => updateField('report_type', e.target.value)}
+          >
+            {reportTypes.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="format" className="block text-xs font-medium text-gray-600 mb-1">Attachment</label>
+          <select
+            id="format"
+            className={inputClass}
+            value={form.format}
+            onChange={(e) => updateField('format', e.target.value)}
+          >
+            {REPORT_SCHEDULE_FORMATS.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <div>
+          <label htmlFor="frequency" className="block text-xs font-medium text-gray-600 mb-1">Frequency</label>
+          <select
+            id="frequency"
+            className={inputClass}
+            value={form.frequency}
+            onChange={(e) => updateField('frequency', e.target.value)}
+          >
+            {REPORT_SCHEDULE_FREQUENCIES.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        {form.frequency === 'weekly' && (
+          <div>
+            <label htmlFor="day_of_week" className="block text-xs font-medium text-gray-600 mb-1">Day</label>
+            <select
+              id="day_of_week"
+              className={inputClass}
+              value={form.day_of_week}
+              onChange={(e) => updateField('day_of_week', e.target.value)}
+            >
+              {WEEKDAYS.map((day, index) => (
+                <option key={day} value={index}>{day}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        {form.frequency === 'monthly' && (
+          <div>
+            <label htmlFor="day_of_month" className="block text-xs font-medium text-gray-600 mb-1">Day of month</label>
+            <select
+              id="day_of_month"
+              className={inputClass}
+              value={form.day_of_month}
+              onChange={(e) => updateField('day_of_month', e.target.value)}
+            >
+              {Array.from({ length: 28 }, (_, index) => index + 1).map(day => (
+                <option key={day} value={day}>{day}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        <div>
+          <label htmlFor="send_time" className="block text-xs font-medium text-gray-600 mb-1">Send at</label>
+          <input
+            id="send_time"
+            type="time"
+            className={inputClass}
+            value={form.send_time}
+            onChange={(e) => updateField('send_time', e.target.value)}
+          />
+        </div>
+      </div>
+      <p className="text-xs text-gray-500">
+        Each email covers {frequency?.period}. Times are Manila time.
+      </p>
+
+      <div>
+        <label htmlFor="recipients" className="block text-xs font-medium text-gray-600 mb-1">Recipients</label>
+        <textarea
+          id="recipients"
+          rows={2}
+          className={inputClass}
+          value={form.recipients}
+          onChange={(e) => updateField('recipients', e.target.value)}
+          placeholder="owner@example.com, manager@example.com"
+        />
+      </div>
+
+      <label className="flex items-center space-x-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={form.is_active}
+          onChange={(e) => updateField('is_active', e.target.checked)}
+          className="rounded border-gray-300 text-[#571C1F] focus:ring-[#571C1F]"
+        />
+        <span>Active</span>
+      </label>
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+
+      <div className="flex justify-end space-x-2 pt-2">
+        <Button variant="outline" size="sm" onClick={onCancel} disabled={saving}>
+          Cancel
+        </Button>
+        <Button type="submit" size="sm" disabled={saving}>
+          {saving ? 'Saving...' : schedule ? 'Save Changes' : 'Schedule Report'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+ReportScheduleForm.propTypes = {
+  schedule: PropTypes.shape({
+    schedule_id: PropTypes.number,
+    name: PropTypes.string,
+    report_type: PropTypes.string,
+    frequency: PropTypes.string,
+    day_of_week: PropTypes.number,
+    day_of_month: PropTypes.number,
+    send_time: PropTypes.string,
+    format: PropTypes.string,
+    recipients: PropTypes.arrayOf(PropTypes.string),
+    is_active: PropTypes.bool
+  }),
+  reportTypes: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired
+  })),
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  saving: PropTypes.bool
+};
+
+export default ReportScheduleForm;
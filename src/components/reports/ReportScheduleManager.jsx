@@ -0,0 +1,299 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { format } from 'date-fns';
+import Button from '../common/Button';
+import Modal from '../common/Modal';
+import { Spinner } from '../common/Spinner';
+import ReportScheduleForm from './ReportScheduleForm';
+import { useReportSchedules } from '../../hooks/useReportSchedules';
+import { usePermissions } from '../../hooks/usePermissions';
+import {
+  REPORT_SCHEDULE_TYPES,
+  REPORT_SCHEDULE_FORMATS,
+  REPORT_RUN_STATUSES,
+  WEEKDAYS
+} from '../../services/constants';
+
+const STATUS_STYLES = {
+  running: 'bg-blue-100 text-blue-800',
+  sent: 'bg-green-100 text-green-800',
+  retrying: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const labelFor = (options, id) => options.find(option => option.id === id)?.label || id;
+
+const formatTimestamp = (value) => (value ? format(new Date(value), 'MMM d, yyyy h:mm a') : '—');
+
+const formatPeriod = (start, end) => {
+  const from = format(new Date(`${start}T00:00:00`), 'MMM d, yyyy');
+  return start === end ? from : `${from} – ${format(new Date(`${end}T00:00:00`), 'MMM d, yyyy')}`;
+};
+
+// e.g. "Weekly on Monday at 7:00 AM"
+const describeTiming = (schedule) => {
+  const time = format(new Date(`2000-01-01T${schedule.send_time}`), 'h:mm a');
+
+  switch (schedule.frequency) {
+    case 'weekly':
+      return `Weekly on ${WEEKDAYS[schedule.day_of_week]} at ${time}`;
+    case 'monthly':
+      return `Monthly on day ${schedule.day_of_month} at ${time}`;
+    default:
+      return `Daily at ${time}`;
+  }
+};
+
+const RunStatus = ({ status }) => (
+  <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${STATUS_STYLES[status] || 'bg-gray-100 text-gray-800'}`}>
+    {REPORT_RUN_STATUSES[status] || status}
+  </span>
+);
+
+RunStatus.propTypes = {
+  status: PropTypes.string.isRequired
+};
+
+const ReportScheduleManager = () => {
+  const {
+    schedules,
+    runs,
+    loading,
+    fetchSchedules,
+    fetchRuns,
+    createSchedule,
+    updateSchedule,
+    sendNow,
+    deleteSchedule
+  } = useReportSchedules();
+  const { hasPermission } = usePermissions();
+  // null while closed, {} for a new schedule, or the schedule being edited
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  // Schedule whose deliveries the history shows; null for all of them
+  const [historyFor, setHistoryFor] = useState(null);
+
+  // Report types the user may mail are the ones they may open
+  const reportTypes = REPORT_SCHEDULE_TYPES.filter(type => hasPermission(type.permission));
+
+  useEffect(() => {
+    fetchSchedules().catch(() => {});
+  }, [fetchSchedules]);
+
+  useEffect(() => {
+    fetchRuns(historyFor?.schedule_id).catch(() => {});
+  }, [historyFor, fetchRuns]);
+
+  const refresh = () => {
+    fetchSchedules().catch(() => {});
+    fetchRuns(historyFor?.schedule_id).catch(() => {});
+  };
+
+  const handleSubmit = async (scheduleData) => {
+    setSaving(true);
+    try {
+      if (editing?.schedule_id) {
+        await updateSchedule(editing.schedule_id, scheduleData);
+      } else {
+        await createSchedule(scheduleData);
+      }
+      setEditing(null);
+    } catch {
+      // Leave the form open to correct the schedule
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = (schedule) => {
+    updateSchedule(schedule.schedule_id, { is_active: !schedule.is_active }).catch(() => {});
+  };
+
+  const handleDelete = async (schedule) => {
+    if (!window.confirm(`Delete the "${schedule.name}" schedule and its delivery history?`)) return;
+    await deleteSchedule(schedule.schedule_id).catch(() => {});
+    if (historyFor?.schedule_id === schedule.schedule_id) setHistoryFor(null);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+        <p className="text-sm text-gray-600">
+          Reports emailed as PDF or Excel attachments by the report worker
+        </p>
+        <div className="flex space-x-2">
+          <Button variant="outline" size="sm" onClick={refresh} disabled={loading}>
+            Refresh
+          </Button>
+          {reportTypes.length > 0 && (
+            <Button size="sm" onClick={() => setEditing({})}>
+              Schedule Report
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg border border-[#571C1F]/10 shadow-sm overflow-x-auto">
+        {loading && schedules.length === 0 ? (
+          <div className="flex justify-center py-12">
+            <Spinner size="lg" color="#571C1F" />
+          </div>
+        ) : schedules.length === 0 ? (
+          <p className="text-center py-12 text-sm text-gray-500">No reports are scheduled yet</p>
+        ) : (
+          <table className="min-w-full text-sm">
+            <thead className="bg-[#FFF6F2] text-xs text-[#571C1F] text-left uppercase tracking-wider">
+              <tr>
+                <th className="px-4 py-2 font-medium">Name</th>
+                <th className="px-4 py-2 font-medium">Report</th>
+                <th className="px-4 py-2 font-medium">When</th>
+                <th className="px-4 py-2 font-medium">Recipients</th>
+                <th className="px-4 py-2 font-medium">Next send</th>
+                <th className="px-4 py-2 font-medium">Last delivery</th>
+                <th className="px-4 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {schedules.map(schedule => (
+                <tr key={schedule.schedule_id} className={schedule.is_active ? '' : 'text-gray-400'}>
+                  <td className="px-4 py-2 font-medium">{schedule.name}</td>
+                  <td className="px-4 py-2 whitespace-nowrap">
+                    {labelFor(REPORT_SCHEDULE_TYPES, schedule.report_type)}
+                    <span className="text-xs text-gray-500"> · {labelFor(REPORT_SCHEDULE_FORMATS, schedule.format)}</span>
+                  </td>
+                  <td className="px-4 py-2 whitespace-nowrap">{describeTiming(schedule)}</td>
+                  <td className="px-4 py-2 text-gray-600">{schedule.recipients.join(', ')}</td>
+                  <td className="px-4 py-2 whitespace-nowrap text-gray-600">
+                    {schedule.is_active ? formatTimestamp(schedule.next_run_at) : 'Paused'}
+                  </td>
+                  <td className="px-4 py-2 whitespace-nowrap">
+                    {schedule.last_run ? (
+                      <div className="space-y-0.5">
+                        <RunStatus status={schedule.last_run.status} />
+                        <p className="text-xs text-gray-500">{formatTimestamp(schedule.last_run.started_at)}</p>
+                      </div>
+                    ) : (
+                      <span className="text-gray-400">Never</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-right whitespace-nowrap space-x-2">
+                    {schedule.is_active && (
+                      <button
+                        type="button"
+                        onClick={() => sendNow(schedule.schedule_id).catch(() => {})}
+                        className="text-xs text-[#571C1F] hover:underline"
+                      >
+                        Send now
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => setHistoryFor(schedule)}
+                      className="text-xs text-[#571C1F] hover:underline"
+                    >
+                      History
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleToggleActive(schedule)}
+                      className="text-xs text-[#571C1F] hover:underline"
+                    >
+                      {schedule.is_active ? 'Pause' : 'Resume'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setEditing(schedule)}
+                      className="text-xs text-[#571C1F] hover:underline"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(schedule)}
+                      className="text-xs text-red-600 hover:underline"
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg border border-[#571C1F]/10 shadow-sm">
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+          <h2 className="text-sm font-semibold text-[#571C1F]">
+            Delivery History{historyFor ? ` — ${historyFor.name}` : ''}
+          </h2>
+          {historyFor && (
+            <button
+              type="button"
+              onClick={() => setHistoryFor(null)}
+              className="text-xs text-[#571C1F] hover:underline"
+            >
+              Show all schedules
+            </button>
+          )}
+        </div>
+        {runs.length === 0 ? (
+          <p className="text-center py-8 text-sm text-gray-500">No deliveries yet</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead className="bg-[#FFF6F2] text-xs text-[#571C1F] text-left uppercase tracking-wider">
+                <tr>
+                  <th className="px-4 py-2 font-medium">Started</th>
+                  {!historyFor && <th className="px-4 py-2 font-medium">Schedule</th>}
+                  <th className="px-4 py-2 font-medium">Period</th>
+                  <th className="px-4 py-2 font-medium">Status</th>
+                  <th className="px-4 py-2 font-medium text-right">Attempts</th>
+                  <th className="px-4 py-2 font-medium">Details</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {runs.map(run => (
+                  <tr key={run.run_id}>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-600">{formatTimestamp(run.started_at)}</td>
+                    {!historyFor && (
+                      <td className="px-4 py-2">{run.report_schedules?.name || `Schedule #${run.schedule_id}`}</td>
+                    )}
+                    <td className="px-4 py-2 whitespace-nowrap">{formatPeriod(run.period_start, run.period_end)}</td>
+                    <td className="px-4 py-2"><RunStatus status={run.status} /></td>
+                    <td className="px-4 py-2 text-right">{run.attempts}</td>
+                    <td className="px-4 py-2 text-xs text-gray-600">
+                      {run.status === 'sent' && `Sent to ${run.recipients.join(', ')} at ${formatTimestamp(run.finished_at)}`}
+                      {run.status === 'retrying' && `${run.error} — retrying ${formatTimestamp(run.next_retry_at)}`}
+                      {run.status === 'failed' && run.error}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <Modal
+        isOpen={editing !== null}
+        onClose={() => !saving && setEditing(null)}
+        title={editing?.schedule_id ? 'Edit Schedule' : 'Schedule Report'}
+        size="md"
+      >
+        {editing !== null && (
+          <ReportScheduleForm
+            key={editing.schedule_id || 'new'}
+            schedule={editing.schedule_id ? editing : null}
+            reportTypes={reportTypes}
+            onSubmit={handleSubmit}
+            onCancel={() => setEditing(null)}
+            saving={saving}
+          />
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default ReportScheduleManager;
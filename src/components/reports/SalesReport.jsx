@@ -1,4 +1,5 @@
-import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { useState, useEffect, useMemo, useCallback, useRef, forwardRef, useImperativeHandle } from 'react';
+import PropTypes from 'prop-types';
 import Card from '../common/Card';
 import Button from '../common/Button';
 import { Spinner } from '../common/Spinner';
@@ -20,6 +21,10 @@ import {
   Filler 
 } from 'chart.js';
 import supabase from '../../services/supabase';
+import { summarizePaymentMethods } from '../../utils/payment-utils';
+import { summarizeRefunds } from '../../utils/refund-utils';
+import { formatDuration } from '../../utils/date-utils';
+import { captureChartImage } from '../../utils/export-utils';
 import { toast } from 'react-hot-toast';
 
 // Register Chart.js components
@@ -39,12 +44,12 @@ ChartJS.register(
 import SalesForecastChart from '../ml/SalesForecastChart';
 import ProductAssociationChart from '../ml/ProductAssociationChart';
 
-const SalesReport = ({ 
+const SalesReport = forwardRef(({ 
   startDate = null,
   endDate = null,
   onExport = () => {}
-}) => {
-  const { fetchSales, exportSalesReport } = useSales();
+}, ref) => {
+  const { fetchSales, fetchRefunds, exportSalesReport } = useSales();
   const { exportReport } = useReports();
   const { 
     getSalesForecast, // Change this from fetchSalesForecast to getSalesForecast
@@ -76,6 +81,9 @@ const SalesReport = ({
   // Original state for regular sales data
   const [reportData, setReportData] = useState({
     totalSales: 0,
+    totalRefunds: 0,
+    refundCount: 0,
+    prepTimes: null,
     totalTransactions: 0,
     averageOrderValue: 0,
     categorySales: {},
@@ -114,6 +122,19 @@ const SalesReport = ({
           endDate: formattedEndDate
         });
         
+        // Refunds paid out in the period come off the sales figures
+        const refunds = await fetchRefunds({
+          startDate: formattedStartDate,
+          endDate: formattedEndDate
+        });
+        const refundSummary = summarizeRefunds(refunds);
+        
+        // Kitchen prep times of orders in the period (none before the kitchen display)
+        const { data: prepTimes } = await supabase.rpc('kitchen_prep_summary', {
+          p_start: formattedStartDate || new Date(0).toISOString(),
+          p_end: formattedEndDate || new Date().toISOString()
+        });
+        
         // Set component state with sales data
         setSalesData(salesData);
         
@@ -133,7 +154,8 @@ const SalesReport = ({
         }
         
         // Calculate sales metrics from fetched data
-        const totalSales = salesData.reduce((sum, sale) => sum + (parseFloat(sale.total_amount) || 0), 0);
+        const totalSales = salesData.reduce((sum, sale) => sum + (parseFloat(sale.total_amount) || 0), 0)
+          - refundSummary.total;
         const totalTransactions = salesData.length;
         const averageOrderValue = totalTransactions > 0 ? totalSales / totalTransactions : 0;
         
@@ -164,15 +186,13 @@ const SalesReport = ({
           }
         });
         
-        // Calculate payment methods
-        const paymentMethods = {};
-        salesData.forEach(sale => {
-          if (!sale.is_voided) {
-            const method = sale.payment_method || 'Unknown';
-            paymentMethods[method] = (paymentMethods[method] || 0) + parseFloat(sale.total_amount || 0);
-          }
+        Object.entries(refundSummary.byCategory).forEach(([category, amount]) => {
+          categorySales[category] = (categorySales[category] || 0) - amount;
         });
         
+        // Calculate payment methods - split-tender sales count towards each method used
+        const paymentMethods = summarizePaymentMethods(salesData.filter(sale => !sale.is_voided), refunds);
+        
         // Get top selling items
         const itemMap = {};
         salesData.forEach(sale => {
@@ -199,6 +219,13 @@ const SalesReport = ({
           }
         });
         
+        Object.entries(refundSummary.byItem).forEach(([itemId, refunded]) => {
+          if (itemMap[itemId]) {
+            itemMap[itemId].quantity -= refunded.quantity;
+            itemMap[itemId].revenue -= refunded.subtotal;
+          }
+        });
+        
         const topSellingItems = Object.values(itemMap)
           .sort((a, b) => b.revenue - a.revenue)
           .slice(0, 10);
@@ -206,6 +233,9 @@ const SalesReport = ({
         // Update report data state
         setReportData({
           totalSales,
+          totalRefunds: refundSummary.total,
+          refundCount: refundSummary.count,
+          prepTimes: prepTimes || null,
           totalTransactions,
           averageOrderValue,
           categorySales,
@@ -293,7 +323,7 @@ const SalesReport = ({
     };
     
     generateSalesReport();
-  }, [fetchSales, getSalesForecast, getProductAssociations, startDate, endDate, refreshKey]);
+  }, [fetchSales, fetchRefunds, getSalesForecast, getProductAssociations, startDate, endDate, refreshKey]);
 
   // Handle threshold changes for association rules
   const handleThresholdChange = useCallback((type, value) => {
@@ -350,6 +380,17 @@ const SalesReport = ({
     onExport('forecast', format);
   };
 
+  // Chart images for the PDF export, taken from the charts as drawn
+  const paymentChartRef = useRef(null);
+  const productTypeChartRef = useRef(null);
+
+  useImperativeHandle(ref, () => ({
+    getChartImages: () => [
+      captureChartImage(paymentChartRef.current, 'Sales by Payment Method'),
+      captureChartImage(productTypeChartRef.current, 'Product Type Breakdown')
+    ].filter(Boolean)
+  }), []);
+
   // Function to refresh charts
   const refreshCharts = () => {
     setShowRefreshIndicator(true);
@@ -508,6 +549,35 @@ const SalesReport = ({
           icon="chart"
         />
       </div>
+      
+      {reportData.refundCount > 0 && (
+        <p className="text-xs text-gray-500 -mt-3">
+          Sales are net of {reportData.refundCount} refund{reportData.refundCount === 1 ? '' : 's'} totalling ₱{reportData.totalRefunds.toFixed(2)}
+        </p>
+      )}
+
+      {reportData.prepTimes?.ticket_count > 0 && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 bg-white rounded-lg border border-[#571C1F]/10 p-4 text-sm">
+          <div>
+            <p className="text-gray-500">Orders Prepared</p>
+            <p className="text-lg font-medium text-[#571C1F]">{reportData.prepTimes.ticket_count}</p>
+          </div>
+          <div>
+            <p className="text-gray-500">Avg. Wait to Start</p>
+            <p className="text-lg font-medium text-[#571C1F]">{formatDuration(reportData.prepTimes.avg_wait_seconds)}</p>
+          </div>
+          <div>
+            <p className="text-gray-500">Avg. Prep Time</p>
+            <p className="text-lg font-medium text-[#571C1F]">{formatDuration(reportData.prepTimes.avg_prep_seconds)}</p>
+          </div>
+          <div>
+            <p className="text-gray-500">Avg. / Longest to Ready</p>
+            <p className="text-lg font-medium text-[#571C1F]">
+              {formatDuration(reportData.prepTimes.avg_total_seconds)} / {formatDuration(reportData.prepTimes.max_total_seconds)}
+            </p>
+          </div>
+        </div>
+      )}
 
       {/* ML Component - Sales Forecast */}
       {!loading && forecastData.dates.length > 0 && (
@@ -583,6 +653,7 @@ const SalesReport = ({
               key={`payment-chart-${refreshKey || 0}`}
               data={reportData.paymentMethods} 
               loading={loading} 
+              chartRef={paymentChartRef}
             />
           </div>
         </Card>
@@ -596,6 +667,7 @@ const SalesReport = ({
             <div className="flex-1 flex items-center justify-center">
               <ProductTypePieChart 
                 key={`product-type-chart-${refreshKey || 0}`}
+                chartRef={productTypeChartRef}
                 data={{
                   labels: ['In-house Products', 'Externally Sourced'],
                   datasets: [{
@@ -1226,6 +1298,14 @@ const SalesReport = ({
       </Card>
     </motion.div>
   );
+});
+
+SalesReport.displayName = 'SalesReport';
+
+SalesReport.propTypes = {
+  startDate: PropTypes.string,
+  endDate: PropTypes.string,
+  onExport: PropTypes.func
 };
 
 // Summary Card component for displaying financial metrics
@@ -1351,8 +1431,9 @@ const SummaryCard = ({ title, value, prefix = '', suffix = '', change = 0, chang
   );
 };
 
-const PaymentMethodsChart = ({ data, loading }) => {
-  const chartRef = useRef();
+const PaymentMethodsChart = ({ data, loading, chartRef: exportChartRef }) => {
+  const ownChartRef = useRef();
+  const chartRef = exportChartRef || ownChartRef;
   
   // More aggressive cleanup
   useEffect(() => {
@@ -1369,7 +1450,7 @@ const PaymentMethodsChart = ({ data, loading }) => {
         }
       }
     };
-  }, []);
+  }, [chartRef]);
 
   const chartOptions = {
     responsive: true,
@@ -1443,8 +1524,9 @@ const PaymentMethodsChart = ({ data, loading }) => {
 };
 
 // New component for Product Type Pie Chart
-const ProductTypePieChart = ({ data, loading }) => {
-  const chartRef = useRef();
+const ProductTypePieChart = ({ data, loading, chartRef: exportChartRef }) => {
+  const ownChartRef = useRef();
+  const chartRef = exportChartRef || ownChartRef;
   
   // Cleanup function
   useEffect(() => {
@@ -1459,7 +1541,7 @@ const ProductTypePieChart = ({ data, loading }) => {
         }
       }
     };
-  }, []);
+  }, [chartRef]);
 
   const chartOptions = {
     responsive: true,
@@ -1520,4 +1602,32 @@ const ProductTypePieChart = ({ data, loading }) => {
   );
 };
 
+SummaryCard.propTypes = {
+  title: PropTypes.string.isRequired,
+  value: PropTypes.number,
+  prefix: PropTypes.string,
+  suffix: PropTypes.string,
+  change: PropTypes.number,
+  changeType: PropTypes.oneOf(['positive', 'negative', 'neutral']),
+  icon: PropTypes.string,
+  bgColor: PropTypes.string,
+  iconColor: PropTypes.string,
+  valueColor: PropTypes.string,
+  hoverEffect: PropTypes.string
+};
+
+// Chart.js data ({ labels, datasets }) and a ref the export can read the
+// rendered chart from
+const chartPropTypes = {
+  data: PropTypes.shape({
+    labels: PropTypes.array,
+    datasets: PropTypes.array
+  }),
+  loading: PropTypes.bool,
+  chartRef: PropTypes.shape({ current: PropTypes.any })
+};
+
+PaymentMethodsChart.propTypes = chartPropTypes;
+ProductTypePieChart.propTypes = chartPropTypes;
+
 export default SalesReport;
\ No newline at end of file
@@ -6,62 +6,7 @@ import Modal from '../common/Modal';
 import { toast } from 'react-hot-toast';
 import { useStaff } from '../../hooks/useStaff';
 import Swal from 'sweetalert2';
-
-const permissionGroups = {
-  orders: [
-    { id: 'order.view', name: 'View Orders' },
-    { id: 'order.create', name: 'Create Orders' },
-    { id: 'order.edit', name: 'Edit Orders' },
-    { id: 'order.delete', name: 'Delete Orders' },
-    { id: 'order.void', name: 'Void Orders' },
-  ],
-  inventory: [
-    { id: 'inventory.view', name: 'View Inventory' },
-    { id: 'inventory.adjust', name: 'Adjust Inventory' },
-    { id: 'inventory.create', name: 'Create Items' },
-    { id: 'inventory.edit', name: 'Edit Items' },
-    { id: 'inventory.delete', name: 'Delete Items' },
-  ],
-  suppliers: [
-    { id: 'suppliers.view', name: 'View Suppliers' },
-    { id: 'suppliers.create', name: 'Create Suppliers' },
-    { id: 'suppliers.edit', name: 'Edit Suppliers' },
-    { id: 'suppliers.delete', name: 'Delete Suppliers' },
-    { id: 'suppliers.manage', name: 'Manage As Supplier' }, // Special permission for supplier accounts
-  ],
-  menu: [
-    { id: 'menu.view', name: 'View Menu' },
-    { id: 'menu.create', name: 'Create Menu Items' },
-    { id: 'menu.edit', name: 'Edit Menu Items' },
-    { id: 'menu.delete', name: 'Delete Menu Items' },
-    { id: 'menu.categories', name: 'Manage Categories' },
-  ],
-  staff: [
-    { id: 'staff.view', name: 'View Staff' },
-    { id: 'staff.create', name: 'Create Staff' },
-    { id: 'staff.edit', name: 'Edit Staff' },
-    { id: 'staff.delete', name: 'Delete Staff' },
-  ],
-  reports: [
-    { id: 'reports.view', name: 'View Reports' },
-    { id: 'reports.export', name: 'Export Reports' },
-    { id: 'reports.sales', name: 'Access Sales Reports' },
-    { id: 'reports.inventory', name: 'Access Inventory Reports' },
-    { id: 'reports.financial', name: 'Access Financial Reports' },
-  ],
-  settings: [
-    { id: 'settings.view', name: 'View Settings' },
-    { id: 'settings.edit', name: 'Edit Settings' },
-    { id: 'settings.advanced', name: 'Advanced Settings' },
-  ],
-  pullouts: [
-    { id: 'pullouts.view', name: 'View Pullouts' },
-    { id: 'pullouts.create', name: 'Create Pullouts' },
-    { id: 'pullouts.edit', name: 'Edit Pullouts' },
-    { id: 'pullouts.delete', name: 'Delete Pullouts' },
-    { id: 'pullouts.approve', name: 'Approve Pullouts' },
-  ],
-};
+import { PERMISSION_GROUPS, ROLE_DEFAULT_PERMISSIONS } from '../../services/constants';
 
 const RoleManager = () => {
   const { roles, loading, error, fetchRoles, createRole, updateRole, deleteRole } = useStaff();
@@ -117,7 +62,7 @@ const RoleManager = () => {
   };
 
   const handleSelectAllInGroup = (group, checked) => {
-    const groupPermissions = permissionGroups[group].map(p => p.id);
+    const groupPermissions = PERMISSION_GROUPS[group].map(p => p.id);
     
     setRoleForm(prev => {
       if (checked) {
@@ -175,13 +120,7 @@ const RoleManager = () => {
       const supplierRole = {
         name: 'Supplier',
         description: 'Account for supplier users with permissions to manage their inventory and deliveries',
-        permissions: [
-          'inventory.view',
-          'suppliers.view',
-          'suppliers.manage', // Special permission for suppliers to manage their own account
-          'reports.view',
-          'reports.inventory'
-        ]
+        permissions: ROLE_DEFAULT_PERMISSIONS.Supplier
       };
       
       await createRole(supplierRole);
@@ -228,12 +167,12 @@ const RoleManager = () => {
   };
 
   const isGroupChecked = (group) => {
-    const groupPermissions = permissionGroups[group].map(p => p.id);
+    const groupPermissions = PERMISSION_GROUPS[group].map(p => p.id);
     return groupPermissions.every(id => roleForm.permissions.includes(id));
   };
 
   const isGroupPartiallyChecked = (group) => {
-    const groupPermissions = permissionGroups[group].map(p => p.id);
+    const groupPermissions = PERMISSION_GROUPS[group].map(p => p.id);
     const intersection = groupPermissions.filter(id => roleForm.permissions.includes(id));
     return intersection.length > 0 && intersection.length < groupPermissions.length;
   };
@@ -347,8 +286,8 @@ const RoleManager = () => {
                 Permission Groups
               </h4>
               <div className="flex flex-wrap gap-2">
-                {Object.keys(permissionGroups).map(group => {
-                  const groupPermissions = permissionGroups[group].map(p => p.id);
+                {Object.keys(PERMISSION_GROUPS).map(group => {
+                  const groupPermissions = PERMISSION_GROUPS[group].map(p => p.id);
                   // Add null check with optional chaining and default to empty array if undefined
                   const permissions = role.permissions || [];
                   const granted = groupPermissions.some(id => permissions.includes(id));
@@ -460,7 +399,7 @@ const RoleManager = () => {
             <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-4">Permissions</h3>
             
             <div className="space-y-6">
-              {Object.entries(permissionGroups).map(([group, permissions]) => (
+              {Object.entries(PERMISSION_GROUPS).map(([group, permissions]) => (
                 <div key={group} className="bg-gray-50 dark:bg-dark rounded-md p-4 border border-gray-200 dark:border-gray-700">
                   <div className="flex items-center mb-3">
                     <div 
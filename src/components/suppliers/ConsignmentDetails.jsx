@@ -1,10 +1,18 @@
 // src/components/suppliers/ConsignmentDetails.jsx
 import React from 'react';
+import PropTypes from 'prop-types';
 import Button from '../common/Button';
 import { format } from 'date-fns';
 import { motion } from 'framer-motion';
+import ConsignmentPullouts from './ConsignmentPullouts';
+import { usePermissions } from '../../hooks/usePermissions';
+import { PERMISSIONS } from '../../services/constants';
 
 const ConsignmentDetails = ({ consignment, onEdit, onClose }) => {
+  const { hasPermission } = usePermissions();
+  const canRecordPullouts = hasPermission(PERMISSIONS.CONSIGNMENTS.EDIT) &&
+    consignment?.status?.toLowerCase() !== 'cancelled';
+
   // Updated the totalAmount calculation to use the total from DB
   const totalAmount = Number(consignment.total || 0);
 
@@ -172,7 +180,7 @@ const ConsignmentDetails = ({ consignment, onEdit, onClose }) => {
                   <td className="px-6 py-4 text-sm text-gray-900">
                     <div>
                       <div className="font-medium">{getItemName(item)}</div>
-                      {item.lotNumber && <div className="text-xs text-gray-500">Lot: {item.lotNumber}</div>}
+                      {item.lot_number && <div className="text-xs text-gray-500">Lot: {item.lot_number}</div>}
                     </div>
                   </td>
                   <td className="px-6 py-4 text-sm text-gray-900 text-center">
@@ -204,6 +212,21 @@ const ConsignmentDetails = ({ consignment, onEdit, onClose }) => {
         </div>
       </motion.div>
 
+      {/* Goods handed back to the supplier */}
+      <motion.div
+        initial={{ opacity: 0, y: 5 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: 0.35 }}
+      >
+        <ConsignmentPullouts
+          consignmentId={Number(consignment.consignment_id)}
+          items={(consignment.items || [])
+            .filter((item, index, all) => all.findIndex(other => other.item_id === item.item_id) === index)
+            .map(item => ({ item_id: Number(item.item_id), item_name: getItemName(item) }))}
+          canRecord={canRecordPullouts}
+        />
+      </motion.div>
+
       {/* Actions */}
       <motion.div 
         className="flex justify-end space-x-4 pt-4"
@@ -225,4 +248,26 @@ const ConsignmentDetails = ({ consignment, onEdit, onClose }) => {
   );
 };
 
+ConsignmentDetails.propTypes = {
+  consignment: PropTypes.shape({
+    consignment_id: PropTypes.number.isRequired,
+    supplier_id: PropTypes.number,
+    supplier_name: PropTypes.string,
+    invoice_number: PropTypes.string,
+    reference_number: PropTypes.string,
+    date: PropTypes.string,
+    status: PropTypes.string,
+    total: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    manager_id: PropTypes.number,
+    manager_name: PropTypes.string,
+    staff: PropTypes.shape({
+      first_name: PropTypes.string,
+      last_name: PropTypes.string
+    }),
+    items: PropTypes.arrayOf(PropTypes.object)
+  }).isRequired,
+  onEdit: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
 export default ConsignmentDetails;
\ No newline at end of file
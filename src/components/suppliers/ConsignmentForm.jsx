@@ -20,7 +20,7 @@ const consignmentSchema = Yup.object({
       quantity: Yup.number().positive('Quantity must be positive').required('Quantity is required'),
       supplier_price: Yup.number().min(0, 'Price cannot be negative').required('Supplier price is required'),
       production_date: Yup.date(),
-      // lotNumber is a UI-only field, no validation needed
+      lot_number: Yup.string()
     })
   ).min(1, 'At least one item is required')
 });
@@ -95,14 +95,14 @@ const ConsignmentForm = ({
         quantity: item.quantity?.toString() || '',
         supplier_price: item.supplier_price?.toString() || '',
         production_date: item.production_date || '',
-        lotNumber: item.lotNumber || ''
+        lot_number: item.lot_number || ''
       })) : [
         { 
           item_id: '', 
           quantity: '', 
           supplier_price: '', 
           production_date: '', 
-          lotNumber: '' 
+          lot_number: '' 
         }
       ]
     },
@@ -140,6 +140,7 @@ const ConsignmentForm = ({
             quantity: parseInt(item.quantity),
             supplier_price: parseFloat(item.supplier_price),
             production_date: item.production_date || null,
+            lot_number: item.lot_number?.trim() || null,
             usa_total: parseFloat(item.quantity) * parseFloat(item.supplier_price)
             // no created_at or updated_at here
           }))
@@ -174,7 +175,7 @@ const ConsignmentForm = ({
   const handleAddItem = () => {
     formik.setFieldValue('items', [
       ...formik.values.items,
-      { item_id: '', quantity: '', supplier_price: '', production_date: '', lotNumber: '' }
+      { item_id: '', quantity: '', supplier_price: '', production_date: '', lot_number: '' }
     ]);
   };
   
@@ -544,17 +545,17 @@ const ConsignmentForm = ({
                   
                   {/* Lot Number */}
                   <div>
-                    <label htmlFor={`items[${index}].lotNumber`} className="block text-sm font-medium text-[#571C1F] mb-1">
+                    <label htmlFor={`items[${index}].lot_number`} className="block text-sm font-medium text-[#571C1F] mb-1">
                       Lot Number
                     </label>
                     <input
-                      id={`items[${index}].lotNumber`}
-                      name={`items[${index}].lotNumber`}
+                      id={`items[${index}].lot_number`}
+                      name={`items[${index}].lot_number`}
                       type="text"
                       placeholder="Optional"
                       className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F]"
                       onChange={formik.handleChange}
-                      value={item.lotNumber || ''}
+                      value={item.lot_number || ''}
                     />
                   </div>
                   
@@ -0,0 +1,184 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { format } from 'date-fns';
+import Button from '../common/Button';
+import { Spinner } from '../common/Spinner';
+import { useSuppliers } from '../../hooks/useSuppliers';
+
+const inputClass = 'w-full px-2 py-1 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300 text-sm';
+
+const formatQuantity = (value) => Number(value || 0).toLocaleString('en-US', { maximumFractionDigits: 3 });
+
+const today = () => format(new Date(), 'yyyy-MM-dd');
+
+/**
+ * Goods from one consignment handed back to the supplier. They stop counting
+ * as on consignment from the day they were pulled out, so they are neither
+ * paid for nor carried into the next settlement.
+ */
+const ConsignmentPullouts = ({ consignmentId, items = [], canRecord = false }) => {
+  const { fetchConsignmentPullouts, recordConsignmentPullout } = useSuppliers();
+  const [pullouts, setPullouts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [itemId, setItemId] = useState('');
+  const [quantity, setQuantity] = useState('');
+  const [reason, setReason] = useState('');
+  const [pulledOutOn, setPulledOutOn] = useState(today());
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      setPullouts(await fetchConsignmentPullouts(consignmentId));
+    } catch {
+      // Logged by the hook; the section simply stays empty
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchConsignmentPullouts, consignmentId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const resetForm = () => {
+    setShowForm(false);
+    setItemId('');
+    setQuantity('');
+    setReason('');
+    setPulledOutOn(today());
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await recordConsignmentPullout(consignmentId, {
+        itemId,
+        quantity: parseFloat(quantity),
+        reason: reason.trim(),
+        pulledOutOn
+      });
+      resetForm();
+      await load();
+    } catch {
+      // Keep the pullout form filled in
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 shadow-sm overflow-hidden">
+      <div className="flex justify-between items-center p-4 bg-gray-50 border-b">
+        <h3 className="font-medium text-gray-800">Pulled Out</h3>
+        {canRecord && !showForm && (
+          <Button type="button" variant="outline" size="xs" onClick={() => setShowForm(true)}>
+            Record Pullout
+          </Button>
+        )}
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="p-4 grid grid-cols-1 md:grid-cols-4 gap-3 items-end border-b">
+          <div>
+            <label htmlFor="pullout_item" className="block text-xs font-medium text-gray-600 mb-1">Item</label>
+            <select
+              id="pullout_item"
+              className={inputClass}
+              value={itemId}
+              onChange={(e) => setItemId(e.target.value)}
+              required
+            >
+              <option value="">Select an item</option>
+              {items.map(item => (
+                <option key={item.item_id} value={item.item_id}>{item.item_name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="pullout_quantity" className="block text-xs font-medium text-gray-600 mb-1">Quantity</label>
+            <input
+              id="pullout_quantity"
+              type="number"
+              min="0"
+              step="any"
+              className={inputClass}
+              value={quantity}
+              onChange={(e) => setQuantity(e.target.value)}
+              required
+            />
+          </div>
+          <div>
+            <label htmlFor="pullout_date" className="block text-xs font-medium text-gray-600 mb-1">Pulled Out On</label>
+            <input
+              id="pullout_date"
+              type="date"
+              className={inputClass}
+              value={pulledOutOn}
+              max={today()}
+              onChange={(e) => setPulledOutOn(e.target.value)}
+              required
+            />
+          </div>
+          <div>
+            <label htmlFor="pullout_reason" className="block text-xs font-medium text-gray-600 mb-1">Reason</label>
+            <input
+              id="pullout_reason"
+              type="text"
+              className={inputClass}
+              placeholder="e.g. Expired, unsold"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              required
+            />
+          </div>
+          <div className="md:col-span-4 flex justify-end space-x-2">
+            <Button type="button" variant="outline" size="xs" onClick={resetForm} disabled={saving}>
+              Cancel
+            </Button>
+            <Button type="submit" size="xs" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Pullout'}
+            </Button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <Spinner size="sm" color="#571C1F" />
+        </div>
+      ) : pullouts.length === 0 ? (
+        <p className="p-4 text-sm text-gray-500">Nothing has been pulled out of this consignment.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {pullouts.map(pullout => (
+            <li key={pullout.consignment_pullout_id} className="px-4 py-2 flex justify-between gap-4 text-sm">
+              <div>
+                <p className="font-medium text-gray-900">
+                  {formatQuantity(pullout.quantity)} × {pullout.items?.item_name || 'Unknown Item'}
+                </p>
+                <p className="text-xs text-gray-500">{pullout.reason}</p>
+              </div>
+              <span className="text-xs text-gray-500 whitespace-nowrap">
+                {format(new Date(`${pullout.pulled_out_on}T00:00:00`), 'MMM dd, yyyy')}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+ConsignmentPullouts.propTypes = {
+  consignmentId: PropTypes.number.isRequired,
+  items: PropTypes.arrayOf(PropTypes.shape({
+    item_id: PropTypes.number,
+    item_name: PropTypes.string
+  })),
+  canRecord: PropTypes.bool
+};
+
+export default ConsignmentPullouts;
@@ -0,0 +1,154 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { format, addDays, subDays, parseISO } from 'date-fns';
+import Button from '../common/Button';
+import { useSuppliers } from '../../hooks/useSuppliers';
+
+const inputClass = 'w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300 text-sm';
+
+/**
+ * Start a draft settlement for one supplier. A supplier's settlements run
+ * back to back, so once one has been settled the next period starts the day
+ * after the last one ended.
+ */
+const ConsignmentSettlementForm = ({ suppliers = [], onCreated, onCancel }) => {
+  const { fetchConsignmentSettlements, createConsignmentSettlement } = useSuppliers();
+  const [settlements, setSettlements] = useState([]);
+  const [supplierId, setSupplierId] = useState('');
+  const [periodStart, setPeriodStart] = useState('');
+  const [periodEnd, setPeriodEnd] = useState(format(subDays(new Date(), 1), 'yyyy-MM-dd'));
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState(null);
+
+  useEffect(() => {
+    fetchConsignmentSettlements().then(setSettlements).catch(() => {
+      // Leave the start date for the user to pick
+    });
+  }, [fetchConsignmentSettlements]);
+
+  // Settlements come newest period first
+  const lastSettlement = settlements.find(settlement => settlement.supplier_id === Number(supplierId));
+
+  useEffect(() => {
+    setPeriodStart(lastSettlement ? format(addDays(parseISO(lastSettlement.period_end), 1), 'yyyy-MM-dd') : '');
+  }, [lastSettlement]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError(null);
+
+    if (!supplierId || !periodStart || !periodEnd) {
+      setFormError('Choose a supplier and the period to settle');
+      return;
+    }
+    if (periodEnd < periodStart) {
+      setFormError('The period cannot end before it starts');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const settlement = await createConsignmentSettlement({
+        supplierId,
+        periodStart,
+        periodEnd,
+        notes: notes.trim() || null
+      });
+      onCreated(settlement);
+    } catch {
+      // Keep the supplier and period filled in
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <label htmlFor="settlement_supplier" className="block text-sm font-medium text-gray-700 mb-1">Supplier</label>
+        <select
+          id="settlement_supplier"
+          className={inputClass}
+          value={supplierId}
+          onChange={(e) => setSupplierId(e.target.value)}
+        >
+          <option value="">Select a supplier</option>
+          {suppliers.map(supplier => (
+            <option key={supplier.supplier_id} value={supplier.supplier_id}>{supplier.company_name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="settlement_start" className="block text-sm font-medium text-gray-700 mb-1">From</label>
+          <input
+            id="settlement_start"
+            type="date"
+            className={`${inputClass} ${lastSettlement ? 'bg-gray-50' : ''}`}
+            value={periodStart}
+            readOnly={Boolean(lastSettlement)}
+            onChange={(e) => setPeriodStart(e.target.value)}
+          />
+        </div>
+        <div>
+          <label htmlFor="settlement_end" className="block text-sm font-medium text-gray-700 mb-1">To</label>
+          <input
+            id="settlement_end"
+            type="date"
+            className={inputClass}
+            value={periodEnd}
+            max={format(new Date(), 'yyyy-MM-dd')}
+            onChange={(e) => setPeriodEnd(e.target.value)}
+          />
+        </div>
+      </div>
+
+      {lastSettlement && (
+        <p className="text-xs text-gray-500">
+          Continues from the {lastSettlement.status} settlement that ended{' '}
+          {format(parseISO(lastSettlement.period_end), 'MMM dd, yyyy')}.
+        </p>
+      )}
+
+      <div>
+        <label htmlFor="settlement_notes" className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+        <textarea
+          id="settlement_notes"
+          rows={2}
+          className={inputClass}
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+        />
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Record any goods pulled out during the period on the consignment first; the draft can be discarded and
+        created again if something was missed.
+      </p>
+
+      {formError && <p className="text-sm text-red-600">{formError}</p>}
+
+      <div className="flex justify-end space-x-2 pt-2">
+        <Button type="button" variant="outline" size="sm" onClick={onCancel} disabled={saving}>
+          Cancel
+        </Button>
+        <Button type="submit" size="sm" disabled={saving}>
+          {saving ? 'Calculating...' : 'Create Draft'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+ConsignmentSettlementForm.propTypes = {
+  suppliers: PropTypes.arrayOf(PropTypes.shape({
+    supplier_id: PropTypes.number,
+    company_name: PropTypes.string
+  })),
+  onCreated: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default ConsignmentSettlementForm;
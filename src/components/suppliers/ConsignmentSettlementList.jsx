@@ -0,0 +1,172 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { format } from 'date-fns';
+import Modal from '../common/Modal';
+import { Spinner } from '../common/Spinner';
+import ConsignmentSettlementStatement from './ConsignmentSettlementStatement';
+import { useSuppliers } from '../../hooks/useSuppliers';
+
+const STATUS_CLASSES = {
+  draft: 'bg-gray-100 text-gray-700',
+  issued: 'bg-blue-100 text-blue-800',
+  acknowledged: 'bg-indigo-100 text-indigo-800',
+  paid: 'bg-green-100 text-green-800'
+};
+
+const formatCurrency = (amount) => new Intl.NumberFormat('en-PH', {
+  style: 'currency',
+  currency: 'PHP'
+}).format(amount || 0);
+
+const formatDate = (value) => (value ? format(new Date(`${value}T00:00:00`), 'MMM dd, yyyy') : '-');
+
+/**
+ * Consignment settlements by period. Supplier users only ever receive their
+ * own issued settlements, so the supplier filter is hidden for them.
+ */
+const ConsignmentSettlementList = ({ suppliers = [], canSettle = false, isSupplier = false, refreshKey = 0 }) => {
+  const { fetchConsignmentSettlements } = useSuppliers();
+  const [settlements, setSettlements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [supplierFilter, setSupplierFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      setSettlements(await fetchConsignmentSettlements());
+    } catch {
+      // Keep the rows already listed
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchConsignmentSettlements]);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  const filtered = useMemo(() => settlements.filter(settlement =>
+    (!supplierFilter || settlement.supplier_id === Number(supplierFilter)) &&
+    (!statusFilter || settlement.status === statusFilter)
+  ), [settlements, supplierFilter, statusFilter]);
+
+  const outstanding = useMemo(() => settlements
+    .filter(settlement => ['issued', 'acknowledged'].includes(settlement.status))
+    .reduce((total, settlement) => total + Number(settlement.payable_amount), 0), [settlements]);
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-[#571C1F]/10">
+      <div className="p-4 flex flex-wrap items-center justify-between gap-3 border-b border-[#571C1F]/10">
+        <div className="flex flex-wrap gap-3">
+          {!isSupplier && (
+            <select
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F]"
+              value={supplierFilter}
+              onChange={(e) => setSupplierFilter(e.target.value)}
+              aria-label="Filter by supplier"
+            >
+              <option value="">All Suppliers</option>
+              {suppliers.map(supplier => (
+                <option key={supplier.supplier_id} value={supplier.supplier_id}>{supplier.company_name}</option>
+              ))}
+            </select>
+          )}
+          <select
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F]"
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            aria-label="Filter by status"
+          >
+            <option value="">All Statuses</option>
+            {!isSupplier && <option value="draft">Draft</option>}
+            <option value="issued">Issued</option>
+            <option value="acknowledged">Acknowledged</option>
+            <option value="paid">Paid</option>
+          </select>
+        </div>
+        <p className="text-sm text-gray-600">
+          Awaiting payout: <span className="font-semibold text-[#571C1F]">{formatCurrency(outstanding)}</span>
+        </p>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <Spinner size="md" color="#571C1F" />
+        </div>
+      ) : filtered.length === 0 ? (
+        <p className="py-12 text-center text-sm text-gray-500">No consignment settlements found</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-[#FFF6F2]">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[#571C1F]/70 uppercase tracking-wider">Period</th>
+                {!isSupplier && (
+                  <th className="px-6 py-3 text-left text-xs font-medium text-[#571C1F]/70 uppercase tracking-wider">Supplier</th>
+                )}
+                <th className="px-6 py-3 text-right text-xs font-medium text-[#571C1F]/70 uppercase tracking-wider">Payable</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[#571C1F]/70 uppercase tracking-wider">Status</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-100">
+              {filtered.map(settlement => (
+                <tr
+                  key={settlement.settlement_id}
+                  className="hover:bg-[#FFF6F2]/60 cursor-pointer"
+                  onClick={() => setSelectedId(settlement.settlement_id)}
+                >
+                  <td className="px-6 py-4 text-sm text-gray-900 whitespace-nowrap">
+                    {formatDate(settlement.period_start)} – {formatDate(settlement.period_end)}
+                  </td>
+                  {!isSupplier && (
+                    <td className="px-6 py-4 text-sm text-gray-900">{settlement.supplier_name}</td>
+                  )}
+                  <td className="px-6 py-4 text-sm text-right font-medium text-[#571C1F]">
+                    {formatCurrency(settlement.payable_amount)}
+                  </td>
+                  <td className="px-6 py-4">
+                    <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full capitalize ${STATUS_CLASSES[settlement.status]}`}>
+                      {settlement.status}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <Modal
+        isOpen={selectedId !== null}
+        onClose={() => setSelectedId(null)}
+        title="Consignment Settlement"
+        size="4xl"
+      >
+        {selectedId !== null && (
+          <ConsignmentSettlementStatement
+            key={selectedId}
+            settlementId={selectedId}
+            canSettle={canSettle}
+            isSupplier={isSupplier}
+            onChanged={load}
+            onClose={() => setSelectedId(null)}
+          />
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+ConsignmentSettlementList.propTypes = {
+  suppliers: PropTypes.arrayOf(PropTypes.shape({
+    supplier_id: PropTypes.number,
+    company_name: PropTypes.string
+  })),
+  canSettle: PropTypes.bool,
+  isSupplier: PropTypes.bool,
+  refreshKey: PropTypes.number
+};
+
+export default ConsignmentSettlementList;
@@ -0,0 +1,322 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import Swal from 'sweetalert2';
+import { format } from 'date-fns';
+import Button from '../common/Button';
+import { Spinner } from '../common/Spinner';
+import { useSuppliers } from '../../hooks/useSuppliers';
+import { SUPPLIER_PAYMENT_METHODS } from '../../services/constants';
+
+const STATUS_CLASSES = {
+  draft: 'bg-gray-100 text-gray-700',
+  issued: 'bg-blue-100 text-blue-800',
+  acknowledged: 'bg-indigo-100 text-indigo-800',
+  paid: 'bg-green-100 text-green-800'
+};
+
+const inputClass = 'w-full px-2 py-1 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300 text-sm';
+
+const formatQuantity = (value) => Number(value || 0).toLocaleString('en-US', { maximumFractionDigits: 3 });
+
+const formatCurrency = (amount) => new Intl.NumberFormat('en-PH', {
+  style: 'currency',
+  currency: 'PHP'
+}).format(amount || 0);
+
+const formatDate = (value) => (value ? format(new Date(`${value}T00:00:00`), 'MMM dd, yyyy') : '-');
+
+const formatDateTime = (value) => (value ? format(new Date(value), 'MMM dd, yyyy h:mm a') : '-');
+
+/**
+ * Sell-through statement of one consignment settlement: what the supplier
+ * had on consignment, what sold and what they are owed. Staff issue drafts
+ * and record the payout; the supplier acknowledges issued statements.
+ */
+const ConsignmentSettlementStatement = ({ settlementId, canSettle = false, isSupplier = false, onChanged, onClose }) => {
+  const {
+    getConsignmentSettlement,
+    discardConsignmentSettlement,
+    issueConsignmentSettlement,
+    acknowledgeConsignmentSettlement,
+    recordConsignmentPayout
+  } = useSuppliers();
+  const [settlement, setSettlement] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [paymentMethod, setPaymentMethod] = useState(SUPPLIER_PAYMENT_METHODS[0].value);
+  const [paymentReference, setPaymentReference] = useState('');
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      setSettlement(await getConsignmentSettlement(settlementId));
+    } catch {
+      // Shows "Settlement not available" on a first load
+    } finally {
+      setLoading(false);
+    }
+  }, [getConsignmentSettlement, settlementId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Run a status change, then reload the statement and let the list know
+  const runAction = async (action) => {
+    setSaving(true);
+    try {
+      await action();
+      await load();
+      onChanged?.();
+    } catch {
+      // The settlement keeps its status
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleIssue = async () => {
+    const result = await Swal.fire({
+      title: 'Issue Settlement?',
+      text: 'The supplier will be able to see this statement and it can no longer be changed.',
+      icon: 'question',
+      showCancelButton: true,
+      confirmButtonColor: '#571C1F',
+      cancelButtonColor: '#6B7280',
+      confirmButtonText: 'Issue'
+    });
+    if (result.isConfirmed) {
+      runAction(() => issueConsignmentSettlement(settlementId));
+    }
+  };
+
+  const handleDiscard = async () => {
+    const result = await Swal.fire({
+      title: 'Discard Draft?',
+      text: 'The draft settlement will be deleted. The period can be settled again afterwards.',
+      icon: 'warning',
+      showCancelButton: true,
+      confirmButtonColor: '#571C1F',
+      cancelButtonColor: '#6B7280',
+      confirmButtonText: 'Discard'
+    });
+    if (!result.isConfirmed) return;
+
+    setSaving(true);
+    try {
+      await discardConsignmentSettlement(settlementId);
+      onChanged?.();
+      onClose();
+    } catch {
+      // The draft is still there
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAcknowledge = async () => {
+    const result = await Swal.fire({
+      title: 'Acknowledge Settlement',
+      text: 'Confirm the quantities and amount on this statement. Add any remarks for the store.',
+      input: 'textarea',
+      inputPlaceholder: 'Remarks (optional)',
+      showCancelButton: true,
+      confirmButtonColor: '#571C1F',
+      cancelButtonColor: '#6B7280',
+      confirmButtonText: 'Acknowledge'
+    });
+    if (result.isConfirmed) {
+      runAction(() => acknowledgeConsignmentSettlement(settlementId, result.value?.trim() || null));
+    }
+  };
+
+  const handlePayout = (e) => {
+    e.preventDefault();
+    runAction(() => recordConsignmentPayout(settlementId, {
+      paymentMethod,
+      paymentReference: paymentReference.trim() || null
+    }));
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Spinner size="lg" color="#571C1F" />
+      </div>
+    );
+  }
+
+  if (!settlement) {
+    return <p className="text-sm text-gray-500 py-6 text-center">Settlement not available</p>;
+  }
+
+  const lines = settlement.lines;
+  const unmatched = lines.filter(line => Number(line.unmatched_quantity) > 0);
+  const canPay = canSettle && ['issued', 'acknowledged'].includes(settlement.status);
+  const paymentLabel = SUPPLIER_PAYMENT_METHODS.find(m => m.value === settlement.payment_method)?.label || settlement.payment_method;
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-[#FFF6F2] rounded-lg p-4 border border-[#571C1F]/10 flex flex-wrap justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-semibold text-[#571C1F]">{settlement.supplier_name}</h2>
+          <p className="text-sm text-gray-600">
+            {formatDate(settlement.period_start)} – {formatDate(settlement.period_end)}
+          </p>
+          {settlement.notes && <p className="text-xs text-gray-500 mt-1">{settlement.notes}</p>}
+        </div>
+        <div className="text-right">
+          <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full capitalize ${STATUS_CLASSES[settlement.status]}`}>
+            {settlement.status}
+          </span>
+          <p className="text-xs text-gray-500 mt-2">Payable</p>
+          <p className="text-xl font-bold text-[#571C1F]">{formatCurrency(settlement.payable_amount)}</p>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto border border-[#571C1F]/10 rounded-lg">
+        <table className="min-w-full text-sm">
+          <thead className="bg-[#FFF6F2] text-xs text-[#571C1F]/70 text-left uppercase tracking-wider">
+            <tr>
+              <th className="px-3 py-2 font-medium">Item</th>
+              <th className="px-3 py-2 font-medium text-right">Opening</th>
+              <th className="px-3 py-2 font-medium text-right">Delivered</th>
+              <th className="px-3 py-2 font-medium text-right">Pulled Out</th>
+              <th className="px-3 py-2 font-medium text-right">Sold</th>
+              <th className="px-3 py-2 font-medium text-right">Settled</th>
+              <th className="px-3 py-2 font-medium text-right">Closing</th>
+              <th className="px-3 py-2 font-medium text-right">Amount</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {lines.map(line => (
+              <tr key={line.settlement_line_id}>
+                <td className="px-3 py-2 font-medium text-gray-900">{line.item_name}</td>
+                <td className="px-3 py-2 text-right">{formatQuantity(line.opening_quantity)}</td>
+                <td className="px-3 py-2 text-right">{formatQuantity(line.delivered_quantity)}</td>
+                <td className="px-3 py-2 text-right">{formatQuantity(line.pulled_out_quantity)}</td>
+                <td className="px-3 py-2 text-right">
+                  {formatQuantity(line.sold_quantity)}
+                  {Number(line.returned_quantity) > 0 && (
+                    <span className="block text-xs text-gray-500">{formatQuantity(line.returned_quantity)} returned</span>
+                  )}
+                </td>
+                <td className={`px-3 py-2 text-right font-medium ${Number(line.unmatched_quantity) > 0 ? 'text-amber-700' : ''}`}>
+                  {formatQuantity(line.settled_quantity)}
+                </td>
+                <td className="px-3 py-2 text-right">{formatQuantity(line.closing_quantity)}</td>
+                <td className="px-3 py-2 text-right text-[#571C1F] font-medium">{formatCurrency(line.amount)}</td>
+              </tr>
+            ))}
+            <tr className="bg-[#FFF6F2]">
+              <td colSpan="7" className="px-3 py-2 font-medium text-right">Total</td>
+              <td className="px-3 py-2 text-right font-bold text-[#571C1F]">{formatCurrency(settlement.payable_amount)}</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Sold is net of returns refunded during the period. Settled units are paid at the price of the delivery they
+        came from, oldest delivery first.
+      </p>
+
+      {unmatched.length > 0 && (
+        <div className="rounded-md border border-amber-200 bg-amber-50 p-3 text-sm text-amber-800">
+          More was sold than was on consignment for{' '}
+          {unmatched.map(line => `${line.item_name} (${formatQuantity(line.unmatched_quantity)})`).join(', ')}.
+          These units are not included in the amount payable; check for unrecorded deliveries.
+        </div>
+      )}
+
+      <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-1 text-xs text-gray-600">
+        <div className="flex justify-between"><dt>Prepared</dt><dd>{formatDateTime(settlement.created_at)}</dd></div>
+        {settlement.issued_at && (
+          <div className="flex justify-between"><dt>Issued</dt><dd>{formatDateTime(settlement.issued_at)}</dd></div>
+        )}
+        {settlement.acknowledged_at && (
+          <div className="flex justify-between"><dt>Acknowledged</dt><dd>{formatDateTime(settlement.acknowledged_at)}</dd></div>
+        )}
+        {settlement.paid_at && (
+          <div className="flex justify-between">
+            <dt>Paid</dt>
+            <dd>
+              {formatDateTime(settlement.paid_at)} · {paymentLabel}
+              {settlement.payment_reference && ` · ${settlement.payment_reference}`}
+            </dd>
+          </div>
+        )}
+      </dl>
+
+      {settlement.supplier_remarks && (
+        <div className="rounded-md border border-[#571C1F]/10 p-3 text-sm">
+          <p className="text-xs font-medium text-gray-500 mb-1">Supplier remarks</p>
+          <p className="text-gray-800">{settlement.supplier_remarks}</p>
+        </div>
+      )}
+
+      {canPay && (
+        <form onSubmit={handlePayout} className="grid grid-cols-1 md:grid-cols-3 gap-3 items-end border-t pt-4">
+          <div>
+            <label htmlFor="payout_method" className="block text-xs font-medium text-gray-600 mb-1">Paid By</label>
+            <select
+              id="payout_method"
+              className={inputClass}
+              value={paymentMethod}
+              onChange={(e) => setPaymentMethod(e.target.value)}
+            >
+              {SUPPLIER_PAYMENT_METHODS.map(method => (
+                <option key={method.value} value={method.value}>{method.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="payout_reference" className="block text-xs font-medium text-gray-600 mb-1">Reference</label>
+            <input
+              id="payout_reference"
+              type="text"
+              className={inputClass}
+              placeholder="Check or transfer no."
+              value={paymentReference}
+              onChange={(e) => setPaymentReference(e.target.value)}
+            />
+          </div>
+          <Button type="submit" variant="secondary" size="sm" disabled={saving}>
+            {saving ? 'Saving...' : 'Record Payout'}
+          </Button>
+        </form>
+      )}
+
+      <div className="flex justify-end space-x-2 pt-2">
+        <Button type="button" variant="outline" size="sm" onClick={onClose} disabled={saving}>
+          Close
+        </Button>
+        {canSettle && settlement.status === 'draft' && (
+          <>
+            <Button type="button" variant="danger" size="sm" onClick={handleDiscard} disabled={saving}>
+              Discard
+            </Button>
+            <Button type="button" size="sm" onClick={handleIssue} disabled={saving}>
+              Issue to Supplier
+            </Button>
+          </>
+        )}
+        {isSupplier && settlement.status === 'issued' && (
+          <Button type="button" size="sm" onClick={handleAcknowledge} disabled={saving}>
+            Acknowledge
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+ConsignmentSettlementStatement.propTypes = {
+  settlementId: PropTypes.number.isRequired,
+  canSettle: PropTypes.bool,
+  isSupplier: PropTypes.bool,
+  onChanged: PropTypes.func,
+  onClose: PropTypes.func.isRequired
+};
+
+export default ConsignmentSettlementStatement;
@@ -0,0 +1,294 @@
+import { useState, useEffect, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import Button from '../common/Button';
+import { Spinner } from '../common/Spinner';
+import { useSuppliers } from '../../hooks/useSuppliers';
+
+const inputClass = 'w-full px-2 py-1 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300 text-sm';
+
+const formatQuantity = (value) => Number(value || 0).toLocaleString('en-US', { maximumFractionDigits: 3 });
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+/**
+ * Record one delivery against a purchase order. Each order line starts at
+ * what is still outstanding; damaged and rejected quantities stay out of
+ * stock and, like any difference in quantity or price, are flagged for
+ * follow-up with the supplier.
+ */
+const GoodsReceiptForm = ({ purchaseOrder, onReceived, onCancel }) => {
+  const { fetchGoodsReceipts, receiveGoods } = useSuppliers();
+  const [accepted, setAccepted] = useState({});
+  const [lines, setLines] = useState([]);
+  const [deliveryReference, setDeliveryReference] = useState('');
+  const [notes, setNotes] = useState('');
+  const [closeOrder, setCloseOrder] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState(null);
+
+  const items = useMemo(
+    () => (purchaseOrder.items || []).filter(item => item.purchase_detail_id && item.ingredient_id),
+    [purchaseOrder.items]
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      setLoading(true);
+      try {
+        const { receipts } = await fetchGoodsReceipts(purchaseOrder.purchase_id);
+        const totals = {};
+        receipts.forEach(receipt => receipt.goods_receipt_lines.forEach(line => {
+          totals[line.purchase_detail_id] = (totals[line.purchase_detail_id] || 0) + Number(line.accepted_quantity);
+        }));
+        if (cancelled) return;
+        setAccepted(totals);
+        setLines(items.map(item => ({
+          purchase_detail_id: item.purchase_detail_id,
+          received_quantity: String(Math.max(Number(item.quantity) - (totals[item.purchase_detail_id] || 0), 0)),
+          damaged_quantity: '',
+          rejected_quantity: '',
+          unit_price: String(item.unit_price ?? ''),
+          lot_number: item.lot_number || '',
+          expiry_date: item.product_expiration_date || ''
+        })));
+      } catch {
+        // Nothing to receive against; Cancel and reopen to retry
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => { cancelled = true; };
+  }, [fetchGoodsReceipts, purchaseOrder.purchase_id, items]);
+
+  const updateLine = (index, field, value) => {
+    setLines(prev => prev.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError(null);
+
+    const delivered = lines.filter(line => toNumber(line.received_quantity) > 0);
+    if (delivered.length === 0) {
+      setFormError('Enter what was received');
+      return;
+    }
+
+    const overLimit = delivered.find(line =>
+      toNumber(line.damaged_quantity) + toNumber(line.rejected_quantity) > toNumber(line.received_quantity)
+    );
+    if (overLimit) {
+      const item = items.find(i => i.purchase_detail_id === overLimit.purchase_detail_id);
+      setFormError(`${item?.ingredient_name}: damaged and rejected cannot be more than was received`);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const { purchase } = await receiveGoods(purchaseOrder.purchase_id, {
+        lines: delivered.map(line => ({
+          purchase_detail_id: line.purchase_detail_id,
+          received_quantity: toNumber(line.received_quantity),
+          damaged_quantity: toNumber(line.damaged_quantity),
+          rejected_quantity: toNumber(line.rejected_quantity),
+          unit_price: line.unit_price === '' ? null : toNumber(line.unit_price),
+          lot_number: line.lot_number.trim() || null,
+          expiry_date: line.expiry_date || null
+        })),
+        deliveryReference: deliveryReference.trim() || null,
+        notes: notes.trim() || null,
+        close: closeOrder
+      });
+      onReceived(purchase);
+    } catch {
+      // Keep the quantities entered
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Spinner size="lg" color="#571C1F" />
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="delivery_reference" className="block text-xs font-medium text-gray-600 mb-1">
+            Delivery Receipt / Invoice No.
+          </label>
+          <input
+            id="delivery_reference"
+            type="text"
+            className={inputClass}
+            value={deliveryReference}
+            onChange={(e) => setDeliveryReference(e.target.value)}
+          />
+        </div>
+        <div>
+          <label htmlFor="receipt_notes" className="block text-xs font-medium text-gray-600 mb-1">Notes</label>
+          <input
+            id="receipt_notes"
+            type="text"
+            className={inputClass}
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+          />
+        </div>
+      </div>
+
+      <div className="overflow-x-auto border border-[#571C1F]/10 rounded-lg">
+        <table className="min-w-full text-sm">
+          <thead className="bg-[#FFF6F2] text-xs text-[#571C1F]/70 text-left uppercase tracking-wider">
+            <tr>
+              <th className="px-3 py-2 font-medium">Item</th>
+              <th className="px-3 py-2 font-medium text-right">Ordered</th>
+              <th className="px-3 py-2 font-medium text-right">Outstanding</th>
+              <th className="px-3 py-2 font-medium w-24">Received</th>
+              <th className="px-3 py-2 font-medium w-24">Damaged</th>
+              <th className="px-3 py-2 font-medium w-24">Rejected</th>
+              <th className="px-3 py-2 font-medium w-28">Unit Price</th>
+              <th className="px-3 py-2 font-medium w-28">Lot</th>
+              <th className="px-3 py-2 font-medium w-36">Expiry</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {items.map((item, index) => {
+              const line = lines[index];
+              const outstanding = Math.max(Number(item.quantity) - (accepted[item.purchase_detail_id] || 0), 0);
+              const priceChanged = line.unit_price !== '' && toNumber(line.unit_price) !== Number(item.unit_price);
+
+              return (
+                <tr key={item.purchase_detail_id}>
+                  <td className="px-3 py-2 font-medium text-gray-900">{item.ingredient_name}</td>
+                  <td className="px-3 py-2 text-right whitespace-nowrap">{formatQuantity(item.quantity)} {item.unit}</td>
+                  <td className={`px-3 py-2 text-right whitespace-nowrap ${outstanding === 0 ? 'text-gray-400' : ''}`}>
+                    {formatQuantity(outstanding)} {item.unit}
+                  </td>
+                  <td className="px-3 py-2">
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      className={inputClass}
+                      value={line.received_quantity}
+                      onChange={(e) => updateLine(index, 'received_quantity', e.target.value)}
+                      aria-label={`${item.ingredient_name} received`}
+                    />
+                  </td>
+                  <td className="px-3 py-2">
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      className={inputClass}
+                      value={line.damaged_quantity}
+                      onChange={(e) => updateLine(index, 'damaged_quantity', e.target.value)}
+                      aria-label={`${item.ingredient_name} damaged`}
+                    />
+                  </td>
+                  <td className="px-3 py-2">
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      className={inputClass}
+                      value={line.rejected_quantity}
+                      onChange={(e) => updateLine(index, 'rejected_quantity', e.target.value)}
+                      aria-label={`${item.ingredient_name} rejected`}
+                    />
+                  </td>
+                  <td className="px-3 py-2">
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      className={`${inputClass} ${priceChanged ? 'border-amber-400 bg-amber-50' : ''}`}
+                      value={line.unit_price}
+                      onChange={(e) => updateLine(index, 'unit_price', e.target.value)}
+                      aria-label={`${item.ingredient_name} unit price`}
+                    />
+                  </td>
+                  <td className="px-3 py-2">
+                    <input
+                      type="text"
+                      className={inputClass}
+                      value={line.lot_number}
+                      onChange={(e) => updateLine(index, 'lot_number', e.target.value)}
+                      aria-label={`${item.ingredient_name} lot number`}
+                    />
+                  </td>
+                  <td className="px-3 py-2">
+                    <input
+                      type="date"
+                      className={inputClass}
+                      value={line.expiry_date}
+                      onChange={(e) => updateLine(index, 'expiry_date', e.target.value)}
+                      aria-label={`${item.ingredient_name} expiry date`}
+                    />
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Only what is received and neither damaged nor rejected goes into stock. The order stays open for
+        further deliveries until every line has arrived in full or it is closed.
+      </p>
+
+      <label className="flex items-center text-sm text-gray-700">
+        <input
+          type="checkbox"
+          className="h-4 w-4 text-[#571C1F] border-gray-300 rounded mr-2"
+          checked={closeOrder}
+          onChange={(e) => setCloseOrder(e.target.checked)}
+        />
+        No more deliveries are expected; close the order and flag anything still outstanding as short
+      </label>
+
+      {formError && <p className="text-sm text-red-600">{formError}</p>}
+
+      <div className="flex justify-end space-x-2 pt-2">
+        <Button type="button" variant="outline" size="sm" onClick={onCancel} disabled={saving}>
+          Cancel
+        </Button>
+        <Button type="submit" variant="success" size="sm" disabled={saving || items.length === 0}>
+          {saving ? 'Receiving...' : 'Receive Delivery'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+GoodsReceiptForm.propTypes = {
+  purchaseOrder: PropTypes.shape({
+    purchase_id: PropTypes.number.isRequired,
+    items: PropTypes.arrayOf(PropTypes.shape({
+      purchase_detail_id: PropTypes.number,
+      ingredient_id: PropTypes.number,
+      ingredient_name: PropTypes.string,
+      quantity: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+      unit: PropTypes.string,
+      unit_price: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+      lot_number: PropTypes.string,
+      product_expiration_date: PropTypes.string
+    }))
+  }).isRequired,
+  onReceived: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default GoodsReceiptForm;
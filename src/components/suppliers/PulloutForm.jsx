@@ -1,12 +1,15 @@
 import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
+import PropTypes from 'prop-types';
 import Button from '../common/Button';
 import { useInventory } from '../../hooks/useInventory';
 import { useAuth } from '../../hooks/useAuth';
 import Swal from 'sweetalert2';
 import supabase from '../../services/supabase'; 
+import { expiredLotReason } from '../../utils/lot-utils';
 
-const PulloutForm = ({ pulloutId = null, ingredients = [], onSave = () => {}, onCancel = () => {}, currentUser = null }) => {
+// lot pre-fills a new pullout for the whole remaining quantity of that lot
+const PulloutForm = ({ pulloutId = null, ingredients = [], onSave = () => {}, onCancel = () => {}, currentUser = null, lot = null }) => {
   const { user } = useAuth();
   const { 
     ingredients: allIngredients, 
@@ -19,12 +22,13 @@ const PulloutForm = ({ pulloutId = null, ingredients = [], onSave = () => {}, on
   } = useInventory();
   
   const [form, setForm] = useState({
-    ingredient_id: '',
-    quantity: '',
-    reason: '',
+    ingredient_id: lot?.ingredient_id?.toString() || '',
+    quantity: lot?.quantity?.toString() || '',
+    reason: lot ? expiredLotReason(lot) : '',
     date_of_pullout: new Date().toISOString().split('T')[0],
     requested_by: user?.id || '',
-    approved_by: ''
+    approved_by: '',
+    lot_id: lot?.lot_id || null
   });
   
   const [loading, setLoading] = useState(false);
@@ -137,7 +141,12 @@ const PulloutForm = ({ pulloutId = null, ingredients = [], onSave = () => {}, on
 
   const handleChange = (e) => {
     const { name, value } = e.target;
-    setForm(prev => ({ ...prev, [name]: value }));
+    setForm(prev => ({
+      ...prev,
+      [name]: value,
+      // A lot belongs to one ingredient
+      ...(name === 'ingredient_id' && { lot_id: null })
+    }));
   };
 
   const validateForm = () => {
@@ -347,6 +356,11 @@ const PulloutForm = ({ pulloutId = null, ingredients = [], onSave = () => {}, on
                         <span className="font-medium">Original pullout quantity:</span> {originalQuantity} {selectedIngredient.unit}
                       </p>
                     )}
+                    {lot && form.lot_id === lot.lot_id && (
+                      <p className="mt-2 text-red-600">
+                        <span className="font-medium">Lot:</span> {lot.lot_number || 'Untracked'}, expired {lot.expiry_date}. Approval takes the stock from this lot first.
+                      </p>
+                    )}
                   </div>
                 </div>
               )}
@@ -479,4 +493,27 @@ const PulloutForm = ({ pulloutId = null, ingredients = [], onSave = () => {}, on
   );
 };
 
+PulloutForm.propTypes = {
+  pulloutId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  ingredients: PropTypes.arrayOf(PropTypes.shape({
+    ingredient_id: PropTypes.number.isRequired,
+    name: PropTypes.string,
+    quantity: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    unit: PropTypes.string
+  })),
+  onSave: PropTypes.func,
+  onCancel: PropTypes.func,
+  currentUser: PropTypes.shape({
+    id: PropTypes.string,
+    role: PropTypes.string
+  }),
+  lot: PropTypes.shape({
+    lot_id: PropTypes.number.isRequired,
+    ingredient_id: PropTypes.number.isRequired,
+    lot_number: PropTypes.string,
+    quantity: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    expiry_date: PropTypes.string
+  })
+};
+
 export default PulloutForm;
\ No newline at end of file
@@ -7,7 +7,6 @@ import { toast } from 'react-hot-toast';
 import { format } from 'date-fns';
 import Swal from 'sweetalert2'; // Add this import
 import PulloutForm from './PulloutForm';
-import { useAuth } from '../../hooks/useAuth';
 import { usePermissions } from '../../hooks/usePermissions';
 import { useInventory } from '../../hooks/useInventory';
 
@@ -94,8 +93,7 @@ const PulloutList = ({
   canManage = true,
   canApprovePullouts = false, // Add this prop
   useExternalModals = false,
-  onAdd,
-  currentUser = null
+  onAdd
 }) => {
   const [filteredPullouts, setFilteredPullouts] = useState([]);
   const [filters, setFilters] = useState({
@@ -117,8 +115,7 @@ const PulloutList = ({
   const [showApproveModal, setShowApproveModal] = useState(false);
   const [pulloutToApprove, setPulloutToApprove] = useState(null);
 
-  // Get the current user and permissions
-  const { user } = useAuth();
+  // Get the current permissions
   const { hasPermission } = usePermissions();
   const { approvePullout } = useInventory(); // Add this to get the approve function
   
@@ -335,10 +332,7 @@ const PulloutList = ({
     
     try {
       // Call the approvePullOut function - THIS WAS MISSING
-      await approvePullout(
-        pulloutToApprove.pullout_id, 
-        user?.id || currentUser?.id
-      );
+      await approvePullout(pulloutToApprove.pullout_id);
       
       toast.success('Pullout request approved successfully');
       setShowApproveModal(false);
@@ -0,0 +1,241 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import Swal from 'sweetalert2';
+import { format } from 'date-fns';
+import Button from '../common/Button';
+import { Spinner } from '../common/Spinner';
+import { useSupplierPortal } from '../../hooks/useSupplierPortal';
+
+// Orders a delivery can still be scheduled for
+const SCHEDULABLE_STATUSES = ['approved', 'accepted', 'partially_received'];
+
+const STATUS_CLASSES = {
+  proposed: 'bg-amber-100 text-amber-800',
+  confirmed: 'bg-green-100 text-green-800',
+  declined: 'bg-red-100 text-red-800',
+  superseded: 'bg-gray-100 text-gray-600'
+};
+
+const inputClass = 'w-full px-2 py-1 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300 text-sm';
+
+const today = () => format(new Date(), 'yyyy-MM-dd');
+
+const formatWindow = (proposal) => {
+  const time = (value) => format(new Date(`2000-01-01T${value}`), 'h:mm a');
+  return `${format(new Date(`${proposal.delivery_date}T00:00:00`), 'EEE, MMM dd, yyyy')} · ${time(proposal.window_start)} - ${time(proposal.window_end)}`;
+};
+
+/**
+ * When a purchase order will be delivered. The supplier proposes a date and
+ * time window, and staff who approve or receive orders confirm or decline it.
+ */
+const PurchaseDeliverySchedule = ({ purchaseId, status, isSupplier = false, canRespond = false }) => {
+  const { fetchDeliveryProposals, proposeDelivery, respondToDeliveryProposal } = useSupplierPortal();
+  const [proposals, setProposals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [deliveryDate, setDeliveryDate] = useState('');
+  const [windowStart, setWindowStart] = useState('08:00');
+  const [windowEnd, setWindowEnd] = useState('12:00');
+  const [notes, setNotes] = useState('');
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      setProposals(await fetchDeliveryProposals(purchaseId));
+    } catch {
+      // Keep the proposals already shown
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchDeliveryProposals, purchaseId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const canPropose = isSupplier && SCHEDULABLE_STATUSES.includes(status);
+  const confirmed = proposals.find(proposal => proposal.status === 'confirmed');
+
+  const handlePropose = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await proposeDelivery(purchaseId, {
+        deliveryDate,
+        windowStart,
+        windowEnd,
+        notes: notes.trim() || null
+      });
+      setDeliveryDate('');
+      setNotes('');
+      await load();
+    } catch {
+      // Keep the date, window and notes for another try
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRespond = async (proposal, confirm) => {
+    let note = null;
+    if (!confirm) {
+      const result = await Swal.fire({
+        title: 'Decline Delivery?',
+        text: 'Let the supplier know why, or when would suit instead',
+        input: 'text',
+        inputPlaceholder: 'Reason',
+        inputValidator: (value) => (!value?.trim() ? 'Give a reason' : undefined),
+        icon: 'warning',
+        showCancelButton: true,
+        confirmButtonColor: '#571C1F',
+        cancelButtonColor: '#6B7280',
+        confirmButtonText: 'Decline'
+      });
+      if (!result.isConfirmed) return;
+      note = result.value.trim();
+    }
+
+    setSaving(true);
+    try {
+      await respondToDeliveryProposal(proposal.proposal_id, confirm, note);
+      await load();
+    } catch {
+      // The proposal stays awaiting a reply
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-6">
+        <Spinner size="md" color="#571C1F" />
+      </div>
+    );
+  }
+
+  if (proposals.length === 0 && !canPropose) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg border border-[#571C1F]/10 p-4 shadow-sm">
+      <h4 className="text-lg font-medium text-[#571C1F] mb-3">Delivery Schedule</h4>
+
+      {confirmed ? (
+        <p className="mb-3 rounded-md bg-green-50 border border-green-200 px-3 py-2 text-sm text-green-800">
+          Delivery confirmed for <span className="font-medium">{formatWindow(confirmed)}</span>
+        </p>
+      ) : (
+        <p className="mb-3 text-sm text-gray-500">No delivery has been confirmed yet.</p>
+      )}
+
+      {proposals.length > 0 && (
+        <ul className="divide-y divide-[#571C1F]/10 mb-3">
+          {proposals.map(proposal => (
+            <li key={proposal.proposal_id} className="py-2 flex items-start justify-between gap-4 text-sm">
+              <div>
+                <p className={proposal.status === 'superseded' ? 'text-gray-400' : 'text-gray-900'}>
+                  {formatWindow(proposal)}
+                </p>
+                {proposal.notes && <p className="text-xs text-gray-500">{proposal.notes}</p>}
+                {proposal.response_note && (
+                  <p className="text-xs text-gray-500">Reply: {proposal.response_note}</p>
+                )}
+              </div>
+              <div className="shrink-0 flex items-center gap-2">
+                {proposal.status === 'proposed' && canRespond && (
+                  <>
+                    <button
+                      type="button"
+                      onClick={() => handleRespond(proposal, true)}
+                      disabled={saving}
+                      className="text-xs px-2 py-1 rounded border border-[#003B25]/30 text-[#003B25] hover:bg-green-50 disabled:opacity-50"
+                    >
+                      Confirm
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleRespond(proposal, false)}
+                      disabled={saving}
+                      className="text-xs px-2 py-1 rounded border border-[#571C1F]/30 text-[#571C1F] hover:bg-[#FFF6F2] disabled:opacity-50"
+                    >
+                      Decline
+                    </button>
+                  </>
+                )}
+                <span className={`px-2 py-0.5 text-xs font-semibold rounded-full capitalize ${STATUS_CLASSES[proposal.status]}`}>
+                  {proposal.status === 'proposed' ? 'Awaiting reply' : proposal.status}
+                </span>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canPropose && (
+        <form onSubmit={handlePropose} className="grid grid-cols-1 md:grid-cols-5 gap-3 items-end border-t border-[#571C1F]/10 pt-3">
+          <div>
+            <label htmlFor="delivery_date" className="block text-xs font-medium text-gray-600 mb-1">Delivery Date</label>
+            <input
+              id="delivery_date"
+              type="date"
+              className={inputClass}
+              value={deliveryDate}
+              min={today()}
+              onChange={(e) => setDeliveryDate(e.target.value)}
+              required
+            />
+          </div>
+          <div>
+            <label htmlFor="delivery_window_start" className="block text-xs font-medium text-gray-600 mb-1">From</label>
+            <input
+              id="delivery_window_start"
+              type="time"
+              className={inputClass}
+              value={windowStart}
+              onChange={(e) => setWindowStart(e.target.value)}
+              required
+            />
+          </div>
+          <div>
+            <label htmlFor="delivery_window_end" className="block text-xs font-medium text-gray-600 mb-1">Until</label>
+            <input
+              id="delivery_window_end"
+              type="time"
+              className={inputClass}
+              value={windowEnd}
+              min={windowStart}
+              onChange={(e) => setWindowEnd(e.target.value)}
+              required
+            />
+          </div>
+          <div>
+            <label htmlFor="delivery_notes" className="block text-xs font-medium text-gray-600 mb-1">Notes</label>
+            <input
+              id="delivery_notes"
+              type="text"
+              className={inputClass}
+              placeholder="Truck, driver, etc."
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+            />
+          </div>
+          <Button type="submit" variant="secondary" size="sm" disabled={saving}>
+            {saving ? 'Saving...' : confirmed ? 'Propose New Date' : 'Propose Delivery'}
+          </Button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+PurchaseDeliverySchedule.propTypes = {
+  purchaseId: PropTypes.number.isRequired,
+  status: PropTypes.string,
+  isSupplier: PropTypes.bool,
+  canRespond: PropTypes.bool
+};
+
+export default PurchaseDeliverySchedule;
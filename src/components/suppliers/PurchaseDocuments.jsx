@@ -0,0 +1,178 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { format } from 'date-fns';
+import Button from '../common/Button';
+import { Spinner } from '../common/Spinner';
+import { useSupplierPortal } from '../../hooks/useSupplierPortal';
+import { SUPPLIER_DOCUMENT_TYPES } from '../../services/constants';
+
+const MAX_FILE_MB = 10;
+
+const inputClass = 'w-full px-2 py-1 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300 text-sm';
+
+const typeLabel = (value) => SUPPLIER_DOCUMENT_TYPES.find(type => type.value === value)?.label || value;
+
+/**
+ * Delivery receipts and invoices attached to a purchase order, with a form
+ * for attaching another
+ */
+const PurchaseDocuments = ({ purchaseId, canUpload = false }) => {
+  const { fetchDocuments, uploadDocument } = useSupplierPortal();
+  const [documents, setDocuments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [documentType, setDocumentType] = useState(SUPPLIER_DOCUMENT_TYPES[0].value);
+  const [referenceNumber, setReferenceNumber] = useState('');
+  const [file, setFile] = useState(null);
+  const [fileError, setFileError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      setDocuments(await fetchDocuments(purchaseId));
+    } catch {
+      // Show no documents
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchDocuments, purchaseId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files?.[0] || null;
+    setFileError(null);
+    if (selected && selected.size > MAX_FILE_MB * 1024 * 1024) {
+      setFileError(`Files can be up to ${MAX_FILE_MB}MB`);
+      setFile(null);
+      e.target.value = '';
+      return;
+    }
+    setFile(selected);
+  };
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    if (!file) {
+      setFileError('Choose a file to upload');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const attached = await uploadDocument(purchaseId, {
+        file,
+        documentType,
+        referenceNumber: referenceNumber.trim() || null
+      });
+      setDocuments(prev => [attached, ...prev]);
+      setReferenceNumber('');
+      setFile(null);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+    } catch {
+      // Keep the chosen file and reference
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-6">
+        <Spinner size="md" color="#571C1F" />
+      </div>
+    );
+  }
+
+  if (documents.length === 0 && !canUpload) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg border border-[#571C1F]/10 p-4 shadow-sm">
+      <h4 className="text-lg font-medium text-[#571C1F] mb-3">Documents</h4>
+
+      {documents.length === 0 ? (
+        <p className="mb-3 text-sm text-gray-500">No delivery receipts or invoices attached yet.</p>
+      ) : (
+        <ul className="divide-y divide-[#571C1F]/10 mb-3">
+          {documents.map(doc => (
+            <li key={doc.document_id} className="py-2 flex items-center justify-between gap-4 text-sm">
+              <div>
+                <a
+                  href={doc.file_url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="font-medium text-[#571C1F] hover:underline"
+                >
+                  {doc.file_name}
+                </a>
+                <p className="text-xs text-gray-500">
+                  {typeLabel(doc.document_type)}
+                  {doc.reference_number && ` · ${doc.reference_number}`}
+                </p>
+              </div>
+              <span className="shrink-0 text-xs text-gray-500">
+                {format(new Date(doc.created_at), 'MMM dd, yyyy h:mm a')}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canUpload && (
+        <form onSubmit={handleUpload} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end border-t border-[#571C1F]/10 pt-3">
+          <div>
+            <label htmlFor="document_type" className="block text-xs font-medium text-gray-600 mb-1">Document</label>
+            <select
+              id="document_type"
+              className={inputClass}
+              value={documentType}
+              onChange={(e) => setDocumentType(e.target.value)}
+            >
+              {SUPPLIER_DOCUMENT_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="document_reference" className="block text-xs font-medium text-gray-600 mb-1">Reference</label>
+            <input
+              id="document_reference"
+              type="text"
+              className={inputClass}
+              placeholder="DR or invoice no."
+              value={referenceNumber}
+              onChange={(e) => setReferenceNumber(e.target.value)}
+            />
+          </div>
+          <div>
+            <label htmlFor="document_file" className="block text-xs font-medium text-gray-600 mb-1">File</label>
+            <input
+              id="document_file"
+              ref={fileInputRef}
+              type="file"
+              accept="application/pdf,image/*"
+              className="w-full text-xs text-gray-600"
+              onChange={handleFileChange}
+            />
+          </div>
+          <Button type="submit" variant="secondary" size="sm" disabled={saving || !file}>
+            {saving ? 'Uploading...' : 'Upload'}
+          </Button>
+          {fileError && <p className="md:col-span-4 text-xs text-red-600">{fileError}</p>}
+        </form>
+      )}
+    </div>
+  );
+};
+
+PurchaseDocuments.propTypes = {
+  purchaseId: PropTypes.number.isRequired,
+  canUpload: PropTypes.bool
+};
+
+export default PurchaseDocuments;
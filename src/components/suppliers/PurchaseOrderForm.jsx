@@ -7,6 +7,7 @@ import { useSuppliers } from '../../hooks/useSuppliers';
 import supabase from '../../services/supabase';
 import Swal from 'sweetalert2';
 import { UNITS } from '../../services/constants'; // Change from UNIT_OPTIONS to UNITS
+import { ingredientUnitOptions, defaultIngredientUnit, describeStockEquivalent } from '../../utils/unit-utils';
 
 const PurchaseOrderForm = ({ 
   purchaseId = null, 
@@ -16,7 +17,7 @@ const PurchaseOrderForm = ({
 }) => {
   const { user } = useAuth();
   const { ingredients, fetchIngredients, loading: ingredientsLoading } = useInventory();
-  const { getPurchaseOrder, loading: purchaseLoading } = useSuppliers();
+  const { getPurchaseOrder, updatePurchaseOrder, loading: purchaseLoading } = useSuppliers();
   
   const [isEdit, setIsEdit] = useState(false);
   const [form, setForm] = useState({
@@ -27,13 +28,17 @@ const PurchaseOrderForm = ({
   
   const [searchTerm, setSearchTerm] = useState('');
   const [orderItems, setOrderItems] = useState([
-    { ingredient_id: '', name: '', quantity: '', unit: '', unit_price: '', subtotal: 0 }
+    { ingredient_id: '', name: '', quantity: '', unit: '', unit_price: '', subtotal: 0, lot_number: '', product_expiration_date: '' }
   ]);
   
   const [loading, setLoading] = useState(false);
   const [totalAmount, setTotalAmount] = useState(0);
   const [purchaseData, setPurchaseData] = useState(null);
   const [supplierAssociations, setSupplierAssociations] = useState([]);
+
+  // Drafts come from reorder suggestions and are reviewed here before they
+  // are submitted as pending orders
+  const isDraft = purchaseData?.status === 'draft';
   
   // Filtered ingredients based on search term
   const filteredIngredients = useMemo(() => {
@@ -74,9 +79,11 @@ const PurchaseOrderForm = ({
             ingredient_id: item.ingredient_id,
             name: item.ingredient_name || '',
             quantity: item.quantity?.toString() || '',
-            unit: item.ingredient_unit || '',
+            unit: item.unit || item.ingredient_unit || '',
             unit_price: item.unit_price?.toString() || '',
-            subtotal: item.subtotal || 0
+            subtotal: item.subtotal || 0,
+            lot_number: item.lot_number || '',
+            product_expiration_date: item.product_expiration_date || ''
           })));
         }
       } catch (error) {
@@ -149,7 +156,7 @@ const PurchaseOrderForm = ({
       const selectedIngredient = ingredients.find(ing => ing.ingredient_id.toString() === value);
       if (selectedIngredient) {
         updatedItems[index].name = selectedIngredient.name;
-        updatedItems[index].unit = selectedIngredient.unit;
+        updatedItems[index].unit = defaultIngredientUnit(selectedIngredient, 'purchase');
         
         // If this ingredient is associated with the selected supplier, pre-fill the price
         const association = supplierAssociations.find(
@@ -178,7 +185,7 @@ const PurchaseOrderForm = ({
   const addOrderItem = () => {
     setOrderItems([
       ...orderItems,
-      { ingredient_id: '', name: '', quantity: '', unit: '', unit_price: '', subtotal: 0 }
+      { ingredient_id: '', name: '', quantity: '', unit: '', unit_price: '', subtotal: 0, lot_number: '', product_expiration_date: '' }
     ]);
   };
   
@@ -186,13 +193,15 @@ const PurchaseOrderForm = ({
     if (orderItems.length === 1) {
       // Keep at least one item
       setOrderItems([
-        { ingredient_id: '', name: '', quantity: '', unit: '', unit_price: '', subtotal: 0 }
+        { ingredient_id: '', name: '', quantity: '', unit: '', unit_price: '', subtotal: 0, lot_number: '', product_expiration_date: '' }
       ]);
     } else {
       setOrderItems(orderItems.filter((_, i) => i !== index));
     }
   };
   
+  const getIngredient = (id) => ingredients.find(ing => ing.ingredient_id.toString() === String(id));
+  
   const calculateItemTotal = (quantity, unit_price) => {
     const qty = parseFloat(quantity) || 0;
     const price = parseFloat(unit_price) || 0;
@@ -241,6 +250,7 @@ const PurchaseOrderForm = ({
   
   const handleSubmit = async (e) => {
     e.preventDefault();
+    const saveAsDraft = isDraft && e.nativeEvent?.submitter?.name === 'save_draft';
     
     const error = validateForm();
     if (error) {
@@ -272,15 +282,21 @@ const PurchaseOrderForm = ({
         created_by: form.created_by,
         supplier_id: parseInt(form.supplier_id),
         total_amount: parseFloat(totalAmount.toFixed(2)),
-        status: 'pending', // Always starts as pending
+        // Pending once submitted; a draft under review can be saved as it is
+        status: saveAsDraft ? 'draft' : 'pending',
         purchase_date: new Date().toISOString(), // Add purchase date
         
         // Purchase details items
         purchase_details: validItems.map(item => ({
           ingredient_id: parseInt(item.ingredient_id),
           quantity: parseFloat(item.quantity),
+          // Ordered in this unit; the server converts it to stock units on receipt
+          unit: item.unit || null,
           unit_price: parseFloat(parseFloat(item.unit_price).toFixed(2)),
-          subtotal: parseFloat(item.subtotal.toFixed(2))
+          subtotal: parseFloat(item.subtotal.toFixed(2)),
+          // Received stock is tracked under this lot and expiry
+          lot_number: item.lot_number.trim() || null,
+          product_expiration_date: item.product_expiration_date || null
         })),
         
         // Additional data
@@ -324,8 +340,11 @@ const PurchaseOrderForm = ({
               purchase_id: purchaseId,
               ingredient_id: parseInt(item.ingredient_id),
               quantity: parseFloat(item.quantity),
+              unit: item.unit || null,
               unit_price: parseFloat(parseFloat(item.unit_price).toFixed(2)),
-              subtotal: parseFloat(item.subtotal.toFixed(2))
+              subtotal: parseFloat(item.subtotal.toFixed(2)),
+              lot_number: item.lot_number.trim() || null,
+              product_expiration_date: item.product_expiration_date || null
             }));
             
             const { data: detailsData, error: detailsError } = await supabase
@@ -343,6 +362,18 @@ const PurchaseOrderForm = ({
         }
       }
       
+      // Save the changes to an existing order; a draft is dated when submitted
+      if (isEdit) {
+        await updatePurchaseOrder(purchaseId, {
+          supplier_id: purchaseData.supplier_id,
+          total_amount: purchaseData.total_amount,
+          status: purchaseData.status,
+          notes: purchaseData.notes,
+          purchase_details: purchaseData.purchase_details,
+          ...(isDraft && !saveAsDraft ? { purchase_date: purchaseData.purchase_date } : {})
+        });
+      }
+      
       // Submit to parent
       onSubmit(purchaseData, isEdit ? 'update' : 'create', purchaseId);
       
@@ -400,7 +431,11 @@ const PurchaseOrderForm = ({
       Swal.fire({
         icon: 'success',
         title: 'Success',
-        text: isEdit ? 'Purchase order updated successfully' : 'Purchase order created successfully',
+        text: saveAsDraft
+          ? 'Draft saved'
+          : isDraft
+            ? 'Purchase order submitted'
+            : isEdit ? 'Purchase order updated successfully' : 'Purchase order created successfully',
         timer: 2000,
         showConfirmButton: false
       });
@@ -444,7 +479,9 @@ const PurchaseOrderForm = ({
             </div>
             <div className="ml-3">
               <p className="text-sm text-blue-700">
-                {isEdit 
+                {isDraft
+                  ? "Suggested from recent usage. Check the quantities and prices, then submit the order or save it as a draft"
+                  : isEdit 
                   ? "Update purchase order details including items, quantities, and pricing" 
                   : "Create a new purchase order for ingredients from suppliers"
                 }
@@ -599,7 +636,7 @@ const PurchaseOrderForm = ({
                               onClick={() => {
                                 handleChangeItem(index, 'ingredient_id', ingredient.ingredient_id.toString());
                                 handleChangeItem(index, 'name', ingredient.name);
-                                handleChangeItem(index, 'unit', ingredient.unit);
+                                handleChangeItem(index, 'unit', defaultIngredientUnit(ingredient, 'purchase'));
                                 setSearchTerm('');
                                 
                                 // Check if this ingredient has a typical price from this supplier
@@ -647,6 +684,11 @@ const PurchaseOrderForm = ({
                       disabled={loading}
                       required
                     />
+                    {item.ingredient_id && (
+                      <p className="mt-1 text-xs text-gray-500">
+                        {describeStockEquivalent(item.quantity, getIngredient(item.ingredient_id), item.unit)}
+                      </p>
+                    )}
                   </div>
                   
                   {/* Unit */}
@@ -654,21 +696,35 @@ const PurchaseOrderForm = ({
                     <label htmlFor={`unit_${index}`} className="block text-sm font-medium text-[#571C1F] mb-1">
                       Unit
                     </label>
-                    <input
-                      type="text"
-                      id={`unit_${index}`}
-                      value={item.unit}
-                      onChange={e => handleChangeItem(index, 'unit', e.target.value)}
-                      className="w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300"
-                      disabled={loading || (item.ingredient_id && ingredients.some(ing => ing.ingredient_id.toString() === item.ingredient_id))}
-                      placeholder={item.ingredient_id ? "Auto-filled" : "Enter unit (e.g. kg, l, pcs)"}
-                    />
+                    {getIngredient(item.ingredient_id) ? (
+                      <select
+                        id={`unit_${index}`}
+                        value={item.unit}
+                        onChange={e => handleChangeItem(index, 'unit', e.target.value)}
+                        className="w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300"
+                        disabled={loading}
+                      >
+                        {ingredientUnitOptions(getIngredient(item.ingredient_id)).map(unit => (
+                          <option key={unit} value={unit}>{unit}</option>
+                        ))}
+                      </select>
+                    ) : (
+                      <input
+                        type="text"
+                        id={`unit_${index}`}
+                        value={item.unit}
+                        onChange={e => handleChangeItem(index, 'unit', e.target.value)}
+                        className="w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300"
+                        disabled={loading}
+                        placeholder="Enter unit (e.g. kg, l, pcs)"
+                      />
+                    )}
                   </div>
                   
                   {/* Price */}
                   <div>
                     <label htmlFor={`unit_price_${index}`} className="block text-sm font-medium text-[#571C1F] mb-1">
-                      Unit Price (₱)
+                      Unit Price (₱{item.unit ? ` per ${item.unit}` : ''})
                     </label>
                     <div className="relative">
                       <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
@@ -695,6 +751,39 @@ const PurchaseOrderForm = ({
                     </span>
                   </div>
                 </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-6 gap-4 mt-4">
+                  {/* Lot */}
+                  <div className="md:col-span-2">
+                    <label htmlFor={`lot_number_${index}`} className="block text-sm font-medium text-[#571C1F] mb-1">
+                      Lot Number
+                    </label>
+                    <input
+                      id={`lot_number_${index}`}
+                      type="text"
+                      value={item.lot_number}
+                      onChange={e => handleChangeItem(index, 'lot_number', e.target.value)}
+                      className="w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300"
+                      disabled={loading}
+                      placeholder="As printed on the delivery"
+                    />
+                  </div>
+
+                  {/* Expiry */}
+                  <div className="md:col-span-2">
+                    <label htmlFor={`expiry_${index}`} className="block text-sm font-medium text-[#571C1F] mb-1">
+                      Expiry Date
+                    </label>
+                    <input
+                      id={`expiry_${index}`}
+                      type="date"
+                      value={item.product_expiration_date}
+                      onChange={e => handleChangeItem(index, 'product_expiration_date', e.target.value)}
+                      className="w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300"
+                      disabled={loading}
+                    />
+                  </div>
+                </div>
               </motion.div>
             ))}
           </motion.div>
@@ -727,6 +816,16 @@ const PurchaseOrderForm = ({
             >
               Cancel
             </Button>
+            {isDraft && (
+              <Button
+                type="submit"
+                name="save_draft"
+                variant="outline"
+                disabled={loading || ingredientsLoading}
+              >
+                Save Draft
+              </Button>
+            )}
             <Button
               type="submit"
               variant="primary"
@@ -741,7 +840,7 @@ const PurchaseOrderForm = ({
                   Saving...
                 </span>
               ) : (
-                isEdit ? 'Update Purchase Order' : 'Create Purchase Order'
+                isDraft ? 'Submit Purchase Order' : isEdit ? 'Update Purchase Order' : 'Create Purchase Order'
               )}
             </Button>
           </motion.div>
@@ -1,15 +1,22 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import Button from '../common/Button';
 import Card from '../common/Card';
 import Modal from '../common/Modal';
 import { toast } from 'react-hot-toast';
 import { format } from 'date-fns';
+import Swal from 'sweetalert2';
 import { useInventory } from '../../hooks/useInventory';
 import { useSuppliers } from '../../hooks/useSuppliers';
-import { useAuth } from '../../hooks/useAuth';
+import { usePermissions } from '../../hooks/usePermissions';
+import { PERMISSIONS } from '../../services/constants';
+import GoodsReceiptForm from './GoodsReceiptForm';
+import PurchaseReceipts from './PurchaseReceipts';
+import PurchaseDeliverySchedule from './PurchaseDeliverySchedule';
+import PurchaseDocuments from './PurchaseDocuments';
 import placeholderImage from '../../assets/placeholder-image2.png';
 import ImageWithFallback from '../common/ImageWithFallback';
+import { describeUnitFactor } from '../../utils/unit-utils';
 
 // Filter component for purchase orders list
 const PurchaseOrderFilters = ({ filters, setFilters, suppliers }) => {
@@ -74,8 +81,10 @@ const PurchaseOrderFilters = ({ filters, setFilters, suppliers }) => {
         style={{ height: '42px' }}
       >
         <option value="">All Statuses</option>
+        <option value="draft">Draft</option>
         <option value="pending">Pending</option>
         <option value="approved">Approved</option>
+        <option value="partially_received">Partially Received</option>
         <option value="completed">Completed</option>
         <option value="rejected">Rejected</option>
         <option value="cancelled">Cancelled</option>
@@ -93,8 +102,9 @@ const PurchaseOrderList = ({
   onAdd,
   loading: externalLoading
 }) => {
-  // Add the user from auth context
-  const { user } = useAuth();
+  const { hasPermission, isPortalUser: isSupplier } = usePermissions();
+  const canReceive = hasPermission(PERMISSIONS.PURCHASES.RECEIVE);
+  const canResolveDiscrepancies = canReceive || hasPermission(PERMISSIONS.PURCHASES.APPROVE);
 
   // Add the acceptPurchaseOrder and rejectPurchaseOrder to the destructuring
   const { 
@@ -105,8 +115,12 @@ const PurchaseOrderList = ({
     fetchPurchaseOrders, 
     deletePurchaseOrder,
     markPurchaseReceived,
+    closePurchaseReceiving,
+    fetchOpenDiscrepancies,
     approvePurchaseOrder,
-    cancelPurchaseOrder
+    cancelPurchaseOrder,
+    acceptPurchaseOrder,
+    rejectPurchaseOrder
   } = useSuppliers();
   
   const [filteredPurchaseOrders, setFilteredPurchaseOrders] = useState([]);
@@ -126,6 +140,11 @@ const PurchaseOrderList = ({
   const [confirmDelete, setConfirmDelete] = useState(false);
   const [purchaseOrderToDelete, setPurchaseOrderToDelete] = useState(null);
   const [processing, setProcessing] = useState(false);
+  const [showReceiveModal, setShowReceiveModal] = useState(false);
+  // Bumped after each delivery so the receipts in the details modal reload
+  const [receiptsVersion, setReceiptsVersion] = useState(0);
+  // Open discrepancy count by purchase_id
+  const [openDiscrepancies, setOpenDiscrepancies] = useState({});
   
   // Loading state control - combine all loading sources
   const isLoading = suppliersLoading || externalLoading || processing;
@@ -135,6 +154,23 @@ const PurchaseOrderList = ({
     fetchPurchaseOrders();
   }, [fetchPurchaseOrders]);
 
+  // Orders with deliveries still to take up with the supplier
+  const loadOpenDiscrepancies = useCallback(async () => {
+    try {
+      const rows = await fetchOpenDiscrepancies();
+      setOpenDiscrepancies(rows.reduce((counts, row) => ({
+        ...counts,
+        [row.purchase_id]: (counts[row.purchase_id] || 0) + 1
+      }), {}));
+    } catch {
+      // Only the flags are missing
+    }
+  }, [fetchOpenDiscrepancies]);
+
+  useEffect(() => {
+    loadOpenDiscrepancies();
+  }, [loadOpenDiscrepancies]);
+
   // Apply filters and sorting to purchase orders list - keep existing logic
   useEffect(() => {
     if (!purchaseOrders) {
@@ -297,6 +333,7 @@ const PurchaseOrderList = ({
       setShowDetailsModal(false);
       // Refresh purchase orders list
       fetchPurchaseOrders();
+      loadOpenDiscrepancies();
     } catch (err) {
       console.error('Error marking purchase order as received:', err);
       toast.error(`Failed to mark as received: ${err.message}`);
@@ -305,6 +342,47 @@ const PurchaseOrderList = ({
     }
   };
 
+  // Back to the order details, which the receipt form replaced
+  const handleReceiveClose = () => {
+    setShowReceiveModal(false);
+    setShowDetailsModal(true);
+  };
+
+  // A delivery was recorded; the order may now be partially received or closed
+  const handleDeliveryReceived = (purchase) => {
+    setCurrentPurchaseOrder(prev => (prev ? { ...prev, ...purchase } : prev));
+    handleReceiveClose();
+    fetchPurchaseOrders();
+    loadOpenDiscrepancies();
+  };
+
+  // Stop receiving a partially received order
+  const handleCloseReceiving = async (purchaseId) => {
+    const result = await Swal.fire({
+      title: 'Close Order?',
+      text: 'No further deliveries will be received. Anything still outstanding is flagged as short.',
+      icon: 'warning',
+      showCancelButton: true,
+      confirmButtonColor: '#571C1F',
+      cancelButtonColor: '#6B7280',
+      confirmButtonText: 'Close Order'
+    });
+
+    if (!result.isConfirmed) return;
+
+    setProcessing(true);
+    try {
+      const purchase = await closePurchaseReceiving(purchaseId);
+      setCurrentPurchaseOrder(prev => (prev ? { ...prev, ...purchase } : prev));
+      setReceiptsVersion(version => version + 1);
+      loadOpenDiscrepancies();
+    } catch {
+      // Receiving stays open
+    } finally {
+      setProcessing(false);
+    }
+  };
+
   // Handle approve purchase order
   const handleApproveOrder = async (purchaseId) => {
     setProcessing(true);
@@ -326,52 +404,14 @@ const PurchaseOrderList = ({
   const handleAcceptOrder = async (purchaseId) => {
     setProcessing(true);
     try {
-      // Import supabase at the top of the file if not already there
-      // import supabase from '../../services/supabase';
-      
-      const { data: purchase } = await supabase
-        .from('purchase')
-        .select('*')
-        .eq('purchase_id', purchaseId)
-        .single();
-        
-      if (!purchase) {
-        throw new Error('Purchase order not found');
-      }
-      
-      if (purchase.status !== 'approved') {
-        throw new Error('Only approved purchase orders can be accepted');
-      }
-      
-      const { error: updateError } = await supabase
-        .from('purchase')
-        .update({ 
-          status: 'accepted',
-          updated_at: new Date().toISOString() 
-        })
-        .eq('purchase_id', purchaseId);
-      
-      if (updateError) throw updateError;
-      
-      // Notify staff that created the purchase order
-      if (purchase.created_by) {
-        await supabase.rpc('create_notification', {
-          p_user_id: purchase.created_by,
-          p_title: 'Purchase Order Accepted',
-          p_message: `Purchase order #${purchaseId} has been accepted by supplier`,
-          p_link: `/suppliers?tab=purchase-orders&id=${purchaseId}`
-        });
-      }
-      
-      toast.success('Purchase order accepted');
+      await acceptPurchaseOrder(purchaseId);
       fetchPurchaseOrders();
       
       if (showDetailsModal) {
         setShowDetailsModal(false);
       }
-    } catch (err) {
-      console.error('Error accepting purchase order:', err);
-      toast.error(`Failed to accept order: ${err.message}`);
+    } catch {
+      // The order stays pending with its details open
     } finally {
       setProcessing(false);
     }
@@ -381,14 +421,11 @@ const PurchaseOrderList = ({
   const handleRejectOrder = async (purchaseId, reason) => {
     setProcessing(true);
     try {
-      // Call the rejectPurchaseOrder method from useSuppliers
-      await rejectPurchaseOrder(purchaseId, user?.supplier_id, reason);
-      toast.success('Purchase order rejected');
+      await rejectPurchaseOrder(purchaseId, reason);
       // Refresh purchase orders list
       fetchPurchaseOrders();
-    } catch (err) {
-      console.error('Error rejecting purchase order:', err);
-      toast.error(`Failed to reject order: ${err.message}`);
+    } catch {
+      // The order stays pending
     } finally {
       setProcessing(false);
     }
@@ -412,15 +449,25 @@ const PurchaseOrderList = ({
     }).format(amount || 0);
   };
 
+  // Status as shown, e.g. "Partially Received"
+  const formatStatus = (status) => (status || 'pending')
+    .split('_')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+
   // Get status badge color
   const getStatusBadgeColor = (status) => {
     switch (status?.toLowerCase()) {
       case 'completed':
         return 'bg-[#003B25]/10 border border-[#003B25]/20 text-[#003B25]';
+      case 'draft':
+        return 'bg-gray-100 border border-gray-300 text-gray-700 dark:bg-gray-700 dark:text-gray-300';
       case 'pending':
         return 'bg-amber-100 border border-amber-200 text-amber-800 dark:bg-amber-900/30 dark:text-amber-300';
       case 'approved':
         return 'bg-blue-100 border border-blue-200 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300';
+      case 'partially_received':
+        return 'bg-indigo-100 border border-indigo-200 text-indigo-800 dark:bg-indigo-900/30 dark:text-indigo-300';
       case 'rejected':
       case 'cancelled':
         return 'bg-[#571C1F]/10 border border-[#571C1F]/20 text-[#571C1F]';
@@ -619,10 +666,22 @@ const PurchaseOrderList = ({
                                 ? 'bg-amber-500'
                                 : (po.status || 'pending') === 'approved'
                                   ? 'bg-blue-500'
-                                  : 'bg-[#571C1F]'
+                                  : po.status === 'partially_received'
+                                    ? 'bg-indigo-500'
+                                    : po.status === 'draft'
+                                    ? 'bg-gray-400'
+                                    : 'bg-[#571C1F]'
                           } rounded-full mr-1`}></span>
-                          {(po.status || 'pending').charAt(0).toUpperCase() + (po.status || 'pending').slice(1)}
+                          {formatStatus(po.status)}
                         </span>
+                        {openDiscrepancies[po.purchase_id] > 0 && (
+                          <span
+                            className="block mt-1 text-xs text-amber-700"
+                            title="Delivery discrepancies to follow up with the supplier"
+                          >
+                            {openDiscrepancies[po.purchase_id]} to follow up
+                          </span>
+                        )}
                       </td>
                       <td className="px-6 py-4 text-right text-sm font-medium whitespace-nowrap">
                         <div className="flex justify-end space-x-2" onClick={e => e.stopPropagation()}>
@@ -658,6 +717,36 @@ const PurchaseOrderList = ({
                             </motion.button>
                           )}
                           
+                          {/* Drafts from reorder suggestions are reviewed in the order form, or discarded */}
+                          {po.status === 'draft' && (
+                            <>
+                              <motion.button
+                                whileHover={{ scale: 1.05, y: -1 }}
+                                whileTap={{ scale: 0.95 }}
+                                onClick={() => onEdit(po.purchase_id)}
+                                className="p-1.5 text-[#003B25] hover:text-[#003B25] hover:bg-[#003B25]/10 rounded-full transition"
+                                aria-label="Review draft purchase order"
+                                title="Review and submit"
+                              >
+                                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                                </svg>
+                              </motion.button>
+                              <motion.button
+                                whileHover={{ scale: 1.05, y: -1 }}
+                                whileTap={{ scale: 0.95 }}
+                                onClick={() => onDelete(po.purchase_id)}
+                                className="p-1.5 text-[#571C1F] hover:text-[#571C1F] hover:bg-[#571C1F]/10 rounded-full transition"
+                                aria-label="Discard draft purchase order"
+                                title="Discard draft"
+                              >
+                                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                                </svg>
+                              </motion.button>
+                            </>
+                          )}
+                          
                           {/* Cancel button - only for pending and approved purchase orders */}
                           {(po.status === 'pending' || po.status === 'approved') && (
                             <motion.button
@@ -742,9 +831,11 @@ const PurchaseOrderList = ({
                             ? 'bg-amber-500'
                             : currentPurchaseOrder.status === 'approved'
                               ? 'bg-blue-500'
-                              : 'bg-[#571C1F]'
+                              : currentPurchaseOrder.status === 'partially_received'
+                                ? 'bg-indigo-500'
+                                : 'bg-[#571C1F]'
                       } rounded-full mr-1`}></span>
-                      {currentPurchaseOrder.status.charAt(0).toUpperCase() + currentPurchaseOrder.status.slice(1)}
+                      {formatStatus(currentPurchaseOrder.status)}
                     </span>
                   </div>
                 </div>
@@ -804,7 +895,12 @@ const PurchaseOrderList = ({
                             {item.quantity}
                           </td>
                           <td className="px-4 py-3 text-sm text-gray-900 font-medium text-center">
-                            {item.ingredient_unit}
+                            {item.unit}
+                            {item.unit !== item.ingredient_unit && (
+                              <span className="block text-xs font-normal text-gray-500">
+                                {describeUnitFactor(item.unit, item.unit_factor, item.ingredient_unit)}
+                              </span>
+                            )}
                           </td>
                           <td className="px-4 py-3 text-sm text-gray-900 font-medium text-right">
                             {formatCurrency(item.unit_price)}
@@ -830,6 +926,26 @@ const PurchaseOrderList = ({
               </div>
             </div>
             
+            <PurchaseReceipts
+              purchaseId={currentPurchaseOrder.purchase_id}
+              canResolve={canResolveDiscrepancies}
+              refreshKey={receiptsVersion}
+              onResolved={loadOpenDiscrepancies}
+            />
+            
+            <PurchaseDeliverySchedule
+              purchaseId={currentPurchaseOrder.purchase_id}
+              status={currentPurchaseOrder.status}
+              isSupplier={isSupplier}
+              canRespond={canResolveDiscrepancies}
+            />
+            
+            {/* Suppliers attach their delivery receipts and invoices; receivers can too */}
+            <PurchaseDocuments
+              purchaseId={currentPurchaseOrder.purchase_id}
+              canUpload={(isSupplier || canReceive) && !['draft', 'pending'].includes(currentPurchaseOrder.status)}
+            />
+            
             {/* Notes Section - only show if there are notes */}
             {currentPurchaseOrder.notes && (
               <div className="pt-4 border-t border-[#571C1F]/10">
@@ -842,10 +958,34 @@ const PurchaseOrderList = ({
             
             {/* Actions Section */}
             <div className="pt-4 border-t border-[#571C1F]/10 flex justify-end space-x-3">
-              {/* Only allow marking as received for approved purchase orders */}
-              {currentPurchaseOrder.status === 'approved' && canManageSuppliers && (
+              {/* Deliveries are received against approved orders until closed */}
+              {['approved', 'accepted', 'partially_received'].includes(currentPurchaseOrder.status) && canReceive && (
+                <Button
+                  variant="success"
+                  onClick={() => {
+                    setShowDetailsModal(false);
+                    setShowReceiveModal(true);
+                  }}
+                  disabled={processing}
+                >
+                  Receive Delivery
+                </Button>
+              )}
+
+              {currentPurchaseOrder.status === 'partially_received' && canReceive && (
+                <Button
+                  variant="outline"
+                  onClick={() => handleCloseReceiving(currentPurchaseOrder.purchase_id)}
+                  disabled={processing}
+                >
+                  Close Order
+                </Button>
+              )}
+
+              {/* Everything arrived as ordered in a single delivery */}
+              {['approved', 'accepted'].includes(currentPurchaseOrder.status) && canReceive && (
                 <Button 
-                  variant="success" 
+                  variant="outline" 
                   onClick={() => handleMarkReceived(currentPurchaseOrder.purchase_id)}
                   disabled={processing}
                 >
@@ -858,13 +998,13 @@ const PurchaseOrderList = ({
                       Processing...
                     </span>
                   ) : (
-                    <>Mark as Received</>
+                    <>Receive in Full</>
                   )}
                 </Button>
               )}
               
               {/* Supplier Actions Section - only show for suppliers viewing approved orders */}
-              {currentPurchaseOrder.status === 'approved' && user?.role === 'Supplier' && (
+              {currentPurchaseOrder.status === 'approved' && isSupplier && (
                 <>
                   <Button 
                     variant="success" 
@@ -931,6 +1071,22 @@ const PurchaseOrderList = ({
         </Modal>
       )}
       
+      {/* Goods Receipt Modal */}
+      {showReceiveModal && currentPurchaseOrder && (
+        <Modal
+          isOpen={showReceiveModal}
+          onClose={handleReceiveClose}
+          title={`Receive Delivery: PO-${currentPurchaseOrder.purchase_id.toString().padStart(4, '0')}`}
+          size="4xl"
+        >
+          <GoodsReceiptForm
+            purchaseOrder={currentPurchaseOrder}
+            onReceived={handleDeliveryReceived}
+            onCancel={handleReceiveClose}
+          />
+        </Modal>
+      )}
+      
       {/* Cancel Confirmation Modal */}
       {confirmDelete && purchaseOrderToDelete && (
         <Modal
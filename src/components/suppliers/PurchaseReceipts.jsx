@@ -0,0 +1,188 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import Swal from 'sweetalert2';
+import { format } from 'date-fns';
+import { Spinner } from '../common/Spinner';
+import { useSuppliers } from '../../hooks/useSuppliers';
+
+const DISCREPANCY_LABELS = {
+  short: 'Short delivery',
+  over: 'Over delivery',
+  damaged: 'Damaged',
+  rejected: 'Rejected',
+  price: 'Price difference'
+};
+
+const formatQuantity = (value) => Number(value || 0).toLocaleString('en-US', { maximumFractionDigits: 3 });
+
+const formatCurrency = (amount) => new Intl.NumberFormat('en-PH', {
+  style: 'currency',
+  currency: 'PHP'
+}).format(amount || 0);
+
+const formatDateTime = (value) => (value ? format(new Date(value), 'MMM dd, yyyy h:mm a') : '-');
+
+/**
+ * Deliveries received against a purchase order and the discrepancies still
+ * to be taken up with the supplier. Reloads whenever refreshKey changes.
+ */
+const PurchaseReceipts = ({ purchaseId, canResolve = false, refreshKey = 0, onResolved }) => {
+  const { fetchGoodsReceipts, resolveDiscrepancy } = useSuppliers();
+  const [receipts, setReceipts] = useState([]);
+  const [discrepancies, setDiscrepancies] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await fetchGoodsReceipts(purchaseId);
+      setReceipts(data.receipts);
+      setDiscrepancies(data.discrepancies);
+    } catch {
+      // Show no deliveries
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchGoodsReceipts, purchaseId]);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  const handleResolve = async (discrepancy) => {
+    const result = await Swal.fire({
+      title: 'Resolve Discrepancy',
+      text: 'How was this settled with the supplier?',
+      input: 'text',
+      inputPlaceholder: 'e.g. Credit note CN-102, replaced on next delivery',
+      showCancelButton: true,
+      confirmButtonColor: '#571C1F',
+      cancelButtonColor: '#6B7280',
+      confirmButtonText: 'Resolve',
+      inputValidator: (value) => (!value?.trim() ? 'Enter how it was settled' : undefined)
+    });
+
+    if (!result.isConfirmed) return;
+
+    try {
+      const resolved = await resolveDiscrepancy(discrepancy.discrepancy_id, result.value);
+      setDiscrepancies(prev => prev.map(d =>
+        d.discrepancy_id === resolved.discrepancy_id ? { ...d, ...resolved } : d
+      ));
+      onResolved?.(resolved);
+    } catch {
+      // The discrepancy stays open
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-6">
+        <Spinner size="md" color="#571C1F" />
+      </div>
+    );
+  }
+
+  if (receipts.length === 0 && discrepancies.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="space-y-4">
+      {discrepancies.length > 0 && (
+        <div className="bg-white rounded-lg border border-[#571C1F]/10 p-4 shadow-sm">
+          <h4 className="text-lg font-medium text-[#571C1F] mb-3">Discrepancies</h4>
+          <ul className="divide-y divide-[#571C1F]/10">
+            {discrepancies.map(discrepancy => (
+              <li key={discrepancy.discrepancy_id} className="py-2 flex items-start justify-between gap-4 text-sm">
+                <div>
+                  <p className="font-medium text-gray-900">
+                    {DISCREPANCY_LABELS[discrepancy.kind] || discrepancy.kind}
+                    {discrepancy.ingredients?.name && <span className="font-normal"> — {discrepancy.ingredients.name}</span>}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {discrepancy.kind === 'price'
+                      ? `${formatCurrency(Math.abs(discrepancy.amount))} ${discrepancy.amount < 0 ? 'under' : 'over'} the ordered price on ${formatQuantity(discrepancy.quantity)}`
+                      : `${formatQuantity(discrepancy.quantity)} worth ${formatCurrency(discrepancy.amount)}`}
+                  </p>
+                  {discrepancy.status === 'resolved' && (
+                    <p className="text-xs text-[#003B25]">Resolved: {discrepancy.resolution}</p>
+                  )}
+                </div>
+                {discrepancy.status === 'open' ? (
+                  canResolve ? (
+                    <button
+                      type="button"
+                      onClick={() => handleResolve(discrepancy)}
+                      className="shrink-0 text-xs px-2 py-1 rounded border border-[#571C1F]/30 text-[#571C1F] hover:bg-[#FFF6F2]"
+                    >
+                      Resolve
+                    </button>
+                  ) : (
+                    <span className="shrink-0 text-xs text-amber-700">Open</span>
+                  )
+                ) : (
+                  <span className="shrink-0 text-xs text-[#003B25]">Resolved</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {receipts.length > 0 && (
+        <div className="bg-white rounded-lg border border-[#571C1F]/10 p-4 shadow-sm">
+          <h4 className="text-lg font-medium text-[#571C1F] mb-3">Deliveries</h4>
+          <div className="space-y-3">
+            {receipts.map(receipt => (
+              <div key={receipt.receipt_id} className="border border-[#571C1F]/10 rounded-md">
+                <div className="flex flex-wrap justify-between gap-2 px-3 py-2 bg-[#FFF6F2] text-xs text-gray-600">
+                  <span className="font-medium text-[#571C1F]">
+                    {formatDateTime(receipt.received_at)}
+                    {receipt.delivery_reference && ` · ${receipt.delivery_reference}`}
+                  </span>
+                  {receipt.notes && <span>{receipt.notes}</span>}
+                </div>
+                <table className="min-w-full text-xs">
+                  <thead className="text-gray-500 text-left uppercase tracking-wider">
+                    <tr>
+                      <th className="px-3 py-1 font-medium">Item</th>
+                      <th className="px-3 py-1 font-medium text-right">Received</th>
+                      <th className="px-3 py-1 font-medium text-right">Damaged</th>
+                      <th className="px-3 py-1 font-medium text-right">Rejected</th>
+                      <th className="px-3 py-1 font-medium text-right">Accepted</th>
+                      <th className="px-3 py-1 font-medium text-right">Unit Price</th>
+                      <th className="px-3 py-1 font-medium">Lot</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {receipt.goods_receipt_lines.map(line => (
+                      <tr key={line.receipt_line_id}>
+                        <td className="px-3 py-1 text-gray-900">{line.ingredients?.name}</td>
+                        <td className="px-3 py-1 text-right whitespace-nowrap">{formatQuantity(line.received_quantity)} {line.unit}</td>
+                        <td className="px-3 py-1 text-right">{Number(line.damaged_quantity) ? formatQuantity(line.damaged_quantity) : '-'}</td>
+                        <td className="px-3 py-1 text-right">{Number(line.rejected_quantity) ? formatQuantity(line.rejected_quantity) : '-'}</td>
+                        <td className="px-3 py-1 text-right font-medium">{formatQuantity(line.accepted_quantity)}</td>
+                        <td className="px-3 py-1 text-right">{formatCurrency(line.unit_price)}</td>
+                        <td className="px-3 py-1">{line.lot_number || '-'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+PurchaseReceipts.propTypes = {
+  purchaseId: PropTypes.number.isRequired,
+  canResolve: PropTypes.bool,
+  refreshKey: PropTypes.number,
+  onResolved: PropTypes.func
+};
+
+export default PurchaseReceipts;
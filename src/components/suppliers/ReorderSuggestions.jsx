@@ -0,0 +1,218 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import Button from '../common/Button';
+import { Spinner } from '../common/Spinner';
+import { useSuppliers } from '../../hooks/useSuppliers';
+import { REORDER_DEFAULTS } from '../../services/constants';
+
+const inputClass = 'w-20 px-2 py-1 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300 text-sm';
+
+const formatPeso = (value) => `₱${Number(value || 0).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const formatQuantity = (value) => Number(value || 0).toLocaleString('en-US', { maximumFractionDigits: 2 });
+
+/**
+ * Ingredients due for reordering, grouped by preferred supplier. The chosen
+ * suggestions become one draft purchase order per supplier.
+ */
+const ReorderSuggestions = ({ onDraftsCreated, onCancel }) => {
+  const { fetchReorderSuggestions, createReorderDrafts } = useSuppliers();
+  const [days, setDays] = useState(REORDER_DEFAULTS.HISTORY_DAYS);
+  const [coverDays, setCoverDays] = useState(REORDER_DEFAULTS.COVER_DAYS);
+  const [suggestions, setSuggestions] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  // Settings are applied with Refresh rather than on every keystroke
+  const load = useCallback(async (historyDays, cover) => {
+    setLoading(true);
+    try {
+      const rows = await fetchReorderSuggestions({ days: historyDays, coverDays: cover });
+      setSuggestions(rows);
+      // Everything that can be ordered starts ticked
+      setSelected(rows.filter(row => row.supplier_id).map(row => row.ingredient_id));
+    } catch {
+      // Keep the last suggestions
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchReorderSuggestions]);
+
+  useEffect(() => {
+    load(REORDER_DEFAULTS.HISTORY_DAYS, REORDER_DEFAULTS.COVER_DAYS);
+  }, [load]);
+
+  const groups = useMemo(() => {
+    const bySupplier = new Map();
+    suggestions.forEach(row => {
+      const key = row.supplier_id ?? 'none';
+      if (!bySupplier.has(key)) {
+        bySupplier.set(key, {
+          key,
+          supplierId: row.supplier_id,
+          name: row.supplier_name || 'No preferred supplier',
+          leadTime: row.lead_time_days,
+          rows: []
+        });
+      }
+      bySupplier.get(key).rows.push(row);
+    });
+    return [...bySupplier.values()];
+  }, [suggestions]);
+
+  const toggle = (ingredientId) => setSelected(prev => (
+    prev.includes(ingredientId) ? prev.filter(id => id !== ingredientId) : [...prev, ingredientId]
+  ));
+
+  const selectedSuppliers = new Set(suggestions
+    .filter(row => row.supplier_id && selected.includes(row.ingredient_id))
+    .map(row => row.supplier_id));
+
+  const handleCreate = async () => {
+    setSaving(true);
+    try {
+      const purchaseIds = await createReorderDrafts({ ingredientIds: selected, days, coverDays });
+      onDraftsCreated(purchaseIds);
+    } catch {
+      // Keep the ticked rows for another try
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-end gap-4">
+        <div>
+          <label htmlFor="reorder_days" className="block text-xs font-medium text-gray-600 mb-1">Usage from the last</label>
+          <div className="flex items-center gap-1 text-sm text-gray-600">
+            <input
+              id="reorder_days"
+              type="number"
+              min="1"
+              className={inputClass}
+              value={days}
+              onChange={(e) => setDays(Math.max(1, parseInt(e.target.value, 10) || 1))}
+            />
+            days
+          </div>
+        </div>
+        <div>
+          <label htmlFor="reorder_cover" className="block text-xs font-medium text-gray-600 mb-1">Order enough for</label>
+          <div className="flex items-center gap-1 text-sm text-gray-600">
+            <input
+              id="reorder_cover"
+              type="number"
+              min="0"
+              className={inputClass}
+              value={coverDays}
+              onChange={(e) => setCoverDays(Math.max(0, parseInt(e.target.value, 10) || 0))}
+            />
+            days after delivery
+          </div>
+        </div>
+        <Button variant="outline" size="sm" onClick={() => load(days, coverDays)} disabled={loading || saving}>
+          Refresh
+        </Button>
+      </div>
+
+      <p className="text-xs text-gray-500">
+        An ingredient is suggested when its stock plus what is already on order falls to its minimum quantity
+        plus the usage expected during the supplier&apos;s lead time.
+      </p>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <Spinner size="lg" color="#571C1F" />
+        </div>
+      ) : groups.length === 0 ? (
+        <p className="text-center py-12 text-sm text-gray-500">Nothing needs reordering</p>
+      ) : (
+        <div className="space-y-4 max-h-[60vh] overflow-y-auto">
+          {groups.map(group => (
+            <div key={group.key} className="bg-white rounded-lg border border-[#571C1F]/10 shadow-sm overflow-x-auto">
+              <div className="flex items-center justify-between px-4 py-2 bg-[#FFF6F2]">
+                <span className="font-medium text-[#571C1F]">{group.name}</span>
+                {group.supplierId ? (
+                  <span className="text-xs text-gray-600">Lead time {group.leadTime} day{group.leadTime === 1 ? '' : 's'}</span>
+                ) : (
+                  <span className="text-xs text-amber-700">Set a preferred supplier to order these</span>
+                )}
+              </div>
+              <table className="min-w-full text-sm">
+                <thead className="text-xs text-gray-500 text-left uppercase tracking-wider">
+                  <tr>
+                    <th className="px-4 py-2 w-8" />
+                    <th className="px-4 py-2 font-medium">Ingredient</th>
+                    <th className="px-4 py-2 font-medium text-right">On Hand</th>
+                    <th className="px-4 py-2 font-medium text-right">On Order</th>
+                    <th className="px-4 py-2 font-medium text-right">Daily Use</th>
+                    <th className="px-4 py-2 font-medium text-right">Reorder Point</th>
+                    <th className="px-4 py-2 font-medium text-right">Order</th>
+                    <th className="px-4 py-2 font-medium text-right">Est. Cost</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {group.rows.map(row => (
+                    <tr key={row.ingredient_id} className={group.supplierId ? '' : 'text-gray-400'}>
+                      <td className="px-4 py-2">
+                        <input
+                          type="checkbox"
+                          className="h-4 w-4 text-[#571C1F] border-gray-300 rounded"
+                          checked={selected.includes(row.ingredient_id)}
+                          onChange={() => toggle(row.ingredient_id)}
+                          disabled={!group.supplierId}
+                          aria-label={`Order ${row.ingredient_name}`}
+                        />
+                      </td>
+                      <td className="px-4 py-2 font-medium">{row.ingredient_name}</td>
+                      <td className={`px-4 py-2 text-right whitespace-nowrap ${row.on_hand <= 0 ? 'text-red-600' : ''}`}>
+                        {formatQuantity(row.on_hand)} {row.stock_unit}
+                      </td>
+                      <td className="px-4 py-2 text-right whitespace-nowrap">{formatQuantity(row.on_order)} {row.stock_unit}</td>
+                      <td className="px-4 py-2 text-right whitespace-nowrap">{formatQuantity(row.daily_usage)} {row.stock_unit}</td>
+                      <td className="px-4 py-2 text-right whitespace-nowrap">{formatQuantity(row.reorder_point)} {row.stock_unit}</td>
+                      <td className="px-4 py-2 text-right whitespace-nowrap font-medium">
+                        {formatQuantity(row.order_quantity)} {row.order_unit}
+                      </td>
+                      <td className="px-4 py-2 text-right whitespace-nowrap">{formatPeso(row.order_quantity * row.unit_price)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between pt-2">
+        <p className="text-xs text-gray-500">
+          Drafts open in the purchase order form for review before they are submitted.
+        </p>
+        <div className="flex space-x-2">
+          <Button variant="outline" size="sm" onClick={onCancel} disabled={saving}>
+            Close
+          </Button>
+          <Button size="sm" onClick={handleCreate} disabled={saving || loading || selectedSuppliers.size === 0}>
+            {saving
+              ? 'Creating...'
+              : selectedSuppliers.size > 0
+                ? `Create ${selectedSuppliers.size} Draft Order${selectedSuppliers.size === 1 ? '' : 's'}`
+                : 'Create Draft Orders'}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+ReorderSuggestions.propTypes = {
+  onDraftsCreated: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default ReorderSuggestions;
@@ -0,0 +1,144 @@
+import { useState, useEffect, useCallback } from 'react';
+import { format } from 'date-fns';
+import Button from '../common/Button';
+import { Spinner } from '../common/Spinner';
+import { useSupplierPortal } from '../../hooks/useSupplierPortal';
+
+const formatCurrency = (amount) => new Intl.NumberFormat('en-PH', {
+  style: 'currency',
+  currency: 'PHP'
+}).format(amount || 0);
+
+/**
+ * The ingredients a supplier supplies and what it charges for them. New
+ * purchase orders start from these prices.
+ */
+const SupplierCatalog = () => {
+  const { fetchCatalog, updateCatalogPrices } = useSupplierPortal();
+  const [catalog, setCatalog] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  // Prices typed in, by ingredient_id
+  const [prices, setPrices] = useState({});
+  const [formError, setFormError] = useState(null);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      setCatalog(await fetchCatalog());
+      setPrices({});
+    } catch {
+      // Keep the prices as last loaded
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchCatalog]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const changed = catalog
+    .filter(row => row.ingredient_id in prices && prices[row.ingredient_id] !== '' &&
+      parseFloat(prices[row.ingredient_id]) !== Number(row.typical_price))
+    .map(row => ({ ingredient_id: row.ingredient_id, typical_price: parseFloat(prices[row.ingredient_id]) }));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setFormError(null);
+
+    if (changed.some(row => Number.isNaN(row.typical_price) || row.typical_price < 0)) {
+      setFormError('Prices cannot be negative');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await updateCatalogPrices(changed);
+      await load();
+    } catch {
+      // Keep the typed prices for another try
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Spinner size="md" color="#571C1F" />
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSave} className="bg-white rounded-lg shadow-sm border border-[#571C1F]/10">
+      <div className="p-4 flex flex-wrap items-center justify-between gap-3 border-b border-[#571C1F]/10">
+        <p className="text-sm text-gray-600">
+          Keep your prices current; new purchase orders use them as the starting price.
+        </p>
+        <div className="flex items-center gap-2">
+          {changed.length > 0 && (
+            <Button type="button" variant="outline" size="sm" onClick={() => setPrices({})} disabled={saving}>
+              Discard
+            </Button>
+          )}
+          <Button type="submit" size="sm" disabled={saving || changed.length === 0}>
+            {saving ? 'Saving...' : changed.length > 1 ? `Save ${changed.length} Prices` : 'Save Price'}
+          </Button>
+        </div>
+      </div>
+
+      {formError && <p className="px-4 pt-3 text-sm text-red-600">{formError}</p>}
+
+      {catalog.length === 0 ? (
+        <p className="py-12 text-center text-sm text-gray-500">
+          No ingredients are listed under your company yet
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-[#FFF6F2]">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[#571C1F]/70 uppercase tracking-wider">Ingredient</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-[#571C1F]/70 uppercase tracking-wider">Current Price</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-[#571C1F]/70 uppercase tracking-wider">New Price</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[#571C1F]/70 uppercase tracking-wider">Last Updated</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-100">
+              {catalog.map(row => (
+                <tr key={row.ingredient_id}>
+                  <td className="px-6 py-3 text-sm">
+                    <p className="font-medium text-gray-900">{row.ingredient_name}</p>
+                    {row.unit && <p className="text-xs text-gray-500">per {row.unit}</p>}
+                  </td>
+                  <td className="px-6 py-3 text-sm text-right text-gray-900">
+                    {row.typical_price == null ? '-' : formatCurrency(row.typical_price)}
+                  </td>
+                  <td className="px-6 py-3 text-right">
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      className="w-32 px-2 py-1 border rounded-md shadow-sm text-sm text-right focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300"
+                      placeholder={row.typical_price == null ? '0.00' : Number(row.typical_price).toFixed(2)}
+                      value={prices[row.ingredient_id] ?? ''}
+                      onChange={(e) => setPrices(prev => ({ ...prev, [row.ingredient_id]: e.target.value }))}
+                      aria-label={`New price for ${row.ingredient_name}`}
+                    />
+                  </td>
+                  <td className="px-6 py-3 text-sm text-gray-500 whitespace-nowrap">
+                    {format(new Date(row.updated_at || row.created_at), 'MMM dd, yyyy')}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </form>
+  );
+};
+
+export default SupplierCatalog;
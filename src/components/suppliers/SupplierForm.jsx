@@ -6,6 +6,7 @@ import Button from '../common/Button';
 import { useSuppliers } from '../../hooks/useSuppliers';
 import FileUpload from '../common/FileUpload';
 import { motion } from 'framer-motion';
+import { SUPPLIER_PAYMENT_TERMS } from '../../services/constants';
 
 // Validation schema for supplier form aligned with database schema
 const supplierSchema = Yup.object({
@@ -39,11 +40,19 @@ const supplierSchema = Yup.object({
     .max(100, 'Website should be 100 characters or less'),
   notes: Yup.string()
     .max(500, 'Notes should be 500 characters or less'),
-  paymentTerms: Yup.string()
-    .max(100, 'Payment terms should be 100 characters or less'),
+  paymentTermsDays: Yup.number()
+    .integer('Payment terms should be whole days')
+    .min(0, 'Payment terms cannot be negative'),
+  leadTimeDays: Yup.number()
+    .integer('Lead time should be whole days')
+    .min(0, 'Lead time cannot be negative')
+    .max(90, 'Lead time should be 90 days or less'),
   isActive: Yup.boolean()
 });
 
+const termsLabel = (days) =>
+  SUPPLIER_PAYMENT_TERMS.find(terms => terms.days === Number(days))?.label || `Net ${days}`;
+
 const SupplierForm = ({ supplierId = null, onSave = () => {}, onCancel = () => {} }) => {
   const { createSupplier, updateSupplier, getSupplier, loading } = useSuppliers();
   const [supplierData, setSupplierData] = useState(null);
@@ -104,7 +113,8 @@ const SupplierForm = ({ supplierId = null, onSave = () => {}, onCancel = () => {
       country: data.country || '',
       website: data.website || '',
       notes: data.notes || '',
-      paymentTerms: data.payment_terms || '', // Map to payment_terms
+      paymentTermsDays: data.payment_terms_days ?? 30, // Days after the invoice date that it is due
+      leadTimeDays: data.lead_time_days ?? 2, // Days from order to delivery
     };
   };
 
@@ -123,7 +133,8 @@ const SupplierForm = ({ supplierId = null, onSave = () => {}, onCancel = () => {
       country: supplierData?.country || '',
       website: supplierData?.website || '',
       notes: supplierData?.notes || '',
-      paymentTerms: supplierData?.paymentTerms || '',
+      paymentTermsDays: supplierData?.paymentTermsDays ?? 30,
+      leadTimeDays: supplierData?.leadTimeDays ?? 2,
       isActive: supplierData?.isActive !== undefined ? supplierData.isActive : true,
       logo: supplierData?.logo || ''
     },
@@ -144,7 +155,9 @@ const SupplierForm = ({ supplierId = null, onSave = () => {}, onCancel = () => {
           postal_code: values.postalCode,              // Map to postal_code
           country: values.country,                     // Direct mapping
           website: values.website,                     // Direct mapping
-          payment_terms: values.paymentTerms,          // Map to payment_terms
+          payment_terms: termsLabel(values.paymentTermsDays), // Kept in step for display
+          payment_terms_days: Number(values.paymentTermsDays), // Sets supplier invoice due dates
+          lead_time_days: Number(values.leadTimeDays) || 0, // Used by reorder suggestions
           notes: values.notes,                         // Direct mapping
           is_active: values.isActive,                  // Map to is_active (not status)
           logo: logoUrl || values.logo                 // Direct mapping
@@ -403,23 +416,56 @@ const SupplierForm = ({ supplierId = null, onSave = () => {}, onCancel = () => {
 
                     {/* Payment Terms */}
                     <div>
-                      <label htmlFor="paymentTerms" className="block text-sm font-medium text-[#571C1F] mb-1">
+                      <label htmlFor="paymentTermsDays" className="block text-sm font-medium text-[#571C1F] mb-1">
                         Payment Terms
                       </label>
+                      <select
+                        id="paymentTermsDays"
+                        name="paymentTermsDays"
+                        className={`w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] ${
+                          formik.touched.paymentTermsDays && formik.errors.paymentTermsDays ? 'border-red-500' : 'border-gray-300'
+                        }`}
+                        onChange={(e) => formik.setFieldValue('paymentTermsDays', Number(e.target.value))}
+                        onBlur={formik.handleBlur}
+                        value={formik.values.paymentTermsDays}
+                      >
+                        {SUPPLIER_PAYMENT_TERMS.map(terms => (
+                          <option key={terms.days} value={terms.days}>{terms.label}</option>
+                        ))}
+                        {/* Terms carried over from before the list existed */}
+                        {!SUPPLIER_PAYMENT_TERMS.some(terms => terms.days === Number(formik.values.paymentTermsDays)) && (
+                          <option value={formik.values.paymentTermsDays}>{termsLabel(formik.values.paymentTermsDays)}</option>
+                        )}
+                      </select>
+                      {formik.touched.paymentTermsDays && formik.errors.paymentTermsDays ? (
+                        <p className="mt-1 text-xs text-red-500">{formik.errors.paymentTermsDays}</p>
+                      ) : (
+                        <p className="mt-1 text-xs text-gray-500">Sets when this supplier&apos;s invoices fall due</p>
+                      )}
+                    </div>
+
+                    {/* Lead Time */}
+                    <div>
+                      <label htmlFor="leadTimeDays" className="block text-sm font-medium text-[#571C1F] mb-1">
+                        Lead Time (days)
+                      </label>
                       <input
-                        id="paymentTerms"
-                        name="paymentTerms"
-                        type="text"
-                        placeholder="e.g. Net 30"
+                        id="leadTimeDays"
+                        name="leadTimeDays"
+                        type="number"
+                        min="0"
+                        step="1"
                         className={`w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] ${
-                          formik.touched.paymentTerms && formik.errors.paymentTerms ? 'border-red-500' : 'border-gray-300'
+                          formik.touched.leadTimeDays && formik.errors.leadTimeDays ? 'border-red-500' : 'border-gray-300'
                         }`}
                         onChange={formik.handleChange}
                         onBlur={formik.handleBlur}
-                        value={formik.values.paymentTerms}
+                        value={formik.values.leadTimeDays}
                       />
-                      {formik.touched.paymentTerms && formik.errors.paymentTerms && (
-                        <p className="mt-1 text-xs text-red-500">{formik.errors.paymentTerms}</p>
+                      {formik.touched.leadTimeDays && formik.errors.leadTimeDays ? (
+                        <p className="mt-1 text-xs text-red-500">{formik.errors.leadTimeDays}</p>
+                      ) : (
+                        <p className="mt-1 text-xs text-gray-500">Days from ordering to delivery, used for reorder suggestions</p>
                       )}
                     </div>
                     
@@ -0,0 +1,299 @@
+import { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import Swal from 'sweetalert2';
+import { format } from 'date-fns';
+import Button from '../common/Button';
+import { Spinner } from '../common/Spinner';
+import { usePayables } from '../../hooks/usePayables';
+import { SUPPLIER_PAYMENT_METHODS } from '../../services/constants';
+
+const STATUS_CLASSES = {
+  open: 'bg-blue-100 text-blue-800',
+  partially_paid: 'bg-yellow-100 text-yellow-800',
+  paid: 'bg-green-100 text-green-800',
+  void: 'bg-gray-100 text-gray-600'
+};
+
+const inputClass = 'w-full px-2 py-1 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300 text-sm';
+
+const formatCurrency = (amount) => new Intl.NumberFormat('en-PH', {
+  style: 'currency',
+  currency: 'PHP'
+}).format(amount || 0);
+
+const formatDate = (value) => (value ? format(new Date(`${value.slice(0, 10)}T00:00:00`), 'MMM dd, yyyy') : '-');
+
+const today = () => format(new Date(), 'yyyy-MM-dd');
+
+const methodLabel = (value) => SUPPLIER_PAYMENT_METHODS.find(m => m.value === value)?.label || value;
+
+/**
+ * One supplier invoice: the purchase orders it bills, the payments made on
+ * it and a form for the next one
+ */
+const SupplierInvoiceDetails = ({ invoiceId, canPay = false, canEdit = false, onChanged, onClose }) => {
+  const { getInvoice, recordPayment, voidPayment, voidInvoice } = usePayables();
+  const [invoice, setInvoice] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [amount, setAmount] = useState('');
+  const [paymentMethod, setPaymentMethod] = useState(SUPPLIER_PAYMENT_METHODS[0].value);
+  const [paidOn, setPaidOn] = useState(today());
+  const [referenceNumber, setReferenceNumber] = useState('');
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const result = await getInvoice(invoiceId);
+      setInvoice(result);
+      setAmount(result.balance > 0 ? result.balance.toFixed(2) : '');
+    } catch {
+      // Shows "Invoice not available" on a first load
+    } finally {
+      setLoading(false);
+    }
+  }, [getInvoice, invoiceId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // Run a change, then reload the invoice and let the list know
+  const runAction = async (action) => {
+    setSaving(true);
+    try {
+      await action();
+      await load();
+      onChanged?.();
+    } catch {
+      // Keep what was typed
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePayment = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      await recordPayment(invoiceId, {
+        amount: parseFloat(amount),
+        paymentMethod,
+        paidOn,
+        referenceNumber: referenceNumber.trim() || null
+      });
+      setReferenceNumber('');
+      setPaidOn(today());
+    });
+  };
+
+  const askReason = (title, text) => Swal.fire({
+    title,
+    text,
+    input: 'text',
+    inputPlaceholder: 'Reason',
+    inputValidator: (value) => (!value?.trim() ? 'Give a reason' : undefined),
+    icon: 'warning',
+    showCancelButton: true,
+    confirmButtonColor: '#571C1F',
+    cancelButtonColor: '#6B7280',
+    confirmButtonText: 'Void'
+  });
+
+  const handleVoidPayment = async (payment) => {
+    const result = await askReason(
+      'Void Payment?',
+      `The ${formatCurrency(payment.amount)} paid on ${formatDate(payment.paid_on)} will be owed again.`
+    );
+    if (result.isConfirmed) {
+      runAction(() => voidPayment(payment.payment_id, result.value.trim()));
+    }
+  };
+
+  const handleVoidInvoice = async () => {
+    const result = await askReason(
+      'Void Invoice?',
+      'The invoice will no longer be owed and its purchase orders can be billed again.'
+    );
+    if (result.isConfirmed) {
+      runAction(() => voidInvoice(invoiceId, result.value.trim()));
+    }
+  };
+
+  if (loading && !invoice) {
+    return (
+      <div className="flex justify-center py-12">
+        <Spinner size="lg" color="#571C1F" />
+      </div>
+    );
+  }
+
+  if (!invoice) {
+    return <p className="text-sm text-gray-500 py-6 text-center">Invoice not available</p>;
+  }
+
+  const isOverdue = invoice.balance > 0 && invoice.due_date < today();
+  const showPaymentForm = canPay && ['open', 'partially_paid'].includes(invoice.status);
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-[#FFF6F2] rounded-lg p-4 border border-[#571C1F]/10 flex flex-wrap justify-between gap-4">
+        <div>
+          <h2 className="text-lg font-semibold text-[#571C1F]">Invoice {invoice.invoice_number}</h2>
+          <p className="text-sm text-gray-600">{invoice.supplier_name}</p>
+          <p className="text-xs text-gray-500 mt-1">
+            Dated {formatDate(invoice.invoice_date)} · Due{' '}
+            <span className={isOverdue ? 'text-red-700 font-medium' : ''}>{formatDate(invoice.due_date)}</span>
+          </p>
+          {invoice.notes && <p className="text-xs text-gray-500 mt-1">{invoice.notes}</p>}
+        </div>
+        <div className="text-right">
+          <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full capitalize ${STATUS_CLASSES[invoice.status]}`}>
+            {invoice.status.replace('_', ' ')}
+          </span>
+          <p className="text-xs text-gray-500 mt-2">Balance of {formatCurrency(invoice.amount)}</p>
+          <p className="text-xl font-bold text-[#571C1F]">{formatCurrency(invoice.balance)}</p>
+        </div>
+      </div>
+
+      {invoice.status === 'void' && (
+        <div className="rounded-md border border-gray-200 bg-gray-50 p-3 text-sm text-gray-700">
+          Voided {formatDate(invoice.voided_at)}: {invoice.void_reason}
+        </div>
+      )}
+
+      <div className="border border-[#571C1F]/10 rounded-lg overflow-hidden">
+        <h3 className="px-3 py-2 bg-[#FFF6F2] text-xs font-medium text-[#571C1F]/70 uppercase tracking-wider">
+          Purchase Orders Billed
+        </h3>
+        <ul className="divide-y divide-gray-100 text-sm">
+          {invoice.purchases.map(line => (
+            <li key={line.purchase_id} className="px-3 py-2 flex justify-between">
+              <span className="text-gray-900">
+                PO #{line.purchase_id}
+                <span className="text-xs text-gray-500 ml-2">{formatDate(line.purchase?.purchase_date)}</span>
+              </span>
+              <span className="font-medium text-[#571C1F]">{formatCurrency(line.amount)}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div className="border border-[#571C1F]/10 rounded-lg overflow-hidden">
+        <h3 className="px-3 py-2 bg-[#FFF6F2] text-xs font-medium text-[#571C1F]/70 uppercase tracking-wider">
+          Payments
+        </h3>
+        {invoice.payments.length === 0 ? (
+          <p className="px-3 py-3 text-sm text-gray-500">Nothing has been paid on this invoice.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 text-sm">
+            {invoice.payments.map(payment => (
+              <li key={payment.payment_id} className="px-3 py-2 flex justify-between items-center gap-4">
+                <div className={payment.voided_at ? 'text-gray-400 line-through' : 'text-gray-900'}>
+                  {formatDate(payment.paid_on)} · {methodLabel(payment.payment_method)}
+                  {payment.reference_number && ` · ${payment.reference_number}`}
+                </div>
+                <div className="flex items-center gap-3">
+                  {payment.voided_at ? (
+                    <span className="text-xs text-gray-500" title={payment.void_reason}>Voided</span>
+                  ) : canEdit && (
+                    <button
+                      type="button"
+                      className="text-xs text-red-600 hover:underline disabled:opacity-50"
+                      onClick={() => handleVoidPayment(payment)}
+                      disabled={saving}
+                    >
+                      Void
+                    </button>
+                  )}
+                  <span className={`font-medium ${payment.voided_at ? 'text-gray-400 line-through' : 'text-[#571C1F]'}`}>
+                    {formatCurrency(payment.amount)}
+                  </span>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {showPaymentForm && (
+        <form onSubmit={handlePayment} className="grid grid-cols-1 md:grid-cols-5 gap-3 items-end border-t pt-4">
+          <div>
+            <label htmlFor="payment_amount" className="block text-xs font-medium text-gray-600 mb-1">Amount</label>
+            <input
+              id="payment_amount"
+              type="number"
+              min="0.01"
+              max={invoice.balance}
+              step="0.01"
+              className={inputClass}
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              required
+            />
+          </div>
+          <div>
+            <label htmlFor="payment_method" className="block text-xs font-medium text-gray-600 mb-1">Paid By</label>
+            <select
+              id="payment_method"
+              className={inputClass}
+              value={paymentMethod}
+              onChange={(e) => setPaymentMethod(e.target.value)}
+            >
+              {SUPPLIER_PAYMENT_METHODS.map(method => (
+                <option key={method.value} value={method.value}>{method.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="payment_date" className="block text-xs font-medium text-gray-600 mb-1">Paid On</label>
+            <input
+              id="payment_date"
+              type="date"
+              className={inputClass}
+              value={paidOn}
+              min={invoice.invoice_date}
+              max={today()}
+              onChange={(e) => setPaidOn(e.target.value)}
+              required
+            />
+          </div>
+          <div>
+            <label htmlFor="payment_reference" className="block text-xs font-medium text-gray-600 mb-1">Reference</label>
+            <input
+              id="payment_reference"
+              type="text"
+              className={inputClass}
+              placeholder="Check or transfer no."
+              value={referenceNumber}
+              onChange={(e) => setReferenceNumber(e.target.value)}
+            />
+          </div>
+          <Button type="submit" variant="secondary" size="sm" disabled={saving}>
+            {saving ? 'Saving...' : 'Record Payment'}
+          </Button>
+        </form>
+      )}
+
+      <div className="flex justify-end space-x-2 pt-2">
+        <Button type="button" variant="outline" size="sm" onClick={onClose} disabled={saving}>
+          Close
+        </Button>
+        {canEdit && invoice.status === 'open' && (
+          <Button type="button" variant="danger" size="sm" onClick={handleVoidInvoice} disabled={saving}>
+            Void Invoice
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+SupplierInvoiceDetails.propTypes = {
+  invoiceId: PropTypes.number.isRequired,
+  canPay: PropTypes.bool,
+  canEdit: PropTypes.bool,
+  onChanged: PropTypes.func,
+  onClose: PropTypes.func.isRequired
+};
+
+export default SupplierInvoiceDetails;
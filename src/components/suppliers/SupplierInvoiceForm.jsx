@@ -0,0 +1,269 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { format, addDays, parseISO } from 'date-fns';
+import Button from '../common/Button';
+import { Spinner } from '../common/Spinner';
+import { usePayables } from '../../hooks/usePayables';
+
+const inputClass = 'w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F] border-gray-300 text-sm';
+
+const formatCurrency = (amount) => new Intl.NumberFormat('en-PH', {
+  style: 'currency',
+  currency: 'PHP'
+}).format(amount || 0);
+
+/**
+ * Capture a supplier's invoice against the purchase orders it bills. Each
+ * order can be billed up to what was ordered, or what was accepted once
+ * deliveries start, less what earlier invoices already billed.
+ */
+const SupplierInvoiceForm = ({ suppliers = [], onCreated, onCancel }) => {
+  const { fetchUnbilledPurchases, recordInvoice } = usePayables();
+  const [supplierId, setSupplierId] = useState('');
+  const [invoiceNumber, setInvoiceNumber] = useState('');
+  const [invoiceDate, setInvoiceDate] = useState(format(new Date(), 'yyyy-MM-dd'));
+  const [dueDate, setDueDate] = useState('');
+  const [dueDateEdited, setDueDateEdited] = useState(false);
+  const [notes, setNotes] = useState('');
+  const [purchases, setPurchases] = useState([]);
+  // Amount billed per selected purchase_id
+  const [billed, setBilled] = useState({});
+  const [loadingPurchases, setLoadingPurchases] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [formError, setFormError] = useState(null);
+
+  const supplier = suppliers.find(s => s.supplier_id === Number(supplierId));
+  const termsDays = supplier?.payment_terms_days ?? 30;
+
+  useEffect(() => {
+    setPurchases([]);
+    setBilled({});
+    if (!supplierId) return;
+
+    setLoadingPurchases(true);
+    fetchUnbilledPurchases(supplierId)
+      .then(setPurchases)
+      .catch(() => {
+        // Shown as nothing left to bill
+      })
+      .finally(() => setLoadingPurchases(false));
+  }, [fetchUnbilledPurchases, supplierId]);
+
+  // The due date follows the supplier's terms until it is changed by hand
+  useEffect(() => {
+    if (!dueDateEdited && invoiceDate) {
+      setDueDate(format(addDays(parseISO(invoiceDate), termsDays), 'yyyy-MM-dd'));
+    }
+  }, [invoiceDate, termsDays, dueDateEdited]);
+
+  const togglePurchase = (purchase) => {
+    setBilled(prev => {
+      const next = { ...prev };
+      if (purchase.purchase_id in next) {
+        delete next[purchase.purchase_id];
+      } else {
+        next[purchase.purchase_id] = Number(purchase.unbilled_amount).toFixed(2);
+      }
+      return next;
+    });
+  };
+
+  const total = Object.values(billed).reduce((sum, value) => sum + (parseFloat(value) || 0), 0);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError(null);
+
+    const lines = Object.entries(billed).map(([purchaseId, value]) => ({
+      purchase_id: Number(purchaseId),
+      amount: parseFloat(value)
+    }));
+
+    if (!supplierId || !invoiceNumber.trim() || !invoiceDate) {
+      setFormError('Choose a supplier and enter the invoice number and date');
+      return;
+    }
+    if (lines.length === 0) {
+      setFormError('Choose the purchase orders this invoice bills');
+      return;
+    }
+    if (lines.some(line => !(line.amount > 0))) {
+      setFormError('Enter the amount billed for each purchase order');
+      return;
+    }
+    if (dueDate && dueDate < invoiceDate) {
+      setFormError('The due date cannot be before the invoice date');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const invoice = await recordInvoice({
+        supplierId,
+        invoiceNumber: invoiceNumber.trim(),
+        invoiceDate,
+        dueDate: dueDate || null,
+        notes: notes.trim() || null,
+        purchases: lines
+      });
+      onCreated(invoice);
+    } catch {
+      // Keep the invoice details in the form
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="invoice_supplier" className="block text-sm font-medium text-gray-700 mb-1">Supplier</label>
+          <select
+            id="invoice_supplier"
+            className={inputClass}
+            value={supplierId}
+            onChange={(e) => setSupplierId(e.target.value)}
+          >
+            <option value="">Select a supplier</option>
+            {suppliers.map(s => (
+              <option key={s.supplier_id} value={s.supplier_id}>{s.company_name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="invoice_number" className="block text-sm font-medium text-gray-700 mb-1">Invoice No.</label>
+          <input
+            id="invoice_number"
+            type="text"
+            className={inputClass}
+            value={invoiceNumber}
+            onChange={(e) => setInvoiceNumber(e.target.value)}
+          />
+        </div>
+        <div>
+          <label htmlFor="invoice_date" className="block text-sm font-medium text-gray-700 mb-1">Invoice Date</label>
+          <input
+            id="invoice_date"
+            type="date"
+            className={inputClass}
+            value={invoiceDate}
+            max={format(new Date(), 'yyyy-MM-dd')}
+            onChange={(e) => setInvoiceDate(e.target.value)}
+          />
+        </div>
+        <div>
+          <label htmlFor="invoice_due_date" className="block text-sm font-medium text-gray-700 mb-1">Due Date</label>
+          <input
+            id="invoice_due_date"
+            type="date"
+            className={inputClass}
+            value={dueDate}
+            min={invoiceDate}
+            onChange={(e) => {
+              setDueDateEdited(true);
+              setDueDate(e.target.value);
+            }}
+          />
+          {supplier && (
+            <p className="text-xs text-gray-500 mt-1">
+              {termsDays === 0 ? 'Payable on delivery' : `Net ${termsDays} days`} for this supplier
+            </p>
+          )}
+        </div>
+      </div>
+
+      <div className="border border-[#571C1F]/10 rounded-lg overflow-hidden">
+        <h3 className="px-3 py-2 bg-[#FFF6F2] text-xs font-medium text-[#571C1F]/70 uppercase tracking-wider">
+          Purchase Orders
+        </h3>
+        {!supplierId ? (
+          <p className="px-3 py-3 text-sm text-gray-500">Select a supplier to see its purchase orders.</p>
+        ) : loadingPurchases ? (
+          <div className="flex justify-center py-4">
+            <Spinner size="sm" color="#571C1F" />
+          </div>
+        ) : purchases.length === 0 ? (
+          <p className="px-3 py-3 text-sm text-gray-500">This supplier has no purchase orders left to bill.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 text-sm max-h-64 overflow-y-auto">
+            {purchases.map(purchase => {
+              const selected = purchase.purchase_id in billed;
+              return (
+                <li key={purchase.purchase_id} className="px-3 py-2 flex items-center gap-3">
+                  <input
+                    id={`invoice_po_${purchase.purchase_id}`}
+                    type="checkbox"
+                    className="h-4 w-4 text-[#571C1F] border-gray-300 rounded"
+                    checked={selected}
+                    onChange={() => togglePurchase(purchase)}
+                  />
+                  <label htmlFor={`invoice_po_${purchase.purchase_id}`} className="flex-1">
+                    <span className="font-medium text-gray-900">PO #{purchase.purchase_id}</span>
+                    <span className="text-xs text-gray-500 ml-2">
+                      {format(new Date(purchase.purchase_date), 'MMM dd, yyyy')} · {purchase.status.replace('_', ' ')}
+                    </span>
+                    <span className="block text-xs text-gray-500">
+                      {formatCurrency(purchase.unbilled_amount)} left to bill
+                      {Number(purchase.billed_amount) > 0 && ` of ${formatCurrency(purchase.billable_amount)}`}
+                    </span>
+                  </label>
+                  {selected && (
+                    <input
+                      type="number"
+                      min="0.01"
+                      max={purchase.unbilled_amount}
+                      step="0.01"
+                      className={`${inputClass} w-32`}
+                      value={billed[purchase.purchase_id]}
+                      onChange={(e) => setBilled(prev => ({ ...prev, [purchase.purchase_id]: e.target.value }))}
+                      aria-label={`Amount billed for PO #${purchase.purchase_id}`}
+                    />
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+        <div className="px-3 py-2 bg-[#FFF6F2] flex justify-between text-sm">
+          <span className="font-medium">Invoice Total</span>
+          <span className="font-bold text-[#571C1F]">{formatCurrency(total)}</span>
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor="invoice_notes" className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+        <textarea
+          id="invoice_notes"
+          rows={2}
+          className={inputClass}
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+        />
+      </div>
+
+      {formError && <p className="text-sm text-red-600">{formError}</p>}
+
+      <div className="flex justify-end space-x-2 pt-2">
+        <Button type="button" variant="outline" size="sm" onClick={onCancel} disabled={saving}>
+          Cancel
+        </Button>
+        <Button type="submit" size="sm" disabled={saving}>
+          {saving ? 'Saving...' : 'Record Invoice'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+SupplierInvoiceForm.propTypes = {
+  suppliers: PropTypes.arrayOf(PropTypes.shape({
+    supplier_id: PropTypes.number,
+    company_name: PropTypes.string,
+    payment_terms_days: PropTypes.number
+  })),
+  onCreated: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default SupplierInvoiceForm;
@@ -0,0 +1,175 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { format } from 'date-fns';
+import Modal from '../common/Modal';
+import { Spinner } from '../common/Spinner';
+import SupplierInvoiceDetails from './SupplierInvoiceDetails';
+import { usePayables } from '../../hooks/usePayables';
+
+const STATUS_CLASSES = {
+  open: 'bg-blue-100 text-blue-800',
+  partially_paid: 'bg-yellow-100 text-yellow-800',
+  paid: 'bg-green-100 text-green-800',
+  void: 'bg-gray-100 text-gray-600'
+};
+
+const formatCurrency = (amount) => new Intl.NumberFormat('en-PH', {
+  style: 'currency',
+  currency: 'PHP'
+}).format(amount || 0);
+
+const formatDate = (value) => (value ? format(new Date(`${value}T00:00:00`), 'MMM dd, yyyy') : '-');
+
+/**
+ * Supplier invoices with what is still owed on each, unpaid ones first by
+ * due date
+ */
+const SupplierInvoiceList = ({ suppliers = [], canPay = false, canEdit = false, refreshKey = 0 }) => {
+  const { invoices, loading, fetchInvoices } = usePayables();
+  const [supplierFilter, setSupplierFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('unpaid');
+  const [selectedId, setSelectedId] = useState(null);
+
+  const load = useCallback(() => {
+    fetchInvoices({ supplierId: supplierFilter, status: statusFilter }).catch(() => {
+      // Keep the invoices already listed
+    });
+  }, [fetchInvoices, supplierFilter, statusFilter]);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  const today = format(new Date(), 'yyyy-MM-dd');
+
+  const outstanding = useMemo(() => invoices.reduce((total, invoice) => total + invoice.balance, 0), [invoices]);
+
+  const overdue = useMemo(() => invoices
+    .filter(invoice => invoice.balance > 0 && invoice.due_date < today)
+    .reduce((total, invoice) => total + invoice.balance, 0), [invoices, today]);
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-[#571C1F]/10">
+      <div className="p-4 flex flex-wrap items-center justify-between gap-3 border-b border-[#571C1F]/10">
+        <div className="flex flex-wrap gap-3">
+          <select
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F]"
+            value={supplierFilter}
+            onChange={(e) => setSupplierFilter(e.target.value)}
+            aria-label="Filter by supplier"
+          >
+            <option value="">All Suppliers</option>
+            {suppliers.map(supplier => (
+              <option key={supplier.supplier_id} value={supplier.supplier_id}>{supplier.company_name}</option>
+            ))}
+          </select>
+          <select
+            className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F]"
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            aria-label="Filter by status"
+          >
+            <option value="unpaid">Unpaid</option>
+            <option value="paid">Paid</option>
+            <option value="void">Voided</option>
+            <option value="">All Invoices</option>
+          </select>
+        </div>
+        <div className="text-sm text-gray-600 flex gap-4">
+          <span>Owed: <span className="font-semibold text-[#571C1F]">{formatCurrency(outstanding)}</span></span>
+          <span>Overdue: <span className="font-semibold text-red-700">{formatCurrency(overdue)}</span></span>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <Spinner size="md" color="#571C1F" />
+        </div>
+      ) : invoices.length === 0 ? (
+        <p className="py-12 text-center text-sm text-gray-500">No supplier invoices found</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-[#FFF6F2]">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[#571C1F]/70 uppercase tracking-wider">Invoice</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[#571C1F]/70 uppercase tracking-wider">Supplier</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[#571C1F]/70 uppercase tracking-wider">Due</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-[#571C1F]/70 uppercase tracking-wider">Amount</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-[#571C1F]/70 uppercase tracking-wider">Balance</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[#571C1F]/70 uppercase tracking-wider">Status</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-100">
+              {invoices.map(invoice => {
+                const isOverdue = invoice.balance > 0 && invoice.due_date < today;
+                return (
+                  <tr
+                    key={invoice.invoice_id}
+                    className="hover:bg-[#FFF6F2]/60 cursor-pointer"
+                    onClick={() => setSelectedId(invoice.invoice_id)}
+                  >
+                    <td className="px-6 py-4 text-sm">
+                      <p className="font-medium text-gray-900">{invoice.invoice_number}</p>
+                      <p className="text-xs text-gray-500">{formatDate(invoice.invoice_date)}</p>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">{invoice.supplier_name}</td>
+                    <td className="px-6 py-4 text-sm whitespace-nowrap">
+                      <span className={isOverdue ? 'text-red-700 font-medium' : 'text-gray-900'}>
+                        {formatDate(invoice.due_date)}
+                      </span>
+                      {isOverdue && (
+                        <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-red-100 text-red-800">
+                          Overdue
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-right text-gray-900">{formatCurrency(invoice.amount)}</td>
+                    <td className="px-6 py-4 text-sm text-right font-medium text-[#571C1F]">
+                      {formatCurrency(invoice.balance)}
+                    </td>
+                    <td className="px-6 py-4">
+                      <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full capitalize ${STATUS_CLASSES[invoice.status]}`}>
+                        {invoice.status.replace('_', ' ')}
+                      </span>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <Modal
+        isOpen={selectedId !== null}
+        onClose={() => setSelectedId(null)}
+        title="Supplier Invoice"
+        size="3xl"
+      >
+        {selectedId !== null && (
+          <SupplierInvoiceDetails
+            key={selectedId}
+            invoiceId={selectedId}
+            canPay={canPay}
+            canEdit={canEdit}
+            onChanged={load}
+            onClose={() => setSelectedId(null)}
+          />
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+SupplierInvoiceList.propTypes = {
+  suppliers: PropTypes.arrayOf(PropTypes.shape({
+    supplier_id: PropTypes.number,
+    company_name: PropTypes.string
+  })),
+  canPay: PropTypes.bool,
+  canEdit: PropTypes.bool,
+  refreshKey: PropTypes.number
+};
+
+export default SupplierInvoiceList;
@@ -0,0 +1,147 @@
+import { Fragment, useState, useEffect, useMemo } from 'react';
+import { format } from 'date-fns';
+import { Spinner } from '../common/Spinner';
+import { useSupplierPortal } from '../../hooks/useSupplierPortal';
+import { SUPPLIER_PAYMENT_METHODS } from '../../services/constants';
+
+const STATUS_CLASSES = {
+  open: 'bg-blue-100 text-blue-800',
+  partially_paid: 'bg-yellow-100 text-yellow-800',
+  paid: 'bg-green-100 text-green-800',
+  void: 'bg-gray-100 text-gray-600'
+};
+
+const formatCurrency = (amount) => new Intl.NumberFormat('en-PH', {
+  style: 'currency',
+  currency: 'PHP'
+}).format(amount || 0);
+
+const formatDate = (value) => (value ? format(new Date(`${value.slice(0, 10)}T00:00:00`), 'MMM dd, yyyy') : '-');
+
+const methodLabel = (value) => SUPPLIER_PAYMENT_METHODS.find(m => m.value === value)?.label || value;
+
+/**
+ * A supplier's invoices as recorded by the business, with what has been paid
+ * on each and what is still to come
+ */
+const SupplierPaymentHistory = () => {
+  const { fetchPaymentHistory } = useSupplierPortal();
+  const [invoices, setInvoices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    fetchPaymentHistory()
+      .then(setInvoices)
+      .catch(() => {
+        // Leave the list empty
+      })
+      .finally(() => setLoading(false));
+  }, [fetchPaymentHistory]);
+
+  const today = format(new Date(), 'yyyy-MM-dd');
+
+  const totals = useMemo(() => invoices.reduce((sums, invoice) => ({
+    outstanding: sums.outstanding + invoice.balance,
+    overdue: sums.overdue + (invoice.due_date < today ? invoice.balance : 0),
+    paid: sums.paid + (invoice.status === 'void' ? 0 : Number(invoice.amount_paid))
+  }), { outstanding: 0, overdue: 0, paid: 0 }), [invoices, today]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Spinner size="md" color="#571C1F" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-[#571C1F]/10">
+      <div className="p-4 flex flex-wrap justify-end gap-4 text-sm text-gray-600 border-b border-[#571C1F]/10">
+        <span>Paid to you: <span className="font-semibold text-[#003B25]">{formatCurrency(totals.paid)}</span></span>
+        <span>Still owed: <span className="font-semibold text-[#571C1F]">{formatCurrency(totals.outstanding)}</span></span>
+        <span>Past due: <span className="font-semibold text-red-700">{formatCurrency(totals.overdue)}</span></span>
+      </div>
+
+      {invoices.length === 0 ? (
+        <p className="py-12 text-center text-sm text-gray-500">No invoices have been recorded for you yet</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-[#FFF6F2]">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[#571C1F]/70 uppercase tracking-wider">Invoice</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[#571C1F]/70 uppercase tracking-wider">Purchase Orders</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[#571C1F]/70 uppercase tracking-wider">Due</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-[#571C1F]/70 uppercase tracking-wider">Amount</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-[#571C1F]/70 uppercase tracking-wider">Balance</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-[#571C1F]/70 uppercase tracking-wider">Status</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-100">
+              {invoices.map(invoice => {
+                const expanded = expandedId === invoice.invoice_id;
+                const isOverdue = invoice.balance > 0 && invoice.due_date < today;
+                return (
+                  <Fragment key={invoice.invoice_id}>
+                    <tr
+                      className="hover:bg-[#FFF6F2]/60 cursor-pointer"
+                      onClick={() => setExpandedId(expanded ? null : invoice.invoice_id)}
+                    >
+                      <td className="px-6 py-4 text-sm">
+                        <p className="font-medium text-gray-900">{invoice.invoice_number}</p>
+                        <p className="text-xs text-gray-500">{formatDate(invoice.invoice_date)}</p>
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-900">
+                        {invoice.purchase_ids.map(id => `#${id}`).join(', ')}
+                      </td>
+                      <td className={`px-6 py-4 text-sm whitespace-nowrap ${isOverdue ? 'text-red-700 font-medium' : 'text-gray-900'}`}>
+                        {formatDate(invoice.due_date)}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-right text-gray-900">{formatCurrency(invoice.amount)}</td>
+                      <td className="px-6 py-4 text-sm text-right font-medium text-[#571C1F]">{formatCurrency(invoice.balance)}</td>
+                      <td className="px-6 py-4">
+                        <span className={`px-2 py-1 inline-flex text-xs leading-5 font-semibold rounded-full capitalize ${STATUS_CLASSES[invoice.status]}`}>
+                          {invoice.status.replace('_', ' ')}
+                        </span>
+                      </td>
+                    </tr>
+                    {expanded && (
+                      <tr className="bg-[#FFF6F2]/40">
+                        <td colSpan={6} className="px-6 py-3">
+                          {invoice.payments.length === 0 ? (
+                            <p className="text-sm text-gray-500">No payments yet.</p>
+                          ) : (
+                            <ul className="divide-y divide-gray-100 text-sm">
+                              {invoice.payments.map(payment => (
+                                <li key={payment.payment_id} className="py-1 flex justify-between gap-4">
+                                  <span className={payment.voided_at ? 'text-gray-400 line-through' : 'text-gray-900'}>
+                                    {formatDate(payment.paid_on)} · {methodLabel(payment.payment_method)}
+                                    {payment.reference_number && ` · ${payment.reference_number}`}
+                                    {payment.voided_at && ' (voided)'}
+                                  </span>
+                                  <span className={payment.voided_at ? 'text-gray-400 line-through' : 'font-medium text-[#003B25]'}>
+                                    {formatCurrency(payment.amount)}
+                                  </span>
+                                </li>
+                              ))}
+                            </ul>
+                          )}
+                          {invoice.status === 'void' && (
+                            <p className="text-xs text-gray-500 mt-1">Voided: {invoice.void_reason}</p>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SupplierPaymentHistory;
@@ -103,6 +103,19 @@ export const AuthProvider = ({ children }) => {
     };
   }, []); // Empty dependency array - initialize once and only once
 
+  // Load the grants of the signed-in user's role, the same ones RLS checks.
+  // Returns null so callers fall back to the role's built-in defaults.
+  const fetchUserPermissions = async () => {
+    const { data, error } = await supabase.rpc('my_permissions');
+
+    if (error) {
+      console.error('Error fetching user permissions:', error);
+      return null;
+    }
+
+    return data || [];
+  };
+
   // Fetch user profile from staff table
   const fetchUserProfile = async (authUser) => {
     if (!authUser) {
@@ -115,7 +128,7 @@ export const AuthProvider = ({ children }) => {
       
       const { data, error } = await supabase
         .from('staff')
-        .select('*')
+        .select('*, roles (role_name)')
         .eq('user_id', authUser.id)
         .single();
       
@@ -163,7 +176,8 @@ export const AuthProvider = ({ children }) => {
           email: authUser.email,
           first_name: data.first_name || authUser.user_metadata?.first_name,
           last_name: data.last_name || authUser.user_metadata?.last_name,
-          role: data.position || authUser.user_metadata?.role || 'Cashier',
+          role: data.roles?.role_name || data.position || authUser.user_metadata?.role || 'Cashier',
+          permissions: await fetchUserPermissions(),
           status: data.status || 'Active',
           profile_image: data.profile_image || null,
           phone: data.phone || null,
@@ -311,11 +325,36 @@ export const AuthProvider = ({ children }) => {
     };
   };
 
+  // Track the browser's network state so offline mode can kick in
+  useEffect(() => {
+    const handleOffline = () => {
+      console.log('Browser went offline');
+      setConnectionStatus('disconnected');
+    };
+
+    const handleOnline = () => {
+      console.log('Browser back online');
+      setConnectionStatus('connected');
+    };
+
+    if (!navigator.onLine) {
+      setConnectionStatus('disconnected');
+    }
+
+    window.addEventListener('offline', handleOffline);
+    window.addEventListener('online', handleOnline);
+
+    return () => {
+      window.removeEventListener('offline', handleOffline);
+      window.removeEventListener('online', handleOnline);
+    };
+  }, []);
+
   // Connection status toast notifications
   useEffect(() => {
     if (connectionStatus === 'disconnected' && user) {
       toast.error(
-        'Connection to server lost. Please check your internet connection.', 
+        'Connection to server lost. Sales will be queued offline until it returns.',
         { 
           duration: 8000,
           id: 'connection-lost'
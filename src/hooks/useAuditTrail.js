@@ -0,0 +1,79 @@
+import { useState, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import supabase from '../services/supabase';
+
+// Entries loaded per page of the audit viewer
+const PAGE_SIZE = 100;
+
+/**
+ * Read-only access to the audit trail the database records for every
+ * create, update and delete
+ * @returns {Object} Audit trail state and actions
+ */
+export const useAuditTrail = () => {
+  const [entries, setEntries] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load audit entries, newest first
+   * @param {Object} filters - { staffId, entityType, entityId, startDate, endDate }
+   * @param {number} [before] - Load the page older than this audit ID and
+   *   append it to the current entries
+   * @returns {Array} Entries loaded by this call
+   */
+  const fetchAuditTrail = useCallback(async (filters = {}, before = null) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      let query = supabase
+        .from('audit_trail')
+        .select(`
+          *,
+          actor:actor_staff_id (
+            staff_id,
+            first_name,
+            last_name
+          )
+        `)
+        .order('audit_id', { ascending: false })
+        .limit(PAGE_SIZE + 1);
+
+      if (filters.staffId) query = query.eq('actor_staff_id', filters.staffId);
+      if (filters.entityType) query = query.eq('entity_type', filters.entityType);
+      if (filters.entityId) query = query.eq('entity_id', String(filters.entityId).trim());
+      if (filters.startDate) query = query.gte('created_at', new Date(filters.startDate).toISOString());
+      if (filters.endDate) query = query.lt('created_at', new Date(filters.endDate).toISOString());
+      if (before) query = query.lt('audit_id', before);
+
+      const { data, error: fetchError } = await query;
+
+      if (fetchError) throw fetchError;
+
+      const page = data.slice(0, PAGE_SIZE);
+      setEntries(prev => before ? [...prev, ...page] : page);
+      setHasMore(data.length > PAGE_SIZE);
+
+      return page;
+    } catch (err) {
+      console.error('Error fetching audit trail:', err);
+      setError(err.message);
+      toast.error('Failed to load the audit trail');
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  return {
+    entries,
+    hasMore,
+    loading,
+    error,
+    fetchAuditTrail
+  };
+};
+
+export default useAuditTrail;
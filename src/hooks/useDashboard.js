@@ -0,0 +1,369 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { toast } from 'react-hot-toast';
+import { differenceInCalendarDays, format, startOfDay, subDays } from 'date-fns';
+import supabase from '../services/supabase';
+
+// Entries kept in the recent activity feed
+const ACTIVITY_LIMIT = 15;
+
+// Rows shown in the top items and low stock lists
+const LIST_LIMIT = 5;
+
+// Purchase orders that are approved or accepted but not yet fully received
+const IN_TRANSIT_STATUSES = ['approved', 'accepted', 'partially_received'];
+
+// Realtime changes often come in bursts (a sale and its void, several
+// approvals), so the figures are reloaded once the burst settles
+const REFRESH_DELAY_MS = 1000;
+
+const emptySummary = {
+  sales: 0,
+  transactions: 0,
+  averageTicket: 0,
+  salesChange: null,
+  transactionsChange: null,
+  averageTicketChange: null
+};
+
+const emptyPending = {
+  pullouts: [],
+  pulloutCount: 0,
+  purchasesAwaitingApproval: 0,
+  purchasesInTransit: 0,
+  purchasesReceived: 0
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Percentage change from the earlier figure, or null when there is nothing to compare
+const percentChange = (current, previous) => {
+  if (!previous) return null;
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+};
+
+const totalSales = (sales) => sales.reduce((sum, sale) => sum + (Number(sale.total_amount) || 0), 0);
+
+const saleLabel = (sale) => sale.or_number ? `OR ${sale.or_number}` : `#${sale.sale_id}`;
+
+const saleActivity = (sale) => ({
+  id: `sale-${sale.sale_id}`,
+  type: sale.is_voided ? 'alert' : 'sale',
+  description: sale.is_voided ? `Sale ${saleLabel(sale)} voided` : `New sale ${saleLabel(sale)}`,
+  amount: sale.is_voided ? null : Number(sale.total_amount) || 0,
+  time: sale.sale_date
+});
+
+const pulloutActivity = (pullout, ingredients) => {
+  const ingredient = ingredients[pullout.ingredient_id];
+  const what = ingredient
+    ? `${pullout.quantity} ${ingredient.unit || ''} ${ingredient.name}`.replace(/\s+/g, ' ')
+    : `${pullout.quantity} of an ingredient`;
+  const description = pullout.status === 'pending'
+    ? `Pullout requested: ${what}`
+    : `Pullout ${pullout.status}: ${what}`;
+
+  return {
+    id: `pullout-${pullout.pullout_id}-${pullout.status}`,
+    type: pullout.status === 'pending' ? 'alert' : 'inventory',
+    description,
+    amount: null,
+    time: pullout.updated_at || pullout.created_at
+  };
+};
+
+const purchaseActivity = (purchase) => ({
+  id: `purchase-${purchase.purchase_id}-${purchase.status}`,
+  type: 'inventory',
+  description: purchase.status === 'pending'
+    ? `Purchase order #${purchase.purchase_id} created`
+    : `Purchase order #${purchase.purchase_id} ${purchase.status}`,
+  amount: Number(purchase.total_amount) || null,
+  time: purchase.updated_at || purchase.created_at || purchase.purchase_date
+});
+
+const byNewest = (a, b) => new Date(b.time) - new Date(a.time);
+
+/**
+ * Live figures for the dashboard: today's sales against the same weekday
+ * last week, top items, low stock, open pullouts and purchase orders, and a
+ * recent activity feed that follows new sales, pullouts and purchase orders
+ * in real time
+ * @returns {Object} Dashboard state and actions
+ */
+export const useDashboard = () => {
+  const [summary, setSummary] = useState(emptySummary);
+  const [salesTrend, setSalesTrend] = useState({ labels: [], current: [], previous: [] });
+  const [topItems, setTopItems] = useState([]);
+  const [lowStock, setLowStock] = useState({ count: 0, ingredients: [] });
+  const [pending, setPending] = useState(emptyPending);
+  const [activities, setActivities] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Ingredients by ID for pullout activity, which arrives from realtime
+  // without its ingredient
+  const ingredientsRef = useRef({});
+
+  /**
+   * Load every dashboard figure and the recent activity feed
+   * @param {Object} [options] - { quiet: reload without the loading state or
+   *   an error toast, used when realtime changes come in }
+   * @returns {Object} Summary figures
+   */
+  const fetchDashboard = useCallback(async ({ quiet = false } = {}) => {
+    if (!quiet) setLoading(true);
+    setError(null);
+
+    try {
+      const now = new Date();
+      const todayStart = startOfDay(now);
+      const trendStart = subDays(todayStart, 13);
+      const receivedSince = format(subDays(todayStart, 30), 'yyyy-MM-dd');
+
+      const results = await Promise.all([
+        supabase
+          .from('sales_header')
+          .select('sale_id, or_number, sale_date, total_amount, is_voided')
+          .gte('sale_date', trendStart.toISOString())
+          .order('sale_date', { ascending: false }),
+        supabase
+          .from('sales_detail')
+          .select(`
+            item_id,
+            quantity,
+            subtotal,
+            items:item_id (item_name),
+            sale:sale_id!inner (sale_date, is_voided)
+          `)
+          .gte('sale.sale_date', todayStart.toISOString())
+          .eq('sale.is_voided', false),
+        supabase
+          .from('ingredients')
+          .select('ingredient_id, name, unit, quantity, minimum_quantity'),
+        supabase
+          .from('pullout')
+          .select('*')
+          .order('created_at', { ascending: false })
+          .limit(ACTIVITY_LIMIT),
+        supabase
+          .from('pullout')
+          .select('*', { count: 'exact' })
+          .eq('status', 'pending')
+          .order('created_at', { ascending: true })
+          .limit(LIST_LIMIT),
+        supabase
+          .from('purchase')
+          .select('purchase_id, status, total_amount, purchase_date, created_at, updated_at')
+          .or(`status.in.(pending,${IN_TRANSIT_STATUSES.join(',')}),purchase_date.gte.${receivedSince}`)
+          .order('purchase_id', { ascending: false })
+      ]);
+
+      const failed = results.find(result => result.error);
+      if (failed) throw failed.error;
+
+      const [salesResult, linesResult, ingredientsResult, pulloutsResult, pendingPulloutsResult, purchasesResult] = results;
+
+      const sales = salesResult.data.filter(sale => !sale.is_voided);
+
+      // Today runs to now, so last week's same weekday is cut at the same time of day
+      const lastWeekStart = subDays(todayStart, 7);
+      const lastWeekNow = subDays(now, 7);
+      const today = sales.filter(sale => new Date(sale.sale_date) >= todayStart);
+      const lastWeek = sales.filter(sale => {
+        const date = new Date(sale.sale_date);
+        return date >= lastWeekStart && date <= lastWeekNow;
+      });
+
+      const todayTotal = totalSales(today);
+      const lastWeekTotal = totalSales(lastWeek);
+      const todayAverage = today.length ? todayTotal / today.length : 0;
+      const lastWeekAverage = lastWeek.length ? lastWeekTotal / lastWeek.length : 0;
+
+      const nextSummary = {
+        sales: roundMoney(todayTotal),
+        transactions: today.length,
+        averageTicket: roundMoney(todayAverage),
+        salesChange: percentChange(todayTotal, lastWeekTotal),
+        transactionsChange: percentChange(today.length, lastWeek.length),
+        averageTicketChange: percentChange(todayAverage, lastWeekAverage)
+      };
+      setSummary(nextSummary);
+
+      // Daily totals for the last 7 days and the 7 days before them
+      const dailyTotals = Array(14).fill(0);
+      sales.forEach(sale => {
+        const day = differenceInCalendarDays(new Date(sale.sale_date), trendStart);
+        if (day >= 0 && day < 14) dailyTotals[day] += Number(sale.total_amount) || 0;
+      });
+      setSalesTrend({
+        labels: Array.from({ length: 7 }, (_, i) =>
+          subDays(todayStart, 6 - i).toLocaleDateString('en-US', { weekday: 'short' })
+        ),
+        current: dailyTotals.slice(7).map(roundMoney),
+        previous: dailyTotals.slice(0, 7).map(roundMoney)
+      });
+
+      const itemTotals = {};
+      linesResult.data.forEach(line => {
+        const entry = itemTotals[line.item_id] || {
+          id: line.item_id,
+          name: line.items?.item_name || 'Unknown Item',
+          quantity: 0,
+          revenue: 0
+        };
+        entry.quantity += Number(line.quantity) || 0;
+        entry.revenue += Number(line.subtotal) || 0;
+        itemTotals[line.item_id] = entry;
+      });
+      setTopItems(
+        Object.values(itemTotals)
+          .sort((a, b) => b.quantity - a.quantity || b.revenue - a.revenue)
+          .slice(0, LIST_LIMIT)
+      );
+
+      ingredientsRef.current = Object.fromEntries(
+        ingredientsResult.data.map(ingredient => [ingredient.ingredient_id, ingredient])
+      );
+
+      // Most depleted first, relative to each ingredient's own minimum
+      const low = ingredientsResult.data
+        .filter(ingredient => Number(ingredient.quantity) <= Number(ingredient.minimum_quantity))
+        .map(ingredient => ({
+          ...ingredient,
+          stockRatio: Number(ingredient.minimum_quantity) > 0
+            ? Number(ingredient.quantity) / Number(ingredient.minimum_quantity)
+            : 0
+        }))
+        .sort((a, b) => a.stockRatio - b.stockRatio);
+      setLowStock({ count: low.length, ingredients: low.slice(0, LIST_LIMIT) });
+
+      const purchases = purchasesResult.data;
+      setPending({
+        pullouts: pendingPulloutsResult.data.map(pullout => ({
+          ...pullout,
+          ingredientName: ingredientsRef.current[pullout.ingredient_id]?.name || 'Unknown ingredient',
+          unit: ingredientsRef.current[pullout.ingredient_id]?.unit || ''
+        })),
+        pulloutCount: pendingPulloutsResult.count || 0,
+        purchasesAwaitingApproval: purchases.filter(purchase => purchase.status === 'pending').length,
+        purchasesInTransit: purchases.filter(purchase => IN_TRANSIT_STATUSES.includes(purchase.status)).length,
+        purchasesReceived: purchases.filter(purchase =>
+          purchase.status === 'completed' && purchase.purchase_date >= receivedSince
+        ).length
+      });
+
+      setActivities(
+        [
+          ...salesResult.data.slice(0, ACTIVITY_LIMIT).map(saleActivity),
+          ...pulloutsResult.data.map(pullout => pulloutActivity(pullout, ingredientsRef.current)),
+          ...purchases.slice(0, ACTIVITY_LIMIT).map(purchaseActivity)
+        ]
+          .sort(byNewest)
+          .slice(0, ACTIVITY_LIMIT)
+      );
+
+      return nextSummary;
+    } catch (err) {
+      console.error('Error fetching dashboard data:', err);
+      setError(err.message);
+      if (!quiet) toast.error('Failed to load dashboard data');
+      throw err;
+    } finally {
+      if (!quiet) setLoading(false);
+    }
+  }, []);
+
+  // Each change shows up in the feed at once; the figures are then reloaded
+  // so totals, stock and pending counts follow it
+  useEffect(() => {
+    const addActivity = (activity) => {
+      setActivities(prev => [
+        activity,
+        ...prev.filter(existing => existing.id !== activity.id)
+      ].slice(0, ACTIVITY_LIMIT));
+    };
+
+    let refreshTimer = null;
+    const refresh = () => {
+      clearTimeout(refreshTimer);
+      refreshTimer = setTimeout(() => {
+        fetchDashboard({ quiet: true }).catch(() => {});
+      }, REFRESH_DELAY_MS);
+    };
+
+    const salesSubscription = supabase
+      .channel('dashboard-sales-changes')
+      .on('postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'sales_header'
+        },
+        (payload) => {
+          if (payload.eventType === 'INSERT' || (payload.eventType === 'UPDATE' && payload.new.is_voided && !payload.old?.is_voided)) {
+            addActivity({ ...saleActivity(payload.new), time: new Date().toISOString() });
+          }
+          refresh();
+        }
+      )
+      .subscribe();
+
+    const pulloutSubscription = supabase
+      .channel('dashboard-pullout-changes')
+      .on('postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'pullout'
+        },
+        (payload) => {
+          if (payload.eventType !== 'DELETE') {
+            addActivity({
+              ...pulloutActivity(payload.new, ingredientsRef.current),
+              time: new Date().toISOString()
+            });
+          }
+          refresh();
+        }
+      )
+      .subscribe();
+
+    const purchaseSubscription = supabase
+      .channel('dashboard-purchase-changes')
+      .on('postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'purchase'
+        },
+        (payload) => {
+          if (payload.eventType !== 'DELETE') {
+            addActivity({ ...purchaseActivity(payload.new), time: new Date().toISOString() });
+          }
+          refresh();
+        }
+      )
+      .subscribe();
+
+    return () => {
+      clearTimeout(refreshTimer);
+      supabase.removeChannel(salesSubscription);
+      supabase.removeChannel(pulloutSubscription);
+      supabase.removeChannel(purchaseSubscription);
+    };
+  }, [fetchDashboard]);
+
+  return {
+    summary,
+    salesTrend,
+    topItems,
+    lowStock,
+    pending,
+    activities,
+    loading,
+    error,
+    fetchDashboard
+  };
+};
+
+export default useDashboard;
@@ -0,0 +1,158 @@
+import { useState, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import supabase from '../services/supabase';
+
+/**
+ * Operating expenses (rent, payroll, utilities and the like) that the
+ * financial report takes off gross profit
+ * @returns {Object} Expense state and actions
+ */
+export const useExpenses = () => {
+  const [expenses, setExpenses] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load expenses, newest first
+   * @param {Object} filters - { startDate, endDate, category }, dates as
+   *   yyyy-MM-dd and inclusive
+   * @returns {Array} Expenses
+   */
+  const fetchExpenses = useCallback(async (filters = {}) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      let query = supabase
+        .from('expenses')
+        .select('*')
+        .order('expense_date', { ascending: false })
+        .order('expense_id', { ascending: false });
+
+      if (filters.startDate) query = query.gte('expense_date', filters.startDate);
+      if (filters.endDate) query = query.lte('expense_date', filters.endDate);
+      if (filters.category) query = query.eq('category', filters.category);
+
+      const { data, error: fetchError } = await query;
+
+      if (fetchError) throw fetchError;
+
+      setExpenses(data);
+      return data;
+    } catch (err) {
+      console.error('Error fetching expenses:', err);
+      setError(err.message);
+      toast.error('Failed to load expenses');
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Record an expense
+   * @param {Object} expenseData - { expense_date, category, description,
+   *   amount, payee, reference_number }
+   * @returns {Object} Created expense
+   */
+  const createExpense = useCallback(async (expenseData) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: createError } = await supabase
+        .from('expenses')
+        .insert([expenseData])
+        .select()
+        .single();
+
+      if (createError) throw createError;
+
+      setExpenses(prev => [data, ...prev]);
+      toast.success('Expense recorded');
+      return data;
+    } catch (err) {
+      console.error('Error recording expense:', err);
+      setError(err.message);
+      toast.error(`Failed to record expense: ${err.message}`);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Update an expense
+   * @param {number} id - Expense ID
+   * @param {Object} expenseData - Fields to change
+   * @returns {Object} Updated expense
+   */
+  const updateExpense = useCallback(async (id, expenseData) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: updateError } = await supabase
+        .from('expenses')
+        .update({ ...expenseData, updated_at: new Date().toISOString() })
+        .eq('expense_id', id)
+        .select()
+        .single();
+
+      if (updateError) throw updateError;
+
+      setExpenses(prev => prev.map(expense => expense.expense_id === id ? data : expense));
+      toast.success('Expense updated');
+      return data;
+    } catch (err) {
+      console.error(`Error updating expense ${id}:`, err);
+      setError(err.message);
+      toast.error(`Failed to update expense: ${err.message}`);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Delete an expense
+   * @param {number} id - Expense ID
+   * @returns {boolean} Success status
+   */
+  const deleteExpense = useCallback(async (id) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { error: deleteError } = await supabase
+        .from('expenses')
+        .delete()
+        .eq('expense_id', id);
+
+      if (deleteError) throw deleteError;
+
+      setExpenses(prev => prev.filter(expense => expense.expense_id !== id));
+      toast.success('Expense deleted');
+      return true;
+    } catch (err) {
+      console.error(`Error deleting expense ${id}:`, err);
+      setError(err.message);
+      toast.error(`Failed to delete expense: ${err.message}`);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  return {
+    expenses,
+    loading,
+    error,
+    fetchExpenses,
+    createExpense,
+    updateExpense,
+    deleteExpense
+  };
+};
+
+export default useExpenses;
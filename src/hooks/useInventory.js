@@ -1,10 +1,14 @@
 import { useState, useCallback, useEffect } from 'react';
 import { toast } from 'react-hot-toast';
+import { format } from 'date-fns';
 import supabase from '../services/supabase';
 import { useAuth } from './useAuth';
+import { cacheRecipe, estimateAvailability, isNetworkError } from '../services/offlineStore';
+import { summarizeRecipeUsage } from '../utils/modifier-utils';
+import { lotExpiryStatus } from '../utils/lot-utils';
 
 export const useInventory = () => {
-  const { user } = useAuth();
+  const { user, connectionStatus } = useAuth();
   const [ingredients, setIngredients] = useState([]);
   const [items, setItems] = useState([]);
   const [pullouts, setPullouts] = useState([]);
@@ -131,7 +135,7 @@ export const useInventory = () => {
     try {
       const { data, error: ingredientsError } = await supabase
         .from('ingredients')
-        .select('*')
+        .select('*, ingredient_units(unit, factor)')
         .order('name', { ascending: true });
       
       if (ingredientsError) throw ingredientsError;
@@ -331,9 +335,26 @@ export const useInventory = () => {
     setError(null);
     
     try {
+      // On-hand quantity only moves through the stock ledger. A form edit
+      // sends the difference it made (quantity_change) rather than a total
+      // that may have been overtaken by sales since the form was opened.
+      const { quantity_change: quantityChange, ...details } = ingredientData;
+      delete details.quantity;
+      
+      if (quantityChange) {
+        const { data: adjusted, error: adjustError } = await supabase.rpc('adjust_stock', {
+          p_ingredient_id: id,
+          p_quantity: quantityChange,
+          p_notes: 'Quantity edited on the ingredient form'
+        });
+        
+        if (adjustError) throw adjustError;
+        if (!adjusted?.success) throw new Error(adjusted?.message || 'Stock adjustment failed');
+      }
+      
       // Add updated_at timestamp
       const updatedIngredientData = {
-        ...ingredientData,
+        ...details,
         updated_at: new Date().toISOString()
       };
       
@@ -358,6 +379,55 @@ export const useInventory = () => {
     }
   }, []);
 
+  // Replace the units an ingredient can be bought or used in. Each unit
+  // carries how many stock units one of it holds ({ unit, factor }).
+  const saveIngredientUnits = useCallback(async (ingredientId, units = []) => {
+    setError(null);
+
+    try {
+      if (units.length > 0) {
+        const { error: upsertError } = await supabase
+          .from('ingredient_units')
+          .upsert(
+            units.map(row => ({
+              ingredient_id: ingredientId,
+              unit: row.unit,
+              factor: row.factor
+            })),
+            { onConflict: 'ingredient_id,unit' }
+          );
+
+        if (upsertError) throw upsertError;
+      }
+
+      // Units no longer listed are removed; the server refuses while a recipe uses one
+      let deleteQuery = supabase
+        .from('ingredient_units')
+        .delete()
+        .eq('ingredient_id', ingredientId);
+
+      if (units.length > 0) {
+        deleteQuery = deleteQuery.not('unit', 'in', `(${units.map(row => `"${row.unit}"`).join(',')})`);
+      }
+
+      const { error: deleteError } = await deleteQuery;
+
+      if (deleteError) throw deleteError;
+
+      const saved = units.map(row => ({ unit: row.unit, factor: row.factor }));
+      setIngredients(prev => prev.map(ing =>
+        ing.ingredient_id === ingredientId ? { ...ing, ingredient_units: saved } : ing
+      ));
+
+      return saved;
+    } catch (err) {
+      console.error(`Error saving units for ingredient ${ingredientId}:`, err);
+      setError('Failed to save ingredient units');
+      toast.error(`Failed to save units: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
   // Delete an ingredient
   const deleteIngredient = useCallback(async (id) => {
     setLoading(true);
@@ -525,17 +595,12 @@ export const useInventory = () => {
         requested_by: pulloutData.requested_by || user?.id, // Use user ID directly
         date_of_pullout: pulloutData.date_of_pullout || new Date().toISOString().split('T')[0],
         status: 'pending', // Default status is pending
+        lot_id: pulloutData.lot_id || null, // Lot approval takes from first
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
       };
       
-      // Add approved_by if present
-      if (pulloutData.approved_by) {
-        pullout.approved_by = pulloutData.approved_by;
-        pullout.status = 'approved';
-      }
-      
-      // Create the pullout record
+      // Create the pullout record as pending; approval takes the stock out
       const { data: newPullout, error: pulloutError } = await supabase
         .from('pullout')
         .insert(pullout)
@@ -544,20 +609,17 @@ export const useInventory = () => {
       
       if (pulloutError) throw pulloutError;
       
-      // If manager approval is included, approve it immediately and update inventory
+      // If manager approval is included, approve it immediately
       if (pulloutData.approved_by) {
-        // Update the ingredient quantity
-        const { error: updateError } = await supabase
-          .from('ingredients')
-          .update({ 
-            quantity: ingredient.quantity - pulloutData.quantity,
-            updated_at: new Date().toISOString()
-          })
-          .eq('ingredient_id', pulloutData.ingredient_id);
+        const { data: result, error: approveError } = await supabase.rpc('approve_pullout', {
+          p_pullout_id: newPullout.pullout_id
+        });
         
-        if (updateError) throw updateError;
+        if (approveError) throw approveError;
+        if (!result?.success) throw new Error(result?.message || 'Pullout approval failed');
         
         toast.success('Pullout record created and approved');
+        return result.pullout;
       } else {
         toast.success('Pullout record created successfully!');
       }
@@ -685,60 +747,26 @@ export const useInventory = () => {
   }, []);
 
   // Approve a pullout record
-  const approvePullout = useCallback(async (id, managerId) => {
+  const approvePullout = useCallback(async (id) => {
     setLoading(true);
     setError(null);
     
     try {
-      // Begin by getting the pullout information
-      const { data: pullout, error: pulloutError } = await supabase
-        .from('pullout') // CORRECT: Using 'pullout' (singular)
-        .select('*, ingredients:ingredient_id(quantity)')
-        .eq('pullout_id', id)
-        .single();
-      
-      if (pulloutError) throw pulloutError;
-      
-      if (pullout.status !== 'pending') {
-        throw new Error(`This pullout is already ${pullout.status}`);
-      }
-      
-      // Check if there is enough quantity
-      if (pullout.ingredients.quantity < pullout.quantity) {
-        throw new Error('Not enough quantity available for this pullout');
-      }
-      
-      // FIXED: Changed from 'pullouts' to 'pullout'
-      // FIXED: Changed manager_id to approved_by
-      const { data: approvedPullout, error: approveError } = await supabase
-        .from('pullout') // FIXED: Changed from 'pullouts' to 'pullout'
-        .update({
-          approved_by: managerId, // FIXED: Changed from manager_id to approved_by
-          status: 'approved',
-          updated_at: new Date().toISOString()
-        })
-        .eq('pullout_id', id)
-        .select()
-        .single();
+      // Status change and stock deduction happen together on the server,
+      // which records the signed-in user as the approver
+      const { data: result, error: approveError } = await supabase.rpc('approve_pullout', {
+        p_pullout_id: id
+      });
       
       if (approveError) throw approveError;
+      if (!result?.success) throw new Error(result?.message || 'Pullout approval failed');
       
-      // Update the ingredient quantity
-      const newQuantity = pullout.ingredients.quantity - pullout.quantity;
-      const { error: updateError } = await supabase
-        .from('ingredients')
-        .update({
-          quantity: newQuantity,
-          updated_at: new Date().toISOString()
-        })
-        .eq('ingredient_id', pullout.ingredient_id);
-      
-      if (updateError) throw updateError;
+      const approvedPullout = result.pullout;
       
       // Also update the local state
       setPullouts(prevPullouts => 
         prevPullouts.map(p => 
-          p.pullout_id === id ? {...p, status: 'approved', approved_by: managerId} : p
+          p.pullout_id === id ? {...p, status: 'approved', approved_by: approvedPullout.approved_by} : p
         )
       );
       
@@ -887,6 +915,8 @@ export const useInventory = () => {
         .from('item_ingredients')
         .select(`
           quantity,
+          unit,
+          unit_factor,
           ingredients:ingredient_id (
             ingredient_id,
             name,
@@ -896,7 +926,8 @@ export const useInventory = () => {
             unit_cost
           )
         `)
-        .eq('item_id', itemId);
+        .eq('item_id', itemId)
+        .is('modifier_id', null); // Base recipe only - modifier deltas are loaded with the modifiers
       
       if (recipeError) throw recipeError;
       
@@ -906,6 +937,9 @@ export const useInventory = () => {
         name: item.ingredients.name,
         unit: item.ingredients.unit,
         quantity_per_item: item.quantity,
+        // Unit the recipe is written in and stock units in one of it
+        recipe_unit: item.unit || item.ingredients.unit,
+        unit_factor: item.unit_factor,
         available_quantity: item.ingredients.quantity,
         minimum_quantity: item.ingredients.minimum_quantity,
         unit_cost: item.ingredients.unit_cost
@@ -928,11 +962,12 @@ export const useInventory = () => {
     setError(null);
     
     try {
-      // First delete existing recipe
+      // First delete existing base recipe (modifier deltas are kept)
       const { error: deleteError } = await supabase
         .from('item_ingredients')
         .delete()
-        .eq('item_id', itemId);
+        .eq('item_id', itemId)
+        .is('modifier_id', null);
       
       if (deleteError) throw deleteError;
       
@@ -942,7 +977,8 @@ export const useInventory = () => {
         const recipeData = ingredients.map(ing => ({
           item_id: itemId,
           ingredient_id: ing.ingredient_id,
-          quantity: ing.quantity
+          quantity: ing.quantity,
+          unit: ing.unit || null
         }));
         
         // Insert the new recipe ingredients
@@ -965,14 +1001,147 @@ export const useInventory = () => {
     }
   }, [fetchItemIngredients]);
 
+  // Fetch modifier groups (size, milk, add-ons) for one item or the whole menu
+  const fetchModifierGroups = useCallback(async (itemId = null) => {
+    try {
+      let query = supabase
+        .from('item_modifier_groups')
+        .select(`
+          *,
+          item_modifiers (
+            *,
+            item_ingredients (
+              ingredient_id,
+              quantity,
+              unit
+            )
+          )
+        `)
+        .order('sort_order', { ascending: true });
+      
+      if (itemId) {
+        query = query.eq('item_id', itemId);
+      }
+      
+      const { data, error: groupsError } = await query;
+      
+      if (groupsError) throw groupsError;
+      
+      // Flatten into groups with sorted modifiers and their recipe deltas
+      return (data || []).map(group => ({
+        group_id: group.group_id,
+        item_id: group.item_id,
+        name: group.name,
+        is_required: group.is_required,
+        max_select: group.max_select || 1,
+        sort_order: group.sort_order,
+        modifiers: (group.item_modifiers || [])
+          .sort((a, b) => a.sort_order - b.sort_order)
+          .map(mod => ({
+            modifier_id: mod.modifier_id,
+            name: mod.name,
+            price_delta: parseFloat(mod.price_delta) || 0,
+            is_default: mod.is_default,
+            sort_order: mod.sort_order,
+            recipe: mod.item_ingredients || []
+          }))
+      }));
+    } catch (err) {
+      console.error(`Error fetching modifier groups${itemId ? ` for item ${itemId}` : ''}:`, err);
+      throw err;
+    }
+  }, []);
+
+  // Replace an item's modifier groups, modifiers and their recipe deltas
+  const updateItemModifiers = useCallback(async (itemId, groups = []) => {
+    setLoading(true);
+    setError(null);
+    
+    try {
+      // Removing the groups cascades to their modifiers and recipe deltas
+      const { error: deleteError } = await supabase
+        .from('item_modifier_groups')
+        .delete()
+        .eq('item_id', itemId);
+      
+      if (deleteError) throw deleteError;
+      
+      for (const [groupIndex, group] of groups.entries()) {
+        const { data: newGroup, error: groupError } = await supabase
+          .from('item_modifier_groups')
+          .insert({
+            item_id: itemId,
+            name: group.name,
+            is_required: !!group.is_required,
+            max_select: parseInt(group.max_select) || 1,
+            sort_order: groupIndex
+          })
+          .select()
+          .single();
+        
+        if (groupError) throw groupError;
+        
+        for (const [modIndex, mod] of (group.modifiers || []).entries()) {
+          const { data: newModifier, error: modifierError } = await supabase
+            .from('item_modifiers')
+            .insert({
+              group_id: newGroup.group_id,
+              name: mod.name,
+              price_delta: parseFloat(mod.price_delta) || 0,
+              is_default: !!mod.is_default,
+              sort_order: modIndex
+            })
+            .select()
+            .single();
+          
+          if (modifierError) throw modifierError;
+          
+          const recipeDeltas = (mod.recipe || [])
+            .filter(row => row.ingredient_id && parseFloat(row.quantity))
+            .map(row => ({
+              item_id: itemId,
+              ingredient_id: parseInt(row.ingredient_id),
+              modifier_id: newModifier.modifier_id,
+              quantity: parseFloat(row.quantity),
+              unit: row.unit || null
+            }));
+          
+          if (recipeDeltas.length > 0) {
+            const { error: recipeError } = await supabase
+              .from('item_ingredients')
+              .insert(recipeDeltas);
+            
+            if (recipeError) throw recipeError;
+          }
+        }
+      }
+      
+      return await fetchModifierGroups(itemId);
+    } catch (err) {
+      console.error(`Error updating modifiers for item ${itemId}:`, err);
+      setError('Failed to update item modifiers');
+      toast.error(`Failed to update modifiers: ${err.message}`);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [fetchModifierGroups]);
+
   // Add this function to handle ingredient availability checking
-  const checkIngredientAvailability = useCallback(async (itemId, quantity = 1) => {
+  const checkIngredientAvailability = useCallback(async (itemId, quantity = 1, modifierIds = []) => {
+    // While offline, answer from the recipe and stock levels cached on this terminal
+    if (connectionStatus === 'disconnected') {
+      return estimateAvailability(itemId, quantity, modifierIds);
+    }
+
     try {
-      // Get the recipe ingredients
+      // Get the recipe ingredients, including any modifier deltas
       const { data: recipe, error: recipeError } = await supabase
         .from('item_ingredients')
         .select(`
           quantity,
+          unit_factor,
+          modifier_id,
           ingredients:ingredient_id (
             ingredient_id,
             name,
@@ -984,6 +1153,11 @@ export const useInventory = () => {
       
       if (recipeError) throw recipeError;
       
+      // Keep a local copy for offline availability estimates
+      cacheRecipe(itemId, recipe || []).catch(cacheError => {
+        console.warn('Could not cache recipe for offline use:', cacheError);
+      });
+      
       if (!recipe || recipe.length === 0) {
         // No ingredients needed, so it's available
         return { 
@@ -994,120 +1168,90 @@ export const useInventory = () => {
         };
       }
       
+      // Combine the base recipe with the chosen modifiers' deltas
+      const ingredientMap = {};
+      const rows = recipe
+        .filter(row => row.ingredients)
+        .map(row => {
+          ingredientMap[row.ingredients.ingredient_id] = row.ingredients;
+          return {
+            ingredient_id: row.ingredients.ingredient_id,
+            quantity: row.quantity,
+            unit_factor: row.unit_factor,
+            modifier_id: row.modifier_id
+          };
+        });
+      const usage = summarizeRecipeUsage(rows, modifierIds);
+      
       // Check if all ingredients have enough stock
       let available = true;
       let limitingQuantity = Infinity;
       let limitingIngredient = null;
       let message = '';
       
-      for (const item of recipe) {
-        if (!item.ingredients || item.ingredients.quantity === null) {
+      for (const [ingredientId, perUnit] of usage) {
+        const ingredient = ingredientMap[ingredientId];
+        if (!ingredient || ingredient.quantity === null || perUnit <= 0) {
           continue;
         }
         
-        const requiredQty = item.quantity * quantity;
-        const availableQty = item.ingredients.quantity || 0;
-        const availableBatches = Math.floor(availableQty / item.quantity);
+        const requiredQty = perUnit * quantity;
+        const availableQty = ingredient.quantity || 0;
+        const availableBatches = Math.floor(availableQty / perUnit);
         
         if (requiredQty > availableQty) {
           available = false;
-          limitingIngredient = item.ingredients;
-          message = `Not enough ${item.ingredients.name} to make this item`;
+          limitingIngredient = ingredient;
+          message = `Not enough ${ingredient.name} to make this item`;
           break;
         }
         
         if (availableBatches < limitingQuantity) {
           limitingQuantity = availableBatches;
-          limitingIngredient = item.ingredients;
+          limitingIngredient = ingredient;
         }
       }
       
       return {
         available,
-        availableQuantity: limitingQuantity,
+        availableQuantity: limitingQuantity === Infinity ? 999 : limitingQuantity,
         lowStockThreshold: limitingIngredient?.minimum_quantity || 5,
         message,
         limitingIngredient: limitingIngredient?.name
       };
     } catch (error) {
+      if (isNetworkError(error)) {
+        console.warn('Availability check failed offline, using local estimate:', error);
+        return estimateAvailability(itemId, quantity, modifierIds);
+      }
       console.error('Error checking ingredient availability:', error);
       throw error;
     }
-  }, []);
+  }, [connectionStatus]);
 
-  // Add this function to process a sale by deducting ingredients
-  const processItemSale = useCallback(async (items) => {
+  // Deduct the recipe of sold items in one server-side posting, so two
+  // terminals selling at once cannot overwrite each other's counts. The
+  // server takes from the first-expiring lots and reports which it used.
+  const processItemSale = useCallback(async (items, saleId = null) => {
     try {
-      const deductions = [];
-      
-      // For each item being sold
-      for (const item of items) {
-        // Get the recipe for the item
-        const { data: recipe, error: recipeError } = await supabase
-          .from('item_ingredients')
-          .select(`
-            quantity,
-            ingredients:ingredient_id (
-              ingredient_id,
-              name,
-              quantity,
-              minimum_quantity
-            )
-          `)
-          .eq('item_id', item.item_id);
-        
-        if (recipeError) throw recipeError;
-        
-        if (!recipe || recipe.length === 0) {
-          continue; // No ingredients to deduct
-        }
-        
-        // Calculate the required ingredient amounts
-        for (const ingredient of recipe) {
-          if (!ingredient.ingredients) continue;
-          
-          const deductAmount = ingredient.quantity * item.quantity;
-          
-          // Add to deductions list
-          deductions.push({
-            ingredient_id: ingredient.ingredients.ingredient_id,
-            name: ingredient.ingredients.name,
-            quantity: deductAmount,
-            current_quantity: ingredient.ingredients.quantity || 0,
-            minimum_quantity: ingredient.ingredients.minimum_quantity || 5
-          });
-        }
-      }
+      const { data, error: deductError } = await supabase.rpc('deduct_sale_ingredients', {
+        p_items: items.map(item => ({
+          item_id: item.item_id,
+          quantity: item.quantity,
+          modifier_ids: item.modifier_ids || []
+        })),
+        p_sale_id: saleId
+      });
       
-      // Group the deductions by ingredient
-      const groupedDeductions = {};
-      for (const deduction of deductions) {
-        if (!groupedDeductions[deduction.ingredient_id]) {
-          groupedDeductions[deduction.ingredient_id] = { ...deduction };
-        } else {
-          groupedDeductions[deduction.ingredient_id].quantity += deduction.quantity;
-        }
-      }
+      if (deductError) throw deductError;
+      if (!data?.success) throw new Error(data?.message || 'Failed to deduct ingredients');
       
-      const deductionsArray = Object.values(groupedDeductions);
+      const deductions = data?.deductions || [];
       
-      // Process each deduction
-      for (const deduction of deductionsArray) {
-        // Update the ingredient quantity
-        const { error: updateError } = await supabase
-          .from('ingredients')
-          .update({
-            quantity: deduction.current_quantity - deduction.quantity,
-            updated_at: new Date().toISOString()
-          })
-          .eq('ingredient_id', deduction.ingredient_id);
-        
-        if (updateError) {
-          throw updateError;
-        }
-        
-        // Check if we need to show low stock warning
-        if ((deduction.current_quantity - deduction.quantity) <= deduction.minimum_quantity) {
+      // Check if we need to show low stock warnings
+      deductions
+        .filter(deduction => deduction.balance_after <= (deduction.minimum_quantity ?? 5))
+        .forEach(deduction => {
           toast.error(`Low stock alert: ${deduction.name}`, {
             icon: '⚠️',
             style: {
@@ -1116,12 +1260,18 @@ export const useInventory = () => {
               borderColor: '#FFE082'
             }
           });
-        }
-      }
+        });
+
+      // Expired lots are only used once every other lot is empty
+      deductions
+        .filter(deduction => deduction.lots?.some(lot => lotExpiryStatus(lot) === 'expired'))
+        .forEach(deduction => {
+          toast.error(`Used expired stock of ${deduction.name}`, { icon: '⚠️' });
+        });
       
       return {
         success: true,
-        deductions: deductionsArray
+        deductions
       };
     } catch (err) {
       console.error('Error processing sale deductions:', err);
@@ -1130,6 +1280,90 @@ export const useInventory = () => {
     }
   }, []);
 
+  // Manually add (positive) or remove (negative) stock with a reason. Stock
+  // added can be given a lot ({ lot_number, expiry_date }).
+  const adjustStock = useCallback(async (ingredientId, quantity, notes, lot = {}) => {
+    setError(null);
+    
+    try {
+      const { data, error: adjustError } = await supabase.rpc('adjust_stock', {
+        p_ingredient_id: ingredientId,
+        p_quantity: quantity,
+        p_notes: notes,
+        p_lot_number: lot.lot_number || null,
+        p_expiry_date: lot.expiry_date || null
+      });
+      
+      if (adjustError) throw adjustError;
+      if (!data?.success) throw new Error(data?.message || 'Stock adjustment failed');
+      
+      setIngredients(prev => prev.map(ing => 
+        ing.ingredient_id === ingredientId 
+          ? { ...ing, quantity: data.ingredient.balance_after } 
+          : ing
+      ));
+      
+      return data.ingredient;
+    } catch (err) {
+      console.error(`Error adjusting stock for ingredient ${ingredientId}:`, err);
+      setError('Failed to adjust stock');
+      toast.error(`Failed to adjust stock: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
+  // Stock movement history of an ingredient, newest first
+  const fetchStockMovements = useCallback(async (ingredientId, limit = 50) => {
+    try {
+      const { data, error: movementsError } = await supabase
+        .from('stock_movements')
+        .select('*')
+        .eq('ingredient_id', ingredientId)
+        .order('created_at', { ascending: false })
+        .order('movement_id', { ascending: false })
+        .limit(limit);
+      
+      if (movementsError) throw movementsError;
+      
+      return data || [];
+    } catch (err) {
+      console.error(`Error fetching stock movements for ingredient ${ingredientId}:`, err);
+      toast.error(`Failed to load stock movements: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
+  // Lots with stock left, first to expire first. Pass ingredientId for one
+  // ingredient, or expiringWithinDays for lots expiring by then (expired
+  // ones included) across all ingredients.
+  const fetchIngredientLots = useCallback(async ({ ingredientId = null, expiringWithinDays = null } = {}) => {
+    try {
+      let query = supabase
+        .from('ingredient_lots')
+        .select('*, ingredients(name, unit, unit_cost)')
+        .gt('quantity', 0)
+        .order('expiry_date', { ascending: true, nullsFirst: false })
+        .order('received_at', { ascending: true });
+      
+      if (ingredientId) query = query.eq('ingredient_id', ingredientId);
+      if (expiringWithinDays !== null) {
+        const until = new Date();
+        until.setDate(until.getDate() + expiringWithinDays);
+        query = query.lte('expiry_date', format(until, 'yyyy-MM-dd'));
+      }
+      
+      const { data, error: lotsError } = await query;
+      
+      if (lotsError) throw lotsError;
+      
+      return data || [];
+    } catch (err) {
+      console.error('Error fetching ingredient lots:', err);
+      toast.error(`Failed to load stock lots: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
   // Get suppliers for an ingredient
   const getIngredientSuppliers = useCallback(async (ingredientId) => {
     try {
@@ -1176,17 +1410,24 @@ export const useInventory = () => {
   const fetchInventoryForExport = useCallback(async () => {
     // Don't update state, just return data
     try {
-      const [ingredientsData, itemsData, pulloutsData] = await Promise.all([
+      const [ingredientsData, itemsData, pulloutsData, lotsData, countsData] = await Promise.all([
         // Use the raw Supabase calls instead of the functions that update state
         supabase.from('ingredients').select('*').order('name', { ascending: true }),
         supabase.from('items').select('*').order('item_name', { ascending: true }),
-        supabase.from('pullout').select('*')
+        supabase.from('pullout').select('*'),
+        supabase.from('ingredient_lots').select('*').gt('quantity', 0)
+          .not('expiry_date', 'is', null).order('expiry_date', { ascending: true }),
+        supabase.from('stock_counts')
+          .select('count_id, name, approved_at, stock_count_lines(ingredient_id, expected_quantity, counted_quantity, unit_cost, reason)')
+          .eq('status', 'approved').order('approved_at', { ascending: true })
       ]);
       
       return { 
         ingredients: ingredientsData.data || [], 
         items: itemsData.data || [], 
-        pullouts: pulloutsData.data || [] 
+        pullouts: pulloutsData.data || [],
+        lots: lotsData.data || [],
+        stockCounts: countsData.data || []
       };
     } catch (err) {
       console.error('Error fetching inventory for export:', err);
@@ -1208,6 +1449,7 @@ export const useInventory = () => {
     getPullout,
     addIngredient,
     updateIngredient,
+    saveIngredientUnits,
     deleteIngredient,
     addItem,
     updateItem,
@@ -1219,8 +1461,13 @@ export const useInventory = () => {
     rejectPullout,
     fetchItemIngredients,
     updateItemIngredients,
+    fetchModifierGroups,
+    updateItemModifiers,
     checkIngredientAvailability,
     processItemSale,
+    adjustStock,
+    fetchStockMovements,
+    fetchIngredientLots,
     recipeIngredients,
     getIngredientSuppliers,
     setPreferredSupplier,
@@ -0,0 +1,216 @@
+import { useState, useCallback, useEffect } from 'react';
+import { toast } from 'react-hot-toast';
+import supabase from '../services/supabase';
+import { ORDER_STATUS } from '../services/constants';
+
+// Tickets still on the kitchen screen
+const ACTIVE_STATUSES = [ORDER_STATUS.PENDING, ORDER_STATUS.IN_PROGRESS, ORDER_STATUS.READY];
+
+// Completed tickets kept on screen so a bump made by mistake can be recalled
+const RECENT_COMPLETED_LIMIT = 8;
+
+const TICKET_SELECT = `
+  *,
+  sale:sale_id (
+    sale_id,
+    or_number,
+    sale_date,
+    lines:sales_detail (
+      sale_detail_id,
+      quantity,
+      modifiers,
+      notes,
+      items:item_id (
+        item_name,
+        category
+      )
+    )
+  )
+`;
+
+/**
+ * Flatten a ticket row and its sale into what the kitchen screen shows
+ * @param {Object} row - kitchen_tickets row with its sale embedded
+ * @returns {Object} Ticket
+ */
+const formatTicket = ({ sale, ...ticket }) => ({
+  ...ticket,
+  or_number: sale?.or_number || null,
+  lines: (sale?.lines || [])
+    .map(line => ({
+      id: line.sale_detail_id,
+      name: line.items?.item_name || 'Unknown Item',
+      category: line.items?.category || null,
+      quantity: line.quantity,
+      modifiers: line.modifiers || [],
+      notes: line.notes || null
+    }))
+    .sort((a, b) => a.id - b.id)
+});
+
+/**
+ * Kitchen/bar display tickets, kept current in real time as sales complete
+ * and baristas bump orders
+ * @returns {Object} Ticket state and actions
+ */
+export const useKitchen = () => {
+  const [tickets, setTickets] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load open tickets and the last few completed ones
+   * @returns {Array} Tickets, oldest first
+   */
+  const fetchTickets = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const [active, completed] = await Promise.all([
+        supabase
+          .from('kitchen_tickets')
+          .select(TICKET_SELECT)
+          .in('status', ACTIVE_STATUSES)
+          .order('created_at', { ascending: true }),
+        supabase
+          .from('kitchen_tickets')
+          .select(TICKET_SELECT)
+          .eq('status', ORDER_STATUS.COMPLETED)
+          .order('completed_at', { ascending: false })
+          .limit(RECENT_COMPLETED_LIMIT)
+      ]);
+
+      if (active.error) throw active.error;
+      if (completed.error) throw completed.error;
+
+      const loaded = [...active.data, ...completed.data].map(formatTicket);
+      setTickets(loaded);
+      return loaded;
+    } catch (err) {
+      console.error('Error fetching kitchen tickets:', err);
+      setError(err.message);
+      toast.error('Failed to load kitchen orders');
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Move a ticket to its next status, or to a given one
+   * @param {number} ticketId - Ticket ID
+   * @param {string} [status] - Status to move to (defaults to the next one)
+   * @returns {Object} Updated ticket row
+   */
+  const bumpTicket = useCallback(async (ticketId, status = null) => {
+    setError(null);
+
+    try {
+      const { data, error: bumpError } = await supabase.rpc('bump_kitchen_ticket', {
+        p_ticket_id: ticketId,
+        p_status: status
+      });
+
+      if (bumpError) throw bumpError;
+      if (!data?.success) throw new Error(data?.message || 'Failed to update the order');
+
+      setTickets(prev => prev.map(ticket =>
+        ticket.ticket_id === ticketId ? { ...ticket, ...data.ticket } : ticket
+      ));
+
+      return data.ticket;
+    } catch (err) {
+      console.error(`Error bumping kitchen ticket ${ticketId}:`, err);
+      setError(err.message);
+      toast.error(err.message || 'Failed to update the order');
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Average wait, prep and total times of tickets made ready in a period
+   * @param {Object} range - { startDate, endDate }
+   * @returns {Object} { ticket_count, avg_wait_seconds, avg_prep_seconds,
+   *   avg_total_seconds, max_total_seconds }
+   */
+  const fetchPrepSummary = useCallback(async ({ startDate, endDate }) => {
+    try {
+      const { data, error: summaryError } = await supabase.rpc('kitchen_prep_summary', {
+        p_start: new Date(startDate).toISOString(),
+        p_end: new Date(endDate).toISOString()
+      });
+
+      if (summaryError) throw summaryError;
+
+      return data;
+    } catch (err) {
+      console.error('Error fetching prep time summary:', err);
+      setError(err.message);
+      throw err;
+    }
+  }, []);
+
+  // New sales arrive and bumps from other screens show up without polling
+  useEffect(() => {
+    const ticketSubscription = supabase
+      .channel('kitchen-ticket-changes')
+      .on('postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'kitchen_tickets'
+        },
+        async (payload) => {
+          if (payload.eventType === 'DELETE') {
+            setTickets(prev => prev.filter(ticket => ticket.ticket_id !== payload.old.ticket_id));
+            return;
+          }
+
+          if (payload.new.status === ORDER_STATUS.CANCELLED) {
+            setTickets(prev => prev.filter(ticket => ticket.ticket_id !== payload.new.ticket_id));
+            return;
+          }
+
+          if (payload.eventType === 'UPDATE') {
+            setTickets(prev => prev.map(ticket =>
+              ticket.ticket_id === payload.new.ticket_id ? { ...ticket, ...payload.new } : ticket
+            ));
+            return;
+          }
+
+          // The insert payload has no sale lines, so load the full ticket
+          const { data, error: ticketError } = await supabase
+            .from('kitchen_tickets')
+            .select(TICKET_SELECT)
+            .eq('ticket_id', payload.new.ticket_id)
+            .single();
+
+          if (ticketError) {
+            console.error('Error loading new kitchen ticket:', ticketError);
+            return;
+          }
+
+          setTickets(prev => prev.some(ticket => ticket.ticket_id === data.ticket_id)
+            ? prev
+            : [...prev, formatTicket(data)]);
+        }
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(ticketSubscription);
+    };
+  }, []);
+
+  return {
+    tickets,
+    loading,
+    error,
+    fetchTickets,
+    bumpTicket,
+    fetchPrepSummary
+  };
+};
+
+export default useKitchen;
@@ -0,0 +1,283 @@
+import { useState, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import supabase from '../services/supabase';
+
+/**
+ * Accounts payable: supplier invoices billed against purchase orders, the
+ * payments made on them and what is still owed
+ * @returns {Object} Payables state and actions
+ */
+export const usePayables = () => {
+  const [invoices, setInvoices] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load supplier invoices, earliest due first
+   * @param {Object} filters - { supplierId, status }; status 'unpaid' covers
+   *   open and partially paid invoices
+   * @returns {Array} Invoices with supplier_name and balance
+   */
+  const fetchInvoices = useCallback(async (filters = {}) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      let query = supabase
+        .from('supplier_invoices')
+        .select('*, suppliers:supplier_id (company_name)')
+        .order('due_date', { ascending: true })
+        .order('invoice_id', { ascending: true });
+
+      if (filters.supplierId) query = query.eq('supplier_id', filters.supplierId);
+      if (filters.status === 'unpaid') {
+        query = query.in('status', ['open', 'partially_paid']);
+      } else if (filters.status) {
+        query = query.eq('status', filters.status);
+      }
+
+      const { data, error: fetchError } = await query;
+
+      if (fetchError) throw fetchError;
+
+      const result = data.map(invoice => ({
+        ...invoice,
+        supplier_name: invoice.suppliers?.company_name,
+        balance: invoice.status === 'void' ? 0 : Number(invoice.amount) - Number(invoice.amount_paid)
+      }));
+
+      setInvoices(result);
+      return result;
+    } catch (err) {
+      console.error('Error fetching supplier invoices:', err);
+      setError(err.message);
+      toast.error('Failed to load supplier invoices');
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * One invoice with the purchase orders it bills and its payments
+   * @param {number} invoiceId - Invoice ID
+   * @returns {Object} Invoice with supplier_name, balance, purchases and
+   *   payments (newest first)
+   */
+  const getInvoice = useCallback(async (invoiceId) => {
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('supplier_invoices')
+        .select(`
+          *,
+          suppliers:supplier_id (company_name),
+          supplier_invoice_purchases (purchase_id, amount, purchase:purchase_id (purchase_date, status)),
+          supplier_payments (*)
+        `)
+        .eq('invoice_id', invoiceId)
+        .single();
+
+      if (fetchError) throw fetchError;
+
+      return {
+        ...data,
+        supplier_name: data.suppliers?.company_name,
+        balance: data.status === 'void' ? 0 : Number(data.amount) - Number(data.amount_paid),
+        purchases: data.supplier_invoice_purchases,
+        payments: [...data.supplier_payments].sort((a, b) =>
+          b.paid_on.localeCompare(a.paid_on) || b.payment_id - a.payment_id
+        )
+      };
+    } catch (err) {
+      console.error(`Error fetching supplier invoice ${invoiceId}:`, err);
+      toast.error('Failed to load the invoice');
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Approved purchase orders of a supplier with something left to bill
+   * @param {number} supplierId - Supplier ID
+   * @returns {Array} { purchase_id, purchase_date, status, billable_amount,
+   *   billed_amount, unbilled_amount }
+   */
+  const fetchUnbilledPurchases = useCallback(async (supplierId) => {
+    const { data, error: rpcError } = await supabase.rpc('unbilled_purchase_orders', {
+      p_supplier_id: Number(supplierId)
+    });
+
+    if (rpcError) {
+      console.error(`Error fetching unbilled purchase orders of supplier ${supplierId}:`, rpcError);
+      toast.error('Could not load the supplier\'s purchase orders');
+      throw rpcError;
+    }
+
+    return data;
+  }, []);
+
+  /**
+   * Record a supplier invoice against one or more purchase orders
+   * @param {Object} invoiceData - { supplierId, invoiceNumber, invoiceDate,
+   *   dueDate, notes, purchases: [{ purchase_id, amount }] }; without a due
+   *   date the supplier's payment terms apply
+   * @returns {Object} Created invoice
+   */
+  const recordInvoice = useCallback(async ({ supplierId, invoiceNumber, invoiceDate, dueDate = null, notes = null, purchases }) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: rpcError } = await supabase.rpc('record_supplier_invoice', {
+        p_supplier_id: Number(supplierId),
+        p_invoice_number: invoiceNumber,
+        p_invoice_date: invoiceDate,
+        p_purchases: purchases,
+        p_due_date: dueDate,
+        p_notes: notes
+      });
+
+      if (rpcError) throw rpcError;
+      if (!data?.success) throw new Error(data?.message || 'Failed to record the invoice');
+
+      toast.success(`Invoice ${data.invoice.invoice_number} recorded`);
+      return data.invoice;
+    } catch (err) {
+      console.error('Error recording supplier invoice:', err);
+      setError(err.message);
+      toast.error(`Failed to record invoice: ${err.message}`);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Record a full or partial payment of an invoice
+   * @param {number} invoiceId - Invoice ID
+   * @param {Object} payment - { amount, paymentMethod, paidOn,
+   *   referenceNumber, notes }
+   * @returns {Object} { payment, invoice }
+   */
+  const recordPayment = useCallback(async (invoiceId, { amount, paymentMethod, paidOn = null, referenceNumber = null, notes = null }) => {
+    setError(null);
+
+    try {
+      const { data, error: rpcError } = await supabase.rpc('record_supplier_payment', {
+        p_invoice_id: invoiceId,
+        p_amount: amount,
+        p_payment_method: paymentMethod,
+        p_paid_on: paidOn,
+        p_reference_number: referenceNumber,
+        p_notes: notes
+      });
+
+      if (rpcError) throw rpcError;
+      if (!data?.success) throw new Error(data?.message || 'Failed to record the payment');
+
+      toast.success(data.invoice.status === 'paid' ? 'Invoice paid in full' : 'Payment recorded');
+      return { payment: data.payment, invoice: data.invoice };
+    } catch (err) {
+      console.error(`Error recording payment of supplier invoice ${invoiceId}:`, err);
+      setError(err.message);
+      toast.error(`Failed to record payment: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Void a payment made in error; its amount is owed again
+   * @param {number} paymentId - Payment ID
+   * @param {string} reason - Why it is voided
+   * @returns {Object} { payment, invoice }
+   */
+  const voidPayment = useCallback(async (paymentId, reason) => {
+    setError(null);
+
+    try {
+      const { data, error: rpcError } = await supabase.rpc('void_supplier_payment', {
+        p_payment_id: paymentId,
+        p_reason: reason
+      });
+
+      if (rpcError) throw rpcError;
+      if (!data?.success) throw new Error(data?.message || 'Failed to void the payment');
+
+      toast.success('Payment voided');
+      return { payment: data.payment, invoice: data.invoice };
+    } catch (err) {
+      console.error(`Error voiding supplier payment ${paymentId}:`, err);
+      setError(err.message);
+      toast.error(`Failed to void payment: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Void an invoice recorded in error. Its purchase orders can be billed
+   * again afterwards.
+   * @param {number} invoiceId - Invoice ID
+   * @param {string} reason - Why it is voided
+   * @returns {Object} Voided invoice
+   */
+  const voidInvoice = useCallback(async (invoiceId, reason) => {
+    setError(null);
+
+    try {
+      const { data, error: rpcError } = await supabase.rpc('void_supplier_invoice', {
+        p_invoice_id: invoiceId,
+        p_reason: reason
+      });
+
+      if (rpcError) throw rpcError;
+      if (!data?.success) throw new Error(data?.message || 'Failed to void the invoice');
+
+      setInvoices(prev => prev.map(invoice =>
+        invoice.invoice_id === invoiceId ? { ...invoice, ...data.invoice, balance: 0 } : invoice
+      ));
+      toast.success('Invoice voided');
+      return data.invoice;
+    } catch (err) {
+      console.error(`Error voiding supplier invoice ${invoiceId}:`, err);
+      setError(err.message);
+      toast.error(`Failed to void invoice: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
+  /**
+   * What was owed to suppliers at the end of a business day, aged by days
+   * overdue
+   * @param {string} asOf - yyyy-MM-dd; today when omitted
+   * @returns {Object} { as_of, totals, suppliers, invoices }
+   */
+  const fetchAging = useCallback(async (asOf = null) => {
+    try {
+      const { data, error: rpcError } = await supabase.rpc('payables_aging', { p_as_of: asOf });
+
+      if (rpcError) throw rpcError;
+      if (!data?.success) throw new Error(data?.message || 'Failed to age payables');
+
+      return data;
+    } catch (err) {
+      console.error('Error aging payables:', err);
+      toast.error('Could not load the payables aging');
+      throw err;
+    }
+  }, []);
+
+  return {
+    invoices,
+    loading,
+    error,
+    fetchInvoices,
+    getInvoice,
+    fetchUnbilledPurchases,
+    recordInvoice,
+    recordPayment,
+    voidPayment,
+    voidInvoice,
+    fetchAging
+  };
+};
+
+export default usePayables;
@@ -0,0 +1,231 @@
+import { useState, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import supabase from '../services/supabase';
+
+/**
+ * Reports mailed on a schedule and the history of their deliveries. The
+ * report worker (npm run reports:scheduler) does the sending.
+ * @returns {Object} Schedule state and actions
+ */
+export const useReportSchedules = () => {
+  const [schedules, setSchedules] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load every schedule with its latest delivery
+   * @returns {Array} Schedules
+   */
+  const fetchSchedules = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('report_schedules')
+        .select('*, report_schedule_runs(run_id, status, started_at, finished_at, error)')
+        .order('name', { ascending: true })
+        .order('started_at', { referencedTable: 'report_schedule_runs', ascending: false })
+        .limit(1, { referencedTable: 'report_schedule_runs' });
+
+      if (fetchError) throw fetchError;
+
+      const schedulesWithLastRun = data.map(({ report_schedule_runs: latestRuns, ...schedule }) => ({
+        ...schedule,
+        last_run: latestRuns?.[0] || null
+      }));
+
+      setSchedules(schedulesWithLastRun);
+      return schedulesWithLastRun;
+    } catch (err) {
+      console.error('Error fetching report schedules:', err);
+      setError(err.message);
+      toast.error('Failed to load report schedules');
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Load deliveries, newest first
+   * @param {number} [scheduleId] - Only this schedule's deliveries
+   * @param {number} [limit=50] - Most deliveries to return
+   * @returns {Array} Runs, each with its schedule's name and report type
+   */
+  const fetchRuns = useCallback(async (scheduleId = null, limit = 50) => {
+    setError(null);
+
+    try {
+      let query = supabase
+        .from('report_schedule_runs')
+        .select('*, report_schedules(name, report_type, format)')
+        .order('started_at', { ascending: false })
+        .order('run_id', { ascending: false })
+        .limit(limit);
+
+      if (scheduleId) query = query.eq('schedule_id', scheduleId);
+
+      const { data, error: fetchError } = await query;
+
+      if (fetchError) throw fetchError;
+
+      setRuns(data);
+      return data;
+    } catch (err) {
+      console.error('Error fetching report deliveries:', err);
+      setError(err.message);
+      toast.error('Failed to load delivery history');
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Create a schedule; its first send time is set by the database
+   * @param {Object} scheduleData - { name, report_type, frequency,
+   *   day_of_week, day_of_month, send_time, format, recipients, options }
+   * @returns {Object} Created schedule
+   */
+  const createSchedule = useCallback(async (scheduleData) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: createError } = await supabase
+        .from('report_schedules')
+        .insert([scheduleData])
+        .select()
+        .single();
+
+      if (createError) throw createError;
+
+      setSchedules(prev => [...prev, { ...data, last_run: null }]
+        .sort((a, b) => a.name.localeCompare(b.name)));
+      toast.success('Report scheduled');
+      return data;
+    } catch (err) {
+      console.error('Error creating report schedule:', err);
+      setError(err.message);
+      toast.error(`Failed to schedule report: ${err.message}`);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Update a schedule. Pausing it (is_active false) stops deliveries until
+   * it is resumed.
+   * @param {number} id - Schedule ID
+   * @param {Object} scheduleData - Fields to change
+   * @returns {Object} Updated schedule
+   */
+  const updateSchedule = useCallback(async (id, scheduleData) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: updateError } = await supabase
+        .from('report_schedules')
+        .update(scheduleData)
+        .eq('schedule_id', id)
+        .select()
+        .single();
+
+      if (updateError) throw updateError;
+
+      setSchedules(prev => prev.map(schedule =>
+        schedule.schedule_id === id ? { ...data, last_run: schedule.last_run } : schedule
+      ));
+      toast.success('Schedule updated');
+      return data;
+    } catch (err) {
+      console.error(`Error updating report schedule ${id}:`, err);
+      setError(err.message);
+      toast.error(`Failed to update schedule: ${err.message}`);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Have the worker send a schedule on its next pass instead of waiting
+   * for its slot; the report covers the period that ended yesterday
+   * @param {number} id - Schedule ID
+   * @returns {Object} Updated schedule
+   */
+  const sendNow = useCallback(async (id) => {
+    setError(null);
+
+    try {
+      const { data, error: updateError } = await supabase
+        .from('report_schedules')
+        .update({ next_run_at: new Date().toISOString() })
+        .eq('schedule_id', id)
+        .eq('is_active', true)
+        .select()
+        .single();
+
+      if (updateError) throw updateError;
+
+      setSchedules(prev => prev.map(schedule =>
+        schedule.schedule_id === id ? { ...data, last_run: schedule.last_run } : schedule
+      ));
+      toast.success('Report queued for sending');
+      return data;
+    } catch (err) {
+      console.error(`Error queueing report schedule ${id}:`, err);
+      setError(err.message);
+      toast.error(`Failed to queue report: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Delete a schedule and its delivery history
+   * @param {number} id - Schedule ID
+   * @returns {boolean} Success status
+   */
+  const deleteSchedule = useCallback(async (id) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { error: deleteError } = await supabase
+        .from('report_schedules')
+        .delete()
+        .eq('schedule_id', id);
+
+      if (deleteError) throw deleteError;
+
+      setSchedules(prev => prev.filter(schedule => schedule.schedule_id !== id));
+      setRuns(prev => prev.filter(run => run.schedule_id !== id));
+      toast.success('Schedule deleted');
+      return true;
+    } catch (err) {
+      console.error(`Error deleting report schedule ${id}:`, err);
+      setError(err.message);
+      toast.error(`Failed to delete schedule: ${err.message}`);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  return {
+    schedules,
+    runs,
+    loading,
+    error,
+    fetchSchedules,
+    fetchRuns,
+    createSchedule,
+    updateSchedule,
+    sendNow,
+    deleteSchedule
+  };
+};
+
+export default useReportSchedules;
@@ -3,18 +3,20 @@ import { toast } from 'react-hot-toast';
 import supabase from '../services/supabase';
 import { useSales } from './useSales';
 import { useInventory } from './useInventory';
-import { useSuppliers } from './useSuppliers';
 import { formatDateRange } from '../utils/date-utils';
-import { exportToCSV, exportToPDF } from '../utils/export-utils';
+import { exportToCSV, exportToPDF, exportToExcel } from '../utils/export-utils';
+import { getSalePayments, summarizePaymentMethods } from '../utils/payment-utils';
+import { summarizeRefunds } from '../utils/refund-utils';
+import { fetchFinancialReport } from '../utils/report-utils';
+import { EXPENSE_CATEGORIES } from '../services/constants';
 
 /**
  * Hook for generating, analyzing, and exporting reports
  * @returns {Object} Report management functions and state
  */
 const useReports = () => {
-  const { fetchSales, fetchSalesAnalytics, getSalesByCategory } = useSales();
+  const { fetchSales, fetchRefunds, fetchSalesAnalytics, getSalesByCategory } = useSales();
   const { fetchIngredients, fetchItems, fetchPullouts } = useInventory();
-  const { fetchPurchaseOrders } = useSuppliers();
   
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -67,6 +69,10 @@ const useReports = () => {
         salesData = salesData.filter(sale => !sale.is_voided);
       }
       
+      // Refunds paid out in the period come off the sales figures
+      const refunds = await fetchRefunds({ startDate, endDate });
+      const refundSummary = summarizeRefunds(refunds);
+      
       // Fetch sales analytics
       const analyticsData = await fetchSalesAnalytics({ 
         startDate, 
@@ -91,7 +97,7 @@ const useReports = () => {
       
       // Calculate summary metrics
       const totalSales = salesData.reduce((sum, sale) => 
-        sum + parseFloat(sale.total_amount), 0);
+        sum + parseFloat(sale.total_amount), 0) - refundSummary.total;
       
       const totalTransactions = salesData.length;
       
@@ -101,16 +107,15 @@ const useReports = () => {
       
       // Get sales by category and payment method
       const categorySales = getSalesByCategory(salesData);
+      Object.entries(refundSummary.byCategory).forEach(([category, amount]) => {
+        categorySales[category] = (categorySales[category] || 0) - amount;
+      });
       
       // Track in-house vs external product sales
       let inHouseSales = 0;
       let externalSales = 0;
       
-      const paymentMethodBreakdown = salesData.reduce((acc, sale) => {
-        const method = sale.payment_method || 'Unknown';
-        acc[method] = (acc[method] || 0) + parseFloat(sale.total_amount);
-        return acc;
-      }, {});
+      const paymentMethodBreakdown = summarizePaymentMethods(salesData, refunds);
       
       // Get top selling items and track external vs in-house
       const itemSales = {};
@@ -146,6 +151,13 @@ const useReports = () => {
         });
       });
       
+      Object.entries(refundSummary.byItem).forEach(([itemId, refunded]) => {
+        if (itemSales[itemId]) {
+          itemSales[itemId].quantity -= refunded.quantity;
+          itemSales[itemId].revenue -= refunded.subtotal;
+        }
+      });
+      
       // Sort by revenue to get top items
       const topItems = Object.values(itemSales)
         .sort((a, b) => b.revenue - a.revenue)
@@ -169,6 +181,8 @@ const useReports = () => {
         },
         summary: {
           totalSales,
+          totalRefunds: refundSummary.total,
+          refundCount: refundSummary.count,
           totalTransactions,
           averageOrderValue,
           voidedSales: salesData.filter(sale => sale.is_voided).length,
@@ -178,6 +192,7 @@ const useReports = () => {
           }
         },
         data: salesData,
+        refunds,
         analytics: {
           categorySales,
           paymentMethodBreakdown,
@@ -201,7 +216,7 @@ const useReports = () => {
     } finally {
       setLoading(false);
     }
-  }, [dateRange, fetchSales, fetchSalesAnalytics, getSalesByCategory]);
+  }, [dateRange, fetchSales, fetchRefunds, fetchSalesAnalytics, getSalesByCategory]);
 
   /**
    * Generate an inventory report
@@ -233,6 +248,7 @@ const useReports = () => {
           purchase_id,
           ingredient_id, 
           quantity, 
+          unit_factor,
           unit_price,
           subtotal,
           purchases:purchase_id ( 
@@ -262,7 +278,7 @@ const useReports = () => {
         // Calculate purchases for this ingredient
         const ingredientPurchases = purchases
           .filter(p => p.ingredient_id === ingredient.ingredient_id)
-          .reduce((sum, p) => sum + p.quantity, 0);
+          .reduce((sum, p) => sum + p.quantity * (p.unit_factor || 1), 0);
         
         // Calculate pullouts for this ingredient
         const ingredientPullouts = pullouts
@@ -353,15 +369,16 @@ const useReports = () => {
   }, [dateRange, fetchIngredients, fetchItems, fetchPullouts]);
 
   /**
-   * Generate a financial report
+   * Generate a financial report from the profit_and_loss RPC: cost of sales
+   * recorded on each sold line and the operating expenses entered for the
+   * period
    * @param {Object} options - Report options
    * @returns {Object} Financial report data
    */
   const generateFinancialReport = useCallback(async (options = {}) => {
     const { 
       startDate = dateRange.startDate, 
-      endDate = dateRange.endDate,
-      includeVoided = false
+      endDate = dateRange.endDate
     } = options;
     
     setLoading(true);
@@ -369,130 +386,7 @@ const useReports = () => {
     setReportType('financial');
     
     try {
-      // Fetch sales data
-      let salesData = await fetchSales({ startDate, endDate });
-      
-      // Filter out voided sales if not included
-      if (!includeVoided) {
-        salesData = salesData.filter(sale => !sale.is_voided);
-      }
-      
-      // Fetch purchases (expenses)
-      const purchaseOrders = await fetchPurchaseOrders();
-      
-      const filteredPurchases = purchaseOrders.filter(po => {
-        // Only include completed purchases
-        if (po.status !== 'completed') return false;
-        
-        // Filter by date range if provided
-        const purchaseDate = new Date(po.purchase_date);
-        
-        if (startDate && endDate) {
-          return purchaseDate >= new Date(startDate) && 
-                 purchaseDate <= new Date(endDate);
-        }
-        
-        if (startDate && !endDate) {
-          return purchaseDate >= new Date(startDate);
-        }
-        
-        if (!startDate && endDate) {
-          return purchaseDate <= new Date(endDate);
-        }
-        
-        return true;
-      });
-      
-      // Calculate revenue metrics
-      const totalRevenue = salesData.reduce((sum, sale) => 
-        sum + parseFloat(sale.total_amount), 0);
-      
-      // Group revenue by product category
-      const revenueByCategory = {};
-      salesData.forEach(sale => {
-        sale.items.forEach(item => {
-          const category = item.category || 'Uncategorized';
-          if (!revenueByCategory[category]) {
-            revenueByCategory[category] = 0;
-          }
-          revenueByCategory[category] += parseFloat(item.subtotal);
-        });
-      });
-      
-      // Calculate daily revenue totals for trend charts
-      const dailyRevenue = {};
-      salesData.forEach(sale => {
-        const date = new Date(sale.sale_date).toISOString().split('T')[0];
-        if (!dailyRevenue[date]) {
-          dailyRevenue[date] = 0;
-        }
-        dailyRevenue[date] += parseFloat(sale.total_amount);
-      });
-      
-      // Convert to array for charts
-      const dailyRevenueTrend = Object.entries(dailyRevenue)
-        .map(([date, total]) => ({ date, total }))
-        .sort((a, b) => new Date(a.date) - new Date(b.date));
-      
-      // Calculate expense metrics
-      const inventoryExpense = filteredPurchases
-        .reduce((sum, po) => sum + parseFloat(po.total_amount), 0);
-      
-      // In a real app, you'd fetch actual operating expenses
-      // Here we're simulating them as a percentage of revenue
-      const operatingExpense = totalRevenue * 0.35; // 35% of revenue
-      const otherExpense = totalRevenue * 0.05; // 5% of revenue
-      
-      const totalExpenses = inventoryExpense + operatingExpense + otherExpense;
-      
-      // Calculate profit metrics
-      const grossProfit = totalRevenue - inventoryExpense;
-      const netProfit = totalRevenue - totalExpenses;
-      
-      // Calculate profit margin metrics
-      const grossProfitMargin = totalRevenue > 0 
-        ? (grossProfit / totalRevenue) * 100 
-        : 0;
-      
-      const netProfitMargin = totalRevenue > 0 
-        ? (netProfit / totalRevenue) * 100 
-        : 0;
-      
-      // Prepare the final report data
-      const report = {
-        type: 'financial',
-        title: 'Financial Report',
-        dateRange: {
-          startDate,
-          endDate,
-          formatted: formatDateRange(startDate, endDate)
-        },
-        summary: {
-          revenue: totalRevenue,
-          expenses: totalExpenses,
-          grossProfit,
-          netProfit,
-          grossProfitMargin,
-          netProfitMargin
-        },
-        data: {
-          sales: salesData,
-          purchases: filteredPurchases
-        },
-        analytics: {
-          revenue: {
-            byCategory: revenueByCategory,
-            dailyTrend: dailyRevenueTrend
-          },
-          expenses: {
-            byCategory: {
-              inventory: inventoryExpense,
-              operating: operatingExpense,
-              other: otherExpense
-            }
-          }
-        }
-      };
+      const report = await fetchFinancialReport(supabase, { startDate, endDate });
       
       setReportData(report);
       return report;
@@ -505,7 +399,7 @@ const useReports = () => {
     } finally {
       setLoading(false);
     }
-  }, [dateRange, fetchSales, fetchPurchaseOrders]);
+  }, [dateRange]);
 
   /**
    * Generate a custom analytics report using Supabase RPC functions
@@ -729,11 +623,13 @@ const useReports = () => {
                 {}, // Empty row
                 
                 // Summary section
-                { 'Metric': 'Total Revenue', 'Value': `₱${(reportToExport.summary.revenue || 0).toFixed(2)}` },
-                { 'Metric': 'Total Expenses', 'Value': `₱${(reportToExport.summary.expenses || 0).toFixed(2)}` },
+                { 'Metric': 'Net Sales', 'Value': `₱${(reportToExport.summary.revenue || 0).toFixed(2)}` },
+                { 'Metric': 'Cost of Sales', 'Value': `₱${(reportToExport.summary.costOfSales || 0).toFixed(2)}` },
                 { 'Metric': 'Gross Profit', 'Value': `₱${(reportToExport.summary.grossProfit || 0).toFixed(2)}` },
+                { 'Metric': 'Gross Margin', 'Value': `${(reportToExport.summary.grossProfitMargin || 0).toFixed(2)}%` },
+                { 'Metric': 'Operating Expenses', 'Value': `₱${(reportToExport.summary.operatingExpenses || 0).toFixed(2)}` },
                 { 'Metric': 'Net Profit', 'Value': `₱${(reportToExport.summary.netProfit || 0).toFixed(2)}` },
-                { 'Metric': 'Profit Margin', 'Value': `${(reportToExport.summary.netProfitMargin || 0).toFixed(2)}%` },
+                { 'Metric': 'Net Margin', 'Value': `${(reportToExport.summary.netProfitMargin || 0).toFixed(2)}%` },
                 {}, // Empty row
                 
                 // Revenue breakdown
@@ -748,7 +644,7 @@ const useReports = () => {
                 // Expenses breakdown
                 { 'Category': 'EXPENSES BY CATEGORY' },
                 ...Object.entries(reportToExport.analytics.expenses.byCategory || {}).map(([category, amount]) => ({
-                  'Category': category.charAt(0).toUpperCase() + category.slice(1),
+                  'Category': category === 'cost_of_sales' ? 'Cost of Sales' : (EXPENSE_CATEGORIES[category] || category),
                   'Amount': `₱${(amount || 0).toFixed(2)}`,
                   'Percentage': `${((amount || 0) / (reportToExport.summary.expenses || 1) * 100).toFixed(1)}%`
                 }))
@@ -767,44 +663,9 @@ const useReports = () => {
         blob = exportToCSV(csvData);
         
       } else if (format === 'pdf') {
-        // For PDF export
-        blob = await exportToPDF(report);
+        blob = await exportToPDF(reportToExport);
       } else if (format === 'excel') {
-        try {
-          const XLSX = require('xlsx');
-          
-          let worksheetData;
-          
-          switch (report.type) {
-            case 'sales':
-              worksheetData = report.data.map(sale => ({
-                'Sale ID': sale.sale_id,
-                'Date': new Date(sale.sale_date).toLocaleDateString(),
-                'Time': new Date(sale.sale_date).toLocaleTimeString(),
-                'Cashier': sale.cashier_name,
-                'Payment Method': sale.payment_method,
-                'Total Amount': parseFloat(sale.total_amount).toFixed(2),
-                'Status': sale.is_voided ? 'Voided' : 'Completed'
-              }));
-              break;
-              
-            // Handle other report types...
-            default:
-              worksheetData = [];
-          }
-          
-          // Create worksheet and workbook
-          const worksheet = XLSX.utils.json_to_sheet(worksheetData);
-          const workbook = XLSX.utils.book_new();
-          XLSX.utils.book_append_sheet(workbook, worksheet, report.title);
-          
-          // Generate Excel file
-          const excelBuffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
-          blob = new Blob([excelBuffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
-        } catch (err) {
-          console.error('Excel export error:', err);
-          throw new Error(`Excel export failed: ${err.message}`);
-        }
+        blob = await exportToExcel(reportToExport);
       } else {
         throw new Error(`Unsupported export format: ${format}`);
       }
@@ -813,7 +674,7 @@ const useReports = () => {
       const url = URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = url;
-      link.download = `${outputFileName}.${format}`;
+      link.download = `${outputFileName}.${format === 'excel' ? 'xlsx' : format}`;
       document.body.appendChild(link);
       link.click();
       document.body.removeChild(link);
@@ -949,33 +810,49 @@ const useReports = () => {
     setError(null);
   }, []);
 
-  // Add this function to the hook
+  /**
+   * Mail a report on a schedule. Creates a report_schedules row that the
+   * report worker picks up; useReportSchedules manages existing schedules.
+   * @param {Object} options - { reportType, reportOptions, schedule
+   *   ('daily', 'weekly' or 'monthly'), email (one or more addresses),
+   *   format ('pdf' or 'excel') }
+   * @returns {Object} Created schedule
+   */
   const scheduleReport = useCallback(async (options = {}) => {
     const {
       reportType,
-      reportOptions,
-      schedule, // 'daily', 'weekly', 'monthly'
-      email, // recipient email
+      reportOptions = {},
+      schedule,
+      email,
       format = 'pdf'
     } = options;
     
     setLoading(true);
     
     try {
-      // Call a Supabase Function to schedule the report
-      const { data, error } = await supabase.functions.invoke('schedule-report', {
-        body: {
-          reportType,
-          reportOptions,
-          schedule,
-          email,
-          format
-        }
-      });
+      const recipients = (Array.isArray(email) ? email : String(email || '').split(','))
+        .map(address => address.trim())
+        .filter(Boolean);
+      
+      // Weekly reports go out on Mondays and monthly ones on the 1st
+      const { data, error } = await supabase
+        .from('report_schedules')
+        .insert([{
+          name: `${reportType.charAt(0).toUpperCase() + reportType.slice(1)} report (${schedule})`,
+          report_type: reportType,
+          frequency: schedule,
+          day_of_week: schedule === 'weekly' ? 1 : null,
+          day_of_month: schedule === 'monthly' ? 1 : null,
+          format,
+          recipients,
+          options: reportOptions
+        }])
+        .select()
+        .single();
       
       if (error) throw error;
       
-      toast.success(`Report scheduled to be sent ${schedule} to ${email}`);
+      toast.success(`Report scheduled to be sent ${schedule} to ${recipients.join(', ')}`);
       return data;
     } catch (err) {
       console.error('Error scheduling report:', err);
@@ -1082,7 +959,7 @@ const useReports = () => {
           // Apply payment method filters
           if (paymentMethods.length > 0) {
             filteredSales = filteredSales.filter(sale => 
-              paymentMethods.includes(sale.payment_method)
+              getSalePayments(sale).some(payment => paymentMethods.includes(payment.method))
             );
           }
           
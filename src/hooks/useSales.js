@@ -1,19 +1,66 @@
-import { useState, useCallback, useEffect, createContext, useContext } from 'react';
+import { useState, useCallback, useEffect, useRef, createContext, useContext } from 'react';
 import { toast } from 'react-hot-toast';
 import supabase from '../services/supabase';
 import { useAuth } from './useAuth';
 import { useInventory } from './useInventory';
+import { OFFLINE_SALE_STATUS, TERMINAL_KEY } from '../services/constants';
+import {
+  createOfflineId,
+  queueSale,
+  getQueuedSales,
+  updateQueuedSale,
+  removeQueuedSale,
+  applyLocalDeduction,
+  isNetworkError
+} from '../services/offlineStore';
+import { summarizePaymentMethods } from '../utils/payment-utils';
 
 // Create a context for sales data
 const SalesContext = createContext(null);
 
+/**
+ * Pick the discount and VAT breakdown off a sale for process_sale's p_discount
+ * @param {Object} saleData - Sale payload as passed to addSale
+ * @returns {Object} Discount payload
+ */
+const buildDiscountPayload = (saleData) => ({
+  subtotal_amount: saleData.subtotal_amount ?? null,
+  discount_amount: saleData.discount_amount || 0,
+  vat_amount: saleData.vat_amount ?? null,
+  vat_exempt_amount: saleData.vat_exempt_amount || 0,
+  discount_type: saleData.discount_type || null,
+  promo_id: saleData.promo_id || null,
+  promo_code: saleData.promo_code || null,
+  discount_reason: saleData.discount_reason || null,
+  discount_approval_id: saleData.discount_approval_id || null,
+  senior_pwd_id: saleData.senior_pwd_id || null,
+  senior_pwd_name: saleData.senior_pwd_name || null
+});
+
+/**
+ * Shape sale lines for process_sale's p_items
+ * @param {Array} items - Sale lines
+ * @returns {Array} Formatted lines
+ */
+const formatSaleItems = (items = []) => items.map(item => ({
+  item_id: item.item_id,
+  quantity: item.quantity,
+  unit_price: item.unit_price || item.price || 0,
+  subtotal: item.subtotal || (item.quantity * (item.unit_price || item.price || 0)),
+  modifier_ids: item.modifier_ids || [],
+  modifiers: item.modifiers || [],
+  discount_amount: item.discount_amount || 0,
+  discount_label: item.discount_label || null,
+  notes: item.notes || null
+}));
+
 /**
  * Provider component for sales management
  * @param {Object} props - Component props
  * @returns {JSX.Element} Provider component
  */
 export const SalesProvider = ({ children }) => {
-  const { user } = useAuth();
+  const { user, connectionStatus } = useAuth();
   const { 
     checkIngredientAvailability, 
     processItemSale  
@@ -32,6 +79,18 @@ export const SalesProvider = ({ children }) => {
     byCategory: {},
     byPaymentMethod: {}
   });
+  const [heldOrders, setHeldOrders] = useState([]);
+  // The register this browser is set up as - kept locally so it works offline
+  const [terminal, setTerminal] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(TERMINAL_KEY));
+    } catch {
+      return null;
+    }
+  });
+  const [offlineSales, setOfflineSales] = useState([]);
+  const [syncingOfflineSales, setSyncingOfflineSales] = useState(false);
+  const syncInProgressRef = useRef(false);
 
   // Set up real-time subscriptions for sales
   useEffect(() => {
@@ -67,9 +126,41 @@ export const SalesProvider = ({ children }) => {
       )
       .subscribe();
 
+    // Subscription for orders parked on any terminal
+    const heldOrdersSubscription = supabase
+      .channel('held-orders-changes')
+      .on('postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'held_orders'
+        },
+        (payload) => {
+          switch (payload.eventType) {
+            case 'INSERT':
+              setHeldOrders(prev => prev.some(order => order.held_order_id === payload.new.held_order_id)
+                ? prev
+                : [...prev, payload.new]);
+              break;
+            case 'UPDATE':
+              setHeldOrders(prev => prev.map(order =>
+                order.held_order_id === payload.new.held_order_id ? { ...order, ...payload.new } : order
+              ));
+              break;
+            case 'DELETE':
+              setHeldOrders(prev => prev.filter(order => order.held_order_id !== payload.old.held_order_id));
+              break;
+            default:
+              break;
+          }
+        }
+      )
+      .subscribe();
+
     // Cleanup subscriptions when component unmounts
     return () => {
       supabase.removeChannel(salesSubscription);
+      supabase.removeChannel(heldOrdersSubscription);
     };
   }, []);
 
@@ -155,6 +246,17 @@ export const SalesProvider = ({ children }) => {
             };
           }
           
+          // Tender lines - split-tender sales have more than one
+          const { data: payments, error: paymentsError } = await supabase
+            .from('sales_payments')
+            .select('*')
+            .eq('sale_id', sale.sale_id)
+            .order('payment_id', { ascending: true });
+          
+          if (paymentsError) {
+            console.error('Error fetching sale payments:', paymentsError);
+          }
+          
           // Format items with item details
           const formattedItems = items.map(item => ({
             id: item.sale_detail_id,
@@ -163,12 +265,16 @@ export const SalesProvider = ({ children }) => {
             category: item.items?.category || 'Uncategorized',
             price: parseFloat(item.unit_price),
             quantity: item.quantity,
-            subtotal: parseFloat(item.subtotal)
+            subtotal: parseFloat(item.subtotal),
+            modifiers: item.modifiers || [],
+            discount_amount: parseFloat(item.discount_amount) || 0,
+            discount_label: item.discount_label || null
           }));
           
           return {
             ...sale,
             items: formattedItems,
+            payments: payments || [],
             cashier_name: sale.cashier_first_name && sale.cashier_last_name 
               ? `${sale.cashier_first_name} ${sale.cashier_last_name}` 
               : 'Unknown'
@@ -273,6 +379,11 @@ export const SalesProvider = ({ children }) => {
             user_id,
             first_name, 
             last_name
+          ),
+          payments:sales_payments (*),
+          refunds:sales_refunds (
+            *,
+            items:sales_refund_items (*)
           )
         `)
         .eq('sale_id', id)
@@ -306,6 +417,18 @@ export const SalesProvider = ({ children }) => {
       
       if (itemsError) throw itemsError;
       
+      // Units and amounts already given back on each line
+      const refundedLines = (saleHeader.refunds || [])
+        .flatMap(refund => refund.items || [])
+        .reduce((acc, line) => {
+          const refunded = acc[line.sale_detail_id] || { quantity: 0, amount: 0 };
+          acc[line.sale_detail_id] = {
+            quantity: refunded.quantity + line.quantity,
+            amount: refunded.amount + (parseFloat(line.amount) || 0)
+          };
+          return acc;
+        }, {});
+      
       // Format items with item details
       const formattedItems = items.map(item => ({
         id: item.sale_detail_id,
@@ -314,7 +437,12 @@ export const SalesProvider = ({ children }) => {
         category: item.items?.category || 'Uncategorized',
         price: parseFloat(item.unit_price),
         quantity: item.quantity,
-        subtotal: parseFloat(item.subtotal)
+        subtotal: parseFloat(item.subtotal),
+        modifiers: item.modifiers || [],
+        discount_amount: parseFloat(item.discount_amount) || 0,
+        discount_label: item.discount_label || null,
+        refunded_quantity: refundedLines[item.sale_detail_id]?.quantity || 0,
+        refunded_amount: refundedLines[item.sale_detail_id]?.amount || 0
       }));
       
       // Return the full sale with items
@@ -362,18 +490,8 @@ export const SalesProvider = ({ children }) => {
    * @returns {Object} Sales by payment method
    */
   const getSalesByPaymentMethod = useCallback((salesData = null) => {
-    const data = salesData || sales;
-    const methods = {};
-    
-    data.forEach(sale => {
-      const method = sale.payment_method || 'Unknown';
-      if (!methods[method]) {
-        methods[method] = 0;
-      }
-      methods[method] += parseFloat(sale.total_amount);
-    });
-    
-    return methods;
+    // Split-tender sales count towards each method they were paid with
+    return summarizePaymentMethods(salesData || sales);
   }, [sales]);
 
   /**
@@ -422,30 +540,511 @@ export const SalesProvider = ({ children }) => {
   }, [sales, getSalesByCategory, getSalesByPaymentMethod]);
 
   /**
-   * Add a new sale with transaction safety
+   * Reload the offline queue from IndexedDB into state
+   * @returns {Array} Sales currently held on this terminal
+   */
+  const refreshOfflineSales = useCallback(async () => {
+    try {
+      const queued = await getQueuedSales();
+      setOfflineSales(queued);
+      return queued;
+    } catch (err) {
+      console.error('Error reading offline sales queue:', err);
+      return [];
+    }
+  }, []);
+
+  /**
+   * Store a sale in the offline queue and deduct it from the local stock estimates
    * @param {Object} saleData - Sale data with items
+   * @returns {Object} Queued sale, flagged with `queued: true`
+   */
+  const queueOfflineSale = useCallback(async (saleData) => {
+    try {
+      const record = await queueSale(saleData);
+      
+      await applyLocalDeduction(saleData.items).catch(deductError => {
+        console.warn('Could not update local stock estimates:', deductError);
+      });
+      
+      await refreshOfflineSales();
+      
+      toast('Offline: sale saved on this terminal and will sync when the connection returns', {
+        icon: '📴',
+        id: `offline-sale-${record.offline_id}`
+      });
+      
+      return {
+        ...saleData,
+        sale_id: null,
+        offline_id: record.offline_id,
+        queued: true,
+        created_at: record.queued_at
+      };
+    } catch (err) {
+      console.error('Error queueing offline sale:', err);
+      setError('Failed to save sale offline');
+      toast.error('Connection lost and the sale could not be saved on this terminal');
+      throw err;
+    }
+  }, [refreshOfflineSales]);
+
+  /**
+   * Replay queued offline sales through process_sale.
+   * Sales the server can no longer fulfil are kept as conflicts for review.
+   * @returns {Object} Counts of synced and conflicting sales
+   */
+  const syncOfflineSales = useCallback(async () => {
+    if (syncInProgressRef.current) {
+      return { synced: 0, conflicts: 0 };
+    }
+    
+    syncInProgressRef.current = true;
+    setSyncingOfflineSales(true);
+    
+    let synced = 0;
+    let conflicts = 0;
+    
+    try {
+      const queued = await getQueuedSales();
+      // A sale left "syncing" was interrupted; its client reference makes a replay safe
+      const pending = queued.filter(sale => sale.status !== OFFLINE_SALE_STATUS.CONFLICT);
+      
+      for (const queuedSale of pending) {
+        await updateQueuedSale(queuedSale.offline_id, {
+          status: OFFLINE_SALE_STATUS.SYNCING,
+          attempts: (queuedSale.attempts || 0) + 1
+        });
+        
+        const { data: rpcResult, error: rpcError } = await supabase.rpc('process_sale', {
+          p_cashier_id: queuedSale.cashier_id,
+          p_sale_date: queuedSale.sale_date,
+          p_payment_method: queuedSale.payment_method,
+          p_total_amount: queuedSale.total_amount,
+          p_items: formatSaleItems(queuedSale.items),
+          p_client_reference: queuedSale.offline_id,
+          p_discount: buildDiscountPayload(queuedSale),
+          p_payments: queuedSale.payments || null,
+          p_terminal_id: queuedSale.terminal_id || null,
+          p_recorded_offline: true
+        });
+        
+        if (rpcError && isNetworkError(rpcError)) {
+          // Connection dropped again - leave the rest queued for the next attempt
+          await updateQueuedSale(queuedSale.offline_id, { status: OFFLINE_SALE_STATUS.QUEUED });
+          break;
+        }
+        
+        if (rpcError || !rpcResult?.success) {
+          conflicts += 1;
+          await updateQueuedSale(queuedSale.offline_id, {
+            status: OFFLINE_SALE_STATUS.CONFLICT,
+            last_error: rpcError?.message || rpcResult?.message || 'Sale could not be processed'
+          });
+          continue;
+        }
+        
+        synced += 1;
+        await removeQueuedSale(queuedSale.offline_id);
+        
+        setSales(prev => [{
+          ...queuedSale,
+          sale_id: rpcResult.sale_id,
+          or_number: rpcResult.or_number,
+          created_at: new Date().toISOString()
+        }, ...prev]);
+      }
+      
+      if (synced > 0) {
+        toast.success(`${synced} offline sale${synced === 1 ? '' : 's'} synced`);
+      }
+      
+      if (conflicts > 0) {
+        toast.error(`${conflicts} offline sale${conflicts === 1 ? '' : 's'} could not be fulfilled and need review`, {
+          duration: 8000
+        });
+      }
+      
+      return { synced, conflicts };
+    } catch (err) {
+      console.error('Error syncing offline sales:', err);
+      toast.error('Failed to sync offline sales');
+      return { synced, conflicts };
+    } finally {
+      await refreshOfflineSales();
+      syncInProgressRef.current = false;
+      setSyncingOfflineSales(false);
+    }
+  }, [refreshOfflineSales]);
+
+  /**
+   * Put a conflicting offline sale back in the queue and try again
+   * @param {string} offlineId - Offline reference of the sale
+   * @returns {Object} Sync result
+   */
+  const retryOfflineSale = useCallback(async (offlineId) => {
+    await updateQueuedSale(offlineId, {
+      status: OFFLINE_SALE_STATUS.QUEUED,
+      last_error: null
+    });
+    return syncOfflineSales();
+  }, [syncOfflineSales]);
+
+  /**
+   * Drop an offline sale that will not be replayed (e.g. refunded to the customer)
+   * @param {string} offlineId - Offline reference of the sale
+   * @returns {boolean} True once removed
+   */
+  const discardOfflineSale = useCallback(async (offlineId) => {
+    try {
+      await removeQueuedSale(offlineId);
+      await refreshOfflineSales();
+      toast.success('Offline sale discarded');
+      return true;
+    } catch (err) {
+      console.error('Error discarding offline sale:', err);
+      toast.error('Failed to discard offline sale');
+      return false;
+    }
+  }, [refreshOfflineSales]);
+
+  // Load whatever is still queued from a previous session
+  useEffect(() => {
+    refreshOfflineSales();
+  }, [refreshOfflineSales]);
+
+  // Replay queued sales as soon as the connection comes back
+  useEffect(() => {
+    if (connectionStatus === 'connected' && user) {
+      syncOfflineSales();
+    }
+  }, [connectionStatus, user, syncOfflineSales]);
+
+  /**
+   * Look up an active promotion by its code
+   * @param {string} code - Promo code entered at checkout
+   * @returns {Object} Promotion row
+   */
+  const fetchPromotion = useCallback(async (code) => {
+    try {
+      const { data, error: promoError } = await supabase
+        .from('promotions')
+        .select('*')
+        .ilike('code', code.trim())
+        .maybeSingle();
+      
+      if (promoError) throw promoError;
+      
+      if (!data) {
+        throw new Error(`Promo code ${code.trim().toUpperCase()} not found`);
+      }
+      
+      return data;
+    } catch (err) {
+      console.error('Error fetching promotion:', err);
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Check a manager PIN before applying an override. The PIN is checked on
+   * the server, which never sends PINs to the browser.
+   * @param {string} pin - Manager approval code
+   * @param {string} permission - Permission the approver must hold
+   * @returns {Object} Approving manager ({ staff_id, first_name, last_name })
+   */
+  const verifyManagerPin = useCallback(async (pin, permission) => {
+    const { data, error: pinError } = await supabase.rpc('verify_manager_pin', {
+      p_pin: pin.trim(),
+      p_permission: permission
+    });
+    
+    if (pinError) {
+      console.error('Error validating approval code:', pinError);
+      throw new Error('Error validating approval code');
+    }
+    
+    if (!data?.success) {
+      throw new Error(data?.message || 'Invalid manager approval code');
+    }
+    
+    return data.approver;
+  }, []);
+
+  /**
+   * Have a manager approve a manual discount with their PIN. The sale that
+   * applies the discount hands the approval back to process_sale, which uses
+   * it up.
+   * @param {string} pin - Manager approval code
+   * @returns {Object} { approval_id, approver: { staff_id, first_name, last_name } }
+   */
+  const approveDiscount = useCallback(async (pin) => {
+    const { data, error: approvalError } = await supabase.rpc('approve_discount', {
+      p_pin: pin.trim()
+    });
+    
+    if (approvalError) {
+      console.error('Error validating approval code:', approvalError);
+      throw new Error('Error validating approval code');
+    }
+    
+    if (!data?.success) {
+      throw new Error(data?.message || 'Invalid manager approval code');
+    }
+    
+    return data;
+  }, []);
+
+  /**
+   * Find a sale by its official receipt number, or by sale ID for sales
+   * recorded before OR numbering
+   * @param {string} receipt - OR number or sale ID
+   * @returns {Object|null} Sale with items, or null if not found
+   */
+  const findSaleByReceipt = useCallback(async (receipt) => {
+    const value = receipt.toString().trim();
+    
+    const { data: match, error: lookupError } = await supabase
+      .from('sales_header')
+      .select('sale_id')
+      .eq('or_number', value)
+      .maybeSingle();
+    
+    if (lookupError) {
+      console.error('Error looking up receipt:', lookupError);
+      throw lookupError;
+    }
+    
+    if (match) {
+      return fetchSale(match.sale_id);
+    }
+    
+    return /^\d+$/.test(value) ? fetchSale(parseInt(value, 10)) : null;
+  }, [fetchSale]);
+
+  /**
+   * Fetch the registers set up for official receipts
+   * @returns {Array} Terminals
+   */
+  const fetchTerminals = useCallback(async () => {
+    try {
+      const { data, error: terminalsError } = await supabase
+        .from('pos_terminals')
+        .select('*')
+        .order('terminal_id', { ascending: true });
+      
+      if (terminalsError) throw terminalsError;
+      
+      return data || [];
+    } catch (err) {
+      console.error('Error fetching terminals:', err);
+      setError(err.message);
+      toast.error('Failed to load terminals');
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Register a terminal or update its name and status (managers only).
+   * The OR prefix and starting number can only be set while no receipts exist.
+   * @param {Object} terminalData - { terminal_id, name, or_prefix, or_number_width, next_or_number, is_active }
+   * @param {boolean} isNew - Insert rather than update
+   * @returns {Object} Saved terminal
+   */
+  const saveTerminal = useCallback(async (terminalData, isNew = false) => {
+    try {
+      const payload = {
+        ...terminalData,
+        terminal_id: terminalData.terminal_id.trim().toUpperCase(),
+        updated_at: new Date().toISOString()
+      };
+      
+      const query = isNew
+        ? supabase.from('pos_terminals').insert(payload)
+        : supabase.from('pos_terminals').update(payload).eq('terminal_id', payload.terminal_id);
+      
+      const { data, error: saveError } = await query.select().single();
+      
+      if (saveError) throw saveError;
+      
+      toast.success(`Terminal ${data.terminal_id} saved`);
+      return data;
+    } catch (err) {
+      console.error('Error saving terminal:', err);
+      setError(err.message);
+      toast.error(err.message || 'Failed to save terminal');
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Set which terminal this browser issues receipts as
+   * @param {Object|null} terminalRow - Terminal from pos_terminals, or null to unassign
+   */
+  const assignTerminal = useCallback((terminalRow) => {
+    if (terminalRow) {
+      const assigned = {
+        terminal_id: terminalRow.terminal_id,
+        name: terminalRow.name,
+        or_prefix: terminalRow.or_prefix
+      };
+      localStorage.setItem(TERMINAL_KEY, JSON.stringify(assigned));
+      setTerminal(assigned);
+    } else {
+      localStorage.removeItem(TERMINAL_KEY);
+      setTerminal(null);
+    }
+  }, []);
+
+  /**
+   * Fetch orders parked on any terminal, oldest first
+   * @returns {Array} Held orders
+   */
+  const fetchHeldOrders = useCallback(async () => {
+    try {
+      const { data, error: heldError } = await supabase
+        .from('held_orders')
+        .select('*')
+        .order('created_at', { ascending: true });
+      
+      if (heldError) throw heldError;
+      
+      setHeldOrders(data || []);
+      return data || [];
+    } catch (err) {
+      console.error('Error fetching held orders:', err);
+      setError(err.message);
+      toast.error('Failed to load held orders');
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Park an open order so it can be resumed later on this or another terminal
+   * @param {Object} order - Active order ({ items, discount, total })
+   * @param {Object} details - { label, table_number }
+   * @returns {Object} Held order
+   */
+  const holdOrder = useCallback(async (order, { label, table_number = null }) => {
+    try {
+      const { data, error: holdError } = await supabase
+        .from('held_orders')
+        .insert({
+          label: label.trim(),
+          table_number: table_number?.trim() || null,
+          order_data: {
+            items: order.items,
+            discount: order.discount || null
+          },
+          item_count: order.items.reduce((sum, item) => sum + item.quantity, 0),
+          total_amount: order.total,
+          held_by: user?.id || null,
+          held_by_name: user ? `${user.first_name || ''} ${user.last_name || ''}`.trim() : null
+        })
+        .select()
+        .single();
+      
+      if (holdError) throw holdError;
+      
+      setHeldOrders(prev => prev.some(held => held.held_order_id === data.held_order_id)
+        ? prev
+        : [...prev, data]);
+      toast.success(`Order held as "${data.label}"`);
+      return data;
+    } catch (err) {
+      console.error('Error holding order:', err);
+      setError(err.message);
+      toast.error('Failed to hold order');
+      throw err;
+    }
+  }, [user]);
+
+  /**
+   * Take a held order back for checkout. The row is deleted as it is read,
+   * so two terminals cannot resume the same order.
+   * @param {number} heldOrderId - Held order ID
+   * @returns {Object} Held order with its saved order_data
+   */
+  const resumeHeldOrder = useCallback(async (heldOrderId) => {
+    try {
+      const { data, error: resumeError } = await supabase
+        .from('held_orders')
+        .delete()
+        .eq('held_order_id', heldOrderId)
+        .select()
+        .maybeSingle();
+      
+      if (resumeError) throw resumeError;
+      
+      setHeldOrders(prev => prev.filter(held => held.held_order_id !== heldOrderId));
+      
+      if (!data) {
+        throw new Error('This order was already resumed on another terminal');
+      }
+      
+      return data;
+    } catch (err) {
+      console.error('Error resuming held order:', err);
+      setError(err.message);
+      toast.error(err.message || 'Failed to resume order');
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Discard a held order without selling it
+   * @param {number} heldOrderId - Held order ID
+   * @returns {boolean} Success
+   */
+  const discardHeldOrder = useCallback(async (heldOrderId) => {
+    try {
+      const { error: discardError } = await supabase
+        .from('held_orders')
+        .delete()
+        .eq('held_order_id', heldOrderId);
+      
+      if (discardError) throw discardError;
+      
+      setHeldOrders(prev => prev.filter(held => held.held_order_id !== heldOrderId));
+      toast.success('Held order discarded');
+      return true;
+    } catch (err) {
+      console.error('Error discarding held order:', err);
+      setError(err.message);
+      toast.error('Failed to discard held order');
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Add a new sale with transaction safety
+   * @param {Object} sale - Sale data with items
    * @returns {Object} Created sale
    */
-  const addSale = useCallback(async (saleData) => {
+  const addSale = useCallback(async (sale) => {
+    // One reference for the sale whichever way it reaches the server: if the
+    // response is lost and the sale is queued, the replay finds it recorded
+    const saleData = sale.offline_id ? sale : { ...sale, offline_id: createOfflineId() };
+
+    // No connection - keep the sale on this terminal until it can be replayed
+    if (connectionStatus === 'disconnected') {
+      return queueOfflineSale(saleData);
+    }
+
     setLoading(true);
     setError(null);
     
     try {
       // First, check if all items are available in inventory
       for (const item of saleData.items) {
-        const { available, message } = await checkIngredientAvailability(item.item_id, item.quantity);
+        const { available, message } = await checkIngredientAvailability(item.item_id, item.quantity, item.modifier_ids || []);
         if (!available) {
           throw new Error(message || `Item ${item.item_id} is not available in requested quantity`);
         }
       }
 
       // Format data for the database transaction
-      const formattedItems = saleData.items.map(item => ({
-        item_id: item.item_id,
-        quantity: item.quantity,
-        unit_price: item.unit_price || item.price || 0,
-        subtotal: item.subtotal || (item.quantity * (item.unit_price || item.price || 0))
-      }));
+      const formattedItems = formatSaleItems(saleData.items);
 
       let result;
       
@@ -456,7 +1055,11 @@ export const SalesProvider = ({ children }) => {
           p_sale_date: saleData.sale_date,
           p_payment_method: saleData.payment_method,
           p_total_amount: saleData.total_amount,
-          p_items: formattedItems
+          p_items: formattedItems,
+          p_client_reference: saleData.offline_id,
+          p_discount: buildDiscountPayload(saleData),
+          p_payments: saleData.payments || null,
+          p_terminal_id: saleData.terminal_id || null
         });
         
         if (rpcError) throw rpcError;
@@ -467,18 +1070,25 @@ export const SalesProvider = ({ children }) => {
         
         result = {
           sale_id: rpcResult.sale_id,
+          or_number: rpcResult.or_number,
           success: true
         };
       } catch (rpcErr) {
+        // Only fall back when process_sale isn't installed. A sale it rejected, or
+        // one recorded outside it, would have no official receipt number.
+        const rpcMissing = rpcErr.code === 'PGRST202' || rpcErr.code === '42883';
+        if (!rpcMissing) throw rpcErr;
+        
         console.warn('RPC sale processing failed, falling back to JS implementation:', rpcErr);
         
         // Fallback to the old method if RPC fails
         // Extract items array from the sale data
-        const { items, ...saleHeader } = saleData;
+        const { items, payments, offline_id: clientReference, ...saleHeader } = saleData;
         
         // Add timestamps to sale header
         const headerWithTimestamps = {
           ...saleHeader,
+          client_reference: clientReference,
           staff_id: saleHeader.staff_id, // Use staff_id 
           created_at: new Date().toISOString()
         };
@@ -500,6 +1110,10 @@ export const SalesProvider = ({ children }) => {
             quantity: item.quantity,
             unit_price: item.unit_price || item.price || 0,
             subtotal: item.subtotal || (item.quantity * (item.unit_price || item.price || 0)),
+            modifiers: item.modifiers || [],
+            discount_amount: item.discount_amount || 0,
+            discount_label: item.discount_label || null,
+            notes: item.notes || null,
             created_at: new Date().toISOString()
           }));
           
@@ -520,12 +1134,34 @@ export const SalesProvider = ({ children }) => {
             throw new Error(`Failed to add sale items: ${itemsError.message}`);
           }
           
+          // Record the tender lines (one line for a single-method sale)
+          const paymentRows = (payments && payments.length > 0
+            ? payments
+            : [{ payment_method: saleHeader.payment_method, amount: saleHeader.total_amount }]
+          ).map(payment => ({
+            sale_id: newSale.sale_id,
+            payment_method: payment.payment_method,
+            amount: payment.amount,
+            tendered_amount: payment.tendered_amount ?? payment.amount,
+            change_amount: payment.change_amount || 0,
+            reference_number: payment.reference_number || null
+          }));
+          
+          const { error: paymentsError } = await supabase
+            .from('sales_payments')
+            .insert(paymentRows);
+          
+          if (paymentsError) {
+            console.error('Error recording sale payments:', paymentsError);
+          }
+          
           // Now deduct from inventory using the hook function
           try {
             await processItemSale(items.map(item => ({
               item_id: item.item_id,
-              quantity: item.quantity
-            })));
+              quantity: item.quantity,
+              modifier_ids: item.modifier_ids || []
+            })), newSale.sale_id);
           } catch (inventoryError) {
             console.error('Error updating inventory:', inventoryError);
             toast.error('Sale completed but inventory update may be incomplete', {
@@ -541,6 +1177,7 @@ export const SalesProvider = ({ children }) => {
         
         result = {
           sale_id: newSale.sale_id,
+          or_number: null,
           success: true
         };
       }
@@ -549,16 +1186,23 @@ export const SalesProvider = ({ children }) => {
       const newSaleData = {
         ...saleData,
         sale_id: result.sale_id,
+        or_number: result.or_number,
         created_at: new Date().toISOString()
       };
       
-      toast.success(`Sale #${result.sale_id} completed successfully!`);
+      toast.success(`${result.or_number ? `OR ${result.or_number}` : `Sale #${result.sale_id}`} completed successfully!`);
       
       // Add to local state
       setSales(prev => [newSaleData, ...prev]);
       
       return newSaleData;
     } catch (err) {
+      // The connection dropped mid-sale - don't lose the order, queue it instead
+      if (isNetworkError(err)) {
+        console.warn('Network error while saving sale, queueing offline:', err);
+        return queueOfflineSale(saleData);
+      }
+      
       console.error('Error creating sale:', err);
       setError('Failed to create sale');
       toast.error(`Failed to complete sale: ${err.message}`);
@@ -566,7 +1210,7 @@ export const SalesProvider = ({ children }) => {
     } finally {
       setLoading(false);
     }
-  }, [user, checkIngredientAvailability, processItemSale]);
+  }, [user, connectionStatus, checkIngredientAvailability, processItemSale, queueOfflineSale]);
 
   /**
    * Void a sale (mark as voided, not delete)
@@ -579,102 +1223,22 @@ export const SalesProvider = ({ children }) => {
     setError(null);
     
     try {
-      // Get the current sale details for inventory restoration
-      const { data: saleDetails, error: detailsError } = await supabase
-        .from('sales_detail')
-        .select(`
-          item_id,
-          quantity,
-          items:item_id (
-            item_name
-          )
-        `)
-        .eq('sale_id', id);
+      // The void, its audit record and the restock happen in one transaction
+      const { data: voidResult, error: voidError } = await supabase.rpc('void_sale', {
+        p_sale_id: Number(id),
+        p_reason: reason
+      });
       
-      if (detailsError) throw detailsError;
+      if (voidError) throw voidError;
+      if (!voidResult?.success) throw new Error(voidResult?.message || 'Failed to void sale');
       
-      // Update the sale status to voided
-      const { data: voidedSale, error: updateError } = await supabase
+      const { data: voidedSale, error: fetchError } = await supabase
         .from('sales_header')
-        .update({
-          is_voided: true,
-          void_reason: reason,
-          void_datetime: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        })
+        .select('*')
         .eq('sale_id', id)
-        .select()
         .single();
       
-      if (updateError) throw updateError;
-      
-      // Create void record for audit purposes
-      const { error: voidLogError } = await supabase
-        .from('sales_voids')
-        .insert({
-          sale_id: id,
-          staff_id: user?.staff_id,
-          void_reason: reason,
-          void_datetime: new Date().toISOString(),
-          created_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        });
-      
-      if (voidLogError) {
-        console.error('Error logging void record:', voidLogError);
-        // Continue despite logging error
-      }
-      
-      // Try to restore inventory - this would ideally be done in a transaction
-      try {
-        // For each item in the sale, add back to inventory
-        for (const item of saleDetails) {
-          // Get current ingredient usage for this item
-          const { data: ingredientsUsed, error: ingredientsError } = await supabase
-            .from('item_ingredients')
-            .select(`
-              ingredient_id,
-              quantity,
-              ingredients:ingredient_id (
-                quantity
-              )
-            `)
-            .eq('item_id', item.item_id);
-            
-          if (ingredientsError) {
-            console.error('Error fetching ingredients for item:', ingredientsError);
-            continue;
-          }
-          
-          // Restore each ingredient
-          for (const ingredient of ingredientsUsed) {
-            const totalRestoreAmount = ingredient.quantity * item.quantity;
-            const currentAmount = ingredient.ingredients.quantity || 0;
-            
-            const { error: restoreError } = await supabase
-              .from('ingredients')
-              .update({
-                quantity: currentAmount + totalRestoreAmount,
-                updated_at: new Date().toISOString()
-              })
-              .eq('ingredient_id', ingredient.ingredient_id);
-              
-            if (restoreError) {
-              console.error('Error restoring ingredient quantity:', restoreError);
-            }
-          }
-        }
-      } catch (inventoryError) {
-        console.error('Error restoring inventory:', inventoryError);
-        toast.error('Sale was voided but inventory restoration may be incomplete', {
-          icon: '⚠️',
-          style: {
-            background: '#FFF9C4',
-            color: '#F57C00',
-            borderColor: '#FFE082'
-          }
-        });
-      }
+      if (fetchError) throw fetchError;
       
       // Update state
       setSales(prev => prev.map(sale => 
@@ -692,7 +1256,101 @@ export const SalesProvider = ({ children }) => {
     } finally {
       setLoading(false);
     }
-  }, [user?.staff_id]);
+  }, []);
+
+  /**
+   * Refund part of a sale. Each line is restocked through its recipe or
+   * written off as waste; the refund is recorded and stock moves in one
+   * transaction.
+   * @param {Object} refund - { sale_id, items: [{ sale_detail_id, quantity, disposition }],
+   *   refund_method, reason, approval_pin }. Without a PIN the refund is
+   *   approved by the signed-in user.
+   * @returns {Object} { refund_id, sale_id, or_number, refund_amount }
+   */
+  const refundSale = useCallback(async (refund) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: refundError } = await supabase.rpc('process_refund', {
+        p_sale_id: refund.sale_id,
+        p_items: refund.items,
+        p_refund_method: refund.refund_method,
+        p_reason: refund.reason,
+        p_approval_pin: refund.approval_pin || null,
+        p_terminal_id: terminal?.terminal_id || null
+      });
+
+      if (refundError) throw refundError;
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to process refund');
+      }
+
+      const receipt = data.or_number ? `OR ${data.or_number}` : `Sale #${data.sale_id}`;
+      toast.success(`Refunded ₱${parseFloat(data.refund_amount).toFixed(2)} on ${receipt}`);
+
+      return data;
+    } catch (err) {
+      console.error('Error processing refund:', err);
+      setError(err.message);
+      toast.error(err.message || 'Failed to process refund');
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [terminal]);
+
+  /**
+   * Fetch refunds paid out in a period, with the category of each returned line
+   * @param {Object} options - { startDate, endDate }
+   * @returns {Array} Refunds with items
+   */
+  const fetchRefunds = useCallback(async (options = {}) => {
+    const { startDate, endDate } = options;
+
+    try {
+      let query = supabase
+        .from('sales_refunds')
+        .select(`
+          *,
+          items:sales_refund_items (
+            *,
+            items:item_id (
+              item_name,
+              category
+            )
+          )
+        `)
+        .order('created_at', { ascending: false });
+
+      if (startDate) {
+        query = query.gte('created_at', startDate);
+      }
+
+      if (endDate) {
+        query = query.lte('created_at', endDate);
+      }
+
+      const { data, error: refundsError } = await query;
+
+      if (refundsError) throw refundsError;
+
+      return (data || []).map(refund => ({
+        ...refund,
+        items: (refund.items || []).map(item => ({
+          ...item,
+          name: item.items?.item_name || 'Unknown Item',
+          category: item.items?.category || 'Uncategorized'
+        }))
+      }));
+    } catch (err) {
+      console.error('Error fetching refunds:', err);
+      setError('Failed to fetch refunds');
+      toast.error('Could not load refunds');
+      throw err;
+    }
+  }, []);
 
   /**
    * Export sales report data
@@ -770,8 +1428,28 @@ export const SalesProvider = ({ children }) => {
     getSalesByPaymentMethod,
     addSale,
     voidSale,
+    refundSale,
+    fetchRefunds,
+    fetchPromotion,
+    verifyManagerPin,
+    approveDiscount,
+    findSaleByReceipt,
+    terminal,
+    fetchTerminals,
+    saveTerminal,
+    assignTerminal,
+    heldOrders,
+    fetchHeldOrders,
+    holdOrder,
+    resumeHeldOrder,
+    discardHeldOrder,
     exportSalesReport,
-    calculateSalesStats
+    calculateSalesStats,
+    offlineSales,
+    syncingOfflineSales,
+    syncOfflineSales,
+    retryOfflineSale,
+    discardOfflineSale
   };
 
   return (
@@ -823,11 +1501,41 @@ export const useSales = () => {
     addSale: context.addSale,
     voidSale: context.voidSale,
     
+    // Partial refunds
+    refundSale: context.refundSale,
+    fetchRefunds: context.fetchRefunds,
+    
+    // Discounts
+    fetchPromotion: context.fetchPromotion,
+    verifyManagerPin: context.verifyManagerPin,
+    approveDiscount: context.approveDiscount,
+    
+    // Terminals and official receipts
+    findSaleByReceipt: context.findSaleByReceipt,
+    terminal: context.terminal,
+    fetchTerminals: context.fetchTerminals,
+    saveTerminal: context.saveTerminal,
+    assignTerminal: context.assignTerminal,
+    
+    // Held (parked) orders
+    heldOrders: context.heldOrders,
+    fetchHeldOrders: context.fetchHeldOrders,
+    holdOrder: context.holdOrder,
+    resumeHeldOrder: context.resumeHeldOrder,
+    discardHeldOrder: context.discardHeldOrder,
+    
     // Export functionality
     exportSalesReport: context.exportSalesReport,
     
     // Additional utilities
-    calculateSalesStats: context.calculateSalesStats
+    calculateSalesStats: context.calculateSalesStats,
+    
+    // Offline queue
+    offlineSales: context.offlineSales,
+    syncingOfflineSales: context.syncingOfflineSales,
+    syncOfflineSales: context.syncOfflineSales,
+    retryOfflineSale: context.retryOfflineSale,
+    discardOfflineSale: context.discardOfflineSale
   };
 };
 
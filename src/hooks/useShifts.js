@@ -0,0 +1,279 @@
+import { useState, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import supabase from '../services/supabase';
+import { useAuth } from './useAuth';
+import { CASH_EVENT_TYPES, SHIFT_STATUS } from '../services/constants';
+import { roundCurrency } from '../utils/discount-utils';
+
+/**
+ * Cashier shifts on a terminal: opening float, drawer cash in/out,
+ * X-read and Z-read summaries and the closing count
+ * @param {string|null} terminalId - Terminal the shift runs on
+ * @returns {Object} Shift state and actions
+ */
+export const useShifts = (terminalId) => {
+  const { user } = useAuth();
+  const [currentShift, setCurrentShift] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load the open shift on this terminal, if any
+   * @returns {Object|null} Open shift
+   */
+  const fetchCurrentShift = useCallback(async () => {
+    if (!terminalId) {
+      setCurrentShift(null);
+      return null;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: shiftError } = await supabase
+        .from('cashier_shifts')
+        .select('*')
+        .eq('terminal_id', terminalId)
+        .eq('status', SHIFT_STATUS.OPEN)
+        .maybeSingle();
+
+      if (shiftError) throw shiftError;
+
+      setCurrentShift(data);
+      return data;
+    } catch (err) {
+      console.error('Error fetching current shift:', err);
+      setError(err.message);
+      toast.error('Failed to load the current shift');
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [terminalId]);
+
+  /**
+   * Open a shift on this terminal with a starting cash float
+   * @param {number} openingFloat - Cash in the drawer at the start
+   * @returns {Object} New shift
+   */
+  const openShift = useCallback(async (openingFloat) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: openError } = await supabase
+        .from('cashier_shifts')
+        .insert({
+          terminal_id: terminalId,
+          cashier_id: user.id,
+          cashier_name: `${user.first_name || ''} ${user.last_name || ''}`.trim() || null,
+          opening_float: roundCurrency(openingFloat)
+        })
+        .select()
+        .single();
+
+      if (openError) {
+        // The unique index allows one open shift per terminal
+        if (openError.code === '23505') {
+          throw new Error('A shift is already open on this terminal');
+        }
+        throw openError;
+      }
+
+      setCurrentShift(data);
+      toast.success('Shift opened');
+      return data;
+    } catch (err) {
+      console.error('Error opening shift:', err);
+      setError(err.message);
+      toast.error(err.message || 'Failed to open shift');
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [terminalId, user]);
+
+  /**
+   * Log cash put into or taken out of the drawer during the shift
+   * @param {string} eventType - CASH_EVENT_TYPES value
+   * @param {number} amount - Amount moved
+   * @param {string} reason - Why the cash moved
+   * @returns {Object} Cash event
+   */
+  const recordCashEvent = useCallback(async (eventType, amount, reason) => {
+    try {
+      if (!currentShift) {
+        throw new Error('Open a shift first');
+      }
+
+      const { data, error: eventError } = await supabase
+        .from('shift_cash_events')
+        .insert({
+          shift_id: currentShift.shift_id,
+          event_type: eventType,
+          amount: roundCurrency(amount),
+          reason: reason.trim(),
+          created_by: user?.id || null
+        })
+        .select()
+        .single();
+
+      if (eventError) throw eventError;
+
+      toast.success(eventType === CASH_EVENT_TYPES.CASH_IN ? 'Cash in recorded' : 'Cash out recorded');
+      return data;
+    } catch (err) {
+      console.error('Error recording cash event:', err);
+      setError(err.message);
+      toast.error(err.message || 'Failed to record cash movement');
+      throw err;
+    }
+  }, [currentShift, user]);
+
+  /**
+   * Build an X-read for a shift: sales so far, cash movements and the cash
+   * the drawer should hold. Reading it changes nothing.
+   * @param {Object} shift - Shift to summarise (defaults to the open shift)
+   * @returns {Object} { shift, summary, cash_events, cash_in, cash_out, expected_cash }
+   */
+  const getShiftReport = useCallback(async (shift = currentShift) => {
+    try {
+      if (!shift) {
+        throw new Error('No shift to report on');
+      }
+
+      const [summaryResult, eventsResult] = await Promise.all([
+        supabase.rpc('terminal_sales_summary', {
+          p_terminal_id: shift.terminal_id,
+          p_from: shift.opened_at,
+          p_to: shift.closed_at || new Date().toISOString()
+        }),
+        supabase
+          .from('shift_cash_events')
+          .select('*')
+          .eq('shift_id', shift.shift_id)
+          .order('created_at', { ascending: true })
+      ]);
+
+      if (summaryResult.error) throw summaryResult.error;
+      if (eventsResult.error) throw eventsResult.error;
+
+      const cashEvents = eventsResult.data || [];
+      const sumEvents = (type) => roundCurrency(cashEvents
+        .filter(event => event.event_type === type)
+        .reduce((sum, event) => sum + parseFloat(event.amount), 0));
+
+      const summary = summaryResult.data;
+      const cashIn = sumEvents(CASH_EVENT_TYPES.CASH_IN);
+      const cashOut = sumEvents(CASH_EVENT_TYPES.CASH_OUT);
+
+      return {
+        shift,
+        summary,
+        cash_events: cashEvents,
+        cash_in: cashIn,
+        cash_out: cashOut,
+        expected_cash: roundCurrency(
+          parseFloat(shift.opening_float) + parseFloat(summary.cash_sales || 0)
+            - parseFloat(summary.cash_refunds || 0) + cashIn - cashOut
+        )
+      };
+    } catch (err) {
+      console.error('Error building shift report:', err);
+      setError(err.message);
+      toast.error(err.message || 'Failed to generate X-read');
+      throw err;
+    }
+  }, [currentShift]);
+
+  /**
+   * Close the open shift with the drawer count by denomination
+   * @param {Object} closingCount - Denomination to number of bills/coins
+   * @param {string} notes - Explanation for any variance
+   * @returns {Object} Closed shift with expected cash and variance
+   */
+  const closeShift = useCallback(async (closingCount, notes = '') => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      if (!currentShift) {
+        throw new Error('There is no open shift to close');
+      }
+
+      const countedCash = roundCurrency(Object.entries(closingCount)
+        .reduce((sum, [denomination, count]) => sum + parseFloat(denomination) * (parseInt(count, 10) || 0), 0));
+
+      const { data, error: closeError } = await supabase.rpc('close_shift', {
+        p_shift_id: currentShift.shift_id,
+        p_closing_count: closingCount,
+        p_counted_cash: countedCash,
+        p_notes: notes
+      });
+
+      if (closeError) throw closeError;
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to close shift');
+      }
+
+      setCurrentShift(null);
+      toast.success('Shift closed');
+      return data.shift;
+    } catch (err) {
+      console.error('Error closing shift:', err);
+      setError(err.message);
+      toast.error(err.message || 'Failed to close shift');
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [currentShift]);
+
+  /**
+   * Generate (or reprint) today's Z-read for this terminal
+   * @returns {Object} Z-read with its summary and grand totals
+   */
+  const generateZRead = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: zReadError } = await supabase.rpc('generate_z_read', {
+        p_terminal_id: terminalId
+      });
+
+      if (zReadError) throw zReadError;
+
+      if (!data.success) {
+        throw new Error(data.message || 'Failed to generate Z-read');
+      }
+
+      if (data.reprint) {
+        toast('Today\'s Z-read was already taken - reprinting it');
+      }
+
+      return data.z_read;
+    } catch (err) {
+      console.error('Error generating Z-read:', err);
+      setError(err.message);
+      toast.error(err.message || 'Failed to generate Z-read');
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [terminalId]);
+
+  return {
+    currentShift,
+    loading,
+    error,
+    fetchCurrentShift,
+    openShift,
+    recordCashEvent,
+    getShiftReport,
+    closeShift,
+    generateZRead
+  };
+};
@@ -0,0 +1,344 @@
+import { useState, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import supabase from '../services/supabase';
+import { businessDayBounds } from '../utils/report-utils';
+
+const COUNT_LINE_SELECT = `
+  *,
+  ingredients:ingredient_id (
+    ingredient_id,
+    name,
+    category,
+    unit,
+    ingredient_units (unit, factor)
+  )
+`;
+
+// Throw the message of an RPC that reported { success: false }
+const checkResult = (result, fallback) => {
+  if (!result?.success) throw new Error(result?.message || fallback);
+  return result;
+};
+
+/**
+ * Physical stock counts: start a count, record what is found zone by zone,
+ * submit it, and approve it to post the differences as adjustments. The
+ * database freezes expected quantities when a count starts and does the
+ * posting (see the stock_counts migration).
+ * @returns {Object} Stock count state and actions
+ */
+export const useStockCounts = () => {
+  const [counts, setCounts] = useState([]);
+  const [activeCount, setActiveCount] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Keep the list in step with a count changed on the server
+  const replaceCount = useCallback((count) => {
+    setCounts(prev => prev.map(existing =>
+      existing.count_id === count.count_id ? { ...existing, ...count } : existing
+    ));
+    setActiveCount(prev => (prev?.count_id === count.count_id ? { ...prev, ...count } : prev));
+  }, []);
+
+  /**
+   * Load every count, newest first, with its lines for progress
+   * @returns {Array} Counts
+   */
+  const fetchStockCounts = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('stock_counts')
+        .select('*, stock_count_lines(ingredient_id, expected_quantity, counted_quantity, unit_cost)')
+        .order('started_at', { ascending: false });
+
+      if (fetchError) throw fetchError;
+
+      setCounts(data);
+      return data;
+    } catch (err) {
+      console.error('Error fetching stock counts:', err);
+      setError(err.message);
+      toast.error('Failed to load stock counts');
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Load one count with its ingredients and the entries of each zone
+   * @param {number} countId - Count ID
+   * @returns {Object} Count with lines (sorted by ingredient name) and entries
+   */
+  const fetchStockCount = useCallback(async (countId) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const [countResult, linesResult, entriesResult] = await Promise.all([
+        supabase.from('stock_counts').select('*').eq('count_id', countId).single(),
+        supabase.from('stock_count_lines').select(COUNT_LINE_SELECT).eq('count_id', countId),
+        supabase.from('stock_count_entries').select('*').eq('count_id', countId)
+      ]);
+
+      if (countResult.error) throw countResult.error;
+      if (linesResult.error) throw linesResult.error;
+      if (entriesResult.error) throw entriesResult.error;
+
+      // Counter names are a nicety; roles that cannot read staff still count
+      const { data: staff } = await supabase
+        .from('staff')
+        .select('user_id, first_name, last_name');
+      const staffNames = Object.fromEntries((staff || [])
+        .filter(member => member.user_id)
+        .map(member => [member.user_id, `${member.first_name} ${member.last_name}`]));
+
+      const count = {
+        ...countResult.data,
+        lines: linesResult.data.sort((a, b) =>
+          (a.ingredients?.name || '').localeCompare(b.ingredients?.name || '')),
+        entries: entriesResult.data.map(entry => ({
+          ...entry,
+          counted_by_name: staffNames[entry.counted_by] || null
+        }))
+      };
+
+      setActiveCount(count);
+      return count;
+    } catch (err) {
+      console.error(`Error fetching stock count ${countId}:`, err);
+      setError(err.message);
+      toast.error('Failed to load the stock count');
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Start a count, freezing the expected quantity of its ingredients
+   * @param {Object} countData - { name, zones, ingredientIds (null for
+   *   every ingredient), notes }
+   * @returns {Object} Started count
+   */
+  const startStockCount = useCallback(async ({ name, zones = [], ingredientIds = null, notes = null }) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: rpcError } = await supabase.rpc('start_stock_count', {
+        p_name: name,
+        p_zones: zones,
+        p_ingredient_ids: ingredientIds,
+        p_notes: notes
+      });
+
+      if (rpcError) throw rpcError;
+      const { count } = checkResult(data, 'Failed to start the count');
+
+      setCounts(prev => [count, ...prev]);
+      toast.success(`Count "${count.name}" started`);
+      return count;
+    } catch (err) {
+      console.error('Error starting stock count:', err);
+      setError(err.message);
+      toast.error(`Failed to start count: ${err.message}`);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Record what was found of an ingredient in a zone, replacing the zone's
+   * earlier entry
+   * @param {number} countId - Count ID
+   * @param {number} ingredientId - Ingredient ID
+   * @param {string} zone - Zone counted; empty for a count without zones
+   * @param {number|null} quantity - Quantity found; null clears the zone
+   * @param {string} [unit] - Unit counted in; empty for the stock unit
+   * @returns {Object} The ingredient's count line with its new total
+   */
+  const recordCountEntry = useCallback(async (countId, ingredientId, zone, quantity, unit = null) => {
+    setError(null);
+
+    try {
+      const { data, error: rpcError } = await supabase.rpc('record_stock_count_entry', {
+        p_count_id: countId,
+        p_ingredient_id: ingredientId,
+        p_zone: zone || '',
+        p_quantity: quantity,
+        p_unit: unit || null
+      });
+
+      if (rpcError) throw rpcError;
+      const { line } = checkResult(data, 'Failed to record the count');
+
+      // Entries are re-read so the zone shows who counted it last
+      const { data: entries, error: entriesError } = await supabase
+        .from('stock_count_entries')
+        .select('*')
+        .eq('count_id', countId)
+        .eq('ingredient_id', ingredientId);
+
+      if (entriesError) throw entriesError;
+
+      setActiveCount(prev => {
+        if (prev?.count_id !== countId) return prev;
+
+        const names = Object.fromEntries(prev.entries
+          .filter(entry => entry.counted_by_name)
+          .map(entry => [entry.counted_by, entry.counted_by_name]));
+
+        return {
+          ...prev,
+          lines: prev.lines.map(existing =>
+            existing.ingredient_id === ingredientId ? { ...existing, ...line } : existing
+          ),
+          entries: [
+            ...prev.entries.filter(entry => entry.ingredient_id !== ingredientId),
+            ...entries.map(entry => ({ ...entry, counted_by_name: names[entry.counted_by] || null }))
+          ]
+        };
+      });
+
+      return line;
+    } catch (err) {
+      console.error(`Error recording count of ingredient ${ingredientId}:`, err);
+      setError(err.message);
+      toast.error(`Failed to record count: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
+  // Run a status change RPC and apply the count it returns
+  const changeStatus = useCallback(async (rpc, params, { success, failure }) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: rpcError } = await supabase.rpc(rpc, params);
+
+      if (rpcError) throw rpcError;
+      const result = checkResult(data, failure);
+
+      replaceCount(result.count);
+      toast.success(success);
+      return result;
+    } catch (err) {
+      console.error(`Error calling ${rpc} for count ${params.p_count_id}:`, err);
+      setError(err.message);
+      toast.error(`${failure}: ${err.message}`);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, [replaceCount]);
+
+  /**
+   * Hand a count to a manager for approval
+   * @param {number} countId - Count ID
+   * @returns {Object} Submitted count
+   */
+  const submitStockCount = useCallback(async (countId) => {
+    const result = await changeStatus('submit_stock_count', { p_count_id: countId }, {
+      success: 'Count submitted for approval',
+      failure: 'Failed to submit count'
+    });
+    return result.count;
+  }, [changeStatus]);
+
+  /**
+   * Send a submitted count back for a recount
+   * @param {number} countId - Count ID
+   * @returns {Object} Reopened count
+   */
+  const reopenStockCount = useCallback(async (countId) => {
+    const result = await changeStatus('reopen_stock_count', { p_count_id: countId }, {
+      success: 'Count reopened for recounting',
+      failure: 'Failed to reopen count'
+    });
+    return result.count;
+  }, [changeStatus]);
+
+  /**
+   * Approve a submitted count, posting its differences as adjustments
+   * @param {number} countId - Count ID
+   * @param {Object} reasons - Reason for each difference, keyed by ingredient ID
+   * @returns {Object} { count, adjustments } where adjustments are the new
+   *   balances of the ingredients adjusted
+   */
+  const approveStockCount = useCallback(async (countId, reasons = {}) => {
+    const result = await changeStatus('approve_stock_count', { p_count_id: countId, p_reasons: reasons }, {
+      success: 'Count approved and stock adjusted',
+      failure: 'Failed to approve count'
+    });
+    return { count: result.count, adjustments: result.adjustments || [] };
+  }, [changeStatus]);
+
+  /**
+   * Cancel an open count; stock is left as it is
+   * @param {number} countId - Count ID
+   * @returns {Object} Cancelled count
+   */
+  const cancelStockCount = useCallback(async (countId) => {
+    const result = await changeStatus('cancel_stock_count', { p_count_id: countId }, {
+      success: 'Count cancelled',
+      failure: 'Failed to cancel count'
+    });
+    return result.count;
+  }, [changeStatus]);
+
+  /**
+   * Counts approved within whole business days, with their lines, for the
+   * count-variance report
+   * @param {Object} range - { startDate, endDate } as yyyy-MM-dd
+   * @returns {Array} Approved counts, oldest first
+   */
+  const fetchApprovedCounts = useCallback(async ({ startDate, endDate }) => {
+    try {
+      let query = supabase
+        .from('stock_counts')
+        .select('count_id, name, approved_at, stock_count_lines(ingredient_id, expected_quantity, counted_quantity, unit_cost, reason)')
+        .eq('status', 'approved')
+        .order('approved_at', { ascending: true });
+
+      if (startDate && endDate) {
+        const { from, to } = businessDayBounds(startDate, endDate);
+        query = query.gte('approved_at', from).lt('approved_at', to);
+      }
+
+      const { data, error: fetchError } = await query;
+
+      if (fetchError) throw fetchError;
+      return data;
+    } catch (err) {
+      console.error('Error fetching approved stock counts:', err);
+      toast.error('Failed to load stock count variances');
+      throw err;
+    }
+  }, []);
+
+  return {
+    counts,
+    activeCount,
+    loading,
+    error,
+    fetchStockCounts,
+    fetchStockCount,
+    startStockCount,
+    recordCountEntry,
+    submitStockCount,
+    reopenStockCount,
+    approveStockCount,
+    cancelStockCount,
+    fetchApprovedCounts,
+    setActiveCount
+  };
+};
+
+export default useStockCounts;
@@ -0,0 +1,314 @@
+import { useState, useCallback } from 'react';
+import { toast } from 'react-hot-toast';
+import supabase from '../services/supabase';
+import { uploadFile, deleteFile } from '../services/fileStorage';
+
+/**
+ * The supplier side of purchasing: delivery scheduling, documents attached to
+ * purchase orders, catalog prices and payment history. Row level security
+ * limits portal users to their own supplier, so the same queries serve staff.
+ * @returns {Object} Portal state and actions
+ */
+export const useSupplierPortal = () => {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Delivery dates proposed for a purchase order, newest first
+   * @param {number} purchaseId - Purchase order ID
+   * @returns {Array} Proposals
+   */
+  const fetchDeliveryProposals = useCallback(async (purchaseId) => {
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('purchase_delivery_proposals')
+        .select('*')
+        .eq('purchase_id', purchaseId)
+        .order('created_at', { ascending: false });
+
+      if (fetchError) throw fetchError;
+      return data || [];
+    } catch (err) {
+      console.error(`Error fetching delivery proposals for purchase order ${purchaseId}:`, err);
+      setError(err.message);
+      toast.error('Failed to load delivery schedule');
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Supplier proposes when an open order will be delivered. Replaces any
+   * proposal still waiting for an answer.
+   * @param {number} purchaseId - Purchase order ID
+   * @param {Object} proposal - { deliveryDate, windowStart, windowEnd, notes }
+   * @returns {Object} Created proposal
+   */
+  const proposeDelivery = useCallback(async (purchaseId, { deliveryDate, windowStart, windowEnd, notes = null }) => {
+    setError(null);
+
+    try {
+      const { data, error: rpcError } = await supabase.rpc('propose_purchase_delivery', {
+        p_purchase_id: purchaseId,
+        p_delivery_date: deliveryDate,
+        p_window_start: windowStart,
+        p_window_end: windowEnd,
+        p_notes: notes
+      });
+
+      if (rpcError) throw rpcError;
+      if (!data?.success) throw new Error(data?.message || 'Failed to propose the delivery');
+
+      if (data.purchase_created_by) {
+        await supabase.rpc('create_notification', {
+          p_user_id: data.purchase_created_by,
+          p_title: 'Delivery Proposed',
+          p_message: `The supplier proposed delivering purchase order #${purchaseId} on ${data.proposal.delivery_date}, ${data.proposal.window_start.slice(0, 5)}-${data.proposal.window_end.slice(0, 5)}`,
+          p_link: `/suppliers?tab=purchase-orders&id=${purchaseId}`
+        });
+      }
+
+      toast.success('Delivery proposed');
+      return data.proposal;
+    } catch (err) {
+      console.error(`Error proposing delivery for purchase order ${purchaseId}:`, err);
+      setError(err.message);
+      toast.error(`Failed to propose delivery: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Staff confirm or decline a proposed delivery
+   * @param {number} proposalId - Proposal ID
+   * @param {boolean} confirm - true to confirm, false to decline
+   * @param {string} note - Required when declining
+   * @returns {Object} Updated proposal
+   */
+  const respondToDeliveryProposal = useCallback(async (proposalId, confirm, note = null) => {
+    setError(null);
+
+    try {
+      const { data, error: rpcError } = await supabase.rpc('respond_to_delivery_proposal', {
+        p_proposal_id: proposalId,
+        p_confirm: confirm,
+        p_note: note
+      });
+
+      if (rpcError) throw rpcError;
+      if (!data?.success) throw new Error(data?.message || 'Failed to answer the delivery proposal');
+
+      if (data.supplier_user_id) {
+        const { proposal } = data;
+        await supabase.rpc('create_notification', {
+          p_user_id: data.supplier_user_id,
+          p_title: confirm ? 'Delivery Confirmed' : 'Delivery Declined',
+          p_message: confirm
+            ? `Delivery of purchase order #${proposal.purchase_id} is confirmed for ${proposal.delivery_date}, ${proposal.window_start.slice(0, 5)}-${proposal.window_end.slice(0, 5)}`
+            : `The delivery proposed for purchase order #${proposal.purchase_id} was declined: ${proposal.response_note}`,
+          p_link: `/suppliers?tab=purchase-orders&id=${proposal.purchase_id}`
+        });
+      }
+
+      toast.success(confirm ? 'Delivery confirmed' : 'Delivery declined');
+      return data.proposal;
+    } catch (err) {
+      console.error(`Error answering delivery proposal ${proposalId}:`, err);
+      setError(err.message);
+      toast.error(`Failed to answer delivery proposal: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Delivery receipts and invoices attached to a purchase order, newest first
+   * @param {number} purchaseId - Purchase order ID
+   * @returns {Array} Documents
+   */
+  const fetchDocuments = useCallback(async (purchaseId) => {
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('supplier_documents')
+        .select('*')
+        .eq('purchase_id', purchaseId)
+        .order('created_at', { ascending: false });
+
+      if (fetchError) throw fetchError;
+      return data || [];
+    } catch (err) {
+      console.error(`Error fetching documents for purchase order ${purchaseId}:`, err);
+      setError(err.message);
+      toast.error('Failed to load documents');
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Upload a delivery receipt or invoice and attach it to a purchase order.
+   * Whoever raised the order is told when someone else attaches one.
+   * @param {number} purchaseId - Purchase order ID
+   * @param {Object} document - { file, documentType, referenceNumber, notes }
+   * @returns {Object} Created document
+   */
+  const uploadDocument = useCallback(async (purchaseId, { file, documentType, referenceNumber = null, notes = null }) => {
+    setLoading(true);
+    setError(null);
+
+    let uploaded = null;
+    try {
+      uploaded = await uploadFile(file, 'suppliers');
+
+      const { data: saved, error: insertError } = await supabase
+        .from('supplier_documents')
+        .insert({
+          purchase_id: purchaseId,
+          document_type: documentType,
+          reference_number: referenceNumber,
+          file_name: file.name,
+          file_url: uploaded.url,
+          file_path: uploaded.path,
+          notes
+        })
+        .select()
+        .single();
+
+      if (insertError) throw insertError;
+
+      const { data: purchase } = await supabase
+        .from('purchase')
+        .select('created_by')
+        .eq('purchase_id', purchaseId)
+        .single();
+
+      if (purchase?.created_by && purchase.created_by !== saved.uploaded_by) {
+        await supabase.rpc('create_notification', {
+          p_user_id: purchase.created_by,
+          p_title: documentType === 'invoice' ? 'Supplier Invoice Uploaded' : 'Delivery Receipt Uploaded',
+          p_message: `A ${documentType === 'invoice' ? 'supplier invoice' : 'delivery receipt'} was attached to purchase order #${purchaseId}`,
+          p_link: `/suppliers?tab=purchase-orders&id=${purchaseId}`
+        });
+      }
+
+      toast.success('Document uploaded');
+      return saved;
+    } catch (err) {
+      console.error(`Error uploading document for purchase order ${purchaseId}:`, err);
+      // Don't leave a file behind that nothing points to
+      if (uploaded) {
+        deleteFile(uploaded.path).catch(() => {});
+      }
+      setError(err.message);
+      toast.error(`Failed to upload document: ${err.message}`);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Ingredients the supplier supplies with its current prices, by name
+   * @returns {Array} Catalog rows with ingredient_name and unit
+   */
+  const fetchCatalog = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('ingredient_suppliers')
+        .select('*, ingredients:ingredient_id (name, unit)');
+
+      if (fetchError) throw fetchError;
+
+      return (data || [])
+        .map(row => ({
+          ...row,
+          ingredient_name: row.ingredients?.name,
+          unit: row.ingredients?.unit
+        }))
+        .sort((a, b) => (a.ingredient_name || '').localeCompare(b.ingredient_name || ''));
+    } catch (err) {
+      console.error('Error fetching supplier catalog:', err);
+      setError(err.message);
+      toast.error('Failed to load catalog');
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Supplier updates the prices of ingredients already in its catalog
+   * @param {Array} prices - [{ ingredient_id, typical_price }]
+   * @returns {number} How many prices changed
+   */
+  const updateCatalogPrices = useCallback(async (prices) => {
+    setError(null);
+
+    try {
+      const { data, error: rpcError } = await supabase.rpc('update_supplier_catalog_prices', {
+        p_prices: prices
+      });
+
+      if (rpcError) throw rpcError;
+      if (!data?.success) throw new Error(data?.message || 'Failed to update prices');
+
+      toast.success(data.updated === 1 ? '1 price updated' : `${data.updated} prices updated`);
+      return data.updated;
+    } catch (err) {
+      console.error('Error updating catalog prices:', err);
+      setError(err.message);
+      toast.error(`Failed to update prices: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Invoices recorded for the supplier with the payments made on them,
+   * newest first
+   * @returns {Array} Invoices with balance, purchase_ids and payments
+   */
+  const fetchPaymentHistory = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('supplier_invoices')
+        .select('*, supplier_invoice_purchases (purchase_id), supplier_payments (*)')
+        .order('invoice_date', { ascending: false })
+        .order('invoice_id', { ascending: false });
+
+      if (fetchError) throw fetchError;
+
+      return (data || []).map(invoice => ({
+        ...invoice,
+        balance: invoice.status === 'void' ? 0 : Number(invoice.amount) - Number(invoice.amount_paid),
+        purchase_ids: (invoice.supplier_invoice_purchases || []).map(line => line.purchase_id),
+        payments: [...(invoice.supplier_payments || [])]
+          .sort((a, b) => b.paid_on.localeCompare(a.paid_on) || b.payment_id - a.payment_id)
+      }));
+    } catch (err) {
+      console.error('Error fetching supplier payment history:', err);
+      setError(err.message);
+      toast.error('Failed to load payment history');
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  return {
+    loading,
+    error,
+    fetchDeliveryProposals,
+    proposeDelivery,
+    respondToDeliveryProposal,
+    fetchDocuments,
+    uploadDocument,
+    fetchCatalog,
+    updateCatalogPrices,
+    fetchPaymentHistory
+  };
+};
+
+export default useSupplierPortal;
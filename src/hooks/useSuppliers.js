@@ -2,6 +2,24 @@ import { useState, useCallback } from 'react';
 import { toast } from 'react-hot-toast';
 import supabase from '../services/supabase';
 
+/**
+ * Receive everything still outstanding on a purchase order as one goods
+ * receipt, converted from the units it was ordered in to stock units, and
+ * close the order. The server refuses an order that is already closed.
+ * @param {number|string} purchaseId - Purchase order ID
+ * @returns {Array} New balances of the ingredients received
+ */
+const receivePurchaseStock = async (purchaseId) => {
+  const { data, error } = await supabase.rpc('receive_purchase_stock', {
+    p_purchase_id: Number(purchaseId)
+  });
+  
+  if (error) throw error;
+  if (!data?.success) throw new Error(data?.message || 'Failed to receive purchase into stock');
+  
+  return data.received;
+};
+
 /**
  * Hook for managing suppliers, consignments, and purchase orders
  * @returns {Object} Supplier management functions and state
@@ -627,6 +645,277 @@ export const useSuppliers = () => {
     }
   }, []);
 
+  /**
+   * Goods handed back to the supplier from a consignment
+   * @param {number|string} consignmentId - Consignment ID
+   * @returns {Array} Pullouts, newest first
+   */
+  const fetchConsignmentPullouts = useCallback(async (consignmentId) => {
+    const { data, error: fetchError } = await supabase
+      .from('consignment_pullouts')
+      .select('*, items:item_id (item_name)')
+      .eq('consignment_id', consignmentId)
+      .order('pulled_out_on', { ascending: false });
+
+    if (fetchError) {
+      console.error(`Error fetching pullouts of consignment ${consignmentId}:`, fetchError);
+      throw fetchError;
+    }
+
+    return data;
+  }, []);
+
+  /**
+   * Record consigned goods handed back to the supplier (unsold, expired,
+   * damaged). They are no longer on consignment from that day.
+   * @param {number|string} consignmentId - Consignment ID
+   * @param {Object} pullout - { itemId, quantity, reason, pulledOutOn }
+   * @returns {Object} Recorded pullout
+   */
+  const recordConsignmentPullout = useCallback(async (consignmentId, { itemId, quantity, reason, pulledOutOn = null }) => {
+    setError(null);
+
+    try {
+      const { data, error: rpcError } = await supabase.rpc('record_consignment_pullout', {
+        p_consignment_id: Number(consignmentId),
+        p_item_id: Number(itemId),
+        p_quantity: quantity,
+        p_reason: reason,
+        p_pulled_out_on: pulledOutOn
+      });
+
+      if (rpcError) throw rpcError;
+      if (!data?.success) throw new Error(data?.message || 'Failed to record the pullout');
+
+      toast.success('Pullout recorded');
+      return data.pullout;
+    } catch (err) {
+      console.error(`Error recording pullout for consignment ${consignmentId}:`, err);
+      setError(`Failed to record pullout: ${err.message}`);
+      toast.error(`Failed to record pullout: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Consignment settlements, newest period first. Supplier users only get
+   * the issued settlements of their own supplier.
+   * @returns {Array} Settlements with supplier_name
+   */
+  const fetchConsignmentSettlements = useCallback(async () => {
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('consignment_settlements')
+        .select('*, suppliers:supplier_id (company_name)')
+        .order('period_end', { ascending: false })
+        .order('supplier_id', { ascending: true });
+
+      if (fetchError) throw fetchError;
+
+      return data.map(settlement => ({
+        ...settlement,
+        supplier_name: settlement.suppliers?.company_name
+      }));
+    } catch (err) {
+      console.error('Error fetching consignment settlements:', err);
+      toast.error('Could not load consignment settlements');
+      throw err;
+    }
+  }, []);
+
+  /**
+   * A settlement statement with its lines
+   * @param {number|string} settlementId - Settlement ID
+   * @returns {Object} Settlement with supplier_name and lines (item_name)
+   */
+  const getConsignmentSettlement = useCallback(async (settlementId) => {
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('consignment_settlements')
+        .select('*, suppliers:supplier_id (company_name), consignment_settlement_lines(*, items:item_id (item_name))')
+        .eq('settlement_id', settlementId)
+        .single();
+
+      if (fetchError) throw fetchError;
+
+      return {
+        ...data,
+        supplier_name: data.suppliers?.company_name,
+        lines: data.consignment_settlement_lines
+          .map(line => ({ ...line, item_name: line.items?.item_name || 'Unknown Item' }))
+          .sort((a, b) => a.item_name.localeCompare(b.item_name))
+      };
+    } catch (err) {
+      console.error(`Error fetching consignment settlement ${settlementId}:`, err);
+      toast.error('Failed to load the settlement');
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Work out what a consignment supplier sold over a period and what they
+   * are owed, as a draft settlement
+   * @param {Object} settlement - { supplierId, periodStart, periodEnd, notes }
+   *   with dates as yyyy-MM-dd business days
+   * @returns {Object} Draft settlement
+   */
+  const createConsignmentSettlement = useCallback(async ({ supplierId, periodStart, periodEnd, notes = null }) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: rpcError } = await supabase.rpc('create_consignment_settlement', {
+        p_supplier_id: Number(supplierId),
+        p_period_start: periodStart,
+        p_period_end: periodEnd,
+        p_notes: notes
+      });
+
+      if (rpcError) throw rpcError;
+      if (!data?.success) throw new Error(data?.message || 'Failed to create the settlement');
+
+      toast.success('Draft settlement created');
+      return data.settlement;
+    } catch (err) {
+      console.error('Error creating consignment settlement:', err);
+      setError(`Failed to create settlement: ${err.message}`);
+      toast.error(`Failed to create settlement: ${err.message}`);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Throw away a draft settlement, e.g. to recreate it after recording a
+   * late pullout
+   * @param {number|string} settlementId - Settlement ID
+   * @returns {boolean} Success status
+   */
+  const discardConsignmentSettlement = useCallback(async (settlementId) => {
+    setError(null);
+
+    try {
+      const { data, error: rpcError } = await supabase.rpc('discard_consignment_settlement', {
+        p_settlement_id: Number(settlementId)
+      });
+
+      if (rpcError) throw rpcError;
+      if (!data?.success) throw new Error(data?.message || 'Failed to discard the settlement');
+
+      toast.success('Draft settlement discarded');
+      return true;
+    } catch (err) {
+      console.error(`Error discarding consignment settlement ${settlementId}:`, err);
+      setError(`Failed to discard settlement: ${err.message}`);
+      toast.error(`Failed to discard settlement: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Finalise a draft settlement and send it to the supplier's portal
+   * @param {number|string} settlementId - Settlement ID
+   * @returns {Object} Issued settlement
+   */
+  const issueConsignmentSettlement = useCallback(async (settlementId) => {
+    setError(null);
+
+    try {
+      const { data, error: rpcError } = await supabase.rpc('issue_consignment_settlement', {
+        p_settlement_id: Number(settlementId)
+      });
+
+      if (rpcError) throw rpcError;
+      if (!data?.success) throw new Error(data?.message || 'Failed to issue the settlement');
+
+      // Let the supplier know there is a statement to review
+      if (data.supplier_user_id) {
+        await supabase.rpc('create_notification', {
+          p_user_id: data.supplier_user_id,
+          p_title: 'Consignment Settlement Issued',
+          p_message: `Settlement #${settlementId} for ${data.settlement.period_start} to ${data.settlement.period_end} is ready for your review`,
+          p_link: `/suppliers?tab=settlements`
+        });
+      }
+
+      toast.success('Settlement issued to the supplier');
+      return data.settlement;
+    } catch (err) {
+      console.error(`Error issuing consignment settlement ${settlementId}:`, err);
+      setError(`Failed to issue settlement: ${err.message}`);
+      toast.error(`Failed to issue settlement: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Supplier confirms an issued settlement statement
+   * @param {number|string} settlementId - Settlement ID
+   * @param {string} remarks - Optional remarks for the store
+   * @returns {Object} Acknowledged settlement
+   */
+  const acknowledgeConsignmentSettlement = useCallback(async (settlementId, remarks = null) => {
+    setError(null);
+
+    try {
+      const { data, error: rpcError } = await supabase.rpc('acknowledge_consignment_settlement', {
+        p_settlement_id: Number(settlementId),
+        p_remarks: remarks
+      });
+
+      if (rpcError) throw rpcError;
+      if (!data?.success) throw new Error(data?.message || 'Failed to acknowledge the settlement');
+
+      // Notify staff that prepared the settlement
+      if (data.settlement.created_by) {
+        await supabase.rpc('create_notification', {
+          p_user_id: data.settlement.created_by,
+          p_title: 'Consignment Settlement Acknowledged',
+          p_message: `Settlement #${settlementId} has been acknowledged by the supplier`,
+          p_link: `/suppliers?tab=settlements`
+        });
+      }
+
+      toast.success('Settlement acknowledged');
+      return data.settlement;
+    } catch (err) {
+      console.error(`Error acknowledging consignment settlement ${settlementId}:`, err);
+      setError(`Failed to acknowledge settlement: ${err.message}`);
+      toast.error(`Failed to acknowledge settlement: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Record the payout of an issued settlement to the supplier
+   * @param {number|string} settlementId - Settlement ID
+   * @param {Object} payout - { paymentMethod, paymentReference }
+   * @returns {Object} Paid settlement
+   */
+  const recordConsignmentPayout = useCallback(async (settlementId, { paymentMethod, paymentReference = null }) => {
+    setError(null);
+
+    try {
+      const { data, error: rpcError } = await supabase.rpc('record_consignment_payout', {
+        p_settlement_id: Number(settlementId),
+        p_payment_method: paymentMethod,
+        p_payment_reference: paymentReference
+      });
+
+      if (rpcError) throw rpcError;
+      if (!data?.success) throw new Error(data?.message || 'Failed to record the payout');
+
+      toast.success('Payout recorded');
+      return data.settlement;
+    } catch (err) {
+      console.error(`Error recording payout for consignment settlement ${settlementId}:`, err);
+      setError(`Failed to record payout: ${err.message}`);
+      toast.error(`Failed to record payout: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
   /**
    * Fetch purchase orders with supplier details
    * @param {Object} params - Query parameters
@@ -708,10 +997,14 @@ export const useSuppliers = () => {
             ingredient_id: item.ingredient_id,
             ingredient_name: item.ingredients?.name || 'Unknown Ingredient',
             ingredient_unit: item.ingredients?.unit || 'unit',
+            // Ordered in this unit; unit_factor stock units make one of it
+            unit: item.unit || item.ingredients?.unit || 'unit',
+            unit_factor: item.unit_factor ?? 1,
             quantity: item.quantity,
             unit_price: item.unit_price,
             subtotal: item.subtotal,
-            product_expiration_date: item.product_expiration_date
+            product_expiration_date: item.product_expiration_date,
+            lot_number: item.lot_number
           }));
           
           return {
@@ -811,10 +1104,13 @@ export const useSuppliers = () => {
         ingredient_id: item.ingredient_id,
         ingredient_name: item.ingredients?.name || 'Unknown Ingredient',
         ingredient_unit: item.ingredients?.unit || 'unit',
+        unit: item.unit || item.ingredients?.unit || 'unit',
+        unit_factor: item.unit_factor ?? 1,
         quantity: item.quantity,
         unit_price: item.unit_price,
         subtotal: item.subtotal,
-        product_expiration_date: item.product_expiration_date
+        product_expiration_date: item.product_expiration_date,
+        lot_number: item.lot_number
       }));
       
       // Add items and name details to purchase object
@@ -892,31 +1188,11 @@ export const useSuppliers = () => {
       
       // Update inventory quantities if purchase is already approved
       if (newPurchase.status === 'completed' && purchaseData.update_inventory) {
-        for (const item of purchase_details) {
-          const { data: ingredient, error: getError } = await supabase
-            .from('ingredients')
-            .select('quantity')
-            .eq('ingredient_id', item.ingredient_id)
-            .single();
-          
-          if (getError) {
-            console.error('Error fetching ingredient quantity:', getError);
-            continue;
-          }
-          
-          const newQuantity = (ingredient.quantity || 0) + item.quantity;
-          
-          const { error: updateError } = await supabase
-            .from('ingredients')
-            .update({ 
-              quantity: newQuantity,
-              updated_at: new Date().toISOString()
-            })
-            .eq('ingredient_id', item.ingredient_id);
-          
-          if (updateError) {
-            console.error('Error updating ingredient quantity:', updateError);
-          }
+        try {
+          await receivePurchaseStock(newPurchase.purchase_id);
+        } catch (stockError) {
+          console.error('Error receiving purchase into stock:', stockError);
+          toast.warning('Purchase order created but inventory could not be updated');
         }
       }
       
@@ -1014,31 +1290,11 @@ export const useSuppliers = () => {
       
       // Update inventory if status changed to completed and update_inventory flag is set
       if (statusChangedToCompleted && purchaseData.update_inventory) {
-        for (const item of purchase_details) {
-          const { data: ingredient, error: getIngError } = await supabase
-            .from('ingredients')
-            .select('quantity')
-            .eq('ingredient_id', item.ingredient_id)
-            .single();
-          
-          if (getIngError) {
-            console.error('Error fetching ingredient quantity:', getIngError);
-            continue;
-          }
-          
-          const newQuantity = (ingredient.quantity || 0) + item.quantity;
-          
-          const { error: updateIngError } = await supabase
-            .from('ingredients')
-            .update({ 
-              quantity: newQuantity,
-              updated_at: new Date().toISOString()
-            })
-            .eq('ingredient_id', item.ingredient_id);
-          
-          if (updateIngError) {
-            console.error('Error updating ingredient quantity:', updateIngError);
-          }
+        try {
+          await receivePurchaseStock(id);
+        } catch (stockError) {
+          console.error('Error receiving purchase into stock:', stockError);
+          toast.warning('Purchase order updated but inventory could not be updated');
         }
       }
       
@@ -1135,51 +1391,24 @@ export const useSuppliers = () => {
         throw new Error('This purchase order is already marked as received');
       }
       
-      // Update purchase status to completed
-      const { data: updatedPurchase, error: updateError } = await supabase
+      // Receive everything still outstanding as one receipt; the server
+      // closes the order
+      if (updateInventory && purchase.items) {
+        await receivePurchaseStock(id);
+      }
+      
+      // Record who received it
+      const { error: updateError } = await supabase
         .from('purchase') // FIXED: Changed from 'purchases' to 'purchase'
         .update({ 
           status: 'completed', 
           approved_by: managerId, // CORRECT: This is now fixed to use approved_by
           updated_at: new Date().toISOString() 
         })
-        .eq('purchase_id', id)
-        .select()
-        .single();
+        .eq('purchase_id', id);
       
       if (updateError) throw updateError;
       
-      // Update inventory quantities if flag is set
-      if (updateInventory && purchase.items) {
-        for (const item of purchase.items) {
-          const { data: ingredient, error: getError } = await supabase
-            .from('ingredients')
-            .select('quantity')
-            .eq('ingredient_id', item.ingredient_id)
-            .single();
-          
-          if (getError) {
-            console.error('Error fetching ingredient quantity:', getError);
-            continue;
-          }
-          
-          const newQuantity = (ingredient.quantity || 0) + item.quantity;
-          
-          const { error: updateIngError } = await supabase
-            .from('ingredients')
-            .update({ 
-              quantity: newQuantity,
-              last_restock_date: new Date().toISOString(),
-              updated_at: new Date().toISOString()
-            })
-            .eq('ingredient_id', item.ingredient_id);
-          
-          if (updateIngError) {
-            console.error('Error updating ingredient quantity:', updateIngError);
-          }
-        }
-      }
-      
       // Fetch the complete updated purchase order
       const completePurchase = await getPurchaseOrder(id);
       
@@ -1201,44 +1430,24 @@ export const useSuppliers = () => {
   }, [getPurchaseOrder]);
 
   /**
-   * Supplier accepts a purchase order
+   * Supplier accepts a purchase order placed with it
    * @param {number|string} id - Purchase order ID
-   * @param {string} supplierId - Supplier ID accepting the order
    * @returns {Object} Updated purchase order
    */
-  const acceptPurchaseOrder = useCallback(async (id, supplierId) => {
+  const acceptPurchaseOrder = useCallback(async (id) => {
     setLoading(true);
     setError(null);
     
     try {
-      // Check if purchase order exists and is approved
-      const purchase = await getPurchaseOrder(id);
+      // Suppliers can't write purchase orders; the function checks the order is theirs
+      const { data, error: rpcError } = await supabase.rpc('accept_purchase_order', {
+        p_purchase_id: Number(id)
+      });
       
-      if (!purchase) {
-        throw new Error('Purchase order not found');
-      }
+      if (rpcError) throw rpcError;
+      if (!data?.success) throw new Error(data?.message || 'Failed to accept the purchase order');
       
-      if (purchase.status !== 'approved') {
-        throw new Error('Only approved purchase orders can be accepted');
-      }
-      
-      // Check if the supplier matches
-      if (purchase.supplier_id.toString() !== supplierId.toString()) {
-        throw new Error('This purchase order is not for your supplier account');
-      }
-      
-      // Update purchase order status
-      const { data: updatedPurchase, error: updateError } = await supabase
-        .from('purchase')
-        .update({ 
-          status: 'accepted',
-          updated_at: new Date().toISOString() 
-        })
-        .eq('purchase_id', id)
-        .select()
-        .single();
-      
-      if (updateError) throw updateError;
+      const updatedPurchase = data.purchase;
       
       // Update local state
       setPurchaseOrders(prev => prev.map(p => 
@@ -1246,9 +1455,9 @@ export const useSuppliers = () => {
       ));
       
       // Notify staff that created the purchase order
-      if (purchase.created_by) {
+      if (updatedPurchase.created_by) {
         await supabase.rpc('create_notification', {
-          p_user_id: purchase.created_by,
+          p_user_id: updatedPurchase.created_by,
           p_title: 'Purchase Order Accepted',
           p_message: `Purchase order #${id} has been accepted by supplier`,
           p_link: `/suppliers?tab=purchase-orders&id=${id}`
@@ -1265,59 +1474,38 @@ export const useSuppliers = () => {
     } finally {
       setLoading(false);
     }
-  }, [getPurchaseOrder]);
+  }, []);
 
   /**
-   * Supplier rejects a purchase order
+   * Supplier rejects a purchase order placed with it
    * @param {number|string} id - Purchase order ID
-   * @param {string} supplierId - Supplier ID rejecting the order
-   * @param {string} reason - Rejection reason
+   * @param {string} reason - Rejection reason, added to the order notes
    * @returns {Object} Updated purchase order
    */
-  const rejectPurchaseOrder = useCallback(async (id, supplierId, reason = '') => {
+  const rejectPurchaseOrder = useCallback(async (id, reason = '') => {
     setLoading(true);
     setError(null);
     
     try {
-      // Check if purchase order exists and is approved
-      const purchase = await getPurchaseOrder(id);
+      const { data, error: rpcError } = await supabase.rpc('reject_purchase_order', {
+        p_purchase_id: Number(id),
+        p_reason: reason || null
+      });
       
-      if (!purchase) {
-        throw new Error('Purchase order not found');
-      }
-      
-      if (purchase.status !== 'approved') {
-        throw new Error('Only approved purchase orders can be rejected');
-      }
+      if (rpcError) throw rpcError;
+      if (!data?.success) throw new Error(data?.message || 'Failed to reject the purchase order');
       
-      // Check if the supplier matches
-      if (purchase.supplier_id.toString() !== supplierId.toString()) {
-        throw new Error('This purchase order is not for your supplier account');
-      }
-      
-      // Update purchase order status
-      const { data: updatedPurchase, error: updateError } = await supabase
-        .from('purchase')
-        .update({ 
-          status: 'rejected', 
-          notes: reason ? `${purchase.notes || ''}\n\nREJECTION REASON: ${reason}` : purchase.notes,
-          updated_at: new Date().toISOString() 
-        })
-        .eq('purchase_id', id)
-        .select()
-        .single();
-      
-      if (updateError) throw updateError;
+      const updatedPurchase = data.purchase;
       
       // Update local state
       setPurchaseOrders(prev => prev.map(p => 
-        p.purchase_id === Number(id) ? {...p, status: 'rejected'} : p
+        p.purchase_id === Number(id) ? {...p, status: 'rejected', notes: updatedPurchase.notes} : p
       ));
       
       // Notify staff that created the purchase order
-      if (purchase.created_by) {
+      if (updatedPurchase.created_by) {
         await supabase.rpc('create_notification', {
-          p_user_id: purchase.created_by,
+          p_user_id: updatedPurchase.created_by,
           p_title: 'Purchase Order Rejected',
           p_message: `Purchase order #${id} has been rejected by supplier. ${reason ? `Reason: ${reason}` : ''}`,
           p_link: `/suppliers?tab=purchase-orders&id=${id}`
@@ -1334,7 +1522,7 @@ export const useSuppliers = () => {
     } finally {
       setLoading(false);
     }
-  }, [getPurchaseOrder]);
+  }, []);
 
   /**
    * Approve a purchase order
@@ -1405,6 +1593,232 @@ export const useSuppliers = () => {
     }
   }, [getPurchaseOrder]);
 
+  /**
+   * Ingredients due for reordering from their preferred supplier, worked
+   * out on the server from recent usage and each supplier's lead time
+   * @param {Object} options - { days: usage history, coverDays: days an
+   *   order should last beyond the lead time }
+   * @returns {Array} Suggestions, grouped by supplier name; those without
+   *   a preferred supplier have a null supplier_id
+   */
+  const fetchReorderSuggestions = useCallback(async ({ days, coverDays } = {}) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: rpcError } = await supabase.rpc('reorder_suggestions', {
+        p_days: days,
+        p_cover_days: coverDays
+      });
+
+      if (rpcError) throw rpcError;
+      if (!data?.success) throw new Error(data?.message || 'Failed to work out reorder suggestions');
+
+      return data.suggestions;
+    } catch (err) {
+      console.error('Error fetching reorder suggestions:', err);
+      setError(`Failed to load reorder suggestions: ${err.message}`);
+      toast.error(`Failed to load reorder suggestions: ${err.message}`);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Raise draft purchase orders, one per preferred supplier, for the
+   * suggested ingredients. Drafts are reviewed and submitted in the
+   * purchase order form.
+   * @param {Object} options - { ingredientIds (null for every suggestion),
+   *   days, coverDays } as passed to fetchReorderSuggestions
+   * @returns {Array} IDs of the draft purchase orders
+   */
+  const createReorderDrafts = useCallback(async ({ ingredientIds = null, days, coverDays } = {}) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: rpcError } = await supabase.rpc('create_reorder_drafts', {
+        p_ingredient_ids: ingredientIds,
+        p_days: days,
+        p_cover_days: coverDays
+      });
+
+      if (rpcError) throw rpcError;
+      if (!data?.success) throw new Error(data?.message || 'Failed to create draft purchase orders');
+
+      toast.success(`${data.purchase_ids.length} draft purchase order${data.purchase_ids.length === 1 ? '' : 's'} created`);
+      return data.purchase_ids;
+    } catch (err) {
+      console.error('Error creating reorder drafts:', err);
+      setError(`Failed to create draft purchase orders: ${err.message}`);
+      toast.error(`Failed to create draft purchase orders: ${err.message}`);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Deliveries received against a purchase order and the discrepancies
+   * they raised
+   * @param {number|string} purchaseId - Purchase order ID
+   * @returns {Object} { receipts (newest first, with lines), discrepancies }
+   */
+  const fetchGoodsReceipts = useCallback(async (purchaseId) => {
+    try {
+      const [receiptsResult, discrepanciesResult] = await Promise.all([
+        supabase
+          .from('goods_receipts')
+          .select('*, goods_receipt_lines(*, ingredients:ingredient_id (name, unit))')
+          .eq('purchase_id', purchaseId)
+          .order('received_at', { ascending: false }),
+        supabase
+          .from('purchase_discrepancies')
+          .select('*, ingredients:ingredient_id (name, unit)')
+          .eq('purchase_id', purchaseId)
+          .order('created_at', { ascending: true })
+      ]);
+
+      if (receiptsResult.error) throw receiptsResult.error;
+      if (discrepanciesResult.error) throw discrepanciesResult.error;
+
+      return {
+        receipts: receiptsResult.data,
+        discrepancies: discrepanciesResult.data
+      };
+    } catch (err) {
+      console.error(`Error fetching receipts of purchase order ${purchaseId}:`, err);
+      toast.error('Failed to load deliveries');
+      throw err;
+    }
+  }, []);
+
+  /**
+   * Open discrepancies of every order, for the follow-up flags on the
+   * purchase order list
+   * @returns {Array} Open discrepancies (purchase_id, kind, amount)
+   */
+  const fetchOpenDiscrepancies = useCallback(async () => {
+    const { data, error: fetchError } = await supabase
+      .from('purchase_discrepancies')
+      .select('discrepancy_id, purchase_id, kind, amount')
+      .eq('status', 'open');
+
+    if (fetchError) {
+      console.error('Error fetching open discrepancies:', fetchError);
+      throw fetchError;
+    }
+
+    return data;
+  }, []);
+
+  /**
+   * Record a delivery against an approved purchase order. Accepted
+   * quantities (received less damaged and rejected) go into stock and
+   * anything that differs from the order is flagged as a discrepancy.
+   * @param {number|string} purchaseId - Purchase order ID
+   * @param {Object} receipt - { lines: [{ purchase_detail_id,
+   *   received_quantity, damaged_quantity, rejected_quantity, unit_price,
+   *   lot_number, expiry_date, notes }], deliveryReference, notes, close }
+   * @returns {Object} { receipt, purchase } as saved
+   */
+  const receiveGoods = useCallback(async (purchaseId, { lines, deliveryReference = null, notes = null, close = false }) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: rpcError } = await supabase.rpc('receive_goods', {
+        p_purchase_id: Number(purchaseId),
+        p_lines: lines,
+        p_delivery_reference: deliveryReference,
+        p_notes: notes,
+        p_close: close
+      });
+
+      if (rpcError) throw rpcError;
+      if (!data?.success) throw new Error(data?.message || 'Failed to receive the delivery');
+
+      setPurchaseOrders(prev => prev.map(p =>
+        p.purchase_id === Number(purchaseId) ? { ...p, ...data.purchase } : p
+      ));
+
+      toast.success(data.purchase.status === 'completed'
+        ? 'Delivery received and the order is closed'
+        : 'Delivery received');
+      return { receipt: data.receipt, purchase: data.purchase };
+    } catch (err) {
+      console.error(`Error receiving delivery for purchase order ${purchaseId}:`, err);
+      setError(`Failed to receive delivery: ${err.message}`);
+      toast.error(`Failed to receive delivery: ${err.message}`);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Stop receiving a partially received order; what never arrived is
+   * flagged as short
+   * @param {number|string} purchaseId - Purchase order ID
+   * @returns {Object} Closed purchase order
+   */
+  const closePurchaseReceiving = useCallback(async (purchaseId) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: rpcError } = await supabase.rpc('close_purchase_receiving', {
+        p_purchase_id: Number(purchaseId)
+      });
+
+      if (rpcError) throw rpcError;
+      if (!data?.success) throw new Error(data?.message || 'Failed to close the order');
+
+      setPurchaseOrders(prev => prev.map(p =>
+        p.purchase_id === Number(purchaseId) ? { ...p, ...data.purchase } : p
+      ));
+
+      toast.success('Purchase order closed');
+      return data.purchase;
+    } catch (err) {
+      console.error(`Error closing purchase order ${purchaseId}:`, err);
+      setError(`Failed to close purchase order: ${err.message}`);
+      toast.error(`Failed to close purchase order: ${err.message}`);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Mark a delivery discrepancy as settled with the supplier
+   * @param {number} discrepancyId - Discrepancy ID
+   * @param {string} resolution - How it was settled (credit note, redelivery...)
+   * @returns {Object} Resolved discrepancy
+   */
+  const resolveDiscrepancy = useCallback(async (discrepancyId, resolution) => {
+    setError(null);
+
+    try {
+      const { data, error: rpcError } = await supabase.rpc('resolve_purchase_discrepancy', {
+        p_discrepancy_id: discrepancyId,
+        p_resolution: resolution
+      });
+
+      if (rpcError) throw rpcError;
+      if (!data?.success) throw new Error(data?.message || 'Failed to resolve the discrepancy');
+
+      toast.success('Discrepancy resolved');
+      return data.discrepancy;
+    } catch (err) {
+      console.error(`Error resolving discrepancy ${discrepancyId}:`, err);
+      setError(`Failed to resolve discrepancy: ${err.message}`);
+      toast.error(`Failed to resolve discrepancy: ${err.message}`);
+      throw err;
+    }
+  }, []);
+
   // Add supplier-specific functions to handle purchase orders
 
   /**
@@ -1425,6 +1839,8 @@ export const useSuppliers = () => {
           suppliers:supplier_id (supplier_id, company_name)
         `)
         .eq('supplier_id', supplierId)
+        // Drafts are still being reviewed and are not sent to the supplier yet
+        .neq('status', 'draft')
         .order('purchase_date', { ascending: false });
       
       if (fetchError) throw fetchError;
@@ -1447,10 +1863,13 @@ export const useSuppliers = () => {
             ingredient_id: item.ingredient_id,
             ingredient_name: item.ingredients?.name || 'Unknown Ingredient',
             ingredient_unit: item.ingredients?.unit || 'unit',
+            unit: item.unit || item.ingredients?.unit || 'unit',
+            unit_factor: item.unit_factor ?? 1,
             quantity: item.quantity,
             unit_price: item.unit_price,
             subtotal: item.subtotal,
-            product_expiration_date: item.product_expiration_date
+            product_expiration_date: item.product_expiration_date,
+            lot_number: item.lot_number
           })) : [];
           
           return {
@@ -1547,6 +1966,15 @@ export const useSuppliers = () => {
     createConsignment,
     updateConsignment,
     deleteConsignment,
+    fetchConsignmentPullouts,
+    recordConsignmentPullout,
+    fetchConsignmentSettlements,
+    getConsignmentSettlement,
+    createConsignmentSettlement,
+    discardConsignmentSettlement,
+    issueConsignmentSettlement,
+    acknowledgeConsignmentSettlement,
+    recordConsignmentPayout,
     
     // Purchase order operations
     purchaseOrders,
@@ -1559,6 +1987,13 @@ export const useSuppliers = () => {
     acceptPurchaseOrder,
     rejectPurchaseOrder,
     approvePurchaseOrder,
+    fetchReorderSuggestions,
+    createReorderDrafts,
+    fetchGoodsReceipts,
+    fetchOpenDiscrepancies,
+    receiveGoods,
+    closePurchaseReceiving,
+    resolveDiscrepancy,
 
     // Add these new supplier-specific functions
     fetchSupplierPurchaseOrders,
@@ -0,0 +1,20 @@
+import { motion } from 'framer-motion';
+import ExpenseManager from '../components/expenses/ExpenseManager';
+
+const ExpensesPage = () => {
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0 }}
+      transition={{ duration: 0.5 }}
+      className="bg-[#FFF6F2] h-full"
+    >
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <ExpenseManager />
+      </div>
+    </motion.div>
+  );
+};
+
+export default ExpensesPage;
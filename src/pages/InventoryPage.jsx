@@ -7,12 +7,14 @@ import IngredientForm from '../components/inventory/IngredientForm';
 import ItemForm from '../components/inventory/ItemForm';
 import PulloutList from '../components/suppliers/PulloutList';
 import PulloutForm from '../components/suppliers/PulloutForm';
+import StockCountManager from '../components/inventory/StockCountManager';
 import { useInventory } from '../hooks/useInventory';
 import { usePermissions } from '../hooks/usePermissions';
 import { useAuth } from '../hooks/useAuth';
 import Swal from 'sweetalert2';
 import { toast } from 'react-hot-toast';
 import { Spinner } from '../components/common/Spinner';
+import { PERMISSIONS } from '../services/constants';
 
 const InventoryPage = () => {
   const { 
@@ -39,13 +41,16 @@ const InventoryPage = () => {
   
   // Add permissions check
   const { hasPermission, isLoading: permissionsLoading } = usePermissions();
-  const canAddIngredient = hasPermission('inventory.add');
-  const canEditIngredient = hasPermission('inventory.edit');
-  const canDeleteIngredient = hasPermission('inventory.delete');
-  const canManagePullouts = hasPermission('inventory.manage') || hasPermission('pullouts.approve');
-  const canApprovePullouts = hasPermission('pullouts.approve'); // Add this line
-  const canCreatePullouts = canManagePullouts || hasPermission('pullouts.create');
-  const canDeletePullout = hasPermission('inventory.delete') || hasPermission('pullouts.delete');
+  const canAddIngredient = hasPermission(PERMISSIONS.INVENTORY.CREATE);
+  const canEditIngredient = hasPermission(PERMISSIONS.INVENTORY.EDIT);
+  const canDeleteIngredient = hasPermission(PERMISSIONS.INVENTORY.DELETE);
+  const canAddItem = hasPermission(PERMISSIONS.ITEMS.CREATE);
+  const canEditItem = hasPermission(PERMISSIONS.ITEMS.EDIT);
+  const canDeleteItem = hasPermission(PERMISSIONS.ITEMS.DELETE);
+  const canManagePullouts = hasPermission(PERMISSIONS.PULLOUTS.EDIT) || hasPermission(PERMISSIONS.PULLOUTS.APPROVE);
+  const canApprovePullouts = hasPermission(PERMISSIONS.PULLOUTS.APPROVE);
+  const canCreatePullouts = hasPermission(PERMISSIONS.PULLOUTS.CREATE);
+  const canDeletePullout = hasPermission(PERMISSIONS.PULLOUTS.DELETE);
   
   const { user } = useAuth();
   
@@ -56,7 +61,7 @@ const InventoryPage = () => {
   const getTabFromURL = useCallback(() => {
     const searchParams = new URLSearchParams(location.search);
     const tab = searchParams.get('tab');
-    return ['ingredients', 'menu-items', 'pullouts'].includes(tab) ? tab : 'ingredients';
+    return ['ingredients', 'menu-items', 'pullouts', 'stock-counts'].includes(tab) ? tab : 'ingredients';
   }, [location.search]);
   
   const [activeTab, setActiveTab] = useState(() => getTabFromURL());
@@ -66,6 +71,8 @@ const InventoryPage = () => {
   const [editingIngredient, setEditingIngredient] = useState(null);
   const [editingItem, setEditingItem] = useState(null);
   const [editingPullout, setEditingPullout] = useState(null);
+  // Expired lot a new pullout is pre-filled for
+  const [pulloutLot, setPulloutLot] = useState(null);
   const [iconHovered, setIconHovered] = useState(false);
   const [refreshTrigger, setRefreshTrigger] = useState(0);
   const [pageError, setPageError] = useState(null);
@@ -87,6 +94,9 @@ const InventoryPage = () => {
         } else if (tab === 'pullouts') {
           // Fetch both pullouts and ingredients (ingredients needed for names)
           await Promise.all([fetchPullouts(), fetchIngredients()]);
+        } else if (tab === 'stock-counts') {
+          // Ingredients are needed to choose what to count
+          await fetchIngredients();
         }
       } catch (err) {
         console.error(`Failed to fetch ${tab} data:`, err);
@@ -137,23 +147,23 @@ const InventoryPage = () => {
 
   // Handle adding a new menu item - FIXED: Added missing function
   const handleAddItem = useCallback(() => {
-    if (!hasPermission('inventory.add')) {
+    if (!canAddItem) {
       toast.error('You do not have permission to add menu items');
       return;
     }
     setEditingItem(null);
     setShowItemModal(true);
-  }, [hasPermission]);
+  }, [canAddItem]);
 
   // Handle editing an existing menu item - FIXED: Added missing function
   const handleEditItem = useCallback((item) => {
-    if (!hasPermission('inventory.edit')) {
+    if (!canEditItem) {
       toast.error('You do not have permission to edit menu items');
       return;
     }
     setEditingItem(item);
     setShowItemModal(true);
-  }, [hasPermission]);
+  }, [canEditItem]);
 
   // Handle adding a new ingredient - FIXED: Added missing function
   const handleAddIngredient = useCallback(() => {
@@ -212,7 +222,7 @@ const InventoryPage = () => {
 
   // Handle deleting a menu item - FIXED: Added missing function
   const handleDeleteItem = useCallback(async (itemId) => {
-    if (!hasPermission('inventory.delete')) {
+    if (!canDeleteItem) {
       toast.error('You do not have permission to delete menu items');
       return;
     }
@@ -243,7 +253,7 @@ const InventoryPage = () => {
         confirmButtonColor: '#571C1F'
       });
     }
-  }, [deleteItem, hasPermission]);
+  }, [deleteItem, canDeleteItem]);
 
   // Updated handleIngredientSubmit function
   const handleIngredientSubmit = useCallback(async (result) => {
@@ -276,6 +286,7 @@ const InventoryPage = () => {
     // Close the modal first
     setShowPulloutModal(false);
     setEditingPullout(null);
+    setPulloutLot(null);
     
     // Then, after a short delay, trigger refresh and show the toast
     setTimeout(() => {
@@ -300,6 +311,7 @@ const InventoryPage = () => {
   const handlePulloutCancel = useCallback(() => {
     setShowPulloutModal(false);
     setEditingPullout(null);
+    setPulloutLot(null);
   }, []);
 
   // Handle adding a new pullout - FIXED: Add missing function
@@ -309,9 +321,17 @@ const InventoryPage = () => {
       return;
     }
     setEditingPullout(null);
+    setPulloutLot(null);
     setShowPulloutModal(true);
   }, [canCreatePullouts]);
 
+  // Pull out what is left of an expired lot
+  const handlePulloutLot = useCallback((lot) => {
+    setEditingPullout(null);
+    setPulloutLot(lot);
+    setShowPulloutModal(true);
+  }, []);
+
   // Handle editing an existing pullout - FIXED: Add missing function
   const handleEditPullout = useCallback((pulloutId) => {
     if (!canManagePullouts) {
@@ -517,6 +537,10 @@ const InventoryPage = () => {
                     <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-[#571C1F]" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6.253v13m0-13C10.832 5.477 9.246 5 7.5 5S4.168 5.477 3 6.253v13C4.168 18.477 5.754 18 7.5 18s3.332.477 4.5 1.253m0-13C13.168 5.477 14.754 5 16.5 5c1.747 0 3.332.477 4.5 1.253v13C19.832 18.477 18.247 18 16.5 18c-1.746 0-3.332.477-4.5 1.253" />
                     </svg>
+                  ) : activeTab === 'stock-counts' ? (
+                    <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-[#571C1F]" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+                    </svg>
                   ) : (
                     <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-[#571C1F]" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V7M3 7l9 7 9-7M3 11h18M3 15h18" />
@@ -535,7 +559,7 @@ const InventoryPage = () => {
                   exit={{ opacity: 0, x: -10 }}
                   transition={{ duration: 0.3 }}
                 >
-                  {activeTab === 'ingredients' ? 'Ingredients' : activeTab === 'menu-items' ? 'Menu Items' : 'Pullouts'}
+                  {activeTab === 'ingredients' ? 'Ingredients' : activeTab === 'menu-items' ? 'Menu Items' : activeTab === 'stock-counts' ? 'Stock Counts' : 'Pullouts'}
                 </motion.h1>
               </AnimatePresence>
             </motion.div>
@@ -568,7 +592,7 @@ const InventoryPage = () => {
                     </motion.button>
                   )
                 ) : activeTab === 'menu-items' ? (
-                  hasPermission('inventory.add') && (
+                  canAddItem && (
                     <motion.button 
                       key="add-menu-item-button"
                       onClick={handleAddItem}
@@ -586,7 +610,7 @@ const InventoryPage = () => {
                       Add Menu Item
                     </motion.button>
                   )
-                ) : (
+                ) : activeTab === 'stock-counts' ? null : (
                   canCreatePullouts && (
                     <motion.button 
                       key="add-pullout-button"
@@ -637,6 +661,7 @@ const InventoryPage = () => {
                   Loading {
                     activeTab === 'ingredients' ? 'ingredients' : 
                     activeTab === 'menu-items' ? 'menu items' :
+                    activeTab === 'stock-counts' ? 'stock counts' :
                     'pullout records'
                   }...
                 </span>
@@ -660,14 +685,20 @@ const InventoryPage = () => {
                       onDelete={canDeleteIngredient ? handleDeleteIngredient : null}
                       onView={handleViewIngredient}
                       onRefresh={() => setRefreshTrigger(prev => prev + 1)} // Add this line
+                      onPulloutLot={canCreatePullouts ? handlePulloutLot : undefined}
                     />
                   ) : activeTab === 'menu-items' ? (
                     <InventoryList
                       data={visibleItems}
                       type="item"
                       loading={loading}
-                      onEdit={hasPermission('inventory.edit') ? handleEditItem : null}
-                      onDelete={hasPermission('inventory.delete') ? handleDeleteItem : null}
+                      onEdit={canEditItem ? handleEditItem : null}
+                      onDelete={canDeleteItem ? handleDeleteItem : null}
+                    />
+                  ) : activeTab === 'stock-counts' ? (
+                    <StockCountManager
+                      ingredients={ingredients || []}
+                      onStockChanged={() => fetchIngredients().catch(() => {})}
                     />
                   ) : (
                     <PulloutList
@@ -676,9 +707,8 @@ const InventoryPage = () => {
                       loading={loading}
                       onEdit={canManagePullouts ? handleEditPullout : null}
                       onDelete={canDeletePullout ? handleDeletePullout : null}
-                      canApprovePullouts={canManagePullouts}
+                      canApprovePullouts={canApprovePullouts}
                       canCreatePullouts={canCreatePullouts}
-                      currentUser={user} // You'll need to get the user from useAuth()
                       onRefresh={handleRefresh} // Use the new callback function here
                       useExternalModals={true}
                       onAdd={canCreatePullouts ? handleAddPullout : null}
@@ -742,6 +772,7 @@ const InventoryPage = () => {
                   onSave={handlePulloutSubmit}
                   onCancel={handlePulloutCancel}
                   currentUser={user} // You'll need to get the user from useAuth()
+                  lot={pulloutLot}
                 />
               </Modal>
             )}
@@ -13,7 +13,7 @@ const POSPage = () => {
   });
 
   // Use the inventory hook to fetch items
-  const { fetchItems, error } = useInventory();
+  const { fetchItems, fetchModifierGroups, error } = useInventory();
 
   // Load items from database
   const loadProductData = useCallback(async () => {
@@ -40,6 +40,9 @@ const POSPage = () => {
         name: category || 'Uncategorized'
       }));
 
+      // Modifier groups are optional - the menu still loads without them
+      const modifierGroups = await fetchModifierGroups().catch(() => []);
+
       // Format products to match our component structure
       const formattedProducts = items.map(item => ({
         id: item.item_id,
@@ -49,7 +52,8 @@ const POSPage = () => {
         description: item.description || '',
         image: item.image || null,
         is_externally_sourced: item.is_externally_sourced || false,
-        inStock: true // Default to true, will be checked by SalesTerminal
+        inStock: true, // Default to true, will be checked by SalesTerminal
+        modifierGroups: modifierGroups.filter(group => group.item_id === item.item_id)
       }));
 
       setProductData({
@@ -64,7 +68,7 @@ const POSPage = () => {
     } finally {
       setLoading(false);
     }
-  }, [fetchItems]);
+  }, [fetchItems, fetchModifierGroups]);
 
   // Load data when component mounts
   useEffect(() => {
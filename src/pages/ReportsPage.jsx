@@ -8,12 +8,17 @@ import { useNavigate, useLocation } from 'react-router-dom';
 import SalesReport from '../components/reports/SalesReport';
 import InventoryReport from '../components/reports/InventoryReport';
 import FinancialReport from '../components/reports/FinancialReport';
+import PayablesAgingReport from '../components/reports/PayablesAgingReport';
+import ReportScheduleManager from '../components/reports/ReportScheduleManager';
 
 // Import hooks
 import { useAuth } from '../hooks/useAuth';
 import { useReports } from '../hooks/useReports';
 import { useSales } from '../hooks/useSales';
 import { useInventory } from '../hooks/useInventory';
+import { usePermissions } from '../hooks/usePermissions';
+import { EXPORT_FORMATS, PERMISSIONS } from '../services/constants';
+import { buildInventoryReportData } from '../utils/report-utils';
 
 const ReportsPage = () => {
   const { user } = useAuth();
@@ -23,8 +28,9 @@ const ReportsPage = () => {
   
   // Import the hooks we need for export functionality
   const { exportReport } = useReports();
-  const { fetchSales } = useSales();
+  const { fetchSales, fetchRefunds } = useSales();
   const { fetchInventory, fetchInventoryForExport } = useInventory();
+  const { hasPermission } = usePermissions();
   
   // Get tab from URL query parameter or default to 'sales'
   const getTabFromURL = () => {
@@ -35,6 +41,7 @@ const ReportsPage = () => {
   
   const [activeTab, setActiveTab] = useState(getTabFromURL());
   const [isExporting, setIsExporting] = useState(false);
+  const [exportFormat, setExportFormat] = useState('csv');
   const [appliedRange, setAppliedRange] = useState({
     startDate: null,
     endDate: null
@@ -76,27 +83,39 @@ const ReportsPage = () => {
   // Store function references in refs
   const exportReportRef = useRef(exportReport);
   const fetchSalesRef = useRef(fetchSales);
+  const fetchRefundsRef = useRef(fetchRefunds);
   const fetchInventoryForExportRef = useRef(fetchInventoryForExport);
   
   // Update refs when the functions change
   useEffect(() => {
     exportReportRef.current = exportReport;
     fetchSalesRef.current = fetchSales;
+    fetchRefundsRef.current = fetchRefunds;
     fetchInventoryForExportRef.current = fetchInventoryForExport;
-  }, [exportReport, fetchSales, fetchInventoryForExport]);
+  }, [exportReport, fetchSales, fetchRefunds, fetchInventoryForExport]);
   
   // Then use these stable refs in your callback functions
-  const exportSalesReport = useCallback(async () => {
+  // Report components hand over their chart images for PDF exports
+  const salesReportRef = useRef(null);
+  const inventoryReportRef = useRef(null);
+
+  const exportSalesReport = useCallback(async (exportFormat = 'csv') => {
     // Fetch sales data first
     const salesData = await fetchSalesRef.current({ 
       startDate: appliedRange.startDate,
       endDate: appliedRange.endDate
     });
     
+    // Refunds paid out in the period come off the exported totals
+    const refunds = await fetchRefundsRef.current({
+      startDate: appliedRange.startDate,
+      endDate: appliedRange.endDate
+    });
+    
     // Use the exportReport function
     await exportReportRef.current({
       type: 'sales',
-      format: 'csv',
+      format: exportFormat,
       fileName: `sales-report-${new Date().toISOString().split('T')[0]}`,
       report: {
         type: 'sales',
@@ -106,41 +125,25 @@ const ReportsPage = () => {
           endDate: appliedRange.endDate,
           formatted: `${new Date(appliedRange.startDate).toLocaleDateString()} - ${new Date(appliedRange.endDate).toLocaleDateString()}`
         },
-        data: salesData
+        data: salesData,
+        refunds,
+        charts: salesReportRef.current?.getChartImages() || []
       }
     });
   }, [appliedRange]);
 
-  const exportInventoryReport = useCallback(async () => {
+  const exportInventoryReport = useCallback(async (exportFormat = 'csv') => {
     try {
       // Use the new function that doesn't update state
-      const { ingredients, items } = await fetchInventoryForExportRef.current();
+      const { ingredients, items, pullouts, lots, stockCounts } = await fetchInventoryForExportRef.current();
       
-      // Process ingredients data to avoid undefined values
-      const processedIngredients = ingredients.map(ing => {
-        const quantity = Number(ing.quantity) || 0;
-        const unitCost = Number(ing.unit_cost) || 0;
-        const value = quantity * unitCost;
-        
-        return {
-          ...ing,
-          quantity: quantity,
-          unit_cost: unitCost,
-          value: value,
-          // Ensure these are defined to avoid errors
-          name: ing.name || 'Unnamed',
-          category: ing.category || 'Uncategorized',
-          minimum_quantity: Number(ing.minimum_quantity) || 0,
-          unit: ing.unit || '',
-          stockStatus: ing.quantity <= 0 ? 'out' : 
-                       ing.quantity <= ing.minimum_quantity ? 'low' : 'normal'
-        };
-      });
+      // Stock values and status, and the pullouts and count differences dated within the period
+      const inventoryData = buildInventoryReportData({ ingredients, items, pullouts, lots, stockCounts }, appliedRange);
       
       // Use the exportReport function
       await exportReportRef.current({
         type: 'inventory',
-        format: 'csv',
+        format: exportFormat,
         fileName: `inventory-report-${new Date().toISOString().split('T')[0]}`,
         report: {
           type: 'inventory',
@@ -150,10 +153,8 @@ const ReportsPage = () => {
             endDate: appliedRange.endDate,
             formatted: `${new Date(appliedRange.startDate).toLocaleDateString()} - ${new Date(appliedRange.endDate).toLocaleDateString()}`
           },
-          data: {
-            ingredients: processedIngredients,
-            items: items || []
-          }
+          data: inventoryData,
+          charts: inventoryReportRef.current?.getChartImages() || []
         }
       });
     } catch (error) {
@@ -166,16 +167,16 @@ const ReportsPage = () => {
   const financialReportRef = useRef(null);
 
   // Update the exportFinancialReport function
-  const exportFinancialReport = useCallback(async () => {
+  const exportFinancialReport = useCallback(async (exportFormat = 'csv') => {
     // Check if we have a ref to the FinancialReport component
     if (financialReportRef.current && financialReportRef.current.handleExport) {
       // Call the component's own export function
-      financialReportRef.current.handleExport('csv');
+      financialReportRef.current.handleExport(exportFormat);
     } else {
       // Fallback to a simpler export approach
       await exportReportRef.current({
         type: 'financial',
-        format: 'csv',
+        format: exportFormat,
         fileName: `financial-report-${new Date().toISOString().split('T')[0]}`,
         // Use the limited data we have available here
         report: {
@@ -191,6 +192,13 @@ const ReportsPage = () => {
     }
   }, [appliedRange]);
   
+  // The aging report builds its own export from what it has on screen
+  const payablesReportRef = useRef(null);
+
+  const exportPayablesReport = useCallback((exportFormat = 'csv') => {
+    payablesReportRef.current?.handleExport(exportFormat);
+  }, []);
+
   // Update the handleExport function to handle component-specific exports better
   const handleExport = useCallback((reportType, format, reportData) => {
     if (isExporting) return;
@@ -271,12 +279,24 @@ const ReportsPage = () => {
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M20 7l-8-4-8 4m16 0l-8 4m8-4v10l-8 4m0-10L4 7m8 4v10M4 7v10l8 4" />
           </svg>
         );
+      case 'scheduled':
+        return (
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-[#571C1F]" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+          </svg>
+        );
       case 'financial':
         return (
           <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-[#571C1F]" fill="none" viewBox="0 0 24 24" stroke="currentColor">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
           </svg>
         );
+      case 'payables':
+        return (
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-[#571C1F]" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 14l6-6m-5.5.5h.01m4.99 5h.01M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16l3.5-2 3.5 2 3.5-2 3.5 2z" />
+          </svg>
+        );
       default:
         return null;
     }
@@ -379,56 +399,80 @@ const ReportsPage = () => {
                       ? 'Sales Report' 
                       : activeTab === 'inventory' 
                         ? 'Inventory Report' 
-                        : 'Financial Report'}
+                        : activeTab === 'scheduled'
+                          ? 'Scheduled Reports'
+                          : activeTab === 'payables'
+                            ? 'Payables Aging'
+                            : 'Financial Report'}
                   </h1>
                   <p className="text-sm text-gray-500 mt-0.5">
-                    {displayDateRange()}
+                    {activeTab === 'scheduled'
+                      ? 'Emailed daily, weekly or monthly'
+                      : activeTab === 'payables'
+                        ? 'Unpaid supplier invoices by days past due'
+                        : displayDateRange()}
                   </p>
                 </motion.div>
               </AnimatePresence>
             </motion.div>
             
             {/* Export Button */}
-            <motion.div 
-              initial={{ opacity: 0, x: 20 }}
-              animate={{ opacity: 1, x: 0 }}
-              exit={{ opacity: 0, x: 20 }}
-              transition={{ duration: 0.5, delay: 0.2 }}
-            >
-              <motion.button
-                onClick={() => {
-                  // Call the appropriate export function based on the active tab
-                  if (activeTab === 'sales') {
-                    exportSalesReport();
-                  } else if (activeTab === 'inventory') {
-                    exportInventoryReport();
-                  } else if (activeTab === 'financial') {
-                    exportFinancialReport();
-                  }
-                }}
-                className={`inline-flex items-center px-4 py-2 border border-transparent text-sm rounded-md font-medium text-white bg-[#571C1F] hover:bg-[#4A1519] transition-colors ${isExporting ? 'opacity-75 cursor-wait' : ''}`}
-                whileHover={{ scale: 1.02, y: -1, boxShadow: "0 4px 6px -1px rgba(87, 28, 31, 0.1), 0 2px 4px -1px rgba(87, 28, 31, 0.06)" }}
-                whileTap={{ scale: 0.98 }}
-                disabled={isExporting}
+            {activeTab !== 'scheduled' && (
+              <motion.div 
+                initial={{ opacity: 0, x: 20 }}
+                animate={{ opacity: 1, x: 0 }}
+                exit={{ opacity: 0, x: 20 }}
+                transition={{ duration: 0.5, delay: 0.2 }}
+                className="flex items-center space-x-2"
               >
-                {isExporting ? (
-                  <>
-                    <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                    </svg>
-                    Exporting...
-                  </>
-                ) : (
-                  <>
-                    <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
-                    </svg>
-                    Export Report
-                  </>
-                )}
-              </motion.button>
-            </motion.div>
+                <select
+                  value={exportFormat}
+                  onChange={(e) => setExportFormat(e.target.value)}
+                  disabled={isExporting}
+                  aria-label="Export format"
+                  className="px-3 py-2 border border-[#571C1F]/20 rounded-md text-sm text-[#571C1F] bg-white focus:outline-none focus:ring-[#571C1F] focus:border-[#571C1F]"
+                >
+                  {EXPORT_FORMATS.map(option => (
+                    <option key={option.id} value={option.id}>{option.label}</option>
+                  ))}
+                </select>
+                <motion.button
+                  onClick={() => {
+                    // Call the appropriate export function based on the active tab
+                    if (activeTab === 'sales') {
+                      exportSalesReport(exportFormat);
+                    } else if (activeTab === 'inventory') {
+                      exportInventoryReport(exportFormat);
+                    } else if (activeTab === 'financial') {
+                      exportFinancialReport(exportFormat);
+                    } else if (activeTab === 'payables') {
+                      exportPayablesReport(exportFormat);
+                    }
+                  }}
+                  className={`inline-flex items-center px-4 py-2 border border-transparent text-sm rounded-md font-medium text-white bg-[#571C1F] hover:bg-[#4A1519] transition-colors ${isExporting ? 'opacity-75 cursor-wait' : ''}`}
+                  whileHover={{ scale: 1.02, y: -1, boxShadow: "0 4px 6px -1px rgba(87, 28, 31, 0.1), 0 2px 4px -1px rgba(87, 28, 31, 0.06)" }}
+                  whileTap={{ scale: 0.98 }}
+                  disabled={isExporting}
+                >
+                  {isExporting ? (
+                    <>
+                      <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                      </svg>
+                      Exporting...
+                    </>
+                  ) : (
+                    <>
+                      <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                      </svg>
+                      Export Report
+                    </>
+                  )}
+                </motion.button>
+              </motion.div>
+            )}
           </motion.div>
 
           {/* Tab Navigation with exit animations */}
@@ -459,6 +503,7 @@ const ReportsPage = () => {
                     transition={{ duration: 0.3 }}
                   >
                     <SalesReport 
+                      ref={salesReportRef}
                       startDate={appliedRange.startDate}
                       endDate={appliedRange.endDate}
                       onExport={handleExport}
@@ -475,6 +520,7 @@ const ReportsPage = () => {
                     transition={{ duration: 0.3 }}
                   >
                     <InventoryReport 
+                      ref={inventoryReportRef}
                       startDate={appliedRange.startDate}
                       endDate={appliedRange.endDate}
                       onExport={handleExport}
@@ -498,6 +544,40 @@ const ReportsPage = () => {
                     />
                   </motion.div>
                 )}
+                
+                {activeTab === 'payables' && (
+                  <motion.div
+                    key="payables-tab"
+                    initial={{ opacity: 0, x: -10 }}
+                    animate={{ opacity: 1, x: 0 }}
+                    exit={{ opacity: 0, x: 10 }}
+                    transition={{ duration: 0.3 }}
+                  >
+                    <PayablesAgingReport
+                      ref={payablesReportRef}
+                      endDate={appliedRange.endDate}
+                      onExport={handleExport}
+                    />
+                  </motion.div>
+                )}
+
+                {activeTab === 'scheduled' && (
+                  <motion.div
+                    key="scheduled-tab"
+                    initial={{ opacity: 0, x: -10 }}
+                    animate={{ opacity: 1, x: 0 }}
+                    exit={{ opacity: 0, x: 10 }}
+                    transition={{ duration: 0.3 }}
+                  >
+                    {hasPermission(PERMISSIONS.REPORTS.SCHEDULE) ? (
+                      <ReportScheduleManager />
+                    ) : (
+                      <p className="text-center py-12 text-sm text-gray-500">
+                        You do not have permission to schedule reports
+                      </p>
+                    )}
+                  </motion.div>
+                )}
               </AnimatePresence>
             </motion.div>
           </div>
@@ -10,15 +10,16 @@ import Modal from '../components/common/Modal';
 import Button from '../components/common/Button';
 
 // Import hooks
-import { useAuth } from '../hooks/useAuth';
 import { useStaff } from '../hooks/useStaff';
 import { useSuppliers } from '../hooks/useSuppliers';
+import { usePermissions } from '../hooks/usePermissions';
+import { PERMISSIONS } from '../services/constants';
 import { toast } from 'react-hot-toast';
 
 const StaffPage = () => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { user } = useAuth();
+  const { hasPermission, hasAnyPermission } = usePermissions();
   const { staff, roles, fetchStaff, fetchRoles, loading, error } = useStaff();
   const { suppliers } = useSuppliers();
   const [showStaffModal, setShowStaffModal] = useState(false);
@@ -69,8 +70,8 @@ const StaffPage = () => {
   }, []);
 
   // Check if user has permissions to manage staff
-  const canManageStaff = user?.role === 'Admin' || user?.role === 'Manager' || 
-    user?.permissions?.includes('staff.manage') || user?.permissions?.includes('staff.edit');
+  const canManageStaff = hasAnyPermission([PERMISSIONS.STAFF.CREATE, PERMISSIONS.STAFF.EDIT]);
+  const canManageRoles = hasPermission(PERMISSIONS.STAFF.MANAGE_ROLES);
 
   // Update the URL when tab changes
   const handleTabChange = (tab) => {
@@ -297,7 +298,7 @@ const StaffPage = () => {
                     />
                   </motion.div>
                 )}
-                {activeTab === 'roles' && canManageStaff && (
+                {activeTab === 'roles' && canManageRoles && (
                   <motion.div
                     key="roles-tab"
                     initial={{ opacity: 0, x: -10 }}
@@ -11,18 +11,25 @@ import PurchaseOrderList from '../components/suppliers/PurchaseOrderList';
 import SupplierForm from '../components/suppliers/SupplierForm';
 import ConsignmentForm from '../components/suppliers/ConsignmentForm';
 import PurchaseOrderForm from '../components/suppliers/PurchaseOrderForm';
+import ReorderSuggestions from '../components/suppliers/ReorderSuggestions';
+import ConsignmentSettlementList from '../components/suppliers/ConsignmentSettlementList';
+import ConsignmentSettlementForm from '../components/suppliers/ConsignmentSettlementForm';
+import SupplierInvoiceList from '../components/suppliers/SupplierInvoiceList';
+import SupplierInvoiceForm from '../components/suppliers/SupplierInvoiceForm';
+import SupplierCatalog from '../components/suppliers/SupplierCatalog';
+import SupplierPaymentHistory from '../components/suppliers/SupplierPaymentHistory';
 import Button from '../components/common/Button';
 import Modal from '../components/common/Modal';
 import { Spinner } from '../components/common/Spinner';
 
 // Import hooks
-import { useAuth } from '../hooks/useAuth';
 import { useSuppliers } from '../hooks/useSuppliers';
+import { usePermissions } from '../hooks/usePermissions';
+import { PERMISSIONS } from '../services/constants';
 
 const SuppliersPage = () => {
-  // Adapt the page based on user role
-  const { user } = useAuth();
-  const isSupplier = user?.role === 'Supplier';
+  // Adapt the page for users signed in as a supplier
+  const { hasPermission, hasAnyPermission, isPortalUser: isSupplier } = usePermissions();
   
   const navigate = useNavigate();
   const location = useLocation();
@@ -47,7 +54,7 @@ const SuppliersPage = () => {
     const searchParams = new URLSearchParams(location.search);
     const tab = searchParams.get('tab');
     // Only return valid tab options - remove 'pullouts'
-    return ['suppliers', 'consignments', 'purchase-orders'].includes(tab) ? tab : 'suppliers';
+    return ['suppliers', 'consignments', 'settlements', 'purchase-orders', 'payables', 'catalog', 'payments'].includes(tab) ? tab : 'suppliers';
   };
 
   // State management
@@ -83,15 +90,13 @@ const SuppliersPage = () => {
   }, []);
 
   // Check if user has permissions to manage suppliers
-  const canViewSuppliers = user?.permissions?.includes('suppliers.view') || user?.role === 'Manager' || user?.role === 'Admin';
-  const canManageSuppliers = user?.permissions?.includes('suppliers.manage') || 
-                         user?.permissions?.includes('suppliers.create') || 
-                         user?.role === 'Manager' || 
-                         user?.role === 'Admin';
-  const canManagePurchases = user?.permissions?.includes('purchases.create') || 
-                         user?.permissions?.includes('purchases.approve') || 
-                         user?.role === 'Manager' || 
-                         user?.role === 'Admin';
+  const canViewSuppliers = hasPermission(PERMISSIONS.SUPPLIERS.VIEW);
+  const canManageSuppliers = hasAnyPermission([PERMISSIONS.SUPPLIERS.CREATE, PERMISSIONS.SUPPLIERS.EDIT]);
+  const canManagePurchases = hasAnyPermission([PERMISSIONS.PURCHASES.CREATE, PERMISSIONS.PURCHASES.APPROVE]);
+  const canReorder = !isSupplier && activeTab === 'purchase-orders' && hasPermission(PERMISSIONS.PURCHASES.CREATE);
+  const canSettle = !isSupplier && hasPermission(PERMISSIONS.CONSIGNMENTS.EDIT);
+  const canViewPayables = !isSupplier && hasPermission(PERMISSIONS.PAYABLES.VIEW);
+  const canRecordInvoices = canViewPayables && hasPermission(PERMISSIONS.PAYABLES.CREATE);
 
   // Memoized data loading function to prevent unnecessary recreations
   const loadData = useCallback(async () => {
@@ -121,6 +126,16 @@ const SuppliersPage = () => {
           ]);
           console.log(`Retrieved ${suppliersForPO.length} suppliers and ${purchaseOrdersResult.length} purchase orders`);
           break;
+        case 'settlements':
+          // The settlement list loads its own data; suppliers feed the filter and form
+          if (!isSupplier) {
+            await fetchSuppliers();
+          }
+          break;
+        case 'payables':
+          // Invoices load in the list; suppliers feed the filter and form
+          await fetchSuppliers();
+          break;
         default:
           break;
       }
@@ -131,7 +146,7 @@ const SuppliersPage = () => {
     } finally {
       setPageLoading(false);
     }
-  }, [activeTab, fetchSuppliers, fetchConsignments, fetchPurchaseOrders]);
+  }, [activeTab, isSupplier, fetchSuppliers, fetchConsignments, fetchPurchaseOrders]);
 
   // Initial data fetch
   useEffect(() => {
@@ -192,6 +207,26 @@ const SuppliersPage = () => {
     return data;
   };
 
+  // Open the first new draft for review; the rest wait in the list as drafts
+  const handleDraftsCreated = (purchaseIds) => {
+    setRefreshTrigger(prev => prev + 1);
+    if (purchaseIds.length > 1) {
+      toast(`${purchaseIds.length - 1} more draft${purchaseIds.length === 2 ? '' : 's'} to review in the list`);
+    }
+    setModalType('purchase-order');
+    setEditingId(purchaseIds[0]);
+  };
+
+  const handleSettlementCreated = () => {
+    closeModal();
+    setRefreshTrigger(prev => prev + 1);
+  };
+
+  const handleInvoiceCreated = () => {
+    closeModal();
+    setRefreshTrigger(prev => prev + 1);
+  };
+
   const handleDelete = async (type, id) => {
     if (!id) return;
     
@@ -268,6 +303,29 @@ const SuppliersPage = () => {
           onCancel={closeModal}
         />
       );
+    } else if (modalType === 'settlement') {
+      return (
+        <ConsignmentSettlementForm
+          suppliers={suppliers || []}
+          onCreated={handleSettlementCreated}
+          onCancel={closeModal}
+        />
+      );
+    } else if (modalType === 'invoice') {
+      return (
+        <SupplierInvoiceForm
+          suppliers={suppliers || []}
+          onCreated={handleInvoiceCreated}
+          onCancel={closeModal}
+        />
+      );
+    } else if (modalType === 'reorder') {
+      return (
+        <ReorderSuggestions
+          onDraftsCreated={handleDraftsCreated}
+          onCancel={closeModal}
+        />
+      );
     } else if (modalType === 'purchase-order') {
       // Replace the placeholder with the actual PurchaseOrderForm
       return (
@@ -295,6 +353,12 @@ const SuppliersPage = () => {
         return editingId ? 'Edit Consignment' : 'New Consignment';
       case 'purchase-order':
         return editingId ? 'Edit Purchase Order' : 'New Purchase Order';
+      case 'reorder':
+        return 'Reorder Suggestions';
+      case 'settlement':
+        return 'New Consignment Settlement';
+      case 'invoice':
+        return 'Record Supplier Invoice';
       default:
         return '';
     }
@@ -309,6 +373,10 @@ const SuppliersPage = () => {
         return '4xl'; // Larger size for consignment form
       case 'purchase-order':
         return '3xl'; // Medium-large size for purchase orders
+      case 'reorder':
+        return '4xl';
+      case 'invoice':
+        return '3xl';
       default:
         return '2xl'; // Default size
     }
@@ -322,6 +390,9 @@ const SuppliersPage = () => {
       case 'consignment':
         return 'secondary';
       case 'purchase-order':
+      case 'reorder':
+      case 'settlement':
+      case 'invoice':
         return 'secondary';
       default:
         return 'default';
@@ -353,6 +424,30 @@ const SuppliersPage = () => {
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7H5a2 2 0 00-2 2v9a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-3m-1 4l-3 3m0 0l-3-3m3 3V4" />
           </svg>
         );
+      case 'settlements':
+        return (
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-[#571C1F]" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 9V7a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2m2 4h10a2 2 0 002-2v-6a2 2 0 00-2-2H9a2 2 0 00-2 2v6a2 2 0 002 2zm7-5a2 2 0 11-4 0 2 2 0 014 0z" />
+          </svg>
+        );
+      case 'payables':
+        return (
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-[#571C1F]" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 14l6-6m-5.5.5h.01m4.99 5h.01M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16l3.5-2 3.5 2 3.5-2 3.5 2z" />
+          </svg>
+        );
+      case 'catalog':
+        return (
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-[#571C1F]" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
+          </svg>
+        );
+      case 'payments':
+        return (
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-[#571C1F]" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h18M7 15h1m4 0h1m-7 4h12a3 3 0 003-3V8a3 3 0 00-3-3H6a3 3 0 00-3 3v8a3 3 0 003 3z" />
+          </svg>
+        );
       default:
         return null;
     }
@@ -367,6 +462,14 @@ const SuppliersPage = () => {
         return 'Purchase Orders';
       case 'consignments':
         return 'Consignments';
+      case 'settlements':
+        return 'Consignment Settlements';
+      case 'payables':
+        return 'Accounts Payable';
+      case 'catalog':
+        return 'Catalog Prices';
+      case 'payments':
+        return 'Payment History';
       default:
         return '';
     }
@@ -381,6 +484,10 @@ const SuppliersPage = () => {
         return 'New Order';
       case 'consignments':
         return 'Add Consignment';
+      case 'settlements':
+        return 'New Settlement';
+      case 'payables':
+        return 'Record Invoice';
       default:
         return 'Add New';
     }
@@ -391,6 +498,12 @@ const SuppliersPage = () => {
     if (activeTab === 'suppliers' || activeTab === 'purchase-orders' || activeTab === 'consignments') {
       return canManageSuppliers;
     }
+    if (activeTab === 'settlements') {
+      return canSettle;
+    }
+    if (activeTab === 'payables') {
+      return canRecordInvoices;
+    }
     return false;
   };
 
@@ -518,33 +631,52 @@ const SuppliersPage = () => {
               </motion.div>
               
               {/* Add action button based on the active tab */}
-              {canAddInCurrentTab() && (
+              {(canAddInCurrentTab() || canReorder) && (
                 <motion.div 
+                  className="flex items-center space-x-2"
                   initial={{ opacity: 0, x: 20 }}
                   animate={{ opacity: 1, x: 0 }}
                   exit={{ opacity: 0, x: 20 }}
                   transition={{ duration: 0.5, delay: 0.2 }}
                 >
-                  <AnimatePresence mode="wait">
-                    <motion.button 
-                      key={`add-button-${activeTab}`}
-                      onClick={() => openAddModal(activeTab === 'suppliers' ? 'supplier' : 
-                                                activeTab === 'consignments' ? 'consignment' : 'purchase-order')}
-                      className="px-4 py-2 bg-[#571C1F] text-white rounded-lg shadow-sm font-medium text-sm flex items-center hover:bg-[#4A1519] transition-colors"
-                      initial={{ opacity: 0, y: 5 }}
-                      animate={{ opacity: 1, y: 0 }}
-                      exit={{ opacity: 0, y: -5 }}
-                      transition={{ duration: 0.3 }}
-                      whileHover={{ scale: 1.02, y: -1, boxShadow: "0 4px 6px -1px rgba(87, 28, 31, 0.1), 0 2px 4px -1px rgba(87, 28, 31, 0.06)" }}
+                  {canReorder && (
+                    <motion.button
+                      onClick={() => openAddModal('reorder')}
+                      className="px-4 py-2 bg-white text-[#571C1F] border border-[#571C1F]/30 rounded-lg shadow-sm font-medium text-sm flex items-center hover:bg-[#571C1F]/5 transition-colors"
+                      whileHover={{ scale: 1.02, y: -1 }}
                       whileTap={{ scale: 0.98 }}
                       disabled={pageLoading || loading}
                     >
                       <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
                       </svg>
-                      {getAddButtonLabel()}
+                      Reorder Suggestions
                     </motion.button>
-                  </AnimatePresence>
+                  )}
+                  {canAddInCurrentTab() && (
+                    <AnimatePresence mode="wait">
+                      <motion.button 
+                        key={`add-button-${activeTab}`}
+                        onClick={() => openAddModal(activeTab === 'suppliers' ? 'supplier' : 
+                                                  activeTab === 'consignments' ? 'consignment' :
+                                                  activeTab === 'settlements' ? 'settlement' :
+                                                  activeTab === 'payables' ? 'invoice' : 'purchase-order')}
+                        className="px-4 py-2 bg-[#571C1F] text-white rounded-lg shadow-sm font-medium text-sm flex items-center hover:bg-[#4A1519] transition-colors"
+                        initial={{ opacity: 0, y: 5 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0, y: -5 }}
+                        transition={{ duration: 0.3 }}
+                        whileHover={{ scale: 1.02, y: -1, boxShadow: "0 4px 6px -1px rgba(87, 28, 31, 0.1), 0 2px 4px -1px rgba(87, 28, 31, 0.06)" }}
+                        whileTap={{ scale: 0.98 }}
+                        disabled={pageLoading || loading}
+                      >
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+                        </svg>
+                        {getAddButtonLabel()}
+                      </motion.button>
+                    </AnimatePresence>
+                  )}
                 </motion.div>
               )}
             </motion.div>
@@ -571,6 +703,10 @@ const SuppliersPage = () => {
                     Loading {
                       activeTab === 'suppliers' ? 'suppliers' : 
                       activeTab === 'purchase-orders' ? 'purchase orders' :
+                      activeTab === 'settlements' ? 'settlements' :
+                      activeTab === 'payables' ? 'supplier invoices' :
+                      activeTab === 'catalog' ? 'catalog' :
+                      activeTab === 'payments' ? 'payment history' :
                       'consignments'
                     }...
                   </span>
@@ -648,6 +784,72 @@ const SuppliersPage = () => {
                         />
                       </motion.div>
                     )}
+
+                    {/* Consignment Settlements Tab */}
+                    {activeTab === 'settlements' && (
+                      <motion.div
+                        key="settlements-tab"
+                        initial={{ opacity: 0, x: -10 }}
+                        animate={{ opacity: 1, x: 0 }}
+                        exit={{ opacity: 0, x: 10 }}
+                        transition={{ duration: 0.3 }}
+                        className="rounded-lg"
+                      >
+                        <ConsignmentSettlementList
+                          suppliers={suppliers || []}
+                          canSettle={canSettle}
+                          isSupplier={isSupplier}
+                          refreshKey={refreshTrigger}
+                        />
+                      </motion.div>
+                    )}
+
+                    {/* Accounts Payable Tab */}
+                    {activeTab === 'payables' && canViewPayables && (
+                      <motion.div
+                        key="payables-tab"
+                        initial={{ opacity: 0, x: -10 }}
+                        animate={{ opacity: 1, x: 0 }}
+                        exit={{ opacity: 0, x: 10 }}
+                        transition={{ duration: 0.3 }}
+                        className="rounded-lg"
+                      >
+                        <SupplierInvoiceList
+                          suppliers={suppliers || []}
+                          canPay={hasPermission(PERMISSIONS.PAYABLES.PAY)}
+                          canEdit={hasPermission(PERMISSIONS.PAYABLES.EDIT)}
+                          refreshKey={refreshTrigger}
+                        />
+                      </motion.div>
+                    )}
+
+                    {/* Supplier portal: their own catalog prices */}
+                    {activeTab === 'catalog' && isSupplier && (
+                      <motion.div
+                        key="catalog-tab"
+                        initial={{ opacity: 0, x: -10 }}
+                        animate={{ opacity: 1, x: 0 }}
+                        exit={{ opacity: 0, x: 10 }}
+                        transition={{ duration: 0.3 }}
+                        className="rounded-lg"
+                      >
+                        <SupplierCatalog />
+                      </motion.div>
+                    )}
+
+                    {/* Supplier portal: invoices and payments made to them */}
+                    {activeTab === 'payments' && isSupplier && (
+                      <motion.div
+                        key="payments-tab"
+                        initial={{ opacity: 0, x: -10 }}
+                        animate={{ opacity: 1, x: 0 }}
+                        exit={{ opacity: 0, x: 10 }}
+                        transition={{ duration: 0.3 }}
+                        className="rounded-lg"
+                      >
+                        <SupplierPaymentHistory />
+                      </motion.div>
+                    )}
                   </AnimatePresence>
                 </motion.div>
               )}
@@ -0,0 +1,152 @@
+/* global process, Buffer */
+// report-scheduler.js
+// Mails scheduled reports. Every pass claims the runs that are due (new
+// slots and retries), builds each report with the same data and PDF/Excel
+// generators as the Reports page, and sends it over SMTP.
+//
+//   npm run reports:scheduler            keep polling
+//   npm run reports:scheduler -- --once  one pass, then exit
+//
+// Runs through vite-node so the app's modules resolve as they do in Vite.
+import { createClient } from '@supabase/supabase-js';
+import nodemailer from 'nodemailer';
+import dotenv from 'dotenv';
+import { buildReport } from '../utils/report-utils';
+import { exportToPDF, exportToExcel } from '../utils/export-utils';
+import { APP_NAME, COMPANY_NAME } from '../services/constants';
+
+dotenv.config();
+
+// Report periods and timestamps are in business time
+process.env.TZ = process.env.TZ || 'Asia/Manila';
+
+const supabaseUrl = process.env.VITE_SUPABASE_URL;
+const supabaseServiceKey = process.env.VITE_SUPABASE_SERVICE_KEY;
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing environment variables.');
+  process.exit(1);
+}
+
+const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey, {
+  auth: {
+    autoRefreshToken: false,
+    persistSession: false
+  }
+});
+
+// Defaults match the local mail sink (npm run mail:sink)
+const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST || 'localhost',
+  port: Number(process.env.SMTP_PORT || 1025),
+  secure: process.env.SMTP_SECURE === 'true',
+  auth: process.env.SMTP_USER
+    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+    : undefined
+});
+
+const mailFrom = process.env.REPORT_MAIL_FROM || `${APP_NAME} <reports@localhost>`;
+const pollSeconds = Number(process.env.REPORT_SCHEDULER_INTERVAL || 60);
+
+const ATTACHMENTS = {
+  pdf: { render: exportToPDF, extension: 'pdf', contentType: 'application/pdf' },
+  excel: {
+    render: exportToExcel,
+    extension: 'xlsx',
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  }
+};
+
+async function sendRun(run) {
+  const report = await buildReport(supabaseAdmin, run.report_type, {
+    startDate: run.period_start,
+    endDate: run.period_end
+  });
+
+  const attachment = ATTACHMENTS[run.format] || ATTACHMENTS.pdf;
+  const blob = await attachment.render(report);
+  const period = run.period_start === run.period_end
+    ? run.period_start
+    : `${run.period_start}_to_${run.period_end}`;
+
+  const info = await transporter.sendMail({
+    from: mailFrom,
+    to: run.recipients,
+    subject: `${COMPANY_NAME} ${report.title} - ${report.dateRange.formatted}`,
+    text: [
+      `Attached is the ${report.title.toLowerCase()} for ${report.dateRange.formatted}.`,
+      '',
+      `This is the "${run.name}" ${run.frequency} schedule in ${APP_NAME}.`
+    ].join('\n'),
+    attachments: [{
+      filename: `${run.report_type}-report-${period}.${attachment.extension}`,
+      content: Buffer.from(await blob.arrayBuffer()),
+      contentType: attachment.contentType
+    }]
+  });
+
+  return info.messageId;
+}
+
+async function finishRun(run, messageId, error) {
+  const { data, error: rpcError } = await supabaseAdmin.rpc('finish_report_run', {
+    p_run_id: run.run_id,
+    p_message_id: messageId,
+    p_error: error
+  });
+
+  if (rpcError || !data?.success) {
+    console.error(`Could not record run ${run.run_id}:`, rpcError || data?.message);
+  }
+}
+
+async function processDueRuns() {
+  const { data: runs, error } = await supabaseAdmin.rpc('claim_report_runs');
+
+  if (error) {
+    console.error('Error claiming report runs:', error);
+    return;
+  }
+
+  for (const run of runs) {
+    const label = `run ${run.run_id} ("${run.name}", ${run.period_start} - ${run.period_end}, attempt ${run.attempts})`;
+
+    try {
+      const messageId = await sendRun(run);
+      await finishRun(run, messageId, null);
+      console.log(`Sent ${label} to ${run.recipients.join(', ')}`);
+    } catch (err) {
+      await finishRun(run, null, err.message || String(err));
+      console.error(`Failed ${label}:`, err.message || err);
+    }
+  }
+}
+
+async function main() {
+  if (process.argv.includes('--once')) {
+    await processDueRuns();
+    transporter.close();
+    return;
+  }
+
+  console.log(`Report scheduler polling every ${pollSeconds}s`);
+
+  let timer;
+  const tick = async () => {
+    await processDueRuns();
+    timer = setTimeout(tick, pollSeconds * 1000);
+  };
+
+  process.on('SIGINT', () => {
+    clearTimeout(timer);
+    transporter.close();
+    process.exit(0);
+  });
+
+  await tick();
+}
+
+main().catch(err => {
+  console.error('Report scheduler stopped:', err);
+  process.exit(1);
+});
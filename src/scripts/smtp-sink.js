@@ -0,0 +1,44 @@
+/* global process, Buffer */
+// smtp-sink.js
+// Local stand-in for a mail server while developing scheduled reports.
+// Accepts every message on SMTP_PORT (default 1025) without auth or TLS,
+// logs it and saves it as an .eml file under MAIL_SINK_DIR
+// (default ./mail-sink) so attachments can be opened.
+//
+//   npm run mail:sink
+import { SMTPServer } from 'smtp-server';
+import fs from 'fs';
+import path from 'path';
+
+const port = Number(process.env.SMTP_PORT || 1025);
+const outputDir = path.resolve(process.env.MAIL_SINK_DIR || 'mail-sink');
+
+fs.mkdirSync(outputDir, { recursive: true });
+
+let received = 0;
+
+const server = new SMTPServer({
+  authOptional: true,
+  disabledCommands: ['STARTTLS'],
+  onData(stream, session, callback) {
+    const chunks = [];
+
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => {
+      const message = Buffer.concat(chunks);
+      const subject = /^Subject: (.*)$/im.exec(message.toString('utf8'))?.[1] || '(no subject)';
+      const file = path.join(outputDir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${++received}.eml`);
+
+      fs.writeFileSync(file, message);
+      console.log(`Mail from ${session.envelope.mailFrom?.address} to ${session.envelope.rcptTo.map(rcpt => rcpt.address).join(', ')}`);
+      console.log(`  ${subject} (${Math.round(message.length / 1024)} KB) -> ${file}`);
+      callback();
+    });
+  }
+});
+
+server.on('error', err => console.error('SMTP sink error:', err.message));
+
+server.listen(port, () => {
+  console.log(`SMTP sink listening on port ${port}, saving mail to ${outputDir}`);
+});
@@ -3,6 +3,10 @@ export const APP_NAME = 'TrackNToms POS';
 export const APP_VERSION = '1.2.0';
 export const APP_COPYRIGHT = '© 2023-2024 TrackNToms';
 
+// Business details printed on receipts and exported reports
+export const COMPANY_NAME = 'TomNToms Coffee';
+export const COMPANY_ADDRESS = '123 Coffee Street, Cityville';
+
 // Supabase connection constants
 export const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL;
 export const SUPABASE_ANON_KEY = import.meta.env.VITE_SUPABASE_ANON_KEY;
@@ -31,6 +35,16 @@ export const AUTH_EXPIRY_KEY = 'track_n_toms_auth_expiry';
 export const THEME_PREFERENCE_KEY = 'track_n_toms_theme';
 export const RECENT_ITEMS_KEY = 'track_n_toms_recent_items';
 export const SAVED_CART_KEY = 'track_n_toms_saved_cart';
+export const TERMINAL_KEY = 'track_n_toms_terminal';
+
+// Offline mode - IndexedDB queue for sales recorded while disconnected
+export const OFFLINE_DB_NAME = 'track_n_toms_offline';
+export const OFFLINE_DB_VERSION = 1;
+export const OFFLINE_SALE_STATUS = {
+  QUEUED: 'queued',
+  SYNCING: 'syncing',
+  CONFLICT: 'conflict'
+};
 
 // Formatting constants
 export const DATE_FORMAT = 'yyyy-MM-dd';
@@ -41,6 +55,23 @@ export const CURRENCY_SYMBOL = '₱';
 export const CURRENCY_CODE = 'PHP';
 export const TAX_RATE = 0.12; // 12% VAT
 
+// Discounts applied at checkout
+export const DISCOUNT_TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed',
+  BUY_X_GET_Y: 'buy_x_get_y'
+};
+
+// Where an order-level discount came from - stored on sales_header.discount_type
+export const SALE_DISCOUNT_KINDS = {
+  SENIOR: 'senior',
+  PWD: 'pwd',
+  PROMO: 'promo',
+  MANUAL: 'manual'
+};
+
+export const SENIOR_PWD_DISCOUNT_RATE = 0.2; // 20% off, VAT-exempt (RA 9994 / RA 10754)
+
 // Table names - for Supabase queries and real-time subscriptions
 export const TABLES = {
   STAFF: 'staff',
@@ -59,7 +90,9 @@ export const TABLES = {
   PURCHASE_DETAILS: 'purchase_details'
 };
 
-// Permissions structure for role-based access control
+// Permission registry. Every permission the app checks is listed here, and
+// supabase/migrations/20261019190000_permission_registry.sql seeds the same
+// ids into the permissions table so RLS policies enforce what the UI shows.
 export const PERMISSIONS = {
   DASHBOARD: {
     VIEW: 'dashboard.view'
@@ -69,52 +102,215 @@ export const PERMISSIONS = {
     CREATE: 'sales.create',
     VOID: 'sales.void',
     REFUND: 'sales.refund',
-    REPORTS: 'sales.reports'
+    DISCOUNT: 'sales.discount',
+    MANAGE: 'sales.manage'
+  },
+  KITCHEN: {
+    VIEW: 'kitchen.view'
   },
   INVENTORY: {
     VIEW: 'inventory.view',
-    ADD: 'inventory.add',
+    CREATE: 'inventory.create',
     EDIT: 'inventory.edit',
     DELETE: 'inventory.delete',
-    MANAGE_RECIPES: 'inventory.recipes'
+    ADJUST: 'inventory.adjust',
+    COUNT: 'inventory.count',
+    APPROVE_COUNT: 'inventory.approve_count'
+  },
+  ITEMS: {
+    VIEW: 'items.view',
+    CREATE: 'items.create',
+    EDIT: 'items.edit',
+    DELETE: 'items.delete'
+  },
+  PULLOUTS: {
+    VIEW: 'pullouts.view',
+    CREATE: 'pullouts.create',
+    EDIT: 'pullouts.edit',
+    DELETE: 'pullouts.delete',
+    APPROVE: 'pullouts.approve'
   },
   SUPPLIERS: {
     VIEW: 'suppliers.view',
-    ADD: 'suppliers.create',
+    CREATE: 'suppliers.create',
     EDIT: 'suppliers.edit',
     DELETE: 'suppliers.delete',
-    MANAGE: 'suppliers.manage' 
+    PORTAL: 'suppliers.portal'
   },
   PURCHASES: {
     VIEW: 'purchases.view',
     CREATE: 'purchases.create',
+    EDIT: 'purchases.edit',
+    DELETE: 'purchases.delete',
     APPROVE: 'purchases.approve',
-    DELETE: 'purchases.delete' 
+    RECEIVE: 'purchases.receive'
   },
-  PULLOUTS: {
-    VIEW: 'pullouts.view',
-    CREATE: 'pullouts.create',
-    APPROVE: 'pullouts.approve',
-    DELETE: 'pullouts.delete'
+  CONSIGNMENTS: {
+    VIEW: 'consignments.view',
+    CREATE: 'consignments.create',
+    EDIT: 'consignments.edit',
+    DELETE: 'consignments.delete'
   },
   REPORTS: {
+    VIEW: 'reports.view',
     SALES: 'reports.sales',
     INVENTORY: 'reports.inventory',
-    FINANCIAL: 'reports.financial'
+    FINANCIAL: 'reports.financial',
+    EXPORT: 'reports.export',
+    SCHEDULE: 'reports.schedule'
   },
   STAFF: {
     VIEW: 'staff.view',
-    ADD: 'staff.add',
+    CREATE: 'staff.create',
     EDIT: 'staff.edit',
     DELETE: 'staff.delete',
     MANAGE_ROLES: 'staff.roles'
   },
-  SETTINGS: {
-    VIEW: 'settings.view',
-    EDIT: 'settings.edit'
+  EXPENSES: {
+    VIEW: 'expenses.view',
+    CREATE: 'expenses.create',
+    EDIT: 'expenses.edit',
+    DELETE: 'expenses.delete'
+  },
+  PAYABLES: {
+    VIEW: 'payables.view',
+    CREATE: 'payables.create',
+    PAY: 'payables.pay',
+    EDIT: 'payables.edit'
+  },
+  AUDIT: {
+    VIEW: 'audit.view'
   }
 };
 
+// Registry permissions grouped and labelled for the role editor
+export const PERMISSION_GROUPS = {
+  dashboard: [
+    { id: PERMISSIONS.DASHBOARD.VIEW, name: 'View Dashboard' }
+  ],
+  sales: [
+    { id: PERMISSIONS.SALES.VIEW, name: 'View Sales' },
+    { id: PERMISSIONS.SALES.CREATE, name: 'Ring Up Sales' },
+    { id: PERMISSIONS.SALES.VOID, name: 'Approve Voids' },
+    { id: PERMISSIONS.SALES.REFUND, name: 'Approve Refunds' },
+    { id: PERMISSIONS.SALES.DISCOUNT, name: 'Approve Discounts' },
+    { id: PERMISSIONS.SALES.MANAGE, name: 'Manage Terminals, Shifts & Promotions' }
+  ],
+  kitchen: [
+    { id: PERMISSIONS.KITCHEN.VIEW, name: 'Work Kitchen Display' }
+  ],
+  inventory: [
+    { id: PERMISSIONS.INVENTORY.VIEW, name: 'View Inventory' },
+    { id: PERMISSIONS.INVENTORY.CREATE, name: 'Add Ingredients' },
+    { id: PERMISSIONS.INVENTORY.EDIT, name: 'Edit Ingredients' },
+    { id: PERMISSIONS.INVENTORY.DELETE, name: 'Delete Ingredients' },
+    { id: PERMISSIONS.INVENTORY.ADJUST, name: 'Adjust Stock' },
+    { id: PERMISSIONS.INVENTORY.COUNT, name: 'Count Stock' },
+    { id: PERMISSIONS.INVENTORY.APPROVE_COUNT, name: 'Approve Stock Counts' }
+  ],
+  menu: [
+    { id: PERMISSIONS.ITEMS.VIEW, name: 'View Menu' },
+    { id: PERMISSIONS.ITEMS.CREATE, name: 'Create Menu Items' },
+    { id: PERMISSIONS.ITEMS.EDIT, name: 'Edit Menu Items' },
+    { id: PERMISSIONS.ITEMS.DELETE, name: 'Delete Menu Items' }
+  ],
+  pullouts: [
+    { id: PERMISSIONS.PULLOUTS.VIEW, name: 'View Pullouts' },
+    { id: PERMISSIONS.PULLOUTS.CREATE, name: 'Create Pullouts' },
+    { id: PERMISSIONS.PULLOUTS.EDIT, name: 'Edit Pullouts' },
+    { id: PERMISSIONS.PULLOUTS.DELETE, name: 'Delete Pullouts' },
+    { id: PERMISSIONS.PULLOUTS.APPROVE, name: 'Approve Pullouts' }
+  ],
+  suppliers: [
+    { id: PERMISSIONS.SUPPLIERS.VIEW, name: 'View Suppliers' },
+    { id: PERMISSIONS.SUPPLIERS.CREATE, name: 'Create Suppliers' },
+    { id: PERMISSIONS.SUPPLIERS.EDIT, name: 'Edit Suppliers' },
+    { id: PERMISSIONS.SUPPLIERS.DELETE, name: 'Delete Suppliers' },
+    { id: PERMISSIONS.SUPPLIERS.PORTAL, name: 'Act As Supplier' }
+  ],
+  purchases: [
+    { id: PERMISSIONS.PURCHASES.VIEW, name: 'View Purchase Orders' },
+    { id: PERMISSIONS.PURCHASES.CREATE, name: 'Create Purchase Orders' },
+    { id: PERMISSIONS.PURCHASES.EDIT, name: 'Edit Purchase Orders' },
+    { id: PERMISSIONS.PURCHASES.DELETE, name: 'Delete Purchase Orders' },
+    { id: PERMISSIONS.PURCHASES.APPROVE, name: 'Approve Purchase Orders' },
+    { id: PERMISSIONS.PURCHASES.RECEIVE, name: 'Receive Deliveries' }
+  ],
+  consignments: [
+    { id: PERMISSIONS.CONSIGNMENTS.VIEW, name: 'View Consignments' },
+    { id: PERMISSIONS.CONSIGNMENTS.CREATE, name: 'Create Consignments' },
+    { id: PERMISSIONS.CONSIGNMENTS.EDIT, name: 'Edit Consignments' },
+    { id: PERMISSIONS.CONSIGNMENTS.DELETE, name: 'Delete Consignments' }
+  ],
+  reports: [
+    { id: PERMISSIONS.REPORTS.VIEW, name: 'View Reports' },
+    { id: PERMISSIONS.REPORTS.SALES, name: 'Access Sales Reports' },
+    { id: PERMISSIONS.REPORTS.INVENTORY, name: 'Access Inventory Reports' },
+    { id: PERMISSIONS.REPORTS.FINANCIAL, name: 'Access Financial Reports' },
+    { id: PERMISSIONS.REPORTS.EXPORT, name: 'Export Reports' },
+    { id: PERMISSIONS.REPORTS.SCHEDULE, name: 'Schedule Emailed Reports' }
+  ],
+  staff: [
+    { id: PERMISSIONS.STAFF.VIEW, name: 'View Staff' },
+    { id: PERMISSIONS.STAFF.CREATE, name: 'Create Staff' },
+    { id: PERMISSIONS.STAFF.EDIT, name: 'Edit Staff' },
+    { id: PERMISSIONS.STAFF.DELETE, name: 'Delete Staff' },
+    { id: PERMISSIONS.STAFF.MANAGE_ROLES, name: 'Manage Roles' }
+  ],
+  expenses: [
+    { id: PERMISSIONS.EXPENSES.VIEW, name: 'View Expenses' },
+    { id: PERMISSIONS.EXPENSES.CREATE, name: 'Record Expenses' },
+    { id: PERMISSIONS.EXPENSES.EDIT, name: 'Edit Expenses' },
+    { id: PERMISSIONS.EXPENSES.DELETE, name: 'Delete Expenses' }
+  ],
+  payables: [
+    { id: PERMISSIONS.PAYABLES.VIEW, name: 'View Supplier Invoices' },
+    { id: PERMISSIONS.PAYABLES.CREATE, name: 'Record Supplier Invoices' },
+    { id: PERMISSIONS.PAYABLES.PAY, name: 'Pay Suppliers' },
+    { id: PERMISSIONS.PAYABLES.EDIT, name: 'Void Invoices & Payments' }
+  ],
+  audit: [
+    { id: PERMISSIONS.AUDIT.VIEW, name: 'View Audit Trail' }
+  ]
+};
+
+export const ALL_PERMISSIONS = Object.values(PERMISSION_GROUPS).flat().map(permission => permission.id);
+
+// Grants of the built-in roles, used when a role is first seeded and when
+// the server cannot be reached to load the signed-in user's grants
+export const ROLE_DEFAULT_PERMISSIONS = {
+  Admin: ALL_PERMISSIONS,
+  Manager: ALL_PERMISSIONS.filter(permission => ![
+    PERMISSIONS.SUPPLIERS.PORTAL,
+    PERMISSIONS.STAFF.DELETE,
+    PERMISSIONS.STAFF.MANAGE_ROLES,
+    PERMISSIONS.AUDIT.VIEW
+  ].includes(permission)),
+  Cashier: [
+    PERMISSIONS.DASHBOARD.VIEW,
+    PERMISSIONS.SALES.VIEW,
+    PERMISSIONS.SALES.CREATE,
+    PERMISSIONS.KITCHEN.VIEW,
+    PERMISSIONS.INVENTORY.VIEW,
+    PERMISSIONS.INVENTORY.COUNT,
+    PERMISSIONS.ITEMS.VIEW,
+    PERMISSIONS.PULLOUTS.VIEW,
+    PERMISSIONS.PULLOUTS.CREATE
+  ],
+  Staff: [
+    PERMISSIONS.DASHBOARD.VIEW,
+    PERMISSIONS.KITCHEN.VIEW
+  ],
+  Supplier: [
+    PERMISSIONS.DASHBOARD.VIEW,
+    PERMISSIONS.INVENTORY.VIEW,
+    PERMISSIONS.SUPPLIERS.VIEW,
+    PERMISSIONS.SUPPLIERS.PORTAL,
+    PERMISSIONS.PURCHASES.VIEW,
+    PERMISSIONS.CONSIGNMENTS.VIEW
+  ]
+};
+
 // User roles with default permissions
 export const USER_ROLES = {
   ADMIN: 'Admin',
@@ -156,6 +352,145 @@ export const PAYMENT_METHODS = [
   { value: 'bank_transfer', label: 'Bank Transfer' }
 ];
 
+// Credit a supplier gives, in days from the invoice date
+export const SUPPLIER_PAYMENT_TERMS = [
+  { days: 0, label: 'Cash on Delivery' },
+  { days: 7, label: 'Net 7' },
+  { days: 15, label: 'Net 15' },
+  { days: 30, label: 'Net 30' },
+  { days: 45, label: 'Net 45' },
+  { days: 60, label: 'Net 60' }
+];
+
+// Payables aging buckets, by days past the due date
+export const AGING_BUCKETS = [
+  { key: 'current', label: 'Current' },
+  { key: 'days_1_30', label: '1-30 Days' },
+  { key: 'days_31_60', label: '31-60 Days' },
+  { key: 'days_61_90', label: '61-90 Days' },
+  { key: 'over_90', label: 'Over 90 Days' }
+];
+
+// How suppliers are paid (invoices and consignment payouts)
+export const SUPPLIER_PAYMENT_METHODS = [
+  { value: 'bank_transfer', label: 'Bank Transfer' },
+  { value: 'check', label: 'Check' },
+  { value: 'cash', label: 'Cash' },
+  { value: 'mobile_payment', label: 'GCash/Maya' }
+];
+
+// What a supplier can attach to a purchase order (supplier_documents.document_type)
+export const SUPPLIER_DOCUMENT_TYPES = [
+  { value: 'delivery_receipt', label: 'Delivery Receipt' },
+  { value: 'invoice', label: 'Invoice' }
+];
+
+// sales_header.payment_method for a sale paid with more than one method
+export const SPLIT_PAYMENT_METHOD = 'split';
+
+// What happens to returned items on a refund line
+export const REFUND_DISPOSITIONS = {
+  RESTOCK: 'restock',
+  WASTE: 'waste'
+};
+
+// Cashier shifts and drawer counts
+export const SHIFT_STATUS = {
+  OPEN: 'open',
+  CLOSED: 'closed'
+};
+
+export const CASH_EVENT_TYPES = {
+  CASH_IN: 'cash_in',
+  CASH_OUT: 'cash_out'
+};
+
+// Peso bills and coins counted when closing the drawer
+export const CASH_DENOMINATIONS = [1000, 500, 200, 100, 50, 20, 10, 5, 1, 0.25];
+
+// Kinds of entries in the stock movement ledger, with display labels
+export const STOCK_MOVEMENT_TYPES = {
+  sale: 'Sale',
+  void: 'Void',
+  refund: 'Refund',
+  purchase: 'Purchase Receipt',
+  consignment: 'Consignment',
+  pullout: 'Pullout',
+  adjustment: 'Adjustment'
+};
+
+// Stock count sessions: counted, handed to a manager, then approved
+export const STOCK_COUNT_STATUS = {
+  COUNTING: 'counting',
+  SUBMITTED: 'submitted',
+  APPROVED: 'approved',
+  CANCELLED: 'cancelled'
+};
+
+// Lots expiring within this many days are flagged in inventory and reports
+export const EXPIRY_WARNING_DAYS = 7;
+
+// Reorder suggestions read this many days of usage and order enough to last
+// the supplier's lead time plus the days of cover
+export const REORDER_DEFAULTS = {
+  HISTORY_DAYS: 30,
+  COVER_DAYS: 7
+};
+
+// Labels of the records tracked in the audit trail, keyed by table
+export const AUDIT_ENTITY_TYPES = {
+  ingredients: 'Ingredient',
+  ingredient_suppliers: 'Ingredient Supplier',
+  ingredient_units: 'Ingredient Unit',
+  items: 'Menu Item',
+  item_ingredients: 'Recipe',
+  item_modifier_groups: 'Modifier Group',
+  item_modifiers: 'Modifier',
+  pullout: 'Pullout',
+  stock_counts: 'Stock Count',
+  stock_count_entries: 'Stock Count Entry',
+  suppliers: 'Supplier',
+  purchase: 'Purchase Order',
+  purchase_details: 'Purchase Order Line',
+  goods_receipts: 'Goods Receipt',
+  purchase_discrepancies: 'Purchase Discrepancy',
+  purchase_delivery_proposals: 'Delivery Proposal',
+  supplier_documents: 'Supplier Document',
+  consignment: 'Consignment',
+  consignment_details: 'Consignment Line',
+  consignment_pullouts: 'Consignment Pullout',
+  consignment_settlements: 'Consignment Settlement',
+  supplier_invoices: 'Supplier Invoice',
+  supplier_payments: 'Supplier Payment',
+  staff: 'Staff',
+  roles: 'Role',
+  role_permissions: 'Role Permissions',
+  sales_header: 'Sale',
+  sales_refunds: 'Refund',
+  pos_terminals: 'Terminal',
+  held_orders: 'Held Order',
+  expenses: 'Expense',
+  report_schedules: 'Report Schedule'
+};
+
+export const AUDIT_ACTIONS = {
+  create: 'Created',
+  update: 'Updated',
+  delete: 'Deleted'
+};
+
+// Operating expense categories, matching the check on expenses.category
+export const EXPENSE_CATEGORIES = {
+  rent: 'Rent',
+  payroll: 'Payroll',
+  utilities: 'Utilities',
+  supplies: 'Supplies',
+  repairs: 'Repairs & Maintenance',
+  marketing: 'Marketing',
+  taxes: 'Taxes & Licenses',
+  other: 'Other'
+};
+
 // Common units for inventory - updated to match schema
 export const UNITS = [
   { value: 'shots', label: 'Shots' },
@@ -171,6 +506,16 @@ export const UNITS = [
   { value: 'tsp', label: 'Teaspoon' }
 ];
 
+// Fixed conversions between common units (one of the outer unit holds this
+// many of the inner one), used to suggest factors for an ingredient's units
+export const STANDARD_UNIT_CONVERSIONS = {
+  kg: { g: 1000, grams: 1000 },
+  l: { ml: 1000 },
+  cup: { ml: 240, tbsp: 16, tsp: 48 },
+  tbsp: { ml: 15, tsp: 3 },
+  tsp: { ml: 5 }
+};
+
 // Product categories specific to Tom N Toms coffee shop - updated to match schema
 export const PRODUCT_CATEGORIES = [
   { value: 'something_new_drinks', label: 'SOMETHING NEW: DRINKS' },
@@ -237,6 +582,31 @@ export const EXPORT_FORMATS = [
   { id: 'excel', label: 'Excel' }
 ];
 
+// Scheduled report delivery, matching the checks on report_schedules
+export const REPORT_SCHEDULE_TYPES = [
+  { id: 'sales', label: 'Sales Report', permission: PERMISSIONS.REPORTS.SALES },
+  { id: 'inventory', label: 'Inventory Report', permission: PERMISSIONS.REPORTS.INVENTORY },
+  { id: 'financial', label: 'Financial Report', permission: PERMISSIONS.REPORTS.FINANCIAL }
+];
+
+export const REPORT_SCHEDULE_FREQUENCIES = [
+  { id: 'daily', label: 'Daily', period: 'the previous day' },
+  { id: 'weekly', label: 'Weekly', period: 'the previous 7 days' },
+  { id: 'monthly', label: 'Monthly', period: 'the previous calendar month' }
+];
+
+// Indexed like Postgres extract(dow), Sunday first
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+export const REPORT_SCHEDULE_FORMATS = EXPORT_FORMATS.filter(format => format.id !== 'csv');
+
+export const REPORT_RUN_STATUSES = {
+  running: 'Sending',
+  sent: 'Sent',
+  retrying: 'Retrying',
+  failed: 'Failed'
+};
+
 // Storage paths for Supabase storage
 export const STORAGE_PATHS = {
   STAFF_IMAGES: 'staff',
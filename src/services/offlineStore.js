@@ -0,0 +1,323 @@
+import { OFFLINE_DB_NAME, OFFLINE_DB_VERSION, OFFLINE_SALE_STATUS } from './constants';
+import { summarizeRecipeUsage } from '../utils/modifier-utils';
+
+// Object stores kept in the terminal's IndexedDB database
+const STORES = {
+  SALES: 'pending_sales',
+  RECIPES: 'recipes',
+  INGREDIENTS: 'ingredient_levels'
+};
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the offline IndexedDB database
+ * @returns {Promise<IDBDatabase>}
+ */
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+
+      if (!db.objectStoreNames.contains(STORES.SALES)) {
+        const salesStore = db.createObjectStore(STORES.SALES, { keyPath: 'offline_id' });
+        salesStore.createIndex('status', 'status', { unique: false });
+      }
+      if (!db.objectStoreNames.contains(STORES.RECIPES)) {
+        db.createObjectStore(STORES.RECIPES, { keyPath: 'item_id' });
+      }
+      if (!db.objectStoreNames.contains(STORES.INGREDIENTS)) {
+        db.createObjectStore(STORES.INGREDIENTS, { keyPath: 'ingredient_id' });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Run a callback inside a transaction and resolve once it commits
+ * @param {string|string[]} storeNames - Store(s) the transaction covers
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {function} work - Receives the transaction, may return a request whose result is resolved
+ * @returns {Promise<any>}
+ */
+const withTransaction = async (storeNames, mode, work) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    let result;
+
+    const request = work(tx);
+    if (request) {
+      request.onsuccess = () => {
+        result = request.result;
+      };
+    }
+
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+/**
+ * Generate the reference a sale is sent to process_sale with. The same
+ * reference follows the sale into the offline queue, so the server never
+ * records it twice.
+ * @returns {string} Unique sale reference
+ */
+export const createOfflineId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+};
+
+/**
+ * Check whether an error came from a dropped connection rather than the database
+ * @param {Error|Object} error - Error thrown or returned by supabase-js
+ * @returns {boolean}
+ */
+export const isNetworkError = (error) => {
+  if (!error) return false;
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+
+  const message = `${error.message || ''} ${error.details || ''}`.toLowerCase();
+  return (
+    error.code === 'NETWORK_ERROR' ||
+    message.includes('failed to fetch') ||
+    message.includes('network') ||
+    message.includes('load failed')
+  );
+};
+
+/**
+ * Record a completed sale in the durable offline queue
+ * @param {Object} saleData - Sale payload as passed to addSale, keeping its
+ *   offline_id when it already has one
+ * @returns {Promise<Object>} Queued sale record
+ */
+export const queueSale = async (saleData) => {
+  const record = {
+    ...saleData,
+    offline_id: saleData.offline_id || createOfflineId(),
+    status: OFFLINE_SALE_STATUS.QUEUED,
+    attempts: 0,
+    last_error: null,
+    queued_at: new Date().toISOString()
+  };
+
+  await withTransaction(STORES.SALES, 'readwrite', (tx) =>
+    tx.objectStore(STORES.SALES).put(record)
+  );
+
+  return record;
+};
+
+/**
+ * Get every sale in the offline queue, oldest first
+ * @returns {Promise<Array>}
+ */
+export const getQueuedSales = async () => {
+  const sales = await withTransaction(STORES.SALES, 'readonly', (tx) =>
+    tx.objectStore(STORES.SALES).getAll()
+  );
+
+  return (sales || []).sort((a, b) => a.queued_at.localeCompare(b.queued_at));
+};
+
+/**
+ * Update fields on a queued sale
+ * @param {string} offlineId - Offline reference of the sale
+ * @param {Object} changes - Fields to merge into the record
+ * @returns {Promise<Object|null>} Updated record or null if it no longer exists
+ */
+export const updateQueuedSale = async (offlineId, changes) => {
+  let updated = null;
+
+  await withTransaction(STORES.SALES, 'readwrite', (tx) => {
+    const store = tx.objectStore(STORES.SALES);
+    const request = store.get(offlineId);
+
+    request.onsuccess = () => {
+      if (!request.result) return;
+      updated = { ...request.result, ...changes };
+      store.put(updated);
+    };
+  });
+
+  return updated;
+};
+
+/**
+ * Remove a sale from the offline queue
+ * @param {string} offlineId - Offline reference of the sale
+ * @returns {Promise<void>}
+ */
+export const removeQueuedSale = async (offlineId) => {
+  await withTransaction(STORES.SALES, 'readwrite', (tx) =>
+    tx.objectStore(STORES.SALES).delete(offlineId)
+  );
+};
+
+/**
+ * Cache a menu item's recipe and the ingredient levels it was read with
+ * @param {number|string} itemId - Menu item ID
+ * @param {Array} recipe - Rows from item_ingredients joined with ingredients
+ * @returns {Promise<void>}
+ */
+export const cacheRecipe = async (itemId, recipe = []) => {
+  await withTransaction([STORES.RECIPES, STORES.INGREDIENTS], 'readwrite', (tx) => {
+    const recipesStore = tx.objectStore(STORES.RECIPES);
+    const ingredientsStore = tx.objectStore(STORES.INGREDIENTS);
+
+    recipesStore.put({
+      item_id: itemId,
+      ingredients: recipe
+        .filter(row => row.ingredients)
+        .map(row => ({
+          ingredient_id: row.ingredients.ingredient_id,
+          modifier_id: row.modifier_id || null,
+          quantity: row.quantity,
+          unit_factor: row.unit_factor ?? 1
+        })),
+      cached_at: new Date().toISOString()
+    });
+
+    recipe.forEach(row => {
+      if (!row.ingredients) return;
+      ingredientsStore.put({
+        ingredient_id: row.ingredients.ingredient_id,
+        name: row.ingredients.name,
+        quantity: row.ingredients.quantity,
+        minimum_quantity: row.ingredients.minimum_quantity,
+        cached_at: new Date().toISOString()
+      });
+    });
+  });
+};
+
+/**
+ * Estimate item availability from the locally cached recipe and stock levels.
+ * Mirrors the result shape of useInventory.checkIngredientAvailability.
+ * @param {number|string} itemId - Menu item ID
+ * @param {number} quantity - Quantity requested
+ * @param {Array} modifierIds - Chosen modifier IDs whose recipe deltas apply
+ * @returns {Promise<Object>} Availability estimate
+ */
+export const estimateAvailability = async (itemId, quantity = 1, modifierIds = []) => {
+  const [recipe, levels] = await Promise.all([
+    withTransaction(STORES.RECIPES, 'readonly', (tx) => tx.objectStore(STORES.RECIPES).get(itemId)),
+    withTransaction(STORES.INGREDIENTS, 'readonly', (tx) => tx.objectStore(STORES.INGREDIENTS).getAll())
+  ]);
+
+  if (!recipe) {
+    // Never seen this item while online - allow the sale and let the replay decide
+    return {
+      available: true,
+      availableQuantity: 999,
+      lowStockThreshold: 5,
+      message: 'Offline estimate unavailable',
+      estimated: true
+    };
+  }
+
+  const levelMap = {};
+  (levels || []).forEach(level => {
+    levelMap[level.ingredient_id] = level;
+  });
+
+  let available = true;
+  let limitingQuantity = Infinity;
+  let limitingIngredient = null;
+  let message = '';
+
+  const usage = summarizeRecipeUsage(recipe.ingredients, modifierIds);
+
+  for (const [ingredientId, perUnit] of usage) {
+    const level = levelMap[ingredientId];
+    if (!level || level.quantity === null || !perUnit) continue;
+
+    const requiredQty = perUnit * quantity;
+    const availableQty = level.quantity || 0;
+    const availableBatches = Math.floor(availableQty / perUnit);
+
+    if (requiredQty > availableQty) {
+      available = false;
+      limitingIngredient = level;
+      message = `Not enough ${level.name} to make this item (offline estimate)`;
+      break;
+    }
+
+    if (availableBatches < limitingQuantity) {
+      limitingQuantity = availableBatches;
+      limitingIngredient = level;
+    }
+  }
+
+  return {
+    available,
+    availableQuantity: limitingQuantity === Infinity ? 999 : limitingQuantity,
+    lowStockThreshold: limitingIngredient?.minimum_quantity || 5,
+    message,
+    limitingIngredient: limitingIngredient?.name,
+    estimated: true
+  };
+};
+
+/**
+ * Deduct sold items from the locally cached ingredient levels so later
+ * offline estimates account for sales still waiting in the queue
+ * @param {Array} items - Sold items ({ item_id, quantity, modifier_ids })
+ * @returns {Promise<void>}
+ */
+export const applyLocalDeduction = async (items = []) => {
+  const recipes = await Promise.all(
+    items.map(item =>
+      withTransaction(STORES.RECIPES, 'readonly', (tx) => tx.objectStore(STORES.RECIPES).get(item.item_id))
+    )
+  );
+
+  const deductions = new Map();
+  items.forEach((item, index) => {
+    const recipe = recipes[index];
+    if (!recipe) return;
+    summarizeRecipeUsage(recipe.ingredients, item.modifier_ids || []).forEach((perUnit, ingredientId) => {
+      deductions.set(ingredientId, (deductions.get(ingredientId) || 0) + perUnit * item.quantity);
+    });
+  });
+
+  if (deductions.size === 0) return;
+
+  await withTransaction(STORES.INGREDIENTS, 'readwrite', (tx) => {
+    const store = tx.objectStore(STORES.INGREDIENTS);
+
+    deductions.forEach((amount, ingredientId) => {
+      const request = store.get(ingredientId);
+      request.onsuccess = () => {
+        if (!request.result) return;
+        store.put({
+          ...request.result,
+          quantity: (request.result.quantity || 0) - amount
+        });
+      };
+    });
+  });
+};
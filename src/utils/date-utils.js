@@ -149,4 +149,19 @@ export const getPeriodRange = (period) => {
     startDate: startDate ? formatDateISO(startDate) : null,
     endDate: endDate ? formatDateISO(endDate) : null
   };
-};
\ No newline at end of file
+};
+/**
+ * Format a number of seconds as m:ss, or h:mm:ss from an hour up
+ * @param {number} totalSeconds - Duration in seconds
+ * @returns {string} Formatted duration
+ */
+export const formatDuration = (totalSeconds) => {
+  const seconds = Math.max(Math.round(totalSeconds || 0), 0);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const pad = (value) => String(value).padStart(2, '0');
+  
+  return hours > 0
+    ? `${hours}:${pad(minutes)}:${pad(seconds % 60)}`
+    : `${minutes}:${pad(seconds % 60)}`;
+};
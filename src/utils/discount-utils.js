@@ -0,0 +1,234 @@
+import {
+  TAX_RATE,
+  DISCOUNT_TYPES,
+  SALE_DISCOUNT_KINDS,
+  SENIOR_PWD_DISCOUNT_RATE
+} from '../services/constants';
+
+/**
+ * Round a peso amount to centavos
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+export const roundCurrency = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+/**
+ * Check whether an order-level discount is a statutory Senior Citizen/PWD discount
+ * @param {Object|null} discount - Order discount
+ * @returns {boolean}
+ */
+export const isSeniorPwdDiscount = (discount) => {
+  return !!discount && [SALE_DISCOUNT_KINDS.SENIOR, SALE_DISCOUNT_KINDS.PWD].includes(discount.kind);
+};
+
+/**
+ * Amount taken off a single line by a percentage or fixed line discount
+ * @param {Object} line - Cart line ({ price, quantity, subtotal })
+ * @param {Object} lineDiscount - { type, value }
+ * @returns {number} Discount amount, never more than the line subtotal
+ */
+const getLineDiscountAmount = (line, lineDiscount) => {
+  if (!lineDiscount) return 0;
+  const value = parseFloat(lineDiscount.value) || 0;
+
+  const amount = lineDiscount.type === DISCOUNT_TYPES.PERCENTAGE
+    ? line.subtotal * (value / 100)
+    : value;
+
+  return roundCurrency(Math.min(Math.max(amount, 0), line.subtotal));
+};
+
+/**
+ * Free units for a buy-X-get-Y promotion, given to the cheapest matching lines first
+ * @param {Array} lines - Cart lines after line discounts
+ * @param {Object} discount - { item_id, buy_quantity, get_quantity }
+ * @returns {Map} line id to discount amount
+ */
+const getBuyXGetYAmounts = (lines, discount) => {
+  const amounts = new Map();
+  const buy = parseInt(discount.buy_quantity) || 0;
+  const get = parseInt(discount.get_quantity) || 0;
+  if (!buy || !get) return amounts;
+
+  const matching = lines
+    .filter(line => line.item_id === discount.item_id)
+    .sort((a, b) => a.price - b.price);
+
+  const totalQuantity = matching.reduce((sum, line) => sum + line.quantity, 0);
+  let freeUnits = Math.floor(totalQuantity / (buy + get)) * get;
+
+  for (const line of matching) {
+    if (freeUnits <= 0) break;
+    const units = Math.min(freeUnits, line.quantity);
+    amounts.set(line.id, roundCurrency(Math.min(units * line.price, line.net_subtotal)));
+    freeUnits -= units;
+  }
+
+  return amounts;
+};
+
+/**
+ * Spread an order-level discount across lines in proportion to their net amount,
+ * so every sales_detail row carries its share and the rows add up exactly.
+ * The discount is capped at what the lines come to before it is spread, so
+ * no line ends up below zero.
+ * @param {Array} lines - Cart lines after line discounts
+ * @param {number} amount - Order-level discount to spread
+ * @returns {Map} line id to discount amount
+ */
+const prorateAcrossLines = (lines, amount) => {
+  const amounts = new Map();
+  const base = lines.reduce((sum, line) => sum + line.net_subtotal, 0);
+  if (base <= 0 || amount <= 0) return amounts;
+
+  const capped = roundCurrency(Math.min(amount, base));
+  let remaining = capped;
+  lines.forEach((line, index) => {
+    const share = index === lines.length - 1
+      ? Math.min(Math.max(remaining, 0), line.net_subtotal)
+      : roundCurrency(capped * (line.net_subtotal / base));
+    amounts.set(line.id, share);
+    remaining = roundCurrency(remaining - share);
+  });
+
+  return amounts;
+};
+
+/**
+ * Order-level discount amounts per line for the active discount
+ * @param {Array} lines - Cart lines after line discounts
+ * @param {Object|null} discount - Order discount
+ * @returns {Map} line id to discount amount
+ */
+const getOrderDiscountAmounts = (lines, discount) => {
+  if (!discount) return new Map();
+
+  // Statutory 20% is taken on the VAT-exclusive price
+  if (isSeniorPwdDiscount(discount)) {
+    const base = lines.reduce((sum, line) => sum + line.net_subtotal, 0);
+    return prorateAcrossLines(lines, base * SENIOR_PWD_DISCOUNT_RATE);
+  }
+
+  if (discount.type === DISCOUNT_TYPES.BUY_X_GET_Y) {
+    return getBuyXGetYAmounts(lines, discount);
+  }
+
+  // Promotions tied to one item only discount that item's lines
+  const eligible = discount.item_id
+    ? lines.filter(line => line.item_id === discount.item_id)
+    : lines;
+  const base = eligible.reduce((sum, line) => sum + line.net_subtotal, 0);
+  const value = parseFloat(discount.value) || 0;
+
+  const amount = discount.type === DISCOUNT_TYPES.PERCENTAGE
+    ? base * (value / 100)
+    : value;
+
+  return prorateAcrossLines(eligible, amount);
+};
+
+/**
+ * Short label for an order-level discount, used on the cart and receipt
+ * @param {Object|null} discount - Order discount
+ * @returns {string}
+ */
+export const getDiscountLabel = (discount) => {
+  if (!discount) return '';
+
+  switch (discount.kind) {
+    case SALE_DISCOUNT_KINDS.SENIOR:
+      return 'Senior Citizen (20%)';
+    case SALE_DISCOUNT_KINDS.PWD:
+      return 'PWD (20%)';
+    case SALE_DISCOUNT_KINDS.PROMO:
+      return discount.promo_code ? `Promo ${discount.promo_code}` : discount.name || 'Promo';
+    default:
+      return discount.type === DISCOUNT_TYPES.PERCENTAGE
+        ? `Manual (${parseFloat(discount.value)}%)`
+        : 'Manual discount';
+  }
+};
+
+/**
+ * Work out line and order discounts, VAT and the amount due.
+ * Menu prices are VAT-exclusive: VAT is added on the discounted amount,
+ * except for Senior Citizen/PWD sales which are VAT-exempt.
+ * @param {Array} items - Cart lines ({ id, item_id, price, quantity, subtotal, line_discount })
+ * @param {Object|null} discount - Order discount ({ kind, type, value, item_id, ... })
+ * @returns {Object} Lines with discount_amount/discount_label and the order totals
+ */
+export const calculateOrderTotals = (items = [], discount = null) => {
+  // Line discounts first - these are manual overrides on one line
+  const lines = items.map(item => {
+    const lineDiscountAmount = getLineDiscountAmount(item, item.line_discount);
+    return {
+      ...item,
+      line_discount_amount: lineDiscountAmount,
+      net_subtotal: roundCurrency(item.subtotal - lineDiscountAmount)
+    };
+  });
+
+  const orderAmounts = getOrderDiscountAmounts(lines, discount);
+  const orderLabel = getDiscountLabel(discount);
+
+  const pricedLines = lines.map(line => {
+    const orderShare = orderAmounts.get(line.id) || 0;
+    const labels = [
+      line.line_discount_amount > 0 ? line.line_discount?.label || 'Line discount' : null,
+      orderShare > 0 ? orderLabel : null
+    ].filter(Boolean);
+
+    return {
+      ...line,
+      discount_amount: roundCurrency(line.line_discount_amount + orderShare),
+      discount_label: labels.length > 0 ? labels.join(', ') : null
+    };
+  });
+
+  const subtotal = roundCurrency(pricedLines.reduce((sum, line) => sum + line.subtotal, 0));
+  const discountAmount = roundCurrency(pricedLines.reduce((sum, line) => sum + line.discount_amount, 0));
+  const netAmount = roundCurrency(subtotal - discountAmount);
+  const vatExempt = isSeniorPwdDiscount(discount);
+
+  const tax = vatExempt ? 0 : roundCurrency(netAmount * TAX_RATE);
+
+  return {
+    items: pricedLines,
+    subtotal,
+    discount_amount: discountAmount,
+    vat_exempt_amount: vatExempt ? netAmount : 0,
+    tax,
+    total: roundCurrency(netAmount + tax)
+  };
+};
+
+/**
+ * Check a promotion can be used for this order right now
+ * @param {Object} promo - Row from promotions
+ * @param {Array} items - Cart lines
+ * @param {number} subtotal - Order subtotal before discounts
+ * @returns {string|null} Error message or null when the promo applies
+ */
+export const validatePromotion = (promo, items = [], subtotal = 0) => {
+  const now = new Date();
+
+  if (!promo.is_active) return 'This promo code is no longer active';
+  if (promo.starts_at && new Date(promo.starts_at) > now) return 'This promo has not started yet';
+  if (promo.ends_at && new Date(promo.ends_at) < now) return 'This promo code has expired';
+  if (promo.min_order_amount && subtotal < parseFloat(promo.min_order_amount)) {
+    return `Minimum order of ₱${parseFloat(promo.min_order_amount).toFixed(2)} required`;
+  }
+  if (promo.item_id && !items.some(item => item.item_id === promo.item_id)) {
+    return 'The promo item is not in this order';
+  }
+  if (promo.discount_type === DISCOUNT_TYPES.BUY_X_GET_Y) {
+    const quantity = items
+      .filter(item => item.item_id === promo.item_id)
+      .reduce((sum, item) => sum + item.quantity, 0);
+    if (quantity < promo.buy_quantity + promo.get_quantity) {
+      return `Add ${promo.buy_quantity + promo.get_quantity} of the promo item to use this code`;
+    }
+  }
+
+  return null;
+};
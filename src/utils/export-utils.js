@@ -1,3 +1,8 @@
+import { format } from 'date-fns';
+import { APP_NAME, COMPANY_NAME, COMPANY_ADDRESS, EXPENSE_CATEGORIES, AGING_BUCKETS } from '../services/constants';
+import { getSalePayments, getPaymentMethodName } from './payment-utils';
+import { summarizeRefunds } from './refund-utils';
+
 /**
  * Export data to CSV format
  * @param {Array} data - Array of objects to export
@@ -51,67 +56,814 @@ export const exportToCSV = (data) => {
   return new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
 };
 
+// jsPDF's built-in fonts have no peso sign, so amounts are written as PHP
+const pdfPeso = (value) => `PHP ${Number(value || 0).toLocaleString('en-US', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const pdfPercent = (value) => (value === null || value === undefined ? '-' : `${Number(value).toFixed(1)}%`);
+
+const pdfText = (value) => (value === null || value === undefined ? '' : String(value).replace(/₱/g, 'PHP '));
+
+const BRAND_COLOR = [87, 28, 31];
+
 /**
- * Export data to PDF format
- * @param {Object} reportData - Report data to export
+ * Capture a rendered Chart.js chart for a PDF export
+ * @param {Object} chart - Chart instance, as held by a react-chartjs-2 ref
+ * @param {string} title - Caption printed above the image
+ * @returns {Object|null} { title, image, width, height }, or null when the
+ *   chart is not on screen
+ */
+export const captureChartImage = (chart, title) => {
+  if (!chart || typeof chart.toBase64Image !== 'function' || !chart.width || !chart.height) {
+    return null;
+  }
+
+  return {
+    title,
+    image: chart.toBase64Image('image/png', 1),
+    width: chart.width,
+    height: chart.height
+  };
+};
+
+// Summary rows and detail tables for each report type
+const getPdfSections = (report) => {
+  const data = report.data;
+
+  switch (report.type) {
+    case 'sales': {
+      const sales = Array.isArray(data) ? data : [];
+      const completed = sales.filter(sale => !sale.is_voided);
+      const grossSales = completed.reduce((sum, sale) => sum + Number(sale.total_amount || 0), 0);
+      const refunds = summarizeRefunds(report.refunds);
+      const total = grossSales - refunds.total;
+
+      return {
+        summary: [
+          ['Gross Sales', pdfPeso(grossSales)],
+          ['Less Refunds', pdfPeso(refunds.total)],
+          ['Total Sales', pdfPeso(total)],
+          ['Transactions', completed.length],
+          ['Average Order Value', pdfPeso(completed.length ? total / completed.length : 0)],
+          ['Voided Sales', sales.length - completed.length]
+        ],
+        tables: [{
+          title: 'Sales',
+          head: ['Sale ID', 'Date', 'Cashier', 'Payment', 'Total', 'Status'],
+          body: sales.map(sale => [
+            sale.sale_id,
+            new Date(sale.sale_date).toLocaleString(),
+            sale.cashier_name || '',
+            sale.payment_method || '',
+            pdfPeso(sale.total_amount),
+            sale.is_voided ? 'Voided' : 'Completed'
+          ]),
+          numericColumns: [4]
+        }]
+      };
+    }
+
+    case 'inventory': {
+      const ingredients = data?.ingredients || [];
+      const lots = data?.expiringLots || [];
+      const variances = data?.countVariances || [];
+      const value = ingredients.reduce((sum, ing) => sum + Number(ing.value || 0), 0);
+
+      return {
+        summary: [
+          ['Ingredients', ingredients.length],
+          ['Low Stock', ingredients.filter(ing => ing.stockStatus === 'low').length],
+          ['Out of Stock', ingredients.filter(ing => ing.stockStatus === 'out').length],
+          ['Menu Items', data?.items?.length || 0],
+          ['Inventory Value', pdfPeso(value)],
+          ['Expired Lots', lots.filter(lot => lot.expiryStatus === 'expired').length],
+          ['Net Count Variance', pdfPeso(variances.reduce((sum, row) => sum + row.value, 0))]
+        ],
+        tables: [{
+          title: 'Ingredients',
+          head: ['Name', 'Category', 'Stock', 'Unit', 'Minimum', 'Unit Cost', 'Value', 'Status'],
+          body: ingredients.map(ing => [
+            ing.name,
+            ing.category || 'Uncategorized',
+            ing.quantity,
+            ing.unit || '',
+            ing.minimum_quantity,
+            pdfPeso(ing.unit_cost),
+            pdfPeso(ing.value),
+            ing.stockStatus ? ing.stockStatus.charAt(0).toUpperCase() + ing.stockStatus.slice(1) : ''
+          ]),
+          numericColumns: [2, 4, 5, 6]
+        }, ...(lots.length > 0 ? [{
+          title: 'Near-Expiry Lots',
+          head: ['Ingredient', 'Lot', 'Expiry', 'Days Left', 'Stock', 'Unit', 'Value'],
+          body: lots.map(lot => [
+            lot.ingredient_name,
+            lot.lot_number || 'Untracked',
+            lot.expiry_date,
+            lot.days_to_expiry < 0 ? 'Expired' : lot.days_to_expiry,
+            lot.quantity,
+            lot.unit,
+            pdfPeso(lot.value)
+          ]),
+          numericColumns: [3, 4, 6]
+        }] : []), ...(variances.length > 0 ? [{
+          title: 'Count Variances',
+          head: ['Count', 'Ingredient', 'Expected', 'Counted', 'Variance', 'Unit', 'Value', 'Reason'],
+          body: variances.map(row => [
+            row.count_name,
+            row.ingredient_name,
+            row.expected_quantity,
+            row.counted_quantity,
+            row.variance,
+            row.unit,
+            pdfPeso(row.value),
+            row.reason
+          ]),
+          numericColumns: [2, 3, 4, 6]
+        }] : [])]
+      };
+    }
+
+    case 'financial': {
+      const summary = report.summary || {};
+      const marginRow = (row, label) => [
+        label,
+        Number(row.quantity),
+        pdfPeso(row.net_sales),
+        pdfPeso(row.cost_of_sales),
+        pdfPeso(row.gross_profit),
+        pdfPercent(row.gross_margin)
+      ];
+      const marginHead = ['Net Sales', 'Cost of Sales', 'Gross Profit', 'Margin'];
+
+      return {
+        summary: [
+          ['Gross Sales', pdfPeso(summary.grossSales)],
+          ['Less Refunds', pdfPeso(summary.refunds)],
+          ['Net Sales', pdfPeso(summary.revenue)],
+          ['Cost of Sales', pdfPeso(summary.costOfSales)],
+          ['Gross Profit', `${pdfPeso(summary.grossProfit)} (${pdfPercent(summary.grossProfitMargin)})`],
+          ...(data?.expenses || []).map(expense => [`  ${EXPENSE_CATEGORIES[expense.category] || expense.category}`, pdfPeso(expense.amount)]),
+          ['Operating Expenses', pdfPeso(summary.operatingExpenses)],
+          ['Net Profit', `${pdfPeso(summary.netProfit)} (${pdfPercent(summary.netProfitMargin)})`]
+        ],
+        tables: [
+          {
+            title: 'Gross Margin by Category',
+            head: ['Category', 'Qty', ...marginHead],
+            body: (data?.categories || []).map(category => marginRow(category, category.category)),
+            numericColumns: [1, 2, 3, 4, 5]
+          },
+          {
+            title: 'Gross Margin by Item',
+            head: ['Item', 'Qty', ...marginHead],
+            body: (data?.items || []).map(item => marginRow(item, item.item_name)),
+            numericColumns: [1, 2, 3, 4, 5]
+          }
+        ]
+      };
+    }
+
+    case 'payables': {
+      const totals = report.summary || {};
+      const bucketLabel = (key) => AGING_BUCKETS.find(bucket => bucket.key === key)?.label || key;
+
+      return {
+        summary: [
+          ...AGING_BUCKETS.map(bucket => [bucket.label, pdfPeso(totals[bucket.key])]),
+          ['Total Owed', pdfPeso(totals.total)],
+          ['Unpaid Invoices', totals.invoices || 0]
+        ],
+        tables: [
+          {
+            title: 'By Supplier',
+            head: ['Supplier', ...AGING_BUCKETS.map(bucket => bucket.label), 'Total'],
+            body: (data?.suppliers || []).map(row => [
+              row.supplier_name,
+              ...AGING_BUCKETS.map(bucket => pdfPeso(row[bucket.key])),
+              pdfPeso(row.total)
+            ]),
+            numericColumns: [1, 2, 3, 4, 5, 6]
+          },
+          {
+            title: 'Unpaid Invoices',
+            head: ['Supplier', 'Invoice', 'Dated', 'Due', 'Days Overdue', 'Amount', 'Balance', 'Bucket'],
+            body: (data?.invoices || []).map(invoice => [
+              invoice.supplier_name,
+              invoice.invoice_number,
+              invoice.invoice_date,
+              invoice.due_date,
+              Math.max(invoice.days_overdue, 0),
+              pdfPeso(invoice.amount),
+              pdfPeso(invoice.balance),
+              bucketLabel(invoice.bucket)
+            ]),
+            numericColumns: [4, 5, 6]
+          }
+        ]
+      };
+    }
+
+    default: {
+      // Custom reports: whatever rows they carry, one column per key
+      const rows = Array.isArray(data) ? data.filter(row => row && Object.keys(row).length > 0) : [];
+      const head = [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+      return {
+        summary: [],
+        tables: head.length > 0
+          ? [{ title: 'Data', head, body: rows.map(row => head.map(key => pdfText(row[key]))) }]
+          : []
+      };
+    }
+  }
+};
+
+/**
+ * Export a report to PDF: company header, period, summary, detail tables
+ * and any chart images captured with captureChartImage
+ * @param {Object} reportData - Report data to export, with an optional
+ *   charts array. Sales reports may carry the period's refunds, which come
+ *   off the totals.
  * @returns {Blob} PDF blob
  */
 export const exportToPDF = async (reportData) => {
   try {
-    // This is a stub implementation that would be replaced with proper PDF generation
-    // In a real application, you would use a library like pdfmake, jsPDF, or html2pdf
-    
-    // For now, we're just creating a JSON blob as a placeholder
-    console.warn('PDF export is a placeholder. Implement with proper PDF library.');
-    const jsonContent = JSON.stringify(reportData, null, 2);
-    return new Blob([jsonContent], { type: 'application/json' });
-    
-    // Example with jsPDF if implemented:
-    /*
-    const { default: jsPDF } = await import('jspdf');
-    const { default: autoTable } = await import('jspdf-autotable');
-    
-    const doc = new jsPDF();
-    
-    // Add title
-    doc.setFontSize(18);
-    doc.text(reportData.title, 14, 22);
-    
-    // Add date range
-    doc.setFontSize(12);
-    doc.text(`Period: ${reportData.dateRange.formatted}`, 14, 30);
-    
-    // Add summary section
+    // Loaded on demand so the PDF library stays out of the main bundle
+    const [{ jsPDF }, { autoTable }] = await Promise.all([
+      import('jspdf'),
+      import('jspdf-autotable')
+    ]);
+
+    const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 14;
+    const contentWidth = pageWidth - margin * 2;
+
+    // Company header
+    doc.setFillColor(...BRAND_COLOR);
+    doc.rect(0, 0, pageWidth, 24, 'F');
+    doc.setTextColor(255, 255, 255);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(16);
+    doc.text(COMPANY_NAME, margin, 12);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.text(COMPANY_ADDRESS, margin, 18);
+    doc.text(APP_NAME, pageWidth - margin, 18, { align: 'right' });
+
+    // Title and period
+    doc.setTextColor(...BRAND_COLOR);
+    doc.setFont('helvetica', 'bold');
     doc.setFontSize(14);
-    doc.text('Summary', 14, 40);
-    
-    // Create table data based on report type
-    let tableData = [];
-    
-    if (reportData.type === 'sales') {
-      tableData = [
-        ['Total Sales', `$${reportData.summary.totalSales.toFixed(2)}`],
-        ['Transactions', reportData.summary.totalTransactions],
-        ['Average Order', `$${reportData.summary.averageOrderValue.toFixed(2)}`]
-      ];
+    doc.text(pdfText(reportData.title || 'Report'), margin, 34);
+    doc.setTextColor(90, 90, 90);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.text(`Period: ${pdfText(reportData.dateRange?.formatted || 'All Time')}`, margin, 40);
+    doc.text(`Generated: ${new Date().toLocaleString()}`, pageWidth - margin, 40, { align: 'right' });
+
+    let y = 46;
+
+    // Starts a section heading, breaking the page when it would sit alone
+    // at the bottom
+    const heading = (text, spaceNeeded = 20) => {
+      if (y + spaceNeeded > pageHeight - margin) {
+        doc.addPage();
+        y = margin + 4;
+      }
+      doc.setTextColor(...BRAND_COLOR);
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(11);
+      doc.text(text, margin, y);
+      y += 2;
+    };
+
+    const tableStyles = {
+      theme: 'striped',
+      margin: { left: margin, right: margin },
+      styles: { fontSize: 8, cellPadding: 1.5 },
+      headStyles: { fillColor: BRAND_COLOR, textColor: 255 }
+    };
+
+    const { summary, tables } = getPdfSections(reportData);
+
+    if (summary.length > 0) {
+      heading('Summary');
+      autoTable(doc, {
+        ...tableStyles,
+        startY: y,
+        theme: 'plain',
+        body: summary.map(([label, value]) => [label, pdfText(value)]),
+        columnStyles: { 0: { fontStyle: 'bold', cellWidth: 60 }, 1: { halign: 'right' } },
+        tableWidth: 120
+      });
+      y = doc.lastAutoTable.finalY + 8;
     }
-    
-    // Add table
-    autoTable(doc, {
-      startY: 45,
-      head: [['Metric', 'Value']],
-      body: tableData
+
+    // Charts come before the detail tables, which can run for pages
+    (reportData.charts || []).filter(Boolean).forEach(chart => {
+      const width = contentWidth;
+      const height = Math.min(width * (chart.height / chart.width), 110);
+      const imageWidth = height * (chart.width / chart.height);
+
+      heading(pdfText(chart.title), height + 8);
+      doc.addImage(chart.image, 'PNG', margin + (contentWidth - imageWidth) / 2, y + 2, imageWidth, height);
+      y += height + 10;
     });
-    
-    // Return PDF as blob
+
+    tables.forEach(table => {
+      heading(table.title);
+
+      if (table.body.length === 0) {
+        doc.setTextColor(120, 120, 120);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(9);
+        doc.text('No data for this period', margin, y + 5);
+        y += 12;
+        return;
+      }
+
+      autoTable(doc, {
+        ...tableStyles,
+        startY: y,
+        head: [table.head],
+        body: table.body.map(row => row.map(pdfText)),
+        columnStyles: Object.fromEntries((table.numericColumns || []).map(index => [index, { halign: 'right' }]))
+      });
+      y = doc.lastAutoTable.finalY + 8;
+    });
+
+    // Page footer
+    const pageCount = doc.getNumberOfPages();
+    for (let page = 1; page <= pageCount; page++) {
+      doc.setPage(page);
+      doc.setTextColor(140, 140, 140);
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(8);
+      doc.text(`${COMPANY_NAME} - ${pdfText(reportData.title || 'Report')}`, margin, pageHeight - 8);
+      doc.text(`Page ${page} of ${pageCount}`, pageWidth - margin, pageHeight - 8, { align: 'right' });
+    }
+
     return doc.output('blob');
-    */
   } catch (err) {
     console.error('Error generating PDF:', err);
     throw new Error(`PDF generation failed: ${err.message}`);
   }
 };
 
+// Number formats for typed workbook cells. Counts are integers, ids print
+// without separators and measured quantities keep two decimals.
+const EXCEL_FORMATS = {
+  currency: '"₱"#,##0.00;-"₱"#,##0.00',
+  number: '#,##0.00',
+  integer: '#,##0',
+  id: '0',
+  percent: '0.0%',
+  date: 'yyyy-mm-dd',
+  datetime: 'yyyy-mm-dd hh:mm'
+};
+
+// Converts a value to what the cell should hold for its column type
+const toExcelValue = (value, type) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  switch (type) {
+    case 'currency':
+    case 'number':
+    case 'integer':
+    case 'id':
+      return Number(value) || 0;
+    case 'percent':
+      return (Number(value) || 0) / 100;
+    case 'date': {
+      // Plain dates are business days; keep them on the same calendar day
+      if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+      }
+      return new Date(value);
+    }
+    case 'datetime':
+      return new Date(value);
+    default:
+      return String(value);
+  }
+};
+
+// One sheet: a header row, one row per record and a number format per
+// typed column
+const buildSheet = (XLSX, columns, rows) => {
+  const sheet = XLSX.utils.aoa_to_sheet([
+    columns.map(column => column.header),
+    ...rows.map(row => columns.map(column => toExcelValue(row[column.key], column.type)))
+  ], { cellDates: true });
+
+  columns.forEach((column, c) => {
+    const numberFormat = EXCEL_FORMATS[column.type];
+    if (!numberFormat) return;
+
+    rows.forEach((_, r) => {
+      const cell = sheet[XLSX.utils.encode_cell({ r: r + 1, c })];
+      if (cell) cell.z = numberFormat;
+    });
+  });
+
+  sheet['!cols'] = columns.map(column => ({ wch: column.width || Math.max(column.header.length + 2, 12) }));
+  return sheet;
+};
+
+// Summary sheet: report header, then one typed metric per row
+const buildSummarySheet = (XLSX, report, metrics) => {
+  const header = [
+    [COMPANY_NAME],
+    [report.title || 'Report'],
+    ['Period', report.dateRange?.formatted || 'All Time'],
+    ['Generated', new Date()],
+    []
+  ];
+  const sheet = XLSX.utils.aoa_to_sheet([
+    ...header,
+    ['Metric', 'Value'],
+    ...metrics.map(([label, value, type]) => [label, toExcelValue(value, type)])
+  ], { cellDates: true });
+
+  sheet[XLSX.utils.encode_cell({ r: 3, c: 1 })].z = EXCEL_FORMATS.datetime;
+  metrics.forEach(([, , type], index) => {
+    const cell = sheet[XLSX.utils.encode_cell({ r: header.length + 1 + index, c: 1 })];
+    if (cell && EXCEL_FORMATS[type]) cell.z = EXCEL_FORMATS[type];
+  });
+
+  sheet['!cols'] = [{ wch: 28 }, { wch: 20 }];
+  return sheet;
+};
+
+const stockStatusLabel = (status) => (status ? status.charAt(0).toUpperCase() + status.slice(1) : '');
+
+// Summary metrics and detail sheets for each report type
+const getWorkbookSections = (report) => {
+  const data = report.data;
+
+  switch (report.type) {
+    case 'sales': {
+      const sales = Array.isArray(data) ? data : [];
+      const completed = sales.filter(sale => !sale.is_voided);
+      const grossSales = completed.reduce((sum, sale) => sum + Number(sale.total_amount || 0), 0);
+      const refunds = summarizeRefunds(report.refunds);
+      const total = grossSales - refunds.total;
+      const lines = completed.flatMap(sale => sale.items || []);
+      const itemsSold = lines.reduce((sum, line) => sum + Number(line.quantity || 0), 0);
+
+      const days = {};
+      completed.forEach(sale => {
+        const date = format(new Date(sale.sale_date), 'yyyy-MM-dd');
+        days[date] = days[date] || { date, transactions: 0, items: 0, sales: 0 };
+        days[date].transactions += 1;
+        days[date].items += (sale.items || []).reduce((sum, line) => sum + Number(line.quantity || 0), 0);
+        days[date].sales += Number(sale.total_amount || 0);
+      });
+      (report.refunds || []).forEach(refund => {
+        const date = format(new Date(refund.created_at), 'yyyy-MM-dd');
+        days[date] = days[date] || { date, transactions: 0, items: 0, sales: 0 };
+        days[date].sales -= Number(refund.refund_amount || 0);
+      });
+
+      const products = {};
+      lines.forEach(line => {
+        const key = line.item_id ?? line.name;
+        products[key] = products[key] || { name: line.name, category: line.category, quantity: 0, sales: 0 };
+        products[key].quantity += Number(line.quantity || 0);
+        products[key].sales += Number(line.subtotal || 0) - Number(line.discount_amount || 0);
+      });
+      Object.entries(refunds.byItem).forEach(([itemId, refunded]) => {
+        if (products[itemId]) {
+          products[itemId].quantity -= refunded.quantity;
+          products[itemId].sales -= refunded.subtotal;
+        }
+      });
+      const productSales = Object.values(products).reduce((sum, product) => sum + product.sales, 0);
+
+      const methods = {};
+      completed.forEach(sale => {
+        getSalePayments(sale).forEach(({ method, amount }) => {
+          methods[method] = methods[method] || { method: getPaymentMethodName(method), payments: 0, amount: 0 };
+          methods[method].payments += 1;
+          methods[method].amount += amount;
+        });
+      });
+      Object.entries(refunds.byMethod).forEach(([method, amount]) => {
+        methods[method] = methods[method] || { method: getPaymentMethodName(method), payments: 0, amount: 0 };
+        methods[method].amount -= amount;
+      });
+
+      return {
+        summary: [
+          ['Gross Sales', grossSales, 'currency'],
+          ['Refunds', refunds.total, 'currency'],
+          ['Total Sales', total, 'currency'],
+          ['Transactions', completed.length, 'integer'],
+          ['Average Order Value', completed.length ? total / completed.length : 0, 'currency'],
+          ['Items Sold', itemsSold, 'integer'],
+          ['Voided Sales', sales.length - completed.length, 'integer']
+        ],
+        sheets: [
+          {
+            name: 'Daily Sales',
+            columns: [
+              { header: 'Date', key: 'date', type: 'date' },
+              { header: 'Transactions', key: 'transactions', type: 'integer' },
+              { header: 'Items Sold', key: 'items', type: 'integer' },
+              { header: 'Sales', key: 'sales', type: 'currency', width: 16 },
+              { header: 'Average Order', key: 'average', type: 'currency', width: 16 }
+            ],
+            rows: Object.values(days)
+              .sort((a, b) => a.date.localeCompare(b.date))
+              .map(day => ({ ...day, average: day.transactions ? day.sales / day.transactions : 0 }))
+          },
+          {
+            name: 'Top Products',
+            columns: [
+              { header: 'Item', key: 'name', width: 28 },
+              { header: 'Category', key: 'category', width: 18 },
+              { header: 'Quantity', key: 'quantity', type: 'integer' },
+              { header: 'Sales', key: 'sales', type: 'currency', width: 16 },
+              { header: 'Share', key: 'share', type: 'percent' }
+            ],
+            rows: Object.values(products)
+              .sort((a, b) => b.sales - a.sales)
+              .map(product => ({ ...product, share: productSales ? (product.sales / productSales) * 100 : 0 }))
+          },
+          {
+            name: 'Payment Methods',
+            columns: [
+              { header: 'Method', key: 'method', width: 18 },
+              { header: 'Payments', key: 'payments', type: 'integer' },
+              { header: 'Amount', key: 'amount', type: 'currency', width: 16 },
+              { header: 'Share', key: 'share', type: 'percent' }
+            ],
+            rows: Object.values(methods)
+              .sort((a, b) => b.amount - a.amount)
+              .map(method => ({ ...method, share: total ? (method.amount / total) * 100 : 0 }))
+          },
+          {
+            name: 'Transactions',
+            columns: [
+              { header: 'Sale ID', key: 'sale_id', type: 'id' },
+              { header: 'Date', key: 'sale_date', type: 'datetime', width: 18 },
+              { header: 'Cashier', key: 'cashier_name', width: 20 },
+              { header: 'Payment Method', key: 'payment_method', width: 16 },
+              { header: 'Total', key: 'total_amount', type: 'currency', width: 14 },
+              { header: 'Status', key: 'status' }
+            ],
+            rows: sales.map(sale => ({
+              ...sale,
+              payment_method: getPaymentMethodName(sale.payment_method),
+              status: sale.is_voided ? 'Voided' : 'Completed'
+            }))
+          }
+        ]
+      };
+    }
+
+    case 'inventory': {
+      const ingredients = data?.ingredients || [];
+      const pullouts = data?.pullouts || [];
+      const lots = data?.expiringLots || [];
+      const variances = data?.countVariances || [];
+
+      return {
+        summary: [
+          ['Ingredients', ingredients.length, 'integer'],
+          ['Low Stock', ingredients.filter(ing => ing.stockStatus === 'low').length, 'integer'],
+          ['Out of Stock', ingredients.filter(ing => ing.stockStatus === 'out').length, 'integer'],
+          ['Menu Items', data?.items?.length || 0, 'integer'],
+          ['Inventory Value', ingredients.reduce((sum, ing) => sum + Number(ing.value || 0), 0), 'currency'],
+          ['Pullouts', pullouts.length, 'integer'],
+          ['Pulled-out Value', pullouts.reduce((sum, pullout) => sum + Number(pullout.value || 0), 0), 'currency'],
+          ['Net Count Variance', variances.reduce((sum, row) => sum + row.value, 0), 'currency']
+        ],
+        sheets: [
+          {
+            name: 'Stock Levels',
+            columns: [
+              { header: 'Name', key: 'name', width: 24 },
+              { header: 'Category', key: 'category', width: 16 },
+              { header: 'Stock', key: 'quantity', type: 'number' },
+              { header: 'Unit', key: 'unit' },
+              { header: 'Minimum', key: 'minimum_quantity', type: 'number' },
+              { header: 'Unit Cost', key: 'unit_cost', type: 'currency', width: 14 },
+              { header: 'Value', key: 'value', type: 'currency', width: 16 },
+              { header: 'Status', key: 'status' }
+            ],
+            rows: ingredients.map(ing => ({ ...ing, status: stockStatusLabel(ing.stockStatus) }))
+          },
+          {
+            name: 'Pullouts',
+            columns: [
+              { header: 'Date', key: 'date_of_pullout', type: 'date' },
+              { header: 'Ingredient', key: 'ingredient_name', width: 24 },
+              { header: 'Quantity', key: 'quantity', type: 'number' },
+              { header: 'Unit', key: 'unit' },
+              { header: 'Reason', key: 'reason', width: 30 },
+              { header: 'Status', key: 'status' },
+              { header: 'Value', key: 'value', type: 'currency', width: 14 }
+            ],
+            rows: pullouts.map(pullout => ({ ...pullout, status: stockStatusLabel(pullout.status) }))
+          },
+          {
+            name: 'Near-Expiry Lots',
+            columns: [
+              { header: 'Ingredient', key: 'ingredient_name', width: 24 },
+              { header: 'Lot', key: 'lot_number', width: 16 },
+              { header: 'Expiry', key: 'expiry_date', type: 'date' },
+              { header: 'Days Left', key: 'days_to_expiry', type: 'integer' },
+              { header: 'Stock', key: 'quantity', type: 'number' },
+              { header: 'Unit', key: 'unit' },
+              { header: 'Value', key: 'value', type: 'currency', width: 14 }
+            ],
+            rows: lots.map(lot => ({ ...lot, lot_number: lot.lot_number || 'Untracked' }))
+          },
+          {
+            name: 'Count Variances',
+            columns: [
+              { header: 'Approved', key: 'approved_at', type: 'datetime', width: 18 },
+              { header: 'Count', key: 'count_name', width: 20 },
+              { header: 'Ingredient', key: 'ingredient_name', width: 24 },
+              { header: 'Expected', key: 'expected_quantity', type: 'number' },
+              { header: 'Counted', key: 'counted_quantity', type: 'number' },
+              { header: 'Variance', key: 'variance', type: 'number' },
+              { header: 'Unit', key: 'unit' },
+              { header: 'Unit Cost', key: 'unit_cost', type: 'currency', width: 14 },
+              { header: 'Value', key: 'value', type: 'currency', width: 14 },
+              { header: 'Reason', key: 'reason', width: 30 }
+            ],
+            rows: variances
+          }
+        ]
+      };
+    }
+
+    case 'financial': {
+      const summary = report.summary || {};
+      const trend = (series) => Object.fromEntries((series || []).map(day => [day.date, day.total]));
+      const netSales = trend(report.analytics?.revenue?.dailyTrend);
+      const grossProfit = trend(report.analytics?.profit?.dailyTrend);
+      const marginColumns = [
+        { header: 'Quantity', key: 'quantity', type: 'integer' },
+        { header: 'Net Sales', key: 'net_sales', type: 'currency', width: 16 },
+        { header: 'Cost of Sales', key: 'cost_of_sales', type: 'currency', width: 16 },
+        { header: 'Gross Profit', key: 'gross_profit', type: 'currency', width: 16 },
+        { header: 'Gross Margin', key: 'gross_margin', type: 'percent' }
+      ];
+
+      return {
+        summary: [
+          ['Gross Sales', summary.grossSales, 'currency'],
+          ['Refunds', summary.refunds, 'currency'],
+          ['Net Sales', summary.revenue, 'currency'],
+          ['Cost of Sales', summary.costOfSales, 'currency'],
+          ['Gross Profit', summary.grossProfit, 'currency'],
+          ['Gross Margin', summary.grossProfitMargin, 'percent'],
+          ['Operating Expenses', summary.operatingExpenses, 'currency'],
+          ['Net Profit', summary.netProfit, 'currency'],
+          ['Net Margin', summary.netProfitMargin, 'percent']
+        ],
+        sheets: [
+          {
+            name: 'Daily',
+            columns: [
+              { header: 'Date', key: 'date', type: 'date' },
+              { header: 'Net Sales', key: 'net_sales', type: 'currency', width: 16 },
+              { header: 'Gross Profit', key: 'gross_profit', type: 'currency', width: 16 }
+            ],
+            rows: Object.keys(netSales).sort().map(date => ({
+              date,
+              net_sales: netSales[date],
+              gross_profit: grossProfit[date] || 0
+            }))
+          },
+          {
+            name: 'Categories',
+            columns: [{ header: 'Category', key: 'category', width: 20 }, ...marginColumns],
+            rows: data?.categories || []
+          },
+          {
+            name: 'Items',
+            columns: [
+              { header: 'Item', key: 'item_name', width: 28 },
+              { header: 'Category', key: 'category', width: 18 },
+              ...marginColumns
+            ],
+            rows: data?.items || []
+          },
+          {
+            name: 'Expenses',
+            columns: [
+              { header: 'Category', key: 'label', width: 24 },
+              { header: 'Amount', key: 'amount', type: 'currency', width: 16 }
+            ],
+            rows: (data?.expenses || []).map(expense => ({
+              ...expense,
+              label: EXPENSE_CATEGORIES[expense.category] || expense.category
+            }))
+          }
+        ]
+      };
+    }
+
+    case 'payables': {
+      const totals = report.summary || {};
+      const bucketColumns = AGING_BUCKETS.map(bucket => ({
+        header: bucket.label, key: bucket.key, type: 'currency', width: 14
+      }));
+
+      return {
+        summary: [
+          ...AGING_BUCKETS.map(bucket => [bucket.label, totals[bucket.key], 'currency']),
+          ['Total Owed', totals.total, 'currency'],
+          ['Unpaid Invoices', totals.invoices, 'integer']
+        ],
+        sheets: [
+          {
+            name: 'Suppliers',
+            columns: [
+              { header: 'Supplier', key: 'supplier_name', width: 28 },
+              { header: 'Invoices', key: 'invoices', type: 'integer' },
+              ...bucketColumns,
+              { header: 'Total', key: 'total', type: 'currency', width: 16 }
+            ],
+            rows: data?.suppliers || []
+          },
+          {
+            name: 'Invoices',
+            columns: [
+              { header: 'Supplier', key: 'supplier_name', width: 28 },
+              { header: 'Invoice', key: 'invoice_number', width: 16 },
+              { header: 'Dated', key: 'invoice_date', type: 'date' },
+              { header: 'Due', key: 'due_date', type: 'date' },
+              { header: 'Days Overdue', key: 'overdue', type: 'integer' },
+              { header: 'Amount', key: 'amount', type: 'currency', width: 16 },
+              { header: 'Paid', key: 'paid', type: 'currency', width: 16 },
+              { header: 'Balance', key: 'balance', type: 'currency', width: 16 },
+              { header: 'Bucket', key: 'bucket_label', width: 14 }
+            ],
+            rows: (data?.invoices || []).map(invoice => ({
+              ...invoice,
+              overdue: Math.max(invoice.days_overdue, 0),
+              bucket_label: AGING_BUCKETS.find(bucket => bucket.key === invoice.bucket)?.label || invoice.bucket
+            }))
+          }
+        ]
+      };
+    }
+
+    default: {
+      // Custom reports: whatever rows they carry, one column per key
+      const rows = Array.isArray(data) ? data.filter(row => row && Object.keys(row).length > 0) : [];
+      const keys = [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+      return {
+        summary: [],
+        sheets: [{
+          name: 'Data',
+          columns: keys.map(key => ({ header: key, key, type: typeof rows[0]?.[key] === 'number' ? 'number' : 'text' })),
+          rows
+        }]
+      };
+    }
+  }
+};
+
+/**
+ * Export a report to an Excel workbook: a summary sheet followed by one
+ * sheet per section, with numeric, date and peso-formatted cells
+ * @param {Object} reportData - Report data to export; sales reports may
+ *   carry the period's refunds, which come off the totals
+ * @returns {Blob} XLSX blob
+ */
+export const exportToExcel = async (reportData) => {
+  try {
+    // Loaded on demand so the spreadsheet library stays out of the main bundle
+    const XLSX = await import('xlsx');
+    const workbook = XLSX.utils.book_new();
+    const { summary, sheets } = getWorkbookSections(reportData);
+
+    XLSX.utils.book_append_sheet(workbook, buildSummarySheet(XLSX, reportData, summary), 'Summary');
+    sheets.forEach(sheet => {
+      XLSX.utils.book_append_sheet(workbook, buildSheet(XLSX, sheet.columns, sheet.rows), sheet.name);
+    });
+
+    const buffer = XLSX.write(workbook, { bookType: 'xlsx', type: 'array', cellDates: true });
+    return new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+  } catch (err) {
+    console.error('Error generating Excel workbook:', err);
+    throw new Error(`Excel export failed: ${err.message}`);
+  }
+};
+
 /**
  * Trigger file download for a blob
  * @param {Blob} blob - File blob to download
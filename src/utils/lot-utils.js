@@ -0,0 +1,60 @@
+import { EXPIRY_WARNING_DAYS } from '../services/constants';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whole days from today until a lot expires; negative once it has expired
+ * @param {Object} lot - Lot with an expiry_date (YYYY-MM-DD)
+ * @param {Date} [today=new Date()] - Day to count from
+ * @returns {number|null} Days left, or null when the lot has no expiry
+ */
+export const daysUntilExpiry = (lot, today = new Date()) => {
+  if (!lot?.expiry_date) return null;
+
+  const [year, month, day] = lot.expiry_date.slice(0, 10).split('-').map(Number);
+  const expiry = Date.UTC(year, month - 1, day);
+  const start = Date.UTC(today.getFullYear(), today.getMonth(), today.getDate());
+
+  return Math.round((expiry - start) / DAY_MS);
+};
+
+/**
+ * Where a lot stands against its expiry date
+ * @param {Object} lot - Lot with an expiry_date
+ * @param {Date} [today=new Date()] - Day to check against
+ * @returns {string|null} 'expired', 'expiring' (within EXPIRY_WARNING_DAYS)
+ *   or null
+ */
+export const lotExpiryStatus = (lot, today = new Date()) => {
+  const days = daysUntilExpiry(lot, today);
+
+  if (days === null) return null;
+  if (days < 0) return 'expired';
+  if (days <= EXPIRY_WARNING_DAYS) return 'expiring';
+  return null;
+};
+
+/**
+ * e.g. "Expired 3 days ago", "Expires today", "Expires in 5 days"
+ * @param {Object} lot - Lot with an expiry_date
+ * @returns {string} Description, empty when the lot has no expiry
+ */
+export const describeExpiry = (lot) => {
+  const days = daysUntilExpiry(lot);
+  const plural = (count) => `${count} day${count === 1 ? '' : 's'}`;
+
+  if (days === null) return '';
+  if (days < 0) return `Expired ${plural(-days)} ago`;
+  if (days === 0) return 'Expires today';
+  return `Expires in ${plural(days)}`;
+};
+
+/**
+ * Reason recorded on a pullout raised for an expired lot
+ * @param {Object} lot - Lot with lot_number and expiry_date
+ * @returns {string} Pullout reason
+ */
+export const expiredLotReason = (lot) => {
+  const label = lot.lot_number ? `lot ${lot.lot_number}` : 'untracked lot';
+  return `Expired ${label} (expiry ${lot.expiry_date})`;
+};
@@ -0,0 +1,109 @@
+/**
+ * Build a stable cart line key for an item and its chosen modifiers.
+ * The same item with different options becomes a separate line.
+ * @param {number|string} itemId - Menu item ID
+ * @param {Array} modifiers - Chosen modifiers ({ modifier_id })
+ * @returns {string} Line key
+ */
+export const getLineKey = (itemId, modifiers = []) => {
+  const ids = modifiers.map(mod => mod.modifier_id).sort((a, b) => a - b);
+  return ids.length > 0 ? `${itemId}:${ids.join('-')}` : `${itemId}`;
+};
+
+/**
+ * Total price change from a set of chosen modifiers
+ * @param {Array} modifiers - Chosen modifiers ({ price_delta })
+ * @returns {number} Sum of price deltas
+ */
+export const getModifierPriceDelta = (modifiers = []) => {
+  return modifiers.reduce((sum, mod) => sum + (parseFloat(mod.price_delta) || 0), 0);
+};
+
+/**
+ * Format chosen modifiers for a cart line or receipt
+ * @param {Array} modifiers - Chosen modifiers ({ name })
+ * @returns {string} Comma separated modifier names
+ */
+export const formatModifiers = (modifiers = []) => {
+  return modifiers.map(mod => mod.name).join(', ');
+};
+
+/**
+ * Default selection for an item's modifier groups
+ * @param {Array} groups - Modifier groups with their modifiers
+ * @returns {Object} Map of group_id to selected modifier IDs
+ */
+export const getDefaultSelection = (groups = []) => {
+  const selection = {};
+  groups.forEach(group => {
+    const defaults = (group.modifiers || [])
+      .filter(mod => mod.is_default)
+      .slice(0, group.max_select || 1)
+      .map(mod => mod.modifier_id);
+    selection[group.group_id] = defaults;
+  });
+  return selection;
+};
+
+/**
+ * Check a modifier selection against the group rules
+ * @param {Array} groups - Modifier groups with their modifiers
+ * @param {Object} selection - Map of group_id to selected modifier IDs
+ * @returns {string|null} Error message or null when valid
+ */
+export const validateModifierSelection = (groups = [], selection = {}) => {
+  for (const group of groups) {
+    const selected = selection[group.group_id] || [];
+    if (group.is_required && selected.length === 0) {
+      return `Please choose a ${group.name.toLowerCase()}`;
+    }
+    if (selected.length > (group.max_select || 1)) {
+      return `Choose at most ${group.max_select} for ${group.name}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Turn a selection map into the modifier snapshot stored on the cart line
+ * and on sales_detail.modifiers
+ * @param {Array} groups - Modifier groups with their modifiers
+ * @param {Object} selection - Map of group_id to selected modifier IDs
+ * @returns {Array} Chosen modifiers in group order
+ */
+export const resolveSelectedModifiers = (groups = [], selection = {}) => {
+  const chosen = [];
+  groups.forEach(group => {
+    const selected = selection[group.group_id] || [];
+    (group.modifiers || []).forEach(mod => {
+      if (selected.includes(mod.modifier_id)) {
+        chosen.push({
+          modifier_id: mod.modifier_id,
+          group_id: group.group_id,
+          group_name: group.name,
+          name: mod.name,
+          price_delta: parseFloat(mod.price_delta) || 0
+        });
+      }
+    });
+  });
+  return chosen;
+};
+
+/**
+ * Sum per-unit ingredient usage from recipe rows, applying only the
+ * modifier deltas that were chosen. Rows with no modifier_id are the base recipe.
+ * Quantities are converted to stock units with each row's unit_factor.
+ * @param {Array} rows - Recipe rows ({ ingredient_id, quantity, unit_factor, modifier_id })
+ * @param {Array} modifierIds - Chosen modifier IDs
+ * @returns {Map} ingredient_id to stock quantity needed for one unit
+ */
+export const summarizeRecipeUsage = (rows = [], modifierIds = []) => {
+  const usage = new Map();
+  rows.forEach(row => {
+    if (row.modifier_id && !modifierIds.includes(row.modifier_id)) return;
+    const quantity = (parseFloat(row.quantity) || 0) * (parseFloat(row.unit_factor) || 1);
+    usage.set(row.ingredient_id, (usage.get(row.ingredient_id) || 0) + quantity);
+  });
+  return usage;
+};
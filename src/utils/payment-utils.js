@@ -0,0 +1,115 @@
+import { roundCurrency } from './discount-utils';
+import { SPLIT_PAYMENT_METHOD } from '../services/constants';
+
+// Payment methods accepted at the register
+export const PAYMENT_OPTIONS = [
+  { id: 'cash', name: 'Cash' },
+  { id: 'credit', name: 'Credit/Debit' },
+  { id: 'gcash', name: 'GCash' },
+  { id: 'maya', name: 'Maya' },
+  { id: 'qr', name: 'QR Ph' }
+];
+
+/**
+ * Display name for a payment method ID
+ * @param {string} methodId - Payment method ID
+ * @returns {string} Name shown on screen and receipts
+ */
+export const getPaymentMethodName = (methodId) => {
+  if (methodId === SPLIT_PAYMENT_METHOD) return 'Split';
+  return PAYMENT_OPTIONS.find(option => option.id === methodId)?.name || methodId;
+};
+
+/**
+ * Work out how a set of tender lines settles an order.
+ * Non-cash lines are applied as entered; only cash can be over-tendered,
+ * so change always comes out of the cash portion.
+ * @param {Array} tenders - Tender lines ({ method, amount, reference })
+ * @param {number} total - Amount due
+ * @returns {Object} { payments, tendered, remaining, change, error }
+ */
+export const calculateTenderSummary = (tenders = [], total = 0) => {
+  const lines = tenders
+    .map(tender => ({ ...tender, amount: parseFloat(tender.amount) || 0 }))
+    .filter(tender => tender.amount > 0);
+
+  const nonCash = roundCurrency(lines
+    .filter(tender => tender.method !== 'cash')
+    .reduce((sum, tender) => sum + tender.amount, 0));
+  const cash = roundCurrency(lines
+    .filter(tender => tender.method === 'cash')
+    .reduce((sum, tender) => sum + tender.amount, 0));
+
+  const tendered = roundCurrency(nonCash + cash);
+  const remaining = roundCurrency(Math.max(total - tendered, 0));
+
+  let error = null;
+  if (nonCash > total + 0.005) {
+    error = 'Card and e-wallet amounts cannot be more than the amount due';
+  }
+
+  // Change only comes from cash
+  const change = error ? 0 : roundCurrency(Math.max(tendered - total, 0));
+
+  // Cash lines give back change in order, so each stored line nets to what it paid
+  let changeLeft = change;
+  const payments = lines.map(tender => {
+    let lineChange = 0;
+    if (tender.method === 'cash' && changeLeft > 0) {
+      lineChange = Math.min(changeLeft, tender.amount);
+      changeLeft = roundCurrency(changeLeft - lineChange);
+    }
+
+    return {
+      payment_method: tender.method,
+      amount: roundCurrency(tender.amount - lineChange),
+      tendered_amount: tender.amount,
+      change_amount: roundCurrency(lineChange),
+      reference_number: tender.reference?.trim() || null
+    };
+  }).filter(payment => payment.amount > 0);
+
+  return { payments, tendered, remaining, change, error };
+};
+
+/**
+ * Payment lines for a sale, falling back to the header method for sales
+ * recorded before split tender existed
+ * @param {Object} sale - Sale with optional payments array
+ * @returns {Array} [{ method, amount }]
+ */
+export const getSalePayments = (sale) => {
+  if (sale.payments && sale.payments.length > 0) {
+    return sale.payments.map(payment => ({
+      method: payment.payment_method,
+      amount: parseFloat(payment.amount) || 0
+    }));
+  }
+
+  return [{
+    method: sale.payment_method || 'Unknown',
+    amount: parseFloat(sale.total_amount) || 0
+  }];
+};
+
+/**
+ * Total collected per payment method, splitting split-tender sales by line
+ * and taking out refunds paid back in each method
+ * @param {Array} sales - Sales with optional payments arrays
+ * @param {Array} refunds - Refunds ({ refund_method, refund_amount })
+ * @returns {Object} method to amount
+ */
+export const summarizePaymentMethods = (sales = [], refunds = []) => {
+  const totals = sales.reduce((acc, sale) => {
+    getSalePayments(sale).forEach(({ method, amount }) => {
+      acc[method] = (acc[method] || 0) + amount;
+    });
+    return acc;
+  }, {});
+
+  refunds.forEach(refund => {
+    totals[refund.refund_method] = (totals[refund.refund_method] || 0) - (parseFloat(refund.refund_amount) || 0);
+  });
+
+  return totals;
+};
@@ -0,0 +1,151 @@
+/**
+ * Shared styles for printed receipts and register reports
+ */
+const RECEIPT_STYLES = `
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif;
+      padding: 30px;
+      max-width: 300px;
+      margin: 0 auto;
+      color: #571C1F;
+    }
+    .receipt-header {
+      text-align: center;
+      margin-bottom: 20px;
+    }
+    .receipt-header h2 {
+      margin: 0;
+      color: #571C1F;
+      font-size: 24px;
+    }
+    .receipt-header p {
+      margin: 5px 0 0;
+      color: rgba(87, 28, 31, 0.7);
+      font-size: 14px;
+    }
+    .receipt-info {
+      margin-bottom: 20px;
+    }
+    .receipt-row {
+      display: flex;
+      justify-content: space-between;
+      margin-bottom: 5px;
+      font-size: 14px;
+    }
+    .receipt-label {
+      color: rgba(87, 28, 31, 0.7);
+    }
+    .receipt-items {
+      border-top: 1px solid rgba(87, 28, 31, 0.1);
+      border-bottom: 1px solid rgba(87, 28, 31, 0.1);
+      padding: 10px 0;
+      margin: 15px 0;
+    }
+    .receipt-item-header {
+      display: flex;
+      justify-content: space-between;
+      margin-bottom: 8px;
+      color: rgba(87, 28, 31, 0.7);
+      font-size: 14px;
+    }
+    .receipt-modifiers {
+      display: block;
+      font-size: 12px;
+      color: rgba(87, 28, 31, 0.6);
+    }
+    .receipt-total {
+      border-top: 1px solid rgba(87, 28, 31, 0.1);
+      padding-top: 5px;
+      font-weight: 500;
+    }
+    .receipt-payment {
+      border-top: 1px dashed rgba(87, 28, 31, 0.1);
+      margin-top: 10px;
+      padding-top: 10px;
+    }
+    .receipt-footer {
+      text-align: center;
+      margin-top: 20px;
+      font-size: 12px;
+      color: rgba(87, 28, 31, 0.6);
+    }
+    @media print {
+      body {
+        print-color-adjust: exact;
+        -webkit-print-color-adjust: exact;
+      }
+    }
+  </style>
+`;
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Escape text typed in by staff or customers before it goes into receipt HTML
+ * @param {*} value - Text to escape; null and undefined print as nothing
+ * @returns {string} Escaped text
+ */
+export const escapeHTML = (value) => String(value ?? '').replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+/**
+ * One label/value line on a printed receipt. Both sides are escaped.
+ * @param {string} label - Left-hand label
+ * @param {string} value - Right-hand value
+ * @returns {string} HTML
+ */
+export const receiptRow = (label, value) => `
+  <div class="receipt-row">
+    <span class="receipt-label">${escapeHTML(label)}</span>
+    <span>${escapeHTML(value)}</span>
+  </div>
+`;
+
+/**
+ * Open a print window with a receipt-sized document and print it
+ * @param {string} title - Window title, escaped here
+ * @param {string} bodyHTML - Receipt body
+ * @returns {boolean} False when the browser blocked the pop-up
+ */
+export const printReceiptDocument = (title, bodyHTML) => {
+  // Create a new window for printing
+  const printWindow = window.open('', '_blank');
+  
+  if (!printWindow) {
+    alert("Please allow pop-ups for this website to print receipts.");
+    return false;
+  }
+  
+  const documentHTML = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>${escapeHTML(title)}</title>
+      ${RECEIPT_STYLES}
+    </head>
+    <body>
+      ${bodyHTML}
+      
+      <script>
+        window.onload = function() {
+          window.print();
+          // Optional: close the window after printing
+          // setTimeout(() => window.close(), 500);
+        };
+      </script>
+    </body>
+    </html>
+  `;
+  
+  // Write content to the new window
+  printWindow.document.open();
+  printWindow.document.write(documentHTML);
+  printWindow.document.close();
+  return true;
+};
@@ -0,0 +1,70 @@
+import { roundCurrency } from './discount-utils';
+
+/**
+ * Units of a sale line that have not been refunded yet
+ * @param {Object} item - Sale line ({ quantity, refunded_quantity })
+ * @returns {number} Refundable quantity
+ */
+export const getRefundableQuantity = (item) => {
+  return Math.max((item.quantity || 0) - (item.refunded_quantity || 0), 0);
+};
+
+/**
+ * Refund due for returning part of a sale line. Each line carries its share
+ * of the amount paid after order discounts and VAT, the same way
+ * process_refund works it out.
+ * @param {Object} sale - Sale with items and total_amount
+ * @param {Object} item - Line being returned
+ * @param {number} quantity - Units being returned
+ * @returns {number} Refund amount
+ */
+export const calculateLineRefund = (sale, item, quantity) => {
+  if (!quantity || !item.quantity) return 0;
+
+  const lineNet = (line) => (parseFloat(line.subtotal) || 0) - (parseFloat(line.discount_amount) || 0);
+  const netTotal = (sale.items || []).reduce((sum, line) => sum + lineNet(line), 0);
+  if (netTotal <= 0) return 0;
+
+  const lineTotal = roundCurrency(lineNet(item) * (parseFloat(sale.total_amount) || 0) / netTotal);
+
+  // The last units of a line refund whatever is left of it
+  if (quantity >= getRefundableQuantity(item)) {
+    return roundCurrency(lineTotal - (item.refunded_amount || 0));
+  }
+
+  return roundCurrency(lineTotal * quantity / item.quantity);
+};
+
+/**
+ * Totals of refunds paid out in a period, for netting out of sales figures.
+ * Category and item figures use the pre-discount subtotal share so they line
+ * up with sales line subtotals.
+ * @param {Array} refunds - Refunds with items ({ item_id, category, quantity, subtotal })
+ * @returns {Object} { total, count, byMethod, byCategory, byItem, byDate }
+ */
+export const summarizeRefunds = (refunds = []) => {
+  return refunds.reduce((acc, refund) => {
+    const amount = parseFloat(refund.refund_amount) || 0;
+    const date = new Date(refund.created_at).toISOString().split('T')[0];
+
+    acc.total += amount;
+    acc.count += 1;
+    acc.byMethod[refund.refund_method] = (acc.byMethod[refund.refund_method] || 0) + amount;
+    acc.byDate[date] = (acc.byDate[date] || 0) + amount;
+
+    (refund.items || []).forEach(item => {
+      const category = item.category || 'Uncategorized';
+      const subtotal = parseFloat(item.subtotal) || 0;
+
+      acc.byCategory[category] = (acc.byCategory[category] || 0) + subtotal;
+
+      if (!acc.byItem[item.item_id]) {
+        acc.byItem[item.item_id] = { quantity: 0, subtotal: 0 };
+      }
+      acc.byItem[item.item_id].quantity += item.quantity;
+      acc.byItem[item.item_id].subtotal += subtotal;
+    });
+
+    return acc;
+  }, { total: 0, count: 0, byMethod: {}, byCategory: {}, byItem: {}, byDate: {} });
+};
@@ -0,0 +1,373 @@
+import { format, addDays, parseISO } from 'date-fns';
+import { formatDateRange } from './date-utils';
+import { daysUntilExpiry, lotExpiryStatus } from './lot-utils';
+import { buildCountVarianceRows } from './stock-count-utils';
+import { EXPIRY_WARNING_DAYS } from '../services/constants';
+
+/**
+ * Report data shared by the Reports page and the scheduled report worker
+ * (src/scripts/report-scheduler.js). Every fetcher takes the Supabase
+ * client to query with, so the worker can pass its service-role client.
+ */
+
+const PAGE_SIZE = 1000;
+const ID_BATCH_SIZE = 200;
+
+const REPORT_TITLES = {
+  sales: 'Sales Report',
+  inventory: 'Inventory Report',
+  financial: 'Financial Report'
+};
+
+/**
+ * Report ranges are whole local days; the RPCs take them as yyyy-MM-dd
+ * @param {Date|string} date - Date to convert
+ * @returns {string} Date as yyyy-MM-dd
+ */
+export const toBusinessDate = (date) => {
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+  return format(new Date(date), 'yyyy-MM-dd');
+};
+
+const reportDateRange = (startDate, endDate) => ({
+  startDate,
+  endDate,
+  formatted: formatDateRange(startDate, endDate)
+});
+
+// Every row of a query, a page at a time past the API's row limit
+const fetchAllRows = async (buildQuery) => {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+};
+
+// Rows of a table for the given ids, in batches that keep URLs short
+const fetchRowsForIds = async (client, table, select, column, ids) => {
+  const rows = [];
+
+  for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+    const batch = ids.slice(i, i + ID_BATCH_SIZE);
+    rows.push(...await fetchAllRows(() => client.from(table).select(select).in(column, batch)));
+  }
+
+  return rows;
+};
+
+/**
+ * Start and end (exclusive) of whole business days in Manila time
+ * @param {string} startDate - First day as yyyy-MM-dd
+ * @param {string} endDate - Last day as yyyy-MM-dd
+ * @returns {Object} { from, to } as ISO timestamps
+ */
+export const businessDayBounds = (startDate, endDate) => ({
+  from: `${startDate}T00:00:00+08:00`,
+  to: `${format(addDays(parseISO(endDate), 1), 'yyyy-MM-dd')}T00:00:00+08:00`
+});
+
+const groupBy = (rows, key) => rows.reduce((groups, row) => {
+  (groups[row[key]] = groups[row[key]] || []).push(row);
+  return groups;
+}, {});
+
+/**
+ * Fetch the sales of whole business days (Manila time) with their lines
+ * and tender lines, shaped like useSales().fetchSales results
+ * @param {Object} client - Supabase client
+ * @param {Object} range - { startDate, endDate } as yyyy-MM-dd, inclusive
+ * @returns {Promise<Array>} Sales, newest first
+ */
+export const fetchSalesForReport = async (client, { startDate, endDate }) => {
+  const { from, to } = businessDayBounds(startDate, endDate);
+  const sales = await fetchAllRows(() => client
+    .from('sales_with_details')
+    .select('*')
+    .gte('sale_date', from)
+    .lt('sale_date', to)
+    .order('sale_date', { ascending: false })
+    .order('sale_id', { ascending: false }));
+
+  const saleIds = sales.map(sale => sale.sale_id);
+  const [details, payments] = await Promise.all([
+    fetchRowsForIds(client, 'sales_detail', `
+      *,
+      items:item_id (
+        item_id,
+        item_name,
+        category,
+        base_price
+      )
+    `, 'sale_id', saleIds),
+    fetchRowsForIds(client, 'sales_payments', '*', 'sale_id', saleIds)
+  ]);
+
+  const detailsBySale = groupBy(details, 'sale_id');
+  const paymentsBySale = groupBy(payments.sort((a, b) => a.payment_id - b.payment_id), 'sale_id');
+
+  return sales.map(sale => ({
+    ...sale,
+    items: (detailsBySale[sale.sale_id] || []).map(item => ({
+      id: item.sale_detail_id,
+      item_id: item.item_id,
+      name: item.items?.item_name || 'Unknown Item',
+      category: item.items?.category || 'Uncategorized',
+      price: parseFloat(item.unit_price),
+      quantity: item.quantity,
+      subtotal: parseFloat(item.subtotal),
+      modifiers: item.modifiers || [],
+      discount_amount: parseFloat(item.discount_amount) || 0,
+      discount_label: item.discount_label || null
+    })),
+    payments: paymentsBySale[sale.sale_id] || [],
+    cashier_name: sale.cashier_first_name && sale.cashier_last_name
+      ? `${sale.cashier_first_name} ${sale.cashier_last_name}`
+      : 'Unknown'
+  }));
+};
+
+/**
+ * Fetch the refunds paid out on whole business days (Manila time) with the
+ * category of each returned line, shaped like useSales().fetchRefunds results
+ * @param {Object} client - Supabase client
+ * @param {Object} range - { startDate, endDate } as yyyy-MM-dd, inclusive
+ * @returns {Promise<Array>} Refunds with items, newest first
+ */
+export const fetchRefundsForReport = async (client, { startDate, endDate }) => {
+  const { from, to } = businessDayBounds(startDate, endDate);
+  const refunds = await fetchAllRows(() => client
+    .from('sales_refunds')
+    .select(`
+      *,
+      items:sales_refund_items (
+        *,
+        items:item_id (
+          item_name,
+          category
+        )
+      )
+    `)
+    .gte('created_at', from)
+    .lt('created_at', to)
+    .order('created_at', { ascending: false })
+    .order('refund_id', { ascending: false }));
+
+  return refunds.map(refund => ({
+    ...refund,
+    items: (refund.items || []).map(item => ({
+      ...item,
+      name: item.items?.item_name || 'Unknown Item',
+      category: item.items?.category || 'Uncategorized'
+    }))
+  }));
+};
+
+/**
+ * Shape raw inventory rows for an inventory report: ingredient values and
+ * stock status, the pullouts dated within the period, the lots on hand
+ * that have expired or expire within EXPIRY_WARNING_DAYS, and the
+ * differences posted by stock counts approved within the period
+ * @param {Object} inventory - { ingredients, items, pullouts, lots,
+ *   stockCounts } table rows; stockCounts are approved counts with their
+ *   stock_count_lines
+ * @param {Object} range - { startDate, endDate } as yyyy-MM-dd
+ * @returns {Object} { ingredients, items, pullouts, expiringLots, countVariances }
+ */
+export const buildInventoryReportData = ({ ingredients = [], items = [], pullouts = [], lots = [], stockCounts = [] }, { startDate, endDate } = {}) => {
+  const processedIngredients = ingredients.map(ing => {
+    const quantity = Number(ing.quantity) || 0;
+    const unitCost = Number(ing.unit_cost) || 0;
+
+    return {
+      ...ing,
+      quantity,
+      unit_cost: unitCost,
+      value: quantity * unitCost,
+      name: ing.name || 'Unnamed',
+      category: ing.category || 'Uncategorized',
+      minimum_quantity: Number(ing.minimum_quantity) || 0,
+      unit: ing.unit || '',
+      stockStatus: ing.quantity <= 0 ? 'out' :
+                   ing.quantity <= ing.minimum_quantity ? 'low' : 'normal'
+    };
+  });
+
+  const ingredientsById = Object.fromEntries(ingredients.map(ing => [ing.ingredient_id, ing]));
+  const processedPullouts = pullouts
+    .filter(pullout => (!startDate || pullout.date_of_pullout >= startDate) &&
+      (!endDate || pullout.date_of_pullout <= endDate))
+    .map(pullout => {
+      const ingredient = ingredientsById[pullout.ingredient_id];
+      return {
+        ...pullout,
+        ingredient_name: ingredient?.name || 'Unknown',
+        unit: ingredient?.unit || '',
+        value: (Number(pullout.quantity) || 0) * (Number(ingredient?.unit_cost) || 0)
+      };
+    })
+    .sort((a, b) => String(b.date_of_pullout).localeCompare(String(a.date_of_pullout)));
+
+  const expiringLots = lots
+    .filter(lot => Number(lot.quantity) > 0 && lotExpiryStatus(lot))
+    .map(lot => {
+      const ingredient = ingredientsById[lot.ingredient_id];
+      return {
+        ...lot,
+        quantity: Number(lot.quantity),
+        ingredient_name: ingredient?.name || 'Unknown',
+        unit: ingredient?.unit || '',
+        days_to_expiry: daysUntilExpiry(lot),
+        expiryStatus: lotExpiryStatus(lot),
+        value: Number(lot.quantity) * (Number(ingredient?.unit_cost) || 0)
+      };
+    })
+    .sort((a, b) => a.expiry_date.localeCompare(b.expiry_date));
+
+  const bounds = startDate && endDate ? businessDayBounds(startDate, endDate) : null;
+  const countsInRange = stockCounts.filter(count => count.approved_at && (!bounds || (
+    new Date(count.approved_at) >= new Date(bounds.from) && new Date(count.approved_at) < new Date(bounds.to)
+  )));
+
+  return {
+    ingredients: processedIngredients,
+    items,
+    pullouts: processedPullouts,
+    expiringLots,
+    countVariances: buildCountVarianceRows(countsInRange, ingredientsById)
+  };
+};
+
+/**
+ * Fetch current stock, the period's pullouts and stock counts, and lots
+ * near expiry for an inventory report
+ * @param {Object} client - Supabase client
+ * @param {Object} range - { startDate, endDate } as yyyy-MM-dd
+ * @returns {Promise<Object>} { ingredients, items, pullouts, expiringLots, countVariances }
+ */
+export const fetchInventoryForReport = async (client, { startDate, endDate }) => {
+  const expiryCutoff = format(addDays(new Date(), EXPIRY_WARNING_DAYS), 'yyyy-MM-dd');
+  const { from, to } = businessDayBounds(startDate, endDate);
+  const [ingredients, items, pullouts, lots, stockCounts] = await Promise.all([
+    fetchAllRows(() => client.from('ingredients').select('*').order('name', { ascending: true })),
+    fetchAllRows(() => client.from('items').select('*').order('item_name', { ascending: true })),
+    fetchAllRows(() => client
+      .from('pullout')
+      .select('*')
+      .gte('date_of_pullout', startDate)
+      .lte('date_of_pullout', endDate)),
+    fetchAllRows(() => client
+      .from('ingredient_lots')
+      .select('*')
+      .gt('quantity', 0)
+      .lte('expiry_date', expiryCutoff)
+      .order('lot_id', { ascending: true })),
+    fetchAllRows(() => client
+      .from('stock_counts')
+      .select('count_id, name, approved_at, stock_count_lines(ingredient_id, expected_quantity, counted_quantity, unit_cost, reason)')
+      .eq('status', 'approved')
+      .gte('approved_at', from)
+      .lt('approved_at', to)
+      .order('approved_at', { ascending: true }))
+  ]);
+
+  return buildInventoryReportData({ ingredients, items, pullouts, lots, stockCounts }, { startDate, endDate });
+};
+
+/**
+ * Build the financial report from the profit_and_loss RPC
+ * @param {Object} client - Supabase client
+ * @param {Object} range - { startDate, endDate } as dates or yyyy-MM-dd
+ * @returns {Promise<Object>} Financial report
+ */
+export const fetchFinancialReport = async (client, { startDate, endDate }) => {
+  const { data, error } = await client.rpc('profit_and_loss', {
+    p_start: toBusinessDate(startDate || new Date()),
+    p_end: toBusinessDate(endDate || new Date())
+  });
+
+  if (error) throw error;
+  if (!data?.success) throw new Error(data?.message || 'Could not build the profit and loss statement');
+
+  const { summary, items, categories, expenses, daily } = data;
+
+  return {
+    type: 'financial',
+    title: REPORT_TITLES.financial,
+    dateRange: reportDateRange(startDate, endDate),
+    summary: {
+      revenue: Number(summary.net_sales),
+      grossSales: Number(summary.gross_sales),
+      refunds: Number(summary.refunds),
+      costOfSales: Number(summary.cost_of_sales),
+      operatingExpenses: Number(summary.operating_expenses),
+      expenses: Number(summary.cost_of_sales) + Number(summary.operating_expenses),
+      grossProfit: Number(summary.gross_profit),
+      netProfit: Number(summary.net_profit),
+      grossProfitMargin: Number(summary.gross_margin || 0),
+      netProfitMargin: Number(summary.net_margin || 0)
+    },
+    data: {
+      items,
+      categories,
+      expenses
+    },
+    analytics: {
+      revenue: {
+        byCategory: Object.fromEntries(categories.map(category => [category.category, Number(category.net_sales)])),
+        dailyTrend: daily.map(day => ({ date: day.date, total: Number(day.net_sales) }))
+      },
+      expenses: {
+        byCategory: {
+          cost_of_sales: Number(summary.cost_of_sales),
+          ...Object.fromEntries(expenses.map(expense => [expense.category, Number(expense.amount)]))
+        }
+      },
+      profit: {
+        dailyTrend: daily.map(day => ({ date: day.date, total: Number(day.gross_profit) }))
+      }
+    }
+  };
+};
+
+/**
+ * Build a report ready for exportToPDF or exportToExcel. Sales reports
+ * carry the period's refunds, which the exports take off the totals.
+ * @param {Object} client - Supabase client
+ * @param {string} type - 'sales', 'inventory' or 'financial'
+ * @param {Object} range - { startDate, endDate } as yyyy-MM-dd
+ * @returns {Promise<Object>} Report
+ */
+export const buildReport = async (client, type, range) => {
+  switch (type) {
+    case 'sales': {
+      const [sales, refunds] = await Promise.all([
+        fetchSalesForReport(client, range),
+        fetchRefundsForReport(client, range)
+      ]);
+
+      return {
+        type,
+        title: REPORT_TITLES.sales,
+        dateRange: reportDateRange(range.startDate, range.endDate),
+        data: sales,
+        refunds
+      };
+    }
+    case 'inventory':
+      return {
+        type,
+        title: REPORT_TITLES.inventory,
+        dateRange: reportDateRange(range.startDate, range.endDate),
+        data: await fetchInventoryForReport(client, range)
+      };
+    case 'financial':
+      return fetchFinancialReport(client, range);
+    default:
+      throw new Error(`Unknown report type: ${type}`);
+  }
+};
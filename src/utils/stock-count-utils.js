@@ -0,0 +1,71 @@
+/**
+ * Difference between what a count line found and what the system expected
+ * when the count started, in stock units and at the frozen unit cost
+ * @param {Object} line - Stock count line (expected_quantity, counted_quantity, unit_cost)
+ * @returns {Object|null} { expected, counted, variance, value }, or null
+ *   when nobody has counted the ingredient
+ */
+export const countLineVariance = (line) => {
+  if (line?.counted_quantity === null || line?.counted_quantity === undefined) return null;
+
+  const expected = Number(line.expected_quantity) || 0;
+  const counted = Number(line.counted_quantity) || 0;
+  const variance = parseFloat((counted - expected).toFixed(4));
+
+  return {
+    expected,
+    counted,
+    variance,
+    value: variance * (Number(line.unit_cost) || 0)
+  };
+};
+
+/**
+ * Progress and value of a count's differences
+ * @param {Array} lines - Stock count lines
+ * @returns {Object} { total, counted, differences, shortageValue,
+ *   overageValue, netValue }
+ */
+export const summarizeCountLines = (lines = []) => lines.reduce((summary, line) => {
+  const result = countLineVariance(line);
+  if (!result) return summary;
+
+  summary.counted += 1;
+  if (result.variance !== 0) summary.differences += 1;
+  if (result.value < 0) summary.shortageValue += -result.value;
+  if (result.value > 0) summary.overageValue += result.value;
+  summary.netValue += result.value;
+  return summary;
+}, { total: lines.length, counted: 0, differences: 0, shortageValue: 0, overageValue: 0, netValue: 0 });
+
+/**
+ * One row per counted ingredient that differed, across approved counts,
+ * for the count-variance report
+ * @param {Array} counts - Approved counts with their stock_count_lines
+ * @param {Object} ingredientsById - Ingredients keyed by ingredient_id
+ * @returns {Array} Rows, largest loss first
+ */
+export const buildCountVarianceRows = (counts = [], ingredientsById = {}) => counts
+  .flatMap(count => (count.stock_count_lines || []).map(line => {
+    const result = countLineVariance(line);
+    if (!result || result.variance === 0) return null;
+
+    const ingredient = ingredientsById[line.ingredient_id];
+    return {
+      count_id: count.count_id,
+      count_name: count.name,
+      approved_at: count.approved_at,
+      ingredient_id: line.ingredient_id,
+      ingredient_name: ingredient?.name || 'Unknown',
+      category: ingredient?.category || 'Uncategorized',
+      unit: ingredient?.unit || '',
+      expected_quantity: result.expected,
+      counted_quantity: result.counted,
+      variance: result.variance,
+      unit_cost: Number(line.unit_cost) || 0,
+      value: result.value,
+      reason: line.reason || ''
+    };
+  }))
+  .filter(Boolean)
+  .sort((a, b) => a.value - b.value);
@@ -0,0 +1,128 @@
+import { STANDARD_UNIT_CONVERSIONS } from '../services/constants';
+
+const formatNumber = (value) => parseFloat(parseFloat(value).toFixed(4));
+
+/**
+ * How many of one standard unit make up another (e.g. kg to g is 1000)
+ * @param {string} fromUnit - Unit converted from
+ * @param {string} toUnit - Unit converted to
+ * @returns {number|null} Factor, or null when the units are not related
+ */
+export const standardUnitFactor = (fromUnit, toUnit) => {
+  if (!fromUnit || !toUnit) return null;
+  if (fromUnit === toUnit) return 1;
+
+  const direct = STANDARD_UNIT_CONVERSIONS[fromUnit]?.[toUnit];
+  if (direct) return direct;
+
+  const inverse = STANDARD_UNIT_CONVERSIONS[toUnit]?.[fromUnit];
+  return inverse ? 1 / inverse : null;
+};
+
+/**
+ * Units an ingredient can be counted in: its stock unit first, then the
+ * units it has conversions for
+ * @param {Object} ingredient - Ingredient with unit and ingredient_units
+ * @returns {Array} Unit names
+ */
+export const ingredientUnitOptions = (ingredient) => {
+  if (!ingredient) return [];
+  return [ingredient.unit, ...(ingredient.ingredient_units || []).map(row => row.unit)].filter(Boolean);
+};
+
+/**
+ * Stock units in one of the given unit of an ingredient
+ * @param {Object} ingredient - Ingredient with unit and ingredient_units
+ * @param {string} unit - Unit to convert from; empty means the stock unit
+ * @returns {number|null} Factor, or null when the ingredient has no conversion
+ */
+export const ingredientUnitFactor = (ingredient, unit) => {
+  if (!unit || unit === ingredient?.unit) return 1;
+  const row = (ingredient?.ingredient_units || []).find(u => u.unit === unit);
+  return row ? parseFloat(row.factor) : null;
+};
+
+/**
+ * Unit a new line starts in: the ingredient's purchase or recipe unit when
+ * it can still be converted, otherwise its stock unit
+ * @param {Object} ingredient - Ingredient with unit, purchase_unit and recipe_unit
+ * @param {string} use - 'purchase' or 'recipe'
+ * @returns {string} Unit name
+ */
+export const defaultIngredientUnit = (ingredient, use) => {
+  const preferred = ingredient?.[`${use}_unit`];
+  return preferred && ingredientUnitFactor(ingredient, preferred) ? preferred : ingredient?.unit || '';
+};
+
+/**
+ * e.g. "1 case = 1000 pcs"
+ * @param {string} unit - Unit described
+ * @param {number} factor - Stock units in one of it
+ * @param {string} stockUnit - Stock unit
+ * @returns {string} Description
+ */
+export const describeUnitFactor = (unit, factor, stockUnit) => {
+  return `1 ${unit} = ${formatNumber(factor)} ${stockUnit}`;
+};
+
+/**
+ * A quantity in some unit restated in stock units, e.g. "= 250 ml"; empty
+ * when it is already in stock units
+ * @param {number|string} quantity - Quantity entered
+ * @param {Object} ingredient - Ingredient with unit and ingredient_units
+ * @param {string} unit - Unit the quantity is in
+ * @returns {string} Stock equivalent
+ */
+export const describeStockEquivalent = (quantity, ingredient, unit) => {
+  const factor = ingredientUnitFactor(ingredient, unit);
+  const amount = parseFloat(quantity);
+
+  if (!ingredient || !unit || unit === ingredient.unit || !factor || isNaN(amount)) return '';
+  return `= ${formatNumber(amount * factor)} ${ingredient.unit}`;
+};
+
+/**
+ * Turn conversions entered as "1 <unit> = <quantity> <per_unit>" into stock
+ * unit factors. per_unit may be the stock unit or another row's unit, so a
+ * case can be given in packs and a pack in pieces.
+ * @param {Array} rows - Conversions ({ unit, quantity, per_unit })
+ * @param {string} stockUnit - The ingredient's stock unit
+ * @returns {Object} { units: [{ unit, factor }], error }
+ */
+export const resolveUnitFactors = (rows = [], stockUnit) => {
+  const filled = rows
+    .map(row => ({ ...row, unit: (row.unit || '').trim() }))
+    .filter(row => row.unit || row.quantity);
+  const seen = new Set();
+
+  for (const row of filled) {
+    if (!row.unit) return { units: [], error: 'Every conversion needs a unit name' };
+    if (row.unit === stockUnit) return { units: [], error: `${row.unit} is already the stock unit` };
+    if (seen.has(row.unit)) return { units: [], error: `${row.unit} is listed twice` };
+    if (!(parseFloat(row.quantity) > 0)) return { units: [], error: `Enter how many ${row.per_unit || stockUnit} are in 1 ${row.unit}` };
+    seen.add(row.unit);
+  }
+
+  const factors = { [stockUnit]: 1 };
+  let pending = filled;
+
+  // Resolve rows whose per_unit is already known until nothing changes
+  while (pending.length > 0) {
+    const next = pending.filter(row => {
+      const perFactor = factors[row.per_unit || stockUnit];
+      if (!perFactor) return true;
+      factors[row.unit] = parseFloat(row.quantity) * perFactor;
+      return false;
+    });
+
+    if (next.length === pending.length) {
+      return { units: [], error: `${next[0].unit} cannot be converted to ${stockUnit}` };
+    }
+    pending = next;
+  }
+
+  return {
+    units: filled.map(row => ({ unit: row.unit, factor: factors[row.unit] })),
+    error: null
+  };
+};
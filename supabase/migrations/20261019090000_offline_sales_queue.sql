@@ -0,0 +1,104 @@
+-- Offline sales queue
+-- Sales recorded while a terminal is disconnected are replayed through
+-- process_sale with the terminal-generated reference, so a replay that is
+-- retried after a dropped response does not create the sale twice.
+
+alter table public.sales_header
+  add column if not exists client_reference uuid,
+  add column if not exists offline_recorded_at timestamptz;
+
+create unique index if not exists sales_header_client_reference_key
+  on public.sales_header (client_reference)
+  where client_reference is not null;
+
+drop function if exists public.process_sale(uuid, timestamptz, text, numeric, jsonb);
+
+create or replace function public.process_sale(
+  p_cashier_id uuid,
+  p_sale_date timestamptz,
+  p_payment_method text,
+  p_total_amount numeric,
+  p_items jsonb,
+  p_client_reference uuid default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_sale_id integer;
+  v_shortage record;
+begin
+  -- A replayed offline sale that already went through is reported as done
+  if p_client_reference is not null then
+    select sale_id into v_sale_id
+    from sales_header
+    where client_reference = p_client_reference;
+
+    if found then
+      return jsonb_build_object('success', true, 'sale_id', v_sale_id, 'duplicate', true);
+    end if;
+  end if;
+
+  -- Lock every ingredient the sale touches before checking stock
+  perform 1
+  from ingredients i
+  where i.ingredient_id in (
+    select ii.ingredient_id
+    from jsonb_array_elements(p_items) x
+    join item_ingredients ii on ii.item_id = (x->>'item_id')::integer
+  )
+  for update;
+
+  select i.ingredient_id, i.name, i.quantity,
+         sum(ii.quantity * (x->>'quantity')::numeric) as required
+  into v_shortage
+  from jsonb_array_elements(p_items) x
+  join item_ingredients ii on ii.item_id = (x->>'item_id')::integer
+  join ingredients i on i.ingredient_id = ii.ingredient_id
+  group by i.ingredient_id, i.name, i.quantity
+  having sum(ii.quantity * (x->>'quantity')::numeric) > coalesce(i.quantity, 0)
+  limit 1;
+
+  if found then
+    return jsonb_build_object(
+      'success', false,
+      'conflict', true,
+      'ingredient_id', v_shortage.ingredient_id,
+      'message', format('Not enough %s (need %s, have %s)',
+                        v_shortage.name, v_shortage.required, coalesce(v_shortage.quantity, 0))
+    );
+  end if;
+
+  insert into sales_header (
+    cashier_id, sale_date, payment_method, total_amount,
+    client_reference, offline_recorded_at, created_at
+  ) values (
+    p_cashier_id, p_sale_date, p_payment_method, p_total_amount,
+    p_client_reference,
+    case when p_client_reference is not null then p_sale_date end,
+    now()
+  )
+  returning sale_id into v_sale_id;
+
+  insert into sales_detail (sale_id, item_id, quantity, unit_price, subtotal, created_at)
+  select v_sale_id, x.item_id, x.quantity, x.unit_price, x.subtotal, now()
+  from jsonb_to_recordset(p_items)
+    as x(item_id integer, quantity integer, unit_price numeric, subtotal numeric);
+
+  update ingredients i
+  set quantity = i.quantity - usage.required,
+      updated_at = now()
+  from (
+    select ii.ingredient_id, sum(ii.quantity * (x->>'quantity')::numeric) as required
+    from jsonb_array_elements(p_items) x
+    join item_ingredients ii on ii.item_id = (x->>'item_id')::integer
+    group by ii.ingredient_id
+  ) usage
+  where i.ingredient_id = usage.ingredient_id;
+
+  return jsonb_build_object('success', true, 'sale_id', v_sale_id);
+end;
+$$;
+
+grant execute on function public.process_sale(uuid, timestamptz, text, numeric, jsonb, uuid) to authenticated;
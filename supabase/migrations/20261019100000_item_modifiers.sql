@@ -0,0 +1,164 @@
+-- Item modifiers and variants
+-- Menu items can carry modifier groups (size, milk, add-ons). Each modifier
+-- has a price delta and optional recipe deltas stored in item_ingredients
+-- with modifier_id set; rows with a null modifier_id are the base recipe.
+
+create table if not exists public.item_modifier_groups (
+  group_id serial primary key,
+  item_id integer not null references public.items (item_id) on delete cascade,
+  name text not null,
+  is_required boolean not null default false,
+  max_select integer not null default 1 check (max_select >= 1),
+  sort_order integer not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists item_modifier_groups_item_id_idx
+  on public.item_modifier_groups (item_id);
+
+create table if not exists public.item_modifiers (
+  modifier_id serial primary key,
+  group_id integer not null references public.item_modifier_groups (group_id) on delete cascade,
+  name text not null,
+  price_delta numeric(10, 2) not null default 0,
+  is_default boolean not null default false,
+  sort_order integer not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists item_modifiers_group_id_idx
+  on public.item_modifiers (group_id);
+
+-- Recipe deltas: the same ingredient can now appear once in the base recipe
+-- and once per modifier, and a delta may be negative (e.g. milk swaps)
+alter table public.item_ingredients
+  add column if not exists modifier_id integer
+    references public.item_modifiers (modifier_id) on delete cascade;
+
+-- The (item_id, ingredient_id) key could not hold those rows, so each recipe
+-- line gets its own id
+alter table public.item_ingredients
+  add column if not exists item_ingredient_id serial;
+
+alter table public.item_ingredients
+  drop constraint if exists item_ingredients_pkey;
+
+alter table public.item_ingredients
+  add constraint item_ingredients_pkey primary key (item_ingredient_id);
+
+create unique index if not exists item_ingredients_item_ingredient_modifier_key
+  on public.item_ingredients (item_id, ingredient_id, coalesce(modifier_id, 0));
+
+-- Snapshot of the chosen options on each sold line
+alter table public.sales_detail
+  add column if not exists modifiers jsonb not null default '[]'::jsonb;
+
+alter table public.item_modifier_groups enable row level security;
+alter table public.item_modifiers enable row level security;
+
+create policy "Authenticated users can read modifier groups"
+  on public.item_modifier_groups for select to authenticated using (true);
+create policy "Authenticated users can manage modifier groups"
+  on public.item_modifier_groups for all to authenticated using (true) with check (true);
+create policy "Authenticated users can read modifiers"
+  on public.item_modifiers for select to authenticated using (true);
+create policy "Authenticated users can manage modifiers"
+  on public.item_modifiers for all to authenticated using (true) with check (true);
+
+-- Ingredient usage for a set of sale lines, including modifier recipe deltas.
+-- p_items is the same array process_sale receives; modifier_ids is optional.
+create or replace function public.sale_ingredient_usage(p_items jsonb)
+returns table (ingredient_id integer, required numeric)
+language sql
+stable
+set search_path = public
+as $$
+  select ii.ingredient_id, sum(ii.quantity * (x->>'quantity')::numeric) as required
+  from jsonb_array_elements(p_items) x
+  join item_ingredients ii on ii.item_id = (x->>'item_id')::integer
+  where ii.modifier_id is null
+     or ii.modifier_id in (
+       select (m)::integer
+       from jsonb_array_elements_text(coalesce(x->'modifier_ids', '[]'::jsonb)) m
+     )
+  group by ii.ingredient_id
+$$;
+
+create or replace function public.process_sale(
+  p_cashier_id uuid,
+  p_sale_date timestamptz,
+  p_payment_method text,
+  p_total_amount numeric,
+  p_items jsonb,
+  p_client_reference uuid default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_sale_id integer;
+  v_shortage record;
+begin
+  -- A replayed offline sale that already went through is reported as done
+  if p_client_reference is not null then
+    select sale_id into v_sale_id
+    from sales_header
+    where client_reference = p_client_reference;
+
+    if found then
+      return jsonb_build_object('success', true, 'sale_id', v_sale_id, 'duplicate', true);
+    end if;
+  end if;
+
+  -- Lock every ingredient the sale touches before checking stock
+  perform 1
+  from ingredients i
+  where i.ingredient_id in (select u.ingredient_id from sale_ingredient_usage(p_items) u)
+  for update;
+
+  select i.ingredient_id, i.name, i.quantity, u.required
+  into v_shortage
+  from sale_ingredient_usage(p_items) u
+  join ingredients i on i.ingredient_id = u.ingredient_id
+  where u.required > coalesce(i.quantity, 0)
+  limit 1;
+
+  if found then
+    return jsonb_build_object(
+      'success', false,
+      'conflict', true,
+      'ingredient_id', v_shortage.ingredient_id,
+      'message', format('Not enough %s (need %s, have %s)',
+                        v_shortage.name, v_shortage.required, coalesce(v_shortage.quantity, 0))
+    );
+  end if;
+
+  insert into sales_header (
+    cashier_id, sale_date, payment_method, total_amount,
+    client_reference, offline_recorded_at, created_at
+  ) values (
+    p_cashier_id, p_sale_date, p_payment_method, p_total_amount,
+    p_client_reference,
+    case when p_client_reference is not null then p_sale_date end,
+    now()
+  )
+  returning sale_id into v_sale_id;
+
+  insert into sales_detail (sale_id, item_id, quantity, unit_price, subtotal, modifiers, created_at)
+  select v_sale_id, x.item_id, x.quantity, x.unit_price, x.subtotal,
+         coalesce(x.modifiers, '[]'::jsonb), now()
+  from jsonb_to_recordset(p_items)
+    as x(item_id integer, quantity integer, unit_price numeric, subtotal numeric, modifiers jsonb);
+
+  update ingredients i
+  set quantity = i.quantity - u.required,
+      updated_at = now()
+  from sale_ingredient_usage(p_items) u
+  where i.ingredient_id = u.ingredient_id;
+
+  return jsonb_build_object('success', true, 'sale_id', v_sale_id);
+end;
+$$;
@@ -0,0 +1,202 @@
+-- Discounts at checkout
+-- Promotions (percentage, fixed, buy-X-get-Y) can be looked up by code.
+-- Each sale records its gross subtotal, discount, VAT and VAT-exempt amounts,
+-- who approved a manual override, and the Senior Citizen/PWD ID it was
+-- granted against. Line-level discounts are kept on sales_detail.
+
+create table if not exists public.promotions (
+  promo_id serial primary key,
+  code text unique,
+  name text not null,
+  discount_type text not null check (discount_type in ('percentage', 'fixed', 'buy_x_get_y')),
+  value numeric not null default 0 check (value >= 0),
+  item_id integer references public.items (item_id) on delete cascade,
+  buy_quantity integer check (buy_quantity is null or buy_quantity > 0),
+  get_quantity integer check (get_quantity is null or get_quantity > 0),
+  min_order_amount numeric not null default 0,
+  starts_at timestamptz,
+  ends_at timestamptz,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint promotions_buy_x_get_y_check check (
+    discount_type <> 'buy_x_get_y'
+    or (item_id is not null and buy_quantity is not null and get_quantity is not null)
+  )
+);
+
+create unique index if not exists promotions_code_upper_key
+  on public.promotions (upper(code))
+  where code is not null;
+
+alter table public.promotions enable row level security;
+
+create policy "Authenticated users can read promotions"
+  on public.promotions for select to authenticated using (true);
+
+create policy "Managers can manage promotions"
+  on public.promotions for all to authenticated
+  using (
+    exists (
+      select 1
+      from staff s
+      join roles r on r.role_id = s.role_id
+      where s.user_id = auth.uid()
+        and r.role_name in ('Admin', 'Manager')
+    )
+  )
+  with check (
+    exists (
+      select 1
+      from staff s
+      join roles r on r.role_id = s.role_id
+      where s.user_id = auth.uid()
+        and r.role_name in ('Admin', 'Manager')
+    )
+  );
+
+alter table public.sales_header
+  add column if not exists subtotal_amount numeric,
+  add column if not exists discount_amount numeric not null default 0,
+  add column if not exists vat_amount numeric,
+  add column if not exists vat_exempt_amount numeric not null default 0,
+  add column if not exists discount_type text
+    check (discount_type is null or discount_type in ('senior', 'pwd', 'promo', 'manual')),
+  add column if not exists promo_id integer references public.promotions (promo_id) on delete set null,
+  add column if not exists promo_code text,
+  add column if not exists discount_reason text,
+  add column if not exists discount_approved_by integer references public.staff (staff_id),
+  add column if not exists senior_pwd_id text,
+  add column if not exists senior_pwd_name text;
+
+-- Statutory discounts must carry the customer's ID number
+alter table public.sales_header
+  drop constraint if exists sales_header_senior_pwd_id_check;
+alter table public.sales_header
+  add constraint sales_header_senior_pwd_id_check check (
+    discount_type is null
+    or discount_type not in ('senior', 'pwd')
+    or nullif(trim(senior_pwd_id), '') is not null
+  );
+
+alter table public.sales_detail
+  add column if not exists discount_amount numeric not null default 0,
+  add column if not exists discount_label text;
+
+drop function if exists public.process_sale(uuid, timestamptz, text, numeric, jsonb, uuid);
+
+create or replace function public.process_sale(
+  p_cashier_id uuid,
+  p_sale_date timestamptz,
+  p_payment_method text,
+  p_total_amount numeric,
+  p_items jsonb,
+  p_client_reference uuid default null,
+  p_discount jsonb default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_sale_id integer;
+  v_shortage record;
+  v_discount jsonb := coalesce(p_discount, '{}'::jsonb);
+begin
+  -- A replayed offline sale that already went through is reported as done
+  if p_client_reference is not null then
+    select sale_id into v_sale_id
+    from sales_header
+    where client_reference = p_client_reference;
+
+    if found then
+      return jsonb_build_object('success', true, 'sale_id', v_sale_id, 'duplicate', true);
+    end if;
+  end if;
+
+  if v_discount->>'discount_type' in ('senior', 'pwd')
+     and nullif(trim(v_discount->>'senior_pwd_id'), '') is null then
+    return jsonb_build_object(
+      'success', false,
+      'message', 'Senior Citizen/PWD discount requires the customer''s ID number'
+    );
+  end if;
+
+  if v_discount->>'discount_type' = 'manual'
+     and v_discount->>'discount_approved_by' is null then
+    return jsonb_build_object(
+      'success', false,
+      'message', 'Manual discount requires manager approval'
+    );
+  end if;
+
+  -- Lock every ingredient the sale touches before checking stock
+  perform 1
+  from ingredients i
+  where i.ingredient_id in (select u.ingredient_id from sale_ingredient_usage(p_items) u)
+  for update;
+
+  select i.ingredient_id, i.name, i.quantity, u.required
+  into v_shortage
+  from sale_ingredient_usage(p_items) u
+  join ingredients i on i.ingredient_id = u.ingredient_id
+  where u.required > coalesce(i.quantity, 0)
+  limit 1;
+
+  if found then
+    return jsonb_build_object(
+      'success', false,
+      'conflict', true,
+      'ingredient_id', v_shortage.ingredient_id,
+      'message', format('Not enough %s (need %s, have %s)',
+                        v_shortage.name, v_shortage.required, coalesce(v_shortage.quantity, 0))
+    );
+  end if;
+
+  insert into sales_header (
+    cashier_id, sale_date, payment_method, total_amount,
+    subtotal_amount, discount_amount, vat_amount, vat_exempt_amount,
+    discount_type, promo_id, promo_code, discount_reason, discount_approved_by,
+    senior_pwd_id, senior_pwd_name,
+    client_reference, offline_recorded_at, created_at
+  ) values (
+    p_cashier_id, p_sale_date, p_payment_method, p_total_amount,
+    (v_discount->>'subtotal_amount')::numeric,
+    coalesce((v_discount->>'discount_amount')::numeric, 0),
+    (v_discount->>'vat_amount')::numeric,
+    coalesce((v_discount->>'vat_exempt_amount')::numeric, 0),
+    v_discount->>'discount_type',
+    (v_discount->>'promo_id')::integer,
+    v_discount->>'promo_code',
+    v_discount->>'discount_reason',
+    (v_discount->>'discount_approved_by')::integer,
+    v_discount->>'senior_pwd_id',
+    v_discount->>'senior_pwd_name',
+    p_client_reference,
+    case when p_client_reference is not null then p_sale_date end,
+    now()
+  )
+  returning sale_id into v_sale_id;
+
+  insert into sales_detail (
+    sale_id, item_id, quantity, unit_price, subtotal, modifiers,
+    discount_amount, discount_label, created_at
+  )
+  select v_sale_id, x.item_id, x.quantity, x.unit_price, x.subtotal,
+         coalesce(x.modifiers, '[]'::jsonb),
+         coalesce(x.discount_amount, 0), x.discount_label, now()
+  from jsonb_to_recordset(p_items)
+    as x(item_id integer, quantity integer, unit_price numeric, subtotal numeric,
+         modifiers jsonb, discount_amount numeric, discount_label text);
+
+  update ingredients i
+  set quantity = i.quantity - u.required,
+      updated_at = now()
+  from sale_ingredient_usage(p_items) u
+  where i.ingredient_id = u.ingredient_id;
+
+  return jsonb_build_object('success', true, 'sale_id', v_sale_id);
+end;
+$$;
+
+grant execute on function public.process_sale(uuid, timestamptz, text, numeric, jsonb, uuid, jsonb) to authenticated;
@@ -0,0 +1,182 @@
+-- Split tender
+-- A sale can be paid with several methods (e.g. part cash, part GCash).
+-- Each tender line is stored in sales_payments with the amount applied to
+-- the sale, what was handed over, change (cash only) and a reference number.
+-- sales_header.payment_method keeps the single method, or 'split'.
+
+create table if not exists public.sales_payments (
+  payment_id serial primary key,
+  sale_id integer not null references public.sales_header (sale_id) on delete cascade,
+  payment_method text not null,
+  amount numeric not null check (amount > 0),
+  tendered_amount numeric,
+  change_amount numeric not null default 0 check (change_amount >= 0),
+  reference_number text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists sales_payments_sale_id_idx
+  on public.sales_payments (sale_id);
+
+alter table public.sales_payments enable row level security;
+
+create policy "Authenticated users can read sales payments"
+  on public.sales_payments for select to authenticated using (true);
+
+create policy "Authenticated users can record sales payments"
+  on public.sales_payments for insert to authenticated with check (true);
+
+-- Existing sales were paid in full with their single method
+insert into public.sales_payments (sale_id, payment_method, amount, tendered_amount, created_at)
+select sh.sale_id, coalesce(sh.payment_method, 'cash'), sh.total_amount, sh.total_amount, sh.created_at
+from public.sales_header sh
+where sh.total_amount > 0
+  and not exists (select 1 from public.sales_payments sp where sp.sale_id = sh.sale_id);
+
+drop function if exists public.process_sale(uuid, timestamptz, text, numeric, jsonb, uuid, jsonb);
+
+create or replace function public.process_sale(
+  p_cashier_id uuid,
+  p_sale_date timestamptz,
+  p_payment_method text,
+  p_total_amount numeric,
+  p_items jsonb,
+  p_client_reference uuid default null,
+  p_discount jsonb default null,
+  p_payments jsonb default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_sale_id integer;
+  v_shortage record;
+  v_discount jsonb := coalesce(p_discount, '{}'::jsonb);
+  v_paid numeric;
+begin
+  -- A replayed offline sale that already went through is reported as done
+  if p_client_reference is not null then
+    select sale_id into v_sale_id
+    from sales_header
+    where client_reference = p_client_reference;
+
+    if found then
+      return jsonb_build_object('success', true, 'sale_id', v_sale_id, 'duplicate', true);
+    end if;
+  end if;
+
+  if v_discount->>'discount_type' in ('senior', 'pwd')
+     and nullif(trim(v_discount->>'senior_pwd_id'), '') is null then
+    return jsonb_build_object(
+      'success', false,
+      'message', 'Senior Citizen/PWD discount requires the customer''s ID number'
+    );
+  end if;
+
+  if v_discount->>'discount_type' = 'manual'
+     and v_discount->>'discount_approved_by' is null then
+    return jsonb_build_object(
+      'success', false,
+      'message', 'Manual discount requires manager approval'
+    );
+  end if;
+
+  -- Tender lines must cover the sale exactly (change is tracked per line)
+  if p_payments is not null and jsonb_array_length(p_payments) > 0 then
+    select coalesce(sum((pay->>'amount')::numeric), 0) into v_paid
+    from jsonb_array_elements(p_payments) pay;
+
+    if abs(v_paid - p_total_amount) > 0.01 then
+      return jsonb_build_object(
+        'success', false,
+        'message', format('Payments total %s but the sale is %s', v_paid, p_total_amount)
+      );
+    end if;
+  end if;
+
+  -- Lock every ingredient the sale touches before checking stock
+  perform 1
+  from ingredients i
+  where i.ingredient_id in (select u.ingredient_id from sale_ingredient_usage(p_items) u)
+  for update;
+
+  select i.ingredient_id, i.name, i.quantity, u.required
+  into v_shortage
+  from sale_ingredient_usage(p_items) u
+  join ingredients i on i.ingredient_id = u.ingredient_id
+  where u.required > coalesce(i.quantity, 0)
+  limit 1;
+
+  if found then
+    return jsonb_build_object(
+      'success', false,
+      'conflict', true,
+      'ingredient_id', v_shortage.ingredient_id,
+      'message', format('Not enough %s (need %s, have %s)',
+                        v_shortage.name, v_shortage.required, coalesce(v_shortage.quantity, 0))
+    );
+  end if;
+
+  insert into sales_header (
+    cashier_id, sale_date, payment_method, total_amount,
+    subtotal_amount, discount_amount, vat_amount, vat_exempt_amount,
+    discount_type, promo_id, promo_code, discount_reason, discount_approved_by,
+    senior_pwd_id, senior_pwd_name,
+    client_reference, offline_recorded_at, created_at
+  ) values (
+    p_cashier_id, p_sale_date, p_payment_method, p_total_amount,
+    (v_discount->>'subtotal_amount')::numeric,
+    coalesce((v_discount->>'discount_amount')::numeric, 0),
+    (v_discount->>'vat_amount')::numeric,
+    coalesce((v_discount->>'vat_exempt_amount')::numeric, 0),
+    v_discount->>'discount_type',
+    (v_discount->>'promo_id')::integer,
+    v_discount->>'promo_code',
+    v_discount->>'discount_reason',
+    (v_discount->>'discount_approved_by')::integer,
+    v_discount->>'senior_pwd_id',
+    v_discount->>'senior_pwd_name',
+    p_client_reference,
+    case when p_client_reference is not null then p_sale_date end,
+    now()
+  )
+  returning sale_id into v_sale_id;
+
+  insert into sales_detail (
+    sale_id, item_id, quantity, unit_price, subtotal, modifiers,
+    discount_amount, discount_label, created_at
+  )
+  select v_sale_id, x.item_id, x.quantity, x.unit_price, x.subtotal,
+         coalesce(x.modifiers, '[]'::jsonb),
+         coalesce(x.discount_amount, 0), x.discount_label, now()
+  from jsonb_to_recordset(p_items)
+    as x(item_id integer, quantity integer, unit_price numeric, subtotal numeric,
+         modifiers jsonb, discount_amount numeric, discount_label text);
+
+  if p_payments is not null and jsonb_array_length(p_payments) > 0 then
+    insert into sales_payments (
+      sale_id, payment_method, amount, tendered_amount, change_amount, reference_number, created_at
+    )
+    select v_sale_id, pay.payment_method, pay.amount,
+           coalesce(pay.tendered_amount, pay.amount), coalesce(pay.change_amount, 0),
+           nullif(trim(pay.reference_number), ''), now()
+    from jsonb_to_recordset(p_payments)
+      as pay(payment_method text, amount numeric, tendered_amount numeric,
+             change_amount numeric, reference_number text);
+  else
+    insert into sales_payments (sale_id, payment_method, amount, tendered_amount, created_at)
+    values (v_sale_id, p_payment_method, p_total_amount, p_total_amount, now());
+  end if;
+
+  update ingredients i
+  set quantity = i.quantity - u.required,
+      updated_at = now()
+  from sale_ingredient_usage(p_items) u
+  where i.ingredient_id = u.ingredient_id;
+
+  return jsonb_build_object('success', true, 'sale_id', v_sale_id);
+end;
+$$;
+
+grant execute on function public.process_sale(uuid, timestamptz, text, numeric, jsonb, uuid, jsonb, jsonb) to authenticated;
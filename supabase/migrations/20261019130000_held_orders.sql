@@ -0,0 +1,40 @@
+-- Held (parked) orders
+-- A cashier can park an open order under a name or table number, start
+-- another, and resume the parked one later. Parked orders live here rather
+-- than on the terminal so another terminal or the next shift can pick them
+-- up. order_data is the cart as the terminal holds it (lines, modifiers,
+-- line discounts and the order discount); resuming deletes the row, so only
+-- one terminal can take it.
+
+create table if not exists public.held_orders (
+  held_order_id serial primary key,
+  label text not null check (length(trim(label)) > 0),
+  table_number text,
+  order_data jsonb not null,
+  item_count integer not null default 0,
+  total_amount numeric not null default 0,
+  held_by uuid,
+  held_by_name text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists held_orders_created_at_idx
+  on public.held_orders (created_at);
+
+alter table public.held_orders enable row level security;
+
+create policy "Authenticated users can read held orders"
+  on public.held_orders for select to authenticated using (true);
+
+create policy "Authenticated users can hold orders"
+  on public.held_orders for insert to authenticated with check (true);
+
+create policy "Authenticated users can update held orders"
+  on public.held_orders for update to authenticated using (true) with check (true);
+
+create policy "Authenticated users can resume or discard held orders"
+  on public.held_orders for delete to authenticated using (true);
+
+-- Terminals keep their list of parked orders current without polling
+alter publication supabase_realtime add table public.held_orders;
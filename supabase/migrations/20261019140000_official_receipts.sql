@@ -0,0 +1,256 @@
+-- Official receipt (OR) numbering
+-- Every terminal issues its own gapless OR series with a configurable
+-- prefix (e.g. T01-00000001). process_sale reserves the next number in the
+-- same transaction that records the sale, so a failed sale never burns a
+-- number. Voided and refunded sales keep their OR number.
+
+create table if not exists public.pos_terminals (
+  terminal_id text primary key check (terminal_id ~ '^[A-Za-z0-9_-]+$'),
+  name text not null,
+  or_prefix text not null default '',
+  or_number_width integer not null default 8 check (or_number_width between 4 and 12),
+  next_or_number bigint not null default 1 check (next_or_number > 0),
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.pos_terminals enable row level security;
+
+create policy "Authenticated users can read terminals"
+  on public.pos_terminals for select to authenticated using (true);
+
+create policy "Managers can manage terminals"
+  on public.pos_terminals for all to authenticated
+  using (
+    exists (
+      select 1
+      from staff s
+      join roles r on r.role_id = s.role_id
+      where s.user_id = auth.uid()
+        and r.role_name in ('Admin', 'Manager')
+    )
+  )
+  with check (
+    exists (
+      select 1
+      from staff s
+      join roles r on r.role_id = s.role_id
+      where s.user_id = auth.uid()
+        and r.role_name in ('Admin', 'Manager')
+    )
+  );
+
+-- A series can be started at any number but never moved back or re-prefixed
+-- once receipts have been issued from it
+create or replace function public.guard_or_series()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.next_or_number < old.next_or_number then
+    raise exception 'The OR series for terminal % cannot be moved back', old.terminal_id;
+  end if;
+
+  if (new.or_prefix <> old.or_prefix or new.or_number_width <> old.or_number_width)
+     and exists (select 1 from sales_header where terminal_id = old.terminal_id) then
+    raise exception 'Terminal % has issued receipts; its OR format cannot change', old.terminal_id;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists pos_terminals_guard_or_series on public.pos_terminals;
+create trigger pos_terminals_guard_or_series
+  before update on public.pos_terminals
+  for each row execute function public.guard_or_series();
+
+alter table public.sales_header
+  add column if not exists terminal_id text references public.pos_terminals (terminal_id),
+  add column if not exists or_sequence bigint,
+  add column if not exists or_number text;
+
+create unique index if not exists sales_header_terminal_or_sequence_key
+  on public.sales_header (terminal_id, or_sequence)
+  where or_sequence is not null;
+
+-- Receipts are looked up by OR number when voiding or refunding
+create index if not exists sales_header_or_number_idx
+  on public.sales_header (or_number);
+
+drop function if exists public.process_sale(uuid, timestamptz, text, numeric, jsonb, uuid, jsonb, jsonb);
+
+create or replace function public.process_sale(
+  p_cashier_id uuid,
+  p_sale_date timestamptz,
+  p_payment_method text,
+  p_total_amount numeric,
+  p_items jsonb,
+  p_client_reference uuid default null,
+  p_discount jsonb default null,
+  p_payments jsonb default null,
+  p_terminal_id text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_sale_id integer;
+  v_shortage record;
+  v_discount jsonb := coalesce(p_discount, '{}'::jsonb);
+  v_paid numeric;
+  v_terminal record;
+  v_or_number text;
+begin
+  -- A replayed offline sale that already went through is reported as done
+  if p_client_reference is not null then
+    select sale_id, or_number into v_sale_id, v_or_number
+    from sales_header
+    where client_reference = p_client_reference;
+
+    if found then
+      return jsonb_build_object(
+        'success', true, 'sale_id', v_sale_id, 'or_number', v_or_number, 'duplicate', true
+      );
+    end if;
+  end if;
+
+  if not exists (
+    select 1 from pos_terminals where terminal_id = p_terminal_id and is_active
+  ) then
+    return jsonb_build_object(
+      'success', false,
+      'message', 'This terminal is not registered for official receipts'
+    );
+  end if;
+
+  if v_discount->>'discount_type' in ('senior', 'pwd')
+     and nullif(trim(v_discount->>'senior_pwd_id'), '') is null then
+    return jsonb_build_object(
+      'success', false,
+      'message', 'Senior Citizen/PWD discount requires the customer''s ID number'
+    );
+  end if;
+
+  if v_discount->>'discount_type' = 'manual'
+     and v_discount->>'discount_approved_by' is null then
+    return jsonb_build_object(
+      'success', false,
+      'message', 'Manual discount requires manager approval'
+    );
+  end if;
+
+  -- Tender lines must cover the sale exactly (change is tracked per line)
+  if p_payments is not null and jsonb_array_length(p_payments) > 0 then
+    select coalesce(sum((pay->>'amount')::numeric), 0) into v_paid
+    from jsonb_array_elements(p_payments) pay;
+
+    if abs(v_paid - p_total_amount) > 0.01 then
+      return jsonb_build_object(
+        'success', false,
+        'message', format('Payments total %s but the sale is %s', v_paid, p_total_amount)
+      );
+    end if;
+  end if;
+
+  -- Lock every ingredient the sale touches before checking stock
+  perform 1
+  from ingredients i
+  where i.ingredient_id in (select u.ingredient_id from sale_ingredient_usage(p_items) u)
+  for update;
+
+  select i.ingredient_id, i.name, i.quantity, u.required
+  into v_shortage
+  from sale_ingredient_usage(p_items) u
+  join ingredients i on i.ingredient_id = u.ingredient_id
+  where u.required > coalesce(i.quantity, 0)
+  limit 1;
+
+  if found then
+    return jsonb_build_object(
+      'success', false,
+      'conflict', true,
+      'ingredient_id', v_shortage.ingredient_id,
+      'message', format('Not enough %s (need %s, have %s)',
+                        v_shortage.name, v_shortage.required, coalesce(v_shortage.quantity, 0))
+    );
+  end if;
+
+  -- Take the terminal's next OR number. The row lock serialises sales on the
+  -- terminal, and a failure below rolls the counter back, so the series has no gaps.
+  update pos_terminals
+  set next_or_number = next_or_number + 1,
+      updated_at = now()
+  where terminal_id = p_terminal_id
+  returning next_or_number - 1 as or_sequence, or_prefix, or_number_width
+  into v_terminal;
+
+  v_or_number := v_terminal.or_prefix
+    || lpad(v_terminal.or_sequence::text, v_terminal.or_number_width, '0');
+
+  insert into sales_header (
+    terminal_id, or_sequence, or_number,
+    cashier_id, sale_date, payment_method, total_amount,
+    subtotal_amount, discount_amount, vat_amount, vat_exempt_amount,
+    discount_type, promo_id, promo_code, discount_reason, discount_approved_by,
+    senior_pwd_id, senior_pwd_name,
+    client_reference, offline_recorded_at, created_at
+  ) values (
+    p_terminal_id, v_terminal.or_sequence, v_or_number,
+    p_cashier_id, p_sale_date, p_payment_method, p_total_amount,
+    (v_discount->>'subtotal_amount')::numeric,
+    coalesce((v_discount->>'discount_amount')::numeric, 0),
+    (v_discount->>'vat_amount')::numeric,
+    coalesce((v_discount->>'vat_exempt_amount')::numeric, 0),
+    v_discount->>'discount_type',
+    (v_discount->>'promo_id')::integer,
+    v_discount->>'promo_code',
+    v_discount->>'discount_reason',
+    (v_discount->>'discount_approved_by')::integer,
+    v_discount->>'senior_pwd_id',
+    v_discount->>'senior_pwd_name',
+    p_client_reference,
+    case when p_client_reference is not null then p_sale_date end,
+    now()
+  )
+  returning sale_id into v_sale_id;
+
+  insert into sales_detail (
+    sale_id, item_id, quantity, unit_price, subtotal, modifiers,
+    discount_amount, discount_label, created_at
+  )
+  select v_sale_id, x.item_id, x.quantity, x.unit_price, x.subtotal,
+         coalesce(x.modifiers, '[]'::jsonb),
+         coalesce(x.discount_amount, 0), x.discount_label, now()
+  from jsonb_to_recordset(p_items)
+    as x(item_id integer, quantity integer, unit_price numeric, subtotal numeric,
+         modifiers jsonb, discount_amount numeric, discount_label text);
+
+  if p_payments is not null and jsonb_array_length(p_payments) > 0 then
+    insert into sales_payments (
+      sale_id, payment_method, amount, tendered_amount, change_amount, reference_number, created_at
+    )
+    select v_sale_id, pay.payment_method, pay.amount,
+           coalesce(pay.tendered_amount, pay.amount), coalesce(pay.change_amount, 0),
+           nullif(trim(pay.reference_number), ''), now()
+    from jsonb_to_recordset(p_payments)
+      as pay(payment_method text, amount numeric, tendered_amount numeric,
+             change_amount numeric, reference_number text);
+  else
+    insert into sales_payments (sale_id, payment_method, amount, tendered_amount, created_at)
+    values (v_sale_id, p_payment_method, p_total_amount, p_total_amount, now());
+  end if;
+
+  update ingredients i
+  set quantity = i.quantity - u.required,
+      updated_at = now()
+  from sale_ingredient_usage(p_items) u
+  where i.ingredient_id = u.ingredient_id;
+
+  return jsonb_build_object('success', true, 'sale_id', v_sale_id, 'or_number', v_or_number);
+end;
+$$;
+
+grant execute on function public.process_sale(uuid, timestamptz, text, numeric, jsonb, uuid, jsonb, jsonb, text) to authenticated;
@@ -0,0 +1,296 @@
+-- Cashier shifts, X-read and Z-read
+-- A shift opens on a terminal with a cash float. Cash taken in or paid out
+-- of the drawer during the shift is logged as an event. Closing the shift
+-- records the count by denomination and the variance against the cash the
+-- drawer should hold. Sales belong to a shift by terminal and the time the
+-- server recorded them, since a terminal has at most one open shift. An
+-- offline sale counts when it syncs: one replayed after its shift closed or
+-- after the day's Z-read lands in the next period instead of in none.
+--
+-- An X-read is a mid-shift summary and changes nothing. A Z-read closes the
+-- terminal's business day: it is numbered, stored once per day, and carries
+-- the terminal's running grand total.
+
+create table if not exists public.cashier_shifts (
+  shift_id serial primary key,
+  terminal_id text not null references public.pos_terminals (terminal_id),
+  cashier_id uuid not null,
+  cashier_name text,
+  status text not null default 'open' check (status in ('open', 'closed')),
+  opening_float numeric not null default 0 check (opening_float >= 0),
+  opened_at timestamptz not null default now(),
+  closed_at timestamptz,
+  closing_count jsonb,
+  counted_cash numeric,
+  expected_cash numeric,
+  variance numeric,
+  closing_notes text,
+  summary jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists cashier_shifts_one_open_per_terminal
+  on public.cashier_shifts (terminal_id)
+  where status = 'open';
+
+create index if not exists cashier_shifts_terminal_opened_idx
+  on public.cashier_shifts (terminal_id, opened_at);
+
+create index if not exists sales_header_terminal_created_idx
+  on public.sales_header (terminal_id, created_at);
+
+create table if not exists public.shift_cash_events (
+  event_id serial primary key,
+  shift_id integer not null references public.cashier_shifts (shift_id) on delete cascade,
+  event_type text not null check (event_type in ('cash_in', 'cash_out')),
+  amount numeric not null check (amount > 0),
+  reason text not null,
+  created_by uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists shift_cash_events_shift_id_idx
+  on public.shift_cash_events (shift_id);
+
+create table if not exists public.z_reads (
+  z_read_id serial primary key,
+  terminal_id text not null references public.pos_terminals (terminal_id),
+  business_date date not null,
+  z_counter integer not null,
+  period_start timestamptz not null,
+  period_end timestamptz not null,
+  summary jsonb not null,
+  previous_grand_total numeric not null default 0,
+  grand_total numeric not null default 0,
+  generated_by uuid,
+  generated_at timestamptz not null default now(),
+  unique (terminal_id, business_date),
+  unique (terminal_id, z_counter)
+);
+
+alter table public.cashier_shifts enable row level security;
+alter table public.shift_cash_events enable row level security;
+alter table public.z_reads enable row level security;
+
+create policy "Authenticated users can read shifts"
+  on public.cashier_shifts for select to authenticated using (true);
+
+create policy "Cashiers can open their own shifts"
+  on public.cashier_shifts for insert to authenticated
+  with check (cashier_id = auth.uid());
+
+create policy "Authenticated users can read cash events"
+  on public.shift_cash_events for select to authenticated using (true);
+
+create policy "Cash events are logged against open shifts"
+  on public.shift_cash_events for insert to authenticated
+  with check (
+    exists (
+      select 1 from public.cashier_shifts cs
+      where cs.shift_id = shift_cash_events.shift_id
+        and cs.status = 'open'
+    )
+  );
+
+create policy "Authenticated users can read Z-reads"
+  on public.z_reads for select to authenticated using (true);
+
+-- Sales recorded, voids and tenders on a terminal between two points in time
+create or replace function public.terminal_sales_summary(
+  p_terminal_id text,
+  p_from timestamptz,
+  p_to timestamptz
+) returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with period_sales as (
+    select *
+    from sales_header
+    where terminal_id = p_terminal_id
+      and created_at >= p_from
+      and created_at < p_to
+  ),
+  valid_sales as (
+    select * from period_sales where not coalesce(is_voided, false)
+  ),
+  period_voids as (
+    select sh.sale_id, sh.or_number, sh.total_amount
+    from sales_voids sv
+    join sales_header sh on sh.sale_id = sv.sale_id
+    where sh.terminal_id = p_terminal_id
+      and sv.void_datetime >= p_from
+      and sv.void_datetime < p_to
+  ),
+  tenders as (
+    select sp.payment_method, sum(sp.amount) as amount, count(distinct sp.sale_id) as sale_count
+    from sales_payments sp
+    join valid_sales vs on vs.sale_id = sp.sale_id
+    group by sp.payment_method
+  )
+  select jsonb_build_object(
+    'sales_count', (select count(*) from valid_sales),
+    'gross_sales', (select coalesce(sum(coalesce(subtotal_amount, total_amount)), 0) from valid_sales),
+    'discount_amount', (select coalesce(sum(discount_amount), 0) from valid_sales),
+    'vat_amount', (select coalesce(sum(vat_amount), 0) from valid_sales),
+    'vat_exempt_amount', (select coalesce(sum(vat_exempt_amount), 0) from valid_sales),
+    'net_sales', (select coalesce(sum(total_amount), 0) from valid_sales),
+    'senior_pwd_count', (select count(*) from valid_sales where discount_type in ('senior', 'pwd')),
+    'void_count', (select count(*) from period_voids),
+    'void_amount', (select coalesce(sum(total_amount), 0) from period_voids),
+    'payments', coalesce(
+      (select jsonb_object_agg(payment_method, amount) from tenders),
+      '{}'::jsonb
+    ),
+    'cash_sales', coalesce((select amount from tenders where payment_method = 'cash'), 0),
+    'beginning_or', (select or_number from period_sales where or_sequence is not null order by or_sequence limit 1),
+    'ending_or', (select or_number from period_sales where or_sequence is not null order by or_sequence desc limit 1)
+  );
+$$;
+
+-- Cash the drawer should hold: float + cash sales + cash in - cash out
+create or replace function public.shift_expected_cash(p_shift_id integer)
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select cs.opening_float
+    + coalesce((public.terminal_sales_summary(cs.terminal_id, cs.opened_at, coalesce(cs.closed_at, now()))->>'cash_sales')::numeric, 0)
+    + coalesce((select sum(amount) from shift_cash_events where shift_id = cs.shift_id and event_type = 'cash_in'), 0)
+    - coalesce((select sum(amount) from shift_cash_events where shift_id = cs.shift_id and event_type = 'cash_out'), 0)
+  from cashier_shifts cs
+  where cs.shift_id = p_shift_id;
+$$;
+
+create or replace function public.close_shift(
+  p_shift_id integer,
+  p_closing_count jsonb,
+  p_counted_cash numeric,
+  p_notes text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_shift cashier_shifts%rowtype;
+  v_closed_at timestamptz := now();
+  v_expected numeric;
+begin
+  select * into v_shift
+  from cashier_shifts
+  where shift_id = p_shift_id
+  for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Shift not found');
+  end if;
+
+  if v_shift.status <> 'open' then
+    return jsonb_build_object('success', false, 'message', 'This shift is already closed');
+  end if;
+
+  -- Only the cashier on the shift or a manager can close it
+  if v_shift.cashier_id <> auth.uid() and not exists (
+    select 1
+    from staff s
+    join roles r on r.role_id = s.role_id
+    where s.user_id = auth.uid()
+      and r.role_name in ('Admin', 'Manager')
+  ) then
+    return jsonb_build_object('success', false, 'message', 'Only the shift''s cashier or a manager can close it');
+  end if;
+
+  update cashier_shifts
+  set closed_at = v_closed_at
+  where shift_id = p_shift_id;
+
+  v_expected := shift_expected_cash(p_shift_id);
+
+  update cashier_shifts
+  set status = 'closed',
+      closing_count = p_closing_count,
+      counted_cash = p_counted_cash,
+      expected_cash = v_expected,
+      variance = p_counted_cash - v_expected,
+      closing_notes = nullif(trim(p_notes), ''),
+      summary = terminal_sales_summary(v_shift.terminal_id, v_shift.opened_at, v_closed_at),
+      updated_at = now()
+  where shift_id = p_shift_id
+  returning * into v_shift;
+
+  return jsonb_build_object('success', true, 'shift', to_jsonb(v_shift));
+end;
+$$;
+
+-- Close the terminal's business day. Running it again the same day returns
+-- the stored Z-read so it can be reprinted.
+create or replace function public.generate_z_read(p_terminal_id text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_business_date date := (now() at time zone 'Asia/Manila')::date;
+  v_period_start timestamptz;
+  v_period_end timestamptz := now();
+  v_existing z_reads%rowtype;
+  v_last z_reads%rowtype;
+  v_summary jsonb;
+  v_net numeric;
+  v_z_read z_reads%rowtype;
+begin
+  select * into v_existing
+  from z_reads
+  where terminal_id = p_terminal_id
+    and business_date = v_business_date;
+
+  if found then
+    return jsonb_build_object('success', true, 'z_read', to_jsonb(v_existing), 'reprint', true);
+  end if;
+
+  if exists (select 1 from cashier_shifts where terminal_id = p_terminal_id and status = 'open') then
+    return jsonb_build_object('success', false, 'message', 'Close the open shift on this terminal first');
+  end if;
+
+  -- Serialise Z-reads per terminal so counters stay sequential
+  perform 1 from pos_terminals where terminal_id = p_terminal_id for update;
+
+  select * into v_last
+  from z_reads
+  where terminal_id = p_terminal_id
+  order by z_counter desc
+  limit 1;
+
+  -- The day runs from the previous Z-read (or the start of the day) to now
+  v_period_start := coalesce(
+    v_last.period_end,
+    (v_business_date::timestamp at time zone 'Asia/Manila')
+  );
+
+  v_summary := terminal_sales_summary(p_terminal_id, v_period_start, v_period_end);
+  v_net := coalesce((v_summary->>'net_sales')::numeric, 0);
+
+  insert into z_reads (
+    terminal_id, business_date, z_counter, period_start, period_end,
+    summary, previous_grand_total, grand_total, generated_by
+  ) values (
+    p_terminal_id, v_business_date, coalesce(v_last.z_counter, 0) + 1, v_period_start, v_period_end,
+    v_summary, coalesce(v_last.grand_total, 0), coalesce(v_last.grand_total, 0) + v_net, auth.uid()
+  )
+  returning * into v_z_read;
+
+  return jsonb_build_object('success', true, 'z_read', to_jsonb(v_z_read));
+end;
+$$;
+
+grant execute on function public.terminal_sales_summary(text, timestamptz, timestamptz) to authenticated;
+grant execute on function public.shift_expected_cash(integer) to authenticated;
+grant execute on function public.close_shift(integer, jsonb, numeric, text) to authenticated;
+grant execute on function public.generate_z_read(text) to authenticated;
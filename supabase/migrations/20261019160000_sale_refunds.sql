@@ -0,0 +1,346 @@
+-- Partial refunds and returns
+-- A refund gives back part of a completed sale: some quantity of one or
+-- more lines, paid out in a chosen tender. Each returned line is either put
+-- back into stock through its recipe (restock) or written off (waste). A
+-- sale can be refunded several times until every line is fully returned;
+-- voiding stays an all-or-nothing reversal of a sale nobody has refunded.
+--
+-- Refund amounts follow what the customer actually paid: each line's share
+-- of the sale total after line and order discounts, VAT or VAT exemption.
+
+create table if not exists public.sales_refunds (
+  refund_id serial primary key,
+  sale_id integer not null references public.sales_header (sale_id),
+  terminal_id text references public.pos_terminals (terminal_id),
+  refund_method text not null,
+  refund_amount numeric not null check (refund_amount >= 0),
+  reason text not null,
+  requested_by integer references public.staff (staff_id),
+  approved_by integer not null references public.staff (staff_id),
+  created_by uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists sales_refunds_sale_id_idx
+  on public.sales_refunds (sale_id);
+
+create index if not exists sales_refunds_terminal_created_idx
+  on public.sales_refunds (terminal_id, created_at);
+
+create table if not exists public.sales_refund_items (
+  refund_item_id serial primary key,
+  refund_id integer not null references public.sales_refunds (refund_id) on delete cascade,
+  sale_detail_id integer not null references public.sales_detail (sale_detail_id),
+  item_id integer not null references public.items (item_id),
+  quantity integer not null check (quantity > 0),
+  subtotal numeric not null default 0,
+  amount numeric not null default 0,
+  disposition text not null check (disposition in ('restock', 'waste'))
+);
+
+create index if not exists sales_refund_items_refund_id_idx
+  on public.sales_refund_items (refund_id);
+
+create index if not exists sales_refund_items_sale_detail_id_idx
+  on public.sales_refund_items (sale_detail_id);
+
+alter table public.sales_refunds enable row level security;
+alter table public.sales_refund_items enable row level security;
+
+-- Refunds are written by process_refund only
+create policy "Authenticated users can read refunds"
+  on public.sales_refunds for select to authenticated using (true);
+
+create policy "Authenticated users can read refund lines"
+  on public.sales_refund_items for select to authenticated using (true);
+
+-- A refunded sale can no longer be voided: the void would put back stock
+-- and money that the refund already returned
+create or replace function public.guard_void_refunded_sale()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.is_voided and not coalesce(old.is_voided, false)
+     and exists (select 1 from sales_refunds where sale_id = new.sale_id) then
+    raise exception 'Sale % has refunds and cannot be voided', new.sale_id;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists guard_void_refunded_sale on public.sales_header;
+create trigger guard_void_refunded_sale
+  before update of is_voided on public.sales_header
+  for each row execute function public.guard_void_refunded_sale();
+
+create or replace function public.process_refund(
+  p_sale_id integer,
+  p_items jsonb,
+  p_refund_method text,
+  p_reason text,
+  p_approved_by integer,
+  p_terminal_id text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_sale sales_header%rowtype;
+  v_requested_by integer;
+  v_factor numeric;
+  v_line record;
+  v_refund_id integer;
+  v_total numeric := 0;
+  v_restock jsonb := '[]'::jsonb;
+begin
+  if nullif(trim(p_reason), '') is null then
+    return jsonb_build_object('success', false, 'message', 'A refund reason is required');
+  end if;
+
+  if p_items is null or jsonb_array_length(p_items) = 0 then
+    return jsonb_build_object('success', false, 'message', 'Select at least one item to refund');
+  end if;
+
+  if not exists (
+    select 1
+    from staff s
+    join roles r on r.role_id = s.role_id
+    where s.staff_id = p_approved_by
+      and r.role_name in ('Admin', 'Manager')
+  ) then
+    return jsonb_build_object('success', false, 'message', 'Refunds must be approved by a manager');
+  end if;
+
+  -- Serialise refunds on the same sale so returned quantities cannot overlap
+  select * into v_sale
+  from sales_header
+  where sale_id = p_sale_id
+  for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Sale not found');
+  end if;
+
+  if coalesce(v_sale.is_voided, false) then
+    return jsonb_build_object('success', false, 'message', 'This sale was voided and cannot be refunded');
+  end if;
+
+  select staff_id into v_requested_by
+  from staff
+  where user_id = auth.uid();
+
+  -- What the customer paid per peso of discounted line value
+  select case when coalesce(sum(subtotal - coalesce(discount_amount, 0)), 0) > 0
+              then v_sale.total_amount / sum(subtotal - coalesce(discount_amount, 0))
+              else 0 end
+  into v_factor
+  from sales_detail
+  where sale_id = p_sale_id;
+
+  create temporary table refund_lines on commit drop as
+  select sd.sale_detail_id,
+         sd.item_id,
+         sd.quantity as sold_quantity,
+         sd.subtotal as sold_subtotal,
+         round((sd.subtotal - coalesce(sd.discount_amount, 0)) * v_factor, 2) as line_total,
+         coalesce(jsonb_path_query_array(sd.modifiers, '$[*].modifier_id'), '[]'::jsonb) as modifier_ids,
+         x.quantity,
+         x.disposition,
+         coalesce((select sum(ri.quantity) from sales_refund_items ri
+                   where ri.sale_detail_id = sd.sale_detail_id), 0) as refunded_quantity,
+         coalesce((select sum(ri.amount) from sales_refund_items ri
+                   where ri.sale_detail_id = sd.sale_detail_id), 0) as refunded_amount,
+         0::numeric as subtotal,
+         0::numeric as amount
+  from jsonb_to_recordset(p_items) as x(sale_detail_id integer, quantity integer, disposition text)
+  left join sales_detail sd
+    on sd.sale_detail_id = x.sale_detail_id
+   and sd.sale_id = p_sale_id;
+
+  select * into v_line
+  from refund_lines
+  where item_id is null
+     or quantity is null
+     or quantity <= 0
+     or coalesce(disposition, '') not in ('restock', 'waste')
+  limit 1;
+
+  if found then
+    return jsonb_build_object('success', false, 'message', 'Refund lines must be items on this sale with a quantity and restock or waste');
+  end if;
+
+  if exists (select 1 from refund_lines group by sale_detail_id having count(*) > 1) then
+    return jsonb_build_object('success', false, 'message', 'Each sale line can only be listed once per refund');
+  end if;
+
+  select l.sale_detail_id, i.item_name, l.sold_quantity - l.refunded_quantity as remaining
+  into v_line
+  from refund_lines l
+  left join items i on i.item_id = l.item_id
+  where l.quantity > l.sold_quantity - l.refunded_quantity
+  limit 1;
+
+  if found then
+    return jsonb_build_object(
+      'success', false,
+      'message', format('Only %s of %s can still be refunded', v_line.remaining, coalesce(v_line.item_name, 'this item'))
+    );
+  end if;
+
+  -- Returning the last units of a line refunds whatever is left of it, so
+  -- rounding never leaves a few centavos behind
+  update refund_lines
+  set subtotal = round(sold_subtotal * quantity / sold_quantity, 2),
+      amount = case
+        when quantity = sold_quantity - refunded_quantity then line_total - refunded_amount
+        else round(line_total * quantity / sold_quantity, 2)
+      end;
+
+  select coalesce(sum(amount), 0) into v_total from refund_lines;
+
+  insert into sales_refunds (
+    sale_id, terminal_id, refund_method, refund_amount, reason,
+    requested_by, approved_by, created_by
+  ) values (
+    p_sale_id, coalesce(p_terminal_id, v_sale.terminal_id), p_refund_method, v_total, trim(p_reason),
+    v_requested_by, p_approved_by, auth.uid()
+  )
+  returning refund_id into v_refund_id;
+
+  insert into sales_refund_items (
+    refund_id, sale_detail_id, item_id, quantity, subtotal, amount, disposition
+  )
+  select v_refund_id, sale_detail_id, item_id, quantity, subtotal, amount, disposition
+  from refund_lines;
+
+  -- Restocked lines put their recipe back, options included; waste stays used
+  select coalesce(jsonb_agg(jsonb_build_object(
+    'item_id', item_id,
+    'quantity', quantity,
+    'modifier_ids', modifier_ids
+  )), '[]'::jsonb)
+  into v_restock
+  from refund_lines
+  where disposition = 'restock';
+
+  if jsonb_array_length(v_restock) > 0 then
+    update ingredients i
+    set quantity = coalesce(i.quantity, 0) + u.required,
+        updated_at = now()
+    from sale_ingredient_usage(v_restock) u
+    where i.ingredient_id = u.ingredient_id;
+  end if;
+
+  return jsonb_build_object(
+    'success', true,
+    'refund_id', v_refund_id,
+    'sale_id', p_sale_id,
+    'or_number', v_sale.or_number,
+    'refund_amount', v_total
+  );
+end;
+$$;
+
+-- Sales, voids, refunds and tenders on a terminal between two points in
+-- time. Net sales and tender totals are after refunds paid out in the period.
+create or replace function public.terminal_sales_summary(
+  p_terminal_id text,
+  p_from timestamptz,
+  p_to timestamptz
+) returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with period_sales as (
+    select *
+    from sales_header
+    where terminal_id = p_terminal_id
+      and created_at >= p_from
+      and created_at < p_to
+  ),
+  valid_sales as (
+    select * from period_sales where not coalesce(is_voided, false)
+  ),
+  period_voids as (
+    select sh.sale_id, sh.or_number, sh.total_amount
+    from sales_voids sv
+    join sales_header sh on sh.sale_id = sv.sale_id
+    where sh.terminal_id = p_terminal_id
+      and sv.void_datetime >= p_from
+      and sv.void_datetime < p_to
+  ),
+  period_refunds as (
+    select *
+    from sales_refunds
+    where terminal_id = p_terminal_id
+      and created_at >= p_from
+      and created_at < p_to
+  ),
+  tenders as (
+    select sp.payment_method, sum(sp.amount) as amount, count(distinct sp.sale_id) as sale_count
+    from sales_payments sp
+    join valid_sales vs on vs.sale_id = sp.sale_id
+    group by sp.payment_method
+  ),
+  refund_tenders as (
+    select refund_method, sum(refund_amount) as amount
+    from period_refunds
+    group by refund_method
+  )
+  select jsonb_build_object(
+    'sales_count', (select count(*) from valid_sales),
+    'gross_sales', (select coalesce(sum(coalesce(subtotal_amount, total_amount)), 0) from valid_sales),
+    'discount_amount', (select coalesce(sum(discount_amount), 0) from valid_sales),
+    'vat_amount', (select coalesce(sum(vat_amount), 0) from valid_sales),
+    'vat_exempt_amount', (select coalesce(sum(vat_exempt_amount), 0) from valid_sales),
+    'net_sales', (select coalesce(sum(total_amount), 0) from valid_sales)
+      - (select coalesce(sum(refund_amount), 0) from period_refunds),
+    'senior_pwd_count', (select count(*) from valid_sales where discount_type in ('senior', 'pwd')),
+    'void_count', (select count(*) from period_voids),
+    'void_amount', (select coalesce(sum(total_amount), 0) from period_voids),
+    'refund_count', (select count(*) from period_refunds),
+    'refund_amount', (select coalesce(sum(refund_amount), 0) from period_refunds),
+    'payments', coalesce(
+      (select jsonb_object_agg(coalesce(t.payment_method, r.refund_method),
+                               coalesce(t.amount, 0) - coalesce(r.amount, 0))
+       from tenders t
+       full join refund_tenders r on r.refund_method = t.payment_method),
+      '{}'::jsonb
+    ),
+    'refunds', coalesce(
+      (select jsonb_object_agg(refund_method, amount) from refund_tenders),
+      '{}'::jsonb
+    ),
+    'cash_sales', coalesce((select amount from tenders where payment_method = 'cash'), 0),
+    'cash_refunds', coalesce((select amount from refund_tenders where refund_method = 'cash'), 0),
+    'beginning_or', (select or_number from period_sales where or_sequence is not null order by or_sequence limit 1),
+    'ending_or', (select or_number from period_sales where or_sequence is not null order by or_sequence desc limit 1)
+  );
+$$;
+
+-- Cash the drawer should hold: float + cash sales - cash refunds + cash in - cash out
+create or replace function public.shift_expected_cash(p_shift_id integer)
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select cs.opening_float
+    + coalesce((s.summary->>'cash_sales')::numeric, 0)
+    - coalesce((s.summary->>'cash_refunds')::numeric, 0)
+    + coalesce((select sum(amount) from shift_cash_events where shift_id = cs.shift_id and event_type = 'cash_in'), 0)
+    - coalesce((select sum(amount) from shift_cash_events where shift_id = cs.shift_id and event_type = 'cash_out'), 0)
+  from cashier_shifts cs
+  cross join lateral (
+    select public.terminal_sales_summary(cs.terminal_id, cs.opened_at, coalesce(cs.closed_at, now())) as summary
+  ) s
+  where cs.shift_id = p_shift_id;
+$$;
+
+grant execute on function public.process_refund(integer, jsonb, text, text, integer, text) to authenticated;
@@ -0,0 +1,757 @@
+-- Stock movement ledger
+-- Every change to an ingredient's on-hand quantity is posted as a signed
+-- movement (sale, void, refund, purchase receipt, consignment, pullout or
+-- adjustment) together with the balance it left. Postings lock the
+-- ingredient rows and update the quantity in the same statement, so two
+-- terminals can no longer read a quantity, subtract in the browser and
+-- overwrite each other.
+--
+-- ingredients.quantity stays the running balance that the rest of the app
+-- reads. A quantity written straight to the table is still recorded, as an
+-- adjustment, so the ledger always adds up to the balance.
+
+create table if not exists public.stock_movements (
+  movement_id bigserial primary key,
+  ingredient_id integer not null references public.ingredients (ingredient_id) on delete cascade,
+  movement_type text not null check (movement_type in (
+    'sale', 'void', 'refund', 'purchase', 'consignment', 'pullout', 'adjustment'
+  )),
+  quantity numeric not null,
+  balance_after numeric not null,
+  reference_type text,
+  reference_id text,
+  notes text,
+  created_by uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists stock_movements_ingredient_created_idx
+  on public.stock_movements (ingredient_id, created_at desc);
+
+create index if not exists stock_movements_reference_idx
+  on public.stock_movements (reference_type, reference_id);
+
+alter table public.stock_movements enable row level security;
+
+-- Movements are written by the posting functions only
+create policy "Authenticated users can read stock movements"
+  on public.stock_movements for select to authenticated using (true);
+
+-- Apply signed quantity changes ([{ ingredient_id, quantity }]) and record
+-- them. Returns the new balance of each ingredient touched.
+create or replace function public.post_stock_movements(
+  p_movement_type text,
+  p_lines jsonb,
+  p_reference_type text default null,
+  p_reference_id text default null,
+  p_notes text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_result jsonb;
+begin
+  -- Lock in a fixed order so concurrent postings cannot deadlock
+  perform 1
+  from ingredients
+  where ingredient_id in (select (x->>'ingredient_id')::integer from jsonb_array_elements(p_lines) x)
+  order by ingredient_id
+  for update;
+
+  -- Tells the direct-edit trigger this change is already being recorded
+  perform set_config('app.stock_movement', 'on', true);
+
+  with lines as (
+    select (x->>'ingredient_id')::integer as ingredient_id,
+           sum((x->>'quantity')::numeric) as quantity
+    from jsonb_array_elements(p_lines) x
+    group by 1
+    having sum((x->>'quantity')::numeric) <> 0
+  ),
+  updated as (
+    update ingredients i
+    set quantity = coalesce(i.quantity, 0) + l.quantity,
+        updated_at = now()
+    from lines l
+    where i.ingredient_id = l.ingredient_id
+    returning i.ingredient_id, i.name, i.quantity as balance_after, i.minimum_quantity, l.quantity
+  ),
+  posted as (
+    insert into stock_movements (
+      ingredient_id, movement_type, quantity, balance_after,
+      reference_type, reference_id, notes, created_by
+    )
+    select ingredient_id, p_movement_type, quantity, balance_after,
+           p_reference_type, p_reference_id, nullif(trim(p_notes), ''), auth.uid()
+    from updated
+    returning ingredient_id
+  )
+  select coalesce(jsonb_agg(jsonb_build_object(
+    'ingredient_id', u.ingredient_id,
+    'name', u.name,
+    'quantity', u.quantity,
+    'balance_after', u.balance_after,
+    'minimum_quantity', u.minimum_quantity
+  )), '[]'::jsonb)
+  into v_result
+  from updated u
+  where u.ingredient_id in (select ingredient_id from posted);
+
+  perform set_config('app.stock_movement', '', true);
+
+  return v_result;
+end;
+$$;
+
+-- Post the recipe usage of sale lines ([{ item_id, quantity, modifier_ids }]).
+-- p_direction is -1 to take stock out (a sale) and 1 to put it back.
+create or replace function public.post_recipe_movements(
+  p_items jsonb,
+  p_direction integer,
+  p_movement_type text,
+  p_reference_type text default null,
+  p_reference_id text default null
+) returns jsonb
+language sql
+security definer
+set search_path = public
+as $$
+  select post_stock_movements(
+    p_movement_type,
+    coalesce((
+      select jsonb_agg(jsonb_build_object('ingredient_id', u.ingredient_id, 'quantity', p_direction * u.required))
+      from sale_ingredient_usage(p_items) u
+    ), '[]'::jsonb),
+    p_reference_type,
+    p_reference_id
+  );
+$$;
+
+-- Quantities written straight to ingredients (the ingredient form, imports,
+-- the SQL editor) are recorded as adjustments
+create or replace function public.record_direct_stock_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if coalesce(current_setting('app.stock_movement', true), '') = 'on' then
+    return new;
+  end if;
+
+  insert into stock_movements (
+    ingredient_id, movement_type, quantity, balance_after, notes, created_by
+  ) values (
+    new.ingredient_id,
+    'adjustment',
+    coalesce(new.quantity, 0) - case when tg_op = 'INSERT' then 0 else coalesce(old.quantity, 0) end,
+    coalesce(new.quantity, 0),
+    case when tg_op = 'INSERT' then 'Opening balance' else 'Quantity edited directly' end,
+    auth.uid()
+  );
+
+  return new;
+end;
+$$;
+
+drop trigger if exists record_direct_stock_change on public.ingredients;
+create trigger record_direct_stock_change
+  after update of quantity on public.ingredients
+  for each row
+  when (old.quantity is distinct from new.quantity)
+  execute function public.record_direct_stock_change();
+
+drop trigger if exists record_opening_stock on public.ingredients;
+create trigger record_opening_stock
+  after insert on public.ingredients
+  for each row
+  when (coalesce(new.quantity, 0) <> 0)
+  execute function public.record_direct_stock_change();
+
+-- Opening balance for stock that existed before the ledger
+insert into public.stock_movements (ingredient_id, movement_type, quantity, balance_after, notes)
+select i.ingredient_id, 'adjustment', coalesce(i.quantity, 0), coalesce(i.quantity, 0), 'Balance when the ledger started'
+from public.ingredients i
+where not exists (select 1 from public.stock_movements m where m.ingredient_id = i.ingredient_id);
+
+-- Manual correction, e.g. after a count or spillage
+create or replace function public.adjust_stock(
+  p_ingredient_id integer,
+  p_quantity numeric,
+  p_notes text
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_result jsonb;
+begin
+  if coalesce(p_quantity, 0) = 0 then
+    return jsonb_build_object('success', false, 'message', 'Enter a quantity to add or remove');
+  end if;
+
+  if nullif(trim(p_notes), '') is null then
+    return jsonb_build_object('success', false, 'message', 'A reason is required for a stock adjustment');
+  end if;
+
+  v_result := post_stock_movements(
+    'adjustment',
+    jsonb_build_array(jsonb_build_object('ingredient_id', p_ingredient_id, 'quantity', p_quantity)),
+    null, null, p_notes
+  );
+
+  if jsonb_array_length(v_result) = 0 then
+    return jsonb_build_object('success', false, 'message', 'Ingredient not found');
+  end if;
+
+  return jsonb_build_object('success', true, 'ingredient', v_result->0);
+end;
+$$;
+
+-- Deduct the recipe of sold lines, for sales recorded outside process_sale
+create or replace function public.deduct_sale_ingredients(
+  p_items jsonb,
+  p_sale_id integer default null
+) returns jsonb
+language sql
+security definer
+set search_path = public
+as $$
+  select jsonb_build_object(
+    'success', true,
+    'deductions', post_recipe_movements(p_items, -1, 'sale', 'sale', p_sale_id::text)
+  );
+$$;
+
+-- Approve a pending pullout and take its quantity out of stock together
+create or replace function public.approve_pullout(
+  p_pullout_id integer,
+  p_approved_by uuid
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_pullout record;
+  v_available numeric;
+  v_result jsonb;
+begin
+  select * into v_pullout
+  from pullout
+  where pullout_id = p_pullout_id
+  for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Pullout not found');
+  end if;
+
+  if v_pullout.status <> 'pending' then
+    return jsonb_build_object('success', false, 'message', format('This pullout is already %s', v_pullout.status));
+  end if;
+
+  select coalesce(quantity, 0) into v_available
+  from ingredients
+  where ingredient_id = v_pullout.ingredient_id
+  for update;
+
+  if v_available < v_pullout.quantity then
+    return jsonb_build_object(
+      'success', false,
+      'message', format('Not enough quantity available for this pullout (have %s)', v_available)
+    );
+  end if;
+
+  v_result := post_stock_movements(
+    'pullout',
+    jsonb_build_array(jsonb_build_object('ingredient_id', v_pullout.ingredient_id, 'quantity', -v_pullout.quantity)),
+    'pullout', p_pullout_id::text, v_pullout.reason
+  );
+
+  update pullout
+  set status = 'approved',
+      approved_by = p_approved_by,
+      updated_at = now()
+  where pullout_id = p_pullout_id
+  returning * into v_pullout;
+
+  return jsonb_build_object('success', true, 'pullout', to_jsonb(v_pullout), 'ingredient', v_result->0);
+end;
+$$;
+
+-- Put a received purchase order's quantities into stock. A purchase is only
+-- ever received into stock once.
+create or replace function public.receive_purchase_stock(p_purchase_id integer)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_result jsonb;
+begin
+  perform 1 from purchase where purchase_id = p_purchase_id for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Purchase order not found');
+  end if;
+
+  if exists (
+    select 1 from stock_movements
+    where reference_type = 'purchase' and reference_id = p_purchase_id::text
+  ) then
+    return jsonb_build_object('success', false, 'message', 'This purchase order is already in stock');
+  end if;
+
+  v_result := post_stock_movements(
+    'purchase',
+    coalesce((
+      select jsonb_agg(jsonb_build_object('ingredient_id', ingredient_id, 'quantity', quantity))
+      from purchase_details
+      where purchase_id = p_purchase_id
+        and ingredient_id is not null
+    ), '[]'::jsonb),
+    'purchase', p_purchase_id::text
+  );
+
+  update ingredients
+  set last_restock_date = now()
+  where ingredient_id in (select (r->>'ingredient_id')::integer from jsonb_array_elements(v_result) r);
+
+  return jsonb_build_object('success', true, 'received', v_result);
+end;
+$$;
+
+-- Void a whole sale and put its recipe back into stock in one transaction.
+-- Replaces any earlier void_sale, whatever its argument list.
+do $$
+declare
+  v_function regprocedure;
+begin
+  for v_function in
+    select oid::regprocedure from pg_proc
+    where proname = 'void_sale' and pronamespace = 'public'::regnamespace
+  loop
+    execute format('drop function %s', v_function);
+  end loop;
+end;
+$$;
+
+create function public.void_sale(
+  p_sale_id integer,
+  p_requested_by integer,
+  p_reason text,
+  p_approved_by integer default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_sale sales_header%rowtype;
+  v_items jsonb;
+begin
+  if nullif(trim(p_reason), '') is null then
+    return jsonb_build_object('success', false, 'message', 'A void reason is required');
+  end if;
+
+  if p_approved_by is not null and not exists (
+    select 1
+    from staff s
+    join roles r on r.role_id = s.role_id
+    where s.staff_id = p_approved_by
+      and r.role_name in ('Admin', 'Manager')
+  ) then
+    return jsonb_build_object('success', false, 'message', 'Voids must be approved by a manager');
+  end if;
+
+  select * into v_sale
+  from sales_header
+  where sale_id = p_sale_id
+  for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Sale not found');
+  end if;
+
+  if coalesce(v_sale.is_voided, false) then
+    return jsonb_build_object('success', false, 'message', 'This sale is already voided');
+  end if;
+
+  if exists (select 1 from sales_refunds where sale_id = p_sale_id) then
+    return jsonb_build_object('success', false, 'message', 'This sale has refunds - refund the remaining items instead');
+  end if;
+
+  update sales_header
+  set is_voided = true,
+      void_reason = trim(p_reason),
+      void_datetime = now(),
+      updated_at = now()
+  where sale_id = p_sale_id;
+
+  insert into sales_voids (sale_id, staff_id, void_reason, void_datetime, created_at, updated_at)
+  values (p_sale_id, p_requested_by, trim(p_reason), now(), now(), now());
+
+  select coalesce(jsonb_agg(jsonb_build_object(
+    'item_id', item_id,
+    'quantity', quantity,
+    'modifier_ids', coalesce(jsonb_path_query_array(modifiers, '$[*].modifier_id'), '[]'::jsonb)
+  )), '[]'::jsonb)
+  into v_items
+  from sales_detail
+  where sale_id = p_sale_id;
+
+  perform post_recipe_movements(v_items, 1, 'void', 'sale', p_sale_id::text);
+
+  return jsonb_build_object('success', true, 'sale_id', p_sale_id, 'or_number', v_sale.or_number);
+end;
+$$;
+
+-- Sales and refunds post their stock through the ledger
+create or replace function public.process_sale(
+  p_cashier_id uuid,
+  p_sale_date timestamptz,
+  p_payment_method text,
+  p_total_amount numeric,
+  p_items jsonb,
+  p_client_reference uuid default null,
+  p_discount jsonb default null,
+  p_payments jsonb default null,
+  p_terminal_id text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_sale_id integer;
+  v_shortage record;
+  v_discount jsonb := coalesce(p_discount, '{}'::jsonb);
+  v_paid numeric;
+  v_terminal record;
+  v_or_number text;
+begin
+  -- A replayed offline sale that already went through is reported as done
+  if p_client_reference is not null then
+    select sale_id, or_number into v_sale_id, v_or_number
+    from sales_header
+    where client_reference = p_client_reference;
+
+    if found then
+      return jsonb_build_object(
+        'success', true, 'sale_id', v_sale_id, 'or_number', v_or_number, 'duplicate', true
+      );
+    end if;
+  end if;
+
+  if not exists (
+    select 1 from pos_terminals where terminal_id = p_terminal_id and is_active
+  ) then
+    return jsonb_build_object(
+      'success', false,
+      'message', 'This terminal is not registered for official receipts'
+    );
+  end if;
+
+  if v_discount->>'discount_type' in ('senior', 'pwd')
+     and nullif(trim(v_discount->>'senior_pwd_id'), '') is null then
+    return jsonb_build_object(
+      'success', false,
+      'message', 'Senior Citizen/PWD discount requires the customer''s ID number'
+    );
+  end if;
+
+  if v_discount->>'discount_type' = 'manual'
+     and v_discount->>'discount_approved_by' is null then
+    return jsonb_build_object(
+      'success', false,
+      'message', 'Manual discount requires manager approval'
+    );
+  end if;
+
+  -- Tender lines must cover the sale exactly (change is tracked per line)
+  if p_payments is not null and jsonb_array_length(p_payments) > 0 then
+    select coalesce(sum((pay->>'amount')::numeric), 0) into v_paid
+    from jsonb_array_elements(p_payments) pay;
+
+    if abs(v_paid - p_total_amount) > 0.01 then
+      return jsonb_build_object(
+        'success', false,
+        'message', format('Payments total %s but the sale is %s', v_paid, p_total_amount)
+      );
+    end if;
+  end if;
+
+  -- Lock every ingredient the sale touches before checking stock
+  perform 1
+  from ingredients i
+  where i.ingredient_id in (select u.ingredient_id from sale_ingredient_usage(p_items) u)
+  order by i.ingredient_id
+  for update;
+
+  select i.ingredient_id, i.name, i.quantity, u.required
+  into v_shortage
+  from sale_ingredient_usage(p_items) u
+  join ingredients i on i.ingredient_id = u.ingredient_id
+  where u.required > coalesce(i.quantity, 0)
+  limit 1;
+
+  if found then
+    return jsonb_build_object(
+      'success', false,
+      'conflict', true,
+      'ingredient_id', v_shortage.ingredient_id,
+      'message', format('Not enough %s (need %s, have %s)',
+                        v_shortage.name, v_shortage.required, coalesce(v_shortage.quantity, 0))
+    );
+  end if;
+
+  -- Take the terminal's next OR number. The row lock serialises sales on the
+  -- terminal, and a failure below rolls the counter back, so the series has no gaps.
+  update pos_terminals
+  set next_or_number = next_or_number + 1,
+      updated_at = now()
+  where terminal_id = p_terminal_id
+  returning next_or_number - 1 as or_sequence, or_prefix, or_number_width
+  into v_terminal;
+
+  v_or_number := v_terminal.or_prefix
+    || lpad(v_terminal.or_sequence::text, v_terminal.or_number_width, '0');
+
+  insert into sales_header (
+    terminal_id, or_sequence, or_number,
+    cashier_id, sale_date, payment_method, total_amount,
+    subtotal_amount, discount_amount, vat_amount, vat_exempt_amount,
+    discount_type, promo_id, promo_code, discount_reason, discount_approved_by,
+    senior_pwd_id, senior_pwd_name,
+    client_reference, offline_recorded_at, created_at
+  ) values (
+    p_terminal_id, v_terminal.or_sequence, v_or_number,
+    p_cashier_id, p_sale_date, p_payment_method, p_total_amount,
+    (v_discount->>'subtotal_amount')::numeric,
+    coalesce((v_discount->>'discount_amount')::numeric, 0),
+    (v_discount->>'vat_amount')::numeric,
+    coalesce((v_discount->>'vat_exempt_amount')::numeric, 0),
+    v_discount->>'discount_type',
+    (v_discount->>'promo_id')::integer,
+    v_discount->>'promo_code',
+    v_discount->>'discount_reason',
+    (v_discount->>'discount_approved_by')::integer,
+    v_discount->>'senior_pwd_id',
+    v_discount->>'senior_pwd_name',
+    p_client_reference,
+    case when p_client_reference is not null then p_sale_date end,
+    now()
+  )
+  returning sale_id into v_sale_id;
+
+  insert into sales_detail (
+    sale_id, item_id, quantity, unit_price, subtotal, modifiers,
+    discount_amount, discount_label, created_at
+  )
+  select v_sale_id, x.item_id, x.quantity, x.unit_price, x.subtotal,
+         coalesce(x.modifiers, '[]'::jsonb),
+         coalesce(x.discount_amount, 0), x.discount_label, now()
+  from jsonb_to_recordset(p_items)
+    as x(item_id integer, quantity integer, unit_price numeric, subtotal numeric,
+         modifiers jsonb, discount_amount numeric, discount_label text);
+
+  if p_payments is not null and jsonb_array_length(p_payments) > 0 then
+    insert into sales_payments (
+      sale_id, payment_method, amount, tendered_amount, change_amount, reference_number, created_at
+    )
+    select v_sale_id, pay.payment_method, pay.amount,
+           coalesce(pay.tendered_amount, pay.amount), coalesce(pay.change_amount, 0),
+           nullif(trim(pay.reference_number), ''), now()
+    from jsonb_to_recordset(p_payments)
+      as pay(payment_method text, amount numeric, tendered_amount numeric,
+             change_amount numeric, reference_number text);
+  else
+    insert into sales_payments (sale_id, payment_method, amount, tendered_amount, created_at)
+    values (v_sale_id, p_payment_method, p_total_amount, p_total_amount, now());
+  end if;
+
+  perform post_recipe_movements(p_items, -1, 'sale', 'sale', v_sale_id::text);
+
+  return jsonb_build_object('success', true, 'sale_id', v_sale_id, 'or_number', v_or_number);
+end;
+$$;
+
+create or replace function public.process_refund(
+  p_sale_id integer,
+  p_items jsonb,
+  p_refund_method text,
+  p_reason text,
+  p_approved_by integer,
+  p_terminal_id text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_sale sales_header%rowtype;
+  v_requested_by integer;
+  v_factor numeric;
+  v_line record;
+  v_refund_id integer;
+  v_total numeric := 0;
+  v_restock jsonb := '[]'::jsonb;
+begin
+  if nullif(trim(p_reason), '') is null then
+    return jsonb_build_object('success', false, 'message', 'A refund reason is required');
+  end if;
+
+  if p_items is null or jsonb_array_length(p_items) = 0 then
+    return jsonb_build_object('success', false, 'message', 'Select at least one item to refund');
+  end if;
+
+  if not exists (
+    select 1
+    from staff s
+    join roles r on r.role_id = s.role_id
+    where s.staff_id = p_approved_by
+      and r.role_name in ('Admin', 'Manager')
+  ) then
+    return jsonb_build_object('success', false, 'message', 'Refunds must be approved by a manager');
+  end if;
+
+  -- Serialise refunds on the same sale so returned quantities cannot overlap
+  select * into v_sale
+  from sales_header
+  where sale_id = p_sale_id
+  for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Sale not found');
+  end if;
+
+  if coalesce(v_sale.is_voided, false) then
+    return jsonb_build_object('success', false, 'message', 'This sale was voided and cannot be refunded');
+  end if;
+
+  select staff_id into v_requested_by
+  from staff
+  where user_id = auth.uid();
+
+  -- What the customer paid per peso of discounted line value
+  select case when coalesce(sum(subtotal - coalesce(discount_amount, 0)), 0) > 0
+              then v_sale.total_amount / sum(subtotal - coalesce(discount_amount, 0))
+              else 0 end
+  into v_factor
+  from sales_detail
+  where sale_id = p_sale_id;
+
+  create temporary table refund_lines on commit drop as
+  select sd.sale_detail_id,
+         sd.item_id,
+         sd.quantity as sold_quantity,
+         sd.subtotal as sold_subtotal,
+         round((sd.subtotal - coalesce(sd.discount_amount, 0)) * v_factor, 2) as line_total,
+         coalesce(jsonb_path_query_array(sd.modifiers, '$[*].modifier_id'), '[]'::jsonb) as modifier_ids,
+         x.quantity,
+         x.disposition,
+         coalesce((select sum(ri.quantity) from sales_refund_items ri
+                   where ri.sale_detail_id = sd.sale_detail_id), 0) as refunded_quantity,
+         coalesce((select sum(ri.amount) from sales_refund_items ri
+                   where ri.sale_detail_id = sd.sale_detail_id), 0) as refunded_amount,
+         0::numeric as subtotal,
+         0::numeric as amount
+  from jsonb_to_recordset(p_items) as x(sale_detail_id integer, quantity integer, disposition text)
+  left join sales_detail sd
+    on sd.sale_detail_id = x.sale_detail_id
+   and sd.sale_id = p_sale_id;
+
+  select * into v_line
+  from refund_lines
+  where item_id is null
+     or quantity is null
+     or quantity <= 0
+     or coalesce(disposition, '') not in ('restock', 'waste')
+  limit 1;
+
+  if found then
+    return jsonb_build_object('success', false, 'message', 'Refund lines must be items on this sale with a quantity and restock or waste');
+  end if;
+
+  if exists (select 1 from refund_lines group by sale_detail_id having count(*) > 1) then
+    return jsonb_build_object('success', false, 'message', 'Each sale line can only be listed once per refund');
+  end if;
+
+  select l.sale_detail_id, i.item_name, l.sold_quantity - l.refunded_quantity as remaining
+  into v_line
+  from refund_lines l
+  left join items i on i.item_id = l.item_id
+  where l.quantity > l.sold_quantity - l.refunded_quantity
+  limit 1;
+
+  if found then
+    return jsonb_build_object(
+      'success', false,
+      'message', format('Only %s of %s can still be refunded', v_line.remaining, coalesce(v_line.item_name, 'this item'))
+    );
+  end if;
+
+  -- Returning the last units of a line refunds whatever is left of it, so
+  -- rounding never leaves a few centavos behind
+  update refund_lines
+  set subtotal = round(sold_subtotal * quantity / sold_quantity, 2),
+      amount = case
+        when quantity = sold_quantity - refunded_quantity then line_total - refunded_amount
+        else round(line_total * quantity / sold_quantity, 2)
+      end;
+
+  select coalesce(sum(amount), 0) into v_total from refund_lines;
+
+  insert into sales_refunds (
+    sale_id, terminal_id, refund_method, refund_amount, reason,
+    requested_by, approved_by, created_by
+  ) values (
+    p_sale_id, coalesce(p_terminal_id, v_sale.terminal_id), p_refund_method, v_total, trim(p_reason),
+    v_requested_by, p_approved_by, auth.uid()
+  )
+  returning refund_id into v_refund_id;
+
+  insert into sales_refund_items (
+    refund_id, sale_detail_id, item_id, quantity, subtotal, amount, disposition
+  )
+  select v_refund_id, sale_detail_id, item_id, quantity, subtotal, amount, disposition
+  from refund_lines;
+
+  -- Restocked lines put their recipe back, options included; waste stays used
+  select coalesce(jsonb_agg(jsonb_build_object(
+    'item_id', item_id,
+    'quantity', quantity,
+    'modifier_ids', modifier_ids
+  )), '[]'::jsonb)
+  into v_restock
+  from refund_lines
+  where disposition = 'restock';
+
+  if jsonb_array_length(v_restock) > 0 then
+    perform post_recipe_movements(v_restock, 1, 'refund', 'refund', v_refund_id::text);
+  end if;
+
+  return jsonb_build_object(
+    'success', true,
+    'refund_id', v_refund_id,
+    'sale_id', p_sale_id,
+    'or_number', v_sale.or_number,
+    'refund_amount', v_total
+  );
+end;
+$$;
+
+revoke execute on function public.post_stock_movements(text, jsonb, text, text, text) from public, anon, authenticated;
+revoke execute on function public.post_recipe_movements(jsonb, integer, text, text, text) from public, anon, authenticated;
+revoke execute on function public.record_direct_stock_change() from public, anon, authenticated;
+
+grant execute on function public.adjust_stock(integer, numeric, text) to authenticated;
+grant execute on function public.deduct_sale_ingredients(jsonb, integer) to authenticated;
+grant execute on function public.approve_pullout(integer, uuid) to authenticated;
+grant execute on function public.receive_purchase_stock(integer) to authenticated;
+grant execute on function public.void_sale(integer, integer, text, integer) to authenticated;
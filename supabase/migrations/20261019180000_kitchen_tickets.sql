@@ -0,0 +1,328 @@
+-- Kitchen display
+-- Every completed sale becomes a ticket for the kitchen/bar. Baristas bump a
+-- ticket Pending -> In Progress -> Ready -> Completed; each step is
+-- timestamped so prep times can be reported. A voided sale cancels its
+-- ticket. Sale lines can carry a note for the kitchen ("less ice").
+
+alter table public.sales_detail
+  add column if not exists notes text;
+
+create table if not exists public.kitchen_tickets (
+  ticket_id serial primary key,
+  sale_id integer not null unique references public.sales_header (sale_id) on delete cascade,
+  terminal_id text,
+  status text not null default 'Pending'
+    check (status in ('Pending', 'In Progress', 'Ready', 'Completed', 'Cancelled')),
+  created_at timestamptz not null default now(),
+  started_at timestamptz,
+  ready_at timestamptz,
+  completed_at timestamptz,
+  bumped_by uuid,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists kitchen_tickets_status_idx
+  on public.kitchen_tickets (status, created_at);
+
+alter table public.kitchen_tickets enable row level security;
+
+-- Tickets are created by the sale trigger and moved by bump_kitchen_ticket
+create policy "Authenticated users can read kitchen tickets"
+  on public.kitchen_tickets for select to authenticated using (true);
+
+create or replace function public.create_kitchen_ticket()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not coalesce(new.is_voided, false) then
+    insert into kitchen_tickets (sale_id, terminal_id)
+    values (new.sale_id, new.terminal_id)
+    on conflict (sale_id) do nothing;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists create_kitchen_ticket on public.sales_header;
+create trigger create_kitchen_ticket
+  after insert on public.sales_header
+  for each row
+  execute function public.create_kitchen_ticket();
+
+create or replace function public.cancel_voided_kitchen_ticket()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update kitchen_tickets
+  set status = 'Cancelled',
+      updated_at = now()
+  where sale_id = new.sale_id
+    and status <> 'Completed';
+  return new;
+end;
+$$;
+
+drop trigger if exists cancel_voided_kitchen_ticket on public.sales_header;
+create trigger cancel_voided_kitchen_ticket
+  after update of is_voided on public.sales_header
+  for each row
+  when (new.is_voided and not coalesce(old.is_voided, false))
+  execute function public.cancel_voided_kitchen_ticket();
+
+-- Move a ticket to its next status, or to p_status when given (e.g. recalling
+-- a completed ticket back to Ready)
+create or replace function public.bump_kitchen_ticket(
+  p_ticket_id integer,
+  p_status text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_ticket kitchen_tickets%rowtype;
+  v_status text;
+begin
+  select * into v_ticket
+  from kitchen_tickets
+  where ticket_id = p_ticket_id
+  for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Ticket not found');
+  end if;
+
+  if v_ticket.status = 'Cancelled' then
+    return jsonb_build_object('success', false, 'message', 'This order was voided');
+  end if;
+
+  v_status := coalesce(p_status, case v_ticket.status
+    when 'Pending' then 'In Progress'
+    when 'In Progress' then 'Ready'
+    when 'Ready' then 'Completed'
+  end);
+
+  if v_status is null or v_status not in ('Pending', 'In Progress', 'Ready', 'Completed') then
+    return jsonb_build_object('success', false, 'message', 'This order is already completed');
+  end if;
+
+  update kitchen_tickets
+  set status = v_status,
+      -- The first time a ticket reaches a step is the one that counts
+      started_at = case when v_status <> 'Pending' then coalesce(started_at, now()) else started_at end,
+      ready_at = case when v_status in ('Ready', 'Completed') then coalesce(ready_at, now()) else ready_at end,
+      completed_at = case when v_status = 'Completed' then now() else null end,
+      bumped_by = auth.uid(),
+      updated_at = now()
+  where ticket_id = p_ticket_id
+  returning * into v_ticket;
+
+  return jsonb_build_object('success', true, 'ticket', to_jsonb(v_ticket));
+end;
+$$;
+
+-- Prep times of tickets that reached Ready in a period. Wait is ticket to
+-- first bump, prep is first bump to ready, total is ticket to ready.
+create or replace function public.kitchen_prep_summary(
+  p_start timestamptz,
+  p_end timestamptz
+) returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select jsonb_build_object(
+    'ticket_count', count(*),
+    'avg_wait_seconds', round(coalesce(avg(extract(epoch from started_at - created_at)), 0)),
+    'avg_prep_seconds', round(coalesce(avg(extract(epoch from ready_at - started_at)), 0)),
+    'avg_total_seconds', round(coalesce(avg(extract(epoch from ready_at - created_at)), 0)),
+    'max_total_seconds', round(coalesce(max(extract(epoch from ready_at - created_at)), 0))
+  )
+  from kitchen_tickets
+  where ready_at is not null
+    and created_at >= p_start
+    and created_at < p_end;
+$$;
+
+-- Kitchen screens pick up new and bumped tickets without polling
+alter publication supabase_realtime add table public.kitchen_tickets;
+
+-- process_sale stores each line's kitchen note
+create or replace function public.process_sale(
+  p_cashier_id uuid,
+  p_sale_date timestamptz,
+  p_payment_method text,
+  p_total_amount numeric,
+  p_items jsonb,
+  p_client_reference uuid default null,
+  p_discount jsonb default null,
+  p_payments jsonb default null,
+  p_terminal_id text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_sale_id integer;
+  v_shortage record;
+  v_discount jsonb := coalesce(p_discount, '{}'::jsonb);
+  v_paid numeric;
+  v_terminal record;
+  v_or_number text;
+begin
+  -- A replayed offline sale that already went through is reported as done
+  if p_client_reference is not null then
+    select sale_id, or_number into v_sale_id, v_or_number
+    from sales_header
+    where client_reference = p_client_reference;
+
+    if found then
+      return jsonb_build_object(
+        'success', true, 'sale_id', v_sale_id, 'or_number', v_or_number, 'duplicate', true
+      );
+    end if;
+  end if;
+
+  if not exists (
+    select 1 from pos_terminals where terminal_id = p_terminal_id and is_active
+  ) then
+    return jsonb_build_object(
+      'success', false,
+      'message', 'This terminal is not registered for official receipts'
+    );
+  end if;
+
+  if v_discount->>'discount_type' in ('senior', 'pwd')
+     and nullif(trim(v_discount->>'senior_pwd_id'), '') is null then
+    return jsonb_build_object(
+      'success', false,
+      'message', 'Senior Citizen/PWD discount requires the customer''s ID number'
+    );
+  end if;
+
+  if v_discount->>'discount_type' = 'manual'
+     and v_discount->>'discount_approved_by' is null then
+    return jsonb_build_object(
+      'success', false,
+      'message', 'Manual discount requires manager approval'
+    );
+  end if;
+
+  -- Tender lines must cover the sale exactly (change is tracked per line)
+  if p_payments is not null and jsonb_array_length(p_payments) > 0 then
+    select coalesce(sum((pay->>'amount')::numeric), 0) into v_paid
+    from jsonb_array_elements(p_payments) pay;
+
+    if abs(v_paid - p_total_amount) > 0.01 then
+      return jsonb_build_object(
+        'success', false,
+        'message', format('Payments total %s but the sale is %s', v_paid, p_total_amount)
+      );
+    end if;
+  end if;
+
+  -- Lock every ingredient the sale touches before checking stock
+  perform 1
+  from ingredients i
+  where i.ingredient_id in (select u.ingredient_id from sale_ingredient_usage(p_items) u)
+  order by i.ingredient_id
+  for update;
+
+  select i.ingredient_id, i.name, i.quantity, u.required
+  into v_shortage
+  from sale_ingredient_usage(p_items) u
+  join ingredients i on i.ingredient_id = u.ingredient_id
+  where u.required > coalesce(i.quantity, 0)
+  limit 1;
+
+  if found then
+    return jsonb_build_object(
+      'success', false,
+      'conflict', true,
+      'ingredient_id', v_shortage.ingredient_id,
+      'message', format('Not enough %s (need %s, have %s)',
+                        v_shortage.name, v_shortage.required, coalesce(v_shortage.quantity, 0))
+    );
+  end if;
+
+  -- Take the terminal's next OR number. The row lock serialises sales on the
+  -- terminal, and a failure below rolls the counter back, so the series has no gaps.
+  update pos_terminals
+  set next_or_number = next_or_number + 1,
+      updated_at = now()
+  where terminal_id = p_terminal_id
+  returning next_or_number - 1 as or_sequence, or_prefix, or_number_width
+  into v_terminal;
+
+  v_or_number := v_terminal.or_prefix
+    || lpad(v_terminal.or_sequence::text, v_terminal.or_number_width, '0');
+
+  insert into sales_header (
+    terminal_id, or_sequence, or_number,
+    cashier_id, sale_date, payment_method, total_amount,
+    subtotal_amount, discount_amount, vat_amount, vat_exempt_amount,
+    discount_type, promo_id, promo_code, discount_reason, discount_approved_by,
+    senior_pwd_id, senior_pwd_name,
+    client_reference, offline_recorded_at, created_at
+  ) values (
+    p_terminal_id, v_terminal.or_sequence, v_or_number,
+    p_cashier_id, p_sale_date, p_payment_method, p_total_amount,
+    (v_discount->>'subtotal_amount')::numeric,
+    coalesce((v_discount->>'discount_amount')::numeric, 0),
+    (v_discount->>'vat_amount')::numeric,
+    coalesce((v_discount->>'vat_exempt_amount')::numeric, 0),
+    v_discount->>'discount_type',
+    (v_discount->>'promo_id')::integer,
+    v_discount->>'promo_code',
+    v_discount->>'discount_reason',
+    (v_discount->>'discount_approved_by')::integer,
+    v_discount->>'senior_pwd_id',
+    v_discount->>'senior_pwd_name',
+    p_client_reference,
+    case when p_client_reference is not null then p_sale_date end,
+    now()
+  )
+  returning sale_id into v_sale_id;
+
+  insert into sales_detail (
+    sale_id, item_id, quantity, unit_price, subtotal, modifiers,
+    discount_amount, discount_label, notes, created_at
+  )
+  select v_sale_id, x.item_id, x.quantity, x.unit_price, x.subtotal,
+         coalesce(x.modifiers, '[]'::jsonb),
+         coalesce(x.discount_amount, 0), x.discount_label, nullif(trim(x.notes), ''), now()
+  from jsonb_to_recordset(p_items)
+    as x(item_id integer, quantity integer, unit_price numeric, subtotal numeric,
+         modifiers jsonb, discount_amount numeric, discount_label text, notes text);
+
+  if p_payments is not null and jsonb_array_length(p_payments) > 0 then
+    insert into sales_payments (
+      sale_id, payment_method, amount, tendered_amount, change_amount, reference_number, created_at
+    )
+    select v_sale_id, pay.payment_method, pay.amount,
+           coalesce(pay.tendered_amount, pay.amount), coalesce(pay.change_amount, 0),
+           nullif(trim(pay.reference_number), ''), now()
+    from jsonb_to_recordset(p_payments)
+      as pay(payment_method text, amount numeric, tendered_amount numeric,
+             change_amount numeric, reference_number text);
+  else
+    insert into sales_payments (sale_id, payment_method, amount, tendered_amount, created_at)
+    values (v_sale_id, p_payment_method, p_total_amount, p_total_amount, now());
+  end if;
+
+  perform post_recipe_movements(p_items, -1, 'sale', 'sale', v_sale_id::text);
+
+  return jsonb_build_object('success', true, 'sale_id', v_sale_id, 'or_number', v_or_number);
+end;
+$$;
+
+grant execute on function public.bump_kitchen_ticket(integer, text) to authenticated;
+grant execute on function public.kitchen_prep_summary(timestamptz, timestamptz) to authenticated;
@@ -0,0 +1,1235 @@
+-- Permission registry
+-- The permissions table holds exactly the permission ids listed in
+-- PERMISSIONS in src/services/constants.js, and a role grants what its
+-- role_permissions rows say. has_permission() answers the same question for
+-- RLS policies and security definer functions that usePermissions answers in
+-- the browser, so a custom role built in the role editor is enforced by the
+-- database too. Admin is the one role that holds every permission implicitly.
+
+create temporary table permission_registry (
+  permission_name text primary key,
+  resource_name text not null,
+  action_name text not null
+);
+
+insert into permission_registry (permission_name, resource_name, action_name)
+select name, split_part(name, '.', 1), split_part(name, '.', 2)
+from unnest(array[
+  'dashboard.view',
+  'sales.view', 'sales.create', 'sales.void', 'sales.refund', 'sales.discount', 'sales.manage',
+  'kitchen.view',
+  'inventory.view', 'inventory.create', 'inventory.edit', 'inventory.delete', 'inventory.adjust',
+  'items.view', 'items.create', 'items.edit', 'items.delete',
+  'pullouts.view', 'pullouts.create', 'pullouts.edit', 'pullouts.delete', 'pullouts.approve',
+  'suppliers.view', 'suppliers.create', 'suppliers.edit', 'suppliers.delete', 'suppliers.portal',
+  'purchases.view', 'purchases.create', 'purchases.edit', 'purchases.delete', 'purchases.approve', 'purchases.receive',
+  'consignments.view', 'consignments.create', 'consignments.edit', 'consignments.delete',
+  'reports.view', 'reports.sales', 'reports.inventory', 'reports.financial', 'reports.export',
+  'staff.view', 'staff.create', 'staff.edit', 'staff.delete', 'staff.roles'
+]) as name;
+
+insert into public.permissions (permission_name, resource_name, action_name)
+select reg.permission_name, reg.resource_name, reg.action_name
+from permission_registry reg
+where not exists (
+  select 1 from public.permissions p where p.permission_name = reg.permission_name
+);
+
+-- Carry existing grants over to the registry ids. Older rows were named
+-- "resource.action", "action_resource" or only had resource_name and
+-- action_name, with singular resources and "manage" standing for every
+-- action on the resource.
+create temporary table legacy_grants as
+select rp.role_id,
+  case coalesce(nullif(g.resource, ''), p.resource_name)
+    when 'purchase' then 'purchases'
+    when 'consignment' then 'consignments'
+    when 'menu' then 'items'
+    when 'order' then 'sales'
+    when 'orders' then 'sales'
+    when 'ingredients' then 'inventory'
+    else coalesce(nullif(g.resource, ''), p.resource_name)
+  end as resource_name,
+  case coalesce(nullif(g.action, ''), p.action_name)
+    when 'add' then 'create'
+    else coalesce(nullif(g.action, ''), p.action_name)
+  end as action_name
+from public.role_permissions rp
+join public.permissions p on p.permission_id = rp.permission_id
+cross join lateral (
+  select
+    case
+      when p.permission_name like '%.%' then split_part(p.permission_name, '.', 1)
+      when p.permission_name like '%\_%' then substr(p.permission_name, strpos(p.permission_name, '_') + 1)
+    end as resource,
+    case
+      when p.permission_name like '%.%' then split_part(p.permission_name, '.', 2)
+      when p.permission_name like '%\_%' then split_part(p.permission_name, '_', 1)
+    end as action
+) g
+where p.permission_name not in (select permission_name from permission_registry);
+
+insert into public.role_permissions (role_id, permission_id)
+select distinct lg.role_id, p.permission_id
+from legacy_grants lg
+join permission_registry reg on
+  case
+    -- "Manage as supplier" was the supplier portal, not every supplier action
+    when lg.resource_name = 'suppliers' and lg.action_name = 'manage' then reg.permission_name = 'suppliers.portal'
+    when lg.resource_name = 'roles' then reg.permission_name = 'staff.roles'
+    when lg.resource_name = 'staff' and lg.action_name in ('roles', 'manage_roles') then reg.permission_name = 'staff.roles'
+    when lg.action_name = 'manage' then reg.resource_name = lg.resource_name
+      and reg.permission_name not in ('suppliers.portal', 'staff.roles')
+    else reg.resource_name = lg.resource_name and reg.action_name = lg.action_name
+  end
+join public.permissions p on p.permission_name = reg.permission_name
+where not exists (
+  select 1 from public.role_permissions existing
+  where existing.role_id = lg.role_id and existing.permission_id = p.permission_id
+);
+
+-- Built-in roles start with the grants the app used to hardcode for them
+-- (ROLE_DEFAULT_PERMISSIONS). Admin needs none.
+insert into public.role_permissions (role_id, permission_id)
+select r.role_id, p.permission_id
+from public.roles r
+join public.permissions p on p.permission_name = any (case r.role_name
+  when 'Manager' then array(
+    select permission_name from permission_registry
+    where permission_name not in ('suppliers.portal', 'staff.delete', 'staff.roles')
+  )
+  when 'Cashier' then array[
+    'dashboard.view', 'sales.view', 'sales.create', 'kitchen.view',
+    'inventory.view', 'items.view', 'pullouts.view', 'pullouts.create'
+  ]
+  when 'Staff' then array['dashboard.view', 'kitchen.view']
+  when 'Supplier' then array[
+    'dashboard.view', 'inventory.view', 'suppliers.view', 'suppliers.portal',
+    'purchases.view', 'consignments.view'
+  ]
+end)
+where not exists (
+  select 1 from public.role_permissions existing
+  where existing.role_id = r.role_id and existing.permission_id = p.permission_id
+);
+
+-- Anything outside the registry is no longer checked anywhere
+delete from public.role_permissions rp
+using public.permissions p
+where p.permission_id = rp.permission_id
+  and p.permission_name not in (select permission_name from permission_registry);
+
+delete from public.permissions
+where permission_name not in (select permission_name from permission_registry);
+
+drop table legacy_grants;
+drop table permission_registry;
+
+-- Whether an active staff member's role grants a permission
+create or replace function public.staff_has_permission(
+  p_staff_id integer,
+  p_permission text
+) returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from staff s
+    join roles r on r.role_id = s.role_id
+    where s.staff_id = p_staff_id
+      and coalesce(s.is_active, true)
+      and (
+        r.role_name = 'Admin'
+        or exists (
+          select 1
+          from role_permissions rp
+          join permissions p on p.permission_id = rp.permission_id
+          where rp.role_id = r.role_id
+            and p.permission_name = p_permission
+        )
+      )
+  );
+$$;
+
+-- Whether the signed-in user holds a permission
+create or replace function public.has_permission(p_permission text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(bool_or(staff_has_permission(s.staff_id, p_permission)), false)
+  from staff s
+  where s.user_id = auth.uid();
+$$;
+
+-- The signed-in user's permission ids, as loaded into AuthContext
+create or replace function public.my_permissions()
+returns text[]
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(array_agg(p.permission_name order by p.permission_name), '{}')
+  from permissions p
+  where has_permission(p.permission_name);
+$$;
+
+-- The active staff member a manager PIN belongs to, provided they hold the
+-- permission being approved
+create or replace function public.pin_approver(p_pin text, p_permission text)
+returns integer
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select s.staff_id
+  from staff s
+  where s.manager_pin = nullif(trim(p_pin), '')
+    and staff_has_permission(s.staff_id, p_permission)
+  order by s.staff_id
+  limit 1;
+$$;
+
+-- Check a manager PIN at the register before an override is applied. The
+-- functions that apply the override check the PIN again themselves.
+create or replace function public.verify_manager_pin(p_pin text, p_permission text)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_approver staff%rowtype;
+begin
+  if not exists (select 1 from staff where user_id = auth.uid()) then
+    return jsonb_build_object('success', false, 'message', 'Only staff can request approvals');
+  end if;
+
+  select * into v_approver
+  from staff
+  where staff_id = pin_approver(p_pin, p_permission);
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Invalid manager approval code');
+  end if;
+
+  return jsonb_build_object(
+    'success', true,
+    'approver', jsonb_build_object(
+      'staff_id', v_approver.staff_id,
+      'first_name', v_approver.first_name,
+      'last_name', v_approver.last_name
+    )
+  );
+end;
+$$;
+
+-- Replace a role's grants in one go. Ids outside the registry are ignored
+-- and returned so the caller can report them.
+create or replace function public.set_role_permissions(
+  p_role_id integer,
+  p_permissions text[]
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not has_permission('staff.roles') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to manage roles');
+  end if;
+
+  perform 1 from roles where role_id = p_role_id for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Role not found');
+  end if;
+
+  delete from role_permissions where role_id = p_role_id;
+
+  insert into role_permissions (role_id, permission_id)
+  select p_role_id, p.permission_id
+  from permissions p
+  where p.permission_name = any (coalesce(p_permissions, '{}'));
+
+  return jsonb_build_object(
+    'success', true,
+    'permissions', (
+      select coalesce(jsonb_agg(p.permission_name order by p.permission_name), '[]'::jsonb)
+      from role_permissions rp
+      join permissions p on p.permission_id = rp.permission_id
+      where rp.role_id = p_role_id
+    ),
+    'ignored', to_jsonb(array(
+      select name from unnest(coalesce(p_permissions, '{}')) name
+      where name not in (select permission_name from permissions)
+    ))
+  );
+end;
+$$;
+
+-- Row level security on the back-office tables follows the registry. Any
+-- earlier policies on them are replaced.
+do $$
+declare
+  v_policy record;
+begin
+  for v_policy in
+    select policyname, tablename
+    from pg_policies
+    where schemaname = 'public'
+      and tablename in (
+        'ingredients', 'items', 'item_ingredients', 'item_modifier_groups', 'item_modifiers',
+        'ingredient_suppliers',
+        'pullout', 'suppliers', 'purchase', 'purchase_details',
+        'consignment', 'consignment_details',
+        'staff', 'roles', 'permissions', 'role_permissions',
+        'promotions', 'pos_terminals', 'held_orders'
+      )
+  loop
+    execute format('drop policy %I on public.%I', v_policy.policyname, v_policy.tablename);
+  end loop;
+end;
+$$;
+
+alter table public.ingredients enable row level security;
+alter table public.items enable row level security;
+alter table public.item_ingredients enable row level security;
+alter table public.item_modifier_groups enable row level security;
+alter table public.item_modifiers enable row level security;
+alter table public.ingredient_suppliers enable row level security;
+alter table public.pullout enable row level security;
+alter table public.suppliers enable row level security;
+alter table public.purchase enable row level security;
+alter table public.purchase_details enable row level security;
+alter table public.consignment enable row level security;
+alter table public.consignment_details enable row level security;
+alter table public.staff enable row level security;
+alter table public.roles enable row level security;
+alter table public.permissions enable row level security;
+alter table public.role_permissions enable row level security;
+alter table public.promotions enable row level security;
+alter table public.pos_terminals enable row level security;
+alter table public.held_orders enable row level security;
+
+-- Ingredients. Quantities change through the stock functions, which check
+-- inventory.adjust themselves.
+create policy "inventory.view can read ingredients"
+  on public.ingredients for select to authenticated
+  using (has_permission('inventory.view'));
+create policy "inventory.create can add ingredients"
+  on public.ingredients for insert to authenticated
+  with check (has_permission('inventory.create'));
+create policy "inventory.edit can edit ingredients"
+  on public.ingredients for update to authenticated
+  using (has_permission('inventory.edit'))
+  with check (has_permission('inventory.edit'));
+create policy "inventory.delete can delete ingredients"
+  on public.ingredients for delete to authenticated
+  using (has_permission('inventory.delete'));
+
+create policy "inventory.view can read ingredient suppliers"
+  on public.ingredient_suppliers for select to authenticated
+  using (has_permission('inventory.view') or has_permission('suppliers.view'));
+create policy "inventory.edit can link ingredient suppliers"
+  on public.ingredient_suppliers for all to authenticated
+  using (has_permission('inventory.edit'))
+  with check (has_permission('inventory.edit'));
+
+-- The menu is read by everyone who rings up or prepares orders
+create policy "Menu readers can read items"
+  on public.items for select to authenticated
+  using (has_permission('items.view') or has_permission('sales.create') or has_permission('kitchen.view'));
+create policy "items.create can add items"
+  on public.items for insert to authenticated
+  with check (has_permission('items.create'));
+create policy "items.edit can edit items"
+  on public.items for update to authenticated
+  using (has_permission('items.edit'))
+  with check (has_permission('items.edit'));
+create policy "items.delete can delete items"
+  on public.items for delete to authenticated
+  using (has_permission('items.delete'));
+
+create policy "Menu readers can read recipes"
+  on public.item_ingredients for select to authenticated
+  using (has_permission('items.view') or has_permission('inventory.view'));
+create policy "items.edit can change recipes"
+  on public.item_ingredients for all to authenticated
+  using (has_permission('items.create') or has_permission('items.edit'))
+  with check (has_permission('items.create') or has_permission('items.edit'));
+
+create policy "Menu readers can read modifier groups"
+  on public.item_modifier_groups for select to authenticated
+  using (has_permission('items.view') or has_permission('sales.create') or has_permission('kitchen.view'));
+create policy "items.edit can change modifier groups"
+  on public.item_modifier_groups for all to authenticated
+  using (has_permission('items.create') or has_permission('items.edit'))
+  with check (has_permission('items.create') or has_permission('items.edit'));
+create policy "Menu readers can read modifiers"
+  on public.item_modifiers for select to authenticated
+  using (has_permission('items.view') or has_permission('sales.create') or has_permission('kitchen.view'));
+create policy "items.edit can change modifiers"
+  on public.item_modifiers for all to authenticated
+  using (has_permission('items.create') or has_permission('items.edit'))
+  with check (has_permission('items.create') or has_permission('items.edit'));
+
+-- Pullouts are approved through approve_pullout
+create policy "pullouts.view can read pullouts"
+  on public.pullout for select to authenticated
+  using (has_permission('pullouts.view'));
+create policy "pullouts.create can request pullouts"
+  on public.pullout for insert to authenticated
+  with check (has_permission('pullouts.create'));
+create policy "pullouts.edit can edit pullouts"
+  on public.pullout for update to authenticated
+  using (has_permission('pullouts.edit') or has_permission('pullouts.approve'))
+  with check (has_permission('pullouts.edit') or has_permission('pullouts.approve'));
+create policy "pullouts.delete can delete pullouts"
+  on public.pullout for delete to authenticated
+  using (has_permission('pullouts.delete'));
+
+create policy "suppliers.view can read suppliers"
+  on public.suppliers for select to authenticated
+  using (has_permission('suppliers.view'));
+create policy "suppliers.create can add suppliers"
+  on public.suppliers for insert to authenticated
+  with check (has_permission('suppliers.create'));
+create policy "suppliers.edit can edit suppliers"
+  on public.suppliers for update to authenticated
+  using (has_permission('suppliers.edit') or has_permission('suppliers.portal'))
+  with check (has_permission('suppliers.edit') or has_permission('suppliers.portal'));
+create policy "suppliers.delete can delete suppliers"
+  on public.suppliers for delete to authenticated
+  using (has_permission('suppliers.delete'));
+
+create policy "purchases.view can read purchase orders"
+  on public.purchase for select to authenticated
+  using (has_permission('purchases.view'));
+create policy "purchases.create can raise purchase orders"
+  on public.purchase for insert to authenticated
+  with check (has_permission('purchases.create'));
+create policy "purchases.edit can edit purchase orders"
+  on public.purchase for update to authenticated
+  using (has_permission('purchases.edit') or has_permission('purchases.approve') or has_permission('purchases.receive'))
+  with check (has_permission('purchases.edit') or has_permission('purchases.approve') or has_permission('purchases.receive'));
+create policy "purchases.delete can delete purchase orders"
+  on public.purchase for delete to authenticated
+  using (has_permission('purchases.delete'));
+
+create policy "purchases.view can read purchase lines"
+  on public.purchase_details for select to authenticated
+  using (has_permission('purchases.view'));
+create policy "purchases.edit can change purchase lines"
+  on public.purchase_details for all to authenticated
+  using (has_permission('purchases.create') or has_permission('purchases.edit') or has_permission('purchases.delete'))
+  with check (has_permission('purchases.create') or has_permission('purchases.edit'));
+
+create policy "consignments.view can read consignments"
+  on public.consignment for select to authenticated
+  using (has_permission('consignments.view'));
+create policy "consignments.create can add consignments"
+  on public.consignment for insert to authenticated
+  with check (has_permission('consignments.create'));
+create policy "consignments.edit can edit consignments"
+  on public.consignment for update to authenticated
+  using (has_permission('consignments.edit'))
+  with check (has_permission('consignments.edit'));
+create policy "consignments.delete can delete consignments"
+  on public.consignment for delete to authenticated
+  using (has_permission('consignments.delete'));
+
+create policy "consignments.view can read consignment lines"
+  on public.consignment_details for select to authenticated
+  using (has_permission('consignments.view'));
+create policy "consignments.edit can change consignment lines"
+  on public.consignment_details for all to authenticated
+  using (has_permission('consignments.create') or has_permission('consignments.edit') or has_permission('consignments.delete'))
+  with check (has_permission('consignments.create') or has_permission('consignments.edit'));
+
+-- Staff rows carry manager PINs, so only staff.view reads the whole list;
+-- everyone else reads their own row. A user may only create their own
+-- missing profile, without a role.
+create policy "staff.view can read staff"
+  on public.staff for select to authenticated
+  using (has_permission('staff.view') or user_id = auth.uid());
+create policy "staff.create can add staff"
+  on public.staff for insert to authenticated
+  with check (has_permission('staff.create') or (user_id = auth.uid() and role_id is null));
+create policy "staff.edit can edit staff"
+  on public.staff for update to authenticated
+  using (has_permission('staff.edit'))
+  with check (has_permission('staff.edit'));
+create policy "staff.delete can delete staff"
+  on public.staff for delete to authenticated
+  using (has_permission('staff.delete'));
+
+-- Role grants change through set_role_permissions
+create policy "Authenticated users can read roles"
+  on public.roles for select to authenticated using (true);
+create policy "staff.roles can manage roles"
+  on public.roles for all to authenticated
+  using (has_permission('staff.roles'))
+  with check (has_permission('staff.roles'));
+
+create policy "Authenticated users can read permissions"
+  on public.permissions for select to authenticated using (true);
+
+create policy "Authenticated users can read role grants"
+  on public.role_permissions for select to authenticated using (true);
+create policy "staff.roles can manage role grants"
+  on public.role_permissions for all to authenticated
+  using (has_permission('staff.roles'))
+  with check (has_permission('staff.roles'));
+
+-- Every register reads the promotions and terminals; sales.manage sets
+-- them up
+create policy "Authenticated users can read promotions"
+  on public.promotions for select to authenticated using (true);
+create policy "sales.manage can manage promotions"
+  on public.promotions for all to authenticated
+  using (has_permission('sales.manage'))
+  with check (has_permission('sales.manage'));
+
+create policy "Authenticated users can read terminals"
+  on public.pos_terminals for select to authenticated using (true);
+create policy "sales.manage can manage terminals"
+  on public.pos_terminals for all to authenticated
+  using (has_permission('sales.manage'))
+  with check (has_permission('sales.manage'));
+
+-- Any register can park an order and any register can resume it
+create policy "sales.create can read held orders"
+  on public.held_orders for select to authenticated
+  using (has_permission('sales.create'));
+create policy "sales.create can hold orders"
+  on public.held_orders for insert to authenticated
+  with check (has_permission('sales.create'));
+create policy "sales.create can update held orders"
+  on public.held_orders for update to authenticated
+  using (has_permission('sales.create'))
+  with check (has_permission('sales.create'));
+create policy "sales.create can resume or discard held orders"
+  on public.held_orders for delete to authenticated
+  using (has_permission('sales.create'));
+
+-- Recording a sale's ingredient usage needs sales.create
+create or replace function public.deduct_sale_ingredients(
+  p_items jsonb,
+  p_sale_id integer default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not has_permission('sales.create') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to ring up sales');
+  end if;
+
+  return jsonb_build_object(
+    'success', true,
+    'deductions', post_recipe_movements(p_items, -1, 'sale', 'sale', p_sale_id::text)
+  );
+end;
+$$;
+
+-- Stock adjustments need inventory.adjust
+create or replace function public.adjust_stock(
+  p_ingredient_id integer,
+  p_quantity numeric,
+  p_notes text
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_result jsonb;
+begin
+  if not has_permission('inventory.adjust') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to adjust stock');
+  end if;
+
+  if coalesce(p_quantity, 0) = 0 then
+    return jsonb_build_object('success', false, 'message', 'Enter a quantity to add or remove');
+  end if;
+
+  if nullif(trim(p_notes), '') is null then
+    return jsonb_build_object('success', false, 'message', 'A reason is required for a stock adjustment');
+  end if;
+
+  v_result := post_stock_movements(
+    'adjustment',
+    jsonb_build_array(jsonb_build_object('ingredient_id', p_ingredient_id, 'quantity', p_quantity)),
+    null, null, p_notes
+  );
+
+  if jsonb_array_length(v_result) = 0 then
+    return jsonb_build_object('success', false, 'message', 'Ingredient not found');
+  end if;
+
+  return jsonb_build_object('success', true, 'ingredient', v_result->0);
+end;
+$$;
+
+-- inventory.edit covers the other ingredient columns. A signed-in user's
+-- plain update of a quantity is refused; it has to go through the stock
+-- functions so inventory.adjust is checked and the ledger records it.
+create or replace function public.guard_ingredient_quantity()
+returns trigger
+language plpgsql
+as $$
+begin
+  if current_user in ('anon', 'authenticated')
+     and coalesce(current_setting('app.stock_movement', true), '') <> 'on' then
+    raise exception 'Ingredient quantities change through stock adjustments'
+      using errcode = '42501';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists guard_ingredient_quantity on public.ingredients;
+create trigger guard_ingredient_quantity
+  before update of quantity on public.ingredients
+  for each row
+  when (old.quantity is distinct from new.quantity)
+  execute function public.guard_ingredient_quantity();
+
+-- Approving a pullout needs pullouts.approve
+create or replace function public.approve_pullout(
+  p_pullout_id integer,
+  p_approved_by uuid
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_pullout record;
+  v_available numeric;
+  v_result jsonb;
+begin
+  if not has_permission('pullouts.approve') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to approve pullouts');
+  end if;
+
+  select * into v_pullout
+  from pullout
+  where pullout_id = p_pullout_id
+  for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Pullout not found');
+  end if;
+
+  if v_pullout.status <> 'pending' then
+    return jsonb_build_object('success', false, 'message', format('This pullout is already %s', v_pullout.status));
+  end if;
+
+  select coalesce(quantity, 0) into v_available
+  from ingredients
+  where ingredient_id = v_pullout.ingredient_id
+  for update;
+
+  if v_available < v_pullout.quantity then
+    return jsonb_build_object(
+      'success', false,
+      'message', format('Not enough quantity available for this pullout (have %s)', v_available)
+    );
+  end if;
+
+  v_result := post_stock_movements(
+    'pullout',
+    jsonb_build_array(jsonb_build_object('ingredient_id', v_pullout.ingredient_id, 'quantity', -v_pullout.quantity)),
+    'pullout', p_pullout_id::text, v_pullout.reason
+  );
+
+  update pullout
+  set status = 'approved',
+      approved_by = p_approved_by,
+      updated_at = now()
+  where pullout_id = p_pullout_id
+  returning * into v_pullout;
+
+  return jsonb_build_object('success', true, 'pullout', to_jsonb(v_pullout), 'ingredient', v_result->0);
+end;
+$$;
+
+-- Receiving a purchase order into stock needs purchases.receive
+create or replace function public.receive_purchase_stock(p_purchase_id integer)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_result jsonb;
+begin
+  if not has_permission('purchases.receive') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to receive deliveries');
+  end if;
+
+  perform 1 from purchase where purchase_id = p_purchase_id for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Purchase order not found');
+  end if;
+
+  if exists (
+    select 1 from stock_movements
+    where reference_type = 'purchase' and reference_id = p_purchase_id::text
+  ) then
+    return jsonb_build_object('success', false, 'message', 'This purchase order is already in stock');
+  end if;
+
+  v_result := post_stock_movements(
+    'purchase',
+    coalesce((
+      select jsonb_agg(jsonb_build_object('ingredient_id', ingredient_id, 'quantity', quantity))
+      from purchase_details
+      where purchase_id = p_purchase_id
+        and ingredient_id is not null
+    ), '[]'::jsonb),
+    'purchase', p_purchase_id::text
+  );
+
+  update ingredients
+  set last_restock_date = now()
+  where ingredient_id in (select (r->>'ingredient_id')::integer from jsonb_array_elements(v_result) r);
+
+  return jsonb_build_object('success', true, 'received', v_result);
+end;
+$$;
+
+-- Bumping kitchen tickets needs kitchen.view
+create or replace function public.bump_kitchen_ticket(
+  p_ticket_id integer,
+  p_status text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_ticket kitchen_tickets%rowtype;
+  v_status text;
+begin
+  if not has_permission('kitchen.view') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to work the kitchen display');
+  end if;
+
+  select * into v_ticket
+  from kitchen_tickets
+  where ticket_id = p_ticket_id
+  for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Ticket not found');
+  end if;
+
+  if v_ticket.status = 'Cancelled' then
+    return jsonb_build_object('success', false, 'message', 'This order was voided');
+  end if;
+
+  v_status := coalesce(p_status, case v_ticket.status
+    when 'Pending' then 'In Progress'
+    when 'In Progress' then 'Ready'
+    when 'Ready' then 'Completed'
+  end);
+
+  if v_status is null or v_status not in ('Pending', 'In Progress', 'Ready', 'Completed') then
+    return jsonb_build_object('success', false, 'message', 'This order is already completed');
+  end if;
+
+  update kitchen_tickets
+  set status = v_status,
+      -- The first time a ticket reaches a step is the one that counts
+      started_at = case when v_status <> 'Pending' then coalesce(started_at, now()) else started_at end,
+      ready_at = case when v_status in ('Ready', 'Completed') then coalesce(ready_at, now()) else ready_at end,
+      completed_at = case when v_status = 'Completed' then now() else null end,
+      bumped_by = auth.uid(),
+      updated_at = now()
+  where ticket_id = p_ticket_id
+  returning * into v_ticket;
+
+  return jsonb_build_object('success', true, 'ticket', to_jsonb(v_ticket));
+end;
+$$;
+
+-- Ringing up a sale needs sales.create
+create or replace function public.process_sale(
+  p_cashier_id uuid,
+  p_sale_date timestamptz,
+  p_payment_method text,
+  p_total_amount numeric,
+  p_items jsonb,
+  p_client_reference uuid default null,
+  p_discount jsonb default null,
+  p_payments jsonb default null,
+  p_terminal_id text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_sale_id integer;
+  v_shortage record;
+  v_discount jsonb := coalesce(p_discount, '{}'::jsonb);
+  v_paid numeric;
+  v_terminal record;
+  v_or_number text;
+begin
+  if not has_permission('sales.create') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to ring up sales');
+  end if;
+
+  -- A replayed offline sale that already went through is reported as done
+  if p_client_reference is not null then
+    select sale_id, or_number into v_sale_id, v_or_number
+    from sales_header
+    where client_reference = p_client_reference;
+
+    if found then
+      return jsonb_build_object(
+        'success', true, 'sale_id', v_sale_id, 'or_number', v_or_number, 'duplicate', true
+      );
+    end if;
+  end if;
+
+  if not exists (
+    select 1 from pos_terminals where terminal_id = p_terminal_id and is_active
+  ) then
+    return jsonb_build_object(
+      'success', false,
+      'message', 'This terminal is not registered for official receipts'
+    );
+  end if;
+
+  if v_discount->>'discount_type' in ('senior', 'pwd')
+     and nullif(trim(v_discount->>'senior_pwd_id'), '') is null then
+    return jsonb_build_object(
+      'success', false,
+      'message', 'Senior Citizen/PWD discount requires the customer''s ID number'
+    );
+  end if;
+
+  if v_discount->>'discount_type' = 'manual'
+     and v_discount->>'discount_approved_by' is null then
+    return jsonb_build_object(
+      'success', false,
+      'message', 'Manual discount requires manager approval'
+    );
+  end if;
+
+  -- Tender lines must cover the sale exactly (change is tracked per line)
+  if p_payments is not null and jsonb_array_length(p_payments) > 0 then
+    select coalesce(sum((pay->>'amount')::numeric), 0) into v_paid
+    from jsonb_array_elements(p_payments) pay;
+
+    if abs(v_paid - p_total_amount) > 0.01 then
+      return jsonb_build_object(
+        'success', false,
+        'message', format('Payments total %s but the sale is %s', v_paid, p_total_amount)
+      );
+    end if;
+  end if;
+
+  -- Lock every ingredient the sale touches before checking stock
+  perform 1
+  from ingredients i
+  where i.ingredient_id in (select u.ingredient_id from sale_ingredient_usage(p_items) u)
+  order by i.ingredient_id
+  for update;
+
+  select i.ingredient_id, i.name, i.quantity, u.required
+  into v_shortage
+  from sale_ingredient_usage(p_items) u
+  join ingredients i on i.ingredient_id = u.ingredient_id
+  where u.required > coalesce(i.quantity, 0)
+  limit 1;
+
+  if found then
+    return jsonb_build_object(
+      'success', false,
+      'conflict', true,
+      'ingredient_id', v_shortage.ingredient_id,
+      'message', format('Not enough %s (need %s, have %s)',
+                        v_shortage.name, v_shortage.required, coalesce(v_shortage.quantity, 0))
+    );
+  end if;
+
+  -- Take the terminal's next OR number. The row lock serialises sales on the
+  -- terminal, and a failure below rolls the counter back, so the series has no gaps.
+  update pos_terminals
+  set next_or_number = next_or_number + 1,
+      updated_at = now()
+  where terminal_id = p_terminal_id
+  returning next_or_number - 1 as or_sequence, or_prefix, or_number_width
+  into v_terminal;
+
+  v_or_number := v_terminal.or_prefix
+    || lpad(v_terminal.or_sequence::text, v_terminal.or_number_width, '0');
+
+  insert into sales_header (
+    terminal_id, or_sequence, or_number,
+    cashier_id, sale_date, payment_method, total_amount,
+    subtotal_amount, discount_amount, vat_amount, vat_exempt_amount,
+    discount_type, promo_id, promo_code, discount_reason, discount_approved_by,
+    senior_pwd_id, senior_pwd_name,
+    client_reference, offline_recorded_at, created_at
+  ) values (
+    p_terminal_id, v_terminal.or_sequence, v_or_number,
+    p_cashier_id, p_sale_date, p_payment_method, p_total_amount,
+    (v_discount->>'subtotal_amount')::numeric,
+    coalesce((v_discount->>'discount_amount')::numeric, 0),
+    (v_discount->>'vat_amount')::numeric,
+    coalesce((v_discount->>'vat_exempt_amount')::numeric, 0),
+    v_discount->>'discount_type',
+    (v_discount->>'promo_id')::integer,
+    v_discount->>'promo_code',
+    v_discount->>'discount_reason',
+    (v_discount->>'discount_approved_by')::integer,
+    v_discount->>'senior_pwd_id',
+    v_discount->>'senior_pwd_name',
+    p_client_reference,
+    case when p_client_reference is not null then p_sale_date end,
+    now()
+  )
+  returning sale_id into v_sale_id;
+
+  insert into sales_detail (
+    sale_id, item_id, quantity, unit_price, subtotal, modifiers,
+    discount_amount, discount_label, notes, created_at
+  )
+  select v_sale_id, x.item_id, x.quantity, x.unit_price, x.subtotal,
+         coalesce(x.modifiers, '[]'::jsonb),
+         coalesce(x.discount_amount, 0), x.discount_label, nullif(trim(x.notes), ''), now()
+  from jsonb_to_recordset(p_items)
+    as x(item_id integer, quantity integer, unit_price numeric, subtotal numeric,
+         modifiers jsonb, discount_amount numeric, discount_label text, notes text);
+
+  if p_payments is not null and jsonb_array_length(p_payments) > 0 then
+    insert into sales_payments (
+      sale_id, payment_method, amount, tendered_amount, change_amount, reference_number, created_at
+    )
+    select v_sale_id, pay.payment_method, pay.amount,
+           coalesce(pay.tendered_amount, pay.amount), coalesce(pay.change_amount, 0),
+           nullif(trim(pay.reference_number), ''), now()
+    from jsonb_to_recordset(p_payments)
+      as pay(payment_method text, amount numeric, tendered_amount numeric,
+             change_amount numeric, reference_number text);
+  else
+    insert into sales_payments (sale_id, payment_method, amount, tendered_amount, created_at)
+    values (v_sale_id, p_payment_method, p_total_amount, p_total_amount, now());
+  end if;
+
+  perform post_recipe_movements(p_items, -1, 'sale', 'sale', v_sale_id::text);
+
+  return jsonb_build_object('success', true, 'sale_id', v_sale_id, 'or_number', v_or_number);
+end;
+$$;
+
+-- Voids are approved by someone with sales.void, or made by them directly
+create or replace function public.void_sale(
+  p_sale_id integer,
+  p_requested_by integer,
+  p_reason text,
+  p_approved_by integer default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_sale sales_header%rowtype;
+  v_items jsonb;
+begin
+  if nullif(trim(p_reason), '') is null then
+    return jsonb_build_object('success', false, 'message', 'A void reason is required');
+  end if;
+
+  if p_approved_by is null and not has_permission('sales.void') then
+    return jsonb_build_object('success', false, 'message', 'Voids must be approved by a manager');
+  end if;
+
+  if p_approved_by is not null and not staff_has_permission(p_approved_by, 'sales.void') then
+    return jsonb_build_object('success', false, 'message', 'Voids must be approved by a manager');
+  end if;
+
+  select * into v_sale
+  from sales_header
+  where sale_id = p_sale_id
+  for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Sale not found');
+  end if;
+
+  if coalesce(v_sale.is_voided, false) then
+    return jsonb_build_object('success', false, 'message', 'This sale is already voided');
+  end if;
+
+  if exists (select 1 from sales_refunds where sale_id = p_sale_id) then
+    return jsonb_build_object('success', false, 'message', 'This sale has refunds - refund the remaining items instead');
+  end if;
+
+  update sales_header
+  set is_voided = true,
+      void_reason = trim(p_reason),
+      void_datetime = now(),
+      updated_at = now()
+  where sale_id = p_sale_id;
+
+  insert into sales_voids (sale_id, staff_id, void_reason, void_datetime, created_at, updated_at)
+  values (p_sale_id, p_requested_by, trim(p_reason), now(), now(), now());
+
+  select coalesce(jsonb_agg(jsonb_build_object(
+    'item_id', item_id,
+    'quantity', quantity,
+    'modifier_ids', coalesce(jsonb_path_query_array(modifiers, '$[*].modifier_id'), '[]'::jsonb)
+  )), '[]'::jsonb)
+  into v_items
+  from sales_detail
+  where sale_id = p_sale_id;
+
+  perform post_recipe_movements(v_items, 1, 'void', 'sale', p_sale_id::text);
+
+  return jsonb_build_object('success', true, 'sale_id', p_sale_id, 'or_number', v_sale.or_number);
+end;
+$$;
+
+-- Refunds are approved by someone with sales.refund
+create or replace function public.process_refund(
+  p_sale_id integer,
+  p_items jsonb,
+  p_refund_method text,
+  p_reason text,
+  p_approved_by integer,
+  p_terminal_id text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_sale sales_header%rowtype;
+  v_requested_by integer;
+  v_factor numeric;
+  v_line record;
+  v_refund_id integer;
+  v_total numeric := 0;
+  v_restock jsonb := '[]'::jsonb;
+begin
+  if nullif(trim(p_reason), '') is null then
+    return jsonb_build_object('success', false, 'message', 'A refund reason is required');
+  end if;
+
+  if p_items is null or jsonb_array_length(p_items) = 0 then
+    return jsonb_build_object('success', false, 'message', 'Select at least one item to refund');
+  end if;
+
+  if not staff_has_permission(p_approved_by, 'sales.refund') then
+    return jsonb_build_object('success', false, 'message', 'Refunds must be approved by a manager');
+  end if;
+
+  -- Serialise refunds on the same sale so returned quantities cannot overlap
+  select * into v_sale
+  from sales_header
+  where sale_id = p_sale_id
+  for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Sale not found');
+  end if;
+
+  if coalesce(v_sale.is_voided, false) then
+    return jsonb_build_object('success', false, 'message', 'This sale was voided and cannot be refunded');
+  end if;
+
+  select staff_id into v_requested_by
+  from staff
+  where user_id = auth.uid();
+
+  -- What the customer paid per peso of discounted line value
+  select case when coalesce(sum(subtotal - coalesce(discount_amount, 0)), 0) > 0
+              then v_sale.total_amount / sum(subtotal - coalesce(discount_amount, 0))
+              else 0 end
+  into v_factor
+  from sales_detail
+  where sale_id = p_sale_id;
+
+  create temporary table refund_lines on commit drop as
+  select sd.sale_detail_id,
+         sd.item_id,
+         sd.quantity as sold_quantity,
+         sd.subtotal as sold_subtotal,
+         round((sd.subtotal - coalesce(sd.discount_amount, 0)) * v_factor, 2) as line_total,
+         coalesce(jsonb_path_query_array(sd.modifiers, '$[*].modifier_id'), '[]'::jsonb) as modifier_ids,
+         x.quantity,
+         x.disposition,
+         coalesce((select sum(ri.quantity) from sales_refund_items ri
+                   where ri.sale_detail_id = sd.sale_detail_id), 0) as refunded_quantity,
+         coalesce((select sum(ri.amount) from sales_refund_items ri
+                   where ri.sale_detail_id = sd.sale_detail_id), 0) as refunded_amount,
+         0::numeric as subtotal,
+         0::numeric as amount
+  from jsonb_to_recordset(p_items) as x(sale_detail_id integer, quantity integer, disposition text)
+  left join sales_detail sd
+    on sd.sale_detail_id = x.sale_detail_id
+   and sd.sale_id = p_sale_id;
+
+  select * into v_line
+  from refund_lines
+  where item_id is null
+     or quantity is null
+     or quantity <= 0
+     or coalesce(disposition, '') not in ('restock', 'waste')
+  limit 1;
+
+  if found then
+    return jsonb_build_object('success', false, 'message', 'Refund lines must be items on this sale with a quantity and restock or waste');
+  end if;
+
+  if exists (select 1 from refund_lines group by sale_detail_id having count(*) > 1) then
+    return jsonb_build_object('success', false, 'message', 'Each sale line can only be listed once per refund');
+  end if;
+
+  select l.sale_detail_id, i.item_name, l.sold_quantity - l.refunded_quantity as remaining
+  into v_line
+  from refund_lines l
+  left join items i on i.item_id = l.item_id
+  where l.quantity > l.sold_quantity - l.refunded_quantity
+  limit 1;
+
+  if found then
+    return jsonb_build_object(
+      'success', false,
+      'message', format('Only %s of %s can still be refunded', v_line.remaining, coalesce(v_line.item_name, 'this item'))
+    );
+  end if;
+
+  -- Returning the last units of a line refunds whatever is left of it, so
+  -- rounding never leaves a few centavos behind
+  update refund_lines
+  set subtotal = round(sold_subtotal * quantity / sold_quantity, 2),
+      amount = case
+        when quantity = sold_quantity - refunded_quantity then line_total - refunded_amount
+        else round(line_total * quantity / sold_quantity, 2)
+      end;
+
+  select coalesce(sum(amount), 0) into v_total from refund_lines;
+
+  insert into sales_refunds (
+    sale_id, terminal_id, refund_method, refund_amount, reason,
+    requested_by, approved_by, created_by
+  ) values (
+    p_sale_id, coalesce(p_terminal_id, v_sale.terminal_id), p_refund_method, v_total, trim(p_reason),
+    v_requested_by, p_approved_by, auth.uid()
+  )
+  returning refund_id into v_refund_id;
+
+  insert into sales_refund_items (
+    refund_id, sale_detail_id, item_id, quantity, subtotal, amount, disposition
+  )
+  select v_refund_id, sale_detail_id, item_id, quantity, subtotal, amount, disposition
+  from refund_lines;
+
+  -- Restocked lines put their recipe back, options included; waste stays used
+  select coalesce(jsonb_agg(jsonb_build_object(
+    'item_id', item_id,
+    'quantity', quantity,
+    'modifier_ids', modifier_ids
+  )), '[]'::jsonb)
+  into v_restock
+  from refund_lines
+  where disposition = 'restock';
+
+  if jsonb_array_length(v_restock) > 0 then
+    perform post_recipe_movements(v_restock, 1, 'refund', 'refund', v_refund_id::text);
+  end if;
+
+  return jsonb_build_object(
+    'success', true,
+    'refund_id', v_refund_id,
+    'sale_id', p_sale_id,
+    'or_number', v_sale.or_number,
+    'refund_amount', v_total
+  );
+end;
+$$;
+
+-- A shift is closed by its cashier, or by someone with sales.manage
+create or replace function public.close_shift(
+  p_shift_id integer,
+  p_closing_count jsonb,
+  p_counted_cash numeric,
+  p_notes text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_shift cashier_shifts%rowtype;
+  v_closed_at timestamptz := now();
+  v_expected numeric;
+begin
+  select * into v_shift
+  from cashier_shifts
+  where shift_id = p_shift_id
+  for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Shift not found');
+  end if;
+
+  if v_shift.status <> 'open' then
+    return jsonb_build_object('success', false, 'message', 'This shift is already closed');
+  end if;
+
+  if v_shift.cashier_id <> auth.uid() and not has_permission('sales.manage') then
+    return jsonb_build_object('success', false, 'message', 'Only the shift''s cashier or a manager can close it');
+  end if;
+
+  update cashier_shifts
+  set closed_at = v_closed_at
+  where shift_id = p_shift_id;
+
+  v_expected := shift_expected_cash(p_shift_id);
+
+  update cashier_shifts
+  set status = 'closed',
+      closing_count = p_closing_count,
+      counted_cash = p_counted_cash,
+      expected_cash = v_expected,
+      variance = p_counted_cash - v_expected,
+      closing_notes = nullif(trim(p_notes), ''),
+      summary = terminal_sales_summary(v_shift.terminal_id, v_shift.opened_at, v_closed_at),
+      updated_at = now()
+  where shift_id = p_shift_id
+  returning * into v_shift;
+
+  return jsonb_build_object('success', true, 'shift', to_jsonb(v_shift));
+end;
+$$;
+
+revoke execute on function public.pin_approver(text, text) from public, anon, authenticated;
+revoke execute on function public.guard_ingredient_quantity() from public, anon, authenticated;
+
+grant execute on function public.staff_has_permission(integer, text) to authenticated;
+grant execute on function public.has_permission(text) to authenticated;
+grant execute on function public.my_permissions() to authenticated;
+grant execute on function public.verify_manager_pin(text, text) to authenticated;
+grant execute on function public.set_role_permissions(integer, text[]) to authenticated;
@@ -0,0 +1,145 @@
+-- Audit trail
+-- Every insert, update and delete on the back-office and sales tables is
+-- recorded with who made it, what it touched and the values before and
+-- after. The entries are written by triggers, so changes made through the
+-- hooks, the RPCs and the dashboard are all covered and cannot be skipped
+-- by a client.
+--
+-- Stock quantity changes are left to the stock movement ledger and only
+-- appear here when something else on the ingredient changed too.
+
+create table if not exists public.audit_trail (
+  audit_id bigserial primary key,
+  entity_type text not null,
+  entity_id text,
+  action text not null check (action in ('create', 'update', 'delete')),
+  -- Changed columns only for updates; the whole row for creates and deletes
+  before jsonb,
+  after jsonb,
+  actor_user_id uuid,
+  actor_staff_id integer references public.staff (staff_id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists audit_trail_created_idx
+  on public.audit_trail (created_at desc);
+
+create index if not exists audit_trail_entity_idx
+  on public.audit_trail (entity_type, entity_id, created_at desc);
+
+create index if not exists audit_trail_actor_idx
+  on public.audit_trail (actor_staff_id, created_at desc);
+
+alter table public.audit_trail enable row level security;
+
+-- Entries are written by record_audit_trail only and never changed
+create policy "audit.view can read the audit trail"
+  on public.audit_trail for select to authenticated
+  using (has_permission('audit.view'));
+
+-- Columns never copied into the trail
+create or replace function public.audit_redact(p_row jsonb)
+returns jsonb
+language sql
+immutable
+as $$
+  select p_row - array['manager_pin', 'password', 'password_hash', 'pin'];
+$$;
+
+-- Trigger arguments: the column that identifies the entity (e.g. item_id for
+-- recipe lines, so they are listed under their menu item), then any columns
+-- whose changes alone are not worth an entry
+create or replace function public.record_audit_trail()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_old jsonb := case when tg_op <> 'INSERT' then audit_redact(to_jsonb(old)) end;
+  v_new jsonb := case when tg_op <> 'DELETE' then audit_redact(to_jsonb(new)) end;
+  v_ignored text[] := array['updated_at'] || coalesce(tg_argv[1:], '{}');
+  v_before jsonb;
+  v_after jsonb;
+  v_staff_id integer;
+begin
+  if tg_op = 'UPDATE' then
+    select jsonb_object_agg(o.key, o.value), jsonb_object_agg(o.key, v_new -> o.key)
+    into v_before, v_after
+    from jsonb_each(v_old) o
+    where o.value is distinct from v_new -> o.key;
+
+    if v_before is null or not exists (
+      select 1 from jsonb_object_keys(v_before) k where k <> all (v_ignored)
+    ) then
+      return null;
+    end if;
+  else
+    v_before := v_old;
+    v_after := v_new;
+  end if;
+
+  select staff_id into v_staff_id
+  from staff
+  where user_id = auth.uid()
+  limit 1;
+
+  insert into audit_trail (entity_type, entity_id, action, before, after, actor_user_id, actor_staff_id)
+  values (
+    tg_table_name,
+    coalesce(v_new, v_old) ->> tg_argv[0],
+    case tg_op when 'INSERT' then 'create' when 'UPDATE' then 'update' else 'delete' end,
+    v_before,
+    v_after,
+    auth.uid(),
+    v_staff_id
+  );
+
+  return null;
+end;
+$$;
+
+revoke execute on function public.record_audit_trail() from public, anon, authenticated;
+
+do $$
+declare
+  v_table record;
+begin
+  for v_table in
+    select * from (values
+      ('ingredients', array['ingredient_id', 'quantity', 'last_restock_date']),
+      ('ingredient_suppliers', array['ingredient_id']),
+      ('items', array['item_id']),
+      ('item_ingredients', array['item_id']),
+      ('item_modifier_groups', array['item_id']),
+      ('item_modifiers', array['group_id']),
+      ('pullout', array['pullout_id']),
+      ('suppliers', array['supplier_id']),
+      ('purchase', array['purchase_id']),
+      ('purchase_details', array['purchase_id']),
+      ('consignment', array['consignment_id']),
+      ('consignment_details', array['consignment_id']),
+      ('staff', array['staff_id']),
+      ('roles', array['role_id']),
+      ('role_permissions', array['role_id']),
+      ('sales_header', array['sale_id']),
+      ('sales_refunds', array['sale_id']),
+      ('pos_terminals', array['terminal_id', 'next_or_number']),
+      ('held_orders', array['held_order_id'])
+    ) as t(table_name, args)
+  loop
+    execute format('drop trigger if exists record_audit_trail on public.%I', v_table.table_name);
+    execute format(
+      'create trigger record_audit_trail after insert or update or delete on public.%I
+         for each row execute function public.record_audit_trail(%s)',
+      v_table.table_name,
+      (select string_agg(quote_literal(a), ', ') from unnest(v_table.args) a)
+    );
+  end loop;
+end;
+$$;
+
+-- Only Admin holds audit.view unless it is granted to a role on purpose
+insert into public.permissions (permission_name, resource_name, action_name)
+select 'audit.view', 'audit', 'view'
+where not exists (select 1 from public.permissions where permission_name = 'audit.view');
@@ -0,0 +1,23 @@
+-- Live dashboard
+-- The dashboard's recent activity feed and figures follow new sales,
+-- pullouts and purchase orders as they happen. Tables that were already
+-- added to the realtime publication by hand are left as they are.
+
+do $$
+declare
+  v_table text;
+begin
+  foreach v_table in array array['sales_header', 'pullout', 'purchase']
+  loop
+    if not exists (
+      select 1
+      from pg_publication_tables
+      where pubname = 'supabase_realtime'
+        and schemaname = 'public'
+        and tablename = v_table
+    ) then
+      execute format('alter publication supabase_realtime add table public.%I', v_table);
+    end if;
+  end loop;
+end;
+$$;
@@ -0,0 +1,307 @@
+-- Cost of sales and operating expenses
+-- Each sold line records what its recipe cost when it was rung up: the
+-- base recipe and the recipe deltas of the chosen options, priced at the
+-- ingredients' unit_cost at that moment. Later price changes leave past
+-- margins alone.
+--
+-- Operating expenses (rent, payroll, utilities and the like) are entered in
+-- the expenses table, and profit_and_loss() puts the two together into a
+-- P&L for a range of business days, with gross margin per item and per
+-- category. Sales are counted without the VAT collected on them, which is
+-- owed to the government. Refunds come off sales when they are paid out; a
+-- restocked refund also takes its cost back out of cost of sales, while a
+-- wasted one stays in it.
+
+alter table public.sales_detail
+  add column if not exists unit_cost numeric,
+  add column if not exists cost_amount numeric;
+
+-- Recipe cost of one unit of an item with the given options
+create or replace function public.item_unit_cost(
+  p_item_id integer,
+  p_modifier_ids jsonb default '[]'::jsonb
+) returns numeric
+language sql
+stable
+set search_path = public
+as $$
+  select coalesce(sum(u.required * coalesce(i.unit_cost, 0)), 0)
+  from sale_ingredient_usage(jsonb_build_array(jsonb_build_object(
+    'item_id', p_item_id,
+    'quantity', 1,
+    'modifier_ids', coalesce(p_modifier_ids, '[]'::jsonb)
+  ))) u
+  join ingredients i on i.ingredient_id = u.ingredient_id;
+$$;
+
+-- The cost is fixed when the line is written, whichever path wrote it
+-- (process_sale, an offline sale replayed later or a direct insert)
+create or replace function public.record_sale_line_cost()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' then
+    new.unit_cost := item_unit_cost(
+      new.item_id,
+      jsonb_path_query_array(coalesce(new.modifiers, '[]'::jsonb), '$[*].modifier_id')
+    );
+  end if;
+
+  new.cost_amount := round(coalesce(new.unit_cost, 0) * coalesce(new.quantity, 0), 2);
+  return new;
+end;
+$$;
+
+drop trigger if exists record_sale_line_cost on public.sales_detail;
+create trigger record_sale_line_cost
+  before insert or update of quantity on public.sales_detail
+  for each row
+  execute function public.record_sale_line_cost();
+
+-- Lines sold before costs were recorded are priced at today's unit costs,
+-- the closest figure there is for them
+update public.sales_detail sd
+set unit_cost = c.unit_cost,
+    cost_amount = round(c.unit_cost * coalesce(sd.quantity, 0), 2)
+from (
+  select sale_detail_id,
+         item_unit_cost(item_id, jsonb_path_query_array(coalesce(modifiers, '[]'::jsonb), '$[*].modifier_id')) as unit_cost
+  from public.sales_detail
+  where unit_cost is null
+) c
+where c.sale_detail_id = sd.sale_detail_id;
+
+create table if not exists public.expenses (
+  expense_id serial primary key,
+  expense_date date not null default current_date,
+  category text not null check (category in (
+    'rent', 'payroll', 'utilities', 'supplies', 'repairs', 'marketing', 'taxes', 'other'
+  )),
+  description text not null check (length(trim(description)) > 0),
+  amount numeric(12, 2) not null check (amount > 0),
+  payee text,
+  reference_number text,
+  created_by uuid default auth.uid(),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists expenses_expense_date_idx
+  on public.expenses (expense_date);
+
+alter table public.expenses enable row level security;
+
+create policy "expenses.view can read expenses"
+  on public.expenses for select to authenticated
+  using (has_permission('expenses.view'));
+
+create policy "expenses.create can add expenses"
+  on public.expenses for insert to authenticated
+  with check (has_permission('expenses.create'));
+
+create policy "expenses.edit can change expenses"
+  on public.expenses for update to authenticated
+  using (has_permission('expenses.edit'))
+  with check (has_permission('expenses.edit'));
+
+create policy "expenses.delete can remove expenses"
+  on public.expenses for delete to authenticated
+  using (has_permission('expenses.delete'));
+
+drop trigger if exists record_audit_trail on public.expenses;
+create trigger record_audit_trail
+  after insert or update or delete on public.expenses
+  for each row execute function public.record_audit_trail('expense_id');
+
+-- Recording and correcting expenses is a Manager job until other roles are
+-- granted it from the permissions screen
+insert into public.permissions (permission_name, resource_name, action_name)
+select name, 'expenses', split_part(name, '.', 2)
+from unnest(array['expenses.view', 'expenses.create', 'expenses.edit', 'expenses.delete']) as name
+where not exists (select 1 from public.permissions p where p.permission_name = name);
+
+insert into public.role_permissions (role_id, permission_id)
+select r.role_id, p.permission_id
+from public.roles r
+join public.permissions p on p.permission_name like 'expenses.%'
+where r.role_name = 'Manager'
+  and not exists (
+    select 1 from public.role_permissions existing
+    where existing.role_id = r.role_id and existing.permission_id = p.permission_id
+  );
+
+-- P&L for the business days p_start to p_end (inclusive, Manila time)
+create or replace function public.profit_and_loss(
+  p_start date,
+  p_end date
+) returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_from timestamptz := p_start::timestamp at time zone 'Asia/Manila';
+  v_to timestamptz := (p_end + 1)::timestamp at time zone 'Asia/Manila';
+  v_result jsonb;
+begin
+  if not has_permission('reports.financial') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to view financial reports');
+  end if;
+
+  if p_start is null or p_end is null or p_end < p_start then
+    return jsonb_build_object('success', false, 'message', 'Choose a start date on or before the end date');
+  end if;
+
+  with sale_factors as (
+    -- What the customer paid per peso of discounted line value, the same
+    -- split process_refund uses, less the VAT collected for the government
+    select sh.sale_id,
+           (sh.sale_date at time zone 'Asia/Manila')::date as business_date,
+           case when sum(sd.subtotal - coalesce(sd.discount_amount, 0)) > 0
+                then (sh.total_amount - coalesce(sh.vat_amount, 0))
+                     / sum(sd.subtotal - coalesce(sd.discount_amount, 0))
+                else 0 end as factor
+    from sales_header sh
+    join sales_detail sd on sd.sale_id = sh.sale_id
+    where sh.sale_date >= v_from
+      and sh.sale_date < v_to
+      and not coalesce(sh.is_voided, false)
+    group by sh.sale_id
+  ),
+  lines as (
+    select sd.item_id,
+           sf.business_date,
+           sd.quantity::numeric as quantity,
+           (sd.subtotal - coalesce(sd.discount_amount, 0)) * sf.factor as sales,
+           0::numeric as refunds,
+           coalesce(sd.cost_amount, 0) as cost
+    from sale_factors sf
+    join sales_detail sd on sd.sale_id = sf.sale_id
+    union all
+    -- Refunds give back VAT in the same proportion the sale collected it
+    select ri.item_id,
+           (r.created_at at time zone 'Asia/Manila')::date,
+           -ri.quantity,
+           0,
+           case when sh.total_amount > 0
+                then ri.amount * (sh.total_amount - coalesce(sh.vat_amount, 0)) / sh.total_amount
+                else 0 end,
+           case when ri.disposition = 'restock'
+                then -ri.quantity * coalesce(sd.unit_cost, 0)
+                else 0 end
+    from sales_refunds r
+    join sales_header sh on sh.sale_id = r.sale_id
+    join sales_refund_items ri on ri.refund_id = r.refund_id
+    join sales_detail sd on sd.sale_detail_id = ri.sale_detail_id
+    where r.created_at >= v_from
+      and r.created_at < v_to
+  ),
+  by_item as (
+    select l.item_id,
+           coalesce(i.item_name, 'Unknown Item') as item_name,
+           coalesce(nullif(i.category, ''), 'Uncategorized') as category,
+           sum(l.quantity) as quantity,
+           round(sum(l.sales - l.refunds), 2) as net_sales,
+           round(sum(l.cost), 2) as cost_of_sales
+    from lines l
+    left join items i on i.item_id = l.item_id
+    group by l.item_id, i.item_name, i.category
+  ),
+  by_category as (
+    select category,
+           sum(quantity) as quantity,
+           sum(net_sales) as net_sales,
+           sum(cost_of_sales) as cost_of_sales
+    from by_item
+    group by category
+  ),
+  by_day as (
+    select business_date,
+           round(sum(sales - refunds), 2) as net_sales,
+           round(sum(cost), 2) as cost_of_sales
+    from lines
+    group by business_date
+  ),
+  expense_lines as (
+    select category, amount
+    from expenses
+    where expense_date between p_start and p_end
+  ),
+  totals as (
+    select round(coalesce((select sum(sales) from lines), 0), 2) as gross_sales,
+           round(coalesce((select sum(refunds) from lines), 0), 2) as refunds,
+           round(coalesce((select sum(cost) from lines), 0), 2) as cost_of_sales,
+           coalesce((select sum(amount) from expense_lines), 0) as operating_expenses
+  )
+  select jsonb_build_object(
+    'success', true,
+    'summary', (
+      select jsonb_build_object(
+        'gross_sales', t.gross_sales,
+        'refunds', t.refunds,
+        'net_sales', t.gross_sales - t.refunds,
+        'cost_of_sales', t.cost_of_sales,
+        'gross_profit', t.gross_sales - t.refunds - t.cost_of_sales,
+        'gross_margin', round((t.gross_sales - t.refunds - t.cost_of_sales) * 100 / nullif(t.gross_sales - t.refunds, 0), 1),
+        'operating_expenses', t.operating_expenses,
+        'net_profit', t.gross_sales - t.refunds - t.cost_of_sales - t.operating_expenses,
+        'net_margin', round((t.gross_sales - t.refunds - t.cost_of_sales - t.operating_expenses) * 100 / nullif(t.gross_sales - t.refunds, 0), 1)
+      )
+      from totals t
+    ),
+    'items', (
+      select coalesce(jsonb_agg(jsonb_build_object(
+        'item_id', item_id,
+        'item_name', item_name,
+        'category', category,
+        'quantity', quantity,
+        'net_sales', net_sales,
+        'cost_of_sales', cost_of_sales,
+        'gross_profit', net_sales - cost_of_sales,
+        'gross_margin', round((net_sales - cost_of_sales) * 100 / nullif(net_sales, 0), 1)
+      ) order by net_sales - cost_of_sales desc), '[]'::jsonb)
+      from by_item
+    ),
+    'categories', (
+      select coalesce(jsonb_agg(jsonb_build_object(
+        'category', category,
+        'quantity', quantity,
+        'net_sales', net_sales,
+        'cost_of_sales', cost_of_sales,
+        'gross_profit', net_sales - cost_of_sales,
+        'gross_margin', round((net_sales - cost_of_sales) * 100 / nullif(net_sales, 0), 1)
+      ) order by net_sales - cost_of_sales desc), '[]'::jsonb)
+      from by_category
+    ),
+    'expenses', (
+      select coalesce(jsonb_agg(jsonb_build_object(
+        'category', category,
+        'amount', amount
+      ) order by amount desc), '[]'::jsonb)
+      from (
+        select category, sum(amount) as amount
+        from expense_lines
+        group by category
+      ) e
+    ),
+    'daily', (
+      select coalesce(jsonb_agg(jsonb_build_object(
+        'date', business_date,
+        'net_sales', net_sales,
+        'cost_of_sales', cost_of_sales,
+        'gross_profit', net_sales - cost_of_sales
+      ) order by business_date), '[]'::jsonb)
+      from by_day
+    )
+  )
+  into v_result;
+
+  return v_result;
+end;
+$$;
+
+grant execute on function public.profit_and_loss(date, date) to authenticated;
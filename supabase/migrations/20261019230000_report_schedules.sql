@@ -0,0 +1,337 @@
+-- Scheduled report delivery
+-- A schedule mails one report (sales, inventory or financial) as a PDF or
+-- Excel attachment every day, week or month at a set Manila time. The
+-- report worker (src/scripts/report-scheduler.js) claims due schedules with
+-- claim_report_runs(), renders the report for the period that just ended
+-- and reports back through finish_report_run(). Every delivery is kept as a
+-- run; a failed one is retried a few times before it is given up on.
+
+create table if not exists public.report_schedules (
+  schedule_id serial primary key,
+  name text not null check (length(trim(name)) > 0),
+  report_type text not null check (report_type in ('sales', 'inventory', 'financial')),
+  frequency text not null check (frequency in ('daily', 'weekly', 'monthly')),
+  -- 0 = Sunday; only used by weekly schedules
+  day_of_week smallint check (day_of_week between 0 and 6),
+  -- Capped at 28 so every month has the day; only used by monthly schedules
+  day_of_month smallint check (day_of_month between 1 and 28),
+  send_time time not null default '07:00',
+  format text not null default 'pdf' check (format in ('pdf', 'excel')),
+  recipients text[] not null check (cardinality(recipients) > 0),
+  options jsonb not null default '{}'::jsonb,
+  is_active boolean not null default true,
+  next_run_at timestamptz,
+  last_run_at timestamptz,
+  created_by uuid default auth.uid(),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (frequency <> 'weekly' or day_of_week is not null),
+  check (frequency <> 'monthly' or day_of_month is not null)
+);
+
+create table if not exists public.report_schedule_runs (
+  run_id serial primary key,
+  schedule_id integer not null references public.report_schedules (schedule_id) on delete cascade,
+  scheduled_for timestamptz not null,
+  period_start date not null,
+  period_end date not null,
+  status text not null default 'running' check (status in ('running', 'sent', 'retrying', 'failed')),
+  attempts integer not null default 1,
+  recipients text[] not null,
+  message_id text,
+  error text,
+  next_retry_at timestamptz,
+  started_at timestamptz not null default now(),
+  finished_at timestamptz
+);
+
+create index if not exists report_schedules_next_run_at_idx
+  on public.report_schedules (next_run_at)
+  where is_active;
+
+create index if not exists report_schedule_runs_schedule_id_idx
+  on public.report_schedule_runs (schedule_id, started_at desc);
+
+create index if not exists report_schedule_runs_retry_idx
+  on public.report_schedule_runs (next_retry_at)
+  where status = 'retrying';
+
+-- First send time strictly after p_after, in Manila time
+create or replace function public.next_report_run(
+  p_frequency text,
+  p_day_of_week smallint,
+  p_day_of_month smallint,
+  p_send_time time,
+  p_after timestamptz default now()
+) returns timestamptz
+language plpgsql
+immutable
+set search_path = public
+as $$
+declare
+  v_local timestamp := p_after at time zone 'Asia/Manila';
+  v_day date := v_local::date;
+begin
+  -- A monthly slot is at most a month and a day away
+  for i in 0..62 loop
+    if v_day + p_send_time > v_local
+       and (p_frequency = 'daily'
+         or (p_frequency = 'weekly' and extract(dow from v_day) = p_day_of_week)
+         or (p_frequency = 'monthly' and extract(day from v_day) = p_day_of_month)) then
+      return (v_day + p_send_time) at time zone 'Asia/Manila';
+    end if;
+    v_day := v_day + 1;
+  end loop;
+
+  return null;
+end;
+$$;
+
+-- Business days a run covers: the day, week or calendar month that ended
+-- before the run's slot
+create or replace function public.report_run_period(
+  p_frequency text,
+  p_scheduled_for timestamptz,
+  out period_start date,
+  out period_end date
+)
+language sql
+immutable
+set search_path = public
+as $$
+  select case p_frequency
+           when 'daily' then d - 1
+           when 'weekly' then d - 7
+           else (date_trunc('month', d) - interval '1 month')::date
+         end,
+         case p_frequency
+           when 'monthly' then (date_trunc('month', d) - interval '1 day')::date
+           else d - 1
+         end
+  from (select (p_scheduled_for at time zone 'Asia/Manila')::date as d) slot;
+$$;
+
+-- Keeps next_run_at in step with the timing fields; pausing clears it
+create or replace function public.set_report_schedule_next_run()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  if tg_op = 'UPDATE' then
+    new.updated_at := now();
+  end if;
+
+  if not new.is_active then
+    new.next_run_at := null;
+  elsif tg_op = 'INSERT'
+     or new.next_run_at is null
+     or new.frequency is distinct from old.frequency
+     or new.day_of_week is distinct from old.day_of_week
+     or new.day_of_month is distinct from old.day_of_month
+     or new.send_time is distinct from old.send_time then
+    new.next_run_at := next_report_run(new.frequency, new.day_of_week, new.day_of_month, new.send_time);
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists set_report_schedule_next_run on public.report_schedules;
+create trigger set_report_schedule_next_run
+  before insert or update on public.report_schedules
+  for each row
+  execute function public.set_report_schedule_next_run();
+
+alter table public.report_schedules enable row level security;
+alter table public.report_schedule_runs enable row level security;
+
+create policy "reports.schedule can read schedules"
+  on public.report_schedules for select to authenticated
+  using (has_permission('reports.schedule'));
+
+create policy "reports.schedule can add schedules"
+  on public.report_schedules for insert to authenticated
+  with check (has_permission('reports.schedule') and has_permission('reports.' || report_type));
+
+create policy "reports.schedule can change schedules"
+  on public.report_schedules for update to authenticated
+  using (has_permission('reports.schedule'))
+  with check (has_permission('reports.schedule') and has_permission('reports.' || report_type));
+
+create policy "reports.schedule can remove schedules"
+  on public.report_schedules for delete to authenticated
+  using (has_permission('reports.schedule'));
+
+create policy "reports.schedule can read runs"
+  on public.report_schedule_runs for select to authenticated
+  using (has_permission('reports.schedule'));
+
+drop trigger if exists record_audit_trail on public.report_schedules;
+create trigger record_audit_trail
+  after insert or update or delete on public.report_schedules
+  for each row execute function public.record_audit_trail('schedule_id');
+
+insert into public.permissions (permission_name, resource_name, action_name)
+select 'reports.schedule', 'reports', 'schedule'
+where not exists (select 1 from public.permissions where permission_name = 'reports.schedule');
+
+insert into public.role_permissions (role_id, permission_id)
+select r.role_id, p.permission_id
+from public.roles r
+join public.permissions p on p.permission_name = 'reports.schedule'
+where r.role_name = 'Manager'
+  and not exists (
+    select 1 from public.role_permissions existing
+    where existing.role_id = r.role_id and existing.permission_id = p.permission_id
+  );
+
+-- The report worker signs in with the service role. It already bypasses
+-- RLS; it passes permission checks in RPCs such as profit_and_loss too.
+create or replace function public.has_permission(p_permission text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select auth.role() = 'service_role'
+      or coalesce(bool_or(staff_has_permission(s.staff_id, p_permission)), false)
+  from staff s
+  where s.user_id = auth.uid();
+$$;
+
+-- Claim everything due for the worker: a new run for each schedule whose
+-- slot has come, and the next attempt of each run waiting on a retry. A
+-- schedule whose owner can no longer see its report type gets a failed
+-- run instead. Rows are locked so two workers never send the same run.
+create or replace function public.claim_report_runs()
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_schedule report_schedules%rowtype;
+  v_allowed boolean;
+  v_run_ids integer[] := '{}';
+  v_run_id integer;
+begin
+  for v_schedule in
+    select *
+    from report_schedules
+    where is_active and next_run_at <= now()
+    order by next_run_at
+    for update skip locked
+  loop
+    select coalesce(bool_or(staff_has_permission(s.staff_id, 'reports.' || v_schedule.report_type)), false)
+    into v_allowed
+    from staff s
+    where s.user_id = v_schedule.created_by;
+
+    insert into report_schedule_runs (
+      schedule_id, scheduled_for, period_start, period_end, recipients,
+      status, error, finished_at
+    )
+    select v_schedule.schedule_id, v_schedule.next_run_at, p.period_start, p.period_end, v_schedule.recipients,
+           case when v_allowed then 'running' else 'failed' end,
+           case when v_allowed then null else 'The schedule''s owner no longer has access to this report' end,
+           case when v_allowed then null else now() end
+    from report_run_period(v_schedule.frequency, v_schedule.next_run_at) p
+    returning run_id into v_run_id;
+
+    if v_allowed then
+      v_run_ids := v_run_ids || v_run_id;
+    end if;
+
+    update report_schedules
+    set next_run_at = next_report_run(frequency, day_of_week, day_of_month, send_time),
+        last_run_at = now()
+    where schedule_id = v_schedule.schedule_id;
+  end loop;
+
+  with retried as (
+    update report_schedule_runs r
+    set status = 'running',
+        attempts = r.attempts + 1,
+        next_retry_at = null,
+        started_at = now()
+    where r.run_id in (
+      select run_id
+      from report_schedule_runs
+      where status = 'retrying' and next_retry_at <= now()
+      for update skip locked
+    )
+    returning r.run_id
+  )
+  select v_run_ids || coalesce(array_agg(run_id), '{}') into v_run_ids from retried;
+
+  return coalesce((
+    select jsonb_agg(jsonb_build_object(
+      'run_id', r.run_id,
+      'schedule_id', s.schedule_id,
+      'name', s.name,
+      'report_type', s.report_type,
+      'frequency', s.frequency,
+      'format', s.format,
+      'options', s.options,
+      'recipients', r.recipients,
+      'period_start', r.period_start,
+      'period_end', r.period_end,
+      'attempts', r.attempts
+    ) order by r.run_id)
+    from report_schedule_runs r
+    join report_schedules s on s.schedule_id = r.schedule_id
+    where r.run_id = any(v_run_ids)
+  ), '[]'::jsonb);
+end;
+$$;
+
+-- Record how a claimed run went. Failures are retried after 5, then 15
+-- minutes; the third failure is final.
+create or replace function public.finish_report_run(
+  p_run_id integer,
+  p_message_id text default null,
+  p_error text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_run report_schedule_runs%rowtype;
+begin
+  select * into v_run
+  from report_schedule_runs
+  where run_id = p_run_id
+  for update;
+
+  if not found or v_run.status <> 'running' then
+    return jsonb_build_object('success', false, 'message', 'Run is not in progress');
+  end if;
+
+  if p_error is null then
+    update report_schedule_runs
+    set status = 'sent', message_id = p_message_id, error = null, finished_at = now()
+    where run_id = p_run_id;
+  elsif v_run.attempts < 3 then
+    update report_schedule_runs
+    set status = 'retrying',
+        error = p_error,
+        next_retry_at = now() + case v_run.attempts when 1 then interval '5 minutes' else interval '15 minutes' end
+    where run_id = p_run_id;
+  else
+    update report_schedule_runs
+    set status = 'failed', error = p_error, finished_at = now()
+    where run_id = p_run_id;
+  end if;
+
+  return jsonb_build_object('success', true);
+end;
+$$;
+
+-- Only the worker claims and finishes runs
+revoke execute on function public.claim_report_runs() from public, anon, authenticated;
+revoke execute on function public.finish_report_run(integer, text, text) from public, anon, authenticated;
+grant execute on function public.claim_report_runs() to service_role;
+grant execute on function public.finish_report_run(integer, text, text) to service_role;
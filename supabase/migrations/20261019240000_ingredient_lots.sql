@@ -0,0 +1,553 @@
+-- Ingredient lots and expiry
+-- On-hand stock is split into lots, each with its own lot number, expiry
+-- and remaining quantity. Purchase receipts and positive adjustments open
+-- (or top up) a lot; sales, pullouts and negative adjustments take from the
+-- lot that expires first (FEFO), leaving expired lots for last so they can
+-- be pulled out rather than sold. Voids and refunds put stock back into the
+-- lots the sale took it from.
+--
+-- ingredients.quantity stays the balance the rest of the app reads, and the
+-- lots of an ingredient add up to it as long as it is not negative. Stock
+-- without a lot number or expiry sits in one untracked lot per ingredient.
+
+create table if not exists public.ingredient_lots (
+  lot_id serial primary key,
+  ingredient_id integer not null references public.ingredients (ingredient_id) on delete cascade,
+  lot_number text,
+  expiry_date date,
+  production_date date,
+  quantity numeric not null default 0 check (quantity >= 0),
+  source_type text,
+  source_id text,
+  received_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists ingredient_lots_open_idx
+  on public.ingredient_lots (ingredient_id, expiry_date)
+  where quantity > 0;
+
+-- Which lots each stock movement took from or put into
+create table if not exists public.stock_movement_lots (
+  movement_id bigint not null references public.stock_movements (movement_id) on delete cascade,
+  lot_id integer not null references public.ingredient_lots (lot_id) on delete cascade,
+  quantity numeric not null,
+  primary key (movement_id, lot_id)
+);
+
+create index if not exists stock_movement_lots_lot_idx
+  on public.stock_movement_lots (lot_id);
+
+alter table public.ingredient_lots enable row level security;
+alter table public.stock_movement_lots enable row level security;
+
+-- Lots are written by the posting functions only
+create policy "Authenticated users can read ingredient lots"
+  on public.ingredient_lots for select to authenticated using (true);
+
+create policy "Authenticated users can read stock movement lots"
+  on public.stock_movement_lots for select to authenticated using (true);
+
+-- Lot numbers written on deliveries, and the lot a pullout takes from
+alter table public.purchase_details add column if not exists lot_number text;
+alter table public.consignment_details add column if not exists lot_number text;
+alter table public.pullout
+  add column if not exists lot_id integer references public.ingredient_lots (lot_id) on delete set null;
+
+-- Stock on hand before lots were tracked starts as one untracked lot
+insert into public.ingredient_lots (ingredient_id, quantity, source_type)
+select i.ingredient_id, i.quantity, 'opening'
+from public.ingredients i
+where i.quantity > 0
+  and not exists (select 1 from public.ingredient_lots l where l.ingredient_id = i.ingredient_id);
+
+-- Take p_quantity out of an ingredient's lots for a movement: p_lot_id
+-- first when given, then by earliest expiry, with expired lots last. Stock
+-- beyond what the lots hold (a negative balance) is not tracked by lot.
+create or replace function public.take_from_lots(
+  p_movement_id bigint,
+  p_ingredient_id integer,
+  p_quantity numeric,
+  p_lot_id integer default null
+) returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_today date := (now() at time zone 'Asia/Manila')::date;
+  v_lot record;
+  v_left numeric := p_quantity;
+  v_take numeric;
+begin
+  for v_lot in
+    select lot_id, quantity
+    from ingredient_lots
+    where ingredient_id = p_ingredient_id
+      and quantity > 0
+    order by (lot_id is not distinct from p_lot_id) desc,
+             coalesce(expiry_date < v_today, false),
+             expiry_date nulls last,
+             received_at,
+             lot_id
+    for update
+  loop
+    exit when v_left <= 0;
+
+    v_take := least(v_left, v_lot.quantity);
+
+    update ingredient_lots
+    set quantity = quantity - v_take,
+        updated_at = now()
+    where lot_id = v_lot.lot_id;
+
+    insert into stock_movement_lots (movement_id, lot_id, quantity)
+    values (p_movement_id, v_lot.lot_id, -v_take)
+    on conflict (movement_id, lot_id)
+    do update set quantity = stock_movement_lots.quantity + excluded.quantity;
+
+    v_left := v_left - v_take;
+  end loop;
+end;
+$$;
+
+-- Put p_quantity into the ingredient's lot with this lot number and expiry,
+-- opening the lot if there is none yet
+create or replace function public.put_into_lot(
+  p_movement_id bigint,
+  p_ingredient_id integer,
+  p_quantity numeric,
+  p_lot_number text default null,
+  p_expiry_date date default null,
+  p_production_date date default null,
+  p_source_type text default null,
+  p_source_id text default null
+) returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_lot_number text := nullif(trim(p_lot_number), '');
+  v_lot_id integer;
+begin
+  select lot_id into v_lot_id
+  from ingredient_lots
+  where ingredient_id = p_ingredient_id
+    and lot_number is not distinct from v_lot_number
+    and expiry_date is not distinct from p_expiry_date
+  order by lot_id desc
+  limit 1
+  for update;
+
+  if found then
+    update ingredient_lots
+    set quantity = quantity + p_quantity,
+        production_date = coalesce(production_date, p_production_date),
+        updated_at = now()
+    where lot_id = v_lot_id;
+  else
+    insert into ingredient_lots (
+      ingredient_id, lot_number, expiry_date, production_date,
+      quantity, source_type, source_id
+    ) values (
+      p_ingredient_id, v_lot_number, p_expiry_date, p_production_date,
+      p_quantity, p_source_type, p_source_id
+    )
+    returning lot_id into v_lot_id;
+  end if;
+
+  insert into stock_movement_lots (movement_id, lot_id, quantity)
+  values (p_movement_id, v_lot_id, p_quantity)
+  on conflict (movement_id, lot_id)
+  do update set quantity = stock_movement_lots.quantity + excluded.quantity;
+end;
+$$;
+
+-- Put voided or refunded stock back into the lots the sale took it from,
+-- net of what earlier voids and refunds of the sale already returned
+create or replace function public.return_to_lots(
+  p_movement_id bigint,
+  p_ingredient_id integer,
+  p_quantity numeric,
+  p_sale_id integer
+) returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_lot record;
+  v_left numeric := p_quantity;
+  v_put numeric;
+begin
+  for v_lot in
+    select ml.lot_id, -sum(ml.quantity) as outstanding
+    from stock_movements m
+    join stock_movement_lots ml on ml.movement_id = m.movement_id
+    join ingredient_lots l on l.lot_id = ml.lot_id
+    where m.ingredient_id = p_ingredient_id
+      and m.movement_id <> p_movement_id
+      and (
+        (m.reference_type = 'sale' and m.reference_id = p_sale_id::text)
+        or (m.reference_type = 'refund' and m.reference_id in (
+          select refund_id::text from sales_refunds where sale_id = p_sale_id
+        ))
+      )
+    group by ml.lot_id, l.expiry_date
+    having sum(ml.quantity) < 0
+    order by l.expiry_date nulls last, ml.lot_id
+  loop
+    exit when v_left <= 0;
+
+    v_put := least(v_left, v_lot.outstanding);
+
+    update ingredient_lots
+    set quantity = quantity + v_put,
+        updated_at = now()
+    where lot_id = v_lot.lot_id;
+
+    insert into stock_movement_lots (movement_id, lot_id, quantity)
+    values (p_movement_id, v_lot.lot_id, v_put)
+    on conflict (movement_id, lot_id)
+    do update set quantity = stock_movement_lots.quantity + excluded.quantity;
+
+    v_left := v_left - v_put;
+  end loop;
+
+  if v_left > 0 then
+    perform put_into_lot(p_movement_id, p_ingredient_id, v_left, null, null, null, 'return', p_sale_id::text);
+  end if;
+end;
+$$;
+
+-- Lines ([{ ingredient_id, quantity }]) may now also carry lot_id (the lot
+-- to take from first) and, for stock coming in, lot_number, expiry_date and
+-- production_date. Each ingredient in the result lists the lots touched.
+create or replace function public.post_stock_movements(
+  p_movement_type text,
+  p_lines jsonb,
+  p_reference_type text default null,
+  p_reference_id text default null,
+  p_notes text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_posted jsonb;
+  v_line record;
+  v_sale_id integer;
+begin
+  -- Lock in a fixed order so concurrent postings cannot deadlock
+  perform 1
+  from ingredients
+  where ingredient_id in (select (x->>'ingredient_id')::integer from jsonb_array_elements(p_lines) x)
+  order by ingredient_id
+  for update;
+
+  -- Tells the direct-edit trigger this change is already being recorded
+  perform set_config('app.stock_movement', 'on', true);
+
+  with lines as (
+    select (x->>'ingredient_id')::integer as ingredient_id,
+           sum((x->>'quantity')::numeric) as quantity
+    from jsonb_array_elements(p_lines) x
+    group by 1
+    having sum((x->>'quantity')::numeric) <> 0
+  ),
+  updated as (
+    update ingredients i
+    set quantity = coalesce(i.quantity, 0) + l.quantity,
+        updated_at = now()
+    from lines l
+    where i.ingredient_id = l.ingredient_id
+    returning i.ingredient_id, i.name, i.quantity as balance_after, i.minimum_quantity, l.quantity
+  ),
+  posted as (
+    insert into stock_movements (
+      ingredient_id, movement_type, quantity, balance_after,
+      reference_type, reference_id, notes, created_by
+    )
+    select ingredient_id, p_movement_type, quantity, balance_after,
+           p_reference_type, p_reference_id, nullif(trim(p_notes), ''), auth.uid()
+    from updated
+    returning movement_id, ingredient_id
+  )
+  select coalesce(jsonb_agg(jsonb_build_object(
+    'movement_id', p.movement_id,
+    'ingredient_id', u.ingredient_id,
+    'name', u.name,
+    'quantity', u.quantity,
+    'balance_after', u.balance_after,
+    'minimum_quantity', u.minimum_quantity
+  )), '[]'::jsonb)
+  into v_posted
+  from updated u
+  join posted p on p.ingredient_id = u.ingredient_id;
+
+  -- Voids and refunds return stock to the lots of the sale
+  if p_movement_type in ('void', 'refund') then
+    v_sale_id := case p_reference_type
+      when 'sale' then p_reference_id::integer
+      when 'refund' then (select sale_id from sales_refunds where refund_id = p_reference_id::integer)
+    end;
+  end if;
+
+  for v_line in
+    select x as line,
+           (x->>'quantity')::numeric as quantity,
+           (m->>'ingredient_id')::integer as ingredient_id,
+           (m->>'movement_id')::bigint as movement_id
+    from jsonb_array_elements(p_lines) x
+    join jsonb_array_elements(v_posted) m on m->>'ingredient_id' = x->>'ingredient_id'
+    where (x->>'quantity')::numeric <> 0
+  loop
+    if v_line.quantity < 0 then
+      perform take_from_lots(v_line.movement_id, v_line.ingredient_id, -v_line.quantity, (v_line.line->>'lot_id')::integer);
+    elsif v_sale_id is not null then
+      perform return_to_lots(v_line.movement_id, v_line.ingredient_id, v_line.quantity, v_sale_id);
+    else
+      perform put_into_lot(
+        v_line.movement_id,
+        v_line.ingredient_id,
+        v_line.quantity,
+        v_line.line->>'lot_number',
+        (v_line.line->>'expiry_date')::date,
+        (v_line.line->>'production_date')::date,
+        coalesce(p_reference_type, p_movement_type),
+        p_reference_id
+      );
+    end if;
+  end loop;
+
+  perform set_config('app.stock_movement', '', true);
+
+  return coalesce((
+    select jsonb_agg(m || jsonb_build_object('lots', coalesce((
+      select jsonb_agg(jsonb_build_object(
+        'lot_id', l.lot_id,
+        'lot_number', l.lot_number,
+        'expiry_date', l.expiry_date,
+        'quantity', ml.quantity
+      ) order by l.expiry_date nulls last, l.lot_id)
+      from stock_movement_lots ml
+      join ingredient_lots l on l.lot_id = ml.lot_id
+      where ml.movement_id = (m->>'movement_id')::bigint
+    ), '[]'::jsonb)))
+    from jsonb_array_elements(v_posted) m
+  ), '[]'::jsonb);
+end;
+$$;
+
+-- Direct quantity edits also move stock in and out of lots
+create or replace function public.record_direct_stock_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_change numeric;
+  v_movement_id bigint;
+begin
+  if coalesce(current_setting('app.stock_movement', true), '') = 'on' then
+    return new;
+  end if;
+
+  v_change := coalesce(new.quantity, 0) - case when tg_op = 'INSERT' then 0 else coalesce(old.quantity, 0) end;
+
+  insert into stock_movements (
+    ingredient_id, movement_type, quantity, balance_after, notes, created_by
+  ) values (
+    new.ingredient_id,
+    'adjustment',
+    v_change,
+    coalesce(new.quantity, 0),
+    case when tg_op = 'INSERT' then 'Opening balance' else 'Quantity edited directly' end,
+    auth.uid()
+  )
+  returning movement_id into v_movement_id;
+
+  if v_change < 0 then
+    perform take_from_lots(v_movement_id, new.ingredient_id, -v_change);
+  else
+    perform put_into_lot(
+      v_movement_id, new.ingredient_id, v_change, null, null, null,
+      case when tg_op = 'INSERT' then 'opening' else 'adjustment' end, null
+    );
+  end if;
+
+  return new;
+end;
+$$;
+
+-- Stock added by hand can be given a lot number and expiry
+drop function if exists public.adjust_stock(integer, numeric, text);
+
+create or replace function public.adjust_stock(
+  p_ingredient_id integer,
+  p_quantity numeric,
+  p_notes text,
+  p_lot_number text default null,
+  p_expiry_date date default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_result jsonb;
+begin
+  if not has_permission('inventory.adjust') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to adjust stock');
+  end if;
+
+  if coalesce(p_quantity, 0) = 0 then
+    return jsonb_build_object('success', false, 'message', 'Enter a quantity to add or remove');
+  end if;
+
+  if nullif(trim(p_notes), '') is null then
+    return jsonb_build_object('success', false, 'message', 'A reason is required for a stock adjustment');
+  end if;
+
+  v_result := post_stock_movements(
+    'adjustment',
+    jsonb_build_array(jsonb_build_object(
+      'ingredient_id', p_ingredient_id,
+      'quantity', p_quantity,
+      'lot_number', p_lot_number,
+      'expiry_date', p_expiry_date
+    )),
+    null, null, p_notes
+  );
+
+  if jsonb_array_length(v_result) = 0 then
+    return jsonb_build_object('success', false, 'message', 'Ingredient not found');
+  end if;
+
+  return jsonb_build_object('success', true, 'ingredient', v_result->0);
+end;
+$$;
+
+-- A pullout for a lot (an expired one, say) takes from that lot first
+create or replace function public.approve_pullout(
+  p_pullout_id integer,
+  p_approved_by uuid
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_pullout record;
+  v_available numeric;
+  v_result jsonb;
+begin
+  if not has_permission('pullouts.approve') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to approve pullouts');
+  end if;
+
+  select * into v_pullout
+  from pullout
+  where pullout_id = p_pullout_id
+  for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Pullout not found');
+  end if;
+
+  if v_pullout.status <> 'pending' then
+    return jsonb_build_object('success', false, 'message', format('This pullout is already %s', v_pullout.status));
+  end if;
+
+  select coalesce(quantity, 0) into v_available
+  from ingredients
+  where ingredient_id = v_pullout.ingredient_id
+  for update;
+
+  if v_available < v_pullout.quantity then
+    return jsonb_build_object(
+      'success', false,
+      'message', format('Not enough quantity available for this pullout (have %s)', v_available)
+    );
+  end if;
+
+  v_result := post_stock_movements(
+    'pullout',
+    jsonb_build_array(jsonb_build_object(
+      'ingredient_id', v_pullout.ingredient_id,
+      'quantity', -v_pullout.quantity,
+      'lot_id', v_pullout.lot_id
+    )),
+    'pullout', p_pullout_id::text, v_pullout.reason
+  );
+
+  update pullout
+  set status = 'approved',
+      approved_by = p_approved_by,
+      updated_at = now()
+  where pullout_id = p_pullout_id
+  returning * into v_pullout;
+
+  return jsonb_build_object('success', true, 'pullout', to_jsonb(v_pullout), 'ingredient', v_result->0);
+end;
+$$;
+
+-- Each purchase line is received into its own lot
+create or replace function public.receive_purchase_stock(p_purchase_id integer)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_result jsonb;
+begin
+  if not has_permission('purchases.receive') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to receive deliveries');
+  end if;
+
+  perform 1 from purchase where purchase_id = p_purchase_id for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Purchase order not found');
+  end if;
+
+  if exists (
+    select 1 from stock_movements
+    where reference_type = 'purchase' and reference_id = p_purchase_id::text
+  ) then
+    return jsonb_build_object('success', false, 'message', 'This purchase order is already in stock');
+  end if;
+
+  v_result := post_stock_movements(
+    'purchase',
+    coalesce((
+      select jsonb_agg(jsonb_build_object(
+        'ingredient_id', ingredient_id,
+        'quantity', quantity,
+        'lot_number', lot_number,
+        'expiry_date', product_expiration_date
+      ))
+      from purchase_details
+      where purchase_id = p_purchase_id
+        and ingredient_id is not null
+    ), '[]'::jsonb),
+    'purchase', p_purchase_id::text
+  );
+
+  update ingredients
+  set last_restock_date = now()
+  where ingredient_id in (select (r->>'ingredient_id')::integer from jsonb_array_elements(v_result) r);
+
+  return jsonb_build_object('success', true, 'received', v_result);
+end;
+$$;
+
+revoke execute on function public.take_from_lots(bigint, integer, numeric, integer) from public, anon, authenticated;
+revoke execute on function public.put_into_lot(bigint, integer, numeric, text, date, date, text, text) from public, anon, authenticated;
+revoke execute on function public.return_to_lots(bigint, integer, numeric, integer) from public, anon, authenticated;
+
+grant execute on function public.adjust_stock(integer, numeric, text, text, date) to authenticated;
@@ -0,0 +1,371 @@
+-- Units of measure
+-- An ingredient is stocked in one unit (ingredients.unit) but can be bought
+-- and used in others: milk bought by the liter and stocked by the ml, cups
+-- bought by the case of 20 packs. ingredient_units says how many stock units
+-- one of each other unit holds, so a case of 20 packs of 50 pieces is 1000
+-- when the ingredient is stocked by the piece.
+--
+-- Recipe lines and purchase order lines say which unit they are written in
+-- and carry its factor, so sales, receipts and costing always work in stock
+-- units. A line without a unit is in stock units.
+
+create table if not exists public.ingredient_units (
+  ingredient_unit_id serial primary key,
+  ingredient_id integer not null references public.ingredients (ingredient_id) on delete cascade,
+  unit text not null,
+  factor numeric not null check (factor > 0),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (ingredient_id, unit)
+);
+
+alter table public.ingredient_units enable row level security;
+
+create policy "inventory.view can read ingredient units"
+  on public.ingredient_units for select to authenticated
+  using (has_permission('inventory.view') or has_permission('items.view') or has_permission('purchases.view'));
+create policy "inventory.edit can change ingredient units"
+  on public.ingredient_units for all to authenticated
+  using (has_permission('inventory.create') or has_permission('inventory.edit'))
+  with check (has_permission('inventory.create') or has_permission('inventory.edit'));
+
+drop trigger if exists record_audit_trail on public.ingredient_units;
+create trigger record_audit_trail
+  after insert or update or delete on public.ingredient_units
+  for each row execute function public.record_audit_trail('ingredient_id');
+
+-- The units new purchase order lines and recipe lines start in
+alter table public.ingredients
+  add column if not exists purchase_unit text,
+  add column if not exists recipe_unit text;
+
+alter table public.item_ingredients
+  add column if not exists unit text,
+  add column if not exists unit_factor numeric not null default 1 check (unit_factor > 0);
+
+alter table public.purchase_details
+  add column if not exists unit text,
+  add column if not exists unit_factor numeric not null default 1 check (unit_factor > 0);
+
+-- Stock units in one p_unit of an ingredient; null when the ingredient has
+-- no conversion for it
+create or replace function public.ingredient_unit_factor(p_ingredient_id integer, p_unit text)
+returns numeric
+language sql
+stable
+set search_path = public
+as $$
+  select case
+    when p_unit is null or p_unit = i.unit then 1
+    else (
+      select u.factor
+      from ingredient_units u
+      where u.ingredient_id = i.ingredient_id and u.unit = p_unit
+    )
+  end
+  from ingredients i
+  where i.ingredient_id = p_ingredient_id
+$$;
+
+create or replace function public.check_ingredient_unit()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  if new.unit = (select unit from ingredients where ingredient_id = new.ingredient_id) then
+    raise exception '% is already the stock unit of this ingredient', new.unit;
+  end if;
+
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists check_ingredient_unit on public.ingredient_units;
+create trigger check_ingredient_unit
+  before insert or update on public.ingredient_units
+  for each row
+  execute function public.check_ingredient_unit();
+
+-- Recipe and purchase order lines take the factor of their unit when written
+create or replace function public.set_line_unit_factor()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  if new.ingredient_id is null then
+    new.unit_factor := 1;
+    return new;
+  end if;
+
+  new.unit_factor := ingredient_unit_factor(new.ingredient_id, new.unit);
+
+  if new.unit_factor is null then
+    raise exception 'No conversion from % to the stock unit of this ingredient', new.unit;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists set_line_unit_factor on public.item_ingredients;
+create trigger set_line_unit_factor
+  before insert or update of ingredient_id, unit on public.item_ingredients
+  for each row
+  execute function public.set_line_unit_factor();
+
+-- Purchase order lines keep the factor they were ordered with
+drop trigger if exists set_line_unit_factor on public.purchase_details;
+create trigger set_line_unit_factor
+  before insert or update of ingredient_id, unit on public.purchase_details
+  for each row
+  execute function public.set_line_unit_factor();
+
+-- Recipes follow changes to an ingredient's conversions and stock unit. A
+-- unit still used by a recipe cannot be removed or stop converting.
+create or replace function public.refresh_recipe_unit_factors()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_ingredient_id integer;
+  v_unit text;
+begin
+  if tg_op = 'DELETE' then
+    v_ingredient_id := old.ingredient_id;
+  else
+    v_ingredient_id := new.ingredient_id;
+  end if;
+
+  -- Removed together with the ingredient itself
+  if not exists (select 1 from ingredients where ingredient_id = v_ingredient_id) then
+    return null;
+  end if;
+
+  select ii.unit into v_unit
+  from item_ingredients ii
+  where ii.ingredient_id = v_ingredient_id
+    and ii.unit is not null
+    and ingredient_unit_factor(v_ingredient_id, ii.unit) is null
+  limit 1;
+
+  if found then
+    raise exception 'Recipes use % for this ingredient, which would no longer convert to stock units', v_unit;
+  end if;
+
+  update item_ingredients ii
+  set unit_factor = ingredient_unit_factor(v_ingredient_id, ii.unit)
+  where ii.ingredient_id = v_ingredient_id
+    and ii.unit is not null
+    and ii.unit_factor is distinct from ingredient_unit_factor(v_ingredient_id, ii.unit);
+
+  return null;
+end;
+$$;
+
+drop trigger if exists refresh_recipe_unit_factors on public.ingredient_units;
+create trigger refresh_recipe_unit_factors
+  after insert or update or delete on public.ingredient_units
+  for each row
+  execute function public.refresh_recipe_unit_factors();
+
+drop trigger if exists refresh_recipe_unit_factors on public.ingredients;
+create trigger refresh_recipe_unit_factors
+  after update of unit on public.ingredients
+  for each row
+  when (old.unit is distinct from new.unit)
+  execute function public.refresh_recipe_unit_factors();
+
+-- Changing an ingredient's stock unit. Stock on hand and in lots cannot be
+-- restated without rewriting its history, so the unit only changes once
+-- the ingredient is counted down to nothing. What is written per stock unit
+-- (minimum, cost, conversions, lines without a unit) follows the change when
+-- the new unit is one of the ingredient's conversions; otherwise there must
+-- be nothing for it to follow.
+create or replace function public.check_stock_unit_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_factor numeric;
+begin
+  if old.unit is null then
+    return new;
+  end if;
+
+  if coalesce(old.quantity, 0) <> 0 or exists (
+    select 1 from ingredient_lots where ingredient_id = old.ingredient_id and quantity > 0
+  ) then
+    raise exception 'This ingredient still has stock in %; bring it to zero before changing its stock unit', old.unit;
+  end if;
+
+  -- Old stock units in one of the new unit
+  select factor into v_factor
+  from ingredient_units
+  where ingredient_id = old.ingredient_id and unit = new.unit;
+
+  if v_factor is null then
+    if exists (select 1 from ingredient_units where ingredient_id = old.ingredient_id)
+       or exists (select 1 from item_ingredients where ingredient_id = old.ingredient_id and unit is null)
+       or exists (select 1 from purchase_details where ingredient_id = old.ingredient_id and unit is null) then
+      raise exception 'Add % as a unit of this ingredient first so its conversions and recipes can follow the change', new.unit;
+    end if;
+
+    return new;
+  end if;
+
+  -- Left alone when the same edit sets them in the new unit
+  if new.minimum_quantity is not distinct from old.minimum_quantity then
+    new.minimum_quantity := old.minimum_quantity / v_factor;
+  end if;
+
+  if new.unit_cost is not distinct from old.unit_cost then
+    new.unit_cost := old.unit_cost * v_factor;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists check_stock_unit_change on public.ingredients;
+create trigger check_stock_unit_change
+  before update of unit on public.ingredients
+  for each row
+  when (old.unit is distinct from new.unit)
+  execute function public.check_stock_unit_change();
+
+-- The old stock unit becomes a conversion and every other conversion is
+-- restated against the new one. Lines written in stock units are pinned to
+-- the old unit so they keep their amounts. Runs before the recipe refresh
+-- (triggers fire in name order), in the same transaction as the change.
+create or replace function public.convert_stock_unit()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_factor numeric;
+begin
+  if old.unit is null then
+    return null;
+  end if;
+
+  select factor into v_factor
+  from ingredient_units
+  where ingredient_id = new.ingredient_id and unit = new.unit;
+
+  if v_factor is null then
+    return null;
+  end if;
+
+  -- In this order, so every unit a recipe uses keeps converting throughout
+  insert into ingredient_units (ingredient_id, unit, factor)
+  values (new.ingredient_id, old.unit, 1 / v_factor)
+  on conflict (ingredient_id, unit) do update set factor = excluded.factor;
+
+  update ingredient_units
+  set factor = factor / v_factor
+  where ingredient_id = new.ingredient_id
+    and unit not in (old.unit, new.unit);
+
+  delete from ingredient_units
+  where ingredient_id = new.ingredient_id and unit = new.unit;
+
+  update item_ingredients
+  set unit = old.unit
+  where ingredient_id = new.ingredient_id and unit is null;
+
+  update purchase_details
+  set unit = old.unit
+  where ingredient_id = new.ingredient_id and unit is null;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists convert_stock_unit on public.ingredients;
+create trigger convert_stock_unit
+  after update of unit on public.ingredients
+  for each row
+  when (old.unit is distinct from new.unit)
+  execute function public.convert_stock_unit();
+
+-- Sales, stock checks and cost of sales read recipes in stock units
+create or replace function public.sale_ingredient_usage(p_items jsonb)
+returns table (ingredient_id integer, required numeric)
+language sql
+stable
+set search_path = public
+as $$
+  select ii.ingredient_id, sum(ii.quantity * ii.unit_factor * (x->>'quantity')::numeric) as required
+  from jsonb_array_elements(p_items) x
+  join item_ingredients ii on ii.item_id = (x->>'item_id')::integer
+  where ii.modifier_id is null
+     or ii.modifier_id in (
+       select (m)::integer
+       from jsonb_array_elements_text(coalesce(x->'modifier_ids', '[]'::jsonb)) m
+     )
+  group by ii.ingredient_id
+$$;
+
+-- Deliveries are ordered in purchase units and received in stock units
+create or replace function public.receive_purchase_stock(p_purchase_id integer)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_result jsonb;
+begin
+  if not has_permission('purchases.receive') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to receive deliveries');
+  end if;
+
+  perform 1 from purchase where purchase_id = p_purchase_id for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Purchase order not found');
+  end if;
+
+  if exists (
+    select 1 from stock_movements
+    where reference_type = 'purchase' and reference_id = p_purchase_id::text
+  ) then
+    return jsonb_build_object('success', false, 'message', 'This purchase order is already in stock');
+  end if;
+
+  v_result := post_stock_movements(
+    'purchase',
+    coalesce((
+      select jsonb_agg(jsonb_build_object(
+        'ingredient_id', ingredient_id,
+        'quantity', quantity * unit_factor,
+        'lot_number', lot_number,
+        'expiry_date', product_expiration_date
+      ))
+      from purchase_details
+      where purchase_id = p_purchase_id
+        and ingredient_id is not null
+    ), '[]'::jsonb),
+    'purchase', p_purchase_id::text
+  );
+
+  update ingredients
+  set last_restock_date = now()
+  where ingredient_id in (select (r->>'ingredient_id')::integer from jsonb_array_elements(v_result) r);
+
+  return jsonb_build_object('success', true, 'received', v_result);
+end;
+$$;
+
+revoke execute on function public.refresh_recipe_unit_factors() from public, anon, authenticated;
+revoke execute on function public.check_stock_unit_change() from public, anon, authenticated;
+revoke execute on function public.convert_stock_unit() from public, anon, authenticated;
@@ -0,0 +1,444 @@
+-- Stock counts
+-- A count freezes each ingredient's expected quantity and unit cost when it
+-- starts. Staff then record what they find, optionally split into zones
+-- (bar, kitchen, stock room) and by several counters at once; a zone holds
+-- the last quantity recorded for it, in any unit the ingredient converts
+-- from. Once submitted, a manager gives a reason for every difference and
+-- approves, which posts the differences as stock adjustments.
+--
+-- Differences are posted against the frozen quantity, so sales rung up
+-- while the count is under way are not counted twice. Ingredients nobody
+-- counted are left as they are.
+
+create table if not exists public.stock_counts (
+  count_id serial primary key,
+  name text not null,
+  status text not null default 'counting' check (status in ('counting', 'submitted', 'approved', 'cancelled')),
+  zones text[] not null default '{}',
+  notes text,
+  started_by uuid default auth.uid(),
+  started_at timestamptz not null default now(),
+  submitted_by uuid,
+  submitted_at timestamptz,
+  approved_by uuid,
+  approved_at timestamptz,
+  updated_at timestamptz not null default now()
+);
+
+-- Only one count is open at a time; a second would post the same
+-- differences twice
+create unique index if not exists stock_counts_one_open_idx
+  on public.stock_counts ((true))
+  where status in ('counting', 'submitted');
+
+create index if not exists stock_counts_approved_idx
+  on public.stock_counts (approved_at)
+  where status = 'approved';
+
+-- One line per ingredient in the count. counted_quantity is the total of
+-- its entries in stock units, null until someone counts it.
+create table if not exists public.stock_count_lines (
+  count_id integer not null references public.stock_counts (count_id) on delete cascade,
+  ingredient_id integer not null references public.ingredients (ingredient_id) on delete cascade,
+  expected_quantity numeric not null default 0,
+  unit_cost numeric not null default 0,
+  counted_quantity numeric,
+  reason text,
+  primary key (count_id, ingredient_id)
+);
+
+create table if not exists public.stock_count_entries (
+  entry_id serial primary key,
+  count_id integer not null,
+  ingredient_id integer not null,
+  zone text not null default '',
+  counted_quantity numeric not null check (counted_quantity >= 0),
+  unit text,
+  unit_factor numeric not null default 1 check (unit_factor > 0),
+  counted_by uuid default auth.uid(),
+  counted_at timestamptz not null default now(),
+  unique (count_id, ingredient_id, zone),
+  foreign key (count_id, ingredient_id)
+    references public.stock_count_lines (count_id, ingredient_id) on delete cascade
+);
+
+alter table public.stock_counts enable row level security;
+alter table public.stock_count_lines enable row level security;
+alter table public.stock_count_entries enable row level security;
+
+-- Counts are written by the functions below only
+create policy "inventory.view can read stock counts"
+  on public.stock_counts for select to authenticated
+  using (has_permission('inventory.view'));
+create policy "inventory.view can read stock count lines"
+  on public.stock_count_lines for select to authenticated
+  using (has_permission('inventory.view'));
+create policy "inventory.view can read stock count entries"
+  on public.stock_count_entries for select to authenticated
+  using (has_permission('inventory.view'));
+
+drop trigger if exists record_audit_trail on public.stock_counts;
+create trigger record_audit_trail
+  after insert or update or delete on public.stock_counts
+  for each row execute function public.record_audit_trail('count_id');
+
+drop trigger if exists record_audit_trail on public.stock_count_entries;
+create trigger record_audit_trail
+  after insert or update or delete on public.stock_count_entries
+  for each row execute function public.record_audit_trail('count_id');
+
+-- Entries take the factor of the unit they were counted in
+drop trigger if exists set_line_unit_factor on public.stock_count_entries;
+create trigger set_line_unit_factor
+  before insert or update of ingredient_id, unit on public.stock_count_entries
+  for each row
+  execute function public.set_line_unit_factor();
+
+-- Counting permissions join the registry. Manager holds both; cashiers
+-- help count but do not approve.
+insert into public.permissions (permission_name, resource_name, action_name)
+select name, 'inventory', split_part(name, '.', 2)
+from unnest(array['inventory.count', 'inventory.approve_count']) as name
+where not exists (select 1 from public.permissions p where p.permission_name = name);
+
+insert into public.role_permissions (role_id, permission_id)
+select r.role_id, p.permission_id
+from public.roles r
+join public.permissions p on p.permission_name = any (case r.role_name
+  when 'Manager' then array['inventory.count', 'inventory.approve_count']
+  when 'Cashier' then array['inventory.count']
+end)
+where not exists (
+  select 1 from public.role_permissions existing
+  where existing.role_id = r.role_id and existing.permission_id = p.permission_id
+);
+
+-- Start a count of the given ingredients (all of them when null), freezing
+-- what the system expects to find
+create or replace function public.start_stock_count(
+  p_name text,
+  p_zones text[] default '{}',
+  p_ingredient_ids integer[] default null,
+  p_notes text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_open record;
+  v_count stock_counts;
+  v_zones text[];
+begin
+  if not has_permission('inventory.count') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to count stock');
+  end if;
+
+  if nullif(trim(p_name), '') is null then
+    return jsonb_build_object('success', false, 'message', 'Give the count a name');
+  end if;
+
+  select name into v_open
+  from stock_counts
+  where status in ('counting', 'submitted')
+  limit 1;
+
+  if found then
+    return jsonb_build_object(
+      'success', false,
+      'message', format('Finish or cancel the count "%s" before starting another', v_open.name)
+    );
+  end if;
+
+  if not exists (
+    select 1 from ingredients
+    where p_ingredient_ids is null or ingredient_id = any (p_ingredient_ids)
+  ) then
+    return jsonb_build_object('success', false, 'message', 'There are no ingredients to count');
+  end if;
+
+  select coalesce(array_agg(distinct trim(z) order by trim(z)), '{}')
+  into v_zones
+  from unnest(coalesce(p_zones, '{}')) z
+  where nullif(trim(z), '') is not null;
+
+  insert into stock_counts (name, zones, notes)
+  values (trim(p_name), v_zones, nullif(trim(p_notes), ''))
+  returning * into v_count;
+
+  -- Freeze under the same locks postings take, so no sale lands half-counted
+  perform 1
+  from ingredients
+  where p_ingredient_ids is null or ingredient_id = any (p_ingredient_ids)
+  order by ingredient_id
+  for update;
+
+  insert into stock_count_lines (count_id, ingredient_id, expected_quantity, unit_cost)
+  select v_count.count_id, i.ingredient_id, coalesce(i.quantity, 0), coalesce(i.unit_cost, 0)
+  from ingredients i
+  where p_ingredient_ids is null or i.ingredient_id = any (p_ingredient_ids);
+
+  return jsonb_build_object('success', true, 'count', to_jsonb(v_count));
+end;
+$$;
+
+-- Record what was found of an ingredient in a zone, replacing what was
+-- recorded there before. A null quantity clears the zone.
+create or replace function public.record_stock_count_entry(
+  p_count_id integer,
+  p_ingredient_id integer,
+  p_zone text,
+  p_quantity numeric,
+  p_unit text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count stock_counts;
+  v_zone text := coalesce(trim(p_zone), '');
+  v_line stock_count_lines;
+begin
+  if not has_permission('inventory.count') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to count stock');
+  end if;
+
+  select * into v_count from stock_counts where count_id = p_count_id;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Stock count not found');
+  end if;
+
+  if v_count.status <> 'counting' then
+    return jsonb_build_object('success', false, 'message', format('This count is already %s', v_count.status));
+  end if;
+
+  if (cardinality(v_count.zones) = 0 and v_zone <> '')
+     or (cardinality(v_count.zones) > 0 and not v_zone = any (v_count.zones)) then
+    return jsonb_build_object('success', false, 'message', 'Choose one of the zones of this count');
+  end if;
+
+  if p_quantity < 0 then
+    return jsonb_build_object('success', false, 'message', 'A counted quantity cannot be negative');
+  end if;
+
+  select * into v_line
+  from stock_count_lines
+  where count_id = p_count_id and ingredient_id = p_ingredient_id
+  for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'This ingredient is not part of the count');
+  end if;
+
+  if p_quantity is null then
+    delete from stock_count_entries
+    where count_id = p_count_id and ingredient_id = p_ingredient_id and zone = v_zone;
+  else
+    insert into stock_count_entries (count_id, ingredient_id, zone, counted_quantity, unit)
+    values (p_count_id, p_ingredient_id, v_zone, p_quantity, nullif(trim(p_unit), ''))
+    on conflict (count_id, ingredient_id, zone)
+    do update set counted_quantity = excluded.counted_quantity,
+                  unit = excluded.unit,
+                  counted_by = auth.uid(),
+                  counted_at = now();
+  end if;
+
+  update stock_count_lines
+  set counted_quantity = (
+    select sum(e.counted_quantity * e.unit_factor)
+    from stock_count_entries e
+    where e.count_id = p_count_id and e.ingredient_id = p_ingredient_id
+  )
+  where count_id = p_count_id and ingredient_id = p_ingredient_id
+  returning * into v_line;
+
+  return jsonb_build_object('success', true, 'line', to_jsonb(v_line));
+end;
+$$;
+
+-- Hand a finished count to a manager
+create or replace function public.submit_stock_count(p_count_id integer)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count stock_counts;
+begin
+  if not has_permission('inventory.count') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to count stock');
+  end if;
+
+  select * into v_count from stock_counts where count_id = p_count_id for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Stock count not found');
+  end if;
+
+  if v_count.status <> 'counting' then
+    return jsonb_build_object('success', false, 'message', format('This count is already %s', v_count.status));
+  end if;
+
+  if not exists (
+    select 1 from stock_count_lines
+    where count_id = p_count_id and counted_quantity is not null
+  ) then
+    return jsonb_build_object('success', false, 'message', 'Nothing has been counted yet');
+  end if;
+
+  update stock_counts
+  set status = 'submitted',
+      submitted_by = auth.uid(),
+      submitted_at = now(),
+      updated_at = now()
+  where count_id = p_count_id
+  returning * into v_count;
+
+  return jsonb_build_object('success', true, 'count', to_jsonb(v_count));
+end;
+$$;
+
+-- Send a submitted count back for a recount
+create or replace function public.reopen_stock_count(p_count_id integer)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count stock_counts;
+begin
+  if not has_permission('inventory.approve_count') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to approve stock counts');
+  end if;
+
+  update stock_counts
+  set status = 'counting',
+      submitted_by = null,
+      submitted_at = null,
+      updated_at = now()
+  where count_id = p_count_id and status = 'submitted'
+  returning * into v_count;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Only a submitted count can be reopened');
+  end if;
+
+  return jsonb_build_object('success', true, 'count', to_jsonb(v_count));
+end;
+$$;
+
+-- Approve a submitted count and post its differences. p_reasons maps
+-- ingredient IDs to the reason for their difference ({ "12": "Spillage" });
+-- every counted ingredient that differs needs one.
+create or replace function public.approve_stock_count(
+  p_count_id integer,
+  p_reasons jsonb default '{}'
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count stock_counts;
+  v_missing text;
+  v_line record;
+  v_posted jsonb := '[]'::jsonb;
+begin
+  if not has_permission('inventory.approve_count') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to approve stock counts');
+  end if;
+
+  select * into v_count from stock_counts where count_id = p_count_id for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Stock count not found');
+  end if;
+
+  if v_count.status <> 'submitted' then
+    return jsonb_build_object('success', false, 'message', format('Only a submitted count can be approved (this one is %s)', v_count.status));
+  end if;
+
+  update stock_count_lines l
+  set reason = coalesce(nullif(trim(p_reasons->>l.ingredient_id::text), ''), l.reason)
+  where l.count_id = p_count_id;
+
+  select i.name into v_missing
+  from stock_count_lines l
+  join ingredients i on i.ingredient_id = l.ingredient_id
+  where l.count_id = p_count_id
+    and l.counted_quantity is not null
+    and l.counted_quantity <> l.expected_quantity
+    and nullif(trim(l.reason), '') is null
+  order by i.name
+  limit 1;
+
+  if found then
+    return jsonb_build_object('success', false, 'message', format('Give a reason for the difference in %s', v_missing));
+  end if;
+
+  -- One posting per ingredient so each adjustment carries its own reason
+  for v_line in
+    select ingredient_id, counted_quantity - expected_quantity as variance, reason
+    from stock_count_lines
+    where count_id = p_count_id
+      and counted_quantity is not null
+      and counted_quantity <> expected_quantity
+    order by ingredient_id
+  loop
+    v_posted := v_posted || post_stock_movements(
+      'adjustment',
+      jsonb_build_array(jsonb_build_object('ingredient_id', v_line.ingredient_id, 'quantity', v_line.variance)),
+      'stock_count', p_count_id::text, v_line.reason
+    );
+  end loop;
+
+  update stock_counts
+  set status = 'approved',
+      approved_by = auth.uid(),
+      approved_at = now(),
+      updated_at = now()
+  where count_id = p_count_id
+  returning * into v_count;
+
+  return jsonb_build_object('success', true, 'count', to_jsonb(v_count), 'adjustments', v_posted);
+end;
+$$;
+
+-- Drop a count that will not be approved; stock is left as it is
+create or replace function public.cancel_stock_count(p_count_id integer)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count stock_counts;
+begin
+  if not has_permission('inventory.approve_count') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to cancel stock counts');
+  end if;
+
+  update stock_counts
+  set status = 'cancelled',
+      updated_at = now()
+  where count_id = p_count_id and status in ('counting', 'submitted')
+  returning * into v_count;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Only an open count can be cancelled');
+  end if;
+
+  return jsonb_build_object('success', true, 'count', to_jsonb(v_count));
+end;
+$$;
+
+grant execute on function public.start_stock_count(text, text[], integer[], text) to authenticated;
+grant execute on function public.record_stock_count_entry(integer, integer, text, numeric, text) to authenticated;
+grant execute on function public.submit_stock_count(integer) to authenticated;
+grant execute on function public.reopen_stock_count(integer) to authenticated;
+grant execute on function public.approve_stock_count(integer, jsonb) to authenticated;
+grant execute on function public.cancel_stock_count(integer) to authenticated;
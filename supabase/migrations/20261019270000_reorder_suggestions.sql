@@ -0,0 +1,211 @@
+-- Reorder suggestions
+-- Works out, for each ingredient, how much is used a day (sales net of
+-- voids and refunds over a recent window) and from that when and how much
+-- to reorder from its preferred supplier:
+--
+--   reorder point = minimum_quantity + daily usage x supplier lead time
+--   order up to   = reorder point + daily usage x days of cover
+--
+-- minimum_quantity acts as the safety stock. An ingredient is suggested
+-- once what is on hand plus what is already on order falls to its reorder
+-- point, for enough to bring it back up to the order-up-to level, rounded
+-- up to whole purchase units.
+--
+-- Suggestions become draft purchase orders, one per supplier. Drafts are
+-- reviewed in the purchase order form and only reach the supplier once
+-- submitted, which makes them pending like any other order.
+
+-- Days between ordering from a supplier and the delivery arriving
+alter table public.suppliers
+  add column if not exists lead_time_days integer not null default 2 check (lead_time_days >= 0);
+
+-- One row per ingredient due for reordering, in stock units except
+-- order_quantity, which is in order_unit. Ingredients without an active
+-- preferred supplier are included with a null supplier_id.
+create or replace function public.compute_reorder_suggestions(
+  p_days integer default 30,
+  p_cover_days integer default 7
+) returns table (
+  ingredient_id integer,
+  ingredient_name text,
+  stock_unit text,
+  supplier_id integer,
+  supplier_name text,
+  lead_time_days integer,
+  daily_usage numeric,
+  on_hand numeric,
+  on_order numeric,
+  minimum_quantity numeric,
+  reorder_point numeric,
+  order_up_to numeric,
+  order_unit text,
+  unit_factor numeric,
+  order_quantity numeric,
+  unit_price numeric
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with usage as (
+    select m.ingredient_id, greatest(-sum(m.quantity), 0) as used
+    from stock_movements m
+    where m.movement_type in ('sale', 'void', 'refund')
+      and m.created_at >= now() - make_interval(days => greatest(p_days, 1))
+    group by m.ingredient_id
+  ),
+  on_order as (
+    select d.ingredient_id, sum(d.quantity * d.unit_factor) as quantity
+    from purchase p
+    join purchase_details d on d.purchase_id = p.purchase_id
+    where p.status in ('draft', 'pending', 'approved', 'accepted')
+    group by d.ingredient_id
+  ),
+  preferred as (
+    select distinct on (s.ingredient_id) s.ingredient_id, s.supplier_id, s.typical_price
+    from ingredient_suppliers s
+    join suppliers sup on sup.supplier_id = s.supplier_id and sup.is_active is not false
+    where s.is_preferred
+    order by s.ingredient_id, s.updated_at desc nulls last
+  ),
+  levels as (
+    select
+      i.ingredient_id,
+      i.name,
+      i.unit,
+      i.unit_cost,
+      pr.supplier_id,
+      sup.company_name,
+      coalesce(sup.lead_time_days, 0) as lead_time_days,
+      pr.typical_price,
+      coalesce(u.used, 0) / greatest(p_days, 1) as daily_usage,
+      coalesce(i.quantity, 0) as on_hand,
+      coalesce(o.quantity, 0) as on_order,
+      coalesce(i.minimum_quantity, 0) as minimum_quantity,
+      -- Purchase units without a conversion fall back to the stock unit
+      case when ingredient_unit_factor(i.ingredient_id, i.purchase_unit) is not null
+        then coalesce(i.purchase_unit, i.unit) else i.unit end as order_unit,
+      coalesce(ingredient_unit_factor(i.ingredient_id, i.purchase_unit), 1) as unit_factor
+    from ingredients i
+    left join usage u on u.ingredient_id = i.ingredient_id
+    left join on_order o on o.ingredient_id = i.ingredient_id
+    left join preferred pr on pr.ingredient_id = i.ingredient_id
+    left join suppliers sup on sup.supplier_id = pr.supplier_id
+  ),
+  points as (
+    select l.*,
+      l.minimum_quantity + l.daily_usage * l.lead_time_days as reorder_point,
+      l.minimum_quantity + l.daily_usage * (l.lead_time_days + greatest(p_cover_days, 0)) as order_up_to
+    from levels l
+  )
+  select
+    p.ingredient_id,
+    p.name,
+    p.unit,
+    p.supplier_id,
+    p.company_name,
+    p.lead_time_days,
+    round(p.daily_usage, 4),
+    p.on_hand,
+    p.on_order,
+    p.minimum_quantity,
+    round(p.reorder_point, 4),
+    round(p.order_up_to, 4),
+    p.order_unit,
+    p.unit_factor,
+    ceil((p.order_up_to - p.on_hand - p.on_order) / p.unit_factor),
+    round(coalesce(p.typical_price, coalesce(p.unit_cost, 0) * p.unit_factor), 2)
+  from points p
+  where p.on_hand + p.on_order <= p.reorder_point
+    and p.order_up_to - p.on_hand - p.on_order > 0
+$$;
+
+create or replace function public.reorder_suggestions(
+  p_days integer default 30,
+  p_cover_days integer default 7
+) returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not has_permission('purchases.create') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to raise purchase orders');
+  end if;
+
+  return jsonb_build_object(
+    'success', true,
+    'suggestions', coalesce((
+      select jsonb_agg(to_jsonb(s) order by s.supplier_name nulls last, s.ingredient_name)
+      from compute_reorder_suggestions(p_days, p_cover_days) s
+    ), '[]'::jsonb)
+  );
+end;
+$$;
+
+-- Turn the suggestions for p_ingredient_ids (every suggestion when null)
+-- into draft purchase orders, one per supplier. Suggestions without a
+-- preferred supplier are skipped.
+create or replace function public.create_reorder_drafts(
+  p_ingredient_ids integer[] default null,
+  p_days integer default 30,
+  p_cover_days integer default 7
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_lines jsonb;
+  v_supplier record;
+  v_purchase_id integer;
+  v_purchase_ids integer[] := '{}';
+begin
+  if not has_permission('purchases.create') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to raise purchase orders');
+  end if;
+
+  -- Taken once: each draft raised counts as on order for the next
+  select jsonb_agg(to_jsonb(s))
+  into v_lines
+  from compute_reorder_suggestions(p_days, p_cover_days) s
+  where s.supplier_id is not null
+    and (p_ingredient_ids is null or s.ingredient_id = any (p_ingredient_ids));
+
+  if v_lines is null then
+    return jsonb_build_object('success', false, 'message', 'There is nothing to reorder from a preferred supplier');
+  end if;
+
+  for v_supplier in
+    select l.supplier_id, sum(round(l.order_quantity * l.unit_price, 2)) as total_amount
+    from jsonb_to_recordset(v_lines) as l (supplier_id integer, order_quantity numeric, unit_price numeric)
+    group by l.supplier_id
+    order by l.supplier_id
+  loop
+    insert into purchase (created_by, supplier_id, purchase_date, total_amount, status, notes, created_at, updated_at)
+    values (
+      auth.uid(), v_supplier.supplier_id, now(), v_supplier.total_amount, 'draft',
+      format('Reorder suggestion from %s days of usage', p_days), now(), now()
+    )
+    returning purchase_id into v_purchase_id;
+
+    insert into purchase_details (purchase_id, ingredient_id, quantity, unit, unit_price, subtotal)
+    select v_purchase_id, l.ingredient_id, l.order_quantity, l.order_unit, l.unit_price,
+      round(l.order_quantity * l.unit_price, 2)
+    from jsonb_to_recordset(v_lines) as l (
+      supplier_id integer, ingredient_id integer, order_quantity numeric, order_unit text, unit_price numeric
+    )
+    where l.supplier_id = v_supplier.supplier_id;
+
+    v_purchase_ids := v_purchase_ids || v_purchase_id;
+  end loop;
+
+  return jsonb_build_object('success', true, 'purchase_ids', to_jsonb(v_purchase_ids));
+end;
+$$;
+
+revoke execute on function public.compute_reorder_suggestions(integer, integer) from public, anon, authenticated;
+grant execute on function public.reorder_suggestions(integer, integer) to authenticated;
+grant execute on function public.create_reorder_drafts(integer[], integer, integer) to authenticated;
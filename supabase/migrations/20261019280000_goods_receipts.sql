@@ -0,0 +1,569 @@
+-- Goods receipts
+-- A purchase order is received in one or more deliveries. Each receipt
+-- records, for every order line delivered, how much arrived, how much of
+-- that was damaged or turned away, and the price actually invoiced. Only
+-- the accepted quantity (received less damaged and rejected) goes into
+-- stock, into the lot and expiry written on the receipt.
+--
+-- The order stays partially received until every line has been accepted
+-- in full or somebody closes it. Anything that differs from the order
+-- (short or over delivery, damaged or rejected goods, a different price)
+-- is recorded as a discrepancy to take up with the supplier.
+--
+-- Receipt quantities and prices are in the unit the order line was
+-- written in.
+
+-- Set when receiving stops; the order takes no more receipts
+alter table public.purchase add column if not exists closed_at timestamptz;
+
+-- Orders received before receipts existed are finished
+update public.purchase
+set closed_at = coalesce(updated_at, now())
+where status = 'completed' and closed_at is null;
+
+create table if not exists public.goods_receipts (
+  receipt_id serial primary key,
+  purchase_id integer not null references public.purchase (purchase_id) on delete cascade,
+  delivery_reference text,
+  notes text,
+  received_by uuid default auth.uid(),
+  received_at timestamptz not null default now()
+);
+
+create index if not exists goods_receipts_purchase_idx on public.goods_receipts (purchase_id);
+
+create table if not exists public.goods_receipt_lines (
+  receipt_line_id serial primary key,
+  receipt_id integer not null references public.goods_receipts (receipt_id) on delete cascade,
+  purchase_detail_id integer not null references public.purchase_details (purchase_detail_id),
+  ingredient_id integer not null references public.ingredients (ingredient_id),
+  received_quantity numeric not null check (received_quantity >= 0),
+  damaged_quantity numeric not null default 0 check (damaged_quantity >= 0),
+  rejected_quantity numeric not null default 0 check (rejected_quantity >= 0),
+  accepted_quantity numeric generated always as (received_quantity - damaged_quantity - rejected_quantity) stored,
+  unit text,
+  unit_factor numeric not null default 1 check (unit_factor > 0),
+  unit_price numeric not null check (unit_price >= 0),
+  lot_number text,
+  expiry_date date,
+  notes text,
+  check (damaged_quantity + rejected_quantity <= received_quantity)
+);
+
+create index if not exists goods_receipt_lines_receipt_idx on public.goods_receipt_lines (receipt_id);
+create index if not exists goods_receipt_lines_detail_idx on public.goods_receipt_lines (purchase_detail_id);
+
+-- Differences between what was ordered and what was received. amount is
+-- valued at the ordered price, except for price differences, where it is
+-- the extra invoiced (negative when the supplier charged less).
+create table if not exists public.purchase_discrepancies (
+  discrepancy_id serial primary key,
+  purchase_id integer not null references public.purchase (purchase_id) on delete cascade,
+  receipt_id integer references public.goods_receipts (receipt_id) on delete cascade,
+  purchase_detail_id integer references public.purchase_details (purchase_detail_id),
+  ingredient_id integer references public.ingredients (ingredient_id),
+  kind text not null check (kind in ('short', 'over', 'damaged', 'rejected', 'price')),
+  quantity numeric,
+  amount numeric not null default 0,
+  notes text,
+  status text not null default 'open' check (status in ('open', 'resolved')),
+  resolution text,
+  resolved_by uuid,
+  resolved_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists purchase_discrepancies_purchase_idx on public.purchase_discrepancies (purchase_id);
+create index if not exists purchase_discrepancies_open_idx
+  on public.purchase_discrepancies (created_at)
+  where status = 'open';
+
+alter table public.goods_receipts enable row level security;
+alter table public.goods_receipt_lines enable row level security;
+alter table public.purchase_discrepancies enable row level security;
+
+-- Written by the receiving functions only
+create policy "purchases.view can read goods receipts"
+  on public.goods_receipts for select to authenticated
+  using (has_permission('purchases.view'));
+create policy "purchases.view can read goods receipt lines"
+  on public.goods_receipt_lines for select to authenticated
+  using (has_permission('purchases.view'));
+create policy "purchases.view can read purchase discrepancies"
+  on public.purchase_discrepancies for select to authenticated
+  using (has_permission('purchases.view'));
+
+drop trigger if exists record_audit_trail on public.goods_receipts;
+create trigger record_audit_trail
+  after insert or update or delete on public.goods_receipts
+  for each row execute function public.record_audit_trail('receipt_id');
+
+drop trigger if exists record_audit_trail on public.purchase_discrepancies;
+create trigger record_audit_trail
+  after insert or update or delete on public.purchase_discrepancies
+  for each row execute function public.record_audit_trail('discrepancy_id');
+
+-- Stop receiving an order, recording whatever never arrived as short
+create or replace function public.close_purchase_order(p_purchase_id integer)
+returns purchase
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_purchase purchase;
+begin
+  insert into purchase_discrepancies (purchase_id, purchase_detail_id, ingredient_id, kind, quantity, amount)
+  select d.purchase_id, d.purchase_detail_id, d.ingredient_id, 'short',
+    d.quantity - coalesce(r.accepted, 0),
+    round((d.quantity - coalesce(r.accepted, 0)) * coalesce(d.unit_price, 0), 2)
+  from purchase_details d
+  left join (
+    select l.purchase_detail_id, sum(l.accepted_quantity) as accepted
+    from goods_receipt_lines l
+    group by l.purchase_detail_id
+  ) r on r.purchase_detail_id = d.purchase_detail_id
+  where d.purchase_id = p_purchase_id
+    and d.quantity > coalesce(r.accepted, 0);
+
+  update purchase
+  set status = 'completed',
+      closed_at = now(),
+      updated_at = now()
+  where purchase_id = p_purchase_id
+  returning * into v_purchase;
+
+  return v_purchase;
+end;
+$$;
+
+-- Record a delivery against an order and put what was accepted into
+-- stock. p_lines: [{ purchase_detail_id, received_quantity,
+-- damaged_quantity, rejected_quantity, unit_price, lot_number,
+-- expiry_date, notes }]. The order closes once every line has been
+-- accepted in full, or straight away when p_close is set.
+create or replace function public.record_goods_receipt(
+  p_purchase_id integer,
+  p_lines jsonb,
+  p_delivery_reference text default null,
+  p_notes text default null,
+  p_close boolean default false
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_purchase purchase;
+  v_receipt goods_receipts;
+  v_bad text;
+  v_received jsonb := '[]'::jsonb;
+begin
+  select * into v_purchase from purchase where purchase_id = p_purchase_id for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Purchase order not found');
+  end if;
+
+  if v_purchase.closed_at is not null then
+    return jsonb_build_object('success', false, 'message', 'This purchase order is closed to further deliveries');
+  end if;
+
+  if exists (
+    select 1
+    from jsonb_array_elements(coalesce(p_lines, '[]'::jsonb)) x
+    left join purchase_details d
+      on d.purchase_detail_id = (x->>'purchase_detail_id')::integer and d.purchase_id = p_purchase_id
+    where d.purchase_detail_id is null
+  ) then
+    return jsonb_build_object('success', false, 'message', 'A delivery line is not on this purchase order');
+  end if;
+
+  if exists (
+    select 1 from jsonb_array_elements(coalesce(p_lines, '[]'::jsonb)) x
+    group by x->>'purchase_detail_id'
+    having count(*) > 1
+  ) then
+    return jsonb_build_object('success', false, 'message', 'Each order line can only appear once on a receipt');
+  end if;
+
+  select i.name into v_bad
+  from jsonb_array_elements(coalesce(p_lines, '[]'::jsonb)) x
+  join purchase_details d on d.purchase_detail_id = (x->>'purchase_detail_id')::integer
+  join ingredients i on i.ingredient_id = d.ingredient_id
+  where coalesce((x->>'received_quantity')::numeric, 0) < 0
+     or coalesce((x->>'damaged_quantity')::numeric, 0) < 0
+     or coalesce((x->>'rejected_quantity')::numeric, 0) < 0
+     or coalesce((x->>'damaged_quantity')::numeric, 0) + coalesce((x->>'rejected_quantity')::numeric, 0)
+        > coalesce((x->>'received_quantity')::numeric, 0)
+  limit 1;
+
+  if found then
+    return jsonb_build_object(
+      'success', false,
+      'message', format('%s: damaged and rejected cannot be more than was received', v_bad)
+    );
+  end if;
+
+  if not exists (
+    select 1 from jsonb_array_elements(coalesce(p_lines, '[]'::jsonb)) x
+    where coalesce((x->>'received_quantity')::numeric, 0) > 0
+  ) then
+    if p_close then
+      v_purchase := close_purchase_order(p_purchase_id);
+      return jsonb_build_object('success', true, 'purchase', to_jsonb(v_purchase), 'received', v_received);
+    end if;
+
+    return jsonb_build_object('success', false, 'message', 'Enter what was received');
+  end if;
+
+  insert into goods_receipts (purchase_id, delivery_reference, notes)
+  values (p_purchase_id, nullif(trim(p_delivery_reference), ''), nullif(trim(p_notes), ''))
+  returning * into v_receipt;
+
+  insert into goods_receipt_lines (
+    receipt_id, purchase_detail_id, ingredient_id,
+    received_quantity, damaged_quantity, rejected_quantity,
+    unit, unit_factor, unit_price, lot_number, expiry_date, notes
+  )
+  select v_receipt.receipt_id, d.purchase_detail_id, d.ingredient_id,
+    (x->>'received_quantity')::numeric,
+    coalesce((x->>'damaged_quantity')::numeric, 0),
+    coalesce((x->>'rejected_quantity')::numeric, 0),
+    d.unit, d.unit_factor,
+    coalesce((x->>'unit_price')::numeric, d.unit_price, 0),
+    coalesce(nullif(trim(x->>'lot_number'), ''), d.lot_number),
+    coalesce(nullif(x->>'expiry_date', '')::date, d.product_expiration_date),
+    nullif(trim(x->>'notes'), '')
+  from jsonb_array_elements(p_lines) x
+  join purchase_details d on d.purchase_detail_id = (x->>'purchase_detail_id')::integer
+  where coalesce((x->>'received_quantity')::numeric, 0) > 0;
+
+  -- Over-delivery is what takes a line past its ordered quantity, counting
+  -- what earlier receipts accepted
+  insert into purchase_discrepancies (purchase_id, receipt_id, purchase_detail_id, ingredient_id, kind, quantity, amount, notes)
+  select p_purchase_id, l.receipt_id, l.purchase_detail_id, l.ingredient_id, k.kind, k.quantity, k.amount, l.notes
+  from goods_receipt_lines l
+  join purchase_details d on d.purchase_detail_id = l.purchase_detail_id
+  left join (
+    select e.purchase_detail_id, sum(e.accepted_quantity) as accepted
+    from goods_receipt_lines e
+    where e.receipt_id <> v_receipt.receipt_id
+    group by e.purchase_detail_id
+  ) b on b.purchase_detail_id = l.purchase_detail_id
+  cross join lateral (values
+    ('damaged', l.damaged_quantity, round(l.damaged_quantity * coalesce(d.unit_price, 0), 2)),
+    ('rejected', l.rejected_quantity, round(l.rejected_quantity * coalesce(d.unit_price, 0), 2)),
+    ('over',
+      greatest(coalesce(b.accepted, 0) + l.accepted_quantity - greatest(d.quantity, coalesce(b.accepted, 0)), 0),
+      round(greatest(coalesce(b.accepted, 0) + l.accepted_quantity - greatest(d.quantity, coalesce(b.accepted, 0)), 0)
+        * coalesce(d.unit_price, 0), 2)),
+    ('price',
+      case when l.unit_price <> coalesce(d.unit_price, 0) then l.accepted_quantity else 0 end,
+      round(l.accepted_quantity * (l.unit_price - coalesce(d.unit_price, 0)), 2))
+  ) as k (kind, quantity, amount)
+  where l.receipt_id = v_receipt.receipt_id
+    and k.quantity > 0;
+
+  if exists (select 1 from goods_receipt_lines where receipt_id = v_receipt.receipt_id and accepted_quantity > 0) then
+    v_received := post_stock_movements(
+      'purchase',
+      (
+        select jsonb_agg(jsonb_build_object(
+          'ingredient_id', ingredient_id,
+          'quantity', accepted_quantity * unit_factor,
+          'lot_number', lot_number,
+          'expiry_date', expiry_date
+        ))
+        from goods_receipt_lines
+        where receipt_id = v_receipt.receipt_id
+          and accepted_quantity > 0
+      ),
+      'goods_receipt', v_receipt.receipt_id::text,
+      format('PO-%s', lpad(p_purchase_id::text, 4, '0'))
+    );
+
+    update ingredients
+    set last_restock_date = now()
+    where ingredient_id in (select (r->>'ingredient_id')::integer from jsonb_array_elements(v_received) r);
+  end if;
+
+  if p_close or not exists (
+    select 1
+    from purchase_details d
+    where d.purchase_id = p_purchase_id
+      and d.quantity > coalesce((
+        select sum(l.accepted_quantity)
+        from goods_receipt_lines l
+        where l.purchase_detail_id = d.purchase_detail_id
+      ), 0)
+  ) then
+    v_purchase := close_purchase_order(p_purchase_id);
+  else
+    update purchase
+    set status = 'partially_received',
+        updated_at = now()
+    where purchase_id = p_purchase_id
+    returning * into v_purchase;
+  end if;
+
+  return jsonb_build_object(
+    'success', true,
+    'receipt', to_jsonb(v_receipt),
+    'purchase', to_jsonb(v_purchase),
+    'received', v_received
+  );
+end;
+$$;
+
+create or replace function public.receive_goods(
+  p_purchase_id integer,
+  p_lines jsonb,
+  p_delivery_reference text default null,
+  p_notes text default null,
+  p_close boolean default false
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_status text;
+begin
+  if not has_permission('purchases.receive') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to receive deliveries');
+  end if;
+
+  select status into v_status from purchase where purchase_id = p_purchase_id;
+
+  if v_status not in ('approved', 'accepted', 'partially_received') then
+    return jsonb_build_object('success', false, 'message', 'Only approved purchase orders can be received');
+  end if;
+
+  return record_goods_receipt(p_purchase_id, p_lines, p_delivery_reference, p_notes, p_close);
+end;
+$$;
+
+-- Stop receiving a partially received order; what never came is short
+create or replace function public.close_purchase_receiving(p_purchase_id integer)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_purchase purchase;
+begin
+  if not has_permission('purchases.receive') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to receive deliveries');
+  end if;
+
+  select * into v_purchase from purchase where purchase_id = p_purchase_id for update;
+
+  if not found or v_purchase.status <> 'partially_received' or v_purchase.closed_at is not null then
+    return jsonb_build_object('success', false, 'message', 'Only a partially received order can be closed');
+  end if;
+
+  v_purchase := close_purchase_order(p_purchase_id);
+
+  return jsonb_build_object('success', true, 'purchase', to_jsonb(v_purchase));
+end;
+$$;
+
+create or replace function public.resolve_purchase_discrepancy(
+  p_discrepancy_id integer,
+  p_resolution text
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_discrepancy purchase_discrepancies;
+begin
+  if not (has_permission('purchases.receive') or has_permission('purchases.approve')) then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to follow up deliveries');
+  end if;
+
+  if nullif(trim(p_resolution), '') is null then
+    return jsonb_build_object('success', false, 'message', 'Say how the discrepancy was settled');
+  end if;
+
+  update purchase_discrepancies
+  set status = 'resolved',
+      resolution = trim(p_resolution),
+      resolved_by = auth.uid(),
+      resolved_at = now()
+  where discrepancy_id = p_discrepancy_id and status = 'open'
+  returning * into v_discrepancy;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'This discrepancy is already resolved');
+  end if;
+
+  return jsonb_build_object('success', true, 'discrepancy', to_jsonb(v_discrepancy));
+end;
+$$;
+
+-- Receiving a whole order in one go is a single receipt of everything
+-- still outstanding, after which the order is closed
+create or replace function public.receive_purchase_stock(p_purchase_id integer)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_closed_at timestamptz;
+begin
+  if not has_permission('purchases.receive') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to receive deliveries');
+  end if;
+
+  select closed_at into v_closed_at from purchase where purchase_id = p_purchase_id;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Purchase order not found');
+  end if;
+
+  if v_closed_at is not null or exists (
+    select 1 from stock_movements
+    where reference_type = 'purchase' and reference_id = p_purchase_id::text
+  ) then
+    return jsonb_build_object('success', false, 'message', 'This purchase order is already in stock');
+  end if;
+
+  return record_goods_receipt(
+    p_purchase_id,
+    coalesce((
+      select jsonb_agg(jsonb_build_object(
+        'purchase_detail_id', d.purchase_detail_id,
+        'received_quantity', d.quantity - coalesce(r.accepted, 0)
+      ))
+      from purchase_details d
+      left join (
+        select l.purchase_detail_id, sum(l.accepted_quantity) as accepted
+        from goods_receipt_lines l
+        group by l.purchase_detail_id
+      ) r on r.purchase_detail_id = d.purchase_detail_id
+      where d.purchase_id = p_purchase_id
+        and d.ingredient_id is not null
+        and d.quantity > coalesce(r.accepted, 0)
+    ), '[]'::jsonb),
+    null, null, true
+  );
+end;
+$$;
+
+-- What is still to come on a partially received order counts as on order
+create or replace function public.compute_reorder_suggestions(
+  p_days integer default 30,
+  p_cover_days integer default 7
+) returns table (
+  ingredient_id integer,
+  ingredient_name text,
+  stock_unit text,
+  supplier_id integer,
+  supplier_name text,
+  lead_time_days integer,
+  daily_usage numeric,
+  on_hand numeric,
+  on_order numeric,
+  minimum_quantity numeric,
+  reorder_point numeric,
+  order_up_to numeric,
+  order_unit text,
+  unit_factor numeric,
+  order_quantity numeric,
+  unit_price numeric
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with usage as (
+    select m.ingredient_id, greatest(-sum(m.quantity), 0) as used
+    from stock_movements m
+    where m.movement_type in ('sale', 'void', 'refund')
+      and m.created_at >= now() - make_interval(days => greatest(p_days, 1))
+    group by m.ingredient_id
+  ),
+  on_order as (
+    select d.ingredient_id,
+      sum(greatest(d.quantity - coalesce(r.accepted, 0), 0) * d.unit_factor) as quantity
+    from purchase p
+    join purchase_details d on d.purchase_id = p.purchase_id
+    left join (
+      select l.purchase_detail_id, sum(l.accepted_quantity) as accepted
+      from goods_receipt_lines l
+      group by l.purchase_detail_id
+    ) r on r.purchase_detail_id = d.purchase_detail_id
+    where p.status in ('draft', 'pending', 'approved', 'accepted', 'partially_received')
+    group by d.ingredient_id
+  ),
+  preferred as (
+    select distinct on (s.ingredient_id) s.ingredient_id, s.supplier_id, s.typical_price
+    from ingredient_suppliers s
+    join suppliers sup on sup.supplier_id = s.supplier_id and sup.is_active is not false
+    where s.is_preferred
+    order by s.ingredient_id, s.updated_at desc nulls last
+  ),
+  levels as (
+    select
+      i.ingredient_id,
+      i.name,
+      i.unit,
+      i.unit_cost,
+      pr.supplier_id,
+      sup.company_name,
+      coalesce(sup.lead_time_days, 0) as lead_time_days,
+      pr.typical_price,
+      coalesce(u.used, 0) / greatest(p_days, 1) as daily_usage,
+      coalesce(i.quantity, 0) as on_hand,
+      coalesce(o.quantity, 0) as on_order,
+      coalesce(i.minimum_quantity, 0) as minimum_quantity,
+      -- Purchase units without a conversion fall back to the stock unit
+      case when ingredient_unit_factor(i.ingredient_id, i.purchase_unit) is not null
+        then coalesce(i.purchase_unit, i.unit) else i.unit end as order_unit,
+      coalesce(ingredient_unit_factor(i.ingredient_id, i.purchase_unit), 1) as unit_factor
+    from ingredients i
+    left join usage u on u.ingredient_id = i.ingredient_id
+    left join on_order o on o.ingredient_id = i.ingredient_id
+    left join preferred pr on pr.ingredient_id = i.ingredient_id
+    left join suppliers sup on sup.supplier_id = pr.supplier_id
+  ),
+  points as (
+    select l.*,
+      l.minimum_quantity + l.daily_usage * l.lead_time_days as reorder_point,
+      l.minimum_quantity + l.daily_usage * (l.lead_time_days + greatest(p_cover_days, 0)) as order_up_to
+    from levels l
+  )
+  select
+    p.ingredient_id,
+    p.name,
+    p.unit,
+    p.supplier_id,
+    p.company_name,
+    p.lead_time_days,
+    round(p.daily_usage, 4),
+    p.on_hand,
+    p.on_order,
+    p.minimum_quantity,
+    round(p.reorder_point, 4),
+    round(p.order_up_to, 4),
+    p.order_unit,
+    p.unit_factor,
+    ceil((p.order_up_to - p.on_hand - p.on_order) / p.unit_factor),
+    round(coalesce(p.typical_price, coalesce(p.unit_cost, 0) * p.unit_factor), 2)
+  from points p
+  where p.on_hand + p.on_order <= p.reorder_point
+    and p.order_up_to - p.on_hand - p.on_order > 0
+$$;
+
+revoke execute on function public.close_purchase_order(integer) from public, anon, authenticated;
+revoke execute on function public.record_goods_receipt(integer, jsonb, text, text, boolean) from public, anon, authenticated;
+
+grant execute on function public.receive_goods(integer, jsonb, text, text, boolean) to authenticated;
+grant execute on function public.close_purchase_receiving(integer) to authenticated;
+grant execute on function public.resolve_purchase_discrepancy(integer, text) to authenticated;
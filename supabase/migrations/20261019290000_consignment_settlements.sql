@@ -0,0 +1,614 @@
+-- Consignment settlements
+-- Goods on consignment belong to the supplier until they are sold. A
+-- settlement covers one supplier over a run of business days (Manila time)
+-- and works out, for each menu item the supplier consigned:
+--
+--   opening   what was still on consignment when the period started
+--   delivered consignments received during the period
+--   pulled out goods handed back to the supplier during the period
+--   sold      sales_detail quantities of non-voided sales, less returns
+--             refunded during the period
+--   closing   opening + delivered - pulled out - settled
+--
+-- The quantity settled is what was sold, capped at what was on consignment;
+-- anything sold beyond that is reported as unmatched rather than paid for.
+-- Settled units are taken from the oldest deliveries first and paid at the
+-- supplier_price of the delivery they came from. An item is assumed to be
+-- consigned by a single supplier.
+--
+-- A supplier's settlements follow each other without gaps. A settlement is
+-- a draft until issued, after which the supplier can see it in the portal
+-- and acknowledge it, and it is finally marked paid when the payout is made.
+
+-- Consigned goods handed back to the supplier (unsold, expired, damaged)
+create table if not exists public.consignment_pullouts (
+  consignment_pullout_id serial primary key,
+  consignment_id integer not null references public.consignment (consignment_id) on delete cascade,
+  item_id integer not null references public.items (item_id),
+  quantity numeric not null check (quantity > 0),
+  reason text not null,
+  pulled_out_on date not null,
+  recorded_by uuid default auth.uid(),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists consignment_pullouts_consignment_idx
+  on public.consignment_pullouts (consignment_id, item_id);
+
+create table if not exists public.consignment_settlements (
+  settlement_id serial primary key,
+  supplier_id integer not null references public.suppliers (supplier_id),
+  period_start date not null,
+  period_end date not null,
+  status text not null default 'draft' check (status in ('draft', 'issued', 'acknowledged', 'paid')),
+  payable_amount numeric not null default 0,
+  notes text,
+  created_by uuid default auth.uid(),
+  created_at timestamptz not null default now(),
+  issued_by uuid,
+  issued_at timestamptz,
+  acknowledged_by uuid,
+  acknowledged_at timestamptz,
+  supplier_remarks text,
+  paid_by uuid,
+  paid_at timestamptz,
+  payment_method text,
+  payment_reference text,
+  check (period_end >= period_start)
+);
+
+create index if not exists consignment_settlements_supplier_idx
+  on public.consignment_settlements (supplier_id, period_end);
+
+create table if not exists public.consignment_settlement_lines (
+  settlement_line_id serial primary key,
+  settlement_id integer not null references public.consignment_settlements (settlement_id) on delete cascade,
+  item_id integer not null references public.items (item_id),
+  opening_quantity numeric not null default 0,
+  delivered_quantity numeric not null default 0,
+  pulled_out_quantity numeric not null default 0,
+  sold_quantity numeric not null default 0,
+  returned_quantity numeric not null default 0,
+  settled_quantity numeric not null default 0,
+  unmatched_quantity numeric not null default 0,
+  closing_quantity numeric not null default 0,
+  amount numeric not null default 0
+);
+
+create index if not exists consignment_settlement_lines_settlement_idx
+  on public.consignment_settlement_lines (settlement_id);
+
+-- Whether the signed-in user works through the supplier portal. That is a
+-- role granted suppliers.portal; Admin holds every permission without a
+-- grant and is staff, not a supplier.
+create or replace function public.is_portal_user()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from staff s
+    join roles r on r.role_id = s.role_id
+    join role_permissions rp on rp.role_id = r.role_id
+    join permissions p on p.permission_id = rp.permission_id
+    where s.user_id = auth.uid()
+      and coalesce(s.is_active, true)
+      and r.role_name <> 'Admin'
+      and p.permission_name = 'suppliers.portal'
+  );
+$$;
+
+-- The supplier a portal user signs in for; null for staff
+create or replace function public.portal_supplier_id()
+returns integer
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select s.supplier_id
+  from suppliers s
+  where s.user_id = auth.uid()
+    and is_portal_user()
+  limit 1;
+$$;
+
+alter table public.consignment_pullouts enable row level security;
+alter table public.consignment_settlements enable row level security;
+alter table public.consignment_settlement_lines enable row level security;
+
+-- Written by the settlement functions only. Portal users see the issued
+-- settlements of their own supplier.
+create policy "consignments.view can read consignment pullouts"
+  on public.consignment_pullouts for select to authenticated
+  using (has_permission('consignments.view') and not is_portal_user());
+create policy "consignments.view can read consignment settlements"
+  on public.consignment_settlements for select to authenticated
+  using (
+    has_permission('consignments.view')
+    and (
+      not is_portal_user()
+      or (supplier_id = portal_supplier_id() and status <> 'draft')
+    )
+  );
+create policy "consignments.view can read consignment settlement lines"
+  on public.consignment_settlement_lines for select to authenticated
+  using (settlement_id in (select settlement_id from public.consignment_settlements));
+
+drop trigger if exists record_audit_trail on public.consignment_pullouts;
+create trigger record_audit_trail
+  after insert or update or delete on public.consignment_pullouts
+  for each row execute function public.record_audit_trail('consignment_id');
+
+drop trigger if exists record_audit_trail on public.consignment_settlements;
+create trigger record_audit_trail
+  after insert or update or delete on public.consignment_settlements
+  for each row execute function public.record_audit_trail('settlement_id');
+
+-- One row per item the supplier has consigned by p_end, for the business
+-- days p_start to p_end. Earlier settlements of the supplier must end
+-- before p_start.
+create or replace function public.compute_consignment_settlement(
+  p_supplier_id integer,
+  p_start date,
+  p_end date
+) returns table (
+  item_id integer,
+  opening_quantity numeric,
+  delivered_quantity numeric,
+  pulled_out_quantity numeric,
+  sold_quantity numeric,
+  returned_quantity numeric,
+  settled_quantity numeric,
+  unmatched_quantity numeric,
+  closing_quantity numeric,
+  amount numeric
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with delivery_lines as (
+    select c.consignment_id, c.date as delivered_on, d.item_id,
+           sum(d.quantity)::numeric as quantity,
+           sum(d.quantity * d.supplier_price) / nullif(sum(d.quantity), 0) as supplier_price
+    from consignment c
+    join consignment_details d on d.consignment_id = c.consignment_id
+    where c.supplier_id = p_supplier_id
+      and c.date <= p_end
+      and lower(coalesce(c.status, '')) <> 'cancelled'
+    group by c.consignment_id, c.date, d.item_id
+  ),
+  pullouts as (
+    select p.consignment_id, p.item_id,
+           coalesce(sum(p.quantity) filter (where p.pulled_out_on < p_start), 0) as before_period,
+           coalesce(sum(p.quantity) filter (where p.pulled_out_on >= p_start), 0) as in_period
+    from consignment_pullouts p
+    where p.pulled_out_on <= p_end
+    group by p.consignment_id, p.item_id
+  ),
+  -- Oldest first, each delivery is a layer of what it left on consignment;
+  -- layer_start is how many units the earlier layers hold
+  layers as (
+    select l.*,
+           coalesce(po.before_period, 0) as pulled_before,
+           coalesce(po.in_period, 0) as pulled_in_period,
+           greatest(l.quantity - coalesce(po.before_period, 0) - coalesce(po.in_period, 0), 0) as layer,
+           coalesce(sum(greatest(l.quantity - coalesce(po.before_period, 0) - coalesce(po.in_period, 0), 0)) over (
+             partition by l.item_id
+             order by l.delivered_on, l.consignment_id
+             rows between unbounded preceding and 1 preceding
+           ), 0) as layer_start
+    from delivery_lines l
+    left join pullouts po on po.consignment_id = l.consignment_id and po.item_id = l.item_id
+  ),
+  per_item as (
+    select y.item_id,
+           sum(case when y.delivered_on < p_start then y.quantity - y.pulled_before else 0 end) as delivered_before,
+           sum(case when y.delivered_on >= p_start then y.quantity else 0 end) as delivered_quantity,
+           sum(y.pulled_in_period) as pulled_out_quantity,
+           sum(y.layer) as on_consignment
+    from layers y
+    group by y.item_id
+  ),
+  settled_before as (
+    select sl.item_id, sum(sl.settled_quantity) as quantity
+    from consignment_settlement_lines sl
+    join consignment_settlements s on s.settlement_id = sl.settlement_id
+    where s.supplier_id = p_supplier_id
+      and s.period_end < p_start
+    group by sl.item_id
+  ),
+  sold as (
+    select sd.item_id, sum(sd.quantity)::numeric as quantity
+    from sales_header sh
+    join sales_detail sd on sd.sale_id = sh.sale_id
+    where sh.sale_date >= p_start::timestamp at time zone 'Asia/Manila'
+      and sh.sale_date < (p_end + 1)::timestamp at time zone 'Asia/Manila'
+      and not coalesce(sh.is_voided, false)
+    group by sd.item_id
+  ),
+  returned as (
+    select ri.item_id, sum(ri.quantity)::numeric as quantity
+    from sales_refunds r
+    join sales_refund_items ri on ri.refund_id = r.refund_id
+    where r.created_at >= p_start::timestamp at time zone 'Asia/Manila'
+      and r.created_at < (p_end + 1)::timestamp at time zone 'Asia/Manila'
+    group by ri.item_id
+  ),
+  matched as (
+    select p.item_id,
+           p.delivered_before - coalesce(sb.quantity, 0) as opening_quantity,
+           p.delivered_quantity,
+           p.pulled_out_quantity,
+           coalesce(s.quantity, 0) as sold_quantity,
+           coalesce(r.quantity, 0) as returned_quantity,
+           coalesce(sb.quantity, 0) as settled_before,
+           p.on_consignment - coalesce(sb.quantity, 0) as available,
+           -- Returns only offset sales of the same period
+           greatest(least(
+             coalesce(s.quantity, 0) - coalesce(r.quantity, 0),
+             p.on_consignment - coalesce(sb.quantity, 0)
+           ), 0) as settled_quantity
+    from per_item p
+    left join settled_before sb on sb.item_id = p.item_id
+    left join sold s on s.item_id = p.item_id
+    left join returned r on r.item_id = p.item_id
+  )
+  select
+    m.item_id,
+    m.opening_quantity,
+    m.delivered_quantity,
+    m.pulled_out_quantity,
+    m.sold_quantity,
+    m.returned_quantity,
+    m.settled_quantity,
+    greatest(m.sold_quantity - m.returned_quantity - m.settled_quantity, 0),
+    m.available - m.settled_quantity,
+    coalesce((
+      select round(sum(greatest(
+        least(y.layer_start + y.layer, m.settled_before + m.settled_quantity) - greatest(y.layer_start, m.settled_before),
+        0
+      ) * y.supplier_price), 2)
+      from layers y
+      where y.item_id = m.item_id
+    ), 0)
+  from matched m
+  where m.opening_quantity <> 0
+     or m.delivered_quantity <> 0
+     or m.pulled_out_quantity <> 0
+     or m.sold_quantity <> 0
+     or m.returned_quantity <> 0
+$$;
+
+create or replace function public.create_consignment_settlement(
+  p_supplier_id integer,
+  p_period_start date,
+  p_period_end date,
+  p_notes text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_last consignment_settlements;
+  v_settlement consignment_settlements;
+begin
+  if not has_permission('consignments.edit') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to settle consignments');
+  end if;
+
+  perform 1 from suppliers where supplier_id = p_supplier_id for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Supplier not found');
+  end if;
+
+  if p_period_start is null or p_period_end is null or p_period_end < p_period_start then
+    return jsonb_build_object('success', false, 'message', 'Choose a start date on or before the end date');
+  end if;
+
+  if p_period_end > (now() at time zone 'Asia/Manila')::date then
+    return jsonb_build_object('success', false, 'message', 'A settlement cannot end in the future');
+  end if;
+
+  select * into v_last
+  from consignment_settlements
+  where supplier_id = p_supplier_id
+  order by period_end desc
+  limit 1;
+
+  if v_last.status = 'draft' then
+    return jsonb_build_object('success', false, 'message', 'Issue or discard the draft settlement of this supplier first');
+  end if;
+
+  if v_last.settlement_id is not null and p_period_start <> v_last.period_end + 1 then
+    return jsonb_build_object(
+      'success', false,
+      'message', format('The next settlement of this supplier starts on %s', to_char(v_last.period_end + 1, 'Mon DD, YYYY'))
+    );
+  end if;
+
+  if not exists (
+    select 1 from consignment
+    where supplier_id = p_supplier_id
+      and date <= p_period_end
+      and lower(coalesce(status, '')) <> 'cancelled'
+  ) then
+    return jsonb_build_object(
+      'success', false,
+      'message', format('Nothing was consigned by this supplier up to %s', to_char(p_period_end, 'Mon DD, YYYY'))
+    );
+  end if;
+
+  insert into consignment_settlements (supplier_id, period_start, period_end, notes)
+  values (p_supplier_id, p_period_start, p_period_end, nullif(trim(p_notes), ''))
+  returning * into v_settlement;
+
+  insert into consignment_settlement_lines (
+    settlement_id, item_id, opening_quantity, delivered_quantity, pulled_out_quantity,
+    sold_quantity, returned_quantity, settled_quantity, unmatched_quantity, closing_quantity, amount
+  )
+  select v_settlement.settlement_id, c.*
+  from compute_consignment_settlement(p_supplier_id, p_period_start, p_period_end) c;
+
+  update consignment_settlements
+  set payable_amount = (
+    select coalesce(sum(amount), 0)
+    from consignment_settlement_lines
+    where settlement_id = v_settlement.settlement_id
+  )
+  where settlement_id = v_settlement.settlement_id
+  returning * into v_settlement;
+
+  return jsonb_build_object('success', true, 'settlement', to_jsonb(v_settlement));
+end;
+$$;
+
+create or replace function public.discard_consignment_settlement(p_settlement_id integer)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not has_permission('consignments.edit') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to settle consignments');
+  end if;
+
+  delete from consignment_settlements
+  where settlement_id = p_settlement_id and status = 'draft';
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Only a draft settlement can be discarded');
+  end if;
+
+  return jsonb_build_object('success', true);
+end;
+$$;
+
+-- Issued settlements are final and visible to the supplier
+create or replace function public.issue_consignment_settlement(p_settlement_id integer)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_settlement consignment_settlements;
+begin
+  if not has_permission('consignments.edit') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to settle consignments');
+  end if;
+
+  update consignment_settlements
+  set status = 'issued',
+      issued_by = auth.uid(),
+      issued_at = now()
+  where settlement_id = p_settlement_id and status = 'draft'
+  returning * into v_settlement;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Only a draft settlement can be issued');
+  end if;
+
+  return jsonb_build_object(
+    'success', true,
+    'settlement', to_jsonb(v_settlement),
+    'supplier_user_id', (select user_id from suppliers where supplier_id = v_settlement.supplier_id)
+  );
+end;
+$$;
+
+-- The supplier confirms the statement from the portal
+create or replace function public.acknowledge_consignment_settlement(
+  p_settlement_id integer,
+  p_remarks text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_settlement consignment_settlements;
+begin
+  update consignment_settlements
+  set status = 'acknowledged',
+      acknowledged_by = auth.uid(),
+      acknowledged_at = now(),
+      supplier_remarks = nullif(trim(p_remarks), '')
+  where settlement_id = p_settlement_id
+    and status = 'issued'
+    and supplier_id = portal_supplier_id()
+  returning * into v_settlement;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Only your own issued settlements can be acknowledged');
+  end if;
+
+  return jsonb_build_object('success', true, 'settlement', to_jsonb(v_settlement));
+end;
+$$;
+
+create or replace function public.record_consignment_payout(
+  p_settlement_id integer,
+  p_payment_method text,
+  p_payment_reference text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_settlement consignment_settlements;
+begin
+  if not has_permission('consignments.edit') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to settle consignments');
+  end if;
+
+  if nullif(trim(p_payment_method), '') is null then
+    return jsonb_build_object('success', false, 'message', 'Choose how the supplier was paid');
+  end if;
+
+  update consignment_settlements
+  set status = 'paid',
+      paid_by = auth.uid(),
+      paid_at = now(),
+      payment_method = trim(p_payment_method),
+      payment_reference = nullif(trim(p_payment_reference), '')
+  where settlement_id = p_settlement_id and status in ('issued', 'acknowledged')
+  returning * into v_settlement;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Only an issued settlement can be paid');
+  end if;
+
+  return jsonb_build_object('success', true, 'settlement', to_jsonb(v_settlement));
+end;
+$$;
+
+-- Hand consigned goods back to the supplier. Pullouts belong to the
+-- period they fall in, so they cannot go back into a settled one.
+create or replace function public.record_consignment_pullout(
+  p_consignment_id integer,
+  p_item_id integer,
+  p_quantity numeric,
+  p_reason text,
+  p_pulled_out_on date default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_consignment consignment;
+  v_date date := coalesce(p_pulled_out_on, (now() at time zone 'Asia/Manila')::date);
+  v_settled_to date;
+  v_delivered numeric;
+  v_pulled_out numeric;
+  v_on_consignment numeric;
+  v_pullout consignment_pullouts;
+begin
+  if not has_permission('consignments.edit') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to record consignment pullouts');
+  end if;
+
+  select * into v_consignment from consignment where consignment_id = p_consignment_id for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Consignment not found');
+  end if;
+
+  if coalesce(p_quantity, 0) <= 0 then
+    return jsonb_build_object('success', false, 'message', 'Enter how many were pulled out');
+  end if;
+
+  if nullif(trim(p_reason), '') is null then
+    return jsonb_build_object('success', false, 'message', 'Give a reason for the pullout');
+  end if;
+
+  if v_date < v_consignment.date or v_date > (now() at time zone 'Asia/Manila')::date then
+    return jsonb_build_object('success', false, 'message', 'The pullout date must be between the delivery and today');
+  end if;
+
+  select max(period_end) into v_settled_to
+  from consignment_settlements
+  where supplier_id = v_consignment.supplier_id;
+
+  if v_date <= v_settled_to then
+    return jsonb_build_object(
+      'success', false,
+      'message', format('This supplier is settled up to %s', to_char(v_settled_to, 'Mon DD, YYYY'))
+    );
+  end if;
+
+  select sum(quantity) into v_delivered
+  from consignment_details
+  where consignment_id = p_consignment_id and item_id = p_item_id;
+
+  if v_delivered is null then
+    return jsonb_build_object('success', false, 'message', 'This item is not on the consignment');
+  end if;
+
+  select coalesce(sum(quantity), 0) into v_pulled_out
+  from consignment_pullouts
+  where consignment_id = p_consignment_id and item_id = p_item_id;
+
+  if p_quantity > v_delivered - v_pulled_out then
+    return jsonb_build_object(
+      'success', false,
+      'message', format('Only %s of this delivery can still be pulled out', v_delivered - v_pulled_out)
+    );
+  end if;
+
+  -- Nor more than the supplier still has on consignment of the item
+  select coalesce(sum(d.quantity), 0)
+    - coalesce((
+        select sum(p.quantity)
+        from consignment_pullouts p
+        join consignment pc on pc.consignment_id = p.consignment_id
+        where pc.supplier_id = v_consignment.supplier_id and p.item_id = p_item_id
+      ), 0)
+    - coalesce((
+        select sum(sl.settled_quantity)
+        from consignment_settlement_lines sl
+        join consignment_settlements s on s.settlement_id = sl.settlement_id
+        where s.supplier_id = v_consignment.supplier_id and sl.item_id = p_item_id
+      ), 0)
+  into v_on_consignment
+  from consignment c
+  join consignment_details d on d.consignment_id = c.consignment_id
+  where c.supplier_id = v_consignment.supplier_id
+    and d.item_id = p_item_id
+    and lower(coalesce(c.status, '')) <> 'cancelled';
+
+  if p_quantity > v_on_consignment then
+    return jsonb_build_object(
+      'success', false,
+      'message', format('Only %s of this item are still on consignment', greatest(v_on_consignment, 0))
+    );
+  end if;
+
+  insert into consignment_pullouts (consignment_id, item_id, quantity, reason, pulled_out_on)
+  values (p_consignment_id, p_item_id, p_quantity, trim(p_reason), v_date)
+  returning * into v_pullout;
+
+  return jsonb_build_object('success', true, 'pullout', to_jsonb(v_pullout));
+end;
+$$;
+
+revoke execute on function public.compute_consignment_settlement(integer, date, date) from public, anon, authenticated;
+
+grant execute on function public.is_portal_user() to authenticated;
+grant execute on function public.portal_supplier_id() to authenticated;
+grant execute on function public.create_consignment_settlement(integer, date, date, text) to authenticated;
+grant execute on function public.discard_consignment_settlement(integer) to authenticated;
+grant execute on function public.issue_consignment_settlement(integer) to authenticated;
+grant execute on function public.acknowledge_consignment_settlement(integer, text) to authenticated;
+grant execute on function public.record_consignment_payout(integer, text, text) to authenticated;
+grant execute on function public.record_consignment_pullout(integer, integer, numeric, text, date) to authenticated;
@@ -0,0 +1,580 @@
+-- Accounts payable
+-- A supplier invoice bills one or more of the supplier's purchase orders,
+-- each for part or all of what the order is worth: its total until
+-- deliveries start, then the value of what was accepted. An order cannot be
+-- billed beyond that across all of its invoices.
+--
+-- The invoice falls due after the supplier's payment terms (days of credit
+-- from the invoice date, 0 for cash on delivery) unless the invoice says
+-- otherwise, and is paid off in one or more payments. Mistakes are voided
+-- rather than deleted: a voided payment puts its amount back on the
+-- invoice, and an invoice can only be voided while nothing is paid on it.
+--
+-- payables_aging() ages what was still owed at the end of a business day
+-- by how long it had been overdue: current (not yet due), 1-30, 31-60,
+-- 61-90 and over 90 days.
+
+-- Days of credit; payment_terms stays as the label shown for them
+alter table public.suppliers
+  add column if not exists payment_terms_days integer not null default 30 check (payment_terms_days >= 0);
+
+-- Carry over terms written as text ("COD", "Net 15", "30 days")
+update public.suppliers
+set payment_terms_days = case
+  when payment_terms ~* '(cod|cash)' then 0
+  else substring(payment_terms from '(\d+)')::integer
+end
+where payment_terms ~* '(cod|cash|\d+)';
+
+create table if not exists public.supplier_invoices (
+  invoice_id serial primary key,
+  supplier_id integer not null references public.suppliers (supplier_id),
+  invoice_number text not null check (length(trim(invoice_number)) > 0),
+  invoice_date date not null,
+  due_date date not null,
+  amount numeric(12, 2) not null check (amount > 0),
+  amount_paid numeric(12, 2) not null default 0,
+  status text not null default 'open' check (status in ('open', 'partially_paid', 'paid', 'void')),
+  notes text,
+  created_by uuid default auth.uid(),
+  created_at timestamptz not null default now(),
+  voided_by uuid,
+  voided_at timestamptz,
+  void_reason text,
+  check (due_date >= invoice_date)
+);
+
+-- An invoice number is used once per supplier, voided invoices aside
+create unique index if not exists supplier_invoices_number_idx
+  on public.supplier_invoices (supplier_id, lower(trim(invoice_number)))
+  where status <> 'void';
+
+create index if not exists supplier_invoices_open_idx
+  on public.supplier_invoices (due_date)
+  where status in ('open', 'partially_paid');
+
+-- The purchase orders an invoice bills and how much of each
+create table if not exists public.supplier_invoice_purchases (
+  invoice_id integer not null references public.supplier_invoices (invoice_id) on delete cascade,
+  purchase_id integer not null references public.purchase (purchase_id),
+  amount numeric(12, 2) not null check (amount > 0),
+  primary key (invoice_id, purchase_id)
+);
+
+create index if not exists supplier_invoice_purchases_purchase_idx
+  on public.supplier_invoice_purchases (purchase_id);
+
+create table if not exists public.supplier_payments (
+  payment_id serial primary key,
+  invoice_id integer not null references public.supplier_invoices (invoice_id),
+  paid_on date not null,
+  amount numeric(12, 2) not null check (amount > 0),
+  payment_method text not null,
+  reference_number text,
+  notes text,
+  recorded_by uuid default auth.uid(),
+  created_at timestamptz not null default now(),
+  voided_by uuid,
+  voided_at timestamptz,
+  void_reason text
+);
+
+create index if not exists supplier_payments_invoice_idx on public.supplier_payments (invoice_id);
+
+alter table public.supplier_invoices enable row level security;
+alter table public.supplier_invoice_purchases enable row level security;
+alter table public.supplier_payments enable row level security;
+
+-- Written by the payables functions only
+create policy "payables.view can read supplier invoices"
+  on public.supplier_invoices for select to authenticated
+  using (has_permission('payables.view'));
+create policy "payables.view can read supplier invoice purchases"
+  on public.supplier_invoice_purchases for select to authenticated
+  using (has_permission('payables.view'));
+create policy "payables.view can read supplier payments"
+  on public.supplier_payments for select to authenticated
+  using (has_permission('payables.view'));
+
+drop trigger if exists record_audit_trail on public.supplier_invoices;
+create trigger record_audit_trail
+  after insert or update or delete on public.supplier_invoices
+  for each row execute function public.record_audit_trail('invoice_id');
+
+drop trigger if exists record_audit_trail on public.supplier_payments;
+create trigger record_audit_trail
+  after insert or update or delete on public.supplier_payments
+  for each row execute function public.record_audit_trail('payment_id');
+
+-- Paying suppliers moves money out of the business, so only Manager is
+-- given the payables permissions to begin with
+insert into public.permissions (permission_name, resource_name, action_name)
+select name, 'payables', split_part(name, '.', 2)
+from unnest(array['payables.view', 'payables.create', 'payables.pay', 'payables.edit']) as name
+where not exists (select 1 from public.permissions p where p.permission_name = name);
+
+insert into public.role_permissions (role_id, permission_id)
+select r.role_id, p.permission_id
+from public.roles r
+join public.permissions p on p.permission_name like 'payables.%'
+where r.role_name = 'Manager'
+  and not exists (
+    select 1 from public.role_permissions existing
+    where existing.role_id = r.role_id and existing.permission_id = p.permission_id
+  );
+
+-- What a purchase order can be billed for. Once receiving has started,
+-- that is the value of what was accepted on its receipts, so a short or
+-- partly rejected delivery can't be billed in full. Before anything
+-- arrives it is the order total. Orders are only closed through a receipt,
+-- apart from those received before receipts existed, which bill their total.
+create or replace function public.purchase_billable_amount(p_purchase_id integer)
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case
+    when exists (select 1 from goods_receipts r where r.purchase_id = p.purchase_id) then (
+      select round(coalesce(sum(l.accepted_quantity * l.unit_price), 0), 2)
+      from goods_receipts r
+      join goods_receipt_lines l on l.receipt_id = r.receipt_id
+      where r.purchase_id = p.purchase_id
+    )
+    else coalesce(p.total_amount, 0)
+  end
+  from purchase p
+  where p.purchase_id = p_purchase_id;
+$$;
+
+-- What has been billed on a purchase order so far, voided invoices aside
+create or replace function public.purchase_billed_amount(p_purchase_id integer)
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(sum(ip.amount), 0)
+  from supplier_invoice_purchases ip
+  join supplier_invoices i on i.invoice_id = ip.invoice_id
+  where ip.purchase_id = p_purchase_id
+    and i.status <> 'void';
+$$;
+
+-- Orders of a supplier with something left to bill, for the invoice form
+create or replace function public.unbilled_purchase_orders(p_supplier_id integer)
+returns table (
+  purchase_id integer,
+  purchase_date timestamptz,
+  status text,
+  billable_amount numeric,
+  billed_amount numeric,
+  unbilled_amount numeric
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select b.purchase_id, b.purchase_date, b.status, b.billable, b.billed, b.billable - b.billed
+  from (
+    select p.purchase_id, p.purchase_date, p.status,
+      purchase_billable_amount(p.purchase_id) as billable,
+      purchase_billed_amount(p.purchase_id) as billed
+    from purchase p
+    where p.supplier_id = p_supplier_id
+      and p.status in ('approved', 'accepted', 'partially_received', 'completed')
+      and has_permission('payables.view')
+  ) b
+  where b.billable > b.billed
+  order by b.purchase_date, b.purchase_id;
+$$;
+
+-- Bring amount_paid and status in line with the invoice's payments
+create or replace function public.refresh_supplier_invoice(p_invoice_id integer)
+returns supplier_invoices
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_invoice supplier_invoices;
+begin
+  update supplier_invoices i
+  set amount_paid = p.paid,
+      status = case
+        when p.paid >= i.amount then 'paid'
+        when p.paid > 0 then 'partially_paid'
+        else 'open'
+      end
+  from (
+    select coalesce(sum(amount), 0) as paid
+    from supplier_payments
+    where invoice_id = p_invoice_id and voided_at is null
+  ) p
+  where i.invoice_id = p_invoice_id
+  returning i.* into v_invoice;
+
+  return v_invoice;
+end;
+$$;
+
+-- Record a supplier invoice. p_purchases is an array of
+-- { purchase_id, amount }; the invoice amount is their sum. The due date
+-- defaults to the supplier's payment terms.
+create or replace function public.record_supplier_invoice(
+  p_supplier_id integer,
+  p_invoice_number text,
+  p_invoice_date date,
+  p_purchases jsonb,
+  p_due_date date default null,
+  p_notes text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_terms integer;
+  v_invoice supplier_invoices;
+  v_line record;
+begin
+  if not has_permission('payables.create') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to record supplier invoices');
+  end if;
+
+  select payment_terms_days into v_terms from suppliers where supplier_id = p_supplier_id;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Supplier not found');
+  end if;
+
+  if nullif(trim(p_invoice_number), '') is null then
+    return jsonb_build_object('success', false, 'message', 'Enter the supplier''s invoice number');
+  end if;
+
+  if p_invoice_date is null or p_invoice_date > (now() at time zone 'Asia/Manila')::date then
+    return jsonb_build_object('success', false, 'message', 'The invoice date cannot be in the future');
+  end if;
+
+  if p_due_date < p_invoice_date then
+    return jsonb_build_object('success', false, 'message', 'The due date cannot be before the invoice date');
+  end if;
+
+  if exists (
+    select 1 from supplier_invoices
+    where supplier_id = p_supplier_id
+      and lower(trim(invoice_number)) = lower(trim(p_invoice_number))
+      and status <> 'void'
+  ) then
+    return jsonb_build_object('success', false, 'message', 'This supplier invoice has already been recorded');
+  end if;
+
+  if jsonb_typeof(p_purchases) <> 'array' or jsonb_array_length(p_purchases) = 0 then
+    return jsonb_build_object('success', false, 'message', 'Choose the purchase orders this invoice bills');
+  end if;
+
+  -- Check every order before writing anything
+  for v_line in
+    select x.purchase_id, sum(x.amount) as amount, p.supplier_id, p.status
+    from jsonb_to_recordset(p_purchases) as x(purchase_id integer, amount numeric)
+    left join purchase p on p.purchase_id = x.purchase_id
+    group by x.purchase_id, p.supplier_id, p.status
+  loop
+    if v_line.supplier_id is distinct from p_supplier_id then
+      return jsonb_build_object('success', false, 'message',
+        format('Purchase order #%s is not from this supplier', v_line.purchase_id));
+    end if;
+
+    if v_line.status not in ('approved', 'accepted', 'partially_received', 'completed') then
+      return jsonb_build_object('success', false, 'message',
+        format('Purchase order #%s has not been approved', v_line.purchase_id));
+    end if;
+
+    if coalesce(v_line.amount, 0) <= 0 then
+      return jsonb_build_object('success', false, 'message',
+        format('Enter the amount billed for purchase order #%s', v_line.purchase_id));
+    end if;
+
+    if round(v_line.amount, 2) > purchase_billable_amount(v_line.purchase_id) - purchase_billed_amount(v_line.purchase_id) then
+      return jsonb_build_object('success', false, 'message',
+        format('Purchase order #%s has only %s left to bill', v_line.purchase_id,
+          to_char(purchase_billable_amount(v_line.purchase_id) - purchase_billed_amount(v_line.purchase_id), 'FM999,999,990.00')));
+    end if;
+  end loop;
+
+  insert into supplier_invoices (supplier_id, invoice_number, invoice_date, due_date, amount, notes)
+  select p_supplier_id, trim(p_invoice_number), p_invoice_date,
+    coalesce(p_due_date, p_invoice_date + v_terms),
+    sum(round(x.amount, 2)),
+    nullif(trim(p_notes), '')
+  from jsonb_to_recordset(p_purchases) as x(purchase_id integer, amount numeric)
+  returning * into v_invoice;
+
+  insert into supplier_invoice_purchases (invoice_id, purchase_id, amount)
+  select v_invoice.invoice_id, x.purchase_id, sum(round(x.amount, 2))
+  from jsonb_to_recordset(p_purchases) as x(purchase_id integer, amount numeric)
+  group by x.purchase_id;
+
+  return jsonb_build_object('success', true, 'invoice', to_jsonb(v_invoice));
+end;
+$$;
+
+create or replace function public.record_supplier_payment(
+  p_invoice_id integer,
+  p_amount numeric,
+  p_payment_method text,
+  p_paid_on date default null,
+  p_reference_number text default null,
+  p_notes text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_invoice supplier_invoices;
+  v_paid_on date := coalesce(p_paid_on, (now() at time zone 'Asia/Manila')::date);
+  v_payment supplier_payments;
+begin
+  if not has_permission('payables.pay') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to pay suppliers');
+  end if;
+
+  select * into v_invoice from supplier_invoices where invoice_id = p_invoice_id for update;
+
+  if not found or v_invoice.status not in ('open', 'partially_paid') then
+    return jsonb_build_object('success', false, 'message', 'Only an unpaid invoice can be paid');
+  end if;
+
+  if coalesce(p_amount, 0) <= 0 then
+    return jsonb_build_object('success', false, 'message', 'Enter the amount paid');
+  end if;
+
+  if round(p_amount, 2) > v_invoice.amount - v_invoice.amount_paid then
+    return jsonb_build_object('success', false, 'message',
+      format('Only %s is left to pay on this invoice', to_char(v_invoice.amount - v_invoice.amount_paid, 'FM999,999,990.00')));
+  end if;
+
+  if nullif(trim(p_payment_method), '') is null then
+    return jsonb_build_object('success', false, 'message', 'Choose how the supplier was paid');
+  end if;
+
+  if v_paid_on < v_invoice.invoice_date or v_paid_on > (now() at time zone 'Asia/Manila')::date then
+    return jsonb_build_object('success', false, 'message', 'The payment date must be between the invoice date and today');
+  end if;
+
+  insert into supplier_payments (invoice_id, paid_on, amount, payment_method, reference_number, notes)
+  values (p_invoice_id, v_paid_on, round(p_amount, 2), trim(p_payment_method),
+    nullif(trim(p_reference_number), ''), nullif(trim(p_notes), ''))
+  returning * into v_payment;
+
+  return jsonb_build_object(
+    'success', true,
+    'payment', to_jsonb(v_payment),
+    'invoice', to_jsonb(refresh_supplier_invoice(p_invoice_id))
+  );
+end;
+$$;
+
+create or replace function public.void_supplier_payment(
+  p_payment_id integer,
+  p_reason text
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_payment supplier_payments;
+begin
+  if not has_permission('payables.edit') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to void supplier payments');
+  end if;
+
+  if nullif(trim(p_reason), '') is null then
+    return jsonb_build_object('success', false, 'message', 'Give a reason for voiding the payment');
+  end if;
+
+  update supplier_payments
+  set voided_by = auth.uid(),
+      voided_at = now(),
+      void_reason = trim(p_reason)
+  where payment_id = p_payment_id and voided_at is null
+  returning * into v_payment;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'This payment is already voided');
+  end if;
+
+  return jsonb_build_object(
+    'success', true,
+    'payment', to_jsonb(v_payment),
+    'invoice', to_jsonb(refresh_supplier_invoice(v_payment.invoice_id))
+  );
+end;
+$$;
+
+create or replace function public.void_supplier_invoice(
+  p_invoice_id integer,
+  p_reason text
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_invoice supplier_invoices;
+begin
+  if not has_permission('payables.edit') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to void supplier invoices');
+  end if;
+
+  if nullif(trim(p_reason), '') is null then
+    return jsonb_build_object('success', false, 'message', 'Give a reason for voiding the invoice');
+  end if;
+
+  select * into v_invoice from supplier_invoices where invoice_id = p_invoice_id for update;
+
+  if not found or v_invoice.status = 'void' then
+    return jsonb_build_object('success', false, 'message', 'This invoice is already voided');
+  end if;
+
+  if v_invoice.status <> 'open' then
+    return jsonb_build_object('success', false, 'message', 'Void the payments on this invoice first');
+  end if;
+
+  update supplier_invoices
+  set status = 'void',
+      voided_by = auth.uid(),
+      voided_at = now(),
+      void_reason = trim(p_reason)
+  where invoice_id = p_invoice_id
+  returning * into v_invoice;
+
+  return jsonb_build_object('success', true, 'invoice', to_jsonb(v_invoice));
+end;
+$$;
+
+-- What was owed to suppliers at the end of business day p_as_of, invoice by
+-- invoice and per supplier, aged by days overdue
+create or replace function public.payables_aging(p_as_of date default null)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_as_of date := coalesce(p_as_of, (now() at time zone 'Asia/Manila')::date);
+  v_result jsonb;
+begin
+  if not (has_permission('reports.financial') or has_permission('payables.view')) then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to view payables');
+  end if;
+
+  with balances as (
+    select i.invoice_id, i.supplier_id, i.invoice_number, i.invoice_date, i.due_date, i.amount,
+      coalesce((
+        select sum(p.amount)
+        from supplier_payments p
+        where p.invoice_id = i.invoice_id
+          and p.paid_on <= v_as_of
+          and (p.voided_at is null or (p.voided_at at time zone 'Asia/Manila')::date > v_as_of)
+      ), 0) as paid
+    from supplier_invoices i
+    where i.invoice_date <= v_as_of
+      and (i.status <> 'void' or (i.voided_at at time zone 'Asia/Manila')::date > v_as_of)
+  ),
+  aged as (
+    select b.*,
+      b.amount - b.paid as balance,
+      v_as_of - b.due_date as days_overdue,
+      case
+        when v_as_of <= b.due_date then 'current'
+        when v_as_of - b.due_date <= 30 then 'days_1_30'
+        when v_as_of - b.due_date <= 60 then 'days_31_60'
+        when v_as_of - b.due_date <= 90 then 'days_61_90'
+        else 'over_90'
+      end as bucket
+    from balances b
+    where b.amount > b.paid
+  ),
+  by_supplier as (
+    select a.supplier_id,
+      coalesce(s.company_name, 'Unknown Supplier') as supplier_name,
+      count(*) as invoices,
+      sum(a.balance) filter (where a.bucket = 'current') as current,
+      sum(a.balance) filter (where a.bucket = 'days_1_30') as days_1_30,
+      sum(a.balance) filter (where a.bucket = 'days_31_60') as days_31_60,
+      sum(a.balance) filter (where a.bucket = 'days_61_90') as days_61_90,
+      sum(a.balance) filter (where a.bucket = 'over_90') as over_90,
+      sum(a.balance) as total
+    from aged a
+    left join suppliers s on s.supplier_id = a.supplier_id
+    group by a.supplier_id, s.company_name
+  )
+  select jsonb_build_object(
+    'success', true,
+    'as_of', v_as_of,
+    'totals', (
+      select jsonb_build_object(
+        'current', coalesce(sum(balance) filter (where bucket = 'current'), 0),
+        'days_1_30', coalesce(sum(balance) filter (where bucket = 'days_1_30'), 0),
+        'days_31_60', coalesce(sum(balance) filter (where bucket = 'days_31_60'), 0),
+        'days_61_90', coalesce(sum(balance) filter (where bucket = 'days_61_90'), 0),
+        'over_90', coalesce(sum(balance) filter (where bucket = 'over_90'), 0),
+        'total', coalesce(sum(balance), 0),
+        'invoices', count(*)
+      )
+      from aged
+    ),
+    'suppliers', coalesce((
+      select jsonb_agg(jsonb_build_object(
+        'supplier_id', supplier_id,
+        'supplier_name', supplier_name,
+        'invoices', invoices,
+        'current', coalesce(current, 0),
+        'days_1_30', coalesce(days_1_30, 0),
+        'days_31_60', coalesce(days_31_60, 0),
+        'days_61_90', coalesce(days_61_90, 0),
+        'over_90', coalesce(over_90, 0),
+        'total', total
+      ) order by total desc)
+      from by_supplier
+    ), '[]'::jsonb),
+    'invoices', coalesce((
+      select jsonb_agg(jsonb_build_object(
+        'invoice_id', a.invoice_id,
+        'supplier_id', a.supplier_id,
+        'supplier_name', coalesce(s.company_name, 'Unknown Supplier'),
+        'invoice_number', a.invoice_number,
+        'invoice_date', a.invoice_date,
+        'due_date', a.due_date,
+        'amount', a.amount,
+        'paid', a.paid,
+        'balance', a.balance,
+        'days_overdue', greatest(a.days_overdue, 0),
+        'bucket', a.bucket
+      ) order by a.due_date, a.invoice_id)
+      from aged a
+      left join suppliers s on s.supplier_id = a.supplier_id
+    ), '[]'::jsonb)
+  ) into v_result;
+
+  return v_result;
+end;
+$$;
+
+revoke execute on function public.purchase_billable_amount(integer) from public, anon, authenticated;
+revoke execute on function public.purchase_billed_amount(integer) from public, anon, authenticated;
+revoke execute on function public.refresh_supplier_invoice(integer) from public, anon, authenticated;
+
+grant execute on function public.unbilled_purchase_orders(integer) to authenticated;
+grant execute on function public.record_supplier_invoice(integer, text, date, jsonb, date, text) to authenticated;
+grant execute on function public.record_supplier_payment(integer, numeric, text, date, text, text) to authenticated;
+grant execute on function public.void_supplier_payment(integer, text) to authenticated;
+grant execute on function public.void_supplier_invoice(integer, text) to authenticated;
+grant execute on function public.payables_aging(date) to authenticated;
@@ -0,0 +1,427 @@
+-- Supplier portal
+-- Users whose role is granted suppliers.portal (is_portal_user) sign in for
+-- the supplier linked to them (suppliers.user_id) and only ever see that
+-- supplier's records: its own supplier row, its purchase orders once
+-- approved, the receipts against them, its consignments, catalog prices and
+-- the invoices and payments recorded for it.
+--
+-- From the portal a supplier accepts or rejects approved orders, proposes a
+-- delivery date and time window for open orders, attaches delivery receipts
+-- and invoices to them and keeps its catalog prices current. Staff confirm
+-- or decline proposed deliveries; a newer proposal replaces any still
+-- waiting, and a confirmed one replaces the delivery confirmed before it.
+
+create table if not exists public.purchase_delivery_proposals (
+  proposal_id serial primary key,
+  purchase_id integer not null references public.purchase (purchase_id) on delete cascade,
+  delivery_date date not null,
+  window_start time not null,
+  window_end time not null,
+  notes text,
+  status text not null default 'proposed' check (status in ('proposed', 'confirmed', 'declined', 'superseded')),
+  proposed_by uuid default auth.uid(),
+  created_at timestamptz not null default now(),
+  responded_by uuid,
+  responded_at timestamptz,
+  response_note text,
+  check (window_end > window_start)
+);
+
+create index if not exists purchase_delivery_proposals_purchase_idx
+  on public.purchase_delivery_proposals (purchase_id, created_at);
+
+-- Files are kept in storage; this is what they are and which order they
+-- belong to
+create table if not exists public.supplier_documents (
+  document_id serial primary key,
+  purchase_id integer not null references public.purchase (purchase_id) on delete cascade,
+  document_type text not null check (document_type in ('delivery_receipt', 'invoice')),
+  reference_number text,
+  file_name text not null,
+  file_url text not null,
+  file_path text not null,
+  notes text,
+  uploaded_by uuid default auth.uid(),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists supplier_documents_purchase_idx
+  on public.supplier_documents (purchase_id);
+
+alter table public.purchase_delivery_proposals enable row level security;
+alter table public.supplier_documents enable row level security;
+
+-- Both follow the purchase orders the user can see. Proposals are written by
+-- the delivery functions only.
+create policy "purchases.view can read delivery proposals"
+  on public.purchase_delivery_proposals for select to authenticated
+  using (has_permission('purchases.view') and purchase_id in (select purchase_id from public.purchase));
+create policy "purchases.view can read supplier documents"
+  on public.supplier_documents for select to authenticated
+  using (has_permission('purchases.view') and purchase_id in (select purchase_id from public.purchase));
+create policy "Suppliers and receivers can add supplier documents"
+  on public.supplier_documents for insert to authenticated
+  with check (
+    uploaded_by = auth.uid()
+    and (
+      has_permission('purchases.receive')
+      or purchase_id in (select purchase_id from public.purchase where supplier_id = portal_supplier_id())
+    )
+  );
+
+drop trigger if exists record_audit_trail on public.purchase_delivery_proposals;
+create trigger record_audit_trail
+  after insert or update or delete on public.purchase_delivery_proposals
+  for each row execute function public.record_audit_trail('proposal_id');
+
+drop trigger if exists record_audit_trail on public.supplier_documents;
+create trigger record_audit_trail
+  after insert or update or delete on public.supplier_documents
+  for each row execute function public.record_audit_trail('document_id');
+
+-- Scope the existing read policies to the portal user's own supplier
+drop policy if exists "suppliers.view can read suppliers" on public.suppliers;
+create policy "suppliers.view can read suppliers"
+  on public.suppliers for select to authenticated
+  using (
+    has_permission('suppliers.view')
+    and (not is_portal_user() or supplier_id = portal_supplier_id())
+  );
+
+-- Portal users could edit any supplier; now only their own
+drop policy if exists "suppliers.edit can edit suppliers" on public.suppliers;
+create policy "suppliers.edit can edit suppliers"
+  on public.suppliers for update to authenticated
+  using (has_permission('suppliers.edit') or supplier_id = portal_supplier_id())
+  with check (has_permission('suppliers.edit') or supplier_id = portal_supplier_id());
+
+-- Drafts and orders awaiting approval are not the supplier's business yet
+drop policy if exists "purchases.view can read purchase orders" on public.purchase;
+create policy "purchases.view can read purchase orders"
+  on public.purchase for select to authenticated
+  using (
+    has_permission('purchases.view')
+    and (
+      not is_portal_user()
+      or (supplier_id = portal_supplier_id() and status not in ('draft', 'pending'))
+    )
+  );
+
+drop policy if exists "purchases.view can read purchase lines" on public.purchase_details;
+create policy "purchases.view can read purchase lines"
+  on public.purchase_details for select to authenticated
+  using (
+    has_permission('purchases.view')
+    and (not is_portal_user() or purchase_id in (select purchase_id from public.purchase))
+  );
+
+drop policy if exists "purchases.view can read goods receipts" on public.goods_receipts;
+create policy "purchases.view can read goods receipts"
+  on public.goods_receipts for select to authenticated
+  using (
+    has_permission('purchases.view')
+    and (not is_portal_user() or purchase_id in (select purchase_id from public.purchase))
+  );
+
+drop policy if exists "purchases.view can read goods receipt lines" on public.goods_receipt_lines;
+create policy "purchases.view can read goods receipt lines"
+  on public.goods_receipt_lines for select to authenticated
+  using (
+    has_permission('purchases.view')
+    and (not is_portal_user() or receipt_id in (select receipt_id from public.goods_receipts))
+  );
+
+drop policy if exists "purchases.view can read purchase discrepancies" on public.purchase_discrepancies;
+create policy "purchases.view can read purchase discrepancies"
+  on public.purchase_discrepancies for select to authenticated
+  using (
+    has_permission('purchases.view')
+    and (not is_portal_user() or purchase_id in (select purchase_id from public.purchase))
+  );
+
+drop policy if exists "consignments.view can read consignments" on public.consignment;
+create policy "consignments.view can read consignments"
+  on public.consignment for select to authenticated
+  using (
+    has_permission('consignments.view')
+    and (not is_portal_user() or supplier_id = portal_supplier_id())
+  );
+
+drop policy if exists "consignments.view can read consignment lines" on public.consignment_details;
+create policy "consignments.view can read consignment lines"
+  on public.consignment_details for select to authenticated
+  using (
+    has_permission('consignments.view')
+    and (not is_portal_user() or consignment_id in (select consignment_id from public.consignment))
+  );
+
+drop policy if exists "inventory.view can read ingredient suppliers" on public.ingredient_suppliers;
+create policy "inventory.view can read ingredient suppliers"
+  on public.ingredient_suppliers for select to authenticated
+  using (
+    (has_permission('inventory.view') or has_permission('suppliers.view'))
+    and (not is_portal_user() or supplier_id = portal_supplier_id())
+  );
+
+-- Suppliers see what was invoiced and paid to them without payables.view
+create policy "Portal users can read their supplier invoices"
+  on public.supplier_invoices for select to authenticated
+  using (supplier_id = portal_supplier_id());
+create policy "Portal users can read their supplier invoice purchases"
+  on public.supplier_invoice_purchases for select to authenticated
+  using (invoice_id in (select invoice_id from public.supplier_invoices where supplier_id = portal_supplier_id()));
+create policy "Portal users can read their supplier payments"
+  on public.supplier_payments for select to authenticated
+  using (invoice_id in (select invoice_id from public.supplier_invoices where supplier_id = portal_supplier_id()));
+
+-- A supplier keeps its contact details current from the portal. Everything
+-- else on the row (name, terms, status, notes, the account it is linked
+-- to) is set by staff with suppliers.edit.
+create or replace function public.protect_supplier_terms()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_portal_columns text[] := array[
+    'contact_person', 'contact_email', 'contact_phone', 'address', 'city',
+    'state', 'postal_code', 'country', 'website', 'logo', 'updated_at'
+  ];
+begin
+  if current_user in ('anon', 'authenticated')
+     and not has_permission('suppliers.edit')
+     and (to_jsonb(new) - v_portal_columns) is distinct from (to_jsonb(old) - v_portal_columns) then
+    raise exception 'Only contact details can be changed from the supplier portal'
+      using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists protect_supplier_terms on public.suppliers;
+create trigger protect_supplier_terms
+  before update on public.suppliers
+  for each row execute function public.protect_supplier_terms();
+
+create or replace function public.accept_purchase_order(p_purchase_id integer)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_purchase purchase;
+begin
+  update purchase
+  set status = 'accepted',
+      updated_at = now()
+  where purchase_id = p_purchase_id
+    and status = 'approved'
+    and supplier_id = portal_supplier_id()
+  returning * into v_purchase;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Only approved orders placed with you can be accepted');
+  end if;
+
+  return jsonb_build_object('success', true, 'purchase', to_jsonb(v_purchase));
+end;
+$$;
+
+create or replace function public.reject_purchase_order(
+  p_purchase_id integer,
+  p_reason text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_purchase purchase;
+begin
+  update purchase
+  set status = 'rejected',
+      notes = case
+        when nullif(trim(p_reason), '') is null then notes
+        else concat_ws(E'\n\n', nullif(notes, ''), 'REJECTION REASON: ' || trim(p_reason))
+      end,
+      updated_at = now()
+  where purchase_id = p_purchase_id
+    and status = 'approved'
+    and supplier_id = portal_supplier_id()
+  returning * into v_purchase;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Only approved orders placed with you can be rejected');
+  end if;
+
+  return jsonb_build_object('success', true, 'purchase', to_jsonb(v_purchase));
+end;
+$$;
+
+create or replace function public.propose_purchase_delivery(
+  p_purchase_id integer,
+  p_delivery_date date,
+  p_window_start time,
+  p_window_end time,
+  p_notes text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_purchase purchase;
+  v_proposal purchase_delivery_proposals;
+begin
+  select * into v_purchase
+  from purchase
+  where purchase_id = p_purchase_id and supplier_id = portal_supplier_id()
+  for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Only orders placed with you can be scheduled');
+  end if;
+
+  if v_purchase.status not in ('approved', 'accepted', 'partially_received') then
+    return jsonb_build_object('success', false, 'message', 'Deliveries can only be scheduled for open orders');
+  end if;
+
+  if p_delivery_date is null or p_delivery_date < (now() at time zone 'Asia/Manila')::date then
+    return jsonb_build_object('success', false, 'message', 'Pick a delivery date from today onwards');
+  end if;
+
+  if p_window_start is null or p_window_end is null or p_window_end <= p_window_start then
+    return jsonb_build_object('success', false, 'message', 'The delivery window must end after it starts');
+  end if;
+
+  update purchase_delivery_proposals
+  set status = 'superseded'
+  where purchase_id = p_purchase_id and status = 'proposed';
+
+  insert into purchase_delivery_proposals (purchase_id, delivery_date, window_start, window_end, notes)
+  values (p_purchase_id, p_delivery_date, p_window_start, p_window_end, nullif(trim(p_notes), ''))
+  returning * into v_proposal;
+
+  return jsonb_build_object(
+    'success', true,
+    'proposal', to_jsonb(v_proposal),
+    'purchase_created_by', v_purchase.created_by
+  );
+end;
+$$;
+
+create or replace function public.respond_to_delivery_proposal(
+  p_proposal_id integer,
+  p_confirm boolean,
+  p_note text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_proposal purchase_delivery_proposals;
+begin
+  if not (has_permission('purchases.approve') or has_permission('purchases.receive')) then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to schedule deliveries');
+  end if;
+
+  select * into v_proposal
+  from purchase_delivery_proposals
+  where proposal_id = p_proposal_id
+  for update;
+
+  if not found or v_proposal.status <> 'proposed' then
+    return jsonb_build_object('success', false, 'message', 'This delivery proposal has already been answered');
+  end if;
+
+  if not p_confirm and nullif(trim(p_note), '') is null then
+    return jsonb_build_object('success', false, 'message', 'Give a reason for declining the delivery');
+  end if;
+
+  if p_confirm then
+    update purchase_delivery_proposals
+    set status = 'superseded'
+    where purchase_id = v_proposal.purchase_id and status = 'confirmed';
+  end if;
+
+  update purchase_delivery_proposals
+  set status = case when p_confirm then 'confirmed' else 'declined' end,
+      responded_by = auth.uid(),
+      responded_at = now(),
+      response_note = nullif(trim(p_note), '')
+  where proposal_id = p_proposal_id
+  returning * into v_proposal;
+
+  return jsonb_build_object(
+    'success', true,
+    'proposal', to_jsonb(v_proposal),
+    'supplier_user_id', (
+      select s.user_id
+      from purchase p
+      join suppliers s on s.supplier_id = p.supplier_id
+      where p.purchase_id = v_proposal.purchase_id
+    )
+  );
+end;
+$$;
+
+-- p_prices: [{ingredient_id, typical_price}] for ingredients the supplier
+-- already supplies
+create or replace function public.update_supplier_catalog_prices(p_prices jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_supplier_id integer := portal_supplier_id();
+  v_updated integer;
+begin
+  if v_supplier_id is null then
+    return jsonb_build_object('success', false, 'message', 'Only supplier accounts can update catalog prices');
+  end if;
+
+  if jsonb_typeof(p_prices) <> 'array' or jsonb_array_length(p_prices) = 0 then
+    return jsonb_build_object('success', false, 'message', 'No prices to update');
+  end if;
+
+  if exists (
+    select 1
+    from jsonb_array_elements(p_prices) x
+    where (x->>'typical_price') is null or (x->>'typical_price')::numeric < 0
+  ) then
+    return jsonb_build_object('success', false, 'message', 'Prices cannot be blank or negative');
+  end if;
+
+  if exists (
+    select 1
+    from jsonb_array_elements(p_prices) x
+    where not exists (
+      select 1 from ingredient_suppliers i
+      where i.supplier_id = v_supplier_id and i.ingredient_id = (x->>'ingredient_id')::integer
+    )
+  ) then
+    return jsonb_build_object('success', false, 'message', 'Only items in your catalog can be priced');
+  end if;
+
+  update ingredient_suppliers i
+  set typical_price = (x->>'typical_price')::numeric,
+      updated_at = now()
+  from jsonb_array_elements(p_prices) x
+  where i.supplier_id = v_supplier_id
+    and i.ingredient_id = (x->>'ingredient_id')::integer
+    and i.typical_price is distinct from (x->>'typical_price')::numeric;
+
+  get diagnostics v_updated = row_count;
+
+  return jsonb_build_object('success', true, 'updated', v_updated);
+end;
+$$;
+
+grant execute on function public.accept_purchase_order(integer) to authenticated;
+grant execute on function public.reject_purchase_order(integer, text) to authenticated;
+grant execute on function public.propose_purchase_delivery(integer, date, time, time, text) to authenticated;
+grant execute on function public.respond_to_delivery_proposal(integer, boolean, text) to authenticated;
+grant execute on function public.update_supplier_catalog_prices(jsonb) to authenticated;
@@ -0,0 +1,261 @@
+-- Void and refund approvals
+
+-- Voids are made by someone with sales.void, or asked for at the register
+-- and approved with the PIN of someone who has it
+drop function if exists public.void_sale(integer, integer, text, integer);
+
+create or replace function public.void_sale(
+  p_sale_id integer,
+  p_reason text,
+  p_approval_pin text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_sale sales_header%rowtype;
+  v_items jsonb;
+  v_requested_by integer;
+begin
+  if nullif(trim(p_reason), '') is null then
+    return jsonb_build_object('success', false, 'message', 'A void reason is required');
+  end if;
+
+  if p_approval_pin is null and not has_permission('sales.void') then
+    return jsonb_build_object('success', false, 'message', 'Voids must be approved by a manager');
+  end if;
+
+  if p_approval_pin is not null and not has_permission('sales.create') and not has_permission('sales.void') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to void sales');
+  end if;
+
+  if p_approval_pin is not null and pin_approver(p_approval_pin, 'sales.void') is null then
+    return jsonb_build_object('success', false, 'message', 'Invalid manager approval code');
+  end if;
+
+  select staff_id into v_requested_by
+  from staff
+  where user_id = auth.uid();
+
+  select * into v_sale
+  from sales_header
+  where sale_id = p_sale_id
+  for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Sale not found');
+  end if;
+
+  if coalesce(v_sale.is_voided, false) then
+    return jsonb_build_object('success', false, 'message', 'This sale is already voided');
+  end if;
+
+  if exists (select 1 from sales_refunds where sale_id = p_sale_id) then
+    return jsonb_build_object('success', false, 'message', 'This sale has refunds - refund the remaining items instead');
+  end if;
+
+  update sales_header
+  set is_voided = true,
+      void_reason = trim(p_reason),
+      void_datetime = now(),
+      updated_at = now()
+  where sale_id = p_sale_id;
+
+  insert into sales_voids (sale_id, staff_id, void_reason, void_datetime, created_at, updated_at)
+  values (p_sale_id, v_requested_by, trim(p_reason), now(), now(), now());
+
+  select coalesce(jsonb_agg(jsonb_build_object(
+    'item_id', item_id,
+    'quantity', quantity,
+    'modifier_ids', coalesce(jsonb_path_query_array(modifiers, '$[*].modifier_id'), '[]'::jsonb)
+  )), '[]'::jsonb)
+  into v_items
+  from sales_detail
+  where sale_id = p_sale_id;
+
+  perform post_recipe_movements(v_items, 1, 'void', 'sale', p_sale_id::text);
+
+  return jsonb_build_object('success', true, 'sale_id', p_sale_id, 'or_number', v_sale.or_number);
+end;
+$$;
+
+-- Refunds are made by someone with sales.refund, or asked for at the
+-- register and approved with the PIN of someone who has it
+drop function if exists public.process_refund(integer, jsonb, text, text, integer, text);
+
+create or replace function public.process_refund(
+  p_sale_id integer,
+  p_items jsonb,
+  p_refund_method text,
+  p_reason text,
+  p_approval_pin text default null,
+  p_terminal_id text default null
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_sale sales_header%rowtype;
+  v_requested_by integer;
+  v_approved_by integer;
+  v_factor numeric;
+  v_line record;
+  v_refund_id integer;
+  v_total numeric := 0;
+  v_restock jsonb := '[]'::jsonb;
+begin
+  if nullif(trim(p_reason), '') is null then
+    return jsonb_build_object('success', false, 'message', 'A refund reason is required');
+  end if;
+
+  if p_items is null or jsonb_array_length(p_items) = 0 then
+    return jsonb_build_object('success', false, 'message', 'Select at least one item to refund');
+  end if;
+
+  if p_approval_pin is null and not has_permission('sales.refund') then
+    return jsonb_build_object('success', false, 'message', 'Refunds must be approved by a manager');
+  end if;
+
+  if p_approval_pin is not null and not has_permission('sales.create') and not has_permission('sales.refund') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to refund sales');
+  end if;
+
+  -- Serialise refunds on the same sale so returned quantities cannot overlap
+  select * into v_sale
+  from sales_header
+  where sale_id = p_sale_id
+  for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Sale not found');
+  end if;
+
+  if coalesce(v_sale.is_voided, false) then
+    return jsonb_build_object('success', false, 'message', 'This sale was voided and cannot be refunded');
+  end if;
+
+  select staff_id into v_requested_by
+  from staff
+  where user_id = auth.uid();
+
+  v_approved_by := case
+    when p_approval_pin is null then v_requested_by
+    else pin_approver(p_approval_pin, 'sales.refund')
+  end;
+
+  if v_approved_by is null then
+    return jsonb_build_object('success', false, 'message', 'Invalid manager approval code');
+  end if;
+
+  -- What the customer paid per peso of discounted line value
+  select case when coalesce(sum(subtotal - coalesce(discount_amount, 0)), 0) > 0
+              then v_sale.total_amount / sum(subtotal - coalesce(discount_amount, 0))
+              else 0 end
+  into v_factor
+  from sales_detail
+  where sale_id = p_sale_id;
+
+  create temporary table refund_lines on commit drop as
+  select sd.sale_detail_id,
+         sd.item_id,
+         sd.quantity as sold_quantity,
+         sd.subtotal as sold_subtotal,
+         round((sd.subtotal - coalesce(sd.discount_amount, 0)) * v_factor, 2) as line_total,
+         coalesce(jsonb_path_query_array(sd.modifiers, '$[*].modifier_id'), '[]'::jsonb) as modifier_ids,
+         x.quantity,
+         x.disposition,
+         coalesce((select sum(ri.quantity) from sales_refund_items ri
+                   where ri.sale_detail_id = sd.sale_detail_id), 0) as refunded_quantity,
+         coalesce((select sum(ri.amount) from sales_refund_items ri
+                   where ri.sale_detail_id = sd.sale_detail_id), 0) as refunded_amount,
+         0::numeric as subtotal,
+         0::numeric as amount
+  from jsonb_to_recordset(p_items) as x(sale_detail_id integer, quantity integer, disposition text)
+  left join sales_detail sd
+    on sd.sale_detail_id = x.sale_detail_id
+   and sd.sale_id = p_sale_id;
+
+  select * into v_line
+  from refund_lines
+  where item_id is null
+     or quantity is null
+     or quantity <= 0
+     or coalesce(disposition, '') not in ('restock', 'waste')
+  limit 1;
+
+  if found then
+    return jsonb_build_object('success', false, 'message', 'Refund lines must be items on this sale with a quantity and restock or waste');
+  end if;
+
+  if exists (select 1 from refund_lines group by sale_detail_id having count(*) > 1) then
+    return jsonb_build_object('success', false, 'message', 'Each sale line can only be listed once per refund');
+  end if;
+
+  select l.sale_detail_id, i.item_name, l.sold_quantity - l.refunded_quantity as remaining
+  into v_line
+  from refund_lines l
+  left join items i on i.item_id = l.item_id
+  where l.quantity > l.sold_quantity - l.refunded_quantity
+  limit 1;
+
+  if found then
+    return jsonb_build_object(
+      'success', false,
+      'message', format('Only %s of %s can still be refunded', v_line.remaining, coalesce(v_line.item_name, 'this item'))
+    );
+  end if;
+
+  -- Returning the last units of a line refunds whatever is left of it, so
+  -- rounding never leaves a few centavos behind
+  update refund_lines
+  set subtotal = round(sold_subtotal * quantity / sold_quantity, 2),
+      amount = case
+        when quantity = sold_quantity - refunded_quantity then line_total - refunded_amount
+        else round(line_total * quantity / sold_quantity, 2)
+      end;
+
+  select coalesce(sum(amount), 0) into v_total from refund_lines;
+
+  insert into sales_refunds (
+    sale_id, terminal_id, refund_method, refund_amount, reason,
+    requested_by, approved_by, created_by
+  ) values (
+    p_sale_id, coalesce(p_terminal_id, v_sale.terminal_id), p_refund_method, v_total, trim(p_reason),
+    v_requested_by, v_approved_by, auth.uid()
+  )
+  returning refund_id into v_refund_id;
+
+  insert into sales_refund_items (
+    refund_id, sale_detail_id, item_id, quantity, subtotal, amount, disposition
+  )
+  select v_refund_id, sale_detail_id, item_id, quantity, subtotal, amount, disposition
+  from refund_lines;
+
+  -- Restocked lines put their recipe back, options included; waste stays used
+  select coalesce(jsonb_agg(jsonb_build_object(
+    'item_id', item_id,
+    'quantity', quantity,
+    'modifier_ids', modifier_ids
+  )), '[]'::jsonb)
+  into v_restock
+  from refund_lines
+  where disposition = 'restock';
+
+  if jsonb_array_length(v_restock) > 0 then
+    perform post_recipe_movements(v_restock, 1, 'refund', 'refund', v_refund_id::text);
+  end if;
+
+  return jsonb_build_object(
+    'success', true,
+    'refund_id', v_refund_id,
+    'sale_id', p_sale_id,
+    'or_number', v_sale.or_number,
+    'refund_amount', v_total
+  );
+end;
+$$;
+
+grant execute on function public.void_sale(integer, text, text) to authenticated;
+grant execute on function public.process_refund(integer, jsonb, text, text, text, text) to authenticated;
@@ -0,0 +1,254 @@
+-- Server-side discount approvals
+
+-- Manual discounts are approved at the register with the PIN of someone
+-- holding sales.discount. Each approval is recorded here and used up by the
+-- one sale it was given for. Written and read by the functions only.
+create table if not exists public.discount_approvals (
+  approval_id serial primary key,
+  approved_by integer not null references public.staff (staff_id),
+  requested_by uuid default auth.uid(),
+  created_at timestamptz not null default now(),
+  used_at timestamptz,
+  sale_id integer references public.sales_header (sale_id) on delete set null
+);
+
+alter table public.discount_approvals enable row level security;
+
+create or replace function public.approve_discount(p_pin text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_approver staff%rowtype;
+  v_approval_id integer;
+begin
+  if not has_permission('sales.create') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to ring up sales');
+  end if;
+
+  select * into v_approver
+  from staff
+  where staff_id = pin_approver(p_pin, 'sales.discount');
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Invalid manager approval code');
+  end if;
+
+  insert into discount_approvals (approved_by)
+  values (v_approver.staff_id)
+  returning approval_id into v_approval_id;
+
+  return jsonb_build_object(
+    'success', true,
+    'approval_id', v_approval_id,
+    'approver', jsonb_build_object(
+      'staff_id', v_approver.staff_id,
+      'first_name', v_approver.first_name,
+      'last_name', v_approver.last_name
+    )
+  );
+end;
+$$;
+
+-- Ringing up a sale needs sales.create. Every sale carries the reference the
+-- terminal generated for it, online or not; p_recorded_offline marks the
+-- replays from the offline queue.
+create or replace function public.process_sale(
+  p_cashier_id uuid,
+  p_sale_date timestamptz,
+  p_payment_method text,
+  p_total_amount numeric,
+  p_items jsonb,
+  p_client_reference uuid default null,
+  p_discount jsonb default null,
+  p_payments jsonb default null,
+  p_terminal_id text default null,
+  p_recorded_offline boolean default false
+) returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_sale_id integer;
+  v_shortage record;
+  v_discount jsonb := coalesce(p_discount, '{}'::jsonb);
+  v_paid numeric;
+  v_terminal record;
+  v_or_number text;
+  v_approval_id integer := (v_discount->>'discount_approval_id')::integer;
+  v_approved_by integer;
+begin
+  if not has_permission('sales.create') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to ring up sales');
+  end if;
+
+  -- A sale that already went through is reported as done. Two calls with
+  -- the same reference (a retry racing the offline replay) take turns here,
+  -- so the second finds the first's sale instead of hitting the unique index.
+  if p_client_reference is not null then
+    perform pg_advisory_xact_lock(hashtextextended(p_client_reference::text, 0));
+
+    select sale_id, or_number into v_sale_id, v_or_number
+    from sales_header
+    where client_reference = p_client_reference;
+
+    if found then
+      return jsonb_build_object(
+        'success', true, 'sale_id', v_sale_id, 'or_number', v_or_number, 'duplicate', true
+      );
+    end if;
+  end if;
+
+  if not exists (
+    select 1 from pos_terminals where terminal_id = p_terminal_id and is_active
+  ) then
+    return jsonb_build_object(
+      'success', false,
+      'message', 'This terminal is not registered for official receipts'
+    );
+  end if;
+
+  if v_discount->>'discount_type' in ('senior', 'pwd')
+     and nullif(trim(v_discount->>'senior_pwd_id'), '') is null then
+    return jsonb_build_object(
+      'success', false,
+      'message', 'Senior Citizen/PWD discount requires the customer''s ID number'
+    );
+  end if;
+
+  -- The approval is used up only once the sale goes through, so a sale that
+  -- is turned away can be retried with it
+  if v_discount->>'discount_type' = 'manual' then
+    select approved_by into v_approved_by
+    from discount_approvals
+    where approval_id = v_approval_id
+      and used_at is null
+    for update;
+
+    if not found then
+      return jsonb_build_object(
+        'success', false,
+        'message', 'Manual discount requires manager approval'
+      );
+    end if;
+  end if;
+
+  -- Tender lines must cover the sale exactly (change is tracked per line)
+  if p_payments is not null and jsonb_array_length(p_payments) > 0 then
+    select coalesce(sum((pay->>'amount')::numeric), 0) into v_paid
+    from jsonb_array_elements(p_payments) pay;
+
+    if abs(v_paid - p_total_amount) > 0.01 then
+      return jsonb_build_object(
+        'success', false,
+        'message', format('Payments total %s but the sale is %s', v_paid, p_total_amount)
+      );
+    end if;
+  end if;
+
+  -- Lock every ingredient the sale touches before checking stock
+  perform 1
+  from ingredients i
+  where i.ingredient_id in (select u.ingredient_id from sale_ingredient_usage(p_items) u)
+  order by i.ingredient_id
+  for update;
+
+  select i.ingredient_id, i.name, i.quantity, u.required
+  into v_shortage
+  from sale_ingredient_usage(p_items) u
+  join ingredients i on i.ingredient_id = u.ingredient_id
+  where u.required > coalesce(i.quantity, 0)
+  limit 1;
+
+  if found then
+    return jsonb_build_object(
+      'success', false,
+      'conflict', true,
+      'ingredient_id', v_shortage.ingredient_id,
+      'message', format('Not enough %s (need %s, have %s)',
+                        v_shortage.name, v_shortage.required, coalesce(v_shortage.quantity, 0))
+    );
+  end if;
+
+  -- Take the terminal's next OR number. The row lock serialises sales on the
+  -- terminal, and a failure below rolls the counter back, so the series has no gaps.
+  update pos_terminals
+  set next_or_number = next_or_number + 1,
+      updated_at = now()
+  where terminal_id = p_terminal_id
+  returning next_or_number - 1 as or_sequence, or_prefix, or_number_width
+  into v_terminal;
+
+  v_or_number := v_terminal.or_prefix
+    || lpad(v_terminal.or_sequence::text, v_terminal.or_number_width, '0');
+
+  insert into sales_header (
+    terminal_id, or_sequence, or_number,
+    cashier_id, sale_date, payment_method, total_amount,
+    subtotal_amount, discount_amount, vat_amount, vat_exempt_amount,
+    discount_type, promo_id, promo_code, discount_reason, discount_approved_by,
+    senior_pwd_id, senior_pwd_name,
+    client_reference, offline_recorded_at, created_at
+  ) values (
+    p_terminal_id, v_terminal.or_sequence, v_or_number,
+    p_cashier_id, p_sale_date, p_payment_method, p_total_amount,
+    (v_discount->>'subtotal_amount')::numeric,
+    coalesce((v_discount->>'discount_amount')::numeric, 0),
+    (v_discount->>'vat_amount')::numeric,
+    coalesce((v_discount->>'vat_exempt_amount')::numeric, 0),
+    v_discount->>'discount_type',
+    (v_discount->>'promo_id')::integer,
+    v_discount->>'promo_code',
+    v_discount->>'discount_reason',
+    v_approved_by,
+    v_discount->>'senior_pwd_id',
+    v_discount->>'senior_pwd_name',
+    p_client_reference,
+    case when p_recorded_offline then p_sale_date end,
+    now()
+  )
+  returning sale_id into v_sale_id;
+
+  if v_approved_by is not null then
+    update discount_approvals
+    set used_at = now(),
+        sale_id = v_sale_id
+    where approval_id = v_approval_id;
+  end if;
+
+  insert into sales_detail (
+    sale_id, item_id, quantity, unit_price, subtotal, modifiers,
+    discount_amount, discount_label, notes, created_at
+  )
+  select v_sale_id, x.item_id, x.quantity, x.unit_price, x.subtotal,
+         coalesce(x.modifiers, '[]'::jsonb),
+         coalesce(x.discount_amount, 0), x.discount_label, nullif(trim(x.notes), ''), now()
+  from jsonb_to_recordset(p_items)
+    as x(item_id integer, quantity integer, unit_price numeric, subtotal numeric,
+         modifiers jsonb, discount_amount numeric, discount_label text, notes text);
+
+  if p_payments is not null and jsonb_array_length(p_payments) > 0 then
+    insert into sales_payments (
+      sale_id, payment_method, amount, tendered_amount, change_amount, reference_number, created_at
+    )
+    select v_sale_id, pay.payment_method, pay.amount,
+           coalesce(pay.tendered_amount, pay.amount), coalesce(pay.change_amount, 0),
+           nullif(trim(pay.reference_number), ''), now()
+    from jsonb_to_recordset(p_payments)
+      as pay(payment_method text, amount numeric, tendered_amount numeric,
+             change_amount numeric, reference_number text);
+  else
+    insert into sales_payments (sale_id, payment_method, amount, tendered_amount, created_at)
+    values (v_sale_id, p_payment_method, p_total_amount, p_total_amount, now());
+  end if;
+
+  perform post_recipe_movements(p_items, -1, 'sale', 'sale', v_sale_id::text);
+
+  return jsonb_build_object('success', true, 'sale_id', v_sale_id, 'or_number', v_or_number);
+end;
+$$;
+
+grant execute on function public.approve_discount(text) to authenticated;
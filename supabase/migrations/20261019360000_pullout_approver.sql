@@ -0,0 +1,81 @@
+-- Pullout approvals
+-- The approver recorded on a pullout is whoever approved it, not a user id
+-- the browser passes along. A pullout for a lot is held to what that lot
+-- has left rather than to the ingredient's whole balance.
+drop function if exists public.approve_pullout(integer, uuid);
+
+create or replace function public.approve_pullout(p_pullout_id integer)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_pullout record;
+  v_available numeric;
+  v_result jsonb;
+begin
+  if not has_permission('pullouts.approve') then
+    return jsonb_build_object('success', false, 'message', 'You do not have permission to approve pullouts');
+  end if;
+
+  select * into v_pullout
+  from pullout
+  where pullout_id = p_pullout_id
+  for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'message', 'Pullout not found');
+  end if;
+
+  if v_pullout.status <> 'pending' then
+    return jsonb_build_object('success', false, 'message', format('This pullout is already %s', v_pullout.status));
+  end if;
+
+  -- The ingredient is locked before its lots, the order stock movements use
+  select coalesce(quantity, 0) into v_available
+  from ingredients
+  where ingredient_id = v_pullout.ingredient_id
+  for update;
+
+  if v_pullout.lot_id is not null then
+    select quantity into v_available
+    from ingredient_lots
+    where lot_id = v_pullout.lot_id
+      and ingredient_id = v_pullout.ingredient_id
+    for update;
+
+    if not found then
+      return jsonb_build_object('success', false, 'message', 'The lot for this pullout no longer exists');
+    end if;
+  end if;
+
+  if v_available < v_pullout.quantity then
+    return jsonb_build_object(
+      'success', false,
+      'message', format('Not enough quantity available for this pullout (have %s)', v_available)
+    );
+  end if;
+
+  v_result := post_stock_movements(
+    'pullout',
+    jsonb_build_array(jsonb_build_object(
+      'ingredient_id', v_pullout.ingredient_id,
+      'quantity', -v_pullout.quantity,
+      'lot_id', v_pullout.lot_id
+    )),
+    'pullout', p_pullout_id::text, v_pullout.reason
+  );
+
+  update pullout
+  set status = 'approved',
+      approved_by = auth.uid(),
+      updated_at = now()
+  where pullout_id = p_pullout_id
+  returning * into v_pullout;
+
+  return jsonb_build_object('success', true, 'pullout', to_jsonb(v_pullout), 'ingredient', v_result->0);
+end;
+$$;
+
+grant execute on function public.approve_pullout(integer) to authenticated;
@@ -0,0 +1,45 @@
+-- purchase_billable_amount: an order bills its total until deliveries
+-- start, then only what was accepted on its receipts.
+-- Run with `supabase test db`.
+begin;
+create extension if not exists pgtap with schema extensions;
+select plan(3);
+
+insert into public.ingredients (ingredient_id, name, unit, quantity, minimum_quantity, unit_cost)
+values (900001, 'Billing test beans', 'kg', 0, 0, 10);
+
+insert into public.purchase (purchase_id, staff_id, purchase_date, total_amount, status)
+values (900001, (select min(staff_id) from public.staff), now(), 100, 'approved');
+
+insert into public.purchase_details (purchase_detail_id, purchase_id, ingredient_id, quantity, unit_price, subtotal)
+values (900001, 900001, 900001, 10, 10, 100);
+
+select is(
+  public.purchase_billable_amount(900001), 100::numeric,
+  'an order with nothing received bills its total'
+);
+
+-- 8 of the 10 arrive and 2 of those are rejected
+insert into public.goods_receipts (receipt_id, purchase_id)
+values (900001, 900001);
+
+insert into public.goods_receipt_lines (
+  receipt_id, purchase_detail_id, ingredient_id, received_quantity, rejected_quantity, unit_price
+) values (900001, 900001, 900001, 8, 2, 10);
+
+update public.purchase set status = 'partially_received' where purchase_id = 900001;
+
+select is(
+  public.purchase_billable_amount(900001), 60::numeric,
+  'a short delivery bills only what was accepted'
+);
+
+select public.close_purchase_order(900001);
+
+select is(
+  public.purchase_billable_amount(900001), 60::numeric,
+  'closing a short order does not bill the rest of it'
+);
+
+select * from finish();
+rollback;